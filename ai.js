@@ -10,6 +10,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const repoSummaryEl = document.getElementById('repo-summary');
     const clearChatBtn = document.getElementById('clear-chat');
     const quickButtons = document.querySelectorAll('.suggest-btn');
+    // Optional `?repo=owner/name` chats about a GitHub repository instead of the default local index
+    const chatRepo = new URLSearchParams(window.location.search).get('repo');
 
     // Load history
     loadChatHistory();
@@ -59,15 +61,21 @@ document.addEventListener('DOMContentLoaded', () => {
         const indicator = addTypingIndicator();
 
         try {
+            // Chatting about another GitHub repository requires a signed-in user
+            const headers = { 'Content-Type': 'application/json' };
+            if (window.XAYTHEON_AUTH && window.XAYTHEON_AUTH.isAuthenticated()) {
+                headers.Authorization = `Bearer ${window.XAYTHEON_AUTH.getAccessToken()}`;
+            }
+
             const response = await fetch('/api/ai/chat', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ query: text })
+                headers,
+                body: JSON.stringify({ query: text, ...(chatRepo && { repo: chatRepo }) })
             });
             const data = await response.json();
 
             indicator.remove();
-            addBotMessage(data.response || "Something went wrong. Let's try again!");
+            addBotMessage(data.response || data.message || "Something went wrong. Let's try again!", data.citations || []);
             saveChatHistory();
         } catch (error) {
             indicator.remove();
@@ -100,17 +108,57 @@ document.addEventListener('DOMContentLoaded', () => {
         scrollToBottom();
     }
 
-    function addBotMessage(text) {
+    function addBotMessage(text, citations = []) {
         const div = document.createElement('div');
         div.className = 'msg bot-msg';
         div.innerHTML = `<div class="msg-content"></div>`;
         chatMessages.appendChild(div);
 
         const contentDiv = div.querySelector('.msg-content');
-        typeEffect(contentDiv, text);
+        typeEffect(contentDiv, text, () => {
+            if (citations.length === 0) return;
+            // Swap the typed text for a version whose [n] markers link to the cited lines
+            contentDiv.innerHTML = linkCitations(escapeHtml(text), citations) + renderSources(citations);
+            saveChatHistory();
+            scrollToBottom();
+        });
         scrollToBottom();
     }
 
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function citationLabel(citation) {
+        return `${citation.file}:${citation.startLine}-${citation.endLine}`;
+    }
+
+    function citationLink(citation, label) {
+        const title = escapeHtml(citationLabel(citation));
+        if (!citation.url) return `<span class="cite-ref" title="${title}">${label}</span>`;
+        return `<a class="cite-ref" href="${escapeHtml(citation.url)}" target="_blank" rel="noopener" title="${title}">${label}</a>`;
+    }
+
+    function linkCitations(html, citations) {
+        return html.replace(/\[(\d+)\]/g, (marker, id) => {
+            const citation = citations.find(c => c.id === Number(id));
+            return citation ? citationLink(citation, marker) : marker;
+        });
+    }
+
+    function renderSources(citations) {
+        const items = citations.map(c => `
+            <li>
+                ${citationLink(c, escapeHtml(citationLabel(c)))}
+                <code>${escapeHtml(c.preview || '')}</code>
+            </li>`).join('');
+        return `<ol class="chat-sources">${items}</ol>`;
+    }
+
     function addTypingIndicator() {
         const div = document.createElement('div');
         div.className = 'msg bot-msg typing-indicator';
@@ -120,7 +168,7 @@ document.addEventListener('DOMContentLoaded', () => {
         return div;
     }
 
-    function typeEffect(element, text) {
+    function typeEffect(element, text, onDone) {
         let i = 0;
         const speed = 20;
         function type() {
@@ -129,6 +177,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 i++;
                 setTimeout(type, speed);
                 scrollToBottom();
+            } else if (onDone) {
+                onDone();
             }
         }
         type();
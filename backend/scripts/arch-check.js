@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Xaytheon — Architecture Rules Check
+ * Evaluates a checkout against its `.xaytheon/architecture.yml` and exits
+ * non-zero when a violation reaches the `fail_on` severity, for use as a CI gate.
+ *
+ * Usage (from backend/):
+ *   npm run arch:check                                   check backend/ itself
+ *   npm run arch:check -- ../some-repo                   check another checkout
+ *   npm run arch:check -- . --sarif arch.sarif           also write SARIF 2.1.0 for code scanning
+ *   npm run arch:check -- . --config rules.yml           rules file other than .xaytheon/architecture.yml
+ *   npm run arch:check -- . --fail-on high               override the rules file's fail_on
+ *   npm run arch:check -- . --json                       print the full report as JSON
+ *
+ * Exit codes: 0 passed, 1 gate failed, 2 invalid rules file, bad arguments or other errors.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const architectureValidator = require("../src/services/architecture-validator.service");
+const architectureRules = require("../src/services/architecture-rules.service");
+
+const SEVERITY_ICONS = { critical: "🔴", high: "🟠", medium: "🟡", low: "⚪" };
+
+function parseArgs(argv) {
+    const options = { dir: ".", configPath: null, sarif: null, failOn: null, json: false };
+    const valueOf = (flag, i) => {
+        if (!argv[i + 1] || argv[i + 1].startsWith("--")) throw new Error(`${flag} needs a value`);
+        return argv[i + 1];
+    };
+    let dirSet = false;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--config") options.configPath = valueOf(arg, i++);
+        else if (arg === "--sarif") options.sarif = valueOf(arg, i++);
+        else if (arg === "--fail-on") options.failOn = valueOf(arg, i++);
+        else if (arg === "--json") options.json = true;
+        else if (arg.startsWith("--") || dirSet) {
+            throw new Error("Usage: npm run arch:check -- [dir] [--config path] [--sarif out.sarif] [--fail-on severity] [--json]");
+        } else {
+            options.dir = arg;
+            dirSet = true;
+        }
+    }
+
+    if (options.failOn && !["critical", "high", "medium", "low"].includes(options.failOn)) {
+        throw new Error("--fail-on must be one of critical, high, medium, low");
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const root = path.resolve(options.dir);
+    const report = await architectureValidator.validateLocalRepository(root, {
+        configPath: options.configPath ? path.resolve(options.configPath) : null,
+        failOn: options.failOn,
+        name: path.basename(root),
+    });
+
+    if (options.sarif) {
+        fs.writeFileSync(options.sarif, JSON.stringify(architectureRules.toSarif(report), null, 2));
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`🧭 ${report.architecture.name} — ${report.repository}`);
+        report.layers.forEach(layer => console.log(`   ${layer.name.padEnd(16)} ${layer.files} files`));
+        if (report.unassigned.length > 0) console.log(`   ${"(no layer)".padEnd(16)} ${report.unassigned.length} files`);
+        console.log("");
+
+        report.violations.forEach(v => {
+            console.log(`${SEVERITY_ICONS[v.severity]} ${v.ruleId} ${v.source}:${v.line}`);
+            console.log(`   ${v.description}`);
+        });
+
+        const counts = report.summary.bySeverity;
+        console.log(
+            `\n${report.violations.length} violations (${counts.critical} critical, ${counts.high} high, ${counts.medium} medium, ${counts.low} low), ` +
+            `compliance ${report.complianceScore}%`
+        );
+        if (options.sarif) console.log(`SARIF written to ${options.sarif}`);
+        console.log(report.gate.failed
+            ? `❌ Failed: violations at or above "${report.gate.failOn}"`
+            : `✅ Passed (fail_on: ${report.gate.failOn})`);
+    }
+
+    return report.gate.failed ? 1 : 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error(`❌ ${err.message}`);
+        process.exit(2);
+    });
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Xaytheon — Vulnerability Database Import
+ * Loads OSV / GitHub Security Advisory dumps into the local mirror used by the
+ * CVE scorer and lockfile scans, so they work without network access.
+ *
+ * Usage (from backend/):
+ *   npm run vulndb:import -- ~/dumps/npm-all.zip         OSV ecosystem export (osv-vulnerabilities bucket)
+ *   npm run vulndb:import -- ~/advisory-database/advisories/github-reviewed
+ *                                                        directory of OSV / GHSA JSON files
+ *   npm run vulndb:import -- ghsa-export.json --force    re-import a dump that was imported before
+ *   npm run vulndb:import -- --status                    show what the mirror holds
+ *
+ * Re-running with a newer dump only replaces advisories whose `modified` date moved.
+ * Uses the same database as the server (DB_PATH, default backend/users.db).
+ */
+
+const db = require("../src/config/db");
+const vulnerabilityDb = require("../src/services/vulnerability-db.service");
+
+function parseArgs(argv) {
+    const options = { sources: [], force: false, status: false };
+    argv.forEach(arg => {
+        if (arg === "--force") options.force = true;
+        else if (arg === "--status") options.status = true;
+        else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}`);
+        else options.sources.push(arg);
+    });
+    if (!options.status && options.sources.length === 0) {
+        throw new Error("Usage: npm run vulndb:import -- <dump.json|dump.zip|directory>... [--force] | --status");
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    await db.ready;
+
+    for (const source of options.sources) {
+        const started = Date.now();
+        const result = await vulnerabilityDb.importDump(source, { force: options.force });
+        if (result.alreadyImported) {
+            console.log(`⏭️  ${source}: already imported (use --force to re-import)`);
+            continue;
+        }
+        console.log(
+            `✅ ${source}: ${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged` +
+            `${result.skipped ? `, ${result.skipped} skipped` : ""} (${((Date.now() - started) / 1000).toFixed(1)}s)`
+        );
+    }
+
+    const status = await vulnerabilityDb.getStatus();
+    console.log(`\n🛡️  ${status.advisories} advisories (${status.withdrawn} withdrawn), last modified ${status.lastModified || "—"}`);
+    status.ecosystems.forEach(e => console.log(`   ${e.ecosystem.padEnd(16)} ${e.advisories} advisories, ${e.packages} packages`));
+}
+
+main()
+    .then(() => db.close())
+    .catch(err => {
+        console.error(`❌ ${err.message}`);
+        db.close(() => process.exit(1));
+    });
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Xaytheon — Local LLM Stub Server
+ * Serves deterministic fixture replies over the OpenAI Chat Completions and
+ * Ollama /api/chat wire formats (streaming included), so the real HTTP
+ * providers can be exercised without network access or API keys.
+ *
+ * Usage:
+ *   npm run llm:stub                                 (from backend/)
+ *   LLM_PROVIDER=openai LLM_BASE_URL=http://127.0.0.1:8089/v1 npm start
+ *   LLM_PROVIDER=ollama LLM_BASE_URL=http://127.0.0.1:8089 npm start
+ *
+ * Environment:
+ *   LLM_STUB_PORT        port to listen on (default 8089)
+ *   LLM_FIXTURES_PATH    JSON fixtures file, same format as the fixture provider
+ *   LLM_STUB_FAIL_FIRST  answer the first N completion requests with 503 (retry testing)
+ */
+
+const http = require("http");
+const { FixtureProvider } = require("../src/services/llm-providers");
+
+// ─── Server ───────────────────────────────────────────
+function createStubServer(options = {}) {
+    const fixtures = new FixtureProvider({
+        fixtures: options.fixtures,
+        fixturesPath: options.fixturesPath
+    });
+    let failuresLeft = options.failFirst || 0;
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method === "GET" && (req.url === "/v1/models" || req.url === "/api/tags")) {
+            return sendJson(res, 200, { object: "list", data: [{ id: "stub", object: "model" }], models: [{ name: "stub" }] });
+        }
+
+        const isOpenAI = req.url === "/v1/chat/completions" || req.url === "/chat/completions";
+        const isOllama = req.url === "/api/chat";
+        if (req.method !== "POST" || (!isOpenAI && !isOllama)) {
+            return sendJson(res, 404, { error: { message: `No stub route for ${req.method} ${req.url}` } });
+        }
+
+        let body;
+        try {
+            body = JSON.parse(await readBody(req));
+        } catch (error) {
+            return sendJson(res, 400, { error: { message: "Request body must be JSON" } });
+        }
+        requests.push({ url: req.url, body });
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            return sendJson(res, 503, { error: { message: "Stub server injected failure" } });
+        }
+
+        const request = { messages: body.messages || [], model: body.model };
+        const { text, usage } = await fixtures.complete(request);
+        const model = body.model || "stub";
+
+        if (isOpenAI && body.stream) {
+            res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+            for await (const delta of fixtures.stream(request)) {
+                res.write(`data: ${JSON.stringify({ object: "chat.completion.chunk", model, choices: [{ index: 0, delta: { content: delta } }] })}\n\n`);
+            }
+            res.write(`data: ${JSON.stringify({ object: "chat.completion.chunk", model, choices: [{ index: 0, delta: {}, finish_reason: "stop" }] })}\n\n`);
+            return res.end("data: [DONE]\n\n");
+        }
+        if (isOpenAI) {
+            return sendJson(res, 200, {
+                id: `chatcmpl-stub-${requests.length}`,
+                object: "chat.completion",
+                model,
+                choices: [{ index: 0, message: { role: "assistant", content: text }, finish_reason: "stop" }],
+                usage: { prompt_tokens: usage.promptTokens, completion_tokens: usage.completionTokens, total_tokens: usage.promptTokens + usage.completionTokens }
+            });
+        }
+        if (body.stream === false) {
+            return sendJson(res, 200, {
+                model,
+                message: { role: "assistant", content: text },
+                done: true,
+                prompt_eval_count: usage.promptTokens,
+                eval_count: usage.completionTokens
+            });
+        }
+        // Ollama streams by default.
+        res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+        for await (const delta of fixtures.stream(request)) {
+            res.write(JSON.stringify({ model, message: { role: "assistant", content: delta }, done: false }) + "\n");
+        }
+        return res.end(JSON.stringify({ model, message: { role: "assistant", content: "" }, done: true }) + "\n");
+    });
+
+    server.requests = requests;
+    return server;
+}
+
+// ─── Helpers ──────────────────────────────────────────
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = "";
+        req.on("data", chunk => (data += chunk));
+        req.on("end", () => resolve(data));
+        req.on("error", reject);
+    });
+}
+
+function sendJson(res, status, payload) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+}
+
+// ─── Run ──────────────────────────────────────────────
+if (require.main === module) {
+    const port = parseInt(process.env.LLM_STUB_PORT, 10) || 8089;
+    createStubServer({
+        fixturesPath: process.env.LLM_FIXTURES_PATH,
+        failFirst: parseInt(process.env.LLM_STUB_FAIL_FIRST, 10) || 0
+    }).listen(port, "127.0.0.1", () => {
+        console.log(`🤖 LLM stub server listening on http://127.0.0.1:${port}`);
+        console.log(`   OpenAI-compatible: http://127.0.0.1:${port}/v1   Ollama-style: http://127.0.0.1:${port}`);
+    });
+}
+
+module.exports = { createStubServer };
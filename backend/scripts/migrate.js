@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Xaytheon — Database Migrations
+ * Applies, reverts and lists the versioned migrations in src/migrations/.
+ *
+ * Usage (from backend/):
+ *   npm run migrate                          apply all pending migrations
+ *   npm run migrate -- up --to 005           apply pending migrations up to a version
+ *   npm run migrate -- down                  revert the latest migration
+ *   npm run migrate -- down --steps 3        revert the latest three
+ *   npm run migrate -- down --to 003         revert everything after 003
+ *   npm run migrate -- status                list applied / pending migrations
+ *   npm run migrate -- up --dry-run          run in a transaction, then roll back
+ *
+ * Uses the same database as the server (DB_PATH, default backend/users.db).
+ */
+
+// Migrations run explicitly here, not on connect
+process.env.DB_AUTO_MIGRATE = "false";
+
+const db = require("../src/config/db");
+const Migrator = require("../src/config/migrator");
+
+function parseArgs(argv) {
+    const options = { command: "up", dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--dry-run") options.dryRun = true;
+        else if (arg === "--to") options.to = argv[++i];
+        else if (arg === "--steps") options.steps = parseInt(argv[++i], 10);
+        else if (!arg.startsWith("--")) options.command = arg;
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    if (options.to !== undefined && !/^\d+$/.test(options.to)) throw new Error("--to expects a migration version");
+    if (options.steps !== undefined && !(options.steps > 0)) throw new Error("--steps expects a positive number");
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const migrator = new Migrator(db);
+
+    switch (options.command) {
+        case "up": {
+            const applied = await migrator.up({ to: options.to, dryRun: options.dryRun });
+            if (applied.length === 0) console.log("✅ Database is already up to date!");
+            else if (options.dryRun) console.log(`\n🧪 ${applied.length} migration(s) would be applied; nothing was changed.`);
+            else console.log(`\n✅ Applied ${applied.length} migration(s).`);
+            break;
+        }
+        case "down": {
+            const reverted = await migrator.down({ steps: options.steps, to: options.to, dryRun: options.dryRun });
+            if (reverted.length === 0) console.log("Nothing to revert.");
+            else if (options.dryRun) console.log(`\n🧪 ${reverted.length} migration(s) would be reverted; nothing was changed.`);
+            else console.log(`\n↩️  Reverted ${reverted.length} migration(s).`);
+            break;
+        }
+        case "status": {
+            const icons = { applied: "✅", pending: "⏳", changed: "⚠️ ", missing: "❌" };
+            (await migrator.status()).forEach(row => {
+                console.log(`${icons[row.state]} ${row.version}_${row.name}  ${row.state}${row.appliedAt ? `  (${row.appliedAt})` : ""}`);
+            });
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${options.command}" (expected up, down or status)`);
+    }
+}
+
+main()
+    .then(() => db.close())
+    .catch(err => {
+        console.error(`❌ ${err.message}`);
+        db.close(() => process.exit(1));
+    });
@@ -6,6 +6,7 @@ require("dotenv").config();
 const loadingMiddleware = require("./middleware/loading.middleware");
 const requestLock = require("./middleware/requestLock.middleware");
 const gatewayMiddleware = require("./middleware/gateway.middleware");
+const { recordMountPaths } = require("./utils/express-routes");
 
 const authRoutes = require("./routes/auth.routes");
 const userRoutes = require("./routes/user.routes");
@@ -33,10 +34,17 @@ const refactorRoutes = require("./routes/refactor-safety.routes");
 const sprintRoutes = require("./routes/sprint.routes");
 const sprintForecasterRoutes = require("./routes/sprint-forecaster.routes");
 const securityRoutes = require("./routes/security.routes");
+const securityFuzzerRoutes = require("./routes/security-fuzzer.routes");
 const auditRoutes = require("./routes/audit.routes");
 const govRoutes = require("./routes/governance.routes");
+const warRoomRoutes = require("./routes/war-room.routes");
+const diffRoutes = require("./routes/diff.routes");
+const fleetRoutes = require("./routes/fleet.routes");
+const prReviewRoutes = require("./routes/pr-review.routes");
+const webhookRoutes = require("./routes/webhook.routes");
 
 const app = express();
+recordMountPaths(app); // lets the fuzzer enumerate /api routes (POST /api/security/fuzz/discover)
 
 /* ========================
    CORS CONFIG
@@ -121,7 +129,17 @@ app.use(cors(corsOptions));
 /* ========================
    BODY PARSING*/
 
-app.use(express.json());
+// GitHub deliveries keep their raw body for the X-Hub-Signature-256 check
+const keepRawBody = (req, res, buf) => {
+  if (req.headers["x-github-event"]) req.rawBody = buf;
+};
+
+app.use("/api/bundle", express.json({ limit: "50mb" })); // webpack stats files get large
+app.use("/api/analyzer", express.json({ limit: "25mb" })); // coverage reports posted with CQAS requests
+app.use("/api/test-lab", express.json({ limit: "25mb" })); // coverage reports ingested by Test Lab
+app.use("/api/audit", express.json({ limit: "25mb" })); // base64 evidence files of attestations
+app.use("/api/webhooks", express.json({ limit: "25mb", verify: keepRawBody })); // GitHub's payload cap
+app.use(express.json({ limit: "5mb", verify: keepRawBody })); // lockfiles posted to /api/dependency and /api/diff
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
@@ -159,6 +177,10 @@ app.use("/api/heatmap", heatmapRoutes);
 app.use("/api/sentiment", sentimentRoutes);
 app.use("/api/workflow", workflowRoutes);
 app.use("/api/dependency", dependencyRoutes);
+app.use("/api/diff", diffRoutes);
+app.use("/api/fleet", fleetRoutes);
+app.use("/api/pr-review", prReviewRoutes);
+app.use("/api/webhooks", webhookRoutes);
 app.use("/api/ai", aiRoutes);
 app.use("/api/risk", riskRoutes);
 app.use("/api/analyzer", analyzerRoutes);
@@ -170,8 +192,10 @@ app.use("/api/refactor", refactorRoutes);
 app.use("/api/sprint", sprintRoutes);
 app.use("/api/sprint-forecaster", sprintForecasterRoutes);
 app.use("/api/security", securityRoutes);
+app.use("/api/security-fuzzer", securityFuzzerRoutes);
 app.use("/api/audit", auditRoutes);
 app.use("/api/gov", govRoutes);
+app.use("/api/war-room", warRoomRoutes);
 
 app.use((err, req, res, next) => {
   console.error("Error:", err);
@@ -1,41 +1,98 @@
 const sqlite3 = require("sqlite3").verbose();
 const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const Migrator = require("./migrator");
 
-const dbPath = path.join(__dirname, "..", "..", "users.db");
+// Tests get a fresh in-memory database unless DB_PATH says otherwise
+const dbPath = process.env.DB_PATH
+  || (process.env.NODE_ENV === "test" ? ":memory:" : path.join(__dirname, "..", "..", "users.db"));
 
 const db = new sqlite3.Database(dbPath, (err) => {
   if (err) console.error(err.message);
   else console.log("📦 Connected to SQLite database");
 });
 
-db.run(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    email TEXT UNIQUE NOT NULL,
-    password TEXT,
-    github_id TEXT UNIQUE,
-    username TEXT,
-    avatar_url TEXT,
-    refresh_token TEXT,
-    view_history TEXT DEFAULT '[]',
-    password_reset_token TEXT,
-    password_reset_expires DATETIME,
-    preferred_language TEXT DEFAULT 'en',
-    preferences TEXT DEFAULT '{}',
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-
-// Migration for existing tables
-db.run("ALTER TABLE users ADD COLUMN github_id TEXT UNIQUE", (err) => {
-  // Ignore error if column exists
+// The schema is owned by src/migrations. Pending migrations are applied on
+// startup unless DB_AUTO_MIGRATE=false, in which case run `npm run migrate`.
+db.ready = process.env.DB_AUTO_MIGRATE === "false"
+  ? Promise.resolve([])
+  : new Migrator(db).up();
+
+db.ready.catch((err) => {
+  console.error("❌ Database migration failed:", err.message);
+});
+
+// Transactions share the single connection, so they are queued: one runs at a
+// time, and statements issued outside it (other requests) wait until it has
+// committed or rolled back instead of becoming part of it.
+const transactionScope = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+let activeTransaction = null; // settles when the running transaction ends
+
+["run", "get", "all", "each", "exec"].forEach((method) => {
+  const original = db[method];
+  db[method] = function (...args) {
+    if (activeTransaction && transactionScope.getStore() !== activeTransaction) {
+      activeTransaction.then(() => db[method](...args));
+      return db;
+    }
+    return original.apply(db, args);
+  };
+});
+
+const exec = (sql) => new Promise((resolve, reject) => {
+  db.exec(sql, (err) => (err ? reject(err) : resolve()));
 });
-db.run("ALTER TABLE users ADD COLUMN username TEXT", (err) => {
-  // Ignore error if column exists
+
+async function runTransaction(fn) {
+  let finish;
+  activeTransaction = new Promise((resolve) => { finish = resolve; });
+  try {
+    return await transactionScope.run(activeTransaction, async () => {
+      await exec("BEGIN");
+      try {
+        const result = await fn();
+        await exec("COMMIT");
+        return result;
+      } catch (error) {
+        await exec("ROLLBACK");
+        throw error;
+      }
+    });
+  } finally {
+    activeTransaction = null;
+    finish();
+  }
+}
+
+/**
+ * Run `fn` (async) inside a transaction, after any transaction already
+ * running. Calls made from inside a transaction join it.
+ */
+db.transaction = (fn) => {
+  if (transactionScope.getStore()) return fn();
+  const result = transactionQueue.then(() => runTransaction(fn));
+  transactionQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Promise forms of run / get / all for the models. runAsync resolves
+ * { changes, lastID }.
+ */
+db.runAsync = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function (err) {
+    if (err) reject(err);
+    else resolve({ changes: this.changes, lastID: this.lastID });
+  });
 });
-db.run("ALTER TABLE users ADD COLUMN avatar_url TEXT", (err) => {
-  // Ignore error if column exists
+
+db.getAsync = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+
+db.allAsync = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
 });
 
 module.exports = db;
@@ -0,0 +1,234 @@
+/**
+ * Migration Runner
+ * Applies the versioned migrations in src/migrations/ to a SQLite database and
+ * records them in `schema_migrations`.
+ *
+ * Migrations are named `<version>_<name>.sql` or `<version>_<name>.js` and run in
+ * version order. SQL files hold a `-- migrate:up` section and an optional
+ * `-- migrate:down` section; JS files export `up(db)` / `down(db)` receiving
+ * promisified `run`, `get`, `all` and `exec` helpers. Each migration runs in its
+ * own transaction, and the checksum of every applied file is verified so edits
+ * to history are caught instead of silently diverging between environments.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+class MigrationError extends Error {
+    constructor(message, statusCode = 500) {
+        super(message);
+        this.name = 'MigrationError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Split a SQL migration into its up and down sections.
+ */
+function parseSqlMigration(source) {
+    const upMarker = source.search(/^--\s*migrate:up\s*$/m);
+    const downMarker = source.search(/^--\s*migrate:down\s*$/m);
+    if (upMarker === -1) return null;
+
+    const upEnd = downMarker > upMarker ? downMarker : source.length;
+    return {
+        up: source.slice(upMarker, upEnd).replace(/^--\s*migrate:up\s*$/m, '').trim(),
+        down: downMarker === -1 ? '' : source.slice(downMarker).replace(/^--\s*migrate:down\s*$/m, '').trim()
+    };
+}
+
+class Migrator {
+    /**
+     * @param {import('sqlite3').Database} db
+     * @param {Object} options - { directory, logger }
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.directory = options.directory || MIGRATIONS_DIR;
+        this.logger = options.logger || console;
+        this.helpers = {
+            run: (sql, params = []) => new Promise((resolve, reject) => {
+                db.run(sql, params, function (err) {
+                    if (err) reject(err);
+                    else resolve({ lastID: this.lastID, changes: this.changes });
+                });
+            }),
+            get: (sql, params = []) => new Promise((resolve, reject) => {
+                db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+            }),
+            all: (sql, params = []) => new Promise((resolve, reject) => {
+                db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+            }),
+            exec: sql => new Promise((resolve, reject) => {
+                db.exec(sql, err => (err ? reject(err) : resolve()));
+            })
+        };
+    }
+
+    /**
+     * Migration files on disk, in version order.
+     * @returns {Array<{ version, name, file, checksum, up, down }>}
+     */
+    load() {
+        const migrations = fs.readdirSync(this.directory)
+            .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => {
+                const fullPath = path.join(this.directory, file);
+                const source = fs.readFileSync(fullPath, 'utf8').replace(/\r\n/g, '\n');
+                const migration = {
+                    version: match[1],
+                    name: match[2],
+                    file,
+                    checksum: crypto.createHash('sha256').update(source).digest('hex')
+                };
+
+                if (match[3] === 'sql') {
+                    const sections = parseSqlMigration(source);
+                    if (!sections || !sections.up) throw new MigrationError(`${file} has no "-- migrate:up" section`);
+                    migration.up = db => db.exec(sections.up);
+                    migration.down = sections.down ? db => db.exec(sections.down) : null;
+                } else {
+                    const module = require(fullPath);
+                    if (typeof module.up !== 'function') throw new MigrationError(`${file} does not export up()`);
+                    migration.up = module.up;
+                    migration.down = typeof module.down === 'function' ? module.down : null;
+                }
+                return migration;
+            })
+            .sort((a, b) => Number(a.version) - Number(b.version));
+
+        migrations.forEach((migration, i) => {
+            if (i > 0 && Number(migration.version) === Number(migrations[i - 1].version)) {
+                throw new MigrationError(`Duplicate migration version ${migration.version}: ${migrations[i - 1].file}, ${migration.file}`);
+            }
+        });
+        return migrations;
+    }
+
+    async ensureTable() {
+        await this.helpers.run(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                checksum TEXT NOT NULL,
+                execution_ms INTEGER,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    async applied() {
+        await this.ensureTable();
+        const rows = await this.helpers.all('SELECT * FROM schema_migrations');
+        return rows.sort((a, b) => Number(a.version) - Number(b.version));
+    }
+
+    /**
+     * Every known migration with its state: applied, pending, changed (checksum
+     * differs from the applied file) or missing (applied but no longer on disk).
+     */
+    async status() {
+        const migrations = this.load();
+        const applied = new Map((await this.applied()).map(row => [row.version, row]));
+
+        const rows = migrations.map(m => {
+            const record = applied.get(m.version);
+            applied.delete(m.version);
+            if (!record) return { version: m.version, name: m.name, state: 'pending', appliedAt: null };
+            return {
+                version: m.version,
+                name: m.name,
+                state: record.checksum === m.checksum ? 'applied' : 'changed',
+                appliedAt: record.applied_at
+            };
+        });
+        applied.forEach(record => rows.push({ version: record.version, name: record.name, state: 'missing', appliedAt: record.applied_at }));
+        return rows.sort((a, b) => Number(a.version) - Number(b.version));
+    }
+
+    /**
+     * Refuse to run when applied migrations were edited or removed.
+     */
+    async verify() {
+        const problems = (await this.status()).filter(row => row.state === 'changed' || row.state === 'missing');
+        if (problems.length > 0) {
+            const details = problems.map(p => `${p.version}_${p.name} (${p.state === 'changed' ? 'checksum mismatch' : 'file missing'})`);
+            throw new MigrationError(`Applied migrations differ from src/migrations: ${details.join(', ')}`);
+        }
+    }
+
+    /**
+     * Apply pending migrations in order.
+     * @param {Object} options - { to: last version to apply, dryRun: run everything, then roll back }
+     * @returns {Promise<Array<{ version, name, ms }>>}
+     */
+    async up({ to, dryRun = false } = {}) {
+        await this.verify();
+        const applied = new Set((await this.applied()).map(row => row.version));
+        const pending = this.load().filter(m => !applied.has(m.version) && (to === undefined || Number(m.version) <= Number(to)));
+
+        return this.runAll(pending, 'up', dryRun, async (migration, ms) => {
+            await this.helpers.run(
+                'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (?, ?, ?, ?)',
+                [migration.version, migration.name, migration.checksum, ms]
+            );
+        });
+    }
+
+    /**
+     * Revert applied migrations, newest first.
+     * @param {Object} options - { steps: how many to revert (default 1), to: revert everything after this version, dryRun }
+     */
+    async down({ steps = 1, to, dryRun = false } = {}) {
+        await this.verify();
+        const byVersion = new Map(this.load().map(m => [m.version, m]));
+        const applied = (await this.applied()).reverse();
+        const targets = (to !== undefined ? applied.filter(row => Number(row.version) > Number(to)) : applied.slice(0, steps))
+            .map(row => byVersion.get(row.version));
+
+        const irreversible = targets.find(m => !m.down);
+        if (irreversible) throw new MigrationError(`${irreversible.file} is irreversible (no down migration)`);
+
+        return this.runAll(targets, 'down', dryRun, async migration => {
+            await this.helpers.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        });
+    }
+
+    /**
+     * Run migrations one transaction each, recording them with `record`. A dry run
+     * executes them all in a single transaction that is rolled back, so later
+     * migrations still see the effects of earlier ones.
+     */
+    async runAll(migrations, direction, dryRun, record) {
+        const results = [];
+        if (dryRun && migrations.length) await this.helpers.exec('BEGIN');
+
+        for (const migration of migrations) {
+            const started = Date.now();
+            if (!dryRun) await this.helpers.exec('BEGIN');
+            try {
+                await migration[direction](this.helpers);
+                await record(migration, Date.now() - started);
+                if (!dryRun) await this.helpers.exec('COMMIT');
+            } catch (error) {
+                await this.helpers.exec('ROLLBACK');
+                throw new MigrationError(`Migration ${migration.file} (${direction}) failed: ${error.message}`);
+            }
+
+            const ms = Date.now() - started;
+            this.logger.log(`${dryRun ? '🧪 [dry-run]' : direction === 'up' ? '✅' : '↩️'} ${migration.version}_${migration.name} ${direction} (${ms}ms)`);
+            results.push({ version: migration.version, name: migration.name, ms });
+        }
+
+        if (dryRun && migrations.length) await this.helpers.exec('ROLLBACK');
+        return results;
+    }
+}
+
+module.exports = Migrator;
+module.exports.MigrationError = MigrationError;
+module.exports.parseSqlMigration = parseSqlMigration;
@@ -1,23 +1,126 @@
+const path = require('path');
 const llmService = require('../services/llm.service');
+const repoIndex = require('../services/repo-index.service');
 const buildMonitor = require('../services/build-monitor.service');
 
+// Local repository the chat answers about unless a GitHub repo is requested
+const DEFAULT_CHAT_REPO = process.env.AI_CHAT_REPO_PATH || path.resolve(__dirname, '../../..');
+
+/**
+ * Retrieval source for a request: a GitHub "owner/name" from the client, otherwise the configured local clone.
+ * Local paths are never taken from the request so the chat cannot be pointed at arbitrary server files.
+ */
+function resolveChatSource(repo) {
+    if (!repo) return { repoPath: DEFAULT_CHAT_REPO };
+    if (!/^[\w-][\w.-]*\/[\w-][\w.-]*$/.test(repo)) return null;
+    return { repo };
+}
+
+/**
+ * Indexing a GitHub repository fetches its files with the server's token, so
+ * only signed-in users may ask for one (optionalAuth sets req.user)
+ */
+function requiresSignIn(source, req) {
+    return Boolean(source.repo) && !req.user;
+}
+
 exports.chat = async (req, res) => {
     try {
-        const { query, repoContext } = req.body;
+        const { query, repo, repoContext, stream, topK = 5 } = req.body;
 
         if (!query) {
             return res.status(400).json({ message: "Query is required" });
         }
 
-        // In a real RAG implementation, we would search/index the repo metadata here
-        const context = repoContext || "README: XAYTHEON - Open Source Analytics";
+        const source = resolveChatSource(repo);
+        if (!source) {
+            return res.status(400).json({ message: "repo must look like owner/name" });
+        }
+        if (requiresSignIn(source, req)) {
+            return res.status(401).json({ message: "Sign in to chat about other repositories" });
+        }
+
+        // Retrieve the passages relevant to the question; answer without them if indexing fails
+        let citations = [];
+        let retrieved = "";
+        try {
+            ({ citations, context: retrieved } = await repoIndex.retrieve(source, query, { topK: Math.min(parseInt(topK) || 5, 10) }));
+        } catch (error) {
+            console.error("AI Chat Retrieval Error:", error.message);
+        }
+
+        const context = [
+            retrieved && `Numbered excerpts from the repository. Cite the ones you use inline as [n].\n\n${retrieved}`,
+            repoContext
+        ].filter(Boolean).join("\n\n") || "README: XAYTHEON - Open Source Analytics";
+
+        if (stream) {
+            return streamChat(res, llmService.streamResponse(query, context), citations);
+        }
+
         const response = await llmService.generateResponse(query, context);
 
-        res.json({ response });
+        res.json({ response, citations });
     } catch (error) {
         console.error("AI Chat Error:", error);
-        res.status(500).json({ message: "AI Assistant is currently offline." });
+        res.status(error.statusCode === 429 ? 429 : 500).json({ message: "AI Assistant is currently offline." });
+    }
+};
+
+/**
+ * Relay LLM deltas to the client as server-sent events:
+ *   data: {"citations":[...]}  data: {"delta":"..."}  ...  data: [DONE]
+ */
+async function streamChat(res, deltas, citations = []) {
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive"
+    });
+    res.write(`data: ${JSON.stringify({ citations })}\n\n`);
+    try {
+        for await (const delta of deltas) {
+            res.write(`data: ${JSON.stringify({ delta })}\n\n`);
+        }
+    } catch (error) {
+        console.error("AI Chat Stream Error:", error);
+        res.write(`data: ${JSON.stringify({ error: "AI Assistant is currently offline." })}\n\n`);
+    }
+    res.end("data: [DONE]\n\n");
+}
+
+/**
+ * Build (or rebuild) the retrieval index used by the chat
+ */
+exports.buildIndex = async (req, res) => {
+    try {
+        const source = resolveChatSource(req.body.repo);
+        if (!source) {
+            return res.status(400).json({ message: "repo must look like owner/name" });
+        }
+        if (requiresSignIn(source, req)) {
+            return res.status(401).json({ success: false, message: "Sign in to index other repositories" });
+        }
+
+        await repoIndex.getIndex(source, { refresh: true });
+        res.json({ success: true, data: repoIndex.getStatus(source) });
+    } catch (error) {
+        console.error("AI Index Error:", error);
+        res.status(500).json({ success: false, message: "Failed to index repository." });
+    }
+};
+
+exports.getIndexStatus = async (req, res) => {
+    const source = resolveChatSource(req.query.repo);
+    if (!source) {
+        return res.status(400).json({ message: "repo must look like owner/name" });
+    }
+
+    const status = repoIndex.getStatus(source);
+    if (!status) {
+        return res.status(404).json({ success: false, message: "Repository has not been indexed yet" });
     }
+    res.json({ success: true, data: status });
 };
 
 exports.summarize = async (req, res) => {
@@ -291,7 +291,8 @@ exports.cleanupOldSnapshots = async (req, res) => {
 exports.getForensicTimeline = async (req, res) => {
     try {
         const gitTimeMachine = require('../services/git-time-machine.service');
-        const { weeksBack = 26, repoPath = './' } = req.query;
+        const { weeksBack = 26 } = req.query;
+        const repoPath = await gitTimeMachine.resolveRequestedRepository(req.query.repoPath);
 
         // Get health snapshots
         const snapshots = await gitTimeMachine.aggregateHealthSnapshots(
@@ -329,7 +330,7 @@ exports.getForensicTimeline = async (req, res) => {
         });
     } catch (error) {
         console.error('Error fetching forensic timeline:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
             message: 'Failed to fetch forensic timeline',
             error: error.message
@@ -5,26 +5,38 @@
 
 const analyzerService = require('../services/code-analyzer.service');
 
+// Coverage report and weights shared by the CQAS endpoints
+const cqasOptions = (body) => ({
+    weights: body.weights,
+    coverage: body.coverage,
+    coverageFormat: body.coverageFormat
+});
+
+const sendError = (res, error, fallback) => {
+    if (!error.statusCode) console.error(`${fallback}:`, error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.statusCode ? error.message : fallback });
+};
+
 // ─── Existing Endpoints ───────────────────────────────────────────────────────
 
-exports.analyzeRepo = (req, res) => {
+exports.analyzeRepo = async (req, res) => {
     try {
-        const { repo } = req.query;
-        const analysis = analyzerService.analyzeRepository(repo || 'SatyamPandey-07/xaytheon');
+        const { repo, branch } = req.query;
+        const analysis = await analyzerService.analyzeRepository(repo || 'SatyamPandey-07/xaytheon', { branch });
         res.json(analysis);
     } catch (error) {
-        res.status(500).json({ message: 'Analysis failed' });
+        sendError(res, error, 'Analysis failed');
     }
 };
 
-exports.getRecommendations = (req, res) => {
+exports.getRecommendations = async (req, res) => {
     try {
-        const { repo } = req.query;
-        const analysis = analyzerService.analyzeRepository(repo || 'SatyamPandey-07/xaytheon');
+        const { repo, branch } = req.query;
+        const analysis = await analyzerService.analyzeRepository(repo || 'SatyamPandey-07/xaytheon', { branch });
         const recs = analyzerService.getAiRecommendations(analysis);
         res.json({ recommendations: recs });
     } catch (error) {
-        res.status(500).json({ message: 'Failed to get recommendations' });
+        sendError(res, error, 'Failed to get recommendations');
     }
 };
 
@@ -32,36 +44,38 @@ exports.getRecommendations = (req, res) => {
 
 /**
  * POST /api/analyzer/cqas
- * Compute full Code Quality Aggregate Score for a repo+branch+commit.
- * Body: { repo, branch, commitId, weights, minScore, maxRegressionDelta }
+ * Compute full Code Quality Aggregate Score for a repo+branch+commit of its local checkout.
+ * Body: { repo, branch, commitId, weights, coverage, coverageFormat }
+ * branch and commitId default to what is checked out; coverage is an lcov, istanbul or Cobertura
+ * report (otherwise coverage/lcov.info etc. in the checkout is used).
  */
-exports.getCQAS = (req, res) => {
+exports.getCQAS = async (req, res) => {
     try {
         const {
             repo = 'SatyamPandey-07/xaytheon',
-            branch = 'main',
-            commitId = 'HEAD',
-            weights
+            branch,
+            commitId,
+            baseBranch
         } = req.body;
 
-        const result = analyzerService.computeAndRecord(repo, branch, commitId, { weights });
+        const result = await analyzerService.computeAndRecord(repo, branch, commitId, { ...cqasOptions(req.body), baseBranch });
 
         res.json({ success: true, data: result });
     } catch (error) {
-        console.error('CQAS error:', error);
-        res.status(500).json({ success: false, message: error.message });
+        sendError(res, error, 'CQAS computation failed');
     }
 };
 
 /**
  * GET /api/analyzer/cqas/history
  * Return historical CQAS snapshots for a repo+branch.
- * Query: ?repo=...&branch=...
+ * Query: ?repo=...&branch=...&limit=...
  */
-exports.getCQASHistory = (req, res) => {
+exports.getCQASHistory = async (req, res) => {
     try {
         const { repo = 'SatyamPandey-07/xaytheon', branch = 'main' } = req.query;
-        const history = analyzerService.getCQASHistory(repo, branch);
+        const limit = Math.min(parseInt(req.query.limit) || 20, 500);
+        const history = await analyzerService.getCQASHistory(repo, branch, limit);
 
         // Compute trend direction
         const trend = history.length >= 2
@@ -70,34 +84,40 @@ exports.getCQASHistory = (req, res) => {
 
         res.json({ success: true, data: { history, trend, branch, repo } });
     } catch (error) {
-        console.error('CQAS history error:', error);
-        res.status(500).json({ success: false, message: error.message });
+        sendError(res, error, 'Failed to get CQAS history');
     }
 };
 
 /**
  * POST /api/analyzer/cqas/ci-gate
  * Evaluate CI gate: pass/fail based on score threshold and regression delta.
- * Body: { repo, branch, commitId, minScore, maxRegressionDelta }
+ * Body: { repo, branch, commitId, minScore, maxRegressionDelta, baseBranch, coverage, coverageFormat, weights }
+ * baseBranch is compared against when the branch has no earlier snapshot (pull requests).
  * Returns: { passed, failReasons, cqasScore, delta, ... }
  */
-exports.evaluateCIGate = (req, res) => {
+exports.evaluateCIGate = async (req, res) => {
     try {
         const {
             repo = 'SatyamPandey-07/xaytheon',
-            branch = 'main',
-            commitId = 'HEAD',
+            branch,
+            commitId,
             minScore = 60,
-            maxRegressionDelta = 5
+            maxRegressionDelta = 5,
+            baseBranch = null
         } = req.body;
 
-        const result = analyzerService.evaluateCIGate(repo, branch, commitId, { minScore, maxRegressionDelta });
+        const result = await analyzerService.evaluateCIGate(
+            repo,
+            branch,
+            commitId,
+            { minScore: Number(minScore), maxRegressionDelta: Number(maxRegressionDelta), baseBranch },
+            cqasOptions(req.body)
+        );
 
         // Return 424 (Failed Dependency) when CI gate fails so CI systems can detect it
         const statusCode = result.passed ? 200 : 424;
         res.status(statusCode).json({ success: result.passed, data: result });
     } catch (error) {
-        console.error('CI gate error:', error);
-        res.status(500).json({ success: false, message: error.message });
+        sendError(res, error, 'CI gate evaluation failed');
     }
 };
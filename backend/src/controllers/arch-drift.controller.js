@@ -2,6 +2,7 @@ const archDependencyParser = require("../services/arch-dependency-parser.service
 const violationDetector = require("../services/violation-detector.service");
 const aiGovernance = require("../services/ai-governance.service");
 const architectureValidator = require("../services/architecture-validator.service");
+const architectureRules = require("../services/architecture-rules.service");
 
 /**
  * Architectural Drift Detector Controller
@@ -177,29 +178,41 @@ class ArchDriftController {
 
   /**
    * Validate architecture against definition
-   * POST /api/arch-drift/validate
+   * POST /api/arch-drift/validate[?format=sarif]
+   * `definition` is a JSON object, JSON text or `.xaytheon/architecture.yml`
+   * text; when omitted the repository's own rules file is used.
    */
   async validateArchitecture(req, res) {
     try {
       const { owner, repo, definition } = req.body;
 
-      if (!owner || !repo || !definition) {
+      if (!owner || !repo) {
         return res.status(400).json({
-          error: "Owner, repo, and architecture definition are required",
+          error: "Owner and repo are required",
         });
       }
 
       const report = await architectureValidator.validateArchitecture(owner, repo, definition);
 
+      if (req.query.format === "sarif") {
+        if (!report.gate) {
+          return res.status(400).json({
+            error: "SARIF output requires an architecture rules file definition",
+          });
+        }
+        return res.json(architectureRules.toSarif(report));
+      }
+
       res.json({
         success: true,
         data: report,
       });
     } catch (error) {
       console.error("Error validating architecture:", error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         error: "Failed to validate architecture",
         message: error.message,
+        ...(error.problems && error.problems.length > 0 && { problems: error.problems }),
       });
     }
   }
@@ -8,6 +8,11 @@
 const complianceService = require('../services/compliance.service');
 const reportGenerator = require('../services/report-generator.service');
 
+const sendError = (res, error, fallback) => {
+    if (!error.statusCode) console.error(`${fallback}:`, error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.statusCode ? error.message : fallback });
+};
+
 /**
  * Start a new compliance audit
  * POST /api/audit/run
@@ -32,6 +37,9 @@ exports.runAudit = async (req, res) => {
             data: auditResult
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         console.error("Audit Controller Error:", error);
         res.status(500).json({
             success: false,
@@ -43,7 +51,7 @@ exports.runAudit = async (req, res) => {
 
 /**
  * Generate a formatted report from a previous audit
- * GET /api/audit/report/:auditId
+ * GET /api/audit/report/:auditId?format=json|markdown|html|sarif|csv|pdf&template=EXECUTIVE|TECHNICAL|AUDITOR
  */
 exports.getReport = async (req, res) => {
     try {
@@ -62,9 +70,9 @@ exports.getReport = async (req, res) => {
 
         const report = reportGenerator.generateReport(auditData, format, template);
 
-        if (format === 'markdown' || format === 'html') {
-            res.setHeader('Content-Type', format === 'markdown' ? 'text/markdown' : 'text/html');
-            return res.send(report);
+        if (reportGenerator.resolveFormat(format) !== 'json') {
+            res.setHeader('Content-Type', reportGenerator.formatInfo(format).contentType);
+            return res.send(typeof report === 'string' || Buffer.isBuffer(report) ? report : JSON.stringify(report, null, 2));
         }
 
         res.json({
@@ -72,27 +80,84 @@ exports.getReport = async (req, res) => {
             data: report
         });
     } catch (error) {
-        console.error("Report Generation Error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Error generating compliance report."
-        });
+        sendError(res, error, "Error generating compliance report.");
     }
 };
 
 /**
- * Get all available frameworks and controls
- * GET /api/audit/frameworks
+ * Get all available frameworks with the coverage of every control
+ * GET /api/audit/frameworks?repoPath=&auditId=
  */
-exports.listFrameworks = (req, res) => {
+exports.listFrameworks = async (req, res) => {
     try {
-        const frameworks = complianceService.getFrameworks();
+        const { repoPath, auditId } = req.query;
+        const frameworks = await complianceService.getFrameworkCoverage({ repoPath, auditId });
         res.json({
             success: true,
             data: frameworks
         });
     } catch (error) {
-        res.status(500).json({ success: false, message: "Error retrieving frameworks." });
+        sendError(res, error, "Error retrieving frameworks.");
+    }
+};
+
+/**
+ * Attest a control by hand, with evidence files
+ * POST /api/audit/attestations
+ * Body: { framework, controlId, statement, repoPath?, expiresAt?, evidence: [{ filename, contentType, data (base64) }] }
+ */
+exports.createAttestation = async (req, res) => {
+    try {
+        const attestation = await complianceService.attestControl(req.body || {}, req.user.id);
+        res.status(201).json({ success: true, data: attestation });
+    } catch (error) {
+        sendError(res, error, "Failed to record attestation.");
+    }
+};
+
+/**
+ * GET /api/audit/attestations?framework=&controlId=&repoPath=&includeInactive=true
+ */
+exports.listAttestations = async (req, res) => {
+    try {
+        const { framework, controlId, repoPath, includeInactive } = req.query;
+        const attestations = await complianceService.listAttestations({
+            framework,
+            controlId,
+            repoPath,
+            includeInactive: includeInactive === 'true'
+        });
+        res.json({ success: true, count: attestations.length, data: attestations });
+    } catch (error) {
+        sendError(res, error, "Error retrieving attestations.");
+    }
+};
+
+/**
+ * DELETE /api/audit/attestations/:id
+ * Revokes the attestation; it and its evidence are kept for the audit trail.
+ */
+exports.revokeAttestation = async (req, res) => {
+    try {
+        const attestation = await complianceService.revokeAttestation(parseInt(req.params.id, 10), req.user.id);
+        res.json({ success: true, data: attestation });
+    } catch (error) {
+        sendError(res, error, "Failed to revoke attestation.");
+    }
+};
+
+/**
+ * GET /api/audit/attestations/:id/evidence/:evidenceId
+ */
+exports.downloadEvidence = async (req, res) => {
+    try {
+        const evidence = await complianceService.getEvidence(parseInt(req.params.id, 10), parseInt(req.params.evidenceId, 10));
+        res.attachment(evidence.filename);
+        res.setHeader('Content-Type', evidence.contentType);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.send(evidence.content);
+    } catch (error) {
+        sendError(res, error, "Evidence download failed.");
     }
 };
 
@@ -114,22 +179,27 @@ exports.getAuditHistory = (req, res) => {
 };
 
 /**
- * Download report as a physical file (Mock)
- * GET /api/audit/report/:auditId/download
+ * Download report as a file
+ * GET /api/audit/report/:auditId/download?format=markdown|html|json|sarif|csv|pdf&template=EXECUTIVE|TECHNICAL|AUDITOR
  */
 exports.downloadReport = async (req, res) => {
     try {
         const { auditId } = req.params;
+        const { format = 'markdown', template = 'EXECUTIVE' } = req.query;
         const history = complianceService.getAuditHistory();
         const auditData = history.find(a => a.auditId === auditId);
 
         if (!auditData) return res.status(404).send("Report not found");
 
-        const mdContent = reportGenerator.generateReport(auditData, 'markdown');
+        const report = reportGenerator.generateReport(auditData, format, template);
+        const { extension, contentType } = reportGenerator.formatInfo(format);
 
-        res.setHeader('Content-Disposition', `attachment; filename=report_${auditId}.md`);
-        res.send(mdContent);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename=report_${auditId}.${extension}`);
+        res.send(typeof report === 'string' || Buffer.isBuffer(report) ? report : JSON.stringify(report, null, 2));
     } catch (error) {
+        if (error.statusCode) return res.status(error.statusCode).send(error.message);
+        console.error("Report Download Error:", error);
         res.status(500).send("Download failed.");
     }
 };
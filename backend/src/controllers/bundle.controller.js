@@ -1,10 +1,24 @@
+const fs = require('fs');
 const bundleService = require('../services/bundle-analyzer.service');
 const pruningEngine = require('../services/pruning.engine');
 
+/**
+ * GET /api/bundle/city
+ * City of the stats file at BUNDLE_STATS_PATH (e.g. the app's dist/stats.json)
+ */
 exports.getBundleCity = async (req, res) => {
     try {
-        const layout = await bundleService.generateCityLayout();
-        const suggestions = await pruningEngine.getPruningSuggestions(layout.buildings);
+        const statsPath = process.env.BUNDLE_STATS_PATH;
+        if (!statsPath || !fs.existsSync(statsPath)) {
+            return res.status(404).json({
+                success: false,
+                message: 'No build stats loaded. Upload a webpack stats.json, rollup-plugin-visualizer raw-data file or esbuild metafile.'
+            });
+        }
+
+        const stats = await fs.promises.readFile(statsPath, 'utf8');
+        const layout = await bundleService.generateCityLayout(stats);
+        const suggestions = await pruningEngine.getPruningSuggestions(layout.buildings, layout.duplicates);
 
         res.json({
             success: true,
@@ -14,7 +28,55 @@ exports.getBundleCity = async (req, res) => {
             }
         });
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * POST /api/bundle/city
+ * Body: { stats, packageLock? }
+ */
+exports.buildBundleCity = async (req, res) => {
+    try {
+        const { stats, packageLock } = req.body;
+        if (!stats) {
+            return res.status(400).json({ success: false, message: 'stats is required' });
+        }
+
+        const layout = await bundleService.generateCityLayout(stats, { packageLock });
+        const suggestions = await pruningEngine.getPruningSuggestions(layout.buildings, layout.duplicates);
+
+        res.json({
+            success: true,
+            data: {
+                layout,
+                suggestions
+            }
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * POST /api/bundle/diff
+ * Body: { base, head, packageLock?, threshold? }
+ */
+exports.diffBundleCity = async (req, res) => {
+    try {
+        const { base, head, packageLock, threshold } = req.body;
+        if (!base || !head) {
+            return res.status(400).json({ success: false, message: 'base and head stats are required' });
+        }
+
+        const diff = await bundleService.diffBuilds(base, head, { packageLock, threshold: Number(threshold) || 0 });
+
+        res.json({
+            success: true,
+            data: diff
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
     }
 };
 
@@ -1,31 +1,74 @@
 const timeMachine = require('../services/git-time-machine.service');
 const blameAnalyzer = require('../services/blame-analyzer.service');
 
+// Range selection shared by the history endpoints. The repository comes from
+// `repoPath`, confined to TIME_TRAVEL_REPOS_DIR by resolveRequestedRepository.
+const historyOptions = (query) => ({
+    limit: query.limit,
+    since: query.since,
+    until: query.until,
+    ref: query.ref
+});
+
 exports.getTimeline = async (req, res) => {
     try {
-        const timeline = await timeMachine.getTimeline();
+        const repo = await timeMachine.resolveRequestedRepository(req.query.repoPath);
+        const timeline = await timeMachine.getTimeline(repo, historyOptions(req.query));
         res.json({ success: true, data: timeline });
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
+    }
+};
+
+exports.getCommitGraph = async (req, res) => {
+    try {
+        const repo = await timeMachine.resolveRequestedRepository(req.query.repoPath);
+        const graph = await timeMachine.getCommitGraph(repo, { limit: req.query.limit });
+        res.json({ success: true, data: graph });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
+    }
+};
+
+exports.getFileTree = async (req, res) => {
+    const { commitHash } = req.params;
+    try {
+        const repo = await timeMachine.resolveRequestedRepository(req.query.repoPath);
+        const tree = await timeMachine.getFileTreeAtCommit(commitHash, repo);
+        res.json({ success: true, data: tree });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
+    }
+};
+
+exports.getFileChurn = async (req, res) => {
+    try {
+        const repo = await timeMachine.resolveRequestedRepository(req.query.repoPath);
+        const churn = await timeMachine.getFileChurn(repo, historyOptions(req.query));
+        res.json({ success: true, data: churn });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
     }
 };
 
 exports.getBlameAnalysis = async (req, res) => {
     try {
-        const timeline = await timeMachine.getTimeline();
+        const repo = await timeMachine.resolveRequestedRepository(req.query.repoPath);
+        const timeline = await timeMachine.getTimeline(repo, historyOptions(req.query));
         const analysis = await blameAnalyzer.analyzeBugGenesis(timeline);
         res.json({ success: true, data: analysis });
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
     }
 };
 
 exports.traceRegression = async (req, res) => {
     const { commitHash } = req.params;
     try {
-        const trace = await blameAnalyzer.traceRegressionOrigin(commitHash);
+        const repo = await timeMachine.resolveRequestedRepository(req.query.repoPath);
+        const trace = await blameAnalyzer.traceRegressionOrigin(commitHash, repo);
         res.json({ success: true, data: trace });
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
     }
 };
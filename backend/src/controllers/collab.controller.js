@@ -1,4 +1,5 @@
 const socketService = require('../services/socket.service');
+const collabService = require('../services/collab.service');
 
 // Generate an invite link for a collaborative session
 exports.createInvite = (req, res) => {
@@ -17,10 +18,68 @@ exports.createInvite = (req, res) => {
 exports.getRoomStatus = (req, res) => {
     const { roomId } = req.params;
     try {
-        // This is a simplified check. In production we would query the socket service
-        // for active users in this room if we exposed that metadata.
-        res.json({ status: 'active', roomId });
+        const viewers = collabService.getPresence(roomId);
+        const { revision } = collabService.getSnapshot(roomId);
+        res.json({ status: viewers.length > 0 ? 'active' : 'idle', roomId, viewers: viewers.length, revision });
     } catch (error) {
-        res.status(500).json({ message: 'Error checking status' });
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Error checking status' });
+    }
+};
+
+// Current document snapshot for a room
+exports.getDocument = (req, res) => {
+    try {
+        res.json(collabService.getSnapshot(req.params.roomId));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: 'Error loading document', error: error.message });
+    }
+};
+
+// Operations applied after ?since=<revision>; 410 with a snapshot once pruned
+exports.getOperations = (req, res) => {
+    try {
+        const { roomId } = req.params;
+        const since = parseInt(req.query.since, 10);
+        const operations = collabService.getOperationsSince(roomId, since);
+
+        if (!operations) {
+            return res.status(410).json({
+                message: 'Requested revision is no longer in history; resync from snapshot',
+                snapshot: collabService.getSnapshot(roomId)
+            });
+        }
+        res.json({ roomId, since, revision: since + operations.length, operations });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: 'Error loading operations', error: error.message });
+    }
+};
+
+// Submit an operation over HTTP (clients without a socket connection); the
+// authenticated user must have joined the room
+exports.submitOperation = (req, res) => {
+    try {
+        const { roomId } = req.params;
+        const { clientId, seq, revision, operation } = req.body;
+
+        if (!clientId || !Array.isArray(operation)) {
+            return res.status(400).json({ message: 'clientId and operation (array) are required' });
+        }
+
+        const userId = req.user.id;
+        const result = collabService.applyOperation(roomId, { clientId, userId, seq, revision, operation });
+
+        if (!result.duplicate) {
+            socketService.broadcastToRoom(`collab:${roomId}`, 'collab_operation', {
+                roomId,
+                operation: result.operation,
+                revision: result.revision,
+                clientId,
+                userId
+            });
+        }
+
+        res.json({ roomId, seq, ...result });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
     }
 };
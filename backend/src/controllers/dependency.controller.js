@@ -2,18 +2,35 @@ const dependencyService = require('../services/dependency-parser.service');
 
 exports.getGraphData = async (req, res) => {
     try {
-        const { repo } = req.query; // owner/repo format
+        const { repo, ref } = req.query; // owner/repo format
 
         if (!repo) {
             return res.status(400).json({ message: "Repository name is required." });
         }
 
-        // Fetch graph data
-        const graphData = await dependencyService.getMockDependencies(repo);
+        // Installed tree from the repository's lockfile, or its package.json
+        const graphData = await dependencyService.getDependencyGraph(repo, { ref });
 
         res.json(graphData);
     } catch (error) {
         console.error("Error fetching dependency graph:", error);
-        res.status(500).json({ message: "Failed to generate dependency graph." });
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to generate dependency graph." });
+    }
+};
+
+exports.resolveGraphData = async (req, res) => {
+    try {
+        const { repo, packageJson, packageLock, yarnLock } = req.body || {};
+
+        if (!packageJson && !packageLock && !yarnLock) {
+            return res.status(400).json({ message: "packageJson, packageLock or yarnLock is required." });
+        }
+
+        const graphData = await dependencyService.getDependencyGraph(repo || 'project', { packageJson, packageLock, yarnLock });
+
+        res.json(graphData);
+    } catch (error) {
+        console.error("Error resolving dependency graph:", error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to resolve dependency graph." });
     }
 };
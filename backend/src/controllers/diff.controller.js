@@ -269,6 +269,7 @@ function complexFunction(param1, param2, param3) {
     /**
      * POST /api/diff/propagation-map
      * Accepts: { vulnerablePackage, cvssScore, repoManifests }
+     * where each manifest is { repoName, dependencies: string[] | { name: range }, packageLock?, yarnLock? }
      * Returns: full cross-repo propagation map with BFS impact chain.
      */
     async getPropagationMap(req, res) {
@@ -290,7 +291,10 @@ function complexFunction(param1, param2, param3) {
 
             // Build full propagation map via BFS
             const propagationMap = crossRepoMapper.buildFullPropagationMap(
-                vulnerablePackage, cvssScore, manifests
+                vulnerablePackage, cvssScore, manifests.map(m => ({
+                    ...m,
+                    dependencies: Array.isArray(m.dependencies) ? m.dependencies : Object.keys(m.dependencies || {})
+                }))
             );
 
             // Enrich with CVE propagation weights
@@ -302,10 +306,15 @@ function complexFunction(param1, param2, param3) {
 
             const heatmap = cveScorer.generatePropagationHeatmap(scoredChain);
 
-            // Find version overlaps for the vulnerable package
+            // Find version overlaps for the vulnerable package; manifests may carry
+            // declared ranges ({ name: range }) and a packageLock / yarnLock
             const manifestsWithDeps = manifests.map(m => ({
                 repoName: m.repoName,
-                dependencies: Object.fromEntries(m.dependencies.map(d => [d, '^1.0.0']))
+                dependencies: Array.isArray(m.dependencies)
+                    ? Object.fromEntries(m.dependencies.map(d => [d, '*']))
+                    : m.dependencies,
+                packageLock: m.packageLock,
+                yarnLock: m.yarnLock
             }));
             const sharedMatches = depParser.findSharedLibraryMatches(vulnerablePackage, manifestsWithDeps);
 
@@ -3,8 +3,10 @@
  * Handles fleet dashboard API endpoints
  */
 
+const crypto = require('crypto');
 const fleetService = require('../services/fleet-manager.service');
 const fleetModel = require('../models/fleet.model');
+const authMiddleware = require('../middleware/auth.middleware');
 
 /**
  * POST /api/fleet/analyze
@@ -58,6 +60,7 @@ exports.analyzeFleet = async (req, res) => {
                     totalCommits: analysis.fleetSummary.totalCommits
                 }
             );
+            await fleetService.persistDoraMetrics(configId, analysis.repositories);
         }
         
         res.json({
@@ -302,23 +305,137 @@ exports.deleteFleetConfig = async (req, res) => {
 };
 
 /**
- * GET /api/fleet/analytics/:configId
- * Get analytics for a specific fleet configuration
+ * GET /api/fleet/analytics/:configId?days=30&repository=owner/name
+ * Get analytics snapshots and the daily DORA trend for a fleet configuration
  */
 exports.getFleetAnalytics = async (req, res) => {
     try {
         const { configId } = req.params;
-        
+        const { days, repository } = req.query;
+
+        await fleetModel.getFleetConfigById(configId, req.userId);
         const analytics = await fleetModel.getFleetAnalytics(configId);
+        const trend = await fleetService.getDoraTrend(configId, { days, repository });
         
         res.json({
             success: true,
-            data: analytics
+            data: analytics,
+            trend
         });
     } catch (error) {
         console.error("Get fleet analytics error:", error);
+        res.status(error.message === 'Fleet configuration not found' ? 404 : 500).json({
+            message: error.message === 'Fleet configuration not found' ? error.message : "Failed to fetch fleet analytics",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * POST /api/fleet/analytics/:configId/refresh
+ * Recompute and store today's DORA metrics for every repository of a fleet
+ * configuration. Body: { sync, backfillDays, days }
+ */
+exports.refreshFleetAnalytics = async (req, res) => {
+    try {
+        const { configId } = req.params;
+        const { sync, backfillDays, days } = req.body || {};
+
+        const config = await fleetModel.getFleetConfigById(configId, req.userId);
+        let synced = [];
+        if (sync) {
+            synced = await Promise.all(config.repositories.map(repo =>
+                fleetService.syncRepositoryDeployments(repo.owner, repo.name, { days })
+                    .catch(error => ({ repository: `${repo.owner}/${repo.name}`, error: error.message }))
+            ));
+        }
+        const stored = await fleetService.recordDailyDoraMetrics(configId, config.repositories, { backfillDays, days });
+        const trend = await fleetService.getDoraTrend(configId, { days: Math.max((parseInt(backfillDays, 10) || 0) + 1, 30) });
+
+        res.json({
+            success: true,
+            synced,
+            recorded: stored.length,
+            trend
+        });
+    } catch (error) {
+        console.error("Refresh fleet analytics error:", error);
+        res.status(error.message === 'Fleet configuration not found' ? 404 : 500).json({
+            message: error.message === 'Fleet configuration not found' ? error.message : "Failed to refresh fleet analytics",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Accepts either a user access token or, for CI pipelines, the shared
+ * FLEET_DEPLOY_TOKEN in the X-Deploy-Token header
+ */
+exports.authenticateDeploymentSource = (req, res, next) => {
+    const provided = req.get('X-Deploy-Token');
+    const expected = process.env.FLEET_DEPLOY_TOKEN;
+    if (!provided) {
+        return authMiddleware.verifyAccessToken(req, res, next);
+    }
+
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected || '');
+    if (!expected || a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+        return res.status(401).json({ message: "Invalid deploy token" });
+    }
+    next();
+};
+
+/**
+ * POST /api/fleet/deployments
+ * Record a deployment event from a CI/CD pipeline.
+ * Body: { repository: 'owner/name', status, environment, sha, ref, id, url, createdAt, finishedAt, commits: [{ sha, timestamp }] }
+ */
+exports.recordDeployment = async (req, res) => {
+    try {
+        const deployment = await fleetService.recordDeployment(req.body || {});
+
+        res.status(201).json({
+            success: true,
+            data: deployment
+        });
+    } catch (error) {
+        console.error("Record deployment error:", error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : "Failed to record deployment",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * POST /api/fleet/deployments/sync
+ * Import recent deployments from GitHub Deployments or Actions runs.
+ * Body: { repositories: [{ owner, name }], days }
+ */
+exports.syncDeployments = async (req, res) => {
+    try {
+        const { repositories, days } = req.body || {};
+
+        if (!Array.isArray(repositories) || repositories.length === 0 || repositories.some(repo => !repo.owner || !repo.name)) {
+            return res.status(400).json({
+                message: "Repositories array with 'owner' and 'name' fields is required"
+            });
+        }
+
+        const results = await Promise.all(repositories.map(repo =>
+            fleetService.syncRepositoryDeployments(repo.owner, repo.name, { days })
+                .catch(error => ({ repository: `${repo.owner}/${repo.name}`, error: error.message }))
+        ));
+
+        res.json({
+            success: true,
+            data: results
+        });
+    } catch (error) {
+        console.error("Sync deployments error:", error);
         res.status(500).json({
-            message: "Failed to fetch fleet analytics",
+            message: "Failed to sync deployments",
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
@@ -257,33 +257,13 @@ class GlobeController {
     }
 
     /**
-     * Process GitHub webhook event
+     * Queue a GitHub webhook delivery (in GitHub Events API shape) for the globe
      */
-    async processWebhook(req, res) {
-        try {
-            const event = req.body;
-            
-            if (!this.eventAggregator) {
-                return res.status(503).json({
-                    success: false,
-                    error: 'Event aggregator not initialized'
-                });
-            }
-
-            const processed = await this.eventAggregator.addEvent(event);
-
-            res.json({
-                success: true,
-                processed,
-                message: processed ? 'Event queued for processing' : 'Event filtered or rate limited'
-            });
-        } catch (error) {
-            console.error('Error processing webhook:', error);
-            res.status(500).json({
-                success: false,
-                error: 'Failed to process webhook'
-            });
+    async addWebhookEvent(event) {
+        if (!this.eventAggregator) {
+            return { skipped: true };
         }
+        return { queued: await this.eventAggregator.addEvent(event) };
     }
 
     /**
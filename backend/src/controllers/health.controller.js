@@ -9,33 +9,6 @@ exports.getHealthSummary = (req, res) => {
     }
 };
 
-/**
- * GitHub Webhook Receiver
- */
-exports.githubWebhook = async (req, res) => {
-    try {
-        const event = req.headers['x-github-event'];
-        const payload = req.body;
-
-        if (event === 'workflow_run') {
-            const repo = payload.repository.full_name;
-            const status = payload.workflow_run.conclusion === 'success' ? 'success' :
-                payload.workflow_run.conclusion === 'failure' ? 'failure' : 'in_progress';
-
-            await buildService.handleBuildUpdate(repo, {
-                buildId: payload.workflow_run.id.toString(),
-                status: status,
-                logs: 'Automatic logs from GitHub Actions...'
-            });
-        }
-
-        res.status(200).send('Webhook processed');
-    } catch (error) {
-        console.error("Webhook Error:", error);
-        res.status(500).send('Internal Error');
-    }
-};
-
 /**
  * Endpoint to trigger a mock build update (for testing/demo)
  */
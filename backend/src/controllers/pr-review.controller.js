@@ -4,6 +4,7 @@
  */
 
 const prReviewerService = require('../services/pr-reviewer.service');
+const reviewRulesEngine = require('../services/review-rules.engine');
 
 /**
  * POST /api/pr-review/analyze
@@ -38,8 +39,16 @@ exports.analyzePR = async (req, res) => {
             });
         }
 
+        const { files, rules } = req.body;
+        if (files !== undefined && (files === null || typeof files !== 'object' || Array.isArray(files) ||
+            Object.values(files).some(content => typeof content !== 'string'))) {
+            return res.status(400).json({
+                message: "files must map file paths to their new content"
+            });
+        }
+
         // Analyze the PR
-        const analysis = await prReviewerService.analyzePR(prDiff, repoName, prNumber);
+        const analysis = await prReviewerService.analyzePR(prDiff, repoName, prNumber, { files, rules });
 
         res.json({
             success: true,
@@ -48,6 +57,9 @@ exports.analyzePR = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         console.error("PR Analysis Error:", error);
         res.status(500).json({
             message: "Failed to analyze pull request",
@@ -90,7 +102,8 @@ exports.batchAnalyzePRs = async (req, res) => {
                 const analysis = await prReviewerService.analyzePR(
                     pr.prDiff,
                     pr.repoName,
-                    pr.prNumber
+                    pr.prNumber,
+                    { files: pr.files, rules: pr.rules }
                 );
                 
                 results.push({
@@ -173,6 +186,18 @@ exports.getReviewTemplates = async (req, res) => {
     }
 };
 
+/**
+ * GET /api/pr-review/rules
+ * List the rules the analyzer runs over added lines
+ */
+exports.getReviewRules = async (req, res) => {
+    res.json({
+        success: true,
+        data: reviewRulesEngine.getRules(),
+        timestamp: new Date().toISOString()
+    });
+};
+
 /**
  * GET /api/pr-review/stats
  * Get statistics about PR reviews
@@ -218,11 +243,13 @@ exports.getReviewStats = async (req, res) => {
 
 /**
  * POST /api/pr-review/generate-comment
- * Generate a review comment based on issues found
+ * Generate a review comment based on issues found. Issues anchored to a diff
+ * position become inline comments of the review; with `post: true` the
+ * review is submitted to the pull request on GitHub.
  */
 exports.generateReviewComment = async (req, res) => {
     try {
-        const { issues, repoName, prNumber, templateId = 'comprehensive' } = req.body;
+        const { issues, repoName, prNumber, templateId = 'comprehensive', post = false, commitId } = req.body;
 
         if (!issues || !Array.isArray(issues)) {
             return res.status(400).json({
@@ -236,12 +263,16 @@ exports.generateReviewComment = async (req, res) => {
             });
         }
 
-        const comment = this.generateCommentFromIssues(issues, repoName, prNumber, templateId);
+        const comment = exports.generateCommentFromIssues(issues, repoName, prNumber, templateId);
+        const review = prReviewerService.buildReview(issues, comment);
+        const posted = post ? await prReviewerService.postReview(repoName, prNumber, review, commitId) : null;
 
         res.json({
             success: true,
             data: {
                 comment,
+                review,
+                posted,
                 repoName,
                 prNumber,
                 templateUsed: templateId
@@ -250,6 +281,9 @@ exports.generateReviewComment = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         console.error("Generate Review Comment Error:", error);
         res.status(500).json({
             message: "Failed to generate review comment",
@@ -258,6 +292,8 @@ exports.generateReviewComment = async (req, res) => {
     }
 };
 
+const formatLocation = (issue) => (issue.path ? ` (\`${issue.path}:${issue.line}\`)` : '');
+
 // Helper method to generate comment from issues
 exports.generateCommentFromIssues = (issues, repoName, prNumber, templateId) => {
     const header = `## Automated Code Review for PR #${prNumber}\n\n`;
@@ -282,8 +318,8 @@ exports.generateCommentFromIssues = (issues, repoName, prNumber, templateId) =>
     if (groupedIssues.high.length > 0) {
         comment += `### ⚠️ Critical Issues\n`;
         groupedIssues.high.forEach(issue => {
-            comment += `- **${issue.title}**: ${issue.description}\n`;
-            comment += `  - *Suggestion*: ${issue.suggestion}\n\n`;
+            comment += `- **${issue.title}**${formatLocation(issue)}: ${issue.description}\n`;
+            comment += `  - *Suggestion*: ${issue.suggestion || issue.solution}\n\n`;
         });
     }
 
@@ -291,8 +327,8 @@ exports.generateCommentFromIssues = (issues, repoName, prNumber, templateId) =>
     if (groupedIssues.medium.length > 0) {
         comment += `### 🔍 Medium Priority Issues\n`;
         groupedIssues.medium.forEach(issue => {
-            comment += `- **${issue.title}**: ${issue.description}\n`;
-            comment += `  - *Suggestion*: ${issue.suggestion}\n\n`;
+            comment += `- **${issue.title}**${formatLocation(issue)}: ${issue.description}\n`;
+            comment += `  - *Suggestion*: ${issue.suggestion || issue.solution}\n\n`;
         });
     }
 
@@ -300,13 +336,13 @@ exports.generateCommentFromIssues = (issues, repoName, prNumber, templateId) =>
     if (groupedIssues.low.length > 0) {
         comment += `### 💡 Low Priority Issues\n`;
         groupedIssues.low.forEach(issue => {
-            comment += `- **${issue.title}**: ${issue.description}\n`;
-            comment += `  - *Suggestion*: ${issue.suggestion}\n\n`;
+            comment += `- **${issue.title}**${formatLocation(issue)}: ${issue.description}\n`;
+            comment += `  - *Suggestion*: ${issue.suggestion || issue.solution}\n\n`;
         });
     }
 
     // Add recommendations based on template
-    const recommendations = this.getRecommendationsForTemplate(templateId);
+    const recommendations = exports.getRecommendationsForTemplate(templateId);
     if (recommendations.length > 0) {
         comment += `### 📋 Recommendations\n`;
         recommendations.forEach(rec => {
@@ -5,15 +5,15 @@ const releaseNotesService = require('../services/release-notes.service');
  */
 exports.generateReleaseNotes = async (req, res) => {
     try {
-        const { repo, base, head } = req.body;
+        const { repo, base, head, repoPath } = req.body;
 
-        if (!repo || !base || !head) {
+        if ((!repo && !repoPath) || !base || !head) {
             return res.status(400).json({
                 message: "Repository name, base tag, and head tag are required."
             });
         }
 
-        const notes = await releaseNotesService.generateNotes(repo, base, head);
+        const notes = await releaseNotesService.generateNotes(repo, base, head, { repoPath });
 
         res.json({
             success: true,
@@ -21,7 +21,7 @@ exports.generateReleaseNotes = async (req, res) => {
         });
     } catch (error) {
         console.error("Release Notes Generation Error:", error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             message: "Failed to generate release notes.",
             error: error.message
         });
@@ -30,16 +30,27 @@ exports.generateReleaseNotes = async (req, res) => {
 
 exports.publishToGithub = async (req, res) => {
     try {
-        const { repo, tag, notes } = req.body;
-        // Mock GitHub API call
-        console.log(`Publishing notes to ${repo} for tag ${tag}`);
+        const { repo, tag, notes, name, target, draft, prerelease } = req.body;
+
+        if (!repo || !tag) {
+            return res.status(400).json({ message: "Repository name and tag are required." });
+        }
+
+        const release = await releaseNotesService.publishRelease(repo, { tag, notes, name, target, draft, prerelease });
 
         res.json({
             success: true,
-            message: "Successfully published release notes to GitHub.",
-            releaseUrl: `https://github.com/${repo}/releases/tag/${tag}`
+            message: release.created
+                ? "Successfully published release notes to GitHub."
+                : "Updated the existing GitHub release for this tag.",
+            releaseId: release.id,
+            releaseUrl: release.url
         });
     } catch (error) {
-        res.status(500).json({ message: "Failed to publish to GitHub." });
+        console.error("Release Publish Error:", error);
+        res.status(error.statusCode || 500).json({
+            message: "Failed to publish to GitHub.",
+            error: error.message
+        });
     }
 };
@@ -3,14 +3,21 @@ const riskEngine = require('../services/risk-engine.service');
 
 exports.getAnalysis = async (req, res) => {
     try {
-        const { repo } = req.query;
-        if (!repo) return res.status(400).json({ message: "Repo is required" });
+        const { repo, repoPath, base, branches, maxPrs } = req.query;
+        if (!repo && !repoPath) return res.status(400).json({ message: "Repo is required" });
+        if (repo && !/^[\w.-]+\/[\w.-]+$/.test(repo)) return res.status(400).json({ message: "Repo must be owner/name" });
 
-        const data = await riskService.analyzeConflicts(repo);
+        const data = await riskService.analyzeConflicts(repo, {
+            repoPath,
+            base,
+            branches: branches ? branches.split(',').map(b => b.trim()).filter(Boolean) : undefined,
+            maxPrs: maxPrs ? parseInt(maxPrs) : undefined
+        });
         res.json(data);
     } catch (error) {
-        console.error("Risk Analysis Error:", error);
-        res.status(500).json({ message: "Failed to perform risk analysis" });
+        console.error("Risk Analysis Error:", error.message);
+        const status = error.statusCode || (error.response && [403, 404].includes(error.response.status) ? error.response.status : 500);
+        res.status(status).json({ message: error.statusCode ? error.message : "Failed to perform risk analysis" });
     }
 };
 
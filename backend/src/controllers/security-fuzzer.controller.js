@@ -7,16 +7,19 @@ const taintAnalyzer = require('../services/taint-analyzer.service');
 const vulnerabilityPathTracer = require('../services/vulnerability-path.service');
 const securityTestGenerator = require('../services/security-test-generator.service');
 const cveScorer = require('../services/cve-scorer.service');
+const vulnerabilityDb = require('../services/vulnerability-db.service');
+const reportGenerator = require('../services/report-generator.service');
 const fs = require('fs').promises;
 const path = require('path');
 
 class SecurityFuzzerController {
     /**
      * Analyze project for taint flows
+     * POST /api/security-fuzzer/taint/analyze[?format=sarif]
      */
     async analyzeTaintFlows(req, res) {
         try {
-            const { files } = req.body;
+            const { files, catalog, replaceCatalog } = req.body;
 
             if (!files || !Array.isArray(files)) {
                 return res.status(400).json({
@@ -24,7 +27,12 @@ class SecurityFuzzerController {
                 });
             }
 
-            const analysis = await taintAnalyzer.analyzeProject(files);
+            // Optional catalog: { sources, sanitizers, sinks } entries with string `match` values
+            const analysis = await taintAnalyzer.analyzeProject(files, { catalog, replaceCatalog });
+
+            if (req.query.format === 'sarif') {
+                return res.json(reportGenerator.taintToSarif(analysis));
+            }
 
             res.json({
                 success: true,
@@ -389,6 +397,122 @@ class SecurityFuzzerController {
             });
         }
     }
+    /**
+     * Import OSV/GHSA advisories into the local vulnerability database.
+     * Body: { advisories: [...] } or { path } relative to VULN_DB_DUMP_DIR, plus optional { force }.
+     */
+    async importVulnerabilityDb(req, res) {
+        try {
+            const { advisories, path: dumpPath, force } = req.body || {};
+            let source = advisories;
+
+            if (!source && dumpPath) {
+                const dumpDir = process.env.VULN_DB_DUMP_DIR;
+                if (!dumpDir) {
+                    return res.status(400).json({
+                        error: 'Server-side imports require VULN_DB_DUMP_DIR to be configured'
+                    });
+                }
+                source = path.resolve(dumpDir, dumpPath);
+                if (source !== path.resolve(dumpDir) && !source.startsWith(path.resolve(dumpDir) + path.sep)) {
+                    return res.status(400).json({ error: 'Dump path must stay inside VULN_DB_DUMP_DIR' });
+                }
+            }
+
+            if (!source) {
+                return res.status(400).json({
+                    error: 'Missing required parameter: advisories or path'
+                });
+            }
+
+            const result = await vulnerabilityDb.importDump(source, { force: Boolean(force) });
+
+            res.json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            console.error('Error importing vulnerability database:', error);
+            res.status(error.statusCode || 500).json({
+                error: 'Failed to import vulnerability database',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Local vulnerability database status
+     */
+    async getVulnerabilityDbStatus(req, res) {
+        try {
+            const status = await vulnerabilityDb.getStatus();
+
+            res.json({
+                success: true,
+                data: status
+            });
+        } catch (error) {
+            console.error('Error reading vulnerability database status:', error);
+            res.status(500).json({
+                error: 'Failed to read vulnerability database status',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Look up an advisory by id or alias
+     */
+    async getAdvisory(req, res) {
+        try {
+            const advisory = await vulnerabilityDb.getAdvisory(req.params.id);
+
+            if (!advisory) {
+                return res.status(404).json({
+                    error: `Advisory not found: ${req.params.id}`
+                });
+            }
+
+            res.json({
+                success: true,
+                data: advisory
+            });
+        } catch (error) {
+            console.error('Error reading advisory:', error);
+            res.status(500).json({
+                error: 'Failed to read advisory',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Match a package-lock.json against the local vulnerability database
+     */
+    async scanLockfile(req, res) {
+        try {
+            const { packageLock, includeDev } = req.body || {};
+
+            if (!packageLock) {
+                return res.status(400).json({
+                    error: 'Missing required parameter: packageLock'
+                });
+            }
+
+            const report = await vulnerabilityDb.scanLockfile(packageLock, { includeDev: includeDev !== false });
+
+            res.json({
+                success: true,
+                data: report
+            });
+        } catch (error) {
+            console.error('Error scanning lockfile:', error);
+            res.status(error.statusCode || 500).json({
+                error: 'Failed to scan lockfile',
+                message: error.message
+            });
+        }
+    }
 }
 
 module.exports = new SecurityFuzzerController();
@@ -4,6 +4,33 @@
 
 const taintAnalyzer = require('../services/taint-analyzer.service');
 const vulnEngine = require('../services/vulnerability-engine.service');
+const securityAnalyzer = require('../services/security-analyzer.service');
+const fuzzerEngine = require('../services/fuzzer.engine');
+const targetDiscovery = require('../services/fuzz-target-discovery.service');
+const { FuzzTargetError } = targetDiscovery;
+
+// A session fuzzing this backend must not call the routes that start sessions
+const SELF_FUZZ_EXCLUDES = ['/api/security/fuzz'];
+
+/**
+ * Discovery input of a fuzz request; `express` targets this server's own routes
+ */
+function discoveryInput(req) {
+    const { source = 'openapi', openapi, baseUrl, include, exclude, methods, headers } = req.body || {};
+    if (source === 'express') {
+        return {
+            app: req.app,
+            baseUrl: baseUrl || `http://127.0.0.1:${req.socket.localPort}`,
+            include,
+            exclude: [...SELF_FUZZ_EXCLUDES, ...[].concat(exclude || [])],
+            methods,
+            headers
+        };
+    }
+    if (source !== 'openapi') throw new FuzzTargetError('source must be openapi or express');
+    if (!openapi) throw new FuzzTargetError('openapi document required');
+    return { openapi, baseUrl, include, exclude, methods, headers };
+}
 
 class SecurityController {
     /**
@@ -20,7 +47,7 @@ class SecurityController {
 
             // For each finding, try to get a patch
             const enrichedFindings = scanResult.findings.map(f => {
-                const patch = vulnEngine.proposePatch({ type: f.type, content: 'innerHTML = userTyped' }); // Simplified mock content
+                const patch = vulnEngine.proposePatch({ type: f.type, content: f.snippet });
                 return { ...f, patch };
             });
 
@@ -40,15 +67,96 @@ class SecurityController {
 
     /**
      * GET /api/security/history
+     * Taint scans, plus the persisted fuzzing sessions
      */
     async getHistory(req, res) {
         try {
-            res.json({ success: true, history: taintAnalyzer.getHistory() });
+            const limit = Math.min(Number(req.query.limit) || 20, 100);
+            res.json({
+                success: true,
+                history: taintAnalyzer.getHistory(),
+                fuzzSessions: await fuzzerEngine.getHistory(limit)
+            });
         } catch (error) {
             res.status(500).json({ success: false, message: error.message });
         }
     }
 
+    /**
+     * POST /api/security/fuzz
+     * Body: { targetUrl, method, query, body, headers, options }
+     */
+    async startFuzz(req, res) {
+        try {
+            const { targetUrl, url, method, query, body, headers, options } = req.body || {};
+            const target = targetUrl || url;
+            if (!target || typeof target !== 'string') {
+                return res.status(400).json({ success: false, message: 'targetUrl required' });
+            }
+
+            const request = { method };
+            if (query !== undefined) request.query = query;
+            if (body !== undefined) request.body = body;
+            if (headers !== undefined) request.headers = headers;
+
+            const result = await securityAnalyzer.triggerAutomatedScan(target, request, { ...options, startedBy: req.user.id });
+            if (result.status === 'already_running') {
+                return res.status(409).json({ success: false, message: `A fuzzing session is already running against ${target}` });
+            }
+
+            res.json({ success: true, session: result.session, vulnerabilities: result.threats });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    /**
+     * POST /api/security/fuzz/discover
+     * Body: { source: 'openapi' | 'express', openapi, baseUrl, include, exclude, methods, headers, options }
+     * `express` fuzzes this backend's own routes
+     */
+    async startDiscoveryFuzz(req, res) {
+        try {
+            const discovery = discoveryInput(req);
+            const session = await fuzzerEngine.startDiscoverySession(discovery, { ...(req.body || {}).options, startedBy: req.user.id });
+            res.json({ success: true, session, vulnerabilities: securityAnalyzer.recordFuzzFindings(session) });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    /**
+     * POST /api/security/fuzz/targets
+     * Lists the endpoints a discovery session would cover, without sending requests
+     */
+    async listFuzzTargets(req, res) {
+        try {
+            const discovery = discoveryInput(req);
+            const found = discovery.app ? targetDiscovery.fromExpressApp(discovery.app) : targetDiscovery.fromOpenApi(discovery.openapi);
+            const endpoints = targetDiscovery.filterEndpoints(found.endpoints, discovery).map(endpoint => ({
+                method: endpoint.method,
+                path: endpoint.path,
+                operationId: endpoint.operationId,
+                parameters: endpoint.parameters.map(({ name, in: location, required, schema }) => ({ name, in: location, required, schema })),
+                requestBody: endpoint.requestBody ? endpoint.requestBody.schema : null
+            }));
+            res.json({ success: true, title: found.title, servers: found.servers, count: endpoints.length, endpoints });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    /**
+     * GET /api/security/fuzz/:sessionId
+     */
+    async getFuzzSession(req, res) {
+        try {
+            res.json({ success: true, session: await fuzzerEngine.getSession(req.params.sessionId) });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
     /**
      * POST /api/security/apply-patch
      */
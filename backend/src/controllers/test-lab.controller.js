@@ -1,29 +1,71 @@
 const testGen = require('../services/test-gen.service');
 const mapper = require('../services/coverage-mapper.service');
 
+const DEFAULT_REPO = 'SatyamPandey-07/xaytheon';
+
+const sendError = (res, error, fallback) => {
+    if (!error.statusCode) console.error(`${fallback}:`, error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.statusCode ? error.message : fallback });
+};
+
+/**
+ * GET /api/test-lab/analyze?repo=owner/name&filePath=src/x.js&reportId=
+ * Branches of a file in the repository checkout, with their coverage from the
+ * given (default: latest) ingested report.
+ */
 exports.analyzeCode = async (req, res) => {
     try {
-        const { filePath } = req.query;
+        const { filePath, repo = DEFAULT_REPO, reportId } = req.query;
         if (!filePath) return res.status(400).json({ message: "File path is required" });
 
-        const branches = await testGen.analyzeBranches(filePath);
-        const logicTree = await mapper.mapLogicTree(filePath, branches);
+        const analysis = await testGen.analyzeFile(repo, filePath, { reportId: reportId ? parseInt(reportId, 10) : null });
+        const logicTree = await mapper.mapLogicTree(analysis.filePath, analysis.branches);
 
         res.json({
             success: true,
             data: {
-                branches,
+                ...analysis,
                 logicTree
             }
         });
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
+        sendError(res, error, 'Branch analysis failed');
+    }
+};
+
+/**
+ * POST /api/test-lab/coverage
+ * Body: { repo, report, format?, branch?, commitId? }
+ * report is the text of lcov.info, a Cobertura XML file or coverage-final.json (string or object).
+ */
+exports.ingestCoverage = async (req, res) => {
+    try {
+        const { repo = DEFAULT_REPO, report, format, branch, commitId } = req.body || {};
+        const stored = await testGen.ingestCoverage(repo, report, { format, branch, commitId });
+        res.status(201).json({ success: true, data: stored });
+    } catch (error) {
+        sendError(res, error, 'Coverage ingestion failed');
+    }
+};
+
+/**
+ * GET /api/test-lab/coverage?repo=owner/name&limit=
+ */
+exports.listCoverage = async (req, res) => {
+    try {
+        const { repo = DEFAULT_REPO } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const reports = await testGen.listCoverage(repo, limit);
+        res.json({ success: true, data: reports });
+    } catch (error) {
+        sendError(res, error, 'Failed to list coverage reports');
     }
 };
 
 exports.generateTests = async (req, res) => {
     try {
         const { filePath, branches } = req.body;
+        if (!Array.isArray(branches)) return res.status(400).json({ success: false, message: 'branches must be an array' });
         const testSuite = await testGen.generateTestSuite(filePath, branches);
 
         res.json({
@@ -31,6 +73,6 @@ exports.generateTests = async (req, res) => {
             data: testSuite
         });
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
+        sendError(res, error, 'Test generation failed');
     }
 };
@@ -5,6 +5,30 @@
 const eventStreamService = require('../services/event-stream.service');
 const incidentService = require('../services/incident.service');
 const aiRootCauseService = require('../services/ai-root-cause.service');
+const { getIO } = require('../socket/socket.server');
+
+// Incident changes are attributed to the signed-in user
+const actorId = (req) => (req.user ? String(req.user.id) : 'anonymous');
+
+// Let everyone in the incident's War-Room see lifecycle changes
+const broadcastIncident = (incident, action) => {
+    try {
+        getIO().to(`war_room:${incident.id}`).emit('incident_state_changed', {
+            action,
+            incident,
+            timestamp: Date.now()
+        });
+    } catch (error) {
+        // Socket server not running (tests, scripts)
+    }
+};
+
+const sendError = (res, error) => {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+    });
+};
 
 class WarRoomController {
     /**
@@ -120,12 +144,13 @@ class WarRoomController {
     async getIncidents(req, res) {
         try {
             const filter = {
+                state: req.query.state,
                 status: req.query.status,
                 severity: req.query.severity,
                 repository: req.query.repository
             };
 
-            const incidents = incidentService.getAllIncidents(filter);
+            const incidents = await incidentService.getAllIncidents(filter);
             
             res.json({
                 success: true,
@@ -133,10 +158,7 @@ class WarRoomController {
                 incidents
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message
-            });
+            sendError(res, error);
         }
     }
 
@@ -146,7 +168,7 @@ class WarRoomController {
     async getIncident(req, res) {
         try {
             const { id } = req.params;
-            const incident = incidentService.getIncident(id);
+            const incident = await incidentService.getIncident(id);
 
             if (!incident) {
                 return res.status(404).json({
@@ -160,10 +182,7 @@ class WarRoomController {
                 incident
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message
-            });
+            sendError(res, error);
         }
     }
 
@@ -172,7 +191,7 @@ class WarRoomController {
      */
     async createIncident(req, res) {
         try {
-            const { event, userId } = req.body;
+            const { event } = req.body;
 
             if (!event) {
                 return res.status(400).json({
@@ -181,49 +200,89 @@ class WarRoomController {
                 });
             }
 
-            const incident = incidentService.createIncident(event, userId || 'anonymous');
+            const created = await incidentService.createIncident(event, actorId(req));
 
             // Perform AI analysis
-            const analysis = await aiRootCauseService.analyzeIncident(incident);
-            incidentService.setRootCause(
-                incident.id,
+            const analysis = await aiRootCauseService.analyzeIncident(created);
+            const incident = await incidentService.setRootCause(
+                created.id,
                 analysis.rootCause,
                 analysis.hypothesis,
                 analysis.suggestedActions
             );
 
-            res.json({
+            res.status(201).json({
                 success: true,
                 incident,
                 analysis
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Move incident to another lifecycle state
+     */
+    async transitionIncident(req, res) {
+        try {
+            const { id } = req.params;
+            const { state, notes } = req.body;
+
+            if (!state) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Target state is required'
+                });
+            }
+
+            const incident = await incidentService.transition(id, state, actorId(req), notes);
+            broadcastIncident(incident, 'transition');
+
+            res.json({
+                success: true,
+                incident
             });
+        } catch (error) {
+            sendError(res, error);
         }
     }
 
     /**
-     * Update incident status
+     * Update incident status (legacy alias of transition)
      */
     async updateIncidentStatus(req, res) {
         try {
             const { id } = req.params;
-            const { status, userId, notes } = req.body;
+            const { status, notes } = req.body;
 
-            const incident = incidentService.updateStatus(id, status, userId, notes);
+            const incident = await incidentService.updateStatus(id, status, actorId(req), notes);
+            broadcastIncident(incident, 'transition');
 
             res.json({
                 success: true,
                 incident
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Get incident timeline
+     */
+    async getIncidentTimeline(req, res) {
+        try {
+            const { id } = req.params;
+            const timeline = await incidentService.getTimeline(id);
+
+            res.json({
+                success: true,
+                count: timeline.length,
+                timeline
             });
+        } catch (error) {
+            sendError(res, error);
         }
     }
 
@@ -233,19 +292,17 @@ class WarRoomController {
     async assignIncident(req, res) {
         try {
             const { id } = req.params;
-            const { userIds, assignedBy } = req.body;
+            const { userIds } = req.body;
 
-            const incident = incidentService.assignIncident(id, userIds, assignedBy);
+            const incident = await incidentService.assignIncident(id, userIds, actorId(req));
+            broadcastIncident(incident, 'assigned');
 
             res.json({
                 success: true,
                 incident
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message
-            });
+            sendError(res, error);
         }
     }
 
@@ -255,19 +312,49 @@ class WarRoomController {
     async addComment(req, res) {
         try {
             const { id } = req.params;
-            const { userId, comment } = req.body;
+            const { comment } = req.body;
 
-            const incident = incidentService.addComment(id, userId, comment);
+            const incident = await incidentService.addComment(id, actorId(req), comment);
+            broadcastIncident(incident, 'comment');
 
             res.json({
                 success: true,
                 incident
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Pin incident to the War-Room
+     */
+    async pinIncident(req, res) {
+        try {
+            const incident = await incidentService.pinIncident(req.params.id, actorId(req));
+
+            res.json({
+                success: true,
+                incident
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    /**
+     * Unpin the pinned incident
+     */
+    async unpinIncident(req, res) {
+        try {
+            const incident = await incidentService.unpinIncident(actorId(req));
+
+            res.json({
+                success: true,
+                incident
             });
+        } catch (error) {
+            sendError(res, error);
         }
     }
 
@@ -277,7 +364,7 @@ class WarRoomController {
     async analyzeIncident(req, res) {
         try {
             const { id } = req.params;
-            const incident = incidentService.getIncident(id);
+            const incident = await incidentService.getIncident(id);
 
             if (!incident) {
                 return res.status(404).json({
@@ -295,10 +382,7 @@ class WarRoomController {
                 remediationPlan
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message
-            });
+            sendError(res, error);
         }
     }
 
@@ -308,17 +392,14 @@ class WarRoomController {
     async getIncidentStats(req, res) {
         try {
             const timeWindow = parseInt(req.query.timeWindow) || 86400000; // 24 hours
-            const stats = incidentService.getStatistics(timeWindow);
+            const stats = await incidentService.getStatistics(timeWindow);
 
             res.json({
                 success: true,
                 stats
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message
-            });
+            sendError(res, error);
         }
     }
 
@@ -327,17 +408,14 @@ class WarRoomController {
      */
     async getPinnedIncident(req, res) {
         try {
-            const incident = incidentService.getPinnedIncident();
+            const incident = await incidentService.getPinnedIncident();
 
             res.json({
                 success: true,
                 incident
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message
-            });
+            sendError(res, error);
         }
     }
 }
@@ -0,0 +1,78 @@
+const webhookService = require("../services/github-webhook.service");
+
+const sendError = (res, error, fallback) => {
+    if (!error.statusCode) console.error(`${fallback}:`, error);
+    res.status(error.statusCode || 500).json({
+        message: error.statusCode ? error.message : fallback,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+/**
+ * POST /api/webhooks/github
+ * GitHub webhook ingress (content type application/json, signed with GITHUB_WEBHOOK_SECRET).
+ * Answers as soon as the delivery is verified and stored; handlers run afterwards.
+ */
+exports.receiveGithubWebhook = async (req, res) => {
+    try {
+        const { delivery, duplicate } = await webhookService.receive({
+            id: req.headers['x-github-delivery'],
+            event: req.headers['x-github-event'],
+            signature: req.headers['x-hub-signature-256'],
+            rawBody: req.rawBody
+        });
+
+        if (duplicate) {
+            return res.status(200).json({ success: true, duplicate: true, delivery: delivery.id, status: delivery.status });
+        }
+
+        res.status(202).json({ success: true, delivery: delivery.id, event: delivery.event });
+
+        // For a GitHub redelivery of a failed delivery this reruns only the handlers that failed
+        webhookService.replay(delivery.id).catch(error => {
+            console.error(`Webhook delivery ${delivery.id} could not be processed:`, error);
+        });
+    } catch (error) {
+        sendError(res, error, "Failed to receive webhook");
+    }
+};
+
+/**
+ * GET /api/webhooks/deliveries?event=&status=&repository=&limit=
+ */
+exports.listDeliveries = async (req, res) => {
+    try {
+        const { event, status, repository } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const deliveries = await webhookService.listDeliveries({ event, status, repository, limit });
+
+        res.json({ success: true, data: deliveries });
+    } catch (error) {
+        sendError(res, error, "Failed to list webhook deliveries");
+    }
+};
+
+/**
+ * GET /api/webhooks/deliveries/:id
+ */
+exports.getDelivery = async (req, res) => {
+    try {
+        const delivery = await webhookService.getDelivery(req.params.id);
+        res.json({ success: true, data: delivery });
+    } catch (error) {
+        sendError(res, error, "Failed to get webhook delivery");
+    }
+};
+
+/**
+ * POST /api/webhooks/deliveries/:id/replay
+ * Body: { all } - rerun every handler instead of only the ones that failed
+ */
+exports.replayDelivery = async (req, res) => {
+    try {
+        const delivery = await webhookService.replay(req.params.id, { all: Boolean(req.body && req.body.all) });
+        res.json({ success: true, data: delivery });
+    } catch (error) {
+        sendError(res, error, "Failed to replay webhook delivery");
+    }
+};
@@ -12,11 +12,14 @@ exports.generateYaml = async (req, res) => {
         }
 
         const yaml = yamlService.generateWorkflowYaml(workflowData);
-        const validation = yamlService.validateWorkflow(workflowData.jobs);
+        const validation = yamlService.validateWorkflow(workflowData);
 
         res.json({
             yaml,
-            validation: validation.isValid ? "Workflow is valid." : validation.error
+            validation: validation.isValid ? "Workflow is valid." : validation.error,
+            isValid: validation.isValid,
+            errors: validation.errors,
+            warnings: validation.warnings
         });
     } catch (error) {
         console.error("Error generating YAML:", error);
@@ -24,6 +27,32 @@ exports.generateYaml = async (req, res) => {
     }
 };
 
+/**
+ * Load an existing workflow file back into builder data.
+ */
+exports.parseYaml = async (req, res) => {
+    try {
+        const { yaml } = req.body;
+
+        if (typeof yaml !== 'string' || !yaml.trim()) {
+            return res.status(400).json({ message: "Workflow YAML is required." });
+        }
+
+        const workflowData = yamlService.parseWorkflowYaml(yaml);
+        const validation = yamlService.validateWorkflow(workflowData);
+
+        res.json({
+            workflowData,
+            isValid: validation.isValid,
+            errors: validation.errors,
+            warnings: validation.warnings
+        });
+    } catch (error) {
+        if (!error.statusCode) console.error("Error parsing YAML:", error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Server error during YAML parsing." });
+    }
+};
+
 exports.getTemplates = (req, res) => {
     const templates = [
         {
@@ -66,6 +66,35 @@ exports.verifyAccessToken = async (req, res, next) => {
 // Alias for common usage
 exports.authenticateToken = exports.verifyAccessToken;
 
+/**
+ * Socket.IO counterpart of verifyAccessToken: checks the access token sent in
+ * the handshake (`auth.token`) and attaches socket.user = { id, role }
+ */
+exports.verifySocketAccessToken = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token || typeof token !== "string" || token.length > 1000) {
+      return next(new Error("Access token required"));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== "access") {
+      return next(new Error("Invalid token type"));
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      return next(new Error("User not found"));
+    }
+
+    socket.user = { id: user.id, role: user.role || 'user' };
+    socket.userId = user.id;
+    next();
+  } catch (err) {
+    next(new Error(err.name === "TokenExpiredError" ? "Access token expired" : "Invalid access token"));
+  }
+};
+
 /**
  * Optional authentication middleware
  * Attaches user to request if token is valid, but allows request through if not
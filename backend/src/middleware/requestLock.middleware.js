@@ -1,7 +1,8 @@
 const requestMap = new Map();
 
 module.exports = function requestLock(req, res, next) {
-  const key = `${req.ip}:${req.originalUrl}`;
+  // GitHub sends concurrent webhook deliveries from the same hosts; each delivery gets its own lock
+  const key = `${req.ip}:${req.originalUrl}:${req.headers["x-github-delivery"] || ""}`;
 
   if (requestMap.has(key)) {
     return res.status(429).json({
@@ -0,0 +1,41 @@
+-- Users and search history (previously created by config/db.js and migrate-db.js)
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT UNIQUE NOT NULL,
+  password TEXT,
+  github_id TEXT,
+  username TEXT,
+  avatar_url TEXT,
+  refresh_token TEXT,
+  view_history TEXT DEFAULT '[]',
+  password_reset_token TEXT,
+  password_reset_expires DATETIME,
+  preferred_language TEXT DEFAULT 'en',
+  preferences TEXT DEFAULT '{}',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS search_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER,
+  query TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY(user_id) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS search_logs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER,
+  query TEXT NOT NULL,
+  results_count INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS search_logs;
+DROP TABLE IF EXISTS search_history;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,35 @@
+/**
+ * Brings users tables created by older builds up to date.
+ *
+ * Databases created before the migration runner may lack any of these columns
+ * (SQLite cannot add a UNIQUE column, so github_id never existed there), so each
+ * one is added only when missing and uniqueness is enforced with an index.
+ */
+const COLUMNS = [
+    { name: 'github_id', type: 'TEXT' },
+    { name: 'username', type: 'TEXT' },
+    { name: 'avatar_url', type: 'TEXT' },
+    { name: 'github_username', type: 'TEXT' },
+    { name: 'refresh_token', type: 'TEXT' },
+    { name: 'view_history', type: "TEXT DEFAULT '[]'" },
+    { name: 'password_reset_token', type: 'TEXT' },
+    { name: 'password_reset_expires', type: 'DATETIME' },
+    { name: 'preferred_language', type: "TEXT DEFAULT 'en'" },
+    { name: 'preferences', type: "TEXT DEFAULT '{}'" }
+];
+
+exports.up = async (db) => {
+    const existing = new Set((await db.all('PRAGMA table_info(users)')).map(column => column.name));
+    for (const column of COLUMNS) {
+        if (!existing.has(column.name)) {
+            await db.run(`ALTER TABLE users ADD COLUMN ${column.name} ${column.type}`);
+        }
+    }
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_github_id ON users(github_id)');
+};
+
+exports.down = async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_users_github_id');
+    // Only github_username is new in this migration; the rest belong to 001 on fresh databases
+    await db.run('ALTER TABLE users DROP COLUMN github_username');
+};
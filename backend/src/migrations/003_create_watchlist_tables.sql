@@ -0,0 +1,78 @@
+-- Watchlists, collaborators and notifications
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS watchlists (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  description TEXT,
+  owner_id INTEGER NOT NULL,
+  is_public BOOLEAN DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS watchlist_repositories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  watchlist_id INTEGER NOT NULL,
+  repo_full_name TEXT NOT NULL,
+  repo_data TEXT,
+  added_by INTEGER NOT NULL,
+  added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (watchlist_id) REFERENCES watchlists(id) ON DELETE CASCADE,
+  FOREIGN KEY (added_by) REFERENCES users(id),
+  UNIQUE(watchlist_id, repo_full_name)
+);
+
+CREATE TABLE IF NOT EXISTS watchlist_collaborators (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  watchlist_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  role TEXT DEFAULT 'viewer',
+  added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (watchlist_id) REFERENCES watchlists(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE(watchlist_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  watchlist_id INTEGER,
+  repo_full_name TEXT,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  message TEXT,
+  data TEXT,
+  is_read BOOLEAN DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (watchlist_id) REFERENCES watchlists(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  notify_releases BOOLEAN DEFAULT 1,
+  notify_stars BOOLEAN DEFAULT 1,
+  notify_issues BOOLEAN DEFAULT 0,
+  notify_prs BOOLEAN DEFAULT 0,
+  notify_commits BOOLEAN DEFAULT 0,
+  star_milestone_threshold INTEGER DEFAULT 100,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE(user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlists_owner ON watchlists(owner_id);
+CREATE INDEX IF NOT EXISTS idx_watchlist_repos_watchlist ON watchlist_repositories(watchlist_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, is_read);
+CREATE INDEX IF NOT EXISTS idx_collaborators_watchlist ON watchlist_collaborators(watchlist_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS notification_preferences;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS watchlist_collaborators;
+DROP TABLE IF EXISTS watchlist_repositories;
+DROP TABLE IF EXISTS watchlists;
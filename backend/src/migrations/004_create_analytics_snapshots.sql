@@ -0,0 +1,25 @@
+-- Periodic GitHub analytics snapshots per user
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS analytics_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  github_username TEXT NOT NULL,
+  stars INTEGER DEFAULT 0,
+  followers INTEGER DEFAULT 0,
+  following INTEGER DEFAULT 0,
+  public_repos INTEGER DEFAULT 0,
+  total_commits INTEGER DEFAULT 0,
+  language_stats TEXT DEFAULT '{}',
+  contribution_count INTEGER DEFAULT 0,
+  snapshot_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_user_id ON analytics_snapshots(user_id);
+CREATE INDEX IF NOT EXISTS idx_analytics_snapshot_date ON analytics_snapshots(snapshot_date);
+CREATE INDEX IF NOT EXISTS idx_analytics_user_date ON analytics_snapshots(user_id, snapshot_date);
+
+-- migrate:down
+DROP TABLE IF EXISTS analytics_snapshots;
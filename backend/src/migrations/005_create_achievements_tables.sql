@@ -0,0 +1,81 @@
+-- Achievements, XP tracking and the default achievement catalogue
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS achievements (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  code VARCHAR(50) UNIQUE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  category VARCHAR(50) NOT NULL,
+  icon VARCHAR(50) DEFAULT '🏆',
+  xp_reward INTEGER DEFAULT 10,
+  tier VARCHAR(20) DEFAULT 'bronze',
+  requirement_type VARCHAR(50) NOT NULL,
+  requirement_value INTEGER NOT NULL,
+  is_secret BOOLEAN DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_achievements (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  achievement_id INTEGER NOT NULL,
+  unlocked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  progress INTEGER DEFAULT 0,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (achievement_id) REFERENCES achievements(id) ON DELETE CASCADE,
+  UNIQUE(user_id, achievement_id)
+);
+
+CREATE TABLE IF NOT EXISTS user_xp (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER UNIQUE NOT NULL,
+  total_xp INTEGER DEFAULT 0,
+  level INTEGER DEFAULT 1,
+  current_streak INTEGER DEFAULT 0,
+  longest_streak INTEGER DEFAULT 0,
+  last_activity_date DATE,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS xp_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  xp_amount INTEGER NOT NULL,
+  source VARCHAR(50) NOT NULL,
+  description TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_achievements_user ON user_achievements(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_xp_total ON user_xp(total_xp DESC);
+CREATE INDEX IF NOT EXISTS idx_xp_log_user ON xp_log(user_id);
+
+INSERT OR IGNORE INTO achievements (code, name, description, category, icon, xp_reward, tier, requirement_type, requirement_value, is_secret) VALUES
+  ('FIRST_STAR', 'Rising Star', 'Earn your first GitHub star', 'stars', '⭐', 10, 'bronze', 'stars', 1, 0),
+  ('STAR_10', 'Stargazer', 'Accumulate 10 stars across repos', 'stars', '🌟', 25, 'silver', 'stars', 10, 0),
+  ('STAR_50', 'Constellation', 'Reach 50 total stars', 'stars', '✨', 50, 'gold', 'stars', 50, 0),
+  ('STAR_100', 'Supernova', 'Achieve 100 stars - You are legendary!', 'stars', '💫', 100, 'platinum', 'stars', 100, 0),
+  ('FIRST_REPO', 'Hello World', 'Create your first public repository', 'repos', '📦', 10, 'bronze', 'repos', 1, 0),
+  ('REPO_5', 'Prolific Creator', 'Have 5 public repositories', 'repos', '🗂️', 25, 'silver', 'repos', 5, 0),
+  ('REPO_10', 'Repository Master', 'Maintain 10+ repositories', 'repos', '📚', 50, 'gold', 'repos', 10, 0),
+  ('FIRST_FOLLOWER', 'Making Friends', 'Get your first follower', 'social', '👤', 10, 'bronze', 'followers', 1, 0),
+  ('FOLLOWER_10', 'Influencer', 'Reach 10 followers', 'social', '👥', 25, 'silver', 'followers', 10, 0),
+  ('FOLLOWER_50', 'Community Leader', 'Achieve 50 followers', 'social', '🌍', 75, 'gold', 'followers', 50, 0),
+  ('COMMIT_10', 'Getting Started', 'Make 10 commits', 'commits', '💾', 10, 'bronze', 'commits', 10, 0),
+  ('COMMIT_100', 'Dedicated Coder', 'Reach 100 commits', 'commits', '⚡', 50, 'silver', 'commits', 100, 0),
+  ('COMMIT_500', 'Code Machine', 'Hit 500 commits milestone', 'commits', '🔥', 100, 'gold', 'commits', 500, 0),
+  ('STREAK_7', 'Week Warrior', 'Maintain a 7-day activity streak', 'streak', '📅', 30, 'bronze', 'streak', 7, 0),
+  ('STREAK_30', 'Monthly Master', '30-day contribution streak', 'streak', '🗓️', 75, 'silver', 'streak', 30, 0),
+  ('STREAK_100', 'Unstoppable', '100-day coding streak - Incredible!', 'streak', '🏆', 200, 'platinum', 'streak', 100, 0),
+  ('EARLY_ADOPTER', 'Early Adopter', 'Join XAYTHEON in its early days', 'special', '🚀', 50, 'gold', 'special', 1, 0),
+  ('NIGHT_OWL', 'Night Owl', 'Commit code after midnight', 'special', '🦉', 15, 'bronze', 'special', 1, 1),
+  ('EARLY_BIRD', 'Early Bird', 'Commit code before 6 AM', 'special', '🐦', 15, 'bronze', 'special', 1, 1);
+
+-- migrate:down
+DROP TABLE IF EXISTS xp_log;
+DROP TABLE IF EXISTS user_xp;
+DROP TABLE IF EXISTS user_achievements;
+DROP TABLE IF EXISTS achievements;
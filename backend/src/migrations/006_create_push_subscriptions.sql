@@ -0,0 +1,17 @@
+-- Web push subscriptions
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER,
+  endpoint TEXT UNIQUE NOT NULL,
+  keys TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_user ON push_subscriptions(user_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS push_subscriptions;
@@ -0,0 +1,53 @@
+-- Fleet configuration, analytics snapshots and alerts (previously in src/db.sqlite)
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS fleet_configs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  repositories TEXT NOT NULL, -- JSON string of repositories
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  is_active BOOLEAN DEFAULT 1,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE(user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS fleet_analytics (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  fleet_config_id INTEGER NOT NULL,
+  snapshot_data TEXT NOT NULL, -- JSON string of fleet analytics
+  health_score INTEGER,
+  total_repositories INTEGER,
+  total_stars INTEGER,
+  total_contributors INTEGER,
+  total_commits INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (fleet_config_id) REFERENCES fleet_configs(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS fleet_alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  fleet_config_id INTEGER NOT NULL,
+  repository_name TEXT,
+  alert_type TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  message TEXT NOT NULL,
+  recommendation TEXT,
+  resolved BOOLEAN DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  resolved_at DATETIME,
+  FOREIGN KEY (fleet_config_id) REFERENCES fleet_configs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_fleet_configs_user_id ON fleet_configs(user_id);
+CREATE INDEX IF NOT EXISTS idx_fleet_analytics_fleet_id ON fleet_analytics(fleet_config_id);
+CREATE INDEX IF NOT EXISTS idx_fleet_alerts_fleet_id ON fleet_alerts(fleet_config_id);
+CREATE INDEX IF NOT EXISTS idx_fleet_alerts_severity ON fleet_alerts(severity);
+CREATE INDEX IF NOT EXISTS idx_fleet_analytics_created_at ON fleet_analytics(created_at);
+
+-- migrate:down
+DROP TABLE IF EXISTS fleet_alerts;
+DROP TABLE IF EXISTS fleet_analytics;
+DROP TABLE IF EXISTS fleet_configs;
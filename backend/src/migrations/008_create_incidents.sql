@@ -0,0 +1,68 @@
+-- War Room incidents, their assignees and the event timeline
+-- Timestamps are epoch milliseconds; user ids are text ('ai-bot', 'system' or a user id).
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS incidents (
+  id TEXT PRIMARY KEY,
+  event_id TEXT,
+  type TEXT,
+  title TEXT NOT NULL,
+  description TEXT,
+  severity TEXT NOT NULL DEFAULT 'low', -- critical, high, medium, low
+  state TEXT NOT NULL DEFAULT 'triggered', -- triggered, acknowledged, mitigated, resolved, postmortem
+  repository TEXT,
+  environment TEXT,
+  metadata TEXT, -- JSON
+  created_by TEXT,
+  watchers TEXT, -- JSON array of user ids
+  related_prs TEXT, -- JSON
+  related_developers TEXT, -- JSON
+  affected_services TEXT, -- JSON
+  affected_users INTEGER DEFAULT 0,
+  root_cause TEXT,
+  ai_hypothesis TEXT,
+  suggested_actions TEXT, -- JSON
+  pinned INTEGER DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  triggered_at INTEGER NOT NULL, -- start of the SLA clocks; reset when an incident is reopened
+  acknowledged_at INTEGER,
+  mitigated_at INTEGER,
+  resolved_at INTEGER,
+  postmortem_at INTEGER,
+  ack_due_at INTEGER, -- SLA deadlines, from severity at creation
+  resolve_due_at INTEGER,
+  ack_breached_at INTEGER,
+  resolve_breached_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS incident_assignees (
+  incident_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  assigned_by TEXT,
+  assigned_at INTEGER NOT NULL,
+  PRIMARY KEY (incident_id, user_id),
+  FOREIGN KEY (incident_id) REFERENCES incidents(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS incident_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  incident_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  user_id TEXT,
+  from_state TEXT,
+  to_state TEXT,
+  details TEXT,
+  data TEXT, -- JSON
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (incident_id) REFERENCES incidents(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_incidents_state ON incidents(state, created_at);
+CREATE INDEX IF NOT EXISTS idx_incidents_repository ON incidents(repository);
+CREATE INDEX IF NOT EXISTS idx_incident_events_incident ON incident_events(incident_id, created_at);
+
+-- migrate:down
+DROP TABLE IF EXISTS incident_events;
+DROP TABLE IF EXISTS incident_assignees;
+DROP TABLE IF EXISTS incidents;
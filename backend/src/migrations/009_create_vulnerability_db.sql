@@ -0,0 +1,57 @@
+-- Local mirror of OSV / GitHub Security Advisory data for offline dependency scanning
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS vuln_advisories (
+  id TEXT PRIMARY KEY, -- OSV id (GHSA-..., CVE-..., PYSEC-...)
+  source TEXT NOT NULL, -- osv, ghsa
+  summary TEXT,
+  details TEXT,
+  severity TEXT, -- LOW, MODERATE, HIGH, CRITICAL
+  cvss_score REAL,
+  cvss_vector TEXT,
+  aliases TEXT, -- JSON array
+  refs TEXT, -- JSON array of { type, url }
+  published TEXT,
+  modified TEXT NOT NULL,
+  withdrawn TEXT,
+  imported_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per affected package; ranges hold OSV events, versions the explicit list
+CREATE TABLE IF NOT EXISTS vuln_affected (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  advisory_id TEXT NOT NULL,
+  ecosystem TEXT NOT NULL,
+  package TEXT NOT NULL, -- normalized name, see VulnerabilityDbService.packageKey
+  ranges TEXT, -- JSON array of { type, events }
+  versions TEXT, -- JSON array
+  FOREIGN KEY (advisory_id) REFERENCES vuln_advisories(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS vuln_aliases (
+  alias TEXT NOT NULL,
+  advisory_id TEXT NOT NULL,
+  PRIMARY KEY (alias, advisory_id)
+);
+
+CREATE TABLE IF NOT EXISTS vuln_imports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source TEXT NOT NULL,
+  digest TEXT NOT NULL, -- sha256 of the dump
+  added INTEGER DEFAULT 0,
+  updated INTEGER DEFAULT 0,
+  unchanged INTEGER DEFAULT 0,
+  skipped INTEGER DEFAULT 0,
+  imported_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_vuln_affected_package ON vuln_affected(ecosystem, package);
+CREATE INDEX IF NOT EXISTS idx_vuln_affected_advisory ON vuln_affected(advisory_id);
+CREATE INDEX IF NOT EXISTS idx_vuln_aliases_advisory ON vuln_aliases(advisory_id);
+CREATE INDEX IF NOT EXISTS idx_vuln_imports_digest ON vuln_imports(digest);
+
+-- migrate:down
+DROP TABLE IF EXISTS vuln_imports;
+DROP TABLE IF EXISTS vuln_aliases;
+DROP TABLE IF EXISTS vuln_affected;
+DROP TABLE IF EXISTS vuln_advisories;
@@ -0,0 +1,52 @@
+-- Deployment events feeding the fleet DORA metrics, and per repository / per day DORA rows in fleet_analytics
+-- Timestamps are epoch milliseconds.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS deployments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  repository TEXT NOT NULL, -- owner/name
+  environment TEXT,
+  sha TEXT,
+  ref TEXT,
+  status TEXT NOT NULL, -- success, failure, pending
+  source TEXT NOT NULL, -- github_deployment, github_actions, webhook
+  external_id TEXT NOT NULL,
+  url TEXT,
+  created_at INTEGER NOT NULL,
+  finished_at INTEGER,
+  UNIQUE(source, external_id)
+);
+
+CREATE TABLE IF NOT EXISTS deployment_commits (
+  deployment_id INTEGER NOT NULL,
+  sha TEXT NOT NULL,
+  committed_at INTEGER NOT NULL,
+  PRIMARY KEY (deployment_id, sha),
+  FOREIGN KEY (deployment_id) REFERENCES deployments(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_deployments_repository ON deployments(repository, created_at);
+
+ALTER TABLE fleet_analytics ADD COLUMN repository TEXT;
+ALTER TABLE fleet_analytics ADD COLUMN metric_date TEXT; -- YYYY-MM-DD (UTC)
+ALTER TABLE fleet_analytics ADD COLUMN deployment_frequency REAL; -- successful deployments per day
+ALTER TABLE fleet_analytics ADD COLUMN lead_time_hours REAL;
+ALTER TABLE fleet_analytics ADD COLUMN change_failure_rate REAL; -- percentage
+ALTER TABLE fleet_analytics ADD COLUMN mttr_hours REAL;
+ALTER TABLE fleet_analytics ADD COLUMN deployment_count INTEGER;
+
+-- fleet-wide snapshots keep repository NULL, which never conflicts here
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fleet_analytics_repo_day ON fleet_analytics(fleet_config_id, repository, metric_date);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_fleet_analytics_repo_day;
+DELETE FROM fleet_analytics WHERE repository IS NOT NULL;
+ALTER TABLE fleet_analytics DROP COLUMN deployment_count;
+ALTER TABLE fleet_analytics DROP COLUMN mttr_hours;
+ALTER TABLE fleet_analytics DROP COLUMN change_failure_rate;
+ALTER TABLE fleet_analytics DROP COLUMN lead_time_hours;
+ALTER TABLE fleet_analytics DROP COLUMN deployment_frequency;
+ALTER TABLE fleet_analytics DROP COLUMN metric_date;
+ALTER TABLE fleet_analytics DROP COLUMN repository;
+DROP TABLE IF EXISTS deployment_commits;
+DROP TABLE IF EXISTS deployments;
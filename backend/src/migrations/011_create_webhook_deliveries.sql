@@ -0,0 +1,24 @@
+-- GitHub webhook deliveries received by /api/webhooks/github, kept for deduplication and replay
+-- Timestamps are epoch milliseconds.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY, -- X-GitHub-Delivery GUID
+  event TEXT NOT NULL, -- X-GitHub-Event (push, pull_request, workflow_run, ...)
+  action TEXT,
+  repository TEXT, -- owner/name
+  hook_id TEXT,
+  payload TEXT NOT NULL, -- raw JSON body as signed by GitHub
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, processed, failed, ignored
+  attempts INTEGER NOT NULL DEFAULT 0,
+  results TEXT, -- JSON: handler name -> { ok, result | error }
+  error TEXT,
+  received_at INTEGER NOT NULL,
+  processed_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received ON webhook_deliveries(received_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_repository ON webhook_deliveries(repository, event);
+
+-- migrate:down
+DROP TABLE IF EXISTS webhook_deliveries;
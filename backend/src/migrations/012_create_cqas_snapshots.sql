@@ -0,0 +1,22 @@
+-- Code Quality Aggregate Score snapshots, one per repository / branch / commit
+-- Timestamps are epoch milliseconds.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS cqas_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  repository TEXT NOT NULL, -- owner/name
+  branch TEXT NOT NULL,
+  commit_id TEXT NOT NULL,
+  score REAL NOT NULL,
+  grade TEXT NOT NULL,
+  dimensions TEXT NOT NULL, -- JSON: dimension -> score
+  weights TEXT NOT NULL, -- JSON: dimension -> weight
+  details TEXT, -- JSON: dimension -> breakdown
+  created_at INTEGER NOT NULL,
+  UNIQUE(repository, branch, commit_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cqas_snapshots_branch ON cqas_snapshots(repository, branch, created_at);
+
+-- migrate:down
+DROP TABLE IF EXISTS cqas_snapshots;
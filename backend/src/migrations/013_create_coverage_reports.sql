@@ -0,0 +1,30 @@
+-- Coverage reports ingested by Test Lab, with the per-file detail used to map branch coverage
+-- Timestamps are epoch milliseconds.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS coverage_reports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  repository TEXT NOT NULL, -- owner/name
+  branch TEXT,
+  commit_id TEXT,
+  format TEXT NOT NULL, -- lcov, istanbul, istanbul-summary, cobertura
+  totals TEXT NOT NULL, -- JSON: lines / functions / branches counters
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_coverage_reports_repository ON coverage_reports(repository, created_at);
+
+CREATE TABLE IF NOT EXISTS coverage_files (
+  report_id INTEGER NOT NULL REFERENCES coverage_reports(id) ON DELETE CASCADE,
+  path TEXT NOT NULL, -- as written in the report, '/' separated
+  lines TEXT NOT NULL, -- JSON: { found, hit }
+  functions TEXT NOT NULL, -- JSON: { found, hit }
+  branches TEXT NOT NULL, -- JSON: { found, hit }
+  line_hits TEXT, -- JSON: line -> hits
+  branch_details TEXT, -- JSON: [{ line, column?, block, branch, taken, type? }]
+  PRIMARY KEY (report_id, path)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS coverage_files;
+DROP TABLE IF EXISTS coverage_reports;
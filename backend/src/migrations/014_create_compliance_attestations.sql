@@ -0,0 +1,35 @@
+-- Manual attestations of compliance controls, with the evidence files uploaded for them
+-- Timestamps are epoch milliseconds.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS compliance_attestations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  framework TEXT NOT NULL, -- framework pack id, e.g. SOC2
+  control_id TEXT NOT NULL,
+  repo_path TEXT, -- audited checkout it applies to; NULL for every checkout
+  statement TEXT NOT NULL,
+  attested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  attested_at INTEGER NOT NULL,
+  expires_at INTEGER,
+  revoked_at INTEGER,
+  revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_attestations_control ON compliance_attestations(framework, control_id);
+
+CREATE TABLE IF NOT EXISTS compliance_evidence (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  attestation_id INTEGER NOT NULL REFERENCES compliance_attestations(id) ON DELETE CASCADE,
+  filename TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  sha256 TEXT NOT NULL,
+  content BLOB NOT NULL,
+  uploaded_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_evidence_attestation ON compliance_evidence(attestation_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS compliance_evidence;
+DROP TABLE IF EXISTS compliance_attestations;
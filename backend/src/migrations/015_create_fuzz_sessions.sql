@@ -0,0 +1,42 @@
+-- HTTP fuzzing sessions run by FuzzerEngine, with the findings of their response oracles
+-- Timestamps are epoch milliseconds.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS fuzz_sessions (
+  id TEXT PRIMARY KEY, -- FUZZ-<ms>-<hex>
+  target TEXT NOT NULL, -- URL without the fuzzed query
+  method TEXT NOT NULL,
+  status TEXT NOT NULL, -- running, completed, failed
+  config TEXT NOT NULL, -- JSON: concurrency, rate limit, categories, locations...
+  stats TEXT, -- JSON: requests, errors, planned, truncated, baseline
+  error TEXT,
+  started_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  started_at INTEGER NOT NULL,
+  finished_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_fuzz_sessions_started ON fuzz_sessions(started_at);
+
+CREATE TABLE IF NOT EXISTS fuzz_findings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id TEXT NOT NULL REFERENCES fuzz_sessions(id) ON DELETE CASCADE,
+  oracle TEXT NOT NULL, -- db-error, reflected-payload, timing, server-error, status-change, file-disclosure
+  category TEXT NOT NULL, -- payload category, e.g. sql_injection
+  severity TEXT NOT NULL, -- CRITICAL, HIGH, MEDIUM, LOW
+  location TEXT NOT NULL, -- query, body, headers
+  parameter TEXT NOT NULL,
+  strategy TEXT NOT NULL, -- replace, append, operator
+  payload TEXT NOT NULL,
+  status_code INTEGER,
+  response_time INTEGER,
+  hits INTEGER NOT NULL DEFAULT 1,
+  evidence TEXT,
+  description TEXT NOT NULL,
+  remediation TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_fuzz_findings_session ON fuzz_findings(session_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS fuzz_findings;
+DROP TABLE IF EXISTS fuzz_sessions;
@@ -0,0 +1,7 @@
+-- Endpoint of each fuzz finding, now that one session can cover every route of an API
+
+-- migrate:up
+ALTER TABLE fuzz_findings ADD COLUMN endpoint TEXT; -- e.g. "GET /api/items/{id}"
+
+-- migrate:down
+ALTER TABLE fuzz_findings DROP COLUMN endpoint;
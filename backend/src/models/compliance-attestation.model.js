@@ -0,0 +1,148 @@
+/**
+ * Compliance Attestation Models
+ * Database operations for manual control attestations and their evidence files
+ */
+
+const db = require('../config/db');
+
+const { runAsync: run, getAsync: get, allAsync: all } = db;
+
+const iso = (ms) => (ms === null || ms === undefined ? null : new Date(ms).toISOString());
+
+function toAttestation(row, evidence = []) {
+    return {
+        id: row.id,
+        framework: row.framework,
+        controlId: row.control_id,
+        repoPath: row.repo_path,
+        statement: row.statement,
+        attestedBy: row.attested_by,
+        attestedAt: iso(row.attested_at),
+        expiresAt: iso(row.expires_at),
+        revokedAt: iso(row.revoked_at),
+        revokedBy: row.revoked_by,
+        evidence
+    };
+}
+
+function toEvidence(row) {
+    return {
+        id: row.id,
+        filename: row.filename,
+        contentType: row.content_type,
+        size: row.size,
+        sha256: row.sha256,
+        uploadedAt: iso(row.uploaded_at)
+    };
+}
+
+const EVIDENCE_COLUMNS = 'id, attestation_id, filename, content_type, size, sha256, uploaded_at';
+
+async function withEvidence(rows) {
+    if (rows.length === 0) return [];
+    const evidence = await all(
+        `SELECT ${EVIDENCE_COLUMNS} FROM compliance_evidence
+         WHERE attestation_id IN (${rows.map(() => '?').join(', ')})
+         ORDER BY id`,
+        rows.map(row => row.id)
+    );
+    return rows.map(row => toAttestation(row, evidence.filter(e => e.attestation_id === row.id).map(toEvidence)));
+}
+
+/**
+ * Store an attestation with its evidence files
+ * @param {Object} attestation - { framework, controlId, repoPath, statement, attestedBy, expiresAt,
+ *   evidence: [{ filename, contentType, sha256, content: Buffer }] }
+ * @returns {Object} The stored attestation, with evidence metadata
+ */
+exports.insertAttestation = async (attestation) => {
+    const now = Date.now();
+    const attestationId = await db.transaction(async () => {
+        const { lastID } = await run(
+            `INSERT INTO compliance_attestations (framework, control_id, repo_path, statement, attested_by, attested_at, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                attestation.framework,
+                attestation.controlId,
+                attestation.repoPath || null,
+                attestation.statement,
+                attestation.attestedBy || null,
+                now,
+                attestation.expiresAt || null
+            ]
+        );
+
+        for (const file of attestation.evidence || []) {
+            await run(
+                `INSERT INTO compliance_evidence (attestation_id, filename, content_type, size, sha256, content, uploaded_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [lastID, file.filename, file.contentType, file.content.length, file.sha256, file.content, now]
+            );
+        }
+
+        return lastID;
+    });
+    return exports.getAttestation(attestationId);
+};
+
+exports.getAttestation = async (id) => {
+    const row = await get('SELECT * FROM compliance_attestations WHERE id = ?', [id]);
+    if (!row) return null;
+    return (await withEvidence([row]))[0];
+};
+
+/**
+ * Attestations, newest first
+ * @param {Object} filters - { framework, controlId, repoPath, active }; `repoPath` also
+ *   matches attestations made for every checkout, `active` drops revoked and expired ones
+ */
+exports.listAttestations = async (filters = {}) => {
+    const where = [];
+    const params = [];
+    if (filters.framework) {
+        where.push('framework = ?');
+        params.push(filters.framework);
+    }
+    if (filters.controlId) {
+        where.push('control_id = ?');
+        params.push(filters.controlId);
+    }
+    if (filters.repoPath) {
+        where.push('(repo_path = ? OR repo_path IS NULL)');
+        params.push(filters.repoPath);
+    }
+    if (filters.active) {
+        where.push('revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)');
+        params.push(Date.now());
+    }
+
+    const rows = await all(
+        `SELECT * FROM compliance_attestations
+         ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY attested_at DESC, id DESC`,
+        params
+    );
+    return withEvidence(rows);
+};
+
+/**
+ * @returns {boolean} Whether an active attestation was revoked
+ */
+exports.revokeAttestation = async (id, revokedBy) => {
+    const { changes } = await run(
+        'UPDATE compliance_attestations SET revoked_at = ?, revoked_by = ? WHERE id = ? AND revoked_at IS NULL',
+        [Date.now(), revokedBy || null, id]
+    );
+    return changes > 0;
+};
+
+/**
+ * One evidence file of an attestation, with its content
+ */
+exports.getEvidence = async (attestationId, evidenceId) => {
+    const row = await get(
+        'SELECT * FROM compliance_evidence WHERE id = ? AND attestation_id = ?',
+        [evidenceId, attestationId]
+    );
+    return row ? { ...toEvidence(row), content: row.content } : null;
+};
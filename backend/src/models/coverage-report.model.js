@@ -0,0 +1,133 @@
+/**
+ * Coverage Report Models
+ * Database operations for coverage reports ingested by Test Lab
+ */
+
+const db = require('../config/db');
+
+const { runAsync: run, getAsync: get, allAsync: all } = db;
+
+function toReport(row) {
+    return {
+        id: row.id,
+        repository: row.repository,
+        branch: row.branch,
+        commitId: row.commit_id,
+        format: row.format,
+        totals: JSON.parse(row.totals),
+        files: row.files,
+        timestamp: new Date(row.created_at).toISOString()
+    };
+}
+
+function toFileCoverage(row) {
+    return {
+        path: row.path,
+        lines: JSON.parse(row.lines),
+        functions: JSON.parse(row.functions),
+        branches: JSON.parse(row.branches),
+        lineHits: row.line_hits ? JSON.parse(row.line_hits) : null,
+        branchDetails: row.branch_details ? JSON.parse(row.branch_details) : null
+    };
+}
+
+const REPORT_COLUMNS = `r.*, (SELECT COUNT(*) FROM coverage_files f WHERE f.report_id = r.id) AS files`;
+
+/**
+ * Store a parsed report with all of its files
+ * @param {Object} report - { repository, branch, commitId, format, totals, files: { [path]: FileCoverage } }
+ * @returns {Object} The stored report (without file detail)
+ */
+exports.insertReport = async (report) => {
+    const reportId = await db.transaction(async () => {
+        const { lastID } = await run(
+            `INSERT INTO coverage_reports (repository, branch, commit_id, format, totals, created_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+                report.repository,
+                report.branch || null,
+                report.commitId || null,
+                report.format,
+                JSON.stringify(report.totals),
+                report.createdAt || Date.now()
+            ]
+        );
+
+        for (const [filePath, file] of Object.entries(report.files)) {
+            await run(
+                `INSERT OR REPLACE INTO coverage_files (report_id, path, lines, functions, branches, line_hits, branch_details)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    lastID,
+                    filePath,
+                    JSON.stringify(file.lines),
+                    JSON.stringify(file.functions),
+                    JSON.stringify(file.branches),
+                    file.lineHits ? JSON.stringify(file.lineHits) : null,
+                    file.branchDetails ? JSON.stringify(file.branchDetails) : null
+                ]
+            );
+        }
+
+        return lastID;
+    });
+    return exports.getReport(reportId);
+};
+
+exports.getReport = async (id) => {
+    const row = await get(`SELECT ${REPORT_COLUMNS} FROM coverage_reports r WHERE r.id = ?`, [id]);
+    return row ? toReport(row) : null;
+};
+
+/**
+ * The most recently ingested report of a repository, or null
+ */
+exports.getLatestReport = async (repository) => {
+    const row = await get(
+        `SELECT ${REPORT_COLUMNS} FROM coverage_reports r
+         WHERE r.repository = ?
+         ORDER BY r.created_at DESC, r.id DESC LIMIT 1`,
+        [repository]
+    );
+    return row ? toReport(row) : null;
+};
+
+/**
+ * Reports of a repository, newest first
+ */
+exports.listReports = async (repository, limit = 20) => {
+    const rows = await all(
+        `SELECT ${REPORT_COLUMNS} FROM coverage_reports r
+         WHERE r.repository = ?
+         ORDER BY r.created_at DESC, r.id DESC LIMIT ?`,
+        [repository, limit]
+    );
+    return rows.map(toReport);
+};
+
+/**
+ * Coverage of one repository file. Reports made on a CI runner hold absolute
+ * paths, so the shortest report path ending in `/<filePath>` is used when no path
+ * matches exactly.
+ */
+exports.getFileCoverage = async (reportId, filePath) => {
+    const row = await get(
+        `SELECT * FROM coverage_files
+         WHERE report_id = ? AND (path = ? OR substr(path, -?) = ?)
+         ORDER BY path = ? DESC, length(path) ASC LIMIT 1`,
+        [reportId, filePath, filePath.length + 1, `/${filePath}`, filePath]
+    );
+    return row ? toFileCoverage(row) : null;
+};
+
+/**
+ * Delete all but the `keep` newest reports of a repository
+ * @returns {number} Reports deleted
+ */
+exports.pruneReports = async (repository, keep) => {
+    const stale = `SELECT id FROM coverage_reports WHERE repository = ?
+                   ORDER BY created_at DESC, id DESC LIMIT -1 OFFSET ?`;
+    await run(`DELETE FROM coverage_files WHERE report_id IN (${stale})`, [repository, keep]);
+    const { changes } = await run(`DELETE FROM coverage_reports WHERE id IN (${stale})`, [repository, keep]);
+    return changes;
+};
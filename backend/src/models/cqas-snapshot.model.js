@@ -0,0 +1,98 @@
+/**
+ * CQAS Snapshot Models
+ * Database operations for Code Quality Aggregate Score history per branch and commit
+ */
+
+const db = require('../config/db');
+
+const { runAsync: run, getAsync: get, allAsync: all } = db;
+
+function toSnapshot(row) {
+    return {
+        id: row.id,
+        repository: row.repository,
+        branch: row.branch,
+        commitId: row.commit_id,
+        score: row.score,
+        grade: row.grade,
+        dimensions: JSON.parse(row.dimensions),
+        weights: JSON.parse(row.weights),
+        details: row.details ? JSON.parse(row.details) : null,
+        timestamp: new Date(row.created_at).toISOString()
+    };
+}
+
+/**
+ * Store the score of a commit. Analysing the same commit again replaces its scores
+ * but keeps its place in the branch history.
+ * @returns {Object} The stored snapshot
+ */
+exports.upsertSnapshot = async (snapshot) => {
+    await run(
+        `INSERT INTO cqas_snapshots (repository, branch, commit_id, score, grade, dimensions, weights, details, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(repository, branch, commit_id) DO UPDATE SET
+            score = excluded.score,
+            grade = excluded.grade,
+            dimensions = excluded.dimensions,
+            weights = excluded.weights,
+            details = excluded.details`,
+        [
+            snapshot.repository,
+            snapshot.branch,
+            snapshot.commitId,
+            snapshot.score,
+            snapshot.grade,
+            JSON.stringify(snapshot.dimensions),
+            JSON.stringify(snapshot.weights),
+            snapshot.details ? JSON.stringify(snapshot.details) : null,
+            snapshot.createdAt || Date.now()
+        ]
+    );
+    return exports.getSnapshot(snapshot.repository, snapshot.branch, snapshot.commitId);
+};
+
+exports.getSnapshot = async (repository, branch, commitId) => {
+    const row = await get(
+        'SELECT * FROM cqas_snapshots WHERE repository = ? AND branch = ? AND commit_id = ?',
+        [repository, branch, commitId]
+    );
+    return row ? toSnapshot(row) : null;
+};
+
+/**
+ * The snapshot recorded on the branch before `commitId` (before now when the commit is new)
+ */
+exports.getPreviousSnapshot = async (repository, branch, commitId) => {
+    const current = await get(
+        'SELECT id, created_at FROM cqas_snapshots WHERE repository = ? AND branch = ? AND commit_id = ?',
+        [repository, branch, commitId]
+    );
+    const row = current
+        ? await get(
+            `SELECT * FROM cqas_snapshots
+             WHERE repository = ? AND branch = ? AND (created_at < ? OR (created_at = ? AND id < ?))
+             ORDER BY created_at DESC, id DESC LIMIT 1`,
+            [repository, branch, current.created_at, current.created_at, current.id]
+        )
+        : await get(
+            `SELECT * FROM cqas_snapshots
+             WHERE repository = ? AND branch = ?
+             ORDER BY created_at DESC, id DESC LIMIT 1`,
+            [repository, branch]
+        );
+    return row ? toSnapshot(row) : null;
+};
+
+/**
+ * The most recent snapshots of a branch, oldest first
+ */
+exports.getHistory = async (repository, branch, limit = 20) => {
+    const rows = await all(
+        `SELECT * FROM cqas_snapshots
+         WHERE repository = ? AND branch = ?
+         ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [repository, branch, limit]
+    );
+    return rows.reverse().map(toSnapshot);
+};
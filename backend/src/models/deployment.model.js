@@ -0,0 +1,112 @@
+/**
+ * Deployment Models
+ * Database operations for recorded deployment events and the commits they shipped
+ */
+
+const db = require('../config/db');
+
+const { runAsync: run, getAsync: get, allAsync: all } = db;
+
+function toDeployment(row, commits = []) {
+    return {
+        id: row.id,
+        repository: row.repository,
+        environment: row.environment,
+        sha: row.sha,
+        ref: row.ref,
+        status: row.status,
+        source: row.source,
+        externalId: row.external_id,
+        url: row.url,
+        createdAt: row.created_at,
+        finishedAt: row.finished_at,
+        commits: commits.map(c => ({ sha: c.sha, committedAt: c.committed_at }))
+    };
+}
+
+/**
+ * Insert a deployment, or update the status of one already recorded from the
+ * same source (GitHub sends several statuses for one deployment)
+ * @returns {Object} The stored deployment
+ */
+exports.upsertDeployment = async (deployment) => {
+    await run(
+        `INSERT INTO deployments (repository, environment, sha, ref, status, source, external_id, url, created_at, finished_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(source, external_id) DO UPDATE SET
+            status = excluded.status,
+            environment = COALESCE(excluded.environment, environment),
+            sha = COALESCE(excluded.sha, sha),
+            ref = COALESCE(excluded.ref, ref),
+            url = COALESCE(excluded.url, url),
+            finished_at = COALESCE(excluded.finished_at, finished_at)`,
+        [
+            deployment.repository,
+            deployment.environment || null,
+            deployment.sha || null,
+            deployment.ref || null,
+            deployment.status,
+            deployment.source,
+            String(deployment.externalId),
+            deployment.url || null,
+            deployment.createdAt,
+            deployment.finishedAt || null
+        ]
+    );
+    const row = await get('SELECT * FROM deployments WHERE source = ? AND external_id = ?', [deployment.source, String(deployment.externalId)]);
+    return toDeployment(row);
+};
+
+/**
+ * Record the commits shipped by a deployment
+ * @param {Array} commits - [{ sha, committedAt }]
+ */
+exports.addDeploymentCommits = async (deploymentId, commits) => {
+    for (const commit of commits) {
+        await run(
+            'INSERT OR IGNORE INTO deployment_commits (deployment_id, sha, committed_at) VALUES (?, ?, ?)',
+            [deploymentId, commit.sha, commit.committedAt]
+        );
+    }
+};
+
+/**
+ * Whether the commits of a deployment were already recorded
+ */
+exports.hasDeploymentCommits = async (deploymentId) => {
+    const row = await get('SELECT COUNT(*) AS count FROM deployment_commits WHERE deployment_id = ?', [deploymentId]);
+    return row.count > 0;
+};
+
+/**
+ * Deployments of a repository created in [since, until), oldest first, with their commits
+ * @param {Object} filter - { repository, since, until }
+ */
+exports.getDeployments = async ({ repository, since = 0, until = Date.now() }) => {
+    const rows = await all(
+        `SELECT * FROM deployments
+         WHERE repository = ? AND created_at >= ? AND created_at < ?
+         ORDER BY created_at ASC, id ASC`,
+        [repository, since, until]
+    );
+    if (rows.length === 0) return [];
+
+    const commits = await all(
+        `SELECT * FROM deployment_commits WHERE deployment_id IN (${rows.map(() => '?').join(', ')})`,
+        rows.map(row => row.id)
+    );
+    return rows.map(row => toDeployment(row, commits.filter(c => c.deployment_id === row.id)));
+};
+
+/**
+ * Most recent successful deployment of a repository to the same environment before `before`
+ */
+exports.getPreviousSuccessfulDeployment = async (repository, environment, before) => {
+    const row = await get(
+        `SELECT * FROM deployments
+         WHERE repository = ? AND environment IS ? AND status = 'success' AND created_at < ? AND sha IS NOT NULL
+         ORDER BY created_at DESC, id DESC LIMIT 1`,
+        [repository, environment || null, before]
+    );
+    return row ? toDeployment(row) : null;
+};
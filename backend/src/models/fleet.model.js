@@ -3,12 +3,7 @@
  * Database operations for fleet management
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-
-// Connect to database
-const dbPath = path.resolve(__dirname, '../db.sqlite');
-const db = new sqlite3.Database(dbPath);
+const db = require('../config/db');
 
 /**
  * Create a new fleet configuration
@@ -168,7 +163,7 @@ exports.getFleetAnalytics = (fleetConfigId) => {
             SELECT id, fleet_config_id, snapshot_data, health_score, 
                    total_repositories, total_stars, total_contributors, total_commits, created_at
             FROM fleet_analytics
-            WHERE fleet_config_id = ?
+            WHERE fleet_config_id = ? AND repository IS NULL
             ORDER BY created_at DESC
         `;
         
@@ -261,7 +256,7 @@ exports.getFleetHealthTrend = (fleetConfigId, days = 30) => {
         const query = `
             SELECT health_score, created_at
             FROM fleet_analytics
-            WHERE fleet_config_id = ?
+            WHERE fleet_config_id = ? AND repository IS NULL
             AND created_at >= datetime('now', '-${days} days')
             ORDER BY created_at ASC
         `;
@@ -274,4 +269,79 @@ exports.getFleetHealthTrend = (fleetConfigId, days = 30) => {
             }
         });
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Store the DORA metrics of one repository for one day, replacing an earlier run for that day
+ */
+exports.upsertRepositoryDoraMetrics = (fleetConfigId, repository, metricDate, metrics) => {
+    return new Promise((resolve, reject) => {
+        const query = `
+            INSERT INTO fleet_analytics (
+                fleet_config_id, repository, metric_date, snapshot_data, health_score,
+                deployment_frequency, lead_time_hours, change_failure_rate, mttr_hours, deployment_count
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(fleet_config_id, repository, metric_date) DO UPDATE SET
+                snapshot_data = excluded.snapshot_data,
+                health_score = excluded.health_score,
+                deployment_frequency = excluded.deployment_frequency,
+                lead_time_hours = excluded.lead_time_hours,
+                change_failure_rate = excluded.change_failure_rate,
+                mttr_hours = excluded.mttr_hours,
+                deployment_count = excluded.deployment_count,
+                created_at = CURRENT_TIMESTAMP
+        `;
+
+        db.run(
+            query,
+            [
+                fleetConfigId,
+                repository,
+                metricDate,
+                JSON.stringify(metrics),
+                metrics.score,
+                metrics.deploymentFrequency,
+                metrics.leadTimeForChanges,
+                metrics.changeFailureRate,
+                metrics.meanTimeToRecovery,
+                metrics.sampleSize.deployments
+            ],
+            function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            }
+        );
+    });
+};
+
+/**
+ * Get per-repository daily DORA metrics since a date (YYYY-MM-DD), oldest first
+ */
+exports.getDoraTrend = (fleetConfigId, sinceDate, repository = null) => {
+    return new Promise((resolve, reject) => {
+        const params = [fleetConfigId, sinceDate];
+        let query = `
+            SELECT repository, metric_date, health_score, deployment_frequency, lead_time_hours,
+                   change_failure_rate, mttr_hours, deployment_count
+            FROM fleet_analytics
+            WHERE fleet_config_id = ? AND repository IS NOT NULL AND metric_date >= ?
+        `;
+        if (repository) {
+            query += ' AND repository = ?';
+            params.push(repository);
+        }
+        query += ' ORDER BY metric_date ASC, repository ASC';
+
+        db.all(query, params, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+};
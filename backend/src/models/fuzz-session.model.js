@@ -0,0 +1,119 @@
+/**
+ * Fuzz Session Models
+ * Database operations for FuzzerEngine sessions and their findings
+ */
+
+const db = require('../config/db');
+
+const { runAsync: run, getAsync: get, allAsync: all } = db;
+
+const iso = (ms) => (ms === null || ms === undefined ? null : new Date(ms).toISOString());
+
+function toSession(row) {
+    return {
+        id: row.id,
+        target: row.target,
+        method: row.method,
+        status: row.status,
+        config: JSON.parse(row.config),
+        stats: row.stats ? JSON.parse(row.stats) : null,
+        error: row.error,
+        startedBy: row.started_by,
+        startedAt: iso(row.started_at),
+        finishedAt: iso(row.finished_at),
+        findingCount: row.finding_count
+    };
+}
+
+function toFinding(row) {
+    return {
+        id: row.id,
+        oracle: row.oracle,
+        category: row.category,
+        severity: row.severity,
+        endpoint: row.endpoint,
+        location: row.location,
+        parameter: row.parameter,
+        strategy: row.strategy,
+        payload: row.payload,
+        statusCode: row.status_code,
+        responseTime: row.response_time,
+        hits: row.hits,
+        evidence: row.evidence,
+        description: row.description,
+        remediation: row.remediation
+    };
+}
+
+const SESSION_COLUMNS = `s.*, (SELECT COUNT(*) FROM fuzz_findings f WHERE f.session_id = s.id) AS finding_count`;
+
+exports.insertSession = async (session) => {
+    await run(
+        `INSERT INTO fuzz_sessions (id, target, method, status, config, started_by, started_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [session.id, session.target, session.method, 'running', JSON.stringify(session.config), session.startedBy || null, session.startedAt]
+    );
+};
+
+/**
+ * Close a session and store its findings
+ * @param {string} id
+ * @param {Object} result - { status, stats, error, findings }
+ */
+exports.finishSession = async (id, result) => {
+    await db.transaction(async () => {
+        await run(
+            'UPDATE fuzz_sessions SET status = ?, stats = ?, error = ?, finished_at = ? WHERE id = ?',
+            [result.status, result.stats ? JSON.stringify(result.stats) : null, result.error || null, Date.now(), id]
+        );
+        for (const finding of result.findings || []) {
+            await run(
+                `INSERT INTO fuzz_findings (session_id, oracle, category, severity, endpoint, location, parameter, strategy, payload,
+                                            status_code, response_time, hits, evidence, description, remediation)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    id,
+                    finding.oracle,
+                    finding.category,
+                    finding.severity,
+                    finding.endpoint || null,
+                    finding.location,
+                    finding.parameter,
+                    finding.strategy,
+                    finding.payload,
+                    finding.statusCode === undefined ? null : finding.statusCode,
+                    finding.responseTime === undefined ? null : finding.responseTime,
+                    finding.hits || 1,
+                    finding.evidence || null,
+                    finding.description,
+                    finding.remediation || null
+                ]
+            );
+        }
+    });
+};
+
+/**
+ * A session with its findings, most severe first
+ */
+exports.getSession = async (id) => {
+    const row = await get(`SELECT ${SESSION_COLUMNS} FROM fuzz_sessions s WHERE s.id = ?`, [id]);
+    if (!row) return null;
+    const findings = await all(
+        `SELECT * FROM fuzz_findings WHERE session_id = ?
+         ORDER BY CASE severity WHEN 'CRITICAL' THEN 0 WHEN 'HIGH' THEN 1 WHEN 'MEDIUM' THEN 2 ELSE 3 END, endpoint, id`,
+        [id]
+    );
+    return { ...toSession(row), findings: findings.map(toFinding) };
+};
+
+/**
+ * Sessions, newest first, without findings
+ */
+exports.listSessions = async (limit = 20) => {
+    const rows = await all(
+        `SELECT ${SESSION_COLUMNS} FROM fuzz_sessions s ORDER BY s.started_at DESC, s.rowid DESC LIMIT ?`,
+        [limit]
+    );
+    return rows.map(toSession);
+};
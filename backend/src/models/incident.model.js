@@ -0,0 +1,225 @@
+/**
+ * Incident Models
+ * Database operations for War Room incidents, assignees and timelines
+ */
+
+const db = require('../config/db');
+
+const JSON_COLUMNS = ['metadata', 'watchers', 'related_prs', 'related_developers', 'affected_services', 'suggested_actions'];
+
+// camelCase incident fields and the columns they are stored in
+const COLUMNS = {
+    eventId: 'event_id',
+    type: 'type',
+    title: 'title',
+    description: 'description',
+    severity: 'severity',
+    state: 'state',
+    repository: 'repository',
+    environment: 'environment',
+    metadata: 'metadata',
+    createdBy: 'created_by',
+    watchers: 'watchers',
+    relatedPRs: 'related_prs',
+    relatedDevelopers: 'related_developers',
+    affectedServices: 'affected_services',
+    affectedUsers: 'affected_users',
+    rootCause: 'root_cause',
+    aiHypothesis: 'ai_hypothesis',
+    suggestedActions: 'suggested_actions',
+    pinned: 'pinned',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    triggeredAt: 'triggered_at',
+    acknowledgedAt: 'acknowledged_at',
+    mitigatedAt: 'mitigated_at',
+    resolvedAt: 'resolved_at',
+    postmortemAt: 'postmortem_at',
+    ackDueAt: 'ack_due_at',
+    resolveDueAt: 'resolve_due_at',
+    ackBreachedAt: 'ack_breached_at',
+    resolveBreachedAt: 'resolve_breached_at'
+};
+
+const { runAsync: run, allAsync: all } = db;
+
+function toColumnValue(field, value) {
+    const column = COLUMNS[field];
+    if (JSON_COLUMNS.includes(column)) return JSON.stringify(value === undefined ? null : value);
+    if (field === 'pinned') return value ? 1 : 0;
+    return value === undefined ? null : value;
+}
+
+function toIncident(row, assignees = []) {
+    const incident = { id: row.id };
+    Object.entries(COLUMNS).forEach(([field, column]) => {
+        incident[field] = JSON_COLUMNS.includes(column) && row[column] ? JSON.parse(row[column]) : row[column];
+    });
+    incident.pinned = Boolean(row.pinned);
+    incident.assignedTo = assignees.map(a => a.user_id);
+    return incident;
+}
+
+async function withAssignees(rows) {
+    if (rows.length === 0) return [];
+    const assignees = await all(
+        `SELECT * FROM incident_assignees WHERE incident_id IN (${rows.map(() => '?').join(', ')}) ORDER BY assigned_at`,
+        rows.map(row => row.id)
+    );
+    return rows.map(row => toIncident(row, assignees.filter(a => a.incident_id === row.id)));
+}
+
+/**
+ * Insert a new incident
+ */
+exports.createIncident = (incident) => {
+    const fields = Object.keys(COLUMNS).filter(field => incident[field] !== undefined);
+    return run(
+        `INSERT INTO incidents (id, ${fields.map(f => COLUMNS[f]).join(', ')})
+         VALUES (?, ${fields.map(() => '?').join(', ')})`,
+        [incident.id, ...fields.map(f => toColumnValue(f, incident[f]))]
+    );
+};
+
+/**
+ * Update incident fields (camelCase keys)
+ * @param {Object} [where] - fields the row must still have (null → IS NULL);
+ *   resolves to 0 changed rows when it no longer does
+ */
+exports.updateIncident = async (incidentId, changes, where = {}) => {
+    const fields = Object.keys(changes).filter(field => COLUMNS[field]);
+    if (fields.length === 0) return 0;
+    const conditions = Object.keys(where).filter(field => COLUMNS[field]);
+    const { changes: updated } = await run(
+        `UPDATE incidents SET ${fields.map(f => `${COLUMNS[f]} = ?`).join(', ')}
+         WHERE id = ?${conditions.map(f => where[f] === null ? ` AND ${COLUMNS[f]} IS NULL` : ` AND ${COLUMNS[f]} = ?`).join('')}`,
+        [
+            ...fields.map(f => toColumnValue(f, changes[f])),
+            incidentId,
+            ...conditions.filter(f => where[f] !== null).map(f => toColumnValue(f, where[f]))
+        ]
+    );
+    return updated;
+};
+
+/**
+ * Get an incident with its assignees
+ */
+exports.getIncidentById = async (incidentId) => {
+    const rows = await all('SELECT * FROM incidents WHERE id = ?', [incidentId]);
+    return (await withAssignees(rows))[0] || null;
+};
+
+/**
+ * List incidents, newest first
+ * @param {Object} filter - { states, severity, repository, since, pinned }
+ */
+exports.getIncidents = async (filter = {}) => {
+    const conditions = [];
+    const params = [];
+
+    if (filter.states && filter.states.length) {
+        conditions.push(`state IN (${filter.states.map(() => '?').join(', ')})`);
+        params.push(...filter.states);
+    }
+    if (filter.severity) {
+        conditions.push('severity = ?');
+        params.push(filter.severity);
+    }
+    if (filter.repository) {
+        conditions.push('repository = ?');
+        params.push(filter.repository);
+    }
+    if (filter.since) {
+        conditions.push('created_at >= ?');
+        params.push(filter.since);
+    }
+    if (filter.pinned) {
+        conditions.push('pinned = 1');
+    }
+
+    const rows = await all(
+        `SELECT * FROM incidents ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY created_at DESC, rowid DESC`,
+        params
+    );
+    return withAssignees(rows);
+};
+
+/**
+ * Pin one incident (unpinning any other), or clear the pin with null
+ */
+exports.setPinned = async (incidentId) => {
+    await run('UPDATE incidents SET pinned = 0 WHERE pinned = 1');
+    if (incidentId) await run('UPDATE incidents SET pinned = 1 WHERE id = ?', [incidentId]);
+};
+
+/**
+ * Replace the assignees of an incident
+ */
+exports.setAssignees = async (incidentId, userIds, assignedBy, assignedAt) => {
+    await run('DELETE FROM incident_assignees WHERE incident_id = ?', [incidentId]);
+    for (const userId of userIds) {
+        await run(
+            'INSERT OR IGNORE INTO incident_assignees (incident_id, user_id, assigned_by, assigned_at) VALUES (?, ?, ?, ?)',
+            [incidentId, String(userId), assignedBy, assignedAt]
+        );
+    }
+};
+
+/**
+ * Append an event to the incident timeline
+ */
+exports.addEvent = (incidentId, event) =>
+    run(
+        `INSERT INTO incident_events (incident_id, action, user_id, from_state, to_state, details, data, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            incidentId,
+            event.action,
+            event.userId == null ? null : String(event.userId),
+            event.fromState || null,
+            event.toState || null,
+            event.details || null,
+            event.data ? JSON.stringify(event.data) : null,
+            event.timestamp
+        ]
+    );
+
+/**
+ * Timeline of an incident, oldest first
+ */
+exports.getEvents = async (incidentId) => {
+    const rows = await all(
+        'SELECT * FROM incident_events WHERE incident_id = ? ORDER BY created_at, id',
+        [incidentId]
+    );
+    return rows.map(row => ({
+        id: row.id,
+        timestamp: row.created_at,
+        action: row.action,
+        userId: row.user_id,
+        fromState: row.from_state,
+        toState: row.to_state,
+        details: row.details,
+        data: row.data ? JSON.parse(row.data) : null
+    }));
+};
+
+/**
+ * Delete an incident and everything attached to it
+ */
+exports.deleteIncident = async (incidentId) => {
+    await run('DELETE FROM incident_events WHERE incident_id = ?', [incidentId]);
+    await run('DELETE FROM incident_assignees WHERE incident_id = ?', [incidentId]);
+    return (await run('DELETE FROM incidents WHERE id = ?', [incidentId])).changes > 0;
+};
+
+/**
+ * Delete all incidents
+ */
+exports.deleteAll = async () => {
+    await run('DELETE FROM incident_events');
+    await run('DELETE FROM incident_assignees');
+    await run('DELETE FROM incidents');
+};
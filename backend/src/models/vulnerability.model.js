@@ -0,0 +1,155 @@
+/**
+ * Vulnerability Models
+ * Database operations for the local OSV / GHSA advisory mirror
+ */
+
+const db = require('../config/db');
+
+const { runAsync: run, getAsync: get, allAsync: all } = db;
+
+function toAdvisory(row, affected = []) {
+    return {
+        id: row.id,
+        source: row.source,
+        summary: row.summary,
+        details: row.details,
+        severity: row.severity,
+        cvssScore: row.cvss_score,
+        cvssVector: row.cvss_vector,
+        aliases: JSON.parse(row.aliases || '[]'),
+        references: JSON.parse(row.refs || '[]'),
+        published: row.published,
+        modified: row.modified,
+        withdrawn: row.withdrawn,
+        affected: affected.map(a => ({
+            ecosystem: a.ecosystem,
+            package: a.package,
+            ranges: JSON.parse(a.ranges || '[]'),
+            versions: JSON.parse(a.versions || '[]')
+        }))
+    };
+}
+
+/**
+ * Run `fn` inside a transaction (queued behind any other transaction)
+ */
+exports.transaction = (fn) => db.transaction(fn);
+
+/**
+ * `modified` timestamp of a stored advisory, or null
+ */
+exports.getModified = async (advisoryId) => {
+    const row = await get('SELECT modified FROM vuln_advisories WHERE id = ?', [advisoryId]);
+    return row ? row.modified : null;
+};
+
+/**
+ * Insert or replace an advisory with its affected packages and aliases
+ */
+exports.saveAdvisory = async (advisory) => {
+    await run('DELETE FROM vuln_affected WHERE advisory_id = ?', [advisory.id]);
+    await run('DELETE FROM vuln_aliases WHERE advisory_id = ?', [advisory.id]);
+    await run(
+        `INSERT OR REPLACE INTO vuln_advisories
+            (id, source, summary, details, severity, cvss_score, cvss_vector, aliases, refs, published, modified, withdrawn)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            advisory.id,
+            advisory.source,
+            advisory.summary,
+            advisory.details,
+            advisory.severity,
+            advisory.cvssScore,
+            advisory.cvssVector,
+            JSON.stringify(advisory.aliases),
+            JSON.stringify(advisory.references),
+            advisory.published,
+            advisory.modified,
+            advisory.withdrawn
+        ]
+    );
+
+    for (const affected of advisory.affected) {
+        await run(
+            'INSERT INTO vuln_affected (advisory_id, ecosystem, package, ranges, versions) VALUES (?, ?, ?, ?, ?)',
+            [advisory.id, affected.ecosystem, affected.package, JSON.stringify(affected.ranges), JSON.stringify(affected.versions)]
+        );
+    }
+    for (const alias of advisory.aliases) {
+        await run('INSERT OR IGNORE INTO vuln_aliases (alias, advisory_id) VALUES (?, ?)', [alias, advisory.id]);
+    }
+};
+
+/**
+ * Affected-package rows for one package, joined with their (non-withdrawn) advisories
+ */
+exports.findByPackage = async (ecosystem, packageName) => {
+    const rows = await all(
+        `SELECT a.*, f.ecosystem AS f_ecosystem, f.package AS f_package, f.ranges AS f_ranges, f.versions AS f_versions
+         FROM vuln_affected f
+         JOIN vuln_advisories a ON a.id = f.advisory_id
+         WHERE f.ecosystem = ? AND f.package = ? AND a.withdrawn IS NULL`,
+        [ecosystem, packageName]
+    );
+    return rows.map(row => toAdvisory(row, [{
+        ecosystem: row.f_ecosystem,
+        package: row.f_package,
+        ranges: row.f_ranges,
+        versions: row.f_versions
+    }]));
+};
+
+/**
+ * An advisory by its id or any alias (e.g. a CVE id)
+ */
+exports.getAdvisory = async (idOrAlias) => {
+    const row = await get(
+        `SELECT * FROM vuln_advisories
+         WHERE id = ? OR id IN (SELECT advisory_id FROM vuln_aliases WHERE alias = ?)
+         ORDER BY CASE WHEN id = ? THEN 0 ELSE 1 END
+         LIMIT 1`,
+        [idOrAlias, idOrAlias, idOrAlias]
+    );
+    if (!row) return null;
+
+    const affected = await all('SELECT * FROM vuln_affected WHERE advisory_id = ?', [row.id]);
+    return toAdvisory(row, affected);
+};
+
+/**
+ * Whether a dump with this digest was already imported
+ */
+exports.findImport = (digest) =>
+    get('SELECT * FROM vuln_imports WHERE digest = ? ORDER BY id DESC LIMIT 1', [digest]);
+
+/**
+ * Record a finished import
+ */
+exports.recordImport = (entry) =>
+    run(
+        'INSERT INTO vuln_imports (source, digest, added, updated, unchanged, skipped) VALUES (?, ?, ?, ?, ?, ?)',
+        [entry.source, entry.digest, entry.added, entry.updated, entry.unchanged, entry.skipped]
+    );
+
+/**
+ * Advisory counts per ecosystem and the latest imports
+ */
+exports.getStats = async () => {
+    const [totals, ecosystems, imports] = await Promise.all([
+        get(`SELECT COUNT(*) AS advisories,
+                    SUM(CASE WHEN withdrawn IS NULL THEN 0 ELSE 1 END) AS withdrawn,
+                    MAX(modified) AS lastModified
+             FROM vuln_advisories`),
+        all(`SELECT ecosystem, COUNT(DISTINCT advisory_id) AS advisories, COUNT(DISTINCT package) AS packages
+             FROM vuln_affected GROUP BY ecosystem ORDER BY advisories DESC`),
+        all('SELECT * FROM vuln_imports ORDER BY id DESC LIMIT 10')
+    ]);
+
+    return {
+        advisories: totals.advisories,
+        withdrawn: totals.withdrawn || 0,
+        lastModified: totals.lastModified,
+        ecosystems,
+        imports
+    };
+};
@@ -237,3 +237,30 @@ exports.getAllWatchedRepos = (userId) =>
             }
         );
     });
+
+/**
+ * Users watching a repository (watchlist owners and collaborators), one row per user
+ */
+exports.getRepositoryWatchers = (repoFullName) =>
+    new Promise((resolve, reject) => {
+        db.all(
+            `SELECT user_id, MIN(watchlist_id) AS watchlist_id FROM (
+         SELECT w.owner_id AS user_id, w.id AS watchlist_id
+         FROM watchlist_repositories wr
+         INNER JOIN watchlists w ON wr.watchlist_id = w.id
+         WHERE wr.repo_full_name = ? COLLATE NOCASE
+         UNION
+         SELECT wc.user_id, w.id
+         FROM watchlist_repositories wr
+         INNER JOIN watchlists w ON wr.watchlist_id = w.id
+         INNER JOIN watchlist_collaborators wc ON w.id = wc.watchlist_id
+         WHERE wr.repo_full_name = ? COLLATE NOCASE
+       )
+       GROUP BY user_id`,
+            [repoFullName, repoFullName],
+            (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            }
+        );
+    });
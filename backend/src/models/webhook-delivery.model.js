@@ -0,0 +1,109 @@
+/**
+ * Webhook Delivery Models
+ * Database operations for received GitHub webhook deliveries
+ */
+
+const db = require('../config/db');
+
+const run = (query, params = []) =>
+    new Promise((resolve, reject) => {
+        db.run(query, params, function (err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+        });
+    });
+
+const get = (query, params = []) =>
+    new Promise((resolve, reject) => {
+        db.get(query, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+        });
+    });
+
+const all = (query, params = []) =>
+    new Promise((resolve, reject) => {
+        db.all(query, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+
+function toDelivery(row, withPayload = false) {
+    const delivery = {
+        id: row.id,
+        event: row.event,
+        action: row.action,
+        repository: row.repository,
+        hookId: row.hook_id,
+        status: row.status,
+        attempts: row.attempts,
+        results: row.results ? JSON.parse(row.results) : null,
+        error: row.error,
+        receivedAt: row.received_at,
+        processedAt: row.processed_at
+    };
+    if (withPayload) delivery.payload = row.payload;
+    return delivery;
+}
+
+/**
+ * Store a delivery unless one with the same id was already received
+ * @returns {boolean} Whether the delivery is new
+ */
+exports.insertDelivery = async (delivery) => {
+    const changes = await run(
+        `INSERT OR IGNORE INTO webhook_deliveries (id, event, action, repository, hook_id, payload, received_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            delivery.id,
+            delivery.event,
+            delivery.action || null,
+            delivery.repository || null,
+            delivery.hookId ? String(delivery.hookId) : null,
+            delivery.payload,
+            delivery.receivedAt
+        ]
+    );
+    return changes > 0;
+};
+
+/**
+ * A delivery with its raw payload
+ */
+exports.getDelivery = async (id) => {
+    const row = await get('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    return row ? toDelivery(row, true) : null;
+};
+
+/**
+ * Most recent deliveries first, without payloads
+ * @param {Object} filter - { event, status, repository, limit }
+ */
+exports.listDeliveries = async ({ event, status, repository, limit = 50 } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (event) { conditions.push('event = ?'); params.push(event); }
+    if (status) { conditions.push('status = ?'); params.push(status); }
+    if (repository) { conditions.push('repository = ?'); params.push(repository); }
+
+    const rows = await all(
+        `SELECT * FROM webhook_deliveries
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY received_at DESC, rowid DESC LIMIT ?`,
+        [...params, limit]
+    );
+    return rows.map(row => toDelivery(row));
+};
+
+/**
+ * Record the outcome of one processing attempt
+ * @param {Object} outcome - { status, results, error, processedAt }
+ */
+exports.recordAttempt = (id, outcome) =>
+    run(
+        `UPDATE webhook_deliveries
+         SET status = ?, results = ?, error = ?, processed_at = ?, attempts = attempts + 1
+         WHERE id = ?`,
+        [outcome.status, JSON.stringify(outcome.results || {}), outcome.error || null, outcome.processedAt, id]
+    );
@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const aiController = require('../controllers/ai.controller');
+const { optionalAuth } = require('../middleware/auth.middleware');
 
-router.post('/chat', aiController.chat);
+router.post('/chat', optionalAuth, aiController.chat);
 router.get('/summarize', aiController.summarize);
+router.post('/index', optionalAuth, aiController.buildIndex);
+router.get('/index', aiController.getIndexStatus);
 
 // Self-Healing CI/CD Routes
 router.get('/remediation/:buildId', aiController.getRemediation);
@@ -1,13 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const auditController = require('../controllers/audit.controller');
+const { verifyAccessToken } = require('../middleware/auth.middleware');
 
 // Run compliance audit
 router.post('/run', auditController.runAudit);
 
-// Get available frameworks
+// Get available frameworks with per-control coverage
 router.get('/frameworks', auditController.listFrameworks);
 
+// Manual attestations and their evidence
+router.post('/attestations', verifyAccessToken, auditController.createAttestation);
+router.get('/attestations', verifyAccessToken, auditController.listAttestations);
+router.delete('/attestations/:id', verifyAccessToken, auditController.revokeAttestation);
+router.get('/attestations/:id/evidence/:evidenceId', verifyAccessToken, auditController.downloadEvidence);
+
 // Get audit history
 router.get('/history', auditController.getAuditHistory);
 
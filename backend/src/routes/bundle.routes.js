@@ -3,6 +3,8 @@ const router = express.Router();
 const bundleController = require('../controllers/bundle.controller');
 
 router.get('/city', bundleController.getBundleCity);
+router.post('/city', bundleController.buildBundleCity);
+router.post('/diff', bundleController.diffBundleCity);
 router.post('/demolish', bundleController.pruneBuilding);
 
 module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const controller = require('../controllers/code-archaeology.controller');
 
 router.get('/timeline', controller.getTimeline);
+router.get('/graph', controller.getCommitGraph);
+router.get('/tree/:commitHash', controller.getFileTree);
+router.get('/churn', controller.getFileChurn);
 router.get('/blame-analysis', controller.getBlameAnalysis);
 router.get('/trace/:commitHash', controller.traceRegression);
 
@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const collabController = require('../controllers/collab.controller');
+const { verifyAccessToken } = require('../middleware/auth.middleware');
 
 router.post('/invite', collabController.createInvite);
 router.get('/status/:roomId', collabController.getRoomStatus);
+router.get('/rooms/:roomId/document', collabController.getDocument);
+router.get('/rooms/:roomId/operations', collabController.getOperations);
+router.post('/rooms/:roomId/operations', verifyAccessToken, collabController.submitOperation);
 
 module.exports = router;
@@ -3,5 +3,6 @@ const router = express.Router();
 const dependencyController = require('../controllers/dependency.controller');
 
 router.get('/graph', dependencyController.getGraphData);
+router.post('/graph', dependencyController.resolveGraphData);
 
 module.exports = router;
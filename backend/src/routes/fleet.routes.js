@@ -8,9 +8,23 @@ const router = express.Router();
 const fleetController = require('../controllers/fleet.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 
-// Apply authentication middleware to all routes
+/**
+ * @route   POST /api/fleet/deployments
+ * @desc    Record a deployment event (feeds the DORA metrics)
+ * @access  Private, or CI pipelines with the X-Deploy-Token header
+ */
+router.post('/deployments', fleetController.authenticateDeploymentSource, fleetController.recordDeployment);
+
+// Apply authentication middleware to all other routes
 router.use(authMiddleware.verifyAccessToken);
 
+/**
+ * @route   POST /api/fleet/deployments/sync
+ * @desc    Import recent deployments from GitHub Deployments or Actions runs
+ * @access  Private
+ */
+router.post('/deployments/sync', fleetController.syncDeployments);
+
 /**
  * @route   POST /api/fleet/analyze
  * @desc    Analyze multiple repositories and provide fleet-wide insights
@@ -51,6 +65,7 @@ router.delete('/config/:id', fleetController.deleteFleetConfig);
  * Fleet Analytics and Alerts
  */
 router.get('/analytics/:configId', fleetController.getFleetAnalytics);
+router.post('/analytics/:configId/refresh', fleetController.refreshFleetAnalytics);
 router.get('/alerts/:configId', fleetController.getFleetAlerts);
 router.post('/alerts/:alertId/resolve', fleetController.resolveFleetAlert);
 
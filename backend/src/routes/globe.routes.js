@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const globeController = require('../controllers/globe.controller');
+const webhookController = require('../controllers/webhook.controller');
 
 /**
  * GET /api/globe/statistics
@@ -57,10 +58,8 @@ router.post('/simulate', (req, res) => {
 
 /**
  * POST /api/globe/webhook
- * Process GitHub webhook event
+ * Alias of POST /api/webhooks/github (signed deliveries only)
  */
-router.post('/webhook', (req, res) => {
-    globeController.processWebhook(req, res);
-});
+router.post('/webhook', webhookController.receiveGithubWebhook);
 
 module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const healthController = require('../controllers/health.controller');
+const webhookController = require('../controllers/webhook.controller');
 
 router.get('/summary', healthController.getHealthSummary);
-router.post('/webhook', healthController.githubWebhook);
+router.post('/webhook', webhookController.receiveGithubWebhook); // alias of POST /api/webhooks/github
 router.post('/mock-trigger', healthController.triggerMockUpdate);
 
 module.exports = router;
@@ -32,6 +32,13 @@ router.post('/batch-analyze', prReviewController.batchAnalyzePRs);
  */
 router.get('/templates', prReviewController.getReviewTemplates);
 
+/**
+ * @route   GET /api/pr-review/rules
+ * @desc    List the review rules and their default severities
+ * @access  Private
+ */
+router.get('/rules', prReviewController.getReviewRules);
+
 /**
  * @route   GET /api/pr-review/stats
  * @desc    Get PR review statistics
@@ -41,7 +48,7 @@ router.get('/stats', prReviewController.getReviewStats);
 
 /**
  * @route   POST /api/pr-review/generate-comment
- * @desc    Generate a review comment based on issues found
+ * @desc    Generate a review (summary plus inline comments), optionally posting it to GitHub
  * @access  Private
  */
 router.post('/generate-comment', prReviewController.generateReviewComment);
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const releaseController = require('../controllers/release.controller');
+const { verifyAccessToken } = require('../middleware/auth.middleware');
 
 router.post('/generate', releaseController.generateReleaseNotes);
-router.post('/publish', releaseController.publishToGithub);
+router.post('/publish', verifyAccessToken, releaseController.publishToGithub);
 
 module.exports = router;
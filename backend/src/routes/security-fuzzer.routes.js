@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const securityFuzzerController = require('../controllers/security-fuzzer.controller');
+const { verifyAccessToken } = require('../middleware/auth.middleware');
 
 // Taint analysis
 router.post('/taint/analyze', securityFuzzerController.analyzeTaintFlows);
@@ -22,6 +23,12 @@ router.post('/cve/score', securityFuzzerController.scoreCVE);
 router.post('/cve/score-multiple', securityFuzzerController.scoreMultipleCVEs);
 router.post('/cve/risk-matrix', securityFuzzerController.getRiskMatrix);
 
+// Offline vulnerability database (OSV / GHSA mirror)
+router.get('/vulndb/status', securityFuzzerController.getVulnerabilityDbStatus);
+router.get('/vulndb/advisories/:id', securityFuzzerController.getAdvisory);
+router.post('/vulndb/import', verifyAccessToken, securityFuzzerController.importVulnerabilityDb);
+router.post('/vulndb/scan', securityFuzzerController.scanLockfile);
+
 // Comprehensive analysis
 router.post('/analyze', securityFuzzerController.analyzeProject);
 
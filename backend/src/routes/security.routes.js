@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const securityController = require('../controllers/security.controller');
+const { verifyAccessToken } = require('../middleware/auth.middleware');
 
 router.post('/scan', securityController.startScan);
 router.get('/history', securityController.getHistory);
 router.post('/apply-patch', securityController.applyPatch);
+router.post('/fuzz', verifyAccessToken, securityController.startFuzz);
+router.post('/fuzz/discover', verifyAccessToken, securityController.startDiscoveryFuzz);
+router.post('/fuzz/targets', securityController.listFuzzTargets);
+router.get('/fuzz/:sessionId', securityController.getFuzzSession);
 
 module.exports = router;
@@ -3,6 +3,8 @@ const router = express.Router();
 const testController = require('../controllers/test-lab.controller');
 
 router.get('/analyze', testController.analyzeCode);
+router.get('/coverage', testController.listCoverage);
+router.post('/coverage', testController.ingestCoverage);
 router.post('/generate', testController.generateTests);
 
 module.exports = router;
@@ -5,6 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const warRoomController = require('../controllers/war-room.controller');
+const { verifyAccessToken } = require('../middleware/auth.middleware');
 
 // Event Stream Routes
 router.get('/events', warRoomController.getEvents);
@@ -19,11 +20,15 @@ router.post('/simulate/production-error', warRoomController.simulateProductionEr
 router.get('/incidents', warRoomController.getIncidents);
 router.get('/incidents/stats', warRoomController.getIncidentStats);
 router.get('/incidents/pinned', warRoomController.getPinnedIncident);
+router.delete('/incidents/pinned', verifyAccessToken, warRoomController.unpinIncident);
 router.get('/incidents/:id', warRoomController.getIncident);
-router.post('/incidents', warRoomController.createIncident);
-router.patch('/incidents/:id/status', warRoomController.updateIncidentStatus);
-router.patch('/incidents/:id/assign', warRoomController.assignIncident);
-router.post('/incidents/:id/comments', warRoomController.addComment);
+router.get('/incidents/:id/timeline', warRoomController.getIncidentTimeline);
+router.post('/incidents', verifyAccessToken, warRoomController.createIncident);
+router.post('/incidents/:id/transition', verifyAccessToken, warRoomController.transitionIncident);
+router.post('/incidents/:id/pin', verifyAccessToken, warRoomController.pinIncident);
+router.patch('/incidents/:id/status', verifyAccessToken, warRoomController.updateIncidentStatus);
+router.patch('/incidents/:id/assign', verifyAccessToken, warRoomController.assignIncident);
+router.post('/incidents/:id/comments', verifyAccessToken, warRoomController.addComment);
 router.get('/incidents/:id/analyze', warRoomController.analyzeIncident);
 
 module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * Webhook Routes
+ * GitHub webhook ingress and the delivery log
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhook.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+/**
+ * @route   POST /api/webhooks/github
+ * @desc    Receive a GitHub webhook delivery (push, pull_request, workflow_run, deployment_status, issues)
+ * @access  GitHub, verified with X-Hub-Signature-256
+ */
+router.post('/github', webhookController.receiveGithubWebhook);
+
+// Apply authentication middleware to all other routes
+router.use(authMiddleware.verifyAccessToken);
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    Recent deliveries and the outcome of each handler
+ * @access  Private
+ */
+router.get('/deliveries', webhookController.listDeliveries);
+
+/**
+ * @route   GET /api/webhooks/deliveries/:id
+ * @desc    One delivery with its payload
+ * @access  Private
+ */
+router.get('/deliveries/:id', webhookController.getDelivery);
+
+/**
+ * @route   POST /api/webhooks/deliveries/:id/replay
+ * @desc    Process a stored delivery again (failed handlers, or all with { all: true })
+ * @access  Private
+ */
+router.post('/deliveries/:id/replay', webhookController.replayDelivery);
+
+module.exports = router;
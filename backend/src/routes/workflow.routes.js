@@ -3,6 +3,7 @@ const router = express.Router();
 const workflowController = require('../controllers/workflow.controller');
 
 router.post('/generate', workflowController.generateYaml);
+router.post('/parse', workflowController.parseYaml);
 router.get('/templates', workflowController.getTemplates);
 
 module.exports = router;
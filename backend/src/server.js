@@ -9,9 +9,18 @@ const server = http.createServer(app);
 // Initialize WebSocket
 initializeSocket(server);
 
+// Mirror GitHub webhook deliveries onto the live globe
+const githubWebhookService = require("./services/github-webhook.service");
+const globeController = require("./controllers/globe.controller");
+githubWebhookService.registerHandler("globe", githubWebhookService.SUPPORTED_EVENTS, (event) =>
+  globeController.addWebhookEvent(githubWebhookService.toGitHubEvent(event))
+);
+
 const mockGithubService = require("./services/mock-github.service");
+const db = require("./config/db");
 
-server.listen(PORT, () => {
+// Serve only once the schema is up to date; a failed migration leaves the process down
+db.ready.then(() => server.listen(PORT, () => {
   console.log(`🚀 Auth server running on port ${PORT}`);
   console.log(`🔌 WebSocket server ready`);
 
@@ -25,4 +34,4 @@ server.listen(PORT, () => {
 
   // Start Analytics Queue Worker
   require('./worker/analytics.worker');
-});
\ No newline at end of file
+})).catch(() => process.exit(1));
\ No newline at end of file
@@ -1,12 +1,27 @@
 const axios = require("axios");
+const fs = require("fs");
 const path = require("path");
+const parser = require("@babel/parser");
+const traverse = require("@babel/traverse").default;
+const moduleResolver = require("./module-resolver.service");
 
 /**
  * Architectural Dependency Parser Service
  * Parses imports and function calls to build directional dependency graph
- * for architectural drift detection
+ * for architectural drift detection.
+ *
+ * JavaScript/TypeScript imports are read from the AST (static and dynamic
+ * `import`, `require`, re-exports, `import x = require()`) and resolved to
+ * repository files with ModuleResolverService, so the graph holds real
+ * file-to-file edges. A repository is read from a local checkout under
+ * ARCH_DRIFT_REPOS_DIR when one exists, otherwise from GitHub.
  */
 
+// Directories never walked in a local checkout
+const IGNORED_DIRS = new Set(["node_modules", ".git", "dist", "build", "coverage", ".next", "out", "vendor", "__pycache__", ".venv"]);
+const MAX_FILE_BYTES = 1024 * 1024;
+const SCRIPT_LANGUAGES = new Set(["javascript", "typescript"]);
+
 // Common import/require patterns for different languages
 const IMPORT_PATTERNS = {
   javascript: [
@@ -54,39 +69,28 @@ class ArchitecturalDependencyParserService {
    * Parse entire repository for architectural dependencies
    */
   async parseRepository(owner, repo) {
+    const localPath = this.findLocalCheckout(owner, repo);
+    if (localPath) {
+      return this.parseLocalRepository(localPath, { name: `${owner}/${repo}` });
+    }
+
     const cacheKey = `arch-deps:${owner}/${repo}`;
     const cached = this.getFromCache(cacheKey);
     if (cached) return cached;
 
     try {
       // Fetch repository structure
-      const files = await this.fetchRepositoryFiles(owner, repo);
-
-      // Parse each file
-      const fileNodes = [];
-      for (const file of files) {
-        if (this.isCodeFile(file.path)) {
-          const node = await this.parseFile(owner, repo, file.path);
-          if (node) {
-            fileNodes.push(node);
-          }
-        }
-      }
-
-      // Build dependency graph
-      const graph = this.buildDependencyGraph(fileNodes);
+      const files = (await this.fetchRepositoryFiles(owner, repo)).map((file) => file.path);
 
-      // Analyze layer structure
-      const layers = this.inferLayers(fileNodes);
+      const configs = {};
+      for (const configPath of files.filter((file) => moduleResolver.isConfigFile(file))) {
+        const content = await this.fetchFileContent(owner, repo, configPath);
+        if (content) configs[configPath] = typeof content === "string" ? content : JSON.stringify(content);
+      }
 
-      const result = {
-        repository: `${owner}/${repo}`,
-        timestamp: new Date().toISOString(),
-        files: fileNodes,
-        graph,
-        layers,
-        statistics: this.calculateStatistics(fileNodes, graph),
-      };
+      const result = await this.analyzeFiles(`${owner}/${repo}`, files, configs, (filePath) =>
+        this.fetchFileContent(owner, repo, filePath)
+      );
 
       this.setCache(cacheKey, result);
       return result;
@@ -97,41 +101,144 @@ class ArchitecturalDependencyParserService {
   }
 
   /**
-   * Parse individual file for dependencies
+   * Parse a checkout on disk (not cached: the working tree changes)
    */
-  async parseFile(owner, repo, filePath) {
-    try {
-      const content = await this.fetchFileContent(owner, repo, filePath);
-      if (!content) return null;
-
-      const language = this.detectLanguage(filePath);
-      const imports = this.extractImports(content, language);
-      const functionCalls = this.extractFunctionCalls(content, language);
-      const exports = this.extractExports(content, language);
-
-      // Infer layer from file path
-      const layer = this.inferLayer(filePath);
-
-      return {
-        path: filePath,
-        language,
-        layer,
-        imports,
-        exports,
-        functionCalls,
-        lines: content.split("\n").length,
-        complexity: this.calculateFileComplexity(content),
-      };
-    } catch (error) {
-      console.error(`Error parsing file ${filePath}:`, error);
+  async parseLocalRepository(rootDir, options = {}) {
+    const root = path.resolve(rootDir);
+    const files = this.walkDirectory(root);
+
+    const configs = {};
+    for (const configPath of files.filter((file) => moduleResolver.isConfigFile(file))) {
+      configs[configPath] = await fs.promises.readFile(path.join(root, configPath), "utf8");
+    }
+
+    return this.analyzeFiles(options.name || path.basename(root), files, configs, async (filePath) => {
+      const absolute = path.join(root, filePath);
+      const stat = await fs.promises.stat(absolute);
+      if (stat.size > MAX_FILE_BYTES) return null;
+      return fs.promises.readFile(absolute, "utf8");
+    });
+  }
+
+  /**
+   * `<ARCH_DRIFT_REPOS_DIR>/<owner>/<repo>` or `<ARCH_DRIFT_REPOS_DIR>/<repo>` (or under baseDir)
+   */
+  findLocalCheckout(owner, repo, baseDir = process.env.ARCH_DRIFT_REPOS_DIR) {
+    if (!baseDir || !/^[\w.-]+$/.test(owner) || !/^[\w.-]+$/.test(repo) || owner.startsWith(".") || repo.startsWith(".")) {
       return null;
     }
+
+    return [path.join(baseDir, owner, repo), path.join(baseDir, repo)].find((candidate) => {
+      try {
+        return fs.statSync(candidate).isDirectory();
+      } catch (error) {
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Repository-relative (posix) paths of every file under root
+   */
+  walkDirectory(root) {
+    const files = [];
+    const walk = (dir, prefix) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRS.has(entry.name)) walk(path.join(dir, entry.name), `${prefix}${entry.name}/`);
+        } else if (entry.isFile()) {
+          files.push(`${prefix}${entry.name}`);
+        }
+      }
+    };
+    walk(root, "");
+    return files.sort();
+  }
+
+  /**
+   * Parse the code files of a repository snapshot and build its graph
+   */
+  async analyzeFiles(repository, files, configs, readFile) {
+    const resolver = moduleResolver.forRepository(files, configs);
+
+    // Parse each file
+    const fileNodes = [];
+    for (const filePath of files) {
+      if (!this.isCodeFile(filePath)) continue;
+      try {
+        const content = await readFile(filePath);
+        const node = this.parseFile(filePath, content, resolver);
+        if (node) fileNodes.push(node);
+      } catch (error) {
+        console.error(`Error parsing file ${filePath}:`, error.message);
+      }
+    }
+
+    // Build dependency graph
+    const graph = this.buildDependencyGraph(fileNodes);
+
+    // Analyze layer structure
+    const layers = this.inferLayers(fileNodes);
+
+    return {
+      repository,
+      timestamp: new Date().toISOString(),
+      files: fileNodes,
+      graph,
+      layers,
+      statistics: this.calculateStatistics(fileNodes, graph),
+    };
+  }
+
+  /**
+   * Parse individual file for dependencies
+   */
+  parseFile(filePath, content, resolver) {
+    if (typeof content !== "string") return null;
+
+    const language = this.detectLanguage(filePath);
+    const imports = this.extractImports(content, language, filePath).map((imp) =>
+      resolver ? this.resolveImport(resolver, filePath, imp) : imp
+    );
+    const functionCalls = this.extractFunctionCalls(content, language);
+    const exports = this.extractExports(content, language);
+
+    // Infer layer from file path
+    const layer = this.inferLayer(filePath);
+
+    return {
+      path: filePath,
+      language,
+      layer,
+      imports,
+      exports,
+      functionCalls,
+      lines: content.split("\n").length,
+      complexity: this.calculateFileComplexity(content),
+    };
+  }
+
+  resolveImport(resolver, filePath, imp) {
+    if (!SCRIPT_LANGUAGES.has(this.detectLanguage(filePath))) return imp;
+
+    const resolution = resolver.resolve(filePath, imp.path);
+    return {
+      ...imp,
+      type: resolution.resolved ? "internal" : resolution.type,
+      resolved: resolution.resolved,
+      package: resolution.package,
+    };
   }
 
   /**
    * Extract import statements
    */
-  extractImports(content, language) {
+  extractImports(content, language, filePath = "") {
+    if (SCRIPT_LANGUAGES.has(language)) {
+      const imports = this.extractScriptImports(content, filePath);
+      if (imports) return imports;
+    }
+
     const imports = [];
     const patterns = IMPORT_PATTERNS[language] || IMPORT_PATTERNS.javascript;
 
@@ -139,18 +246,11 @@ class ArchitecturalDependencyParserService {
       const matches = content.matchAll(pattern);
       for (const match of matches) {
         const importPath = match[1];
-        if (importPath && !importPath.startsWith(".")) {
-          // External dependency
-          imports.push({
-            path: importPath,
-            type: "external",
-            line: this.getLineNumber(content, match.index),
-          });
-        } else if (importPath) {
-          // Internal dependency
+        if (importPath) {
           imports.push({
             path: importPath,
-            type: "internal",
+            type: importPath.startsWith(".") ? "internal" : "external",
+            kind: "static",
             line: this.getLineNumber(content, match.index),
           });
         }
@@ -160,6 +260,79 @@ class ArchitecturalDependencyParserService {
     return imports;
   }
 
+  /**
+   * Imports of a JavaScript/TypeScript file from its AST, or null when the
+   * file does not parse (the regex patterns are used instead)
+   */
+  extractScriptImports(content, filePath) {
+    const plugins = ["decorators-legacy"];
+    if (/\.(ts|mts|cts)$/i.test(filePath)) plugins.push("typescript");
+    else if (/\.tsx$/i.test(filePath)) plugins.push("typescript", "jsx");
+    else plugins.push("jsx");
+
+    let ast;
+    try {
+      ast = parser.parse(content, {
+        sourceType: "unambiguous",
+        plugins,
+        errorRecovery: true,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        allowImportExportEverywhere: true,
+      });
+    } catch (error) {
+      return null;
+    }
+
+    const imports = [];
+    const add = (source, kind, node, typeOnly = false) => {
+      const specifier = this.staticString(source);
+      if (specifier === null) return;
+      imports.push({ path: specifier, type: specifier.startsWith(".") ? "internal" : "external", kind, typeOnly, line: node.loc.start.line });
+    };
+
+    traverse(ast, {
+      ImportDeclaration({ node }) {
+        add(node.source, "static", node, node.importKind === "type" || node.importKind === "typeof");
+      },
+      ExportNamedDeclaration({ node }) {
+        if (node.source) add(node.source, "re-export", node, node.exportKind === "type");
+      },
+      ExportAllDeclaration({ node }) {
+        add(node.source, "re-export", node, node.exportKind === "type");
+      },
+      TSImportEqualsDeclaration({ node }) {
+        if (node.moduleReference.type === "TSExternalModuleReference") {
+          add(node.moduleReference.expression, "require", node, node.importKind === "type");
+        }
+      },
+      CallExpression(nodePath) {
+        const { node } = nodePath;
+        if (node.callee.type === "Import") {
+          add(node.arguments[0], "dynamic", node);
+        } else if (node.callee.type === "Identifier" && node.callee.name === "require" &&
+          node.arguments.length === 1 && !nodePath.scope.hasBinding("require")) {
+          add(node.arguments[0], "require", node);
+        }
+      },
+      ImportExpression({ node }) {
+        add(node.source, "dynamic", node);
+      },
+    });
+
+    return imports;
+  }
+
+  /**
+   * A string literal or a template literal without expressions
+   */
+  staticString(node) {
+    if (!node) return null;
+    if (node.type === "StringLiteral") return node.value;
+    if (node.type === "TemplateLiteral" && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    return null;
+  }
+
   /**
    * Extract function calls
    */
@@ -241,24 +414,27 @@ class ArchitecturalDependencyParserService {
       });
     });
 
-    // Create edges from imports
+    // Create edges from resolved imports (one per source/target pair)
+    const byPath = new Map(fileNodes.map((file) => [file.path, file]));
+    const seen = new Set();
     fileNodes.forEach((file) => {
       file.imports.forEach((imp) => {
-        if (imp.type === "internal") {
-          // Resolve relative path
-          const targetPath = this.resolveImportPath(file.path, imp.path);
-          const target = fileNodes.find((f) => f.path === targetPath || f.path.includes(imp.path));
-
-          if (target) {
-            edges.push({
-              source: file.path,
-              target: target.path,
-              type: "import",
-              sourceLayer: file.layer,
-              targetLayer: target.layer,
-              line: imp.line,
-            });
-          }
+        const targetPath = imp.resolved !== undefined ? imp.resolved : this.resolveImportPath(file.path, imp.path, byPath);
+        const target = targetPath ? byPath.get(targetPath) : null;
+        const key = `${file.path}->${targetPath}`;
+
+        if (target && target !== file && !seen.has(key)) {
+          seen.add(key);
+          edges.push({
+            source: file.path,
+            target: target.path,
+            type: "import",
+            kind: imp.kind || "static",
+            typeOnly: Boolean(imp.typeOnly),
+            sourceLayer: file.layer,
+            targetLayer: target.layer,
+            line: imp.line,
+          });
         }
       });
     });
@@ -306,21 +482,21 @@ class ArchitecturalDependencyParserService {
    * Infer layer from file path
    */
   inferLayer(filePath) {
-    const lowerPath = filePath.toLowerCase();
+    const lowerPath = `/${filePath.toLowerCase()}`;
 
-    // Layer detection patterns
+    // Layer detection patterns (tests first, so a component's spec is not a view)
     const patterns = {
-      view: ["/views?/", "/components/", "/ui/", "/pages/", "/templates/", ".jsx", ".vue", ".html"],
-      controller: ["/controllers?/", "/handlers/", "/routes/", "/api/"],
-      service: ["/services?/", "/business/", "/domain/", "/use-?cases?/"],
-      model: ["/models?/", "/entities/", "/schemas?/", "/database/", "/db/"],
-      utils: ["/utils?/", "/helpers?/", "/lib/", "/common/"],
-      config: ["/config/", "/settings/", ".config."],
-      test: ["/tests?/", "/__tests__/", ".test.", ".spec."],
+      test: [/\/(tests?|__tests__|__mocks__)\//, /\.(test|spec)\.\w+$/],
+      config: [/\/(config|settings)\//, /\.config\.\w+$/],
+      view: [/\/(views?|components|ui|pages|templates)\//, /\.(jsx|tsx|vue|html)$/],
+      controller: [/\/(controllers?|handlers|routes|api)\//],
+      service: [/\/(services?|business|domain|use-?cases?)\//],
+      model: [/\/(models?|entities|schemas?|database|db)\//],
+      utils: [/\/(utils?|helpers?|lib|common)\//],
     };
 
     for (const [layer, layerPatterns] of Object.entries(patterns)) {
-      if (layerPatterns.some((pattern) => lowerPath.includes(pattern))) {
+      if (layerPatterns.some((pattern) => pattern.test(lowerPath))) {
         return layer;
       }
     }
@@ -360,8 +536,12 @@ class ArchitecturalDependencyParserService {
     const totalLines = fileNodes.reduce((sum, f) => sum + f.lines, 0);
     const totalImports = fileNodes.reduce((sum, f) => sum + f.imports.length, 0);
     const totalExports = fileNodes.reduce((sum, f) => sum + f.exports.length, 0);
-    const avgComplexity =
-      fileNodes.reduce((sum, f) => sum + f.complexity, 0) / totalFiles;
+    const avgComplexity = totalFiles > 0
+      ? fileNodes.reduce((sum, f) => sum + f.complexity, 0) / totalFiles
+      : 0;
+    const allImports = fileNodes.flatMap((f) => f.imports);
+    const unresolvedImports = allImports.filter((imp) => imp.type === "internal" && imp.resolved === null).length;
+    const externalPackages = new Set(allImports.filter((imp) => imp.type === "external").map((imp) => imp.package || imp.path));
 
     const layerDistribution = {};
     fileNodes.forEach((f) => {
@@ -374,6 +554,8 @@ class ArchitecturalDependencyParserService {
       totalImports,
       totalExports,
       totalEdges: graph.edges.length,
+      unresolvedImports,
+      externalPackages: externalPackages.size,
       avgComplexity: Math.round(avgComplexity),
       layerDistribution,
     };
@@ -387,8 +569,12 @@ class ArchitecturalDependencyParserService {
     const languageMap = {
       ".js": "javascript",
       ".jsx": "javascript",
+      ".mjs": "javascript",
+      ".cjs": "javascript",
       ".ts": "typescript",
       ".tsx": "typescript",
+      ".mts": "typescript",
+      ".cts": "typescript",
       ".py": "python",
       ".java": "java",
       ".go": "go",
@@ -402,17 +588,19 @@ class ArchitecturalDependencyParserService {
    * Check if file is code file
    */
   isCodeFile(filePath) {
-    const codeExtensions = [".js", ".jsx", ".ts", ".tsx", ".py", ".java", ".go", ".rb", ".php"];
+    const codeExtensions = [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts", ".py", ".java", ".go", ".rb", ".php"];
     const ext = path.extname(filePath).toLowerCase();
     return codeExtensions.includes(ext);
   }
 
   /**
-   * Resolve relative import path
+   * Resolve relative import path (languages without a module resolver)
    */
-  resolveImportPath(fromPath, importPath) {
-    const dir = path.dirname(fromPath);
-    return path.normalize(path.join(dir, importPath));
+  resolveImportPath(fromPath, importPath, byPath) {
+    if (!importPath || !importPath.startsWith(".")) return null;
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), importPath));
+    const ext = path.posix.extname(fromPath);
+    return [base, base + ext].find((candidate) => byPath.has(candidate)) || null;
   }
 
   /**
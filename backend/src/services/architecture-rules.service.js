@@ -0,0 +1,537 @@
+const yaml = require("js-yaml");
+const reportGenerator = require("./report-generator.service");
+
+/**
+ * Architecture Rules Service
+ * Loads the `.xaytheon/architecture.yml` rules DSL and evaluates it against a
+ * dependency graph from ArchDependencyParserService: layers assigned by glob,
+ * allowed / forbidden layer edges, dependency cycles, fan-in / fan-out limits
+ * and public-API-only access between modules. Reports convert to SARIF 2.1.0
+ * for code-scanning uploads.
+ */
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+const RULE_KEYS = ["version", "name", "layers", "exclude", "allow", "forbid", "cycles", "fan_in", "fan_out", "modules", "fail_on"];
+const RULE_DESCRIPTIONS = {
+  "arch/not-allowed": "Dependency outside the layer's allowed targets",
+  "arch/forbidden": "Forbidden dependency between layers",
+  "arch/cycle": "Dependency cycle",
+  "arch/fan-in": "Too many dependents",
+  "arch/fan-out": "Too many dependencies",
+  "arch/public-api": "Module internals imported from outside the module",
+};
+
+class ArchitectureRulesError extends Error {
+  constructor(message, problems = [], statusCode = 400) {
+    super(problems.length > 0 ? `${message}: ${problems.join("; ")}` : message);
+    this.name = "ArchitectureRulesError";
+    this.statusCode = statusCode;
+    this.problems = problems;
+  }
+}
+
+class ArchitectureRulesService {
+  constructor() {
+    this.defaultConfigPath = ".xaytheon/architecture.yml";
+  }
+
+  /**
+   * YAML (or JSON) text → object
+   */
+  load(text) {
+    try {
+      return yaml.safeLoad(text);
+    } catch (error) {
+      throw new ArchitectureRulesError(`Invalid architecture rules YAML: ${error.message}`);
+    }
+  }
+
+  /**
+   * The DSL describes layers as a map of globs; the legacy JSON definition
+   * uses an array of layer names.
+   */
+  isRuleSet(definition) {
+    return Boolean(definition) && typeof definition === "object" &&
+      ((definition.layers && typeof definition.layers === "object" && !Array.isArray(definition.layers)) ||
+        ["allow", "forbid", "cycles", "fan_in", "fan_out", "modules"].some((key) => key in definition));
+  }
+
+  /**
+   * Validate a parsed rules document and compile its globs
+   */
+  normalize(definition) {
+    const problems = [];
+    if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+      throw new ArchitectureRulesError("Architecture rules must be a mapping");
+    }
+
+    Object.keys(definition)
+      .filter((key) => !RULE_KEYS.includes(key))
+      .forEach((key) => problems.push(`unknown key "${key}"`));
+
+    if (definition.layers !== undefined && (!definition.layers || typeof definition.layers !== "object" || Array.isArray(definition.layers))) {
+      problems.push('"layers" must map layer names to globs');
+    }
+
+    const layers = Object.entries(!Array.isArray(definition.layers) && definition.layers || {}).map(([name, patterns]) => {
+      const list = this.toList(patterns);
+      if (list.length === 0 || list.some((p) => typeof p !== "string")) {
+        problems.push(`layer "${name}" must be a glob or a list of globs`);
+      }
+      return { name, patterns: list, matchers: list.filter((p) => typeof p === "string").map((p) => this.globToRegExp(p)) };
+    });
+    const layerNames = new Set(layers.map((layer) => layer.name));
+
+    const checkLayers = (names, where, allowWildcard) => {
+      names.forEach((name) => {
+        if (!(allowWildcard && name === "*") && !layerNames.has(name)) {
+          problems.push(`${where} refers to unknown layer "${name}"`);
+        }
+      });
+      return names;
+    };
+    const checkSeverity = (value, fallback, where) => {
+      if (value === undefined) return fallback;
+      if (!SEVERITIES.includes(value)) problems.push(`${where} severity must be one of ${SEVERITIES.join(", ")}`);
+      return value;
+    };
+    const checkMax = (value, where) => {
+      if (!Number.isInteger(value) || value < 0) problems.push(`${where} needs a non-negative integer "max"`);
+      return value;
+    };
+
+    const allow = new Map();
+    Object.entries(definition.allow || {}).forEach(([from, entry]) => {
+      checkLayers([from], "allow", false);
+      const targets = Array.isArray(entry) || typeof entry === "string" ? entry : (entry && entry.to);
+      allow.set(from, {
+        to: new Set(checkLayers(this.toList(targets), `allow.${from}`, false)),
+        severity: checkSeverity(entry && entry.severity, "high", `allow.${from}`),
+      });
+    });
+
+    const forbid = this.toList(definition.forbid).map((rule, i) => ({
+      from: checkLayers(this.toList(rule && rule.from), `forbid[${i}].from`, true),
+      to: checkLayers(this.toList(rule && rule.to), `forbid[${i}].to`, true),
+      severity: checkSeverity(rule && rule.severity, "high", `forbid[${i}]`),
+      message: (rule && rule.message) || null,
+    }));
+    forbid.forEach((rule, i) => {
+      if (rule.from.length === 0 || rule.to.length === 0) problems.push(`forbid[${i}] needs "from" and "to"`);
+    });
+
+    let cycles = null;
+    if (definition.cycles === true || typeof definition.cycles === "string") {
+      cycles = { scope: "files", layers: null, severity: definition.cycles === true ? "high" : checkSeverity(definition.cycles, "high", "cycles") };
+    } else if (definition.cycles && typeof definition.cycles === "object") {
+      const scope = definition.cycles.scope || "files";
+      if (!["files", "layers"].includes(scope)) problems.push('cycles.scope must be "files" or "layers"');
+      cycles = {
+        scope,
+        layers: definition.cycles.layers ? checkLayers(this.toList(definition.cycles.layers), "cycles.layers", false) : null,
+        severity: checkSeverity(definition.cycles.severity, "high", "cycles"),
+      };
+    }
+
+    const fanLimits = (key) => this.toList(definition[key]).map((limit, i) => ({
+      layer: limit && limit.layer ? checkLayers([limit.layer], `${key}[${i}]`, false)[0] : null,
+      max: checkMax(limit && limit.max, `${key}[${i}]`),
+      severity: checkSeverity(limit && limit.severity, "medium", `${key}[${i}]`),
+    }));
+
+    const modules = this.toList(definition.modules).map((module, i) => {
+      if (!module || typeof module.match !== "string") problems.push(`modules[${i}] needs a "match" glob`);
+      const publicPaths = module && module.public ? this.toList(module.public) : ["index.*"];
+      return {
+        match: module && module.match,
+        matcher: this.globToRegExp((module && module.match) || ""),
+        public: publicPaths,
+        publicMatchers: publicPaths.map((p) => this.globToRegExp(p)),
+        severity: checkSeverity(module && module.severity, "medium", `modules[${i}]`),
+      };
+    });
+
+    const fanIn = fanLimits("fan_in");
+    const fanOut = fanLimits("fan_out");
+    const failOn = checkSeverity(definition.fail_on, "low", "fail_on");
+
+    if (problems.length > 0) {
+      throw new ArchitectureRulesError("Invalid architecture rules", problems);
+    }
+
+    return {
+      name: definition.name || "Architecture rules",
+      version: String(definition.version || "1"),
+      layers,
+      exclude: this.toList(definition.exclude).map((p) => this.globToRegExp(p)),
+      allow,
+      forbid,
+      cycles,
+      fanIn,
+      fanOut,
+      modules,
+      failOn,
+    };
+  }
+
+  /**
+   * Evaluate rules against `{ graph: { nodes, edges } }`
+   * → { violations, layers, unassigned, edges }
+   */
+  evaluate(depData, rules) {
+    const files = depData.graph.nodes.map((node) => node.id).filter((file) => !this.matchesAny(rules.exclude, file));
+    const included = new Set(files);
+    const layerOf = new Map(files.map((file) => [file, this.layerFor(rules, file)]));
+
+    const edges = depData.graph.edges
+      .filter((edge) => included.has(edge.source) && included.has(edge.target))
+      .map((edge) => ({ ...edge, sourceLayer: layerOf.get(edge.source), targetLayer: layerOf.get(edge.target) }));
+
+    const violations = [
+      ...this.checkLayerEdges(edges, rules),
+      ...(rules.cycles ? this.checkCycles(files, edges, layerOf, rules.cycles) : []),
+      ...this.checkFan(files, edges, layerOf, rules.fanIn, "in"),
+      ...this.checkFan(files, edges, layerOf, rules.fanOut, "out"),
+      ...this.checkModules(edges, rules.modules),
+    ];
+
+    const order = Object.fromEntries(SEVERITIES.map((s, i) => [s, i]));
+    violations.sort((a, b) => order[a.severity] - order[b.severity] || a.source.localeCompare(b.source));
+
+    return {
+      violations,
+      edges,
+      layers: rules.layers.map((layer) => ({
+        name: layer.name,
+        files: files.filter((file) => layerOf.get(file) === layer.name),
+      })),
+      unassigned: files.filter((file) => layerOf.get(file) === null),
+    };
+  }
+
+  layerFor(rules, file) {
+    const layer = rules.layers.find((l) => this.matchesAny(l.matchers, file));
+    return layer ? layer.name : null;
+  }
+
+  checkLayerEdges(edges, rules) {
+    const violations = [];
+
+    edges.forEach((edge) => {
+      const { sourceLayer, targetLayer } = edge;
+      if (!sourceLayer || !targetLayer || sourceLayer === targetLayer) return;
+
+      const forbidden = rules.forbid.find((rule) =>
+        (rule.from.includes("*") || rule.from.includes(sourceLayer)) &&
+        (rule.to.includes("*") || rule.to.includes(targetLayer))
+      );
+      if (forbidden) {
+        violations.push(this.violation("arch/forbidden", forbidden.severity, edge,
+          forbidden.message || `${sourceLayer} must not depend on ${targetLayer}`));
+        return;
+      }
+
+      const allowed = rules.allow.get(sourceLayer);
+      if (allowed && !allowed.to.has(targetLayer)) {
+        violations.push(this.violation("arch/not-allowed", allowed.severity, edge,
+          `${sourceLayer} may only depend on ${[...allowed.to].join(", ") || "itself"}, not ${targetLayer}`));
+      }
+    });
+
+    return violations;
+  }
+
+  /**
+   * One violation per strongly connected component, showing one concrete cycle
+   */
+  checkCycles(files, edges, layerOf, options) {
+    const inScope = (file) => !options.layers || options.layers.includes(layerOf.get(file));
+    const adjacency = new Map();
+    const edgeAt = new Map();
+
+    if (options.scope === "layers") {
+      edges.forEach((edge) => {
+        const { sourceLayer: from, targetLayer: to } = edge;
+        if (!from || !to || from === to || !inScope(edge.source) || !inScope(edge.target)) return;
+        if (!adjacency.has(from)) adjacency.set(from, new Set());
+        adjacency.get(from).add(to);
+        if (!edgeAt.has(`${from}->${to}`)) edgeAt.set(`${from}->${to}`, edge);
+      });
+    } else {
+      files.filter(inScope).forEach((file) => adjacency.set(file, new Set()));
+      edges.forEach((edge) => {
+        if (!adjacency.has(edge.source) || !adjacency.has(edge.target)) return;
+        adjacency.get(edge.source).add(edge.target);
+        edgeAt.set(`${edge.source}->${edge.target}`, edge);
+      });
+    }
+
+    return this.stronglyConnected(adjacency)
+      .filter((component) => component.length > 1)
+      .map((component) => {
+        const cycle = this.findCycle(component, adjacency);
+        const first = edgeAt.get(`${cycle[0]}->${cycle[1]}`);
+        return {
+          ...this.violation("arch/cycle", options.severity, first,
+            `Dependency cycle: ${cycle.join(" → ")}`),
+          id: `arch/cycle:${[...component].sort()[0]}`,
+          cycle,
+          members: component.length,
+        };
+      });
+  }
+
+  /**
+   * Tarjan's algorithm (iterative, so deep import chains cannot overflow the stack)
+   */
+  stronglyConnected(adjacency) {
+    let index = 0;
+    const indices = new Map();
+    const lowlink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+
+    for (const root of adjacency.keys()) {
+      if (indices.has(root)) continue;
+      const work = [{ node: root, neighbours: [...(adjacency.get(root) || [])], i: 0 }];
+      indices.set(root, index);
+      lowlink.set(root, index++);
+      stack.push(root);
+      onStack.add(root);
+
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        if (frame.i < frame.neighbours.length) {
+          const next = frame.neighbours[frame.i++];
+          if (!indices.has(next)) {
+            indices.set(next, index);
+            lowlink.set(next, index++);
+            stack.push(next);
+            onStack.add(next);
+            work.push({ node: next, neighbours: [...(adjacency.get(next) || [])], i: 0 });
+          } else if (onStack.has(next)) {
+            lowlink.set(frame.node, Math.min(lowlink.get(frame.node), indices.get(next)));
+          }
+          continue;
+        }
+
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].node;
+          lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.node)));
+        }
+        if (lowlink.get(frame.node) === indices.get(frame.node)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== frame.node);
+          components.push(component);
+        }
+      }
+    }
+
+    return components;
+  }
+
+  /**
+   * Shortest cycle through the component's first node (breadth-first)
+   */
+  findCycle(component, adjacency) {
+    const members = new Set(component);
+    const start = [...component].sort()[0];
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      for (const next of adjacency.get(node) || []) {
+        if (!members.has(next)) continue;
+        if (next === start) {
+          const cycle = [start];
+          for (let n = node; n !== start; n = previous.get(n)) cycle.splice(1, 0, n);
+          return [...cycle, start];
+        }
+        if (!previous.has(next)) {
+          previous.set(next, node);
+          queue.push(next);
+        }
+      }
+    }
+    return [start, start];
+  }
+
+  checkFan(files, edges, layerOf, limits, direction) {
+    const violations = [];
+    if (limits.length === 0) return violations;
+
+    const counts = new Map(files.map((file) => [file, new Set()]));
+    edges.forEach((edge) => {
+      const [file, other] = direction === "in" ? [edge.target, edge.source] : [edge.source, edge.target];
+      counts.get(file).add(other);
+    });
+
+    limits.forEach((limit) => {
+      counts.forEach((others, file) => {
+        if (limit.layer && layerOf.get(file) !== limit.layer) return;
+        if (others.size <= limit.max) return;
+        violations.push({
+          id: `arch/fan-${direction}:${file}`,
+          ruleId: `arch/fan-${direction}`,
+          type: `fan-${direction}`,
+          severity: limit.severity,
+          source: file,
+          target: null,
+          sourceLayer: layerOf.get(file),
+          targetLayer: null,
+          line: 1,
+          description: direction === "in"
+            ? `${others.size} files depend on this file (max ${limit.max})`
+            : `This file depends on ${others.size} files (max ${limit.max})`,
+          count: others.size,
+        });
+      });
+    });
+
+    return violations;
+  }
+
+  checkModules(edges, modules) {
+    const violations = [];
+
+    modules.forEach((module) => {
+      edges.forEach((edge) => {
+        const targetRoot = this.moduleRoot(module.matcher, edge.target);
+        if (!targetRoot || this.moduleRoot(module.matcher, edge.source) === targetRoot) return;
+
+        const inner = edge.target.slice(targetRoot.length + 1);
+        if (module.publicMatchers.some((matcher) => matcher.test(inner))) return;
+
+        violations.push(this.violation("arch/public-api", module.severity, edge,
+          `${edge.target} is internal to ${targetRoot}; import it through ${module.public.join(" or ")}`));
+      });
+    });
+
+    return violations;
+  }
+
+  /**
+   * The closest directory of `file` matched by the module glob
+   */
+  moduleRoot(matcher, file) {
+    const parts = file.split("/");
+    for (let i = parts.length - 1; i > 0; i--) {
+      const dir = parts.slice(0, i).join("/");
+      if (matcher.test(dir)) return dir;
+    }
+    return null;
+  }
+
+  violation(ruleId, severity, edge, description) {
+    return {
+      id: `${ruleId}:${edge.source}->${edge.target}`,
+      ruleId,
+      type: ruleId.slice("arch/".length),
+      severity,
+      source: edge.source,
+      target: edge.target,
+      sourceLayer: edge.sourceLayer,
+      targetLayer: edge.targetLayer,
+      line: edge.line || 1,
+      description,
+    };
+  }
+
+  /**
+   * Report → SARIF 2.1.0 log, written by the report generator's shared SARIF helpers
+   */
+  toSarif(report) {
+    const ruleIds = [...new Set(report.violations.map((v) => v.ruleId))].sort();
+    const rules = ruleIds.map((id) => ({
+      id,
+      name: reportGenerator.ruleName(id),
+      shortDescription: { text: RULE_DESCRIPTIONS[id] || id },
+      defaultConfiguration: { level: "error" },
+    }));
+
+    const results = report.violations.map((v) => ({
+      ruleId: v.ruleId,
+      ruleIndex: ruleIds.indexOf(v.ruleId),
+      level: reportGenerator.sarifLevel(v.severity),
+      message: { text: v.target ? `${v.description} (${v.source} → ${v.target})` : v.description },
+      locations: [reportGenerator.sarifLocation(v.source, v.line || 1)],
+      partialFingerprints: { archViolation: v.id },
+      properties: { severity: v.severity },
+    }));
+
+    return reportGenerator.sarifLog("xaytheon-architecture", rules, results);
+  }
+
+  /**
+   * True when a violation reaches the `fail_on` severity
+   */
+  gateFails(violations, failOn) {
+    const threshold = SEVERITIES.indexOf(failOn);
+    return violations.some((v) => SEVERITIES.indexOf(v.severity) <= threshold);
+  }
+
+  /**
+   * Glob → RegExp: `**` spans directories, `*` / `?` stay within one,
+   * `{a,b}` alternates
+   */
+  globToRegExp(glob) {
+    const pattern = String(glob).replace(/^\.\//, "").replace(/\/$/, "");
+    let source = "";
+    let inGroup = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const ch = pattern[i];
+      if (ch === "*" && pattern[i + 1] === "*") {
+        const slash = pattern[i + 2] === "/";
+        source += slash ? "(?:.*/)?" : ".*";
+        i += slash ? 2 : 1;
+      } else if (ch === "*") {
+        source += "[^/]*";
+      } else if (ch === "?") {
+        source += "[^/]";
+      } else if (ch === "{") {
+        inGroup = true;
+        source += "(?:";
+      } else if (ch === "}" && inGroup) {
+        inGroup = false;
+        source += ")";
+      } else if (ch === "," && inGroup) {
+        source += "|";
+      } else {
+        source += ch.replace(/[.+^$()|[\]\\]/g, "\\$&");
+      }
+    }
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * A file matches a glob when it, or one of its directories, does
+   * (so `src/routes` covers everything below it)
+   */
+  matchesAny(matchers, file) {
+    if (matchers.length === 0) return false;
+    const parts = file.split("/");
+    for (let i = parts.length; i > 0; i--) {
+      const candidate = parts.slice(0, i).join("/");
+      if (matchers.some((matcher) => matcher.test(candidate))) return true;
+    }
+    return false;
+  }
+
+  toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+module.exports = new ArchitectureRulesService();
+module.exports.ArchitectureRulesError = ArchitectureRulesError;
@@ -1,8 +1,15 @@
+const fs = require("fs");
+const path = require("path");
 const violationDetector = require("./violation-detector.service");
+const archDependencyParser = require("./arch-dependency-parser.service");
+const architectureRules = require("./architecture-rules.service");
+const { ArchitectureRulesError } = architectureRules;
 
 /**
  * Architecture-as-Code Validator Service
- * Validates repository against user-defined JSON architecture rules
+ * Validates repository against user-defined architecture rules: either the
+ * legacy JSON definition (pattern + constraints) or the `.xaytheon/architecture.yml`
+ * rules DSL (see ArchitectureRulesService)
  */
 
 class ArchitectureValidatorService {
@@ -15,8 +22,16 @@ class ArchitectureValidatorService {
    */
   async validateArchitecture(owner, repo, architectureDefinition) {
     try {
+      const source = architectureDefinition || await this.fetchRulesFile(owner, repo);
+      const loaded = this.loadDefinition(source);
+
+      if (architectureRules.isRuleSet(loaded)) {
+        const depData = await archDependencyParser.parseRepository(owner, repo);
+        return this.validateRuleSet(depData, loaded);
+      }
+
       // Parse and validate definition
-      const definition = this.parseDefinition(architectureDefinition);
+      const definition = this.parseDefinition(loaded);
 
       // Detect violations using the defined rules
       const violations = await violationDetector.detectViolations(
@@ -41,6 +56,119 @@ class ArchitectureValidatorService {
     }
   }
 
+  /**
+   * Validate a local checkout against its rules file (used by `npm run arch:check`)
+   */
+  async validateLocalRepository(rootDir, options = {}) {
+    const root = path.resolve(rootDir);
+    const configPath = path.resolve(root, options.configPath || architectureRules.defaultConfigPath);
+
+    let source;
+    try {
+      source = fs.readFileSync(configPath, "utf8");
+    } catch (error) {
+      throw new ArchitectureRulesError(`Architecture rules not found at ${configPath}`, [], 404);
+    }
+
+    const depData = await archDependencyParser.parseLocalRepository(root, { name: options.name });
+    return this.validateRuleSet(depData, this.loadDefinition(source), options);
+  }
+
+  /**
+   * Read `.xaytheon/architecture.yml` from the repository
+   */
+  async fetchRulesFile(owner, repo) {
+    const localPath = archDependencyParser.findLocalCheckout(owner, repo);
+    if (localPath) {
+      try {
+        return fs.readFileSync(path.join(localPath, architectureRules.defaultConfigPath), "utf8");
+      } catch (error) {
+        // Fall through to the not-found error below
+      }
+    } else {
+      const content = await archDependencyParser.fetchFileContent(owner, repo, architectureRules.defaultConfigPath);
+      if (content) return typeof content === "string" ? content : JSON.stringify(content);
+    }
+
+    throw new ArchitectureRulesError(
+      `No architecture definition given and ${owner}/${repo} has no ${architectureRules.defaultConfigPath}`, [], 404
+    );
+  }
+
+  /**
+   * Definition body → object. Accepts an object, JSON text or YAML text
+   */
+  loadDefinition(definition) {
+    let loaded = definition;
+    if (typeof definition === "string") {
+      try {
+        loaded = JSON.parse(definition);
+      } catch (error) {
+        loaded = architectureRules.load(definition);
+      }
+    }
+
+    if (!loaded || typeof loaded !== "object" || Array.isArray(loaded)) {
+      throw new ArchitectureRulesError("Architecture definition must be an object");
+    }
+    return loaded;
+  }
+
+  /**
+   * Evaluate the rules DSL against a parsed dependency graph
+   */
+  validateRuleSet(depData, definition, options = {}) {
+    const rules = architectureRules.normalize(definition);
+    const result = architectureRules.evaluate(depData, rules);
+    const failOn = options.failOn || rules.failOn;
+    const violations = result.violations;
+
+    const byRule = {};
+    violations.forEach((v) => {
+      if (!byRule[v.ruleId]) byRule[v.ruleId] = [];
+      byRule[v.ruleId].push(v);
+    });
+
+    const edgeViolations = new Set(violations.filter((v) => v.target).map((v) => `${v.source}->${v.target}`));
+    const complianceScore = result.edges.length > 0
+      ? 100 - (edgeViolations.size / result.edges.length) * 100
+      : 100;
+
+    return {
+      repository: depData.repository,
+      architecture: {
+        name: rules.name,
+        pattern: "rules",
+        version: rules.version,
+      },
+      timestamp: new Date().toISOString(),
+      isValid: violations.length === 0,
+      complianceScore: Math.round(complianceScore),
+      violations,
+      summary: {
+        total: violations.length,
+        byRule: Object.keys(byRule).map((rule) => ({
+          rule,
+          count: byRule[rule].length,
+          severity: this.calculateRuleSeverity(byRule[rule]),
+        })),
+        bySeverity: {
+          critical: violations.filter((v) => v.severity === "critical").length,
+          high: violations.filter((v) => v.severity === "high").length,
+          medium: violations.filter((v) => v.severity === "medium").length,
+          low: violations.filter((v) => v.severity === "low").length,
+        },
+      },
+      layers: result.layers.map((layer) => ({ name: layer.name, files: layer.files.length })),
+      unassigned: result.unassigned,
+      gate: {
+        failOn,
+        failed: architectureRules.gateFails(violations, failOn),
+      },
+      recommendations: this.generateValidationRecommendations(violations, rules),
+    };
+  }
+
   /**
    * Parse architecture definition
    */
@@ -51,7 +179,7 @@ class ArchitectureValidatorService {
 
     // Validate required fields
     if (!definition.name) {
-      throw new Error("Architecture definition must have a name");
+      throw new ArchitectureRulesError("Architecture definition must have a name");
     }
 
     // Set defaults
@@ -21,6 +21,14 @@ class ASTFingerprintService {
         // Similarity threshold
         this.similarityThreshold = 0.7;
 
+        // Function-level clone detection: longer shingles, small functions ignored
+        this.functionShingleSize = 5;
+        this.minFunctionNodes = 60;
+
+        // shingle -> its numHashes hash values (node-type shingles repeat across files)
+        this.shingleHashes = new Map();
+        this.shingleHashLimit = 20000;
+
         // AST node type weights (semantic importance)
         this.nodeWeights = {
             'FunctionDeclaration': 10,
@@ -165,9 +173,10 @@ class ASTFingerprintService {
     /**
      * Generate MinHash signature
      */
-    generateMinHashSignature(features) {
+    generateMinHashSignature(features, shingleSize = this.shingleSize) {
         // Create shingles from node sequence
-        const shingles = this.createShingles(features.nodeSequence, this.shingleSize);
+        const shingles = this.createShingles(features.nodeSequence, shingleSize);
+        const hashes = shingles.map(shingle => this.shingleHashValues(shingle));
 
         // Apply multiple hash functions
         const signature = [];
@@ -175,9 +184,8 @@ class ASTFingerprintService {
         for (let i = 0; i < this.numHashes; i++) {
             let minHash = Infinity;
 
-            for (const shingle of shingles) {
-                const hash = this.hashFunction(shingle, i);
-                minHash = Math.min(minHash, hash);
+            for (const values of hashes) {
+                minHash = Math.min(minHash, values[i]);
             }
 
             signature.push(minHash);
@@ -186,6 +194,22 @@ class ASTFingerprintService {
         return signature;
     }
 
+    /**
+     * All numHashes hash values of a shingle, memoized
+     */
+    shingleHashValues(shingle) {
+        let values = this.shingleHashes.get(shingle);
+        if (!values) {
+            values = new Uint32Array(this.numHashes);
+            for (let i = 0; i < this.numHashes; i++) {
+                values[i] = this.hashFunction(shingle, i);
+            }
+            if (this.shingleHashes.size >= this.shingleHashLimit) this.shingleHashes.clear();
+            this.shingleHashes.set(shingle, values);
+        }
+        return values;
+    }
+
     /**
      * Create shingles (n-grams) from node sequence
      */
@@ -364,6 +388,65 @@ class ASTFingerprintService {
         };
     }
 
+    /**
+     * Fingerprint each function of a file (clone detection at function granularity).
+     * Functions with fewer than minFunctionNodes AST nodes are skipped; nested
+     * functions are fingerprinted on their own as well as inside their parent.
+     * @returns {Array} fingerprints carrying `function: { name, line, endLine, lines }`
+     */
+    generateFunctionFingerprints(code, filePath = 'unknown', ast = null) {
+        if (!ast) {
+            const parseResult = this.parseCode(code, filePath);
+            if (parseResult.error) return [];
+            ast = parseResult.ast;
+        }
+
+        const fingerprints = [];
+        const minNodes = this.minFunctionNodes;
+        const fingerprint = (path) => {
+            const nodeSequence = [path.node.type];
+            path.traverse({
+                enter(inner) {
+                    nodeSequence.push(inner.node.type);
+                }
+            });
+            if (nodeSequence.length < minNodes || !path.node.loc) return;
+
+            const { start, end } = path.node.loc;
+            const minHashSignature = this.generateMinHashSignature({ nodeSequence }, this.functionShingleSize);
+            fingerprints.push({
+                success: true,
+                filePath,
+                function: {
+                    name: this.functionName(path),
+                    line: start.line,
+                    endLine: end.line,
+                    lines: end.line - start.line + 1
+                },
+                structuralHash: crypto.createHash('sha256').update(nodeSequence.join(',')).digest('hex'),
+                minHashSignature,
+                lshBuckets: this.generateLSHBuckets(minHashSignature),
+                features: { nodeCount: nodeSequence.length },
+                metadata: { linesOfCode: end.line - start.line + 1 }
+            });
+        };
+
+        traverse(ast, { Function: fingerprint });
+        return fingerprints;
+    }
+
+    functionName(path) {
+        const { node, parent } = path;
+        if (node.id && node.id.name) return node.id.name;
+        if (node.key) return node.key.name || node.key.value || 'method';
+        if (parent.type === 'VariableDeclarator' && parent.id.name) return parent.id.name;
+        if (parent.type === 'AssignmentExpression' && parent.left.type === 'MemberExpression') {
+            return parent.left.property.name || 'anonymous';
+        }
+        if (parent.type === 'ObjectProperty' && parent.key) return parent.key.name || parent.key.value || 'anonymous';
+        return 'anonymous';
+    }
+
     /**
      * Analyze directory recursively
      */
@@ -452,6 +535,8 @@ class ASTFingerprintService {
                 similarPairs.push({
                     file1: fp1.filePath,
                     file2: fp2.filePath,
+                    function1: fp1.function,
+                    function2: fp2.function,
                     similarity: parseFloat((similarity * 100).toFixed(2)),
                     hash1: fp1.structuralHash,
                     hash2: fp2.structuralHash,
@@ -529,13 +614,13 @@ class ASTFingerprintService {
     /**
      * Normalized AST deduplication quality score (0-100, higher = better).
      * Higher duplication density = lower score.
-     * @param {Array} fingerprints
+     * @param {Array} fingerprints - demo corpus when omitted
      * @param {Array} similarPairs
      * @returns {Object} { score, label, breakdown }
      */
-    getNormalizedDuplicationScore(fingerprints = [], similarPairs = []) {
+    getNormalizedDuplicationScore(fingerprints = null, similarPairs = []) {
         // Demo defaults
-        if (fingerprints.length === 0) {
+        if (!fingerprints) {
             fingerprints = Array.from({ length: 10 }, (_, i) => ({ filePath: `file${i}`, metadata: { linesOfCode: 100 } }));
             similarPairs = [{ similarity: 95 }, { similarity: 72 }];
         }
@@ -558,6 +643,63 @@ class ASTFingerprintService {
             }
         };
     }
+
+    /**
+     * Duplication quality score (0-100, higher = better) from function-level clones:
+     * the share of source lines inside functions that have an exact (>= 90%) clone,
+     * with near clones (70-90%) counting half.
+     * @param {Array} fingerprints - generateFunctionFingerprints() output
+     * @param {Array} similarPairs - findSimilarCode() over those fingerprints
+     * @param {number} totalLines  - lines of all scanned files
+     * @returns {Object} { dimension, score, label, breakdown }
+     */
+    getDuplicatedLinesScore(fingerprints, similarPairs, totalLines) {
+        // file -> line -> 1 (exact clone) or 0.5 (near clone)
+        const cloned = new Map();
+        const mark = (file, fn, weight) => {
+            if (!cloned.has(file)) cloned.set(file, new Map());
+            const lines = cloned.get(file);
+            for (let line = fn.line; line <= fn.endLine; line++) {
+                lines.set(line, Math.max(lines.get(line) || 0, weight));
+            }
+        };
+        similarPairs.forEach(pair => {
+            const weight = pair.similarity >= 90 ? 1 : 0.5;
+            mark(pair.file1, pair.function1, weight);
+            mark(pair.file2, pair.function2, weight);
+        });
+
+        let duplicatedLines = 0;
+        let similarLines = 0;
+        cloned.forEach(lines => lines.forEach(weight => {
+            if (weight === 1) duplicatedLines++;
+            else similarLines++;
+        }));
+
+        const density = totalLines > 0 ? (duplicatedLines + similarLines / 2) / totalLines : 0;
+        const score = Math.max(0, Math.round(100 - density * 200));
+        const describe = (file, fn) => ({ file, name: fn.name, line: fn.line });
+
+        return {
+            dimension: 'duplication',
+            score,
+            label: score >= 80 ? 'GOOD' : score >= 60 ? 'FAIR' : score >= 40 ? 'POOR' : 'CRITICAL',
+            breakdown: {
+                duplicatedLineDensity: parseFloat((density * 100).toFixed(2)),
+                duplicatedLines,
+                similarLines,
+                totalLines,
+                exactDuplicates: similarPairs.filter(p => p.similarity >= 90).length,
+                nearDuplicates: similarPairs.filter(p => p.similarity < 90).length,
+                functionsFingerprinted: fingerprints.length,
+                topClones: similarPairs.slice(0, 5).map(pair => ({
+                    similarity: pair.similarity,
+                    first: describe(pair.file1, pair.function1),
+                    second: describe(pair.file2, pair.function2)
+                }))
+            }
+        };
+    }
 }
 
 module.exports = new ASTFingerprintService();
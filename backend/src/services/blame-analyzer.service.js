@@ -1,26 +1,27 @@
 /**
  * Blame Analyzer Service
- * Uses NLP to identify "bug genesis" points and potential regression sources.
+ * Uses commit history and `git blame` to identify "bug genesis" points and potential regression sources.
  */
+const timeMachine = require('./git-time-machine.service');
+
 class BlameAnalyzerService {
     /**
      * Analyzes commit messages to find bug-fix patterns.
      * @param {Array} timeline 
      */
     async analyzeBugGenesis(timeline) {
-        const bugFixCommits = timeline.filter(commit =>
-            /fix|bug|issue|resolve|patch|hotfix|revert/i.test(commit.message)
-        );
+        const bugFixCommits = timeline.filter(commit => timeMachine.isBugFixCommit(commit));
 
         const hotspots = {};
 
         bugFixCommits.forEach(commit => {
             commit.changes.forEach(change => {
                 if (!hotspots[change.file]) {
-                    hotspots[change.file] = { count: 0, lastFix: null };
+                    hotspots[change.file] = { count: 0, lastFix: null, churn: 0 };
                 }
                 hotspots[change.file].count++;
                 hotspots[change.file].lastFix = commit.date;
+                hotspots[change.file].churn += (change.additions || 0) + (change.deletions || 0);
             });
         });
 
@@ -34,18 +35,107 @@ class BlameAnalyzerService {
     }
 
     /**
-     * AI-based regression detection (Simulated).
-     * Attempts to find which commit likely introduced the bug being fixed.
+     * Finds which commit likely introduced the bug being fixed.
+     * Blames the lines the fix removed or rewrote (and the line next to pure
+     * insertions) in the fix's parent; the commit owning most of them is the suspect.
+     * @param {string} fixCommitHash
+     * @param {string} repoPath
      */
-    async traceRegressionOrigin(fixCommitHash) {
-        // Logic: Find the last modification to the same files BEFORE the fix
+    async traceRegressionOrigin(fixCommitHash, repoPath) {
+        const repo = await timeMachine.resolveRepository(repoPath);
+        const fix = timeMachine.assertRevision(fixCommitHash);
+
+        const [header] = (await timeMachine.git(repo, ['log', '-1', '--format=%H%x1f%P%x1f%aI', fix])).trim().split('\n');
+        const [fixHash, parents, fixDate] = header.split('\x1f');
+        const parent = parents.split(' ')[0];
+        if (!parent) {
+            return { fixCommit: fixHash, suspectCommit: null, confidence: '0%', reason: 'The fix is a root commit; nothing to blame.', candidates: [] };
+        }
+
+        const ranges = this.parseChangedRanges(
+            await timeMachine.git(repo, ['diff', '--no-renames', '--no-color', '-U0', parent, fixHash])
+        );
+
+        const candidates = new Map();
+        let blamedLines = 0;
+        for (const { file, start, count, weight } of ranges) {
+            let output;
+            try {
+                output = await timeMachine.git(repo, ['blame', '--porcelain', '-L', `${start},+${count}`, parent, '--', file]);
+            } catch (error) {
+                continue; // range outside the parent's file (e.g. insertion at EOF)
+            }
+            this.parseBlame(output).forEach(({ commit, author, time, lines }) => {
+                const candidate = candidates.get(commit) || { commit, author, date: new Date(time * 1000).toISOString(), lines: 0, files: new Set() };
+                candidate.lines += lines * weight;
+                candidate.files.add(file);
+                candidates.set(commit, candidate);
+                blamedLines += lines * weight;
+            });
+        }
+
+        const ranked = Array.from(candidates.values())
+            .sort((a, b) => b.lines - a.lines)
+            .map(c => ({ ...c, files: Array.from(c.files), share: Math.round((c.lines / blamedLines) * 100) }));
+
+        if (ranked.length === 0) {
+            return { fixCommit: fixHash, suspectCommit: null, confidence: '0%', reason: 'The fix only added new files; no earlier lines to blame.', candidates: [] };
+        }
+
+        const suspect = ranked[0];
+        const daysBefore = Math.round((new Date(fixDate) - new Date(suspect.date)) / (24 * 60 * 60 * 1000));
         return {
-            fixCommit: fixCommitHash,
-            suspectCommit: 'e5f6g7h', // Mock suspect
-            confidence: '85%',
-            reason: "Modified 'auth.service.js' 5 days prior to the fix."
+            fixCommit: fixHash,
+            suspectCommit: suspect.commit,
+            confidence: `${suspect.share}%`,
+            reason: `Last modified ${Math.round(suspect.lines)} of the ${Math.round(blamedLines)} lines touched by the fix in '${suspect.files.join("', '")}' ${daysBefore} days prior to the fix.`,
+            candidates: ranked.slice(0, 5)
         };
     }
+
+    /**
+     * Parent-side line ranges from a zero-context diff. Pure insertions blame the
+     * line they were inserted after, at half weight.
+     */
+    parseChangedRanges(diff) {
+        const ranges = [];
+        let file = null;
+        diff.split('\n').forEach(line => {
+            if (line.startsWith('--- ')) {
+                file = line === '--- /dev/null' ? null : line.slice(6).replace(/\t$/, '');
+                return;
+            }
+            if (line === '+++ /dev/null') {
+                file = null; // deleting the whole file is not where a fix lands
+                return;
+            }
+            const hunk = file && line.match(/^@@ -(\d+)(?:,(\d+))? \+\d+(?:,\d+)? @@/);
+            if (!hunk) return;
+            const start = parseInt(hunk[1], 10);
+            const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+            if (count > 0) ranges.push({ file, start, count, weight: 1 });
+            else if (start > 0) ranges.push({ file, start, count: 1, weight: 0.5 });
+        });
+        return ranges;
+    }
+
+    parseBlame(output) {
+        const commits = new Map();
+        let current = null;
+        output.split('\n').forEach(line => {
+            const header = line.match(/^([0-9a-f]{40}) \d+ \d+(?: (\d+))?$/);
+            if (header) {
+                current = commits.get(header[1]) || { commit: header[1], author: null, time: 0, lines: 0 };
+                if (header[2]) current.lines += parseInt(header[2], 10);
+                commits.set(header[1], current);
+            } else if (current && line.startsWith('author ')) {
+                current.author = line.slice(7);
+            } else if (current && line.startsWith('author-time ')) {
+                current.time = parseInt(line.slice(12), 10);
+            }
+        });
+        return Array.from(commits.values());
+    }
 }
 
 module.exports = new BlameAnalyzerService();
@@ -1,58 +1,348 @@
 /**
  * Bundle Analyzer Service
- * Processes build metadata (Webpack/Vite stats) into a 3D coordinate map.
+ * Processes build metadata (webpack/Vite/Rollup/esbuild stats) into a 3D coordinate map.
+ * Modules become buildings on a squarified treemap of their directories, so
+ * each folder and each node_modules package is a district.
  */
+const bundleStats = require('./bundle-stats.service');
+
+const CITY_SIZE = 240;
+const DIFF_COLORS = {
+    added: '#10b981',
+    removed: '#6b7280',
+    grown: '#ef4444',
+    shrunk: '#3b82f6',
+    unchanged: '#374151'
+};
+
 class BundleAnalyzerService {
     /**
      * Generates a 3D layout for the bundle city.
-     * @param {Object} stats - The build statistics JSON.
+     * @param {Object} stats - The build statistics JSON (or a graph from bundleStats.parse).
+     * @param {Object} options - { packageLock }
+     */
+    async generateCityLayout(stats, options = {}) {
+        const graph = this.toGraph(stats, options);
+        const duplicated = new Set(graph.duplicates.map(d => d.package));
+
+        const city = this.layoutCity(graph.modules.map(module => ({
+            module,
+            weight: module.size,
+            height: this.heightFor(module.size),
+            color: this.getColorByType(module.type),
+            extra: { duplicate: duplicated.has(module.package) }
+        })));
+
+        const { totals } = graph;
+        return {
+            ...city,
+            chunks: graph.chunks,
+            duplicates: graph.duplicates,
+            summary: {
+                tool: graph.tool,
+                totalSize: this.formatBytes(totals.size),
+                totalGzip: totals.gzip === null ? null : this.formatBytes(totals.gzip),
+                totalBrotli: totals.brotli === null ? null : this.formatBytes(totals.brotli),
+                totalFiles: totals.modules,
+                totalChunks: totals.chunks,
+                duplicatePackages: graph.duplicates.length,
+                duplicatedSize: this.formatBytes(totals.duplicatedBytes),
+                bloatFactor: `${totals.size ? Math.round((totals.duplicatedBytes / totals.size) * 100) : 0}%`
+            }
+        };
+    }
+
+    /**
+     * Compares two builds module by module. The city covers both builds (each
+     * module sized by the larger of its two sizes) and colours buildings by change.
+     * @param {Object} base - Stats of the baseline build
+     * @param {Object} head - Stats of the new build
+     * @param {Object} options - { packageLock, threshold } where threshold is the
+     *   byte change below which a module counts as unchanged (default 0)
      */
-    async generateCityLayout(stats = {}) {
-        // In a real implementation, we would parse actual Stats JSON.
-        // For now, we use high-fidelity mock data based on real project structures.
-        const files = this.getMockFileStats();
-
-        const citySize = Math.ceil(Math.sqrt(files.length)) * 10;
-        const spacing = 12;
-        const layout = [];
-
-        files.forEach((file, index) => {
-            const gridX = index % Math.ceil(Math.sqrt(files.length));
-            const gridZ = Math.floor(index / Math.ceil(Math.sqrt(files.length)));
-
-            layout.push({
-                id: file.path,
-                name: file.name,
-                type: file.type,
-                // Height based on size (KB)
-                height: Math.max(2, Math.log10(file.size) * 5),
-                // Width/Depth based on dependency count
-                width: Math.max(2, file.deps * 1.5),
-                depth: Math.max(2, file.deps * 1.5),
-                x: gridX * spacing - (citySize / 2),
-                z: gridZ * spacing - (citySize / 2),
-                y: 0,
-                color: this.getColorByType(file.type),
-                stats: {
-                    size: this.formatBytes(file.size),
-                    deps: file.deps,
-                    loadTime: `${(file.size / 102400).toFixed(2)}ms (3G)`,
-                    rent: this.calculateRent(file.size, file.deps)
+    async diffBuilds(base, head, options = {}) {
+        const before = this.toGraph(base, options);
+        const after = this.toGraph(head, options);
+        const threshold = options.threshold || 0;
+
+        const beforeById = new Map(before.modules.map(m => [m.id, m]));
+        const afterById = new Map(after.modules.map(m => [m.id, m]));
+        const ids = [...new Set([...beforeById.keys(), ...afterById.keys()])];
+
+        const modules = ids.map(id => {
+            const a = beforeById.get(id);
+            const b = afterById.get(id);
+            const delta = (b ? b.size : 0) - (a ? a.size : 0);
+            let status = 'unchanged';
+            if (!a) status = 'added';
+            else if (!b) status = 'removed';
+            else if (delta > threshold) status = 'grown';
+            else if (delta < -threshold) status = 'shrunk';
+            return {
+                id,
+                status,
+                module: b || a,
+                base: a ? a.size : null,
+                head: b ? b.size : null,
+                delta,
+                gzipDelta: this.delta(a && a.gzip, b && b.gzip, a, b)
+            };
+        }).sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta) || x.id.localeCompare(y.id));
+
+        const city = this.layoutCity(modules.map(entry => ({
+            module: entry.module,
+            weight: Math.max(entry.base || 0, entry.head || 0),
+            height: entry.status === 'removed' ? 1 : this.heightFor(entry.head),
+            color: DIFF_COLORS[entry.status],
+            extra: {
+                diff: {
+                    status: entry.status,
+                    base: entry.base,
+                    head: entry.head,
+                    delta: entry.delta,
+                    label: `${entry.delta >= 0 ? '+' : '-'}${this.formatBytes(Math.abs(entry.delta))}`
                 }
-            });
-        });
+            }
+        })));
+
+        const beforePackages = new Set(before.duplicates.map(d => d.package));
+        const afterPackages = new Set(after.duplicates.map(d => d.package));
+        const count = status => modules.filter(m => m.status === status).length;
 
         return {
-            citySize,
-            buildings: layout,
+            ...city,
+            modules: modules.filter(m => m.status !== 'unchanged').map(({ module, ...rest }) => rest),
+            chunks: this.diffChunks(before.chunks, after.chunks),
+            duplicates: {
+                introduced: after.duplicates.filter(d => !beforePackages.has(d.package)),
+                resolved: before.duplicates.filter(d => !afterPackages.has(d.package))
+            },
             summary: {
-                totalSize: this.formatBytes(files.reduce((a, b) => a + b.size, 0)),
-                totalFiles: files.length,
-                bloatFactor: "12%"
+                tool: after.tool,
+                base: before.totals,
+                head: after.totals,
+                sizeDelta: after.totals.size - before.totals.size,
+                gzipDelta: this.delta(before.totals.gzip, after.totals.gzip, true, true),
+                brotliDelta: this.delta(before.totals.brotli, after.totals.brotli, true, true),
+                added: count('added'),
+                removed: count('removed'),
+                grown: count('grown'),
+                shrunk: count('shrunk'),
+                unchanged: count('unchanged')
+            }
+        };
+    }
+
+    toGraph(stats, options) {
+        if (stats && Array.isArray(stats.modules) && stats.totals) return stats;
+        return bundleStats.parse(stats, options);
+    }
+
+    delta(before, after, hasBefore, hasAfter) {
+        if ((hasBefore && before === null) || (hasAfter && after === null)) return null;
+        return (after || 0) - (before || 0);
+    }
+
+    /**
+     * Chunks matched by name with content hashes removed (index-B3x9kQ2a.js → index.js)
+     */
+    diffChunks(before, after) {
+        const key = name => name.replace(/[.-](?=[A-Za-z0-9_-]*\d)[A-Za-z0-9_-]{8,}(?=\.\w+$)/, '');
+        const beforeByKey = new Map(before.map(c => [key(c.name), c]));
+        const afterByKey = new Map(after.map(c => [key(c.name), c]));
+
+        return [...new Set([...beforeByKey.keys(), ...afterByKey.keys()])].map(name => {
+            const a = beforeByKey.get(name);
+            const b = afterByKey.get(name);
+            return {
+                name,
+                status: !a ? 'added' : !b ? 'removed' : a.size === b.size ? 'unchanged' : 'changed',
+                base: a ? a.size : null,
+                head: b ? b.size : null,
+                delta: (b ? b.size : 0) - (a ? a.size : 0)
+            };
+        }).sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+    }
+
+    // ─── Treemap layout ──────────────────────────────────────────────────
+
+    /**
+     * Lays buildings out on a squarified treemap of the module directories.
+     * @param {Array} entries - [{ module, weight, height, color, extra }]
+     * @returns {Object} { citySize, buildings, districts }
+     */
+    layoutCity(entries) {
+        const root = this.buildDirectoryTree(entries);
+        const buildings = [];
+        const districts = [];
+        const half = CITY_SIZE / 2;
+
+        const place = (node, rect, level) => {
+            if (node.entry) {
+                buildings.push(this.toBuilding(node.entry, rect, half));
+                return;
             }
+
+            let inner = rect;
+            if (level > 0) {
+                districts.push({
+                    path: node.path,
+                    name: node.name,
+                    level,
+                    x: rect.x + rect.w / 2 - half,
+                    z: rect.y + rect.h / 2 - half,
+                    width: rect.w,
+                    depth: rect.h
+                });
+                const padding = Math.min(2, Math.min(rect.w, rect.h) * 0.05);
+                inner = { x: rect.x + padding, y: rect.y + padding, w: rect.w - padding * 2, h: rect.h - padding * 2 };
+            }
+
+            const children = [...node.children.values()].sort((a, b) => b.weight - a.weight || a.name.localeCompare(b.name));
+            this.squarify(children, inner).forEach(({ item, rect: childRect }) => place(item, childRect, level + 1));
+        };
+        place(root, { x: 0, y: 0, w: CITY_SIZE, h: CITY_SIZE }, 0);
+
+        return { citySize: CITY_SIZE, buildings, districts };
+    }
+
+    /**
+     * Directory tree of the modules, with single-child directory chains merged (src/app/components)
+     */
+    buildDirectoryTree(entries) {
+        const root = { name: '', path: '', children: new Map(), weight: 0 };
+
+        entries.forEach(entry => {
+            const weight = Math.max(entry.weight || 0, 1);
+            const segments = entry.module.path.split('/');
+            let node = root;
+            node.weight += weight;
+            segments.forEach((segment, index) => {
+                const key = index === segments.length - 1 ? `file:${segment}` : segment;
+                if (!node.children.has(key)) {
+                    node.children.set(key, {
+                        name: segment,
+                        path: segments.slice(0, index + 1).join('/'),
+                        children: new Map(),
+                        weight: 0
+                    });
+                }
+                node = node.children.get(key);
+                node.weight += weight;
+            });
+            node.entry = entry;
+        });
+
+        const collapse = node => {
+            node.children.forEach(collapse);
+            if (node.path && !node.entry && node.children.size === 1) {
+                const [child] = node.children.values();
+                if (!child.entry) {
+                    node.name = `${node.name}/${child.name}`;
+                    node.path = child.path;
+                    node.children = child.children;
+                }
+            }
+        };
+        collapse(root);
+        return root;
+    }
+
+    /**
+     * Squarified treemap (Bruls, Huizing & van Wijk): lays `items` (sorted by
+     * weight, largest first) out in `rect` with aspect ratios close to 1.
+     * @returns {Array} [{ item, rect: { x, y, w, h } }]
+     */
+    squarify(items, rect) {
+        const placed = [];
+        const total = items.reduce((sum, item) => sum + item.weight, 0);
+        if (!total || rect.w <= 0 || rect.h <= 0) return placed;
+
+        const scale = (rect.w * rect.h) / total;
+        const queue = items.map(item => ({ item, area: item.weight * scale }));
+        const worst = (row, side) => {
+            const sum = row.reduce((s, r) => s + r.area, 0);
+            const max = Math.max(...row.map(r => r.area));
+            const min = Math.min(...row.map(r => r.area));
+            return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+        };
+        const layoutRow = (row, free) => {
+            const sum = row.reduce((s, r) => s + r.area, 0);
+            if (free.w >= free.h) {
+                // Column along the left edge
+                const width = sum / free.h;
+                let y = free.y;
+                row.forEach(r => {
+                    const h = r.area / width;
+                    placed.push({ item: r.item, rect: { x: free.x, y, w: width, h } });
+                    y += h;
+                });
+                return { x: free.x + width, y: free.y, w: free.w - width, h: free.h };
+            }
+            // Row along the top edge
+            const height = sum / free.w;
+            let x = free.x;
+            row.forEach(r => {
+                const w = r.area / height;
+                placed.push({ item: r.item, rect: { x, y: free.y, w, h: height } });
+                x += w;
+            });
+            return { x: free.x, y: free.y + height, w: free.w, h: free.h - height };
+        };
+
+        let free = { ...rect };
+        let row = [];
+        while (queue.length) {
+            const side = Math.min(free.w, free.h);
+            if (row.length === 0 || worst([...row, queue[0]], side) <= worst(row, side)) {
+                row.push(queue.shift());
+            } else {
+                free = layoutRow(row, free);
+                row = [];
+            }
+        }
+        if (row.length) layoutRow(row, free);
+        return placed;
+    }
+
+    toBuilding(entry, rect, half) {
+        const { module } = entry;
+        const gap = Math.min(0.8, Math.min(rect.w, rect.h) * 0.1);
+        const transfer = module.brotli || module.gzip || module.size;
+
+        return {
+            id: module.id,
+            name: module.name,
+            path: module.path,
+            type: module.type,
+            package: module.package,
+            version: module.version,
+            chunks: module.chunks,
+            height: entry.height,
+            width: rect.w - gap,
+            depth: rect.h - gap,
+            x: rect.x + rect.w / 2 - half,
+            z: rect.y + rect.h / 2 - half,
+            y: 0,
+            color: entry.color,
+            stats: {
+                bytes: module.size,
+                size: this.formatBytes(module.size),
+                gzip: module.gzip === null ? null : this.formatBytes(module.gzip),
+                brotli: module.brotli === null ? null : this.formatBytes(module.brotli),
+                deps: module.imports.length,
+                importedBy: module.importedBy.length,
+                loadTime: `${(transfer / 102400).toFixed(2)}ms (3G)`,
+                rent: this.calculateRent(module.size, module.imports.length)
+            },
+            ...entry.extra
         };
     }
 
+    heightFor(size) {
+        return Math.max(2, Math.log10(Math.max(size || 0, 1)) * 5);
+    }
+
     getColorByType(type) {
         const colors = {
             'js': '#f7df1e',
@@ -79,26 +369,6 @@ class BundleAnalyzerService {
         const i = Math.floor(Math.log(bytes) / Math.log(k));
         return `${parseFloat((bytes / Math.pow(k, i)).toFixed(dm))} ${sizes[i]}`;
     }
-
-    getMockFileStats() {
-        return [
-            { name: 'app.js', path: 'src/app.js', size: 450000, deps: 24, type: 'js' },
-            { name: 'vendor.js', path: 'node_modules/vendor.js', size: 1200000, deps: 80, type: 'js' },
-            { name: 'index.html', path: 'public/index.html', size: 2500, deps: 2, type: 'html' },
-            { name: 'global.css', path: 'src/styles/global.css', size: 85000, deps: 5, type: 'css' },
-            { name: 'dashboard.js', path: 'src/components/dashboard.js', size: 120000, deps: 12, type: 'js' },
-            { name: 'utils.js', path: 'src/utils/helpers.js', size: 15000, deps: 1, type: 'js' },
-            { name: 'hero.png', path: 'public/assets/hero.png', size: 850000, deps: 0, type: 'image' },
-            { name: 'chart.js', path: 'node_modules/chart.js/dist/chart.js', size: 550000, deps: 15, type: 'js' },
-            { name: 'moment.js', path: 'node_modules/moment/moment.js', size: 280000, deps: 0, type: 'js' },
-            { name: 'lodash.js', path: 'node_modules/lodash/lodash.js', size: 520000, deps: 0, type: 'js' },
-            { name: 'react.production.min.js', path: 'node_modules/react/umd/react.js', size: 120000, deps: 0, type: 'js' },
-            { name: 'font-awesome.css', path: 'node_modules/fa/css/fa.css', size: 35000, deps: 10, type: 'css' },
-            { name: 'config.json', path: 'src/config.json', size: 1200, deps: 0, type: 'json' },
-            { name: 'analytics.js', path: 'src/services/analytics.js', size: 45000, deps: 8, type: 'js' },
-            { name: 'profile-icon.svg', path: 'assets/icons/profile.svg', size: 4500, deps: 0, type: 'image' }
-        ];
-    }
 }
 
 module.exports = new BundleAnalyzerService();
@@ -0,0 +1,428 @@
+/**
+ * Bundle Stats Service
+ * Imports build statistics from webpack (`stats.json`), Vite/Rollup
+ * (`rollup-plugin-visualizer` with `template: 'raw-data'`) and esbuild
+ * (`metafile`) into one module graph:
+ *   { tool, format, modules, chunks, duplicates, totals }
+ * where each module is
+ *   { id, path, name, type, package, packagePath, version, size, gzip, brotli, chunks, imports, importedBy, entry }
+ *
+ * Sizes are bytes as emitted into the bundle. gzip/brotli sizes come from the
+ * visualizer output, or are measured from module sources when webpack stats
+ * include them (`stats: { source: true }`); otherwise they are null.
+ */
+
+const zlib = require('zlib');
+const lockfileResolver = require('./lockfile-resolver.service');
+
+const TYPES = [
+    ['js', /\.(m|c)?(j|t)sx?$|\.vue$|\.svelte$/],
+    ['css', /\.(css|scss|sass|less|styl)$/],
+    ['html', /\.html?$/],
+    ['image', /\.(png|jpe?g|gif|svg|webp|avif|ico|bmp)$/],
+    ['font', /\.(woff2?|ttf|otf|eot)$/],
+    ['json', /\.json$/]
+];
+
+class BundleStatsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BundleStatsError';
+        this.statusCode = 400;
+    }
+}
+
+class BundleStatsService {
+    /**
+     * Parse any supported stats file.
+     * @param {Object|string} stats - Stats JSON (object or text)
+     * @param {Object} options - { packageLock } to resolve versions of node_modules paths
+     */
+    parse(stats, options = {}) {
+        let data = stats;
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                throw new BundleStatsError(`Invalid stats JSON: ${error.message}`);
+            }
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new BundleStatsError('Stats must be a JSON object');
+        }
+
+        let graph;
+        switch (this.detectFormat(data)) {
+            case 'esbuild':
+                graph = this.fromEsbuild(data);
+                break;
+            case 'rollup-plugin-visualizer':
+                graph = this.fromVisualizer(data);
+                break;
+            case 'webpack':
+                graph = this.fromWebpack(data);
+                break;
+            default:
+                throw new BundleStatsError(
+                    'Unrecognized stats format: expected webpack stats.json, rollup-plugin-visualizer raw-data or an esbuild metafile'
+                );
+        }
+        return this.finish(graph, options);
+    }
+
+    detectFormat(data) {
+        if (data.inputs && data.outputs && typeof data.outputs === 'object') return 'esbuild';
+        if (data.nodeMetas && data.nodeParts) return 'rollup-plugin-visualizer';
+        if (['modules', 'chunks', 'assets', 'children'].some(key => Array.isArray(data[key]))) return 'webpack';
+        return null;
+    }
+
+    // ─── webpack ─────────────────────────────────────────────────────────
+
+    fromWebpack(stats) {
+        // Multi-compiler stats nest one stats object per compilation
+        const compilations = Array.isArray(stats.children) && !stats.modules && !stats.chunks
+            ? stats.children
+            : [stats];
+
+        const modules = new Map();
+        const chunks = new Map();
+
+        compilations.forEach(compilation => {
+            const chunkNames = new Map();
+            (compilation.chunks || []).forEach(chunk => {
+                const name = (chunk.names && chunk.names[0]) || `chunk-${chunk.id}`;
+                chunkNames.set(String(chunk.id), name);
+                chunks.set(name, {
+                    name,
+                    files: (chunk.files || []).filter(file => !file.endsWith('.map')),
+                    entry: Boolean(chunk.entry),
+                    initial: Boolean(chunk.initial)
+                });
+            });
+            if (!compilation.chunks) {
+                (compilation.assets || []).forEach(asset => (asset.chunks || []).forEach((id, index) => {
+                    const name = (asset.chunkNames && asset.chunkNames[index]) || `chunk-${id}`;
+                    chunkNames.set(String(id), name);
+                    if (!chunks.has(name)) chunks.set(name, { name, files: [], entry: false, initial: false });
+                    if (!asset.name.endsWith('.map')) chunks.get(name).files.push(asset.name);
+                }));
+            }
+
+            const rawModules = compilation.modules ||
+                (compilation.chunks || []).flatMap(chunk => (chunk.modules || []).map(m => ({ ...m, chunks: m.chunks || [chunk.id] })));
+
+            const add = (raw, parentChunks) => {
+                // Concatenated modules ("./src/index.js + 4 modules") list their parts
+                if (Array.isArray(raw.modules) && raw.modules.length) {
+                    raw.modules.forEach(inner => add(inner, raw.chunks || parentChunks));
+                    return;
+                }
+                if (raw.moduleType === 'runtime') return;
+                const path = this.normalizePath(raw.name || raw.identifier);
+                if (!path) return;
+
+                const sizes = typeof raw.source === 'string' ? this.compressedSizes(raw.source) : { gzip: null, brotli: null };
+                const module = modules.get(path) || this.createModule(path, {
+                    size: 0,
+                    gzip: sizes.gzip,
+                    brotli: sizes.brotli,
+                    rawImporters: new Set()
+                });
+                module.size = Math.max(module.size, raw.size || 0);
+                (raw.chunks || parentChunks || []).forEach(id => {
+                    const name = chunkNames.get(String(id)) || `chunk-${id}`;
+                    if (!module.chunks.includes(name)) module.chunks.push(name);
+                });
+                (raw.reasons || []).forEach(reason => {
+                    if (reason.moduleName) module.rawImporters.add(reason.moduleName);
+                    if (reason.type === 'entry' || reason.type === 'single entry') module.entry = true;
+                });
+                modules.set(path, module);
+            };
+            rawModules.forEach(raw => add(raw, null));
+        });
+
+        // Importers are recorded by readable name; map them onto module ids
+        modules.forEach(module => {
+            module.rawImporters.forEach(name => {
+                const importer = modules.get(this.normalizePath(name));
+                if (importer && importer !== module && !importer.imports.includes(module.id)) {
+                    importer.imports.push(module.id);
+                }
+            });
+            delete module.rawImporters;
+        });
+
+        return { tool: 'webpack', format: 'webpack-stats', modules: [...modules.values()], chunks: [...chunks.values()] };
+    }
+
+    // ─── Vite / Rollup (rollup-plugin-visualizer raw-data) ───────────────
+
+    fromVisualizer(data) {
+        const options = data.options || {};
+        const modules = new Map();
+        const byUid = new Map();
+        const chunks = new Map();
+
+        Object.entries(data.nodeMetas).forEach(([uid, meta]) => {
+            if (meta.isExternal) return;
+            const path = this.normalizePath(meta.id);
+            if (!path) return;
+
+            const module = modules.get(path) || this.createModule(path, { size: 0, gzip: 0, brotli: 0, entry: Boolean(meta.isEntry) });
+            Object.entries(meta.moduleParts || {}).forEach(([chunkFile, partUid]) => {
+                const part = data.nodeParts[partUid] || {};
+                module.size += part.renderedLength || 0;
+                module.gzip += part.gzipLength || 0;
+                module.brotli += part.brotliLength || 0;
+                if (!module.chunks.includes(chunkFile)) module.chunks.push(chunkFile);
+                if (!chunks.has(chunkFile)) {
+                    chunks.set(chunkFile, { name: chunkFile, files: [chunkFile], entry: false, initial: false });
+                }
+                if (meta.isEntry) chunks.get(chunkFile).entry = chunks.get(chunkFile).initial = true;
+            });
+            module.rawImports = (module.rawImports || []).concat((meta.imported || []).map(i => i.uid));
+            modules.set(path, module);
+            byUid.set(uid, module);
+        });
+
+        modules.forEach(module => {
+            (module.rawImports || []).forEach(uid => {
+                const target = byUid.get(uid);
+                if (target && target !== module && !module.imports.includes(target.id)) module.imports.push(target.id);
+            });
+            delete module.rawImports;
+            if (options.gzip === false || (options.gzip === undefined && !module.gzip)) module.gzip = null;
+            if (options.brotli === false || (options.brotli === undefined && !module.brotli)) module.brotli = null;
+        });
+
+        return {
+            tool: data.env && data.env.vite ? 'vite' : 'rollup',
+            format: 'rollup-plugin-visualizer',
+            modules: [...modules.values()].filter(m => m.chunks.length),
+            chunks: [...chunks.values()]
+        };
+    }
+
+    // ─── esbuild metafile ────────────────────────────────────────────────
+
+    fromEsbuild(meta) {
+        const modules = new Map();
+        const chunks = [];
+
+        Object.entries(meta.outputs).forEach(([file, output]) => {
+            if (file.endsWith('.map')) return;
+            chunks.push({ name: file, files: [file], entry: Boolean(output.entryPoint), initial: Boolean(output.entryPoint) });
+
+            Object.entries(output.inputs || {}).forEach(([input, usage]) => {
+                if (!usage.bytesInOutput) return;
+                const path = this.normalizePath(input);
+                const module = modules.get(path) || this.createModule(path, { size: 0, gzip: null, brotli: null, source: input });
+                module.size += usage.bytesInOutput;
+                module.chunks.push(file);
+                if (output.entryPoint && this.normalizePath(output.entryPoint) === path) module.entry = true;
+                modules.set(path, module);
+            });
+        });
+
+        modules.forEach(module => {
+            const input = meta.inputs[module.source] || {};
+            (input.imports || []).forEach(imported => {
+                if (imported.external) return;
+                const target = modules.get(this.normalizePath(imported.path));
+                if (target && target !== module && !module.imports.includes(target.id)) module.imports.push(target.id);
+            });
+            delete module.source;
+        });
+
+        return { tool: 'esbuild', format: 'esbuild-metafile', modules: [...modules.values()], chunks };
+    }
+
+    // ─── Common graph ────────────────────────────────────────────────────
+
+    createModule(path, fields) {
+        return {
+            id: path,
+            path,
+            name: path.split('/').pop(),
+            type: this.typeOf(path),
+            size: 0,
+            gzip: null,
+            brotli: null,
+            chunks: [],
+            imports: [],
+            importedBy: [],
+            entry: false,
+            ...fields
+        };
+    }
+
+    /**
+     * Attach packages, reverse edges, chunk totals and duplicate packages
+     */
+    finish(graph, options) {
+        this.relativizeAbsolutePaths(graph.modules);
+        const versions = this.installedVersions(options.packageLock);
+
+        const byId = new Map(graph.modules.map(m => [m.id, m]));
+        graph.modules.forEach(module => {
+            Object.assign(module, this.packageOf(module.path, versions));
+            module.imports = module.imports.filter(id => byId.has(id));
+            module.imports.forEach(id => byId.get(id).importedBy.push(module.id));
+        });
+
+        const sum = (items, key) => items.some(item => item[key] !== null)
+            ? items.reduce((total, item) => total + (item[key] || 0), 0)
+            : null;
+
+        graph.chunks.forEach(chunk => {
+            const members = graph.modules.filter(m => m.chunks.includes(chunk.name));
+            chunk.modules = members.length;
+            chunk.size = sum(members, 'size');
+            chunk.gzip = sum(members, 'gzip');
+            chunk.brotli = sum(members, 'brotli');
+        });
+        graph.chunks = graph.chunks.filter(chunk => chunk.modules > 0);
+
+        graph.duplicates = this.findDuplicates(graph.modules);
+        graph.totals = {
+            modules: graph.modules.length,
+            chunks: graph.chunks.length,
+            size: sum(graph.modules, 'size') || 0,
+            gzip: sum(graph.modules, 'gzip'),
+            brotli: sum(graph.modules, 'brotli'),
+            duplicatedBytes: graph.duplicates.reduce((total, d) => total + d.wastedBytes, 0)
+        };
+        return graph;
+    }
+
+    /**
+     * The same package bundled from more than one install location
+     */
+    findDuplicates(modules) {
+        const packages = new Map();
+        modules.filter(m => m.package).forEach(module => {
+            if (!packages.has(module.package)) packages.set(module.package, new Map());
+            const instances = packages.get(module.package);
+            const instance = instances.get(module.packagePath) ||
+                { path: module.packagePath, version: module.version, size: 0, modules: 0 };
+            instance.size += module.size;
+            instance.modules++;
+            instances.set(module.packagePath, instance);
+        });
+
+        return [...packages.entries()]
+            .filter(([, instances]) => instances.size > 1)
+            .map(([name, instances]) => {
+                const list = [...instances.values()].sort((a, b) => b.size - a.size);
+                return {
+                    package: name,
+                    versions: [...new Set(list.map(i => i.version).filter(Boolean))],
+                    instances: list,
+                    wastedBytes: list.slice(1).reduce((total, i) => total + i.size, 0)
+                };
+            })
+            .sort((a, b) => b.wastedBytes - a.wastedBytes || a.package.localeCompare(b.package));
+    }
+
+    /**
+     * Package name, install directory and (when known) version of a node_modules path
+     */
+    packageOf(path, versions) {
+        const match = path.match(/^(.*node_modules\/)((?:@[^/]+\/)?[^/]+)/);
+        if (!match) return { package: null, packagePath: null, version: null };
+
+        const packagePath = match[1] + match[2];
+        // pnpm keeps the version in the store directory: node_modules/.pnpm/lodash@4.17.21/node_modules/lodash
+        const pnpm = match[1].match(/\.pnpm\/((?:@[^+/]+\+)?[^@/]+)@([^_/(]+)[^/]*\/node_modules\/$/);
+        return {
+            package: match[2],
+            packagePath,
+            version: versions.get(packagePath) || (pnpm ? pnpm[2] : null)
+        };
+    }
+
+    /**
+     * Install location → version from a package-lock.json
+     */
+    installedVersions(packageLock) {
+        const versions = new Map();
+        if (!packageLock) return versions;
+        lockfileResolver.resolve({ packageLock }).packages.forEach(pkg => {
+            pkg.paths.forEach(location => versions.set(location, pkg.version));
+        });
+        return versions;
+    }
+
+    /**
+     * Readable, project-relative module path; null for things that are not files
+     * (externals, webpack runtime, ignored modules)
+     */
+    normalizePath(raw) {
+        if (!raw) return null;
+        let path = String(raw)
+            .replace(/^css /, '')
+            .replace(/ \+ \d+ modules?$/, '')
+            .replace(/^.*!/, '')
+            .replace(/\?.*$/, '')
+            .replace(/^\0+/, '')
+            .replace(/\\/g, '/')
+            .replace(/^[a-z][\w-]*:(?!\/)/i, ''); // esbuild namespaces (file:, http-url:)
+        if (/^(external|ignored|multi|delegated|webpack\/runtime|\(webpack\))\b/.test(path)) return null;
+        path = path.replace(/^(\.\/)+/, '');
+        return path || null;
+    }
+
+    /**
+     * Absolute ids (the visualizer records them) become paths relative to the project:
+     * node_modules paths from the first node_modules segment, others relative to the
+     * directory holding node_modules, or without their common directory
+     */
+    relativizeAbsolutePaths(modules) {
+        const isAbsolute = path => path.startsWith('/') || /^[a-z]:\//i.test(path);
+        const sources = modules.filter(m => isAbsolute(m.path) && !m.path.includes('/node_modules/'));
+        const installed = modules.find(m => isAbsolute(m.path) && m.path.includes('/node_modules/'));
+        const projectRoot = installed && installed.path.slice(0, installed.path.indexOf('/node_modules/') + 1);
+        let prefix = '';
+        if (projectRoot && sources.every(m => m.path.startsWith(projectRoot))) {
+            prefix = projectRoot;
+        } else if (sources.length) {
+            const dirs = sources.map(m => m.path.split('/').slice(0, -1));
+            const common = [];
+            for (let i = 0; dirs.every(d => i < d.length && d[i] === dirs[0][i]); i++) common.push(dirs[0][i]);
+            prefix = common.join('/') + '/';
+        }
+
+        const renamed = new Map();
+        modules.forEach(module => {
+            if (!isAbsolute(module.path)) return;
+            const nodeModules = module.path.indexOf('/node_modules/');
+            const path = nodeModules !== -1 ? module.path.slice(nodeModules + 1) : module.path.slice(prefix.length);
+            renamed.set(module.id, path);
+            module.id = module.path = path;
+            module.name = path.split('/').pop();
+        });
+        if (renamed.size) {
+            modules.forEach(module => { module.imports = module.imports.map(id => renamed.get(id) || id); });
+        }
+    }
+
+    typeOf(path) {
+        const match = TYPES.find(([, pattern]) => pattern.test(path.toLowerCase()));
+        return match ? match[0] : 'js';
+    }
+
+    compressedSizes(source) {
+        const buffer = Buffer.from(source);
+        return {
+            gzip: zlib.gzipSync(buffer, { level: 9 }).length,
+            brotli: zlib.brotliCompressSync(buffer, {
+                params: { [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length }
+            }).length
+        };
+    }
+}
+
+module.exports = new BundleStatsService();
+module.exports.BundleStatsError = BundleStatsError;
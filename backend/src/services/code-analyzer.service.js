@@ -3,76 +3,140 @@
  * Calculates complexity metrics and technical debt for code files.
  *
  * Extended (Issue #617): CQAS Orchestrator
- * Aggregates complexity, vulnerability, taint, duplication, and architecture
- * sub-scores into a unified Code Quality Aggregate Score with configurable
+ * Aggregates complexity, test coverage, duplication, documentation and dependency
+ * freshness sub-scores into a unified Code Quality Aggregate Score with configurable
  * weights, historical delta tracking, and CI gate support.
+ *
+ * Repositories are analyzed from a local checkout: `<CQAS_REPOS_DIR>/<owner>/<repo>`
+ * or `<CQAS_REPOS_DIR>/<repo>` (ARCH_DRIFT_REPOS_DIR when CQAS_REPOS_DIR is unset).
+ * Scores are stored per repository, branch and commit in `cqas_snapshots`.
  */
 
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const traverse = require('@babel/traverse').default;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
 const complexityAnalyzer = require('./complexity-analyzer.service');
-const taintAnalyzer = require('./taint-analyzer.service');
 const astFingerprint = require('./ast-fingerprint.service');
-const archValidator = require('./architecture-validator.service');
-const vulnPath = require('./vulnerability-path.service');
+const archDependencyParser = require('./arch-dependency-parser.service');
+const coverageReport = require('./coverage-report.service');
+const lockfileResolver = require('./lockfile-resolver.service');
+const semver = require('./semver-range.engine');
+const cqasSnapshotModel = require('../models/cqas-snapshot.model');
+
+const execFileAsync = promisify(execFile);
 
 // Default CQAS weights (must sum to 1.0)
 const DEFAULT_WEIGHTS = {
     complexity: 0.25,
-    vulnerability: 0.25,
-    taint: 0.20,
+    coverage: 0.25,
     duplication: 0.15,
-    architecture: 0.15
+    documentation: 0.15,
+    freshness: 0.20
 };
 
+const AST_FILE_PATTERN = /\.(js|jsx|mjs|cjs|ts|tsx)$/;
+const TEST_FILE_PATTERN = /(^|\/)(tests?|__tests__|__mocks__|spec)\/|\.(test|spec)\.[jt]sx?$/i;
+const GENERATED_FILE_PATTERN = /\.min\.js$|\.bundle\.js$|\.d\.ts$/;
+const MAX_FILE_BYTES = 256 * 1024;
+const MAX_SOURCE_FILES = 3000;
+
+// Decision points counted by cyclomatic complexity (plus `case` labels)
+const DECISION_NODES = new Set([
+    'IfStatement', 'ConditionalExpression', 'LogicalExpression', 'CatchClause',
+    'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'
+]);
+// Structures that cost more the deeper they are nested (cognitive complexity)
+const NESTING_NODES = new Set([
+    'IfStatement', 'ConditionalExpression', 'SwitchStatement', 'CatchClause',
+    'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'
+]);
+
+const REGISTRY_CACHE_MS = 3600000; // 1 hour
+const REGISTRY_BATCH = 8;
+
+class CodeAnalyzerError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CodeAnalyzerError';
+        this.statusCode = statusCode;
+    }
+}
+
 class CodeAnalyzerService {
 
     constructor() {
-        // Historical CQAS store: branchKey -> [{ commitId, score, dimensions, timestamp }]
-        this._cqasHistory = new Map();
-        this._historyLimit = 20; // Keep last 20 snapshots per branch
+        // npm package -> { version, fetchedAt }
+        this._registryCache = new Map();
     }
 
-    // ─── Existing Methods ─────────────────────────────────────────────────────
+    // ─── Repository Metrics ───────────────────────────────────────────────────
 
-    analyzeRepository(repoName) {
-        const files = this.getMockFiles();
-        const metrics = files.map(f => this.analyzeFile(f));
+    /**
+     * Per-file complexity and technical debt of a checkout, with trends from CQAS history.
+     * @param {string} repoName - owner/repo
+     * @param {Object} options  - { rootDir, branch }
+     */
+    async analyzeRepository(repoName, options = {}) {
+        const scan = options.scan || await this.scanRepository(repoName, options);
+        const duplicated = new Set(this._clonePairs(scan)
+            .filter(p => p.similarity >= 90)
+            .flatMap(p => [p.file1, p.file2]));
+        const metrics = scan.sources
+            .filter(source => source.functions)
+            .map(source => this.analyzeFile(source, duplicated.has(source.path)))
+            .sort((a, b) => b.cyclomaticComplexity - a.cyclomaticComplexity || a.path.localeCompare(b.path));
+        const history = await cqasSnapshotModel.getHistory(repoName, options.branch || scan.branch || 'main');
 
         return {
             repoName,
-            totalFiles: files.length,
+            branch: options.branch || scan.branch,
+            commitId: scan.commitId,
+            totalFiles: metrics.length,
             avgComplexity: this.average(metrics.map(m => m.cyclomaticComplexity)),
             avgMaintainability: this.average(metrics.map(m => m.maintainabilityIndex)),
             totalDebt: metrics.reduce((sum, m) => sum + m.debtMinutes, 0),
             files: metrics,
-            trends: this.getMockTrends(),
+            trends: this.getTrends(history),
             timestamp: new Date()
         };
     }
 
-    analyzeFile(file) {
-        const loc = file.lines;
-        const cyclomaticComplexity = Math.floor(Math.random() * 20) + 1;
-        const cognitiveComplexity = Math.floor(cyclomaticComplexity * 1.2);
+    /**
+     * Metrics of one scanned source file. The file's complexity is that of its
+     * most complex function; debt adds up over every function above 10.
+     */
+    analyzeFile(source, duplicated = false) {
+        const functions = source.functions || [];
+        const worst = functions.reduce((w, fn) => (fn.cyclomatic > w.cyclomatic ? fn : w), { cyclomatic: 1, cognitive: 0, name: null, line: null });
+        const cyclomaticComplexity = worst.cyclomatic;
+        const cognitiveComplexity = functions.reduce((max, fn) => Math.max(max, fn.cognitive), 0);
         const maintainabilityIndex = Math.max(0, 100 - cyclomaticComplexity * 3);
-        const debtMinutes = cyclomaticComplexity > 10 ? (cyclomaticComplexity - 10) * 5 : 0;
+        const debtMinutes = functions.reduce((sum, fn) => sum + (fn.cyclomatic > 10 ? (fn.cyclomatic - 10) * 5 : 0), 0);
+        const longestFunction = functions.reduce((max, fn) => Math.max(max, fn.lines), 0);
 
         return {
-            path: file.path,
-            lines: loc,
+            path: source.path,
+            lines: source.lines,
+            functions: functions.length,
             cyclomaticComplexity,
             cognitiveComplexity,
             maintainabilityIndex,
             debtMinutes,
-            codeSmells: this.detectSmells(cyclomaticComplexity),
+            worstFunction: worst.name ? { name: worst.name, line: worst.line } : null,
+            codeSmells: this.detectSmells(cyclomaticComplexity, { longestFunction, duplicated }),
             rating: this.getRating(maintainabilityIndex)
         };
     }
 
-    detectSmells(complexity) {
+    detectSmells(complexity, { longestFunction = 0, duplicated = false } = {}) {
         const smells = [];
         if (complexity > 15) smells.push({ type: 'High Complexity', severity: 'critical' });
-        if (complexity > 10) smells.push({ type: 'Long Method', severity: 'major' });
-        if (Math.random() > 0.7) smells.push({ type: 'Duplicate Code', severity: 'minor' });
+        if (longestFunction > 60) smells.push({ type: 'Long Method', severity: 'major' });
+        if (duplicated) smells.push({ type: 'Duplicate Code', severity: 'minor' });
         return smells;
     }
 
@@ -84,70 +148,250 @@ class CodeAnalyzerService {
         return 'F';
     }
 
-    getMockFiles() {
-        return [
-            { path: 'src/app.js', lines: 250 },
-            { path: 'src/utils/auth.js', lines: 180 },
-            { path: 'src/services/api.js', lines: 320 },
-            { path: 'src/components/Dashboard.jsx', lines: 420 },
-            { path: 'src/controllers/user.controller.js', lines: 280 },
-            { path: 'src/middleware/validation.js', lines: 150 },
-            { path: 'src/routes/index.js', lines: 90 }
-        ];
-    }
-
-    getMockTrends() {
-        return [
-            { date: '2026-01-12', avgComplexity: 8.2, debtHours: 12 },
-            { date: '2026-01-14', avgComplexity: 8.5, debtHours: 14 },
-            { date: '2026-01-16', avgComplexity: 7.8, debtHours: 11 },
-            { date: '2026-01-18', avgComplexity: 7.2, debtHours: 9 }
-        ];
+    /**
+     * Complexity and debt trend from recorded CQAS snapshots (oldest first)
+     */
+    getTrends(history) {
+        return history.map(snapshot => {
+            const complexity = (snapshot.details && snapshot.details.complexity) || {};
+            return {
+                date: snapshot.timestamp.slice(0, 10),
+                commitId: snapshot.commitId,
+                avgComplexity: complexity.avgCyclomatic ?? null,
+                debtHours: complexity.debtMinutes !== undefined ? parseFloat((complexity.debtMinutes / 60).toFixed(1)) : null
+            };
+        });
     }
 
     average(arr) {
-        return arr.length ? (arr.reduce((a, b) => a + b, 0) / arr.length).toFixed(1) : 0;
+        return arr.length ? parseFloat((arr.reduce((a, b) => a + b, 0) / arr.length).toFixed(1)) : 0;
     }
 
     getAiRecommendations(metrics) {
         const critical = metrics.files.filter(f => f.rating === 'D' || f.rating === 'F');
         return critical.map(f => ({
             file: f.path,
-            suggestion: `Refactor ${f.path} - complexity is ${f.cyclomaticComplexity}. Consider breaking into smaller functions.`
+            suggestion: `Refactor ${f.path} - complexity is ${f.cyclomaticComplexity}${f.worstFunction ? ` in ${f.worstFunction.name}() at line ${f.worstFunction.line}` : ''}. Consider breaking into smaller functions.`
         }));
     }
 
+    // ─── Checkout Scanning ────────────────────────────────────────────────────
+
+    /**
+     * Read and analyze the source files of a checkout.
+     * Test, generated and oversized files are left out.
+     * @param {string} repoName - owner/repo
+     * @param {Object} options  - { rootDir } to scan a directory instead of the configured checkout
+     * @returns {Object} { repoName, rootDir, files, sources, commitId, branch }
+     */
+    async scanRepository(repoName, options = {}) {
+        const rootDir = options.rootDir ? path.resolve(options.rootDir) : this.resolveCheckout(repoName);
+        const files = archDependencyParser.walkDirectory(rootDir);
+        const { commitId, branch } = await this.readGitHead(rootDir);
+
+        const sources = [];
+        for (const filePath of files) {
+            if (sources.length >= MAX_SOURCE_FILES) break;
+            if (!complexityAnalyzer.isAnalyzableFile(filePath) || TEST_FILE_PATTERN.test(filePath) || GENERATED_FILE_PATTERN.test(filePath)) {
+                continue;
+            }
+            const absolute = path.join(rootDir, filePath);
+            const stat = await fs.promises.stat(absolute);
+            if (stat.size > MAX_FILE_BYTES) continue;
+
+            sources.push(this.analyzeSource(filePath, await fs.promises.readFile(absolute, 'utf8')));
+        }
+
+        return { repoName, rootDir, files, sources, commitId, branch, clonePairs: null };
+    }
+
+    /**
+     * Everything CQAS needs from one file; JS/TS files are also parsed once for
+     * function metrics, JSDoc coverage and clone fingerprints.
+     */
+    analyzeSource(filePath, content) {
+        const source = {
+            path: filePath,
+            lines: content.split('\n').length,
+            complexity: complexityAnalyzer.analyzeSource(filePath, content),
+            functions: null,
+            docs: null,
+            fingerprints: []
+        };
+        if (!AST_FILE_PATTERN.test(filePath)) return source;
+
+        const { ast } = astFingerprint.parseCode(content, filePath);
+        if (!ast) return source;
+
+        source.functions = this.measureFunctions(ast);
+        source.docs = this.measureDocumentation(ast);
+        source.fingerprints = astFingerprint.generateFunctionFingerprints(content, filePath, ast);
+        return source;
+    }
+
+    /**
+     * `<CQAS_REPOS_DIR>/<owner>/<repo>` or `<CQAS_REPOS_DIR>/<repo>`
+     */
+    resolveCheckout(repoName) {
+        const [owner, repo] = String(repoName || '').split('/');
+        const baseDir = process.env.CQAS_REPOS_DIR || process.env.ARCH_DRIFT_REPOS_DIR;
+        const checkout = owner && repo ? archDependencyParser.findLocalCheckout(owner, repo, baseDir) : null;
+        if (!checkout) {
+            throw new CodeAnalyzerError(
+                baseDir
+                    ? `No checkout of ${repoName} under ${baseDir}`
+                    : 'CQAS needs a local checkout: set CQAS_REPOS_DIR',
+                404
+            );
+        }
+        return checkout;
+    }
+
+    /**
+     * Commit and branch checked out in rootDir (nulls when it is not inside a git work tree)
+     */
+    async readGitHead(rootDir) {
+        try {
+            const { stdout } = await execFileAsync('git', ['rev-parse', 'HEAD', '--abbrev-ref', 'HEAD'], { cwd: rootDir });
+            const [commitId, branch] = stdout.trim().split('\n');
+            return { commitId, branch: branch === 'HEAD' ? null : branch };
+        } catch (error) {
+            return { commitId: null, branch: null };
+        }
+    }
+
+    /**
+     * Cyclomatic and cognitive complexity of every function in a file
+     */
+    measureFunctions(ast) {
+        const functions = [];
+        traverse(ast, {
+            Function: (fnPath) => {
+                if (!fnPath.node.loc) return;
+                functions.push({
+                    name: astFingerprint.functionName(fnPath),
+                    line: fnPath.node.loc.start.line,
+                    lines: fnPath.node.loc.end.line - fnPath.node.loc.start.line + 1,
+                    ...this.measureFunction(fnPath)
+                });
+            }
+        });
+        return functions;
+    }
+
+    measureFunction(fnPath) {
+        let cyclomatic = 1;
+        let cognitive = 0;
+        let nesting = 0;
+        // `else if` continues the chain instead of nesting deeper
+        const isElseIf = (p) => p.node.type === 'IfStatement' && p.parent.type === 'IfStatement' && p.parent.alternate === p.node;
+
+        fnPath.traverse({
+            enter(inner) {
+                const { node } = inner;
+                if (inner.isFunction()) {
+                    inner.skip(); // measured on its own
+                    return;
+                }
+                if (DECISION_NODES.has(node.type) || (node.type === 'SwitchCase' && node.test)) cyclomatic++;
+                // a && b && c is one sequence
+                if (node.type === 'LogicalExpression' && inner.parent.type !== 'LogicalExpression') cognitive++;
+                if (NESTING_NODES.has(node.type)) {
+                    if (isElseIf(inner)) {
+                        cognitive++;
+                    } else {
+                        cognitive += 1 + nesting;
+                        nesting++;
+                    }
+                }
+            },
+            exit(inner) {
+                if (NESTING_NODES.has(inner.node.type) && !isElseIf(inner)) nesting--;
+            }
+        });
+
+        return { cyclomatic, cognitive };
+    }
+
+    /**
+     * JSDoc coverage of a file's top-level functions and classes (exported or not)
+     * and of class methods
+     */
+    measureDocumentation(ast) {
+        const symbols = [];
+        const hasJsDoc = (node) => Boolean(node && (node.leadingComments || []).some(c => c.type === 'CommentBlock' && c.value.startsWith('*')));
+        const isDefinition = (node) => Boolean(node) && ['FunctionExpression', 'ArrowFunctionExpression', 'ClassExpression'].includes(node.type);
+        const add = (name, node, documented) => symbols.push({ name, line: node.loc ? node.loc.start.line : null, documented });
+
+        for (const statement of ast.program.body) {
+            const exported = ['ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(statement.type) && statement.declaration;
+            const declaration = exported ? statement.declaration : statement;
+            const documented = hasJsDoc(statement) || hasJsDoc(declaration);
+
+            if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration' || declaration.type === 'TSDeclareFunction') {
+                add(declaration.id ? declaration.id.name : 'default', declaration, documented);
+            } else if (declaration.type === 'VariableDeclaration') {
+                declaration.declarations
+                    .filter(d => isDefinition(d.init) && d.id.type === 'Identifier')
+                    .forEach(d => add(d.id.name, d, documented || hasJsDoc(d)));
+            } else if (declaration.type === 'ExpressionStatement' && declaration.expression.type === 'AssignmentExpression') {
+                const { left, right } = declaration.expression;
+                if (isDefinition(right) && left.type === 'MemberExpression') {
+                    add(left.property.name || left.property.value || 'exports', declaration, documented);
+                }
+            } else if (exported && isDefinition(declaration)) {
+                add('default', declaration, documented);
+            }
+        }
+
+        traverse(ast, {
+            'ClassMethod|ClassPrivateMethod'(methodPath) {
+                const { node } = methodPath;
+                if (node.kind !== 'method') return;
+                add(node.key.name || node.key.value || (node.key.id && node.key.id.name) || 'method', node, hasJsDoc(node));
+            }
+        });
+
+        return {
+            documentable: symbols.length,
+            documented: symbols.filter(s => s.documented).length,
+            undocumented: symbols.filter(s => !s.documented).map(({ name, line }) => ({ name, line }))
+        };
+    }
+
     // ─── Issue #617: CQAS Orchestrator ───────────────────────────────────────
 
     /**
-     * Compute a full Code Quality Aggregate Score (CQAS).
-     * Collects normalized sub-scores from all five analyzers,
-     * applies configurable weights, and returns the composite.
+     * Compute a full Code Quality Aggregate Score (CQAS) for a checkout.
+     * Dimensions that cannot be measured (no coverage report, no package.json,
+     * nothing to document) are listed in `skipped` and left out of the composite.
      *
      * @param {string} repoName
      * @param {Object} options
-     * @param {Object} options.weights  - override default dimension weights
-     * @param {Array}  options.taintFlows   - pre-computed flows (optional)
-     * @param {Array}  options.violations   - pre-computed arch violations (optional)
+     * @param {Object} options.weights        - override default dimension weights
+     * @param {string} options.rootDir        - analyze this directory instead of the configured checkout
+     * @param {string|Object} options.coverage - lcov / istanbul / Cobertura report (otherwise looked up in the checkout)
+     * @param {string} options.coverageFormat - 'lcov' | 'istanbul' | 'istanbul-summary' | 'cobertura' (detected when omitted)
+     * @param {Object} options.latestVersions - package -> latest version, instead of asking the npm registry
      * @returns {Object} CQAS result
      */
-    computeCQAS(repoName = 'demo-repo', options = {}) {
-        const weights = { ...DEFAULT_WEIGHTS, ...(options.weights || {}) };
-
-        // Collect sub-scores
-        const complexityScore = complexityAnalyzer.getNormalizedComplexityScore(repoName);
-        const taintScore = taintAnalyzer.getNormalizedTaintScore(options.taintFlows || null);
-        const duplicationScore = astFingerprint.getNormalizedDuplicationScore([], []);
-        const archScore = archValidator.getNormalizedArchitectureScore(options.violations || null);
-        const vulnScore = this._computeVulnerabilityScore();
-
-        const dimensions = {
-            complexity: complexityScore,
-            vulnerability: vulnScore,
-            taint: taintScore,
-            duplication: duplicationScore,
-            architecture: archScore
+    async computeCQAS(repoName, options = {}) {
+        const weights = this._resolveWeights(options.weights);
+        const scan = options.scan || await this.scanRepository(repoName, options);
+
+        const measured = {
+            complexity: this._computeComplexityScore(scan),
+            coverage: this._computeCoverageScore(scan, options),
+            duplication: this._computeDuplicationScore(scan),
+            documentation: this._computeDocumentationScore(scan),
+            freshness: await this._computeFreshnessScore(scan, options)
         };
+        const dimensions = {};
+        const skipped = [];
+        Object.entries(measured).forEach(([dim, result]) => {
+            if (result) dimensions[dim] = result;
+            else skipped.push(dim);
+        });
 
         // Weighted composite
         let composite = 0;
@@ -167,53 +411,74 @@ class CodeAnalyzerService {
             label: cqasScore >= 80 ? 'EXCELLENT' : cqasScore >= 65 ? 'GOOD' : cqasScore >= 50 ? 'FAIR' : cqasScore >= 35 ? 'POOR' : 'CRITICAL',
             weights,
             dimensions,
+            skipped,
             generatedAt: new Date().toISOString()
         };
     }
 
     /**
      * Compute CQAS and persist it to history for a branch/commit key.
+     * The checkout's branch and HEAD commit are used when not given; a commit that
+     * differs from the checked out one is refused so history is never mislabelled.
      * @param {string} repoName
      * @param {string} branch
-     * @param {string} commitId  - short SHA or semantic label
-     * @param {Object} options   - forwarded to computeCQAS
+     * @param {string} commitId  - SHA (prefix) of the checked out commit, or 'HEAD'
+     * @param {Object} options   - forwarded to computeCQAS, plus { baseBranch } to compare
+     *                             against when the branch has no earlier snapshot
      * @returns {Object} CQAS result with delta from previous snapshot
      */
-    computeAndRecord(repoName, branch = 'main', commitId = 'HEAD', options = {}) {
-        const result = this.computeCQAS(repoName, options);
-        const branchKey = `${repoName}::${branch}`;
-
-        if (!this._cqasHistory.has(branchKey)) this._cqasHistory.set(branchKey, []);
-        const history = this._cqasHistory.get(branchKey);
-
-        const previous = history.length > 0 ? history[history.length - 1] : null;
-        const delta = previous !== null ? parseFloat((result.cqasScore - previous.score).toFixed(1)) : null;
+    async computeAndRecord(repoName, branch = null, commitId = null, options = {}) {
+        this._resolveWeights(options.weights); // reject bad weights before scanning
+        const scan = await this.scanRepository(repoName, options);
+        const resolvedBranch = branch || scan.branch || 'main';
+        const resolvedCommit = this._resolveCommit(repoName, commitId, scan);
+        const result = await this.computeCQAS(repoName, { ...options, scan });
+
+        let previous = await cqasSnapshotModel.getPreviousSnapshot(repoName, resolvedBranch, resolvedCommit);
+        if (!previous && options.baseBranch && options.baseBranch !== resolvedBranch) {
+            previous = (await cqasSnapshotModel.getHistory(repoName, options.baseBranch, 1)).pop() || null;
+        }
 
-        const snapshot = {
-            commitId,
+        const scores = Object.fromEntries(Object.entries(result.dimensions).map(([k, v]) => [k, v.score]));
+        const snapshot = await cqasSnapshotModel.upsertSnapshot({
+            repository: repoName,
+            branch: resolvedBranch,
+            commitId: resolvedCommit,
             score: result.cqasScore,
             grade: result.grade,
-            dimensions: Object.fromEntries(
-                Object.entries(result.dimensions).map(([k, v]) => [k, v.score])
-            ),
-            timestamp: result.generatedAt
-        };
+            dimensions: scores,
+            weights: result.weights,
+            details: Object.fromEntries(Object.entries(result.dimensions).map(([k, v]) => [k, v.breakdown]))
+        });
+
+        const delta = previous ? parseFloat((result.cqasScore - previous.score).toFixed(1)) : null;
+        const dimensionDeltas = previous
+            ? Object.fromEntries(Object.keys(scores)
+                .filter(dim => typeof previous.dimensions[dim] === 'number')
+                .map(dim => [dim, parseFloat((scores[dim] - previous.dimensions[dim]).toFixed(1))]))
+            : {};
 
-        history.push(snapshot);
-        if (history.length > this._historyLimit) history.shift();
-
-        return { ...result, delta, previousScore: previous ? previous.score : null, snapshot };
+        return {
+            ...result,
+            branch: resolvedBranch,
+            commitId: resolvedCommit,
+            delta,
+            dimensionDeltas,
+            previousScore: previous ? previous.score : null,
+            previousCommitId: previous ? previous.commitId : null,
+            snapshot
+        };
     }
 
     /**
-     * Return the full CQAS history for a branch.
+     * Return the recorded CQAS history for a branch.
      * @param {string} repoName
      * @param {string} branch
+     * @param {number} limit - most recent snapshots to return
      * @returns {Array} ordered snapshots (oldest first)
      */
-    getCQASHistory(repoName, branch = 'main') {
-        const branchKey = `${repoName}::${branch}`;
-        return this._cqasHistory.get(branchKey) || this._generateMockHistory(repoName, branch);
+    getCQASHistory(repoName, branch = 'main', limit = 20) {
+        return cqasSnapshotModel.getHistory(repoName, branch, limit);
     }
 
     /**
@@ -221,12 +486,13 @@ class CodeAnalyzerService {
      * @param {string} repoName
      * @param {string} branch
      * @param {string} commitId
-     * @param {Object} gateConfig  - { minScore: 60, maxRegressionDelta: 5 }
+     * @param {Object} gateConfig  - { minScore: 60, maxRegressionDelta: 5, baseBranch }
+     * @param {Object} options     - forwarded to computeAndRecord (coverage, weights, ...)
      * @returns {Object} { passed, reason, cqasScore, delta, ... }
      */
-    evaluateCIGate(repoName, branch = 'main', commitId = 'HEAD', gateConfig = {}) {
-        const { minScore = 60, maxRegressionDelta = 5 } = gateConfig;
-        const result = this.computeAndRecord(repoName, branch, commitId, {});
+    async evaluateCIGate(repoName, branch = null, commitId = null, gateConfig = {}, options = {}) {
+        const { minScore = 60, maxRegressionDelta = 5, baseBranch = null } = gateConfig;
+        const result = await this.computeAndRecord(repoName, branch, commitId, { ...options, baseBranch });
 
         const failReasons = [];
 
@@ -235,7 +501,7 @@ class CodeAnalyzerService {
         }
 
         if (result.delta !== null && result.delta < -maxRegressionDelta) {
-            failReasons.push(`Score regressed by ${Math.abs(result.delta)} points (max allowed: ${maxRegressionDelta})`);
+            failReasons.push(`Score regressed by ${Math.abs(result.delta)} points since ${result.previousCommitId} (max allowed: ${maxRegressionDelta})`);
         }
 
         // Dimension-level gate: any dimension in CRITICAL state fails CI
@@ -253,11 +519,14 @@ class CodeAnalyzerService {
             cqasScore: result.cqasScore,
             grade: result.grade,
             delta: result.delta,
+            dimensionDeltas: result.dimensionDeltas,
             previousScore: result.previousScore,
+            previousCommitId: result.previousCommitId,
             dimensions: result.dimensions,
-            gateConfig,
-            commitId,
-            branch,
+            skipped: result.skipped,
+            gateConfig: { minScore, maxRegressionDelta, baseBranch },
+            commitId: result.commitId,
+            branch: result.branch,
             evaluatedAt: new Date().toISOString()
         };
     }
@@ -265,29 +534,308 @@ class CodeAnalyzerService {
     // ─── Private Helpers ──────────────────────────────────────────────────────
 
     /**
-     * Compute normalized vulnerability score from vuln-path service (0-100).
-     * Higher score = fewer/less severe exploit paths.
+     * Energy-based complexity score from ComplexityAnalyzerService, lowered by
+     * the share of functions with a cyclomatic complexity above 10.
      */
-    _computeVulnerabilityScore() {
-        // Mock exploit paths for the demo
-        const mockPaths = [
-            { riskScore: 65, reachability: 80 },
-            { riskScore: 30, reachability: 40 }
-        ];
-        const avgRisk = mockPaths.reduce((s, p) => s + p.riskScore, 0) / mockPaths.length;
-        const score = Math.max(0, Math.round(100 - avgRisk));
+    _computeComplexityScore(scan) {
+        const result = complexityAnalyzer.getNormalizedComplexityScore(scan.repoName, scan.sources.map(s => s.complexity));
+        const functions = scan.sources.flatMap(s => (s.functions || []).map(fn => ({ file: s.path, ...fn })));
+        const complex = functions.filter(fn => fn.cyclomatic > 10);
+        const cyclomaticPenalty = functions.length ? Math.min(20, Math.round((complex.length / functions.length) * 100)) : 0;
+        const score = Math.max(0, result.score - cyclomaticPenalty);
 
         return {
-            dimension: 'vulnerability',
+            dimension: 'complexity',
             score,
-            label: score >= 80 ? 'GOOD' : score >= 60 ? 'FAIR' : score >= 40 ? 'POOR' : 'CRITICAL',
+            label: this._label(score),
             breakdown: {
-                avgRiskScore: parseFloat(avgRisk.toFixed(1)),
-                totalExploitPaths: mockPaths.length
+                ...result.breakdown,
+                functions: functions.length,
+                avgCyclomatic: this.average(functions.map(fn => fn.cyclomatic)),
+                complexFunctions: complex.length,
+                cyclomaticPenalty,
+                debtMinutes: complex.reduce((sum, fn) => sum + (fn.cyclomatic - 10) * 5, 0),
+                hotspots: [...complex]
+                    .sort((a, b) => b.cyclomatic - a.cyclomatic)
+                    .slice(0, 5)
+                    .map(({ file, name, line, cyclomatic, cognitive }) => ({ file, name, line, cyclomatic, cognitive }))
             }
         };
     }
 
+    /**
+     * Line/branch coverage from an uploaded report or one found in the checkout
+     */
+    _computeCoverageScore(scan, options) {
+        const found = options.coverage
+            ? { path: null, text: options.coverage }
+            : coverageReport.findReport(scan.rootDir);
+        if (!found) return null;
+
+        const report = coverageReport.forRepository(
+            coverageReport.parse(found.text, options.coverageFormat || null),
+            scan.files,
+            scan.rootDir
+        );
+        const { lines, branches, functions } = report.totals;
+        if (lines.pct === null) return null;
+
+        const score = Math.round(branches.pct !== null ? lines.pct * 0.7 + branches.pct * 0.3 : lines.pct);
+        const measuredSources = scan.sources.filter(s => s.functions && s.functions.length > 0);
+
+        return {
+            dimension: 'coverage',
+            score,
+            label: this._label(score),
+            breakdown: {
+                report: found.path || 'uploaded',
+                format: report.format,
+                lines: lines.pct,
+                branches: branches.pct,
+                functions: functions.pct,
+                filesCovered: Object.keys(report.files).length,
+                filesWithoutCoverage: measuredSources.filter(s => !report.files[s.path]).length,
+                unmatchedPaths: report.unmatched.length
+            }
+        };
+    }
+
+    _computeDuplicationScore(scan) {
+        const fingerprints = scan.sources.flatMap(s => s.fingerprints);
+        const totalLines = scan.sources.filter(s => s.functions).reduce((sum, s) => sum + s.lines, 0);
+        if (totalLines === 0) return null;
+        return astFingerprint.getDuplicatedLinesScore(fingerprints, this._clonePairs(scan), totalLines);
+    }
+
+    _computeDocumentationScore(scan) {
+        const files = scan.sources.filter(s => s.docs && s.docs.documentable > 0);
+        const documentable = files.reduce((sum, s) => sum + s.docs.documentable, 0);
+        if (documentable === 0) return null;
+
+        const documented = files.reduce((sum, s) => sum + s.docs.documented, 0);
+        const score = Math.round((documented / documentable) * 100);
+
+        return {
+            dimension: 'documentation',
+            score,
+            label: this._label(score),
+            breakdown: {
+                documented,
+                documentable,
+                filesAnalyzed: files.length,
+                undocumented: files
+                    .flatMap(s => s.docs.undocumented.map(symbol => ({ file: s.path, ...symbol })))
+                    .slice(0, 10)
+            }
+        };
+    }
+
+    /**
+     * How far the installed versions of direct npm dependencies are behind the latest
+     * release, over every package.json in the checkout. Installed versions come from
+     * the lockfile, node_modules or, failing both, the lowest version of the range.
+     */
+    async _computeFreshnessScore(scan, options) {
+        const manifests = scan.files.filter(file => path.posix.basename(file) === 'package.json');
+        if (manifests.length === 0) return null;
+
+        const dependencies = new Map(); // name@installed -> { name, installed }
+        let lockfiles = 0;
+        for (const manifest of manifests) {
+            const dir = path.join(scan.rootDir, path.posix.dirname(manifest));
+            const { installed, lockfile } = this._installedVersions(dir);
+            if (lockfile) lockfiles++;
+            installed.forEach(dep => dependencies.set(`${dep.name}@${dep.installed}`, dep));
+        }
+        if (dependencies.size === 0) return null;
+
+        const names = [...new Set([...dependencies.values()].map(dep => dep.name))];
+        const latest = await this._latestVersions(names, options.latestVersions || {});
+
+        const counts = { current: 0, major: 0, minor: 0, patch: 0, unknown: 0 };
+        const outdated = [];
+        let total = 0;
+        for (const dep of dependencies.values()) {
+            const installed = semver.parse(dep.installed);
+            const newest = semver.parse(latest[dep.name]);
+            if (!installed || !newest) {
+                counts.unknown++;
+                continue;
+            }
+
+            let behind = 'current';
+            let freshness = 1;
+            if (semver.compare(installed, newest) < 0) {
+                if (newest.major > installed.major) {
+                    behind = 'major';
+                    freshness = Math.max(0, 0.4 - 0.15 * (newest.major - installed.major - 1));
+                } else if (newest.minor > installed.minor) {
+                    behind = 'minor';
+                    freshness = 0.7;
+                } else {
+                    behind = 'patch';
+                    freshness = 0.9;
+                }
+                outdated.push({ name: dep.name, installed: installed.raw, latest: newest.raw, behind, freshness });
+            }
+            counts[behind]++;
+            total += freshness;
+        }
+
+        const known = dependencies.size - counts.unknown;
+        if (known === 0) return null;
+        const score = Math.round((total / known) * 100);
+
+        return {
+            dimension: 'freshness',
+            score,
+            label: this._label(score),
+            breakdown: {
+                packages: dependencies.size,
+                ...counts,
+                manifests: manifests.length,
+                lockfiles,
+                mostOutdated: outdated
+                    .sort((a, b) => a.freshness - b.freshness || a.name.localeCompare(b.name))
+                    .slice(0, 5)
+                    .map(({ name, installed, latest: newest, behind }) => ({ name, installed, latest: newest, behind }))
+            }
+        };
+    }
+
+    /**
+     * Direct dependencies declared by the package.json in dir, with installed versions
+     * @returns {Object} { installed: [{ name, range, installed }], lockfile }
+     */
+    _installedVersions(dir) {
+        let packageJson;
+        try {
+            packageJson = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+        } catch (error) {
+            return { installed: [], lockfile: null };
+        }
+
+        const declared = {
+            ...(packageJson.optionalDependencies || {}),
+            ...(packageJson.devDependencies || {}),
+            ...(packageJson.dependencies || {})
+        };
+
+        const locked = {};
+        let lockfile = null;
+        for (const [file, key] of [['package-lock.json', 'packageLock'], ['yarn.lock', 'yarnLock']]) {
+            const lockPath = path.join(dir, file);
+            if (!fs.existsSync(lockPath)) continue;
+            try {
+                const tree = lockfileResolver.resolve({ packageJson, [key]: fs.readFileSync(lockPath, 'utf8') });
+                tree.direct.filter(d => d.id).forEach(d => { locked[d.name] = tree.packages.get(d.id).version; });
+                lockfile = file;
+            } catch (error) {
+                console.error(`Unreadable ${file} in ${dir}:`, error.message);
+            }
+            break;
+        }
+
+        const installed = Object.entries(declared)
+            .filter(([, range]) => semver.parseRange(range)) // registry ranges only, not git/file/workspace specs
+            .map(([name, range]) => ({
+                name,
+                range,
+                installed: locked[name] || this._nodeModulesVersion(dir, name) || semver.minVersion(range)
+            }))
+            .filter(dep => dep.installed);
+
+        return { installed, lockfile };
+    }
+
+    _nodeModulesVersion(dir, name) {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(dir, 'node_modules', name, 'package.json'), 'utf8')).version || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Latest published version of each package: given, cached, or from the npm registry
+     * (NPM_REGISTRY_URL; skipped when CQAS_OFFLINE=true). Lookup failures are left out.
+     */
+    async _latestVersions(names, known = {}) {
+        const latest = {};
+        const lookups = [];
+        for (const name of names) {
+            const cached = this._registryCache.get(name);
+            if (known[name]) latest[name] = known[name];
+            else if (cached && Date.now() - cached.fetchedAt < REGISTRY_CACHE_MS) latest[name] = cached.version;
+            else lookups.push(name);
+        }
+        if (process.env.CQAS_OFFLINE === 'true') return latest;
+
+        const registry = (process.env.NPM_REGISTRY_URL || 'https://registry.npmjs.org').replace(/\/$/, '');
+        for (let i = 0; i < lookups.length; i += REGISTRY_BATCH) {
+            await Promise.all(lookups.slice(i, i + REGISTRY_BATCH).map(async (name) => {
+                try {
+                    const response = await axios.get(`${registry}/${name.replace('/', '%2F')}`, {
+                        headers: { Accept: 'application/vnd.npm.install-v1+json' },
+                        timeout: 5000
+                    });
+                    const version = response.data && response.data['dist-tags'] && response.data['dist-tags'].latest;
+                    if (version) {
+                        latest[name] = version;
+                        this._registryCache.set(name, { version, fetchedAt: Date.now() });
+                    }
+                } catch (error) {
+                    // counted as unknown
+                }
+            }));
+        }
+        return latest;
+    }
+
+    /**
+     * Function clone pairs of a scan; a function is never paired with one nested inside it
+     */
+    _clonePairs(scan) {
+        if (!scan.clonePairs) {
+            const fingerprints = scan.sources.flatMap(s => s.fingerprints);
+            scan.clonePairs = astFingerprint.findSimilarCode(fingerprints).filter(pair =>
+                pair.file1 !== pair.file2 ||
+                pair.function1.endLine < pair.function2.line ||
+                pair.function2.endLine < pair.function1.line
+            );
+        }
+        return scan.clonePairs;
+    }
+
+    _resolveCommit(repoName, commitId, scan) {
+        if (!commitId || commitId === 'HEAD') {
+            if (!scan.commitId) throw new CodeAnalyzerError(`commitId is required: ${repoName} is not a git checkout`);
+            return scan.commitId;
+        }
+        if (scan.commitId && !scan.commitId.startsWith(commitId)) {
+            throw new CodeAnalyzerError(`The checkout of ${repoName} is at ${scan.commitId.slice(0, 12)}, not ${commitId}`, 409);
+        }
+        return scan.commitId || commitId;
+    }
+
+    _resolveWeights(overrides = {}) {
+        const weights = { ...DEFAULT_WEIGHTS };
+        for (const [dim, weight] of Object.entries(overrides || {})) {
+            if (!(dim in DEFAULT_WEIGHTS)) {
+                throw new CodeAnalyzerError(`Unknown CQAS dimension "${dim}" (expected ${Object.keys(DEFAULT_WEIGHTS).join(', ')})`);
+            }
+            if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                throw new CodeAnalyzerError(`Weight of ${dim} must be a non-negative number`);
+            }
+            weights[dim] = weight;
+        }
+        return weights;
+    }
+
+    _label(score) {
+        return score >= 80 ? 'GOOD' : score >= 60 ? 'FAIR' : score >= 40 ? 'POOR' : 'CRITICAL';
+    }
+
     _scoreToGrade(score) {
         if (score >= 90) return 'A+';
         if (score >= 80) return 'A';
@@ -296,17 +844,8 @@ class CodeAnalyzerService {
         if (score >= 50) return 'D';
         return 'F';
     }
-
-    _generateMockHistory(repoName, branch) {
-        const base = [72, 74, 71, 75, 78, 76, 73, 77];
-        return base.map((score, idx) => ({
-            commitId: `abc${idx + 100}`,
-            score,
-            grade: this._scoreToGrade(score),
-            dimensions: { complexity: 75, vulnerability: 70, taint: 68, duplication: 80, architecture: 77 },
-            timestamp: new Date(Date.now() - (base.length - idx) * 86400000).toISOString()
-        }));
-    }
 }
 
 module.exports = new CodeAnalyzerService();
+module.exports.CodeAnalyzerError = CodeAnalyzerError;
+module.exports.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
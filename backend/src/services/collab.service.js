@@ -1,61 +1,245 @@
 /**
  * Collaboration Service
- * Manages active sessions, room state, and basic OT/CRDT simulation.
+ * Manages active sessions, room state and operational-transform document sync.
+ *
+ * Each room holds one text document with a server revision counter and the
+ * log of applied operations. Clients submit operations against the revision
+ * they last saw; the server transforms them over every operation applied
+ * since, applies the result and acknowledges it with the new revision.
  */
+const TextOperation = require('./text-operation.engine');
+
+const MAX_HISTORY = 1000;
+// How long a room's document outlives its last viewer
+const ROOM_IDLE_TTL_MS = parseInt(process.env.COLLAB_ROOM_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+class CollaborationError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CollaborationError';
+        this.statusCode = statusCode;
+    }
+}
+
 class CollaborationService {
     constructor() {
-        this.rooms = new Map(); // roomId -> { viewers: Map, content: string, version: number }
+        // roomId -> { viewers: Map, members: Set, content: string, version: number, history: [], historyStart: number, clients: Map, idleSince: number|null }
+        this.rooms = new Map();
     }
 
-    joinRoom(roomId, userId, metadata) {
-        if (!this.rooms.has(roomId)) {
-            this.rooms.set(roomId, {
-                viewers: new Map(),
-                content: "",
-                version: 0
-            });
-        }
+    /**
+     * Rooms are created on join. The document and its operation history
+     * survive the last viewer leaving (a sole editor may just be reconnecting)
+     * and are evicted once the room has been empty for ROOM_IDLE_TTL_MS.
+     */
+    getOrCreateRoom(roomId) {
+        const existing = this.rooms.get(roomId);
+        if (existing && !this.isExpired(existing)) return existing;
 
+        const room = {
+            viewers: new Map(), // connectionId -> { id, userId, metadata, lastSeen }
+            members: new Set(), // userIds that joined and may edit
+            content: "",
+            version: 0,
+            history: [],      // history[i] produced revision historyStart + i + 1
+            historyStart: 0,
+            clients: new Map(), // clientId -> { userId, lastSeq, lastRevision }
+            idleSince: null
+        };
+        this.rooms.set(roomId, room);
+        return room;
+    }
+
+    getRoom(roomId) {
         const room = this.rooms.get(roomId);
-        room.viewers.set(userId, {
-            id: userId,
+        if (!room || this.isExpired(room)) {
+            this.rooms.delete(roomId);
+            throw new CollaborationError(`Room ${roomId} not found`, 404);
+        }
+        return room;
+    }
+
+    isExpired(room, now = Date.now()) {
+        return room.viewers.size === 0 && room.idleSince !== null && now - room.idleSince >= ROOM_IDLE_TTL_MS;
+    }
+
+    evictIdleRooms(now = Date.now()) {
+        this.rooms.forEach((room, roomId) => {
+            if (this.isExpired(room, now)) this.rooms.delete(roomId);
+        });
+    }
+
+    /**
+     * @param {string} connectionId - one entry per socket, so several tabs of
+     *   the same user are tracked separately
+     */
+    joinRoom(roomId, connectionId, userId, metadata) {
+        this.evictIdleRooms();
+        const room = this.getOrCreateRoom(roomId);
+        room.viewers.set(connectionId, {
+            id: connectionId,
+            userId,
             metadata,
             lastSeen: Date.now()
         });
+        room.members.add(String(userId));
+        room.idleSince = null;
 
         return room;
     }
 
-    leaveRoom(roomId, userId) {
-        if (this.rooms.has(roomId)) {
-            const room = this.rooms.get(roomId);
-            room.viewers.delete(userId);
-            if (room.viewers.size === 0) {
-                // Keep room for a while or cleanup
-                // this.rooms.delete(roomId);
-            }
+    leaveRoom(roomId, connectionId) {
+        const room = this.rooms.get(roomId);
+        if (room && room.viewers.delete(connectionId) && room.viewers.size === 0) {
+            room.idleSince = Date.now();
         }
+        this.evictIdleRooms();
+    }
+
+    /**
+     * True while `userId` still has a connection in the room
+     */
+    isViewing(roomId, userId) {
+        const room = this.rooms.get(roomId);
+        return !!room && Array.from(room.viewers.values()).some(viewer => String(viewer.userId) === String(userId));
     }
 
+    /**
+     * Apply a client operation submitted against `revision`.
+     * @param {string} roomId
+     * @param {Object} submission - { clientId, userId, seq, revision, operation };
+     *   `userId` has to be a member of the room (403 otherwise)
+     * @returns {{ operation: Array, revision: number, duplicate: boolean }}
+     */
+    applyOperation(roomId, { clientId, userId, seq, revision, operation }) {
+        const room = this.getRoom(roomId);
+        if (userId === undefined || userId === null || !room.members.has(String(userId))) {
+            throw new CollaborationError(`Join room ${roomId} before editing it`, 403);
+        }
+        const client = this.getClient(room, clientId, userId);
+
+        // A resent operation whose ack was lost (e.g. across a reconnect).
+        if (Number.isInteger(seq) && seq <= client.lastSeq) {
+            return { operation: null, revision: client.lastRevision, duplicate: true };
+        }
+
+        if (!Number.isInteger(revision) || revision < 0 || revision > room.version) {
+            throw new CollaborationError(`Invalid revision ${revision}; server is at ${room.version}`, 409);
+        }
+        if (revision < room.historyStart) {
+            throw new CollaborationError(`Revision ${revision} is older than the retained history; resync required`, 409);
+        }
+
+        let op;
+        try {
+            op = TextOperation.fromJSON(operation);
+        } catch (error) {
+            throw new CollaborationError(error.message);
+        }
+
+        // Transform against every operation the client had not seen yet.
+        // The engine throws when the operation does not fit the claimed revision.
+        try {
+            room.history.slice(revision - room.historyStart).forEach(entry => {
+                op = TextOperation.transform(op, TextOperation.fromJSON(entry.operation))[0];
+            });
+        } catch (error) {
+            throw new CollaborationError(`Operation does not apply to revision ${revision}: ${error.message}`, 409);
+        }
+
+        if (op.baseLength !== room.content.length) {
+            throw new CollaborationError(`Operation base length ${op.baseLength} does not match document length ${room.content.length}`, 409);
+        }
+
+        room.content = op.apply(room.content);
+        room.version++;
+        room.history.push({
+            operation: op.toJSON(),
+            revision: room.version,
+            clientId,
+            userId,
+            seq,
+            timestamp: Date.now()
+        });
+        if (room.history.length > MAX_HISTORY) {
+            const dropped = room.history.length - MAX_HISTORY;
+            room.history.splice(0, dropped);
+            room.historyStart += dropped;
+        }
+
+        if (Number.isInteger(seq)) client.lastSeq = seq;
+        client.lastRevision = room.version;
+
+        return { operation: op.toJSON(), revision: room.version, duplicate: false };
+    }
+
+    /**
+     * Legacy whole-content edit: converted into an operation against the
+     * current revision so it still goes through the operation log.
+     */
     applyEdit(roomId, userId, change, clientVersion) {
         if (!this.rooms.has(roomId)) return null;
-
         const room = this.rooms.get(roomId);
+        if (typeof change !== 'string') return { content: room.content, version: room.version };
 
-        // Basic Conflict Resolution Simulation
-        // In real OT, we would transform the change based on intervening edits
-        room.version++;
-        room.content = this.mockApplyChange(room.content, change);
+        const operation = TextOperation.fromDiff(room.content, change);
+        const result = this.applyOperation(roomId, {
+            clientId: `legacy:${userId}`,
+            userId,
+            revision: room.version,
+            operation: operation.toJSON()
+        });
 
         return {
             content: room.content,
-            version: room.version
+            version: room.version,
+            operation: result.operation
         };
     }
 
-    mockApplyChange(current, change) {
-        // Simplified: Change is just the new content for this demo
-        return typeof change === 'string' ? change : current;
+    getClient(room, clientId, userId) {
+        if (!room.clients.has(clientId)) {
+            room.clients.set(clientId, { userId, lastSeq: -1, lastRevision: room.version });
+        }
+        return room.clients.get(clientId);
+    }
+
+    getSnapshot(roomId) {
+        const room = this.getRoom(roomId);
+        return { roomId, content: room.content, revision: room.version };
+    }
+
+    /**
+     * Operations applied after `revision`, or null when they were pruned from
+     * the history and the caller has to fall back to a snapshot.
+     */
+    getOperationsSince(roomId, revision) {
+        const room = this.getRoom(roomId);
+        if (!Number.isInteger(revision) || revision < room.historyStart || revision > room.version) return null;
+        return room.history.slice(revision - room.historyStart).map(({ operation, revision: rev, clientId, seq, userId }) => ({
+            operation,
+            revision: rev,
+            clientId,
+            seq,
+            userId
+        }));
+    }
+
+    /**
+     * Catch-up payload for a (re)connecting client: the missed operations when
+     * still in history, otherwise a full snapshot. Also reports the last
+     * sequence number applied for that client so it can drop acked edits.
+     */
+    getResyncState(roomId, clientId, revision) {
+        const room = this.getRoom(roomId);
+        const client = room.clients.get(clientId);
+        const lastSeq = client ? client.lastSeq : -1;
+        const operations = Number.isInteger(revision) ? this.getOperationsSince(roomId, revision) : null;
+
+        if (operations) {
+            return { type: 'operations', roomId, revision: room.version, operations, lastSeq };
+        }
+        return { type: 'snapshot', roomId, revision: room.version, content: room.content, lastSeq };
     }
 
     getPresence(roomId) {
@@ -65,3 +249,4 @@ class CollaborationService {
 }
 
 module.exports = new CollaborationService();
+module.exports.CollaborationError = CollaborationError;
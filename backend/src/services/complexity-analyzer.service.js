@@ -239,35 +239,42 @@ class ComplexityAnalyzerService {
       const content = await this.fetchFileContent(owner, repo, filePath);
       if (!content) return null;
 
-      const complexityMatches = this.detectComplexity(content);
-      const antiPatterns = this.detectAntiPatterns(content);
-      const libraries = this.detectHeavyLibraries(content);
-
-      const worstComplexity = complexityMatches.reduce(
-        (worst, current) =>
-          current.score > worst.score ? current : worst,
-        { score: 0, level: "O(1)" }
-      );
-
-      return {
-        path: filePath,
-        lines: content.split("\n").length,
-        complexity: worstComplexity,
-        complexityDetails: complexityMatches,
-        antiPatterns: antiPatterns,
-        heavyLibraries: libraries,
-        energyScore: this.calculateEnergyScore(
-          complexityMatches,
-          antiPatterns,
-          libraries
-        ),
-      };
+      return this.analyzeSource(filePath, content);
     } catch (error) {
       console.error(`Error analyzing file ${filePath}:`, error);
       return null;
     }
   }
 
+  /**
+   * Analyze the source of one file (fetched from GitHub or read from a checkout)
+   */
+  analyzeSource(filePath, content) {
+    const complexityMatches = this.detectComplexity(content);
+    const antiPatterns = this.detectAntiPatterns(content);
+    const libraries = this.detectHeavyLibraries(content);
+
+    const worstComplexity = complexityMatches.reduce(
+      (worst, current) =>
+        current.score > worst.score ? current : worst,
+      { score: 0, level: "O(1)" }
+    );
+
+    return {
+      path: filePath,
+      lines: content.split("\n").length,
+      complexity: worstComplexity,
+      complexityDetails: complexityMatches,
+      antiPatterns: antiPatterns,
+      heavyLibraries: libraries,
+      energyScore: this.calculateEnergyScore(
+        complexityMatches,
+        antiPatterns,
+        libraries
+      ),
+    };
+  }
+
   /**
    * Detect complexity patterns in code
    */
@@ -588,18 +595,27 @@ class ComplexityAnalyzerService {
    * Derived from avgEnergyScore, complexity distribution, and anti-pattern counts.
    * Designed to be consumed by CodeAnalyzerService as one CQAS sub-dimension.
    * @param {string} repoName - used for mock data path
+   * @param {Array} fileAnalyses - analyzeSource() results; a mock corpus when omitted
    * @returns {Object} { score, label, breakdown }
    */
-  getNormalizedComplexityScore(repoName = 'demo-repo') {
-    // Simulate a repo analysis with mock file corpus
-    const mockFiles = [
+  getNormalizedComplexityScore(repoName = 'demo-repo', fileAnalyses = null) {
+    // Without analyses, simulate a repo analysis with a mock file corpus
+    const files = fileAnalyses || [
       { lines: 180, complexity: { score: 3 }, antiPatterns: [], heavyLibraries: [] },
       { lines: 320, complexity: { score: 5 }, antiPatterns: [{ severity: 'high', count: 1 }], heavyLibraries: [{ size: 71 }] },
       { lines: 90, complexity: { score: 2 }, antiPatterns: [], heavyLibraries: [] },
       { lines: 250, complexity: { score: 4 }, antiPatterns: [{ severity: 'medium', count: 2 }], heavyLibraries: [] }
     ];
+    if (files.length === 0) {
+      return {
+        dimension: 'complexity',
+        score: 100,
+        label: 'GOOD',
+        breakdown: { avgEnergyScore: 0, quadraticFileCount: 0, penalty: 0, filesAnalyzed: 0 }
+      };
+    }
 
-    const energyScores = mockFiles.map(f =>
+    const energyScores = files.map(f =>
       this.calculateEnergyScore(f.complexity ? [{ score: f.complexity.score }] : [], f.antiPatterns, f.heavyLibraries)
     );
     const avgEnergy = energyScores.reduce((a, b) => a + b, 0) / energyScores.length;
@@ -607,9 +623,9 @@ class ComplexityAnalyzerService {
     // Convert: higher energy score = worse code; invert to quality score
     const raw = Math.max(0, 100 - avgEnergy);
 
-    // Penalize quadratic+ complexity
-    const quadraticCount = mockFiles.filter(f => f.complexity && f.complexity.score >= 5).length;
-    const penalty = quadraticCount * 5;
+    // Penalize quadratic+ complexity by the share of files affected (up to 20 points)
+    const quadraticCount = files.filter(f => f.complexity && f.complexity.score >= 5).length;
+    const penalty = Math.round((quadraticCount / files.length) * 20);
 
     const score = Math.max(0, Math.round(raw - penalty));
 
@@ -620,7 +636,8 @@ class ComplexityAnalyzerService {
       breakdown: {
         avgEnergyScore: parseFloat(avgEnergy.toFixed(1)),
         quadraticFileCount: quadraticCount,
-        penalty
+        penalty,
+        filesAnalyzed: files.length
       }
     };
   }
@@ -0,0 +1,203 @@
+/**
+ * XAYTHEON - Compliance Framework Packs
+ *
+ * Frameworks are data: one YAML or JSON pack per framework, listing its controls
+ * with the scanner checks that evidence each of them, the evidence an auditor
+ * expects to be attested by hand, and `mapsTo` references (`FRAMEWORK:CONTROL`)
+ * to equivalent controls of other frameworks.
+ *
+ * The packs in ./compliance-frameworks are always loaded; packs in
+ * COMPLIANCE_FRAMEWORKS_DIR are added after them and replace a built-in pack with
+ * the same id.
+ *
+ * Mappings are symmetric and not transitive: a control is evidenced by its own
+ * checks and by the checks of the controls it is mapped to, and an attestation
+ * of either control counts for both. Mappings to frameworks that are not loaded
+ * are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const BUILT_IN_DIR = path.join(__dirname, 'compliance-frameworks');
+const PACK_FILES = /\.(ya?ml|json)$/i;
+
+class FrameworkPackError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'FrameworkPackError';
+        this.statusCode = statusCode;
+    }
+}
+
+const asList = (value, what) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+        throw new FrameworkPackError(`${what} must be a list of strings`);
+    }
+    return value.map(item => item.trim());
+};
+
+class ComplianceFrameworksService {
+    constructor() {
+        this.frameworks = new Map();
+        this.loadFrameworks(BUILT_IN_DIR);
+        if (process.env.COMPLIANCE_FRAMEWORKS_DIR) {
+            this.loadFrameworks(process.env.COMPLIANCE_FRAMEWORKS_DIR);
+        }
+    }
+
+    /**
+     * Add (or replace) a framework pack
+     * @param {Object} pack - { id, name, version?, controls: [{ id, name, description?, checks?, evidence?, mapsTo? }] }
+     */
+    registerFramework(pack, source = null) {
+        const where = source ? ` (${source})` : '';
+        if (!pack || typeof pack.id !== 'string' || !pack.id.trim()) {
+            throw new FrameworkPackError(`A framework pack needs an id${where}`);
+        }
+        const id = pack.id.trim();
+        if (id.includes(':')) throw new FrameworkPackError(`Framework id ${id} must not contain ":"${where}`);
+        if (!Array.isArray(pack.controls) || pack.controls.length === 0) {
+            throw new FrameworkPackError(`Framework ${id} has no controls${where}`);
+        }
+
+        const controls = pack.controls.map((control, index) => {
+            if (!control || (typeof control.id !== 'string' && typeof control.id !== 'number')) {
+                throw new FrameworkPackError(`Control #${index + 1} of ${id} needs an id${where}`);
+            }
+            const controlId = String(control.id).trim();
+            const mapsTo = asList(control.mapsTo, `mapsTo of ${id} ${controlId}`).map(ref => {
+                const separator = ref.indexOf(':');
+                if (separator <= 0 || separator === ref.length - 1) {
+                    throw new FrameworkPackError(`mapsTo "${ref}" of ${id} ${controlId} must look like FRAMEWORK:CONTROL${where}`);
+                }
+                return { framework: ref.slice(0, separator).trim(), control: ref.slice(separator + 1).trim() };
+            });
+            return {
+                id: controlId,
+                name: control.name || controlId,
+                description: control.description || '',
+                checks: asList(control.checks, `checks of ${id} ${controlId}`),
+                evidence: asList(control.evidence, `evidence of ${id} ${controlId}`),
+                mapsTo
+            };
+        });
+
+        const seen = new Set();
+        controls.forEach(control => {
+            if (seen.has(control.id)) throw new FrameworkPackError(`Framework ${id} lists control ${control.id} twice${where}`);
+            seen.add(control.id);
+        });
+
+        this.frameworks.set(id, {
+            id,
+            name: pack.name || id,
+            version: pack.version === undefined || pack.version === null ? null : String(pack.version),
+            controls
+        });
+        this.mappings = null;
+        return this;
+    }
+
+    /**
+     * Register every .yml, .yaml and .json pack in a directory
+     */
+    loadFrameworks(dir) {
+        const absolute = path.resolve(dir);
+        fs.readdirSync(absolute)
+            .filter(name => PACK_FILES.test(name))
+            .sort()
+            .forEach(name => {
+                const text = fs.readFileSync(path.join(absolute, name), 'utf8');
+                let pack;
+                try {
+                    pack = name.toLowerCase().endsWith('.json') ? JSON.parse(text) : yaml.safeLoad(text);
+                } catch (error) {
+                    throw new FrameworkPackError(`Cannot parse framework pack ${name}: ${error.message}`);
+                }
+                this.registerFramework(pack, name);
+            });
+        return this;
+    }
+
+    has(frameworkId) {
+        return this.frameworks.has(frameworkId);
+    }
+
+    getFramework(frameworkId) {
+        return this.frameworks.get(frameworkId) || null;
+    }
+
+    getControl(frameworkId, controlId) {
+        const framework = this.getFramework(frameworkId);
+        return (framework && framework.controls.find(control => control.id === controlId)) || null;
+    }
+
+    listFrameworks() {
+        return [...this.frameworks.values()];
+    }
+
+    /**
+     * Controls mapped to a control, in either direction, as [{ framework, control }]
+     */
+    mappedControls(frameworkId, controlId) {
+        return this.mappingIndex().get(`${frameworkId}:${controlId}`) || [];
+    }
+
+    /**
+     * Checks evidencing a control: its own and those of its mapped controls
+     */
+    checksFor(frameworkId, controlId) {
+        const control = this.getControl(frameworkId, controlId);
+        if (!control) return [];
+        const checks = new Set(control.checks);
+        this.mappedControls(frameworkId, controlId).forEach(ref => {
+            this.getControl(ref.framework, ref.control).checks.forEach(checkId => checks.add(checkId));
+        });
+        return [...checks];
+    }
+
+    /**
+     * Controls of the given frameworks that a check evidences, in framework then pack order
+     * @returns {Array} [{ framework, control }]
+     */
+    controlsForCheck(checkId, frameworkIds) {
+        return frameworkIds.flatMap(frameworkId => {
+            const framework = this.getFramework(frameworkId);
+            if (!framework) return [];
+            return framework.controls
+                .filter(control => this.checksFor(frameworkId, control.id).includes(checkId))
+                .map(control => ({ framework: frameworkId, control: control.id }));
+        });
+    }
+
+    mappingIndex() {
+        if (this.mappings) return this.mappings;
+        const mappings = new Map();
+        const link = (from, to) => {
+            const key = `${from.framework}:${from.control}`;
+            if (!mappings.has(key)) mappings.set(key, []);
+            const list = mappings.get(key);
+            if (!list.some(ref => ref.framework === to.framework && ref.control === to.control)) list.push(to);
+        };
+
+        this.listFrameworks().forEach(framework => {
+            framework.controls.forEach(control => {
+                control.mapsTo.forEach(ref => {
+                    if (!this.getControl(ref.framework, ref.control)) return;
+                    const self = { framework: framework.id, control: control.id };
+                    link(self, ref);
+                    link(ref, self);
+                });
+            });
+        });
+
+        this.mappings = mappings;
+        return mappings;
+    }
+}
+
+module.exports = new ComplianceFrameworksService();
+module.exports.FrameworkPackError = FrameworkPackError;
@@ -0,0 +1,628 @@
+/**
+ * XAYTHEON - Compliance Scanners
+ *
+ * Deterministic checks over a repository checkout, run by ComplianceService audits:
+ *   - personal data and secrets committed to the repository
+ *   - transport security in Kubernetes, Docker and nginx configuration
+ *   - change management: CODEOWNERS and branch protection kept as code
+ *
+ * Every finding names the check that produced it and the file and line it was
+ * found on; the framework packs map checks to controls. Matched secrets and
+ * personal data are redacted before they leave this service.
+ *
+ * A line ending in `compliance-ignore`, or following a `compliance-ignore-next-line`
+ * comment, is not reported (documented test data, the detectors' own patterns).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const yaml = require('js-yaml');
+const archDependencyParser = require('./arch-dependency-parser.service');
+
+const execFileAsync = promisify(execFile);
+
+const MAX_FILE_BYTES = 1024 * 1024;
+// Findings of one check reported per file; the rest are counted in the last one
+const MAX_FINDINGS_PER_FILE = 10;
+// Lockfiles, bundles and source maps are full of hashes that look like secrets
+const SKIPPED_FILES = /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|composer\.lock|Gemfile\.lock|poetry\.lock|Cargo\.lock|go\.sum)$|\.min\.(js|css)$|\.map$/;
+const BINARY_FILES = /\.(png|jpe?g|gif|ico|webp|bmp|svgz|pdf|zip|gz|tgz|bz2|7z|jar|war|woff2?|ttf|eot|otf|mp[34]|mov|avi|wasm|db|sqlite3?|exe|dll|so|dylib|class|pyc|o|a)$/i;
+// Contact addresses in documentation are published on purpose
+const DOCUMENTATION_FILES = /\.(md|markdown|rst|txt|adoc)$|(^|\/)(LICENSE|AUTHORS|CONTRIBUTORS|CODEOWNERS|NOTICE|package\.json)(\.\w+)?$/i;
+
+const IGNORE_LINE = /compliance-ignore\s*(\*\/|-->)?\s*$/;
+const IGNORE_NEXT_LINE = /compliance-ignore-next-line/;
+
+const CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+const SETTINGS_FILE = '.github/settings.yml';
+
+/**
+ * Checks run by the scanners, keyed by check id
+ */
+const CHECKS = {
+    'pii-email': {
+        title: 'Email address in repository',
+        severity: 'medium',
+        remediation: 'Replace personal email addresses with example.com addresses or generated fixtures.'
+    },
+    'pii-card-number': {
+        title: 'Payment card number in repository',
+        severity: 'high',
+        remediation: 'Remove card numbers; use the payment provider\'s documented test cards in test code only.'
+    },
+    'secret-aws-key': {
+        title: 'AWS access key',
+        severity: 'critical',
+        remediation: 'Deactivate the key in IAM, then load credentials from the environment or a secrets manager.'
+    },
+    'secret-github-token': {
+        title: 'GitHub token',
+        severity: 'critical',
+        remediation: 'Revoke the token on GitHub and load it from the environment or a secrets manager.'
+    },
+    'secret-private-key': {
+        title: 'Private key',
+        severity: 'critical',
+        remediation: 'Rotate the key pair and keep private keys out of version control.'
+    },
+    'secret-high-entropy': {
+        title: 'High-entropy string',
+        severity: 'medium',
+        remediation: 'If this is a credential, rotate it and load it from the environment or a secrets manager.'
+    },
+    'tls-ingress-missing': {
+        title: 'Ingress without TLS',
+        severity: 'high',
+        remediation: 'Add a spec.tls section (e.g. with a cert-manager issued certificate) to the Ingress.'
+    },
+    'tls-redirect-disabled': {
+        title: 'HTTPS redirect disabled',
+        severity: 'high',
+        remediation: 'Remove the annotation or set it to "true" so plain HTTP is redirected to HTTPS.'
+    },
+    'tls-plain-http-listener': {
+        title: 'Plain HTTP server',
+        severity: 'high',
+        remediation: 'Serve the site over TLS and answer plain HTTP with `return 301 https://$host$request_uri;`.'
+    },
+    'tls-weak-protocol': {
+        title: 'Deprecated TLS protocol',
+        severity: 'high',
+        remediation: 'Allow only TLSv1.2 and TLSv1.3.'
+    },
+    'tls-weak-cipher': {
+        title: 'Weak TLS cipher',
+        severity: 'medium',
+        remediation: 'Remove RC4, DES, MD5, NULL and EXPORT ciphers (or exclude them with "!").'
+    },
+    'tls-verification-disabled': {
+        title: 'Certificate verification disabled',
+        severity: 'high',
+        remediation: 'Keep certificate verification on; trust a private CA explicitly instead of disabling checks.'
+    },
+    'tls-plain-http-download': {
+        title: 'Build downloads over plain HTTP',
+        severity: 'medium',
+        remediation: 'Download build inputs over HTTPS and verify their checksums.'
+    },
+    'codeowners-missing': {
+        title: 'No CODEOWNERS file',
+        severity: 'medium',
+        remediation: 'Add .github/CODEOWNERS with a catch-all `*` rule so every change has a required reviewer.'
+    },
+    'codeowners-unowned': {
+        title: 'Paths without code owners',
+        severity: 'low',
+        remediation: 'Give every CODEOWNERS pattern an owner (@user, @org/team or an email address).'
+    },
+    'branch-protection-missing': {
+        title: 'Default branch not protected',
+        severity: 'high',
+        remediation: `Protect the default branch in ${SETTINGS_FILE} (repository settings as code).`
+    },
+    'branch-protection-reviews': {
+        title: 'Merges without review',
+        severity: 'high',
+        remediation: 'Set required_pull_request_reviews.required_approving_review_count to 1 or more.'
+    },
+    'branch-protection-status-checks': {
+        title: 'Merges without passing checks',
+        severity: 'medium',
+        remediation: 'Require the CI status checks under required_status_checks.'
+    },
+    'branch-protection-force-push': {
+        title: 'Force pushes or deletion allowed',
+        severity: 'high',
+        remediation: 'Set allow_force_pushes and allow_deletions to false on the default branch.'
+    },
+    'branch-protection-admins': {
+        title: 'Administrators bypass protection',
+        severity: 'low',
+        remediation: 'Set enforce_admins: true so the rules also apply to administrators.'
+    }
+};
+
+const EMAIL = /\b[A-Za-z0-9._%+-]+@([A-Za-z0-9-]+\.)+[A-Za-z]{2,}\b/g;
+// RFC 2606 / 6761 names, bot and no-reply addresses
+const EXAMPLE_EMAIL = /@((\w+\.)*(example\.(com|org|net)|test|invalid|localhost|local)|users\.noreply\.github\.com|noreply\.\S+)$|^(no-?reply|git|user|name|email|test|foo)@/i;
+const CARD_CANDIDATE = /\b\d(?:[ -]?\d){12,18}\b/g;
+// Documented test numbers of the major payment providers
+const TEST_CARDS = new Set([
+    '4111111111111111', '4242424242424242', '4000056655665556', '4012888888881881', '4000000000000002', // compliance-ignore
+    '5555555555554444', '5105105105105100', '2223003122003222', '378282246310005', '371449635398431', // compliance-ignore
+    '6011111111111117', '6011000990139424', '3530111333300000', '3566002020360505' // compliance-ignore
+]);
+const AWS_ACCESS_KEY = /\b(AKIA|ASIA)[0-9A-Z]{16}\b/g;
+const AWS_SECRET_KEY = /aws_?secret_?access_?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi;
+const GITHUB_TOKEN = /\b(gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/g;
+const PRIVATE_KEY = /-----BEGIN ((RSA|EC|DSA|OPENSSH|ENCRYPTED|PGP) )?PRIVATE KEY( BLOCK)?-----/;
+const QUOTED_TOKEN = /["'`]([A-Za-z0-9+/=_-]{20,})["'`]/g;
+const ENV_ASSIGNMENT = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*["']?([^\s"'#]{20,})/;
+const SECRET_NAME = /(password|passwd|pwd|secret|api_?key|access_?key|token|private_?key|client_?secret|credentials?|signing_?key)/i;
+const PLACEHOLDER = /^(x+|\*+|0+|changeme|your[_-].*|<.*>|\$\{.*\}|.*example.*|.*placeholder.*|.*dummy.*)$/i;
+
+const TLS_VERIFICATION_DISABLED = [
+    { pattern: /NODE_TLS_REJECT_UNAUTHORIZED["']?\s*[:= ]\s*["']?0\b/, what: 'NODE_TLS_REJECT_UNAUTHORIZED=0 turns off certificate checks for every request' }, // compliance-ignore
+    { pattern: /rejectUnauthorized["']?\s*:\s*false\b/, what: 'rejectUnauthorized: false accepts any certificate' }, // compliance-ignore
+    { pattern: /insecure_?skip_?(tls_?)?verify["']?\s*[:=]\s*["']?true\b/i, what: 'insecureSkipVerify accepts any certificate' }, // compliance-ignore
+    { pattern: /\bverify\s*=\s*False\b/, what: 'verify=False accepts any certificate' }, // compliance-ignore
+    { pattern: /\bcurl\b.*\s(-k|--insecure)(\s|$)/, what: 'curl --insecure accepts any certificate' }, // compliance-ignore
+    { pattern: /\bwget\b.*--no-check-certificate\b/, what: 'wget --no-check-certificate accepts any certificate' }, // compliance-ignore
+    { pattern: /strict-ssl\s*(=|\s)\s*false\b/, what: 'npm strict-ssl=false accepts any registry certificate' } // compliance-ignore
+];
+const WEAK_PROTOCOLS = /\b(SSLv2|SSLv3|TLSv1|TLSv1\.1)(?![.\d])/g;
+const WEAK_CIPHERS = /(^|[\s:])(?!!)([\w-]*(RC4|DES|MD5|NULL|EXPORT)[\w-]*)/gi;
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+class ComplianceScannerService {
+    constructor() {
+        this.checks = CHECKS;
+    }
+
+    /**
+     * Files of a checkout with their text loaded on first use: the files git tracks,
+     * or every file outside build and dependency directories when it is not a work tree.
+     * Scanners share one context per audit so each file is read once.
+     */
+    async createContext(root) {
+        const texts = new Map();
+        const files = (await this.trackedFiles(root)) || archDependencyParser.walkDirectory(root);
+        return {
+            root,
+            files,
+            has: filePath => files.includes(filePath),
+            read: filePath => {
+                if (!texts.has(filePath)) texts.set(filePath, this.readText(root, filePath));
+                return texts.get(filePath);
+            }
+        };
+    }
+
+    async trackedFiles(root) {
+        try {
+            const { stdout } = await execFileAsync('git', ['ls-files', '-z'], { cwd: root, maxBuffer: 64 * 1024 * 1024 });
+            return stdout.split('\0').filter(Boolean).sort();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    readText(root, filePath) {
+        if (BINARY_FILES.test(filePath)) return null;
+        try {
+            const absolute = path.join(root, filePath);
+            if (fs.statSync(absolute).size > MAX_FILE_BYTES) return null;
+            const text = fs.readFileSync(absolute, 'utf8');
+            return text.includes('\u0000') ? null : text;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Personal data and credentials committed to the repository
+     */
+    scanSecrets(context) {
+        const findings = [];
+
+        context.files.forEach(filePath => {
+            if (SKIPPED_FILES.test(filePath)) return;
+            const text = context.read(filePath);
+            if (!text) return;
+
+            const lines = text.split(/\r?\n/);
+            const report = this.fileReporter(findings, filePath, lines);
+            const isDocumentation = DOCUMENTATION_FILES.test(filePath);
+            const isEnvFile = /(^|\/)\.env(\.[\w-]+)?$/.test(filePath);
+
+            lines.forEach((line, index) => {
+                const lineNo = index + 1;
+
+                // Values already reported as a known secret format are not reported again as random strings
+                const secrets = [];
+
+                if (PRIVATE_KEY.test(line)) {
+                    report('secret-private-key', lineNo, `${line.trim().replace(/-/g, '')} committed`, null);
+                }
+
+                for (const match of line.matchAll(AWS_ACCESS_KEY)) {
+                    secrets.push(match[0]);
+                    if (!match[0].endsWith('EXAMPLE')) report('secret-aws-key', lineNo, 'AWS access key ID', this.redact(match[0]));
+                }
+                for (const match of line.matchAll(AWS_SECRET_KEY)) {
+                    secrets.push(match[1]);
+                    if (!PLACEHOLDER.test(match[1])) report('secret-aws-key', lineNo, 'AWS secret access key', this.redact(match[1]));
+                }
+                for (const match of line.matchAll(GITHUB_TOKEN)) {
+                    secrets.push(match[0]);
+                    report('secret-github-token', lineNo, `GitHub ${this.githubTokenKind(match[0])}`, this.redact(match[0]));
+                }
+
+                const tokens = [...line.matchAll(QUOTED_TOKEN)].map(match => match[1]);
+                const assignment = isEnvFile ? ENV_ASSIGNMENT.exec(line) : null;
+                if (assignment) tokens.push(assignment[2]);
+                tokens.forEach(token => {
+                    if (secrets.some(secret => token.includes(secret))) return;
+                    if (this.isHighEntropy(token, SECRET_NAME.test(line))) {
+                        report('secret-high-entropy', lineNo, `Random-looking string (${this.shannonEntropy(token).toFixed(1)} bits/char)`, this.redact(token));
+                    }
+                });
+
+                for (const match of line.matchAll(CARD_CANDIDATE)) {
+                    const digits = match[0].replace(/[ -]/g, '');
+                    const brand = this.cardBrand(digits);
+                    if (!brand || !this.luhnValid(digits)) continue;
+                    const isTestCard = TEST_CARDS.has(digits);
+                    report(
+                        'pii-card-number',
+                        lineNo,
+                        isTestCard ? `${brand} test card number` : `${brand} card number (passes the Luhn check)`,
+                        `****${digits.slice(-4)}`,
+                        isTestCard ? 'low' : null
+                    );
+                }
+
+                if (!isDocumentation) {
+                    for (const match of line.matchAll(EMAIL)) {
+                        if (!EXAMPLE_EMAIL.test(match[0])) report('pii-email', lineNo, 'Email address', this.redactEmail(match[0]));
+                    }
+                }
+            });
+        });
+
+        return findings;
+    }
+
+    /**
+     * Transport security: Kubernetes Ingresses, nginx servers, Dockerfiles and
+     * certificate verification switched off anywhere in the repository
+     */
+    scanTransportSecurity(context) {
+        const findings = [];
+
+        context.files.forEach(filePath => {
+            if (SKIPPED_FILES.test(filePath)) return;
+            const text = context.read(filePath);
+            if (!text) return;
+
+            const lines = text.split(/\r?\n/);
+            const report = this.fileReporter(findings, filePath, lines);
+            const name = path.posix.basename(filePath);
+
+            lines.forEach((line, index) => {
+                const hit = TLS_VERIFICATION_DISABLED.find(({ pattern }) => pattern.test(line));
+                if (hit) report('tls-verification-disabled', index + 1, hit.what, line.trim().slice(0, 120));
+            });
+
+            if (/\.ya?ml$/i.test(name) && /^kind:\s*Ingress\b/m.test(text)) {
+                this.checkIngresses(lines, report);
+            }
+            if (/(^|[.-])Dockerfile([.-]|$)|^Containerfile$/i.test(name)) {
+                this.checkDockerfile(lines, report);
+            }
+            if ((/\.conf(\.template)?$/.test(name) || /nginx/i.test(filePath)) && /\bserver\s*\{/.test(text)) {
+                this.checkNginx(lines, report);
+            }
+        });
+
+        return findings;
+    }
+
+    /**
+     * CODEOWNERS and branch protection of the default branch (.github/settings.yml)
+     */
+    scanChangeManagement(context) {
+        const findings = [];
+        const codeowners = CODEOWNERS_LOCATIONS.find(candidate => context.has(candidate));
+
+        if (!codeowners) {
+            this.fileReporter(findings, CODEOWNERS_LOCATIONS[0])('codeowners-missing', null, 'No CODEOWNERS file, so no change requires an owner\'s review');
+        } else {
+            const text = context.read(codeowners) || '';
+            this.checkCodeowners(text, this.fileReporter(findings, codeowners, text.split(/\r?\n/)));
+        }
+
+        const settings = context.has(SETTINGS_FILE) ? context.read(SETTINGS_FILE) || '' : null;
+        const report = this.fileReporter(findings, SETTINGS_FILE, settings ? settings.split(/\r?\n/) : null);
+        if (settings === null) {
+            report('branch-protection-missing', null, 'Branch protection is not kept as code, so it cannot be verified', null, 'medium');
+        } else {
+            this.checkBranchProtection(settings, report);
+        }
+
+        return findings;
+    }
+
+    checkIngresses(lines, report) {
+        // One YAML document per `---`
+        const documents = [];
+        let start = 0;
+        lines.forEach((line, index) => {
+            if (/^---/.test(line)) {
+                documents.push({ start, lines: lines.slice(start, index) });
+                start = index + 1;
+            }
+        });
+        documents.push({ start, lines: lines.slice(start) });
+
+        documents.forEach(doc => {
+            const kindIndex = doc.lines.findIndex(line => /^kind:\s*Ingress\s*$/.test(line));
+            if (kindIndex === -1) return;
+            const lineNo = doc.start + kindIndex + 1;
+
+            let manifest = null;
+            try {
+                manifest = yaml.safeLoad(doc.lines.join('\n'));
+            } catch (error) {
+                // Helm templates are not YAML until rendered; fall back to the text
+            }
+            const name = manifest && manifest.metadata && manifest.metadata.name;
+            const hasTls = manifest && manifest.spec
+                ? Array.isArray(manifest.spec.tls) && manifest.spec.tls.length > 0
+                : doc.lines.some(line => /^\s+tls:/.test(line));
+            if (!hasTls) {
+                report('tls-ingress-missing', lineNo, `Ingress${name ? ` ${name}` : ''} serves its hosts over plain HTTP (no spec.tls)`);
+            }
+
+            doc.lines.forEach((line, index) => {
+                if (/(ssl-redirect|force-ssl-redirect|force-https)["']?\s*:\s*["']?false\b/.test(line)) {
+                    report('tls-redirect-disabled', doc.start + index + 1, `${line.trim().split(':')[0]} is "false"`, line.trim());
+                }
+            });
+        });
+    }
+
+    checkDockerfile(lines, report) {
+        lines.forEach((line, index) => {
+            const instruction = line.trim();
+            if (/^(ADD|RUN)\s/i.test(instruction) && /\bhttp:\/\/(?!localhost|127\.0\.0\.1)/.test(instruction) &&
+                (/^ADD\s/i.test(instruction) || /\b(curl|wget)\b/.test(instruction))) {
+                report('tls-plain-http-download', index + 1, 'Build step downloads over plain HTTP', instruction.slice(0, 120));
+            }
+        });
+    }
+
+    checkNginx(lines, report) {
+        const stack = [];
+
+        lines.forEach((rawLine, index) => {
+            const lineNo = index + 1;
+            const line = rawLine.replace(/(^|\s)#.*$/, '');
+
+            for (const token of line.match(/[^;{}]+[;{]|}/g) || []) {
+                if (token === '}') {
+                    const block = stack.pop();
+                    if (block && block.name === 'server') this.checkNginxServer(block, report);
+                    continue;
+                }
+
+                const statement = token.slice(0, -1).trim();
+                const [name, ...args] = statement.split(/\s+/);
+                if (token.endsWith('{')) {
+                    stack.push({ name, line: lineNo, directives: [] });
+                    continue;
+                }
+
+                const directive = { name, args: args.join(' '), line: lineNo };
+                const server = [...stack].reverse().find(block => block.name === 'server');
+                if (server) server.directives.push(directive);
+
+                if (name === 'ssl_protocols') {
+                    const weak = [...directive.args.matchAll(WEAK_PROTOCOLS)].map(match => match[1]);
+                    if (weak.length) report('tls-weak-protocol', lineNo, `ssl_protocols allows ${weak.join(', ')}`, statement);
+                } else if (name === 'ssl_ciphers') {
+                    const weak = [...directive.args.replace(/["']/g, '').matchAll(WEAK_CIPHERS)].map(match => match[2]);
+                    if (weak.length) report('tls-weak-cipher', lineNo, `ssl_ciphers allows ${weak.slice(0, 3).join(', ')}`, statement.slice(0, 120));
+                }
+            }
+        });
+    }
+
+    checkNginxServer(server, report) {
+        const listens = server.directives.filter(d => d.name === 'listen').map(d => d.args);
+        // A server without listen serves port 80
+        const plain = listens.length === 0 || listens.some(args => !/\b(ssl|quic)\b/.test(args) && !/(^|:)443\b/.test(args));
+        const redirects = server.directives.some(d =>
+            (d.name === 'return' && /^30[1278]\s+["']?https:\/\//.test(d.args)) ||
+            (d.name === 'rewrite' && /\shttps:\/\//.test(` ${d.args}`))
+        );
+        const serverName = (server.directives.find(d => d.name === 'server_name') || {}).args;
+
+        if (plain && !redirects) {
+            report('tls-plain-http-listener', server.line, `server${serverName ? ` ${serverName}` : ''} answers plain HTTP without redirecting to HTTPS`);
+        }
+    }
+
+    checkCodeowners(text, report) {
+        let catchAll = false;
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            const entry = line.replace(/(^|\s)#.*$/, '').trim();
+            if (!entry) return;
+
+            const [pattern, ...owners] = entry.split(/\s+/);
+            if (['*', '/*', '**', '/**', '/'].includes(pattern)) catchAll = owners.length > 0;
+
+            const invalid = owners.filter(owner => !/^@[\w.-]+(\/[\w.-]+)?$/.test(owner) && !/^[^@\s]+@[^@\s]+\.\w+$/.test(owner));
+            if (owners.length === 0) {
+                report('codeowners-unowned', index + 1, `${pattern} has no owners`, entry);
+            } else if (invalid.length) {
+                report('codeowners-unowned', index + 1, `${pattern} names invalid owners: ${invalid.join(', ')}`, entry);
+            }
+        });
+
+        if (!catchAll) report('codeowners-unowned', null, 'No `*` rule: files outside the listed patterns have no code owner');
+    }
+
+    checkBranchProtection(text, report) {
+        let settings;
+        try {
+            settings = yaml.safeLoad(text) || {};
+        } catch (error) {
+            report('branch-protection-missing', error.mark ? error.mark.line + 1 : null, `Invalid YAML: ${error.reason || error.message}`);
+            return;
+        }
+
+        const lines = text.split(/\r?\n/);
+        const branches = Array.isArray(settings.branches) ? settings.branches : [];
+        const defaultBranch = (settings.repository && settings.repository.default_branch) ||
+            (branches.some(b => b && b.name === 'master') && !branches.some(b => b && b.name === 'main') ? 'master' : 'main');
+        const entry = branches.find(b => b && b.name === defaultBranch);
+        const entryLine = this.lineOf(lines, new RegExp(`name:\\s*["']?${defaultBranch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}["']?\\s*$`));
+        const keyLine = key => this.lineOf(lines, new RegExp(`^\\s*${key}:`), entryLine) || entryLine;
+
+        if (!entry || !entry.protection) {
+            report('branch-protection-missing', entryLine, `${defaultBranch} has no protection rules`);
+            return;
+        }
+
+        const protection = entry.protection;
+        const reviews = protection.required_pull_request_reviews;
+        if (!reviews || !(reviews.required_approving_review_count >= 1)) {
+            report('branch-protection-reviews', keyLine('required_pull_request_reviews'), `${defaultBranch} can be merged without an approving review`);
+        }
+        const statusChecks = protection.required_status_checks;
+        if (!statusChecks || !((statusChecks.contexts || []).length || (statusChecks.checks || []).length)) {
+            report('branch-protection-status-checks', keyLine('required_status_checks'), `${defaultBranch} can be merged without passing status checks`);
+        }
+        if (protection.allow_force_pushes === true) {
+            report('branch-protection-force-push', keyLine('allow_force_pushes'), `Force pushes to ${defaultBranch} are allowed`);
+        }
+        if (protection.allow_deletions === true) {
+            report('branch-protection-force-push', keyLine('allow_deletions'), `${defaultBranch} can be deleted`);
+        }
+        if (protection.enforce_admins !== true) {
+            report('branch-protection-admins', keyLine('enforce_admins'), `Administrators can bypass the protection of ${defaultBranch}`);
+        }
+    }
+
+    /**
+     * `report(checkId, line, message, evidence, severity)` for one file.
+     * Findings of a check beyond MAX_FINDINGS_PER_FILE are only counted.
+     */
+    fileReporter(findings, filePath, lines = null) {
+        const counts = {};
+        return (checkId, line, message, evidence = null, severity = null) => {
+            if (lines && line && (IGNORE_LINE.test(lines[line - 1]) || (line > 1 && IGNORE_NEXT_LINE.test(lines[line - 2])))) return;
+
+            const check = CHECKS[checkId];
+            counts[checkId] = (counts[checkId] || 0) + 1;
+            if (counts[checkId] > MAX_FINDINGS_PER_FILE) {
+                const last = findings.filter(f => f.checkId === checkId && f.file === filePath).pop();
+                last.omitted = counts[checkId] - MAX_FINDINGS_PER_FILE;
+                return;
+            }
+            findings.push({
+                checkId,
+                title: check.title,
+                severity: severity || check.severity,
+                file: filePath,
+                line,
+                message,
+                evidence,
+                remediation: check.remediation
+            });
+        };
+    }
+
+    lineOf(lines, pattern, fromLine = 1) {
+        for (let index = Math.max(fromLine - 1, 0); index < lines.length; index++) {
+            if (pattern.test(lines[index])) return index + 1;
+        }
+        return null;
+    }
+
+    shannonEntropy(value) {
+        const counts = {};
+        for (const char of value) counts[char] = (counts[char] || 0) + 1;
+        return Object.values(counts).reduce((sum, count) => {
+            const p = count / value.length;
+            return sum - p * Math.log2(p);
+        }, 0);
+    }
+
+    /**
+     * Random-looking tokens: base64-like strings mixing cases and digits, or long hex
+     * strings next to a secret-sounding name (plain hex is usually a hash or commit id)
+     */
+    isHighEntropy(token, namedSecret) {
+        // Subresource integrity hashes
+        if (PLACEHOLDER.test(token) || /^sha(256|384|512)-/.test(token)) return false;
+        const entropy = this.shannonEntropy(token);
+        if (/^[0-9a-f]+$/i.test(token)) return namedSecret && token.length >= 32 && entropy >= 3;
+        if (!/[a-z]/.test(token) || !/[A-Z]/.test(token) || !/\d/.test(token)) return false;
+        return entropy >= Math.min(4.5, Math.log2(token.length) - 0.7);
+    }
+
+    luhnValid(digits) {
+        let sum = 0;
+        for (let index = 0; index < digits.length; index++) {
+            let digit = Number(digits[digits.length - 1 - index]);
+            if (index % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    cardBrand(digits) {
+        const { length } = digits;
+        const prefix = Number(digits.slice(0, 4));
+        if (digits[0] === '4' && [13, 16, 19].includes(length)) return 'Visa';
+        if (length === 16 && ((prefix >= 5100 && prefix <= 5599) || (prefix >= 2221 && prefix <= 2720))) return 'Mastercard';
+        if (length === 15 && /^3[47]/.test(digits)) return 'American Express';
+        if (length >= 16 && (/^6011|^65/.test(digits) || (prefix >= 6440 && prefix <= 6499))) return 'Discover';
+        if (length >= 16 && prefix >= 3528 && prefix <= 3589) return 'JCB';
+        return null;
+    }
+
+    githubTokenKind(token) {
+        const kinds = { ghp: 'personal access token', gho: 'OAuth token', ghu: 'user-to-server token', ghs: 'server-to-server token', ghr: 'refresh token' };
+        return token.startsWith('github_pat_') ? 'fine-grained personal access token' : kinds[token.slice(0, 3)];
+    }
+
+    redact(value) {
+        return `${value.slice(0, 4)}${'*'.repeat(Math.min(Math.max(value.length - 4, 4), 12))}`;
+    }
+
+    redactEmail(email) {
+        const [local, domain] = email.split('@');
+        return `${local[0]}***@${domain}`;
+    }
+
+    sortFindings(findings) {
+        return findings.sort((a, b) =>
+            SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+            a.file.localeCompare(b.file) ||
+            (a.line || 0) - (b.line || 0)
+        );
+    }
+}
+
+module.exports = new ComplianceScannerService();
+module.exports.CHECKS = CHECKS;
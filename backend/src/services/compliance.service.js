@@ -2,36 +2,38 @@
  * XAYTHEON - Automated Compliance & Governance Service
  * 
  * This service implements the logic for auditing repository changes against
- * international compliance standards (SOC2, GDPR, HIPAA, etc.).
+ * international compliance standards (SOC2, GDPR, HIPAA, ISO 27001, PCI DSS),
+ * and keeps the manual attestations that evidence controls no scanner can check.
  * It performs static analysis on codebase state, configuration files, 
  * and access patterns to identify governance violations.
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const scanner = require('./compliance-scanner.service');
+const frameworkPacks = require('./compliance-frameworks.service');
+const attestationModel = require('../models/compliance-attestation.model');
+
+const SEVERITY_PENALTY = { critical: 15, high: 8, medium: 3, low: 1 };
+const MAX_PENALTIES_PER_CHECK = 3;
+const MAX_EVIDENCE_FILES = 10;
+const MAX_EVIDENCE_BYTES = 10 * 1024 * 1024;
+const BASE64 = /^[A-Za-z0-9+/\s]*={0,2}\s*$/;
+const DATA_URL = /^data:([\w.+-]+\/[\w.+-]+)?(;[\w-]+=[^;,]*)*;base64,/;
+
+class ComplianceError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ComplianceError';
+        this.statusCode = statusCode;
+    }
+}
 
 class ComplianceService {
     constructor() {
-        // Definitions for common compliance frameworks
-        this.frameworks = {
-            SOC2: {
-                name: 'SOC2 Type II',
-                controls: [
-                    { id: 'CC1.1', name: 'Security & Integrity', description: 'Code must be reviewed before merge.' },
-                    { id: 'CC6.1', name: 'Access Control', description: 'Restrict access to production environments.' },
-                    { id: 'CC6.7', name: 'Change Management', description: 'Maintain audit logs for all configuration changes.' },
-                    { id: 'CC7.1', name: 'System Monitoring', description: 'Monitor for unauthorized changes to critical data.' }
-                ]
-            },
-            GDPR: {
-                name: 'GDPR (General Data Protection Regulation)',
-                controls: [
-                    { id: 'Art. 25', name: 'Data Protection by Design', description: 'Technical and organizational measures for data protection.' },
-                    { id: 'Art. 32', name: 'Security of Processing', description: 'Encryption of personal data and system resilience.' },
-                    { id: 'Art. 30', name: 'Records of Processing', description: 'Maintain detailed records of data handling operations.' }
-                ]
-            }
-        };
+        // Framework packs (SOC2, GDPR, HIPAA, ISO 27001, PCI DSS and COMPLIANCE_FRAMEWORKS_DIR)
+        this.frameworkPacks = frameworkPacks;
 
         // Cache for audit results
         this.auditHistory = [];
@@ -39,53 +41,68 @@ class ComplianceService {
 
     /**
      * Run a comprehensive compliance audit on a repository
-     * @param {string} repoPath - Local path to the repository
+     * @param {string} repoPath - Checkout to audit, relative to AUDIT_REPOS_DIR (default: the working directory)
      * @param {Array} frameworks - Frameworks to audit against (e.g., ['SOC2', 'GDPR'])
      * @returns {Object} Comprehensive audit report
      */
     async performAudit(repoPath, frameworks = ['SOC2', 'GDPR']) {
-        console.log(`🛡️  Starting Compliance Audit for: ${repoPath}`);
+        const targetFrameworks = this.resolveFrameworks(frameworks);
+        const root = this.resolveRepoPath(repoPath);
+        console.log(`🛡️  Starting Compliance Audit for: ${root}`);
         const startTime = Date.now();
 
-        let violations = [];
-        let score = 100;
+        // One walk of the checkout, shared by every scanner
+        const context = await scanner.createContext(root);
 
         // 1. Scan for Sensitive Data Leaks (GDPR)
-        const piiScan = await this.scanForPII(repoPath);
-        violations = [...violations, ...piiScan];
+        const piiScan = await this.scanForPII(repoPath, context);
 
         // 2. Encrypting Check (GDPR/SOC2)
-        const encryptionCheck = await this.checkEncryptionSettings(repoPath);
-        violations = [...violations, ...encryptionCheck];
+        const encryptionCheck = await this.checkEncryptionSettings(repoPath, context);
 
         // 3. Access Control Audit (SOC2)
         const accessCheck = await this.auditAccessControls(repoPath);
-        violations = [...violations, ...accessCheck];
 
         // 4. Change Management Check (SOC2)
-        const changeCheck = await this.auditChangeManagement(repoPath);
-        violations = [...violations, ...changeCheck];
+        const changeCheck = await this.auditChangeManagement(repoPath, context);
 
-        // Calculate final score based on violations
-        violations.forEach(v => {
-            if (v.severity === 'critical') score -= 15;
-            else if (v.severity === 'high') score -= 8;
-            else score -= 3;
-        });
+        const violations = scanner.sortFindings([...piiScan, ...encryptionCheck, ...accessCheck, ...changeCheck])
+            .map(finding => this.forFrameworks(finding, targetFrameworks))
+            .filter(Boolean);
+
+        // Checks evidencing at least one control of the target frameworks
+        const checks = Object.entries(scanner.checks)
+            .map(([checkId, check]) => ({ checkId, check, controls: frameworkPacks.controlsForCheck(checkId, targetFrameworks) }))
+            .filter(({ controls }) => controls.length > 0)
+            .map(({ checkId, check, controls }) => {
+                const findings = violations.filter(v => v.checkId === checkId);
+                return {
+                    checkId,
+                    title: check.title,
+                    controls,
+                    status: findings.length ? 'failed' : 'passed',
+                    findings: findings.length
+                };
+            });
+
+        const score = this.calculateScore(violations);
+        const failedChecks = checks.filter(check => check.status === 'failed').length;
 
         const report = {
             auditId: `AUD-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
             timestamp: new Date().toISOString(),
             duration: `${Date.now() - startTime}ms`,
             repoPath,
-            targetFrameworks: frameworks,
-            overallScore: Math.max(0, score),
+            targetFrameworks,
+            overallScore: score,
             status: score > 80 ? 'compliant' : score > 50 ? 'warning' : 'non-compliant',
             statistics: {
-                totalChecks: 24,
-                passedChecks: 24 - violations.length,
-                failedChecks: violations.length,
+                totalChecks: checks.length,
+                passedChecks: checks.length - failedChecks,
+                failedChecks,
+                filesScanned: context.files.length
             },
+            checks,
             violations
         };
 
@@ -94,40 +111,75 @@ class ComplianceService {
     }
 
     /**
-     * MOCK: Scans for PII (Personally Identifiable Information) patterns
+     * Deduct per finding by severity; a check costs at most three findings' worth,
+     * so one noisy check cannot zero the score on its own
      */
-    async scanForPII(repoPath) {
-        // In a real implementation, this would use regex patterns for emails, 
-        // credit cards, and social security numbers across the codebase.
-        const mockViolations = [
-            {
-                framework: 'GDPR',
-                control: 'Art. 32',
-                severity: 'high',
-                file: 'src/mock/users.json',
-                message: 'Plaintext email addresses found in test fixtures.',
-                remediation: 'Anonymize personal data in non-production environments.'
-            }
-        ];
-        return Math.random() > 0.5 ? mockViolations : [];
+    calculateScore(violations) {
+        const perCheck = {};
+        violations.forEach(v => {
+            perCheck[v.checkId] = perCheck[v.checkId] || [];
+            perCheck[v.checkId].push(SEVERITY_PENALTY[v.severity] || SEVERITY_PENALTY.low);
+        });
+
+        const penalty = Object.values(perCheck).reduce((sum, penalties) =>
+            sum + penalties.sort((a, b) => b - a).slice(0, MAX_PENALTIES_PER_CHECK).reduce((a, b) => a + b, 0), 0);
+        return Math.max(0, 100 - penalty);
     }
 
     /**
-     * MOCK: Checks for encryption in transit and rest
+     * A finding with the controls of the audited frameworks its check evidences (null when
+     * it has none); `framework` / `control` name the first of them
      */
-    async checkEncryptionSettings(repoPath) {
-        // Checking for HTTPS enforcement, env var encryption, etc.
-        const mockViolations = [
-            {
-                framework: 'SOC2',
-                control: 'CC6.7',
-                severity: 'critical',
-                file: 'kubernetes/ingress.yaml',
-                message: 'TLS termination is disabled for internal services.',
-                remediation: 'Enable cert-manager and enforce HTTPS.'
-            }
-        ];
-        return Math.random() > 0.7 ? mockViolations : [];
+    forFrameworks(finding, targetFrameworks) {
+        const controls = frameworkPacks.controlsForCheck(finding.checkId, targetFrameworks);
+        if (controls.length === 0) return null;
+        return { ...finding, framework: controls[0].framework, control: controls[0].control, controls };
+    }
+
+    resolveFrameworks(frameworks) {
+        const requested = Array.isArray(frameworks) && frameworks.length ? frameworks : ['SOC2', 'GDPR'];
+        const unknown = requested.filter(name => !frameworkPacks.has(name));
+        if (unknown.length) {
+            const available = frameworkPacks.listFrameworks().map(framework => framework.id);
+            throw new ComplianceError(`Unknown framework(s): ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+        }
+        return [...new Set(requested)];
+    }
+
+    /**
+     * Audited checkouts must live under AUDIT_REPOS_DIR (default: the working directory)
+     */
+    resolveRepoPath(repoPath) {
+        const baseDir = path.resolve(process.env.AUDIT_REPOS_DIR || process.cwd());
+        const root = path.resolve(baseDir, String(repoPath));
+        if (root !== baseDir && !root.startsWith(`${baseDir}${path.sep}`)) {
+            throw new ComplianceError(`repoPath must be inside ${process.env.AUDIT_REPOS_DIR ? 'AUDIT_REPOS_DIR' : 'the server working directory'}`, 403);
+        }
+
+        let stat = null;
+        try {
+            stat = fs.statSync(root);
+        } catch (error) {
+            // reported below
+        }
+        if (!stat || !stat.isDirectory()) throw new ComplianceError(`Repository path ${repoPath} not found`, 404);
+        return root;
+    }
+
+    /**
+     * Scans for PII (emails, card numbers) and committed credentials
+     * (AWS keys, GitHub tokens, private keys, high-entropy strings)
+     */
+    async scanForPII(repoPath, context = null) {
+        return scanner.scanSecrets(context || await scanner.createContext(this.resolveRepoPath(repoPath)));
+    }
+
+    /**
+     * Checks for encryption in transit: Ingress TLS, nginx listeners and protocols,
+     * plain HTTP downloads in Dockerfiles, disabled certificate verification
+     */
+    async checkEncryptionSettings(repoPath, context = null) {
+        return scanner.scanTransportSecurity(context || await scanner.createContext(this.resolveRepoPath(repoPath)));
     }
 
     /**
@@ -138,27 +190,196 @@ class ComplianceService {
     }
 
     /**
-     * MOCK: Checks for branch protection and PR reviews
+     * Checks CODEOWNERS and the default branch's protection in .github/settings.yml
      */
-    async auditChangeManagement(repoPath) {
-        const mockViolations = [
-            {
-                framework: 'SOC2',
-                control: 'CC1.1',
-                severity: 'medium',
-                file: '.github/workflows/main.yml',
-                message: 'Branch protection missing for production-ready branch.',
-                remediation: 'Configure GitHub branch protection to require at least 1 review.'
-            }
-        ];
-        return Math.random() > 0.4 ? mockViolations : [];
+    async auditChangeManagement(repoPath, context = null) {
+        return scanner.scanChangeManagement(context || await scanner.createContext(this.resolveRepoPath(repoPath)));
     }
 
     /**
      * Retrieve list of all compliance frameworks and their controls
      */
     getFrameworks() {
-        return this.frameworks;
+        const frameworks = {};
+        frameworkPacks.listFrameworks().forEach(framework => {
+            frameworks[framework.id] = {
+                name: framework.name,
+                version: framework.version,
+                controls: framework.controls.map(control => ({
+                    id: control.id,
+                    name: control.name,
+                    description: control.description,
+                    checks: frameworkPacks.checksFor(framework.id, control.id),
+                    evidence: control.evidence,
+                    mappedTo: frameworkPacks.mappedControls(framework.id, control.id)
+                }))
+            };
+        });
+        return frameworks;
+    }
+
+    /**
+     * Frameworks with the status of every control:
+     *   - failed: a check evidencing it has findings
+     *   - needs-evidence: it lists required evidence and has no active attestation
+     *   - satisfied: its checks passed, or it is attested
+     *   - not-assessed: nothing ran and nothing was attested
+     * Checks come from the given audit, else the latest audit (of repoPath, when given) that
+     * targeted the framework; attestations of a mapped control count as well.
+     * @param {Object} options - { repoPath, auditId }
+     */
+    async getFrameworkCoverage({ repoPath = null, auditId = null } = {}) {
+        let audits;
+        if (auditId) {
+            const audit = this.auditHistory.find(a => a.auditId === auditId);
+            if (!audit) throw new ComplianceError(`Audit with ID ${auditId} not found in historical records.`, 404);
+            audits = [audit];
+            repoPath = audit.repoPath;
+        } else {
+            audits = this.auditHistory.filter(a => !repoPath || a.repoPath === repoPath).reverse();
+        }
+
+        const attestations = await attestationModel.listAttestations({ repoPath, active: true });
+        const attestationsOf = (frameworkId, controlId) =>
+            attestations.filter(a => a.framework === frameworkId && a.controlId === controlId);
+
+        const frameworks = this.getFrameworks();
+        Object.entries(frameworks).forEach(([frameworkId, framework]) => {
+            const audit = audits.find(a => a.targetFrameworks.includes(frameworkId)) || null;
+            const summary = { total: framework.controls.length, satisfied: 0, failed: 0, needsEvidence: 0, notAssessed: 0 };
+
+            framework.controls = framework.controls.map(control => {
+                const checks = control.checks.map(checkId => {
+                    const result = audit && audit.checks.find(c => c.checkId === checkId);
+                    return { checkId, status: result ? result.status : 'not-run', findings: result ? result.findings : 0 };
+                });
+                const automated = checks.length === 0 || checks.every(c => c.status === 'not-run')
+                    ? null
+                    : checks.some(c => c.status === 'failed') ? 'failed' : 'passed';
+
+                const own = attestationsOf(frameworkId, control.id);
+                const via = control.mappedTo.flatMap(ref => attestationsOf(ref.framework, ref.control)
+                    .map(a => ({ ...a, attestedVia: { framework: ref.framework, control: ref.control } })));
+                const attested = [...own, ...via];
+
+                let status = 'not-assessed';
+                if (automated === 'failed') status = 'failed';
+                else if (control.evidence.length && attested.length === 0) status = 'needs-evidence';
+                else if (automated === 'passed' || attested.length) status = 'satisfied';
+
+                summary[{ satisfied: 'satisfied', failed: 'failed', 'needs-evidence': 'needsEvidence', 'not-assessed': 'notAssessed' }[status]]++;
+                return {
+                    ...control,
+                    status,
+                    checks,
+                    attestations: attested.map(a => ({
+                        id: a.id,
+                        framework: a.framework,
+                        controlId: a.controlId,
+                        attestedAt: a.attestedAt,
+                        expiresAt: a.expiresAt,
+                        evidence: a.evidence.length,
+                        attestedVia: a.attestedVia || null
+                    }))
+                };
+            });
+
+            framework.audit = audit ? { auditId: audit.auditId, timestamp: audit.timestamp, repoPath: audit.repoPath } : null;
+            framework.coverage = { ...summary, pct: Math.round((summary.satisfied / summary.total) * 100) };
+        });
+        return frameworks;
+    }
+
+    /**
+     * Record a manual attestation of a control, with its evidence files
+     * @param {Object} input - { framework, controlId, repoPath?, statement, expiresAt?,
+     *   evidence: [{ filename, contentType?, data (base64) }] }; evidence is required
+     *   when the control lists required evidence
+     * @param {number|null} userId - The attesting user
+     */
+    async attestControl(input = {}, userId = null) {
+        const { framework, controlId, repoPath = null, statement, expiresAt = null } = input;
+        if (!frameworkPacks.has(framework)) throw new ComplianceError(`Unknown framework: ${framework}`);
+        const control = frameworkPacks.getControl(framework, controlId);
+        if (!control) throw new ComplianceError(`Framework ${framework} has no control ${controlId}`, 404);
+        if (typeof statement !== 'string' || !statement.trim()) {
+            throw new ComplianceError('statement is required: describe how the control is met');
+        }
+
+        let expires = null;
+        if (expiresAt) {
+            expires = Date.parse(expiresAt);
+            if (Number.isNaN(expires)) throw new ComplianceError('expiresAt must be an ISO 8601 date');
+            if (expires <= Date.now()) throw new ComplianceError('expiresAt must be in the future');
+        }
+
+        const files = input.evidence === undefined || input.evidence === null ? [] : input.evidence;
+        if (!Array.isArray(files)) throw new ComplianceError('evidence must be a list of files');
+        if (files.length > MAX_EVIDENCE_FILES) throw new ComplianceError(`At most ${MAX_EVIDENCE_FILES} evidence files per attestation`);
+        if (control.evidence.length && files.length === 0) {
+            throw new ComplianceError(`${framework} ${controlId} requires evidence: ${control.evidence.join('; ')}`);
+        }
+
+        const evidence = files.map((file, index) => {
+            // FileReader.readAsDataURL output is accepted as is
+            const dataUrl = file && typeof file.data === 'string' && DATA_URL.exec(file.data);
+            const data = dataUrl ? file.data.slice(dataUrl[0].length) : file && file.data;
+            if (typeof data !== 'string' || !BASE64.test(data)) {
+                throw new ComplianceError(`Evidence #${index + 1} needs base64 data`);
+            }
+            const content = Buffer.from(data, 'base64');
+            if (content.length === 0) throw new ComplianceError(`Evidence #${index + 1} is empty`);
+            if (content.length > MAX_EVIDENCE_BYTES) {
+                throw new ComplianceError(`Evidence #${index + 1} is larger than ${MAX_EVIDENCE_BYTES / (1024 * 1024)}MB`, 413);
+            }
+            const filename = path.basename(String(file.filename || `evidence-${index + 1}`).replace(/\\/g, '/')).slice(0, 255);
+            return {
+                filename: filename || `evidence-${index + 1}`,
+                contentType: this.evidenceContentType(file.contentType || (dataUrl && dataUrl[1])),
+                sha256: crypto.createHash('sha256').update(content).digest('hex'),
+                content
+            };
+        });
+
+        return attestationModel.insertAttestation({
+            framework,
+            controlId,
+            repoPath,
+            statement: statement.trim(),
+            attestedBy: userId,
+            expiresAt: expires,
+            evidence
+        });
+    }
+
+    evidenceContentType(contentType) {
+        return typeof contentType === 'string' && /^[\w.+-]+\/[\w.+-]+$/.test(contentType)
+            ? contentType.toLowerCase()
+            : 'application/octet-stream';
+    }
+
+    /**
+     * Attestations, newest first; revoked and expired ones only with includeInactive
+     */
+    async listAttestations({ framework, controlId, repoPath, includeInactive = false } = {}) {
+        return attestationModel.listAttestations({ framework, controlId, repoPath, active: !includeInactive });
+    }
+
+    async revokeAttestation(id, userId = null) {
+        const attestation = await attestationModel.getAttestation(id);
+        if (!attestation) throw new ComplianceError(`Attestation ${id} not found`, 404);
+        if (attestation.revokedAt) throw new ComplianceError(`Attestation ${id} is already revoked`, 409);
+        await attestationModel.revokeAttestation(id, userId);
+        return attestationModel.getAttestation(id);
+    }
+
+    /**
+     * An evidence file with its content
+     */
+    async getEvidence(attestationId, evidenceId) {
+        const evidence = await attestationModel.getEvidence(attestationId, evidenceId);
+        if (!evidence) throw new ComplianceError(`Evidence ${evidenceId} of attestation ${attestationId} not found`, 404);
+        return evidence;
     }
 
     /**
@@ -170,3 +391,4 @@ class ComplianceService {
 }
 
 module.exports = new ComplianceService();
+module.exports.ComplianceError = ComplianceError;
@@ -1,8 +1,99 @@
 /**
  * Coverage Mapper Service
- * Maps files and branches to 3D logic tree coordinates.
+ * Maps coverage report branch outcomes onto AST branch points, and files and
+ * branches to 3D logic tree coordinates.
  */
 class CoverageMapperService {
+    /**
+     * Attach coverage to branch points (TestGenService.extractBranches).
+     * istanbul branches are matched by type and position; lcov BRDA blocks by line, in
+     * source order, when a line's blocks and branch points agree; otherwise a branch
+     * point gets the outcome of its whole line (Cobertura only records that).
+     * @param {Array} branches - branch points with `arms`
+     * @param {Object|null} coverage - FileCoverage ({ lineHits, branchDetails }) of the file
+     * @returns {Array} branches with `status` (tested | partial | untested | unknown),
+     *   `arms[].covered`, `uncoveredArms` and `mappedBy`
+     */
+    mapBranchCoverage(branches, coverage) {
+        const details = (coverage && coverage.branchDetails) || [];
+        const lineHits = (coverage && coverage.lineHits) || null;
+
+        const byPosition = new Map();
+        const byLine = new Map();
+        details.forEach(detail => {
+            if (detail.type && detail.column !== undefined) {
+                const key = `${detail.type}:${detail.line}:${detail.column}`;
+                if (!byPosition.has(key)) byPosition.set(key, []);
+                byPosition.get(key)[detail.branch] = detail.taken;
+            }
+            if (!byLine.has(detail.line)) byLine.set(detail.line, new Map());
+            const blocks = byLine.get(detail.line);
+            if (!blocks.has(detail.block)) blocks.set(detail.block, []);
+            blocks.get(detail.block)[detail.branch] = detail.taken;
+        });
+
+        const pointsByLine = new Map();
+        branches.forEach(branch => {
+            if (!pointsByLine.has(branch.line)) pointsByLine.set(branch.line, []);
+            pointsByLine.get(branch.line).push(branch);
+        });
+
+        return branches.map(branch => {
+            const exact = byPosition.get(branch.id);
+            if (exact && exact.length === branch.arms.length) return this.withCoverage(branch, exact, 'location');
+
+            const blocks = byLine.get(branch.line);
+            if (blocks) {
+                const points = pointsByLine.get(branch.line);
+                const counts = [...blocks.entries()]
+                    .filter(([block]) => block !== null)
+                    .sort(([a], [b]) => a - b)
+                    .map(([, taken]) => taken);
+                const aligned = counts.length === points.length && counts.length === blocks.size &&
+                    points.every((point, index) => counts[index].length === point.arms.length);
+                if (aligned) return this.withCoverage(branch, counts[points.indexOf(branch)], 'line-order');
+
+                const taken = [...blocks.values()].flat();
+                const hit = taken.filter(count => count > 0).length;
+                if (hit === taken.length) return this.withCoverage(branch, branch.arms.map(() => 1), 'line');
+                if (hit === 0) return this.withCoverage(branch, branch.arms.map(() => 0), 'line');
+                return this.withCoverage(branch, branch.arms.map(() => null), 'line');
+            }
+
+            // No branch record: a line that never ran took none of its branches
+            if (lineHits && lineHits[branch.line] === 0) {
+                return this.withCoverage(branch, branch.arms.map(() => 0), 'line-hits');
+            }
+            return this.withCoverage(branch, branch.arms.map(() => null), null);
+        });
+    }
+
+    withCoverage(branch, counts, mappedBy) {
+        const arms = branch.arms.map((arm, index) => {
+            const hits = counts[index] === undefined ? null : counts[index];
+            return { ...arm, hits, covered: hits === null ? null : hits > 0 };
+        });
+
+        const known = arms.filter(arm => arm.covered !== null);
+        let status = 'unknown';
+        if (known.length && known.length < arms.length) status = 'partial';
+        else if (known.length) {
+            const covered = known.filter(arm => arm.covered).length;
+            status = covered === arms.length ? 'tested' : covered === 0 ? 'untested' : 'partial';
+        } else if (mappedBy === 'line') {
+            // Some of the line's branches ran, which of them is not recorded
+            status = 'partial';
+        }
+
+        return {
+            ...branch,
+            arms,
+            status,
+            uncoveredArms: arms.filter(arm => arm.covered === false).map(arm => arm.label),
+            mappedBy
+        };
+    }
+
     /**
      * Generates a 3D Logic Tree for a specific file.
      */
@@ -24,7 +115,7 @@ class CoverageMapperService {
                 x: Math.cos(angle) * radius,
                 z: Math.sin(angle) * radius,
                 y: (index + 1) * 20,
-                status: branch.status, // tested (green) or untested (red)
+                status: branch.status, // tested (green), partial (amber), untested (red) or unknown (grey)
                 metadata: branch
             });
         });
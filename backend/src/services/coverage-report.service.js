@@ -0,0 +1,360 @@
+/**
+ * Coverage Report Service
+ * Parses test coverage reports into one per-file shape:
+ *   lcov (`lcov.info`), istanbul `coverage-final.json`, istanbul `coverage-summary.json`
+ *   and Cobertura XML (`cobertura-coverage.xml`, coverage.py's `coverage.xml`).
+ *
+ * Every file entry holds `{ lines, functions, branches }` counters ({ found, hit });
+ * reports that carry detail also keep per-line hits and per-branch outcomes.
+ * Cobertura only records how many of a line's branches were taken, so its branch
+ * outcomes have `block: null` and cannot be told apart within the line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Looked up in this order inside a checkout
+const REPORT_CANDIDATES = [
+    'coverage/lcov.info',
+    'coverage/coverage-final.json',
+    'coverage/coverage-summary.json',
+    'coverage/cobertura-coverage.xml',
+    'lcov.info',
+    'coverage-final.json',
+    'coverage-summary.json',
+    'cobertura-coverage.xml',
+    'coverage.xml'
+];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class CoverageReportError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CoverageReportError';
+        this.statusCode = statusCode;
+    }
+}
+
+const counter = () => ({ found: 0, hit: 0 });
+
+class CoverageReportService {
+    /**
+     * Parse a report, detecting its format unless one is given.
+     * @param {string|Object} report - report text, or an already parsed istanbul JSON object
+     * @param {string} format - 'lcov' | 'istanbul' | 'istanbul-summary' | 'cobertura'
+     * @returns {Object} { format, files: { [path]: FileCoverage }, totals }
+     */
+    parse(report, format = null) {
+        let data = report;
+        if (Buffer.isBuffer(data)) data = data.toString('utf8');
+        const isText = format ? format === 'lcov' || format === 'cobertura' : !String(data).trimStart().startsWith('{');
+        if (typeof data === 'string' && !isText) {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                throw new CoverageReportError(`Invalid coverage JSON: ${error.message}`);
+            }
+        }
+
+        const detected = format || this.detectFormat(data);
+        let files;
+        if (detected === 'lcov') files = this.parseLcov(String(data));
+        else if (detected === 'istanbul') files = this.parseIstanbul(data);
+        else if (detected === 'istanbul-summary') files = this.parseIstanbulSummary(data);
+        else if (detected === 'cobertura') files = this.parseCobertura(String(data));
+        else throw new CoverageReportError(`Unsupported coverage format: ${detected}`);
+
+        return { format: detected, files, totals: this.totals(files) };
+    }
+
+    detectFormat(data) {
+        if (typeof data === 'string') {
+            if (/^SF:/m.test(data)) return 'lcov';
+            if (/^\s*</.test(data) && /<coverage[\s>]/.test(data)) return 'cobertura';
+            throw new CoverageReportError('Unrecognised coverage report (expected lcov, Cobertura XML, coverage-final.json or coverage-summary.json)');
+        }
+        if (!data || typeof data !== 'object') throw new CoverageReportError('Invalid coverage report');
+
+        const entries = Object.values(data);
+        if (data.total && data.total.lines) return 'istanbul-summary';
+        if (entries.length === 0 || entries.some(entry => entry && entry.statementMap)) return 'istanbul';
+        throw new CoverageReportError('Unrecognised coverage JSON (expected coverage-final.json or coverage-summary.json)');
+    }
+
+    /**
+     * lcov tracefile: SF/FN/FNDA/DA/BRDA records closed by end_of_record
+     */
+    parseLcov(text) {
+        const files = {};
+        let current = null;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line) continue;
+            if (line === 'end_of_record') {
+                current = null;
+                continue;
+            }
+
+            const colon = line.indexOf(':');
+            const tag = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1);
+
+            if (tag === 'SF') {
+                current = this.fileEntry(files, value);
+                continue;
+            }
+            if (!current) continue;
+
+            if (tag === 'DA') {
+                const [lineNo, hits] = value.split(',');
+                current.lineHits[lineNo] = (current.lineHits[lineNo] || 0) + (parseInt(hits, 10) || 0);
+            } else if (tag === 'FN') {
+                const [lineNo, ...name] = value.split(',');
+                current.functionHits[name.join(',')] = current.functionHits[name.join(',')] || { line: parseInt(lineNo, 10), hits: 0 };
+            } else if (tag === 'FNDA') {
+                const [hits, ...name] = value.split(',');
+                const fn = current.functionHits[name.join(',')] || (current.functionHits[name.join(',')] = { line: null, hits: 0 });
+                fn.hits += parseInt(hits, 10) || 0;
+            } else if (tag === 'BRDA') {
+                const [lineNo, block, branch, taken] = value.split(',');
+                current.branchDetails.push({
+                    line: parseInt(lineNo, 10),
+                    block: parseInt(block, 10),
+                    branch: parseInt(branch, 10),
+                    taken: taken === '-' ? 0 : parseInt(taken, 10) || 0
+                });
+            }
+        }
+
+        return this.finishFiles(files);
+    }
+
+    /**
+     * istanbul coverage-final.json: statement/function/branch maps with hit counts
+     */
+    parseIstanbul(data) {
+        const files = {};
+
+        Object.entries(data).forEach(([key, fileCoverage]) => {
+            if (!fileCoverage || typeof fileCoverage !== 'object') return;
+            const entry = this.fileEntry(files, fileCoverage.path || key);
+
+            Object.entries(fileCoverage.statementMap || {}).forEach(([id, loc]) => {
+                const lineNo = loc.start.line;
+                const hits = (fileCoverage.s || {})[id] || 0;
+                entry.lineHits[lineNo] = Math.max(entry.lineHits[lineNo] || 0, hits);
+            });
+
+            Object.entries(fileCoverage.fnMap || {}).forEach(([id, fn]) => {
+                entry.functionHits[`${fn.name}#${id}`] = {
+                    line: (fn.decl || fn.loc).start.line,
+                    hits: (fileCoverage.f || {})[id] || 0
+                };
+            });
+
+            Object.entries(fileCoverage.branchMap || {}).forEach(([id, branch]) => {
+                const counts = (fileCoverage.b || {})[id] || [];
+                const { line, column } = (branch.loc || branch.locations[0]).start;
+                counts.forEach((taken, index) => {
+                    entry.branchDetails.push({ line, column, block: parseInt(id, 10), branch: index, taken, type: branch.type });
+                });
+            });
+        });
+
+        return this.finishFiles(files);
+    }
+
+    /**
+     * istanbul coverage-summary.json: counters only, no per-line detail
+     */
+    parseIstanbulSummary(data) {
+        const files = {};
+        const toCounter = metric => ({ found: metric ? metric.total : 0, hit: metric ? metric.covered : 0 });
+
+        Object.entries(data).forEach(([key, summary]) => {
+            if (key === 'total' || !summary) return;
+            files[this.normalizePath(key)] = {
+                lines: toCounter(summary.lines),
+                functions: toCounter(summary.functions),
+                branches: toCounter(summary.branches),
+                lineHits: null,
+                branchDetails: null
+            };
+        });
+
+        return files;
+    }
+
+    /**
+     * Cobertura XML: <class filename> elements holding <line number hits branch condition-coverage>.
+     * Filenames are relative to the first <source> directory. Lines under <methods> repeat the
+     * class lines and only name the functions.
+     */
+    parseCobertura(xml) {
+        const files = {};
+        const sourceMatch = xml.match(/<source>([^<]*)<\/source>/);
+        const sourceDir = sourceMatch ? this.decodeXml(sourceMatch[1]).trim().replace(/\\/g, '/').replace(/\/$/, '') : '';
+        const tagPattern = /<(\/?)([\w:-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+        let current = null;
+        let method = null;
+        let sawCoverage = false;
+        let match;
+
+        while ((match = tagPattern.exec(xml)) !== null) {
+            const [, closing, tag, rawAttributes, selfClosing] = match;
+
+            if (closing) {
+                if (tag === 'class') current = null;
+                else if (tag === 'method') method = null;
+                continue;
+            }
+
+            const attributes = this.xmlAttributes(rawAttributes);
+            if (tag === 'coverage') {
+                sawCoverage = true;
+            } else if (tag === 'class' && attributes.filename !== undefined) {
+                const filename = attributes.filename.replace(/\\/g, '/');
+                const isAbsolute = filename.startsWith('/') || /^[a-zA-Z]:\//.test(filename);
+                current = this.fileEntry(files, sourceDir && !isAbsolute ? path.posix.normalize(`${sourceDir}/${filename}`) : filename);
+                if (selfClosing) current = null;
+            } else if (tag === 'method' && current) {
+                method = { line: null, hits: 0 };
+                current.functionHits[`${attributes.name}${attributes.signature || ''}#${Object.keys(current.functionHits).length}`] = method;
+                if (selfClosing) method = null;
+            } else if (tag === 'line' && current) {
+                const lineNo = parseInt(attributes.number, 10);
+                const hits = parseInt(attributes.hits, 10) || 0;
+                if (!lineNo) continue;
+
+                if (method) {
+                    if (method.line === null) method.line = lineNo;
+                    method.hits = Math.max(method.hits, hits);
+                    continue;
+                }
+
+                current.lineHits[lineNo] = (current.lineHits[lineNo] || 0) + hits;
+                const conditions = /\((\d+)\/(\d+)\)/.exec(attributes['condition-coverage'] || '');
+                if (attributes.branch === 'true' && conditions) {
+                    const [covered, total] = [parseInt(conditions[1], 10), parseInt(conditions[2], 10)];
+                    for (let index = 0; index < total; index++) {
+                        current.branchDetails.push({ line: lineNo, block: null, branch: index, taken: index < covered ? 1 : 0 });
+                    }
+                }
+            }
+        }
+
+        if (!sawCoverage) throw new CoverageReportError('Invalid Cobertura report: no <coverage> element');
+        return this.finishFiles(files);
+    }
+
+    xmlAttributes(raw) {
+        const attributes = {};
+        const attributePattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = attributePattern.exec(raw)) !== null) {
+            attributes[match[1]] = this.decodeXml(match[2] !== undefined ? match[2] : match[3]);
+        }
+        return attributes;
+    }
+
+    decodeXml(text) {
+        return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+        });
+    }
+
+    fileEntry(files, filePath) {
+        const key = this.normalizePath(filePath);
+        if (!files[key]) files[key] = { lineHits: {}, functionHits: {}, branchDetails: [] };
+        return files[key];
+    }
+
+    finishFiles(files) {
+        const finished = {};
+        Object.entries(files).forEach(([filePath, entry]) => {
+            const lineHits = Object.fromEntries(Object.entries(entry.lineHits).map(([line, hits]) => [Number(line), hits]));
+            const hits = Object.values(lineHits);
+            const functions = Object.values(entry.functionHits);
+            finished[filePath] = {
+                lines: { found: hits.length, hit: hits.filter(h => h > 0).length },
+                functions: { found: functions.length, hit: functions.filter(fn => fn.hits > 0).length },
+                branches: { found: entry.branchDetails.length, hit: entry.branchDetails.filter(b => b.taken > 0).length },
+                lineHits,
+                branchDetails: entry.branchDetails
+            };
+        });
+        return finished;
+    }
+
+    totals(files) {
+        const totals = { lines: counter(), functions: counter(), branches: counter() };
+        Object.values(files).forEach(file => {
+            Object.keys(totals).forEach(metric => {
+                totals[metric].found += file[metric].found;
+                totals[metric].hit += file[metric].hit;
+            });
+        });
+        Object.values(totals).forEach(metric => {
+            metric.pct = metric.found ? parseFloat(((metric.hit / metric.found) * 100).toFixed(2)) : null;
+        });
+        return totals;
+    }
+
+    normalizePath(filePath) {
+        return String(filePath).trim().replace(/\\/g, '/').replace(/^\.\//, '');
+    }
+
+    /**
+     * Re-key a parsed report to repository-relative paths.
+     * Paths under rootDir are made relative; others (reports produced on a CI runner)
+     * are matched to the repository file whose path they end with.
+     * @param {Object} report - parse() result
+     * @param {Array<string>} repoFiles - repository-relative posix paths
+     * @param {string} rootDir - checkout the report belongs to
+     * @returns {Object} report with `files` re-keyed and `unmatched` paths listed
+     */
+    forRepository(report, repoFiles, rootDir = null) {
+        const known = new Set(repoFiles);
+        const root = rootDir ? `${path.resolve(rootDir).replace(/\\/g, '/')}/` : null;
+        const files = {};
+        const unmatched = [];
+
+        Object.entries(report.files).forEach(([filePath, coverage]) => {
+            let relative = root && filePath.startsWith(root) ? filePath.slice(root.length) : filePath;
+            if (!known.has(relative)) {
+                relative = repoFiles
+                    .filter(file => relative.endsWith(`/${file}`))
+                    .sort((a, b) => b.length - a.length)[0];
+            }
+            if (relative) files[relative] = coverage;
+            else unmatched.push(filePath);
+        });
+
+        return { ...report, files, totals: this.totals(files), unmatched };
+    }
+
+    /**
+     * The first coverage report found in a checkout, or null
+     * @returns {Object|null} { path, text }
+     */
+    findReport(rootDir) {
+        for (const candidate of REPORT_CANDIDATES) {
+            const absolute = path.join(rootDir, candidate);
+            try {
+                if (fs.statSync(absolute).isFile()) return { path: candidate, text: fs.readFileSync(absolute, 'utf8') };
+            } catch (error) {
+                // not there, try the next one
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = new CoverageReportService();
+module.exports.CoverageReportError = CoverageReportError;
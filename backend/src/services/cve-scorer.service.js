@@ -4,6 +4,7 @@
  */
 
 const axios = require('axios');
+const vulnerabilityDb = require('./vulnerability-db.service');
 
 class CVEImpactScorer {
     constructor() {
@@ -35,7 +36,7 @@ class CVEImpactScorer {
         );
 
         return {
-            cve: cve.id || cve,
+            cve: typeof cve === 'string' ? cve : cve.id || cveData.id,
             compositeScore: Math.round(compositeScore * 10) / 10,
             breakdown: {
                 base: Math.round(baseScore * 10) / 10,
@@ -52,32 +53,45 @@ class CVEImpactScorer {
     }
 
     /**
-     * Fetch CVE data from national vulnerability database
+     * Fetch CVE data, preferring the local vulnerability mirror over OSV.dev.
+     * `cve` is an advisory id/alias, or { id?, ecosystem?, package, version } to match installed packages.
+     * Set VULN_DB_OFFLINE=true to never reach the network.
      */
     async fetchCVEData(cve) {
-        try {
-            const cveId = typeof cve === 'string' ? cve : cve.id;
-
-            // Try OSV.dev first (faster and more complete for npm)
-            const osvResponse = await axios.post(`${this.osvApiBase}/query`, {
-                version: '1',
-                commit: cveId
-            }, { timeout: 5000 });
+        const cveId = typeof cve === 'string' ? cve : cve?.id || cve?.cve;
 
-            if (osvResponse.data && osvResponse.data.vulns) {
-                return this.parseOSVData(osvResponse.data.vulns[0]);
+        try {
+            const local = cveId ? await vulnerabilityDb.getAdvisory(cveId) : null;
+            if (local) return this.fromAdvisory(local, 'local');
+
+            if (cve && cve.package && cve.version) {
+                const matches = await vulnerabilityDb.findVulnerabilities(cve.ecosystem || 'npm', cve.package, cve.version);
+                if (matches.length > 0) {
+                    matches.sort((a, b) => this.calculateBaseScore(b) - this.calculateBaseScore(a));
+                    return this.fromAdvisory(matches[0], 'local');
+                }
             }
+        } catch (error) {
+            console.error('Error reading local vulnerability database:', error.message);
+        }
 
-            // Fallback to NVD (requires API key in production)
-            // const nvdResponse = await axios.get(`${this.nvdApiBase}?cveId=${cveId}`);
-            // return this.parseNVDData(nvdResponse.data);
-
-            // If no data found, return defaults
+        if (!cveId || process.env.VULN_DB_OFFLINE === 'true') {
             return this.getDefaultCVEData(cveId);
+        }
+
+        // Fallback to NVD (requires API key in production)
+        // const nvdResponse = await axios.get(`${this.nvdApiBase}?cveId=${cveId}`);
+        // return this.parseNVDData(nvdResponse.data);
 
+        try {
+            // OSV.dev resolves GHSA, CVE and ecosystem-specific ids
+            const osvResponse = await axios.get(`${this.osvApiBase}/vulns/${encodeURIComponent(cveId)}`, { timeout: 5000 });
+            return this.parseOSVData(osvResponse.data);
         } catch (error) {
-            console.error('Error fetching CVE data:', error.message);
-            return this.getDefaultCVEData(cve);
+            if (error.response?.status !== 404) {
+                console.error('Error fetching CVE data:', error.message);
+            }
+            return this.getDefaultCVEData(cveId);
         }
     }
 
@@ -85,18 +99,30 @@ class CVEImpactScorer {
      * Parse OSV.dev data format
      */
     parseOSVData(data) {
-        if (!data) return this.getDefaultCVEData();
+        const advisory = vulnerabilityDb.normalize(data);
+        if (!advisory) return this.getDefaultCVEData(data?.id);
 
+        return this.fromAdvisory(advisory, 'osv');
+    }
+
+    /**
+     * CVE data from a normalized advisory (local mirror or OSV.dev)
+     */
+    fromAdvisory(advisory, source) {
         return {
-            id: data.id,
-            summary: data.summary || data.details,
-            severity: data.database_specific?.severity || 'MODERATE',
-            cvssScore: data.database_specific?.cvss_score || 5.0,
-            published: data.published,
-            modified: data.modified,
-            references: data.references || [],
-            affected: data.affected || [],
-            exploitAvailable: this.checkExploitAvailability(data)
+            id: advisory.id,
+            aliases: advisory.aliases,
+            summary: advisory.summary || advisory.details,
+            severity: advisory.severity || 'MODERATE',
+            cvssScore: advisory.cvssScore,
+            cvssVector: advisory.cvssVector,
+            published: advisory.published,
+            modified: advisory.modified,
+            references: advisory.references,
+            affected: advisory.affected,
+            fixedIn: advisory.fixedIn || [],
+            exploitAvailable: this.checkExploitAvailability(advisory),
+            source
         };
     }
 
@@ -112,7 +138,8 @@ class CVEImpactScorer {
             published: new Date().toISOString(),
             references: [],
             affected: [],
-            exploitAvailable: false
+            exploitAvailable: false,
+            source: 'default'
         };
     }
 
@@ -403,7 +430,7 @@ class CVEImpactScorer {
 
         for (const vuln of vulnerabilities) {
             const score = await this.calculateImpactScore(
-                vuln.cve || vuln.id,
+                vuln.cve || vuln.id || vuln,
                 vuln.exploitPaths || [],
                 projectContext
             );
@@ -1,8 +1,16 @@
 /**
  * Dependency Parser Service
  * Parses dependency files and generates a graph structure.
+ * Installed trees come from package-lock.json / yarn.lock via LockfileResolverService;
+ * range overlap uses the npm-compatible SemverRangeEngine.
  */
 
+const axios = require('axios');
+const semver = require('./semver-range.engine');
+const lockfileResolver = require('./lockfile-resolver.service');
+
+const { LockfileError } = lockfileResolver;
+
 class DependencyParserService {
     /**
      * Parses a package.json content and returns a graph structure.
@@ -64,134 +72,205 @@ class DependencyParserService {
     }
 
     /**
-     * Mock fetching dependency data for a repository.
+     * Graph of the installed (transitive) tree resolved from a lockfile.
+     * Node ids are `name@version`, so several installed copies of a package stay distinct.
+     * @param {string} repoName
+     * @param {Object} tree - LockfileResolverService result
+     * @returns {Object} { nodes: [], links: [], stats }
      */
-    async getMockDependencies(repoName) {
-        const mockPackageJson = {
-            dependencies: {
-                "express": "^4.18.2",
-                "socket.io": "^4.7.2",
-                "axios": "^1.6.0",
-                "dotenv": "^16.3.1",
-                "jsonwebtoken": "^9.0.2",
-                "cors": "^2.8.5",
-                "sentiment": "^5.0.2"
-            },
-            devDependencies: {
-                "nodemon": "^3.0.1",
-                "jest": "^29.7.0",
-                "supertest": "^6.3.3"
+    buildInstalledGraph(repoName, tree) {
+        const nodes = [{
+            id: repoName,
+            name: repoName,
+            version: tree.root.version,
+            type: 'root',
+            val: 20,
+            color: '#10b981'
+        }];
+        const links = [];
+        const directIds = new Map(tree.direct.filter(d => d.id).map(d => [d.id, d]));
+
+        tree.packages.forEach(pkg => {
+            const direct = directIds.get(pkg.id);
+            const type = direct ? (direct.type === 'dev' ? 'devDependency' : 'dependency') : 'transitive';
+            nodes.push({
+                id: pkg.id,
+                name: pkg.name,
+                version: pkg.version,
+                range: direct ? direct.range : undefined,
+                type,
+                dev: pkg.dev,
+                optional: pkg.optional,
+                paths: pkg.paths,
+                val: type === 'transitive' ? 3 : type === 'dependency' ? 10 : 8,
+                color: type === 'dependency' ? '#3b82f6' : type === 'devDependency' ? '#f59e0b' : pkg.dev ? '#78716c' : '#8b5cf6'
+            });
+            pkg.dependencies.forEach(target => {
+                links.push({ source: pkg.id, target, type: pkg.dev ? 'dev' : 'transitive' });
+            });
+        });
+
+        tree.direct.filter(d => d.id).forEach(d => {
+            links.push({ source: repoName, target: d.id, type: d.type === 'dev' ? 'dev' : 'production' });
+        });
+
+        return {
+            nodes,
+            links,
+            stats: {
+                format: tree.format,
+                lockfileVersion: tree.lockfileVersion,
+                direct: tree.direct.length,
+                installed: tree.packages.size,
+                production: [...tree.packages.values()].filter(p => !p.dev).length,
+                duplicated: this.duplicatedPackages(tree),
+                missing: tree.missing
             }
         };
+    }
 
-        return this.parseNpmDependencies(repoName, mockPackageJson);
+    /**
+     * Packages installed in more than one version: [{ name, versions }]
+     */
+    duplicatedPackages(tree) {
+        const versions = new Map();
+        tree.packages.forEach(pkg => versions.set(pkg.name, [...(versions.get(pkg.name) || []), pkg.version]));
+        return [...versions.entries()]
+            .filter(([, list]) => list.length > 1)
+            .map(([name]) => ({ name, versions: lockfileResolver.installedVersions(tree, name) }));
     }
 
-    // ─── Issue #618: Version-Range Overlap Detection ──────────────────────
+    /**
+     * Dependency graph for a repository: the installed tree when a lockfile is supplied
+     * or found on GitHub, otherwise the direct dependencies of package.json.
+     * @param {string} repoName - owner/repo
+     * @param {Object} files - { packageJson?, packageLock?, yarnLock?, ref? }
+     */
+    async getDependencyGraph(repoName, files = {}) {
+        let { packageJson, packageLock, yarnLock } = files;
+
+        if (!packageJson && !packageLock && !yarnLock) {
+            [packageJson, packageLock, yarnLock] = await Promise.all(
+                ['package.json', 'package-lock.json', 'yarn.lock'].map(file => this.fetchRepoFile(repoName, file, files.ref))
+            );
+            if (!packageJson) {
+                const error = new Error(`No package.json found in ${repoName}`);
+                error.statusCode = 404;
+                throw error;
+            }
+        }
+        if (typeof packageJson === 'string') {
+            try {
+                packageJson = JSON.parse(packageJson);
+            } catch (error) {
+                throw new LockfileError(`Invalid package.json: ${error.message}`);
+            }
+        }
+
+        if (packageLock || yarnLock) {
+            const tree = lockfileResolver.resolve({ packageJson, packageLock, yarnLock });
+            return this.buildInstalledGraph(repoName, tree);
+        }
+        return this.parseNpmDependencies(repoName, packageJson);
+    }
 
     /**
-     * Parse a semver range string (e.g. "^4.18.2") into { major, minor, patch, operator }.
-     * Handles: ^, ~, >=, <=, exact, *, x wildcards.
+     * Raw file contents from a GitHub repository, or null when it does not exist
      */
-    parseSemverRange(rangeStr) {
-        if (!rangeStr || rangeStr === '*' || rangeStr === 'latest') {
-            return { operator: 'any', major: null, minor: null, patch: null };
+    async fetchRepoFile(repoName, filePath, ref) {
+        const headers = { Accept: 'application/vnd.github.v3.raw', 'User-Agent': 'Xaytheon-Dependency-Graph' };
+        if (process.env.GITHUB_TOKEN) headers.Authorization = `token ${process.env.GITHUB_TOKEN}`;
+        try {
+            const { data } = await axios.get(`https://api.github.com/repos/${repoName}/contents/${filePath}`, {
+                headers,
+                params: ref ? { ref } : {},
+                responseType: 'text',
+                transformResponse: [body => body]
+            });
+            return data;
+        } catch (error) {
+            if (error.response && error.response.status === 404) return null;
+            throw error;
         }
+    }
 
-        const op = rangeStr.match(/^(\^|~|>=|<=|>|<)/);
-        const operator = op ? op[1] : 'exact';
-        const version = rangeStr.replace(/^[\^~><= ]+/, '').trim();
-        const parts = version.split('.').map(p => p === 'x' ? null : parseInt(p, 10));
+    // ─── Issue #618: Version-Range Overlap Detection ──────────────────────
 
-        return {
-            operator,
-            major: parts[0] ?? null,
-            minor: parts[1] ?? null,
-            patch: parts[2] ?? null,
-            raw: rangeStr
-        };
+    /**
+     * Parse an npm range ("^4.18.2", ">=1.2 <2", "1.x || 2.x", "1.2 - 2") into
+     * comparator sets, see SemverRangeEngine.parseRange. Null for non-semver specs.
+     */
+    parseSemverRange(rangeStr) {
+        return semver.parseRange(rangeStr);
     }
 
     /**
      * Checks if two semver range strings overlap — i.e., could they
      * both resolve to the same version and therefore share a vulnerable lib.
+     * Specs that are not ranges (dist-tags, git URLs) are assumed to overlap.
      * @param {string} rangeA  e.g. "^4.18.0"
      * @param {string} rangeB  e.g. "^4.17.0"
      * @returns {boolean}
      */
     doRangesOverlap(rangeA, rangeB) {
-        const a = this.parseSemverRange(rangeA);
-        const b = this.parseSemverRange(rangeB);
-
-        // If either is 'any', they always overlap
-        if (a.operator === 'any' || b.operator === 'any') return true;
-
-        // Caret (^): compatible with major version
-        if (a.operator === '^' && b.operator === '^') {
-            return a.major === b.major;
-        }
-
-        // Tilde (~): compatible with minor version
-        if (a.operator === '~' && b.operator === '~') {
-            return a.major === b.major && a.minor === b.minor;
-        }
-
-        // Mix caret + tilde: overlap if majors match
-        if ((a.operator === '^' && b.operator === '~') ||
-            (a.operator === '~' && b.operator === '^')) {
-            return a.major === b.major;
-        }
-
-        // Exact vs anything: check if exact falls in the other's range
-        if (a.operator === 'exact') {
-            return this._exactInRange(a, b);
-        }
-        if (b.operator === 'exact') {
-            return this._exactInRange(b, a);
-        }
-
-        // Fallback: same major
-        return a.major === b.major;
+        return semver.intersects(rangeA, rangeB) !== false;
     }
 
     /**
-     * Find all pairs of repos that share overlapping version ranges
-     * for a given package name. Used to find which repos could all
-     * be running the same vulnerable version.
+     * Find all pairs of repos that could be running the same version of a package.
+     * Repos with a lockfile (`packageLock` or `yarnLock`) are compared by what is actually
+     * installed, including transitive copies; the others by their declared range.
      * @param {string} pkgName
-     * @param {Array<{repoName, dependencies: Object}>} repoManifests
-     * @returns {Array<{repoA, repoB, rangeA, rangeB, overlap}>}
+     * @param {Array<{repoName, dependencies: Object, packageLock?, yarnLock?}>} repoManifests
+     * @returns {Array<{repoA, repoB, rangeA, rangeB, installedA, installedB, sharedVersions, overlap, sharedVulnerabilityRisk}>}
      */
     findSharedLibraryMatches(pkgName, repoManifests) {
         const affected = repoManifests
-            .filter(r => r.dependencies && r.dependencies[pkgName])
-            .map(r => ({ repoName: r.repoName, range: r.dependencies[pkgName] }));
+            .map(r => {
+                const range = r.dependencies && r.dependencies[pkgName];
+                let installed = null;
+                if (r.packageLock || r.yarnLock) {
+                    const tree = lockfileResolver.resolve({
+                        packageJson: r.dependencies ? { dependencies: r.dependencies } : null,
+                        packageLock: r.packageLock,
+                        yarnLock: r.yarnLock
+                    });
+                    installed = lockfileResolver.installedVersions(tree, pkgName);
+                }
+                return { repoName: r.repoName, range, installed };
+            })
+            .filter(r => r.range || (r.installed && r.installed.length));
+
+        // Declared range, or the exact installed versions when a lockfile pins them
+        const asRange = r => (r.installed ? r.installed.join(' || ') : r.range);
 
         const overlaps = [];
         for (let i = 0; i < affected.length; i++) {
             for (let j = i + 1; j < affected.length; j++) {
                 const a = affected[i];
                 const b = affected[j];
-                const overlap = this.doRangesOverlap(a.range, b.range);
+                const resolved = Boolean(a.installed && b.installed);
+                const sharedVersions = resolved ? a.installed.filter(v => b.installed.includes(v)) : [];
+                const overlap = resolved
+                    ? sharedVersions.length > 0
+                    : this.doRangesOverlap(asRange(a), asRange(b));
+
                 overlaps.push({
                     repoA: a.repoName,
                     repoB: b.repoName,
-                    rangeA: a.range,
-                    rangeB: b.range,
+                    rangeA: a.range || null,
+                    rangeB: b.range || null,
+                    installedA: a.installed,
+                    installedB: b.installed,
+                    sharedVersions,
                     overlap,
-                    sharedVulnerabilityRisk: overlap ? 'CONFIRMED' : 'UNLIKELY'
+                    sharedVulnerabilityRisk: !overlap ? 'UNLIKELY' : resolved ? 'CONFIRMED' : 'POSSIBLE'
                 });
             }
         }
 
         return overlaps.filter(o => o.overlap);
     }
-
-    _exactInRange(exact, range) {
-        if (range.operator === '^') return exact.major === range.major;
-        if (range.operator === '~') return exact.major === range.major && exact.minor === range.minor;
-        return false;
-    }
 }
 
 module.exports = new DependencyParserService();
@@ -3,6 +3,60 @@
  * Handles multi-repository data aggregation and cross-repo analytics
  */
 
+const axios = require('axios');
+const deploymentModel = require('../models/deployment.model');
+const incidentModel = require('../models/incident.model');
+const fleetModel = require('../models/fleet.model');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_TREND_DAYS = 365;
+const INCIDENT_ATTRIBUTION_MS = DAY_MS;
+const PRODUCTION_ENVIRONMENTS = ['production', 'prod', 'live'];
+const DORA_LEVELS = ['elite', 'high', 'medium', 'low'];
+
+// GitHub deployment states, workflow run conclusions and webhook statuses → stored status
+const DEPLOYMENT_STATUSES = {
+    success: 'success',
+    inactive: 'success', // superseded by a later deployment
+    failure: 'failure',
+    failed: 'failure',
+    error: 'failure',
+    timed_out: 'failure',
+    startup_failure: 'failure',
+    pending: 'pending',
+    queued: 'pending',
+    in_progress: 'pending',
+    cancelled: 'cancelled'
+};
+
+class FleetError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'FleetError';
+        this.statusCode = statusCode;
+    }
+}
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+const deployedAt = deployment => deployment.finishedAt || deployment.createdAt;
+const toDateString = ms => new Date(ms).toISOString().slice(0, 10);
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function toTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const ms = typeof value === 'number' ? value : Date.parse(value);
+    if (Number.isNaN(ms)) throw new FleetError(`Invalid timestamp '${value}'`);
+    return ms;
+}
+
 class FleetManagerService {
     /**
      * Aggregate metrics across multiple repositories
@@ -71,19 +125,347 @@ class FleetManagerService {
 
     /**
      * Calculate DORA (DevOps Research and Assessment) metrics for a repository
+     * from the deployments recorded for it and its War Room incidents, over the
+     * `days` days ending at `until`.
+     *
+     * Only production deployments count (no environment, or one of
+     * PRODUCTION_ENVIRONMENTS) unless the repository has no such deployments.
+     * A deployment counts as a change failure when it failed, or when an incident
+     * was triggered for the repository within a day of it and before the next one.
+     * Time to restore uses resolved incidents, or failed deployment → next
+     * successful deployment when the repository has no incidents.
+     * Metrics without data are null.
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
+     * @param {Object} options - { days, until }
      * @returns {Object} DORA metrics
      */
-    async calculateDoraMetrics(owner, repo) {
-        // Mock DORA metrics calculation
+    async calculateDoraMetrics(owner, repo, options = {}) {
+        const repository = `${owner}/${repo}`;
+        const days = options.days || DEFAULT_WINDOW_DAYS;
+        const until = options.until || Date.now();
+        const since = until - days * DAY_MS;
+
+        const recorded = await deploymentModel.getDeployments({ repository, since, until });
+        const deployments = this.productionDeployments(recorded)
+            .filter(d => d.status === 'success' || d.status === 'failure');
+        const incidents = (await incidentModel.getIncidents({ repository, since }))
+            .filter(i => i.triggeredAt >= since && i.triggeredAt < until)
+            .sort((a, b) => a.triggeredAt - b.triggeredAt);
+
+        const successes = deployments.filter(d => d.status === 'success');
+        const leadTimes = successes.flatMap(d =>
+            d.commits.map(c => deployedAt(d) - c.committedAt).filter(ms => ms >= 0)
+        );
+
+        const failures = deployments.filter((d, index) => {
+            if (d.status === 'failure') return true;
+            const next = deployments[index + 1];
+            const attributionEnd = Math.min(deployedAt(d) + INCIDENT_ATTRIBUTION_MS, next ? deployedAt(next) : Infinity);
+            return incidents.some(i => i.triggeredAt >= deployedAt(d) && i.triggeredAt < attributionEnd);
+        });
+
+        let recoveries = incidents
+            .filter(i => i.resolvedAt)
+            .map(i => i.resolvedAt - i.triggeredAt);
+        if (incidents.length === 0) {
+            recoveries = deployments
+                .map((d, index) => {
+                    if (d.status !== 'failure') return null;
+                    const restored = deployments.slice(index + 1).find(n => n.status === 'success');
+                    return restored ? deployedAt(restored) - deployedAt(d) : null;
+                })
+                .filter(ms => ms !== null);
+        }
+
+        const shippedCommits = successes.reduce((sum, d) => sum + d.commits.length, 0);
+        const metrics = {
+            deploymentFrequency: round(successes.length / days, 3), // Successful deployments per day
+            leadTimeForChanges: leadTimes.length ? round(median(leadTimes) / HOUR_MS) : null, // Hours
+            meanTimeToRecovery: recoveries.length ? round(mean(recoveries) / HOUR_MS) : null, // Hours
+            changeFailureRate: deployments.length ? round((failures.length / deployments.length) * 100, 1) : null, // Percentage
+            velocity: deployments.length ? round(shippedCommits / (days / 7), 1) : null, // Commits shipped per week
+            window: { days, since: new Date(since).toISOString(), until: new Date(until).toISOString() },
+            sampleSize: {
+                deployments: deployments.length,
+                failedDeployments: failures.length,
+                commits: leadTimes.length,
+                incidents: incidents.length
+            }
+        };
+        metrics.performance = this.classifyDoraPerformance(metrics);
+        metrics.score = this.calculateDoraScore(metrics.performance);
+        return metrics;
+    }
+
+    /**
+     * Deployments to production, or every deployment when none is marked as production
+     */
+    productionDeployments(deployments) {
+        const production = deployments.filter(d =>
+            !d.environment || PRODUCTION_ENVIRONMENTS.includes(d.environment.toLowerCase())
+        );
+        return production.length ? production : deployments;
+    }
+
+    /**
+     * DORA performance level (elite, high, medium, low) of each metric that has data
+     */
+    classifyDoraPerformance(metrics) {
+        const classify = (value, thresholds, higherIsBetter = false) => {
+            if (value === null) return null;
+            const index = thresholds.findIndex(t => (higherIsBetter ? value >= t : value <= t));
+            return DORA_LEVELS[index === -1 ? DORA_LEVELS.length - 1 : index];
+        };
+
+        return {
+            deploymentFrequency: metrics.sampleSize.deployments ? classify(metrics.deploymentFrequency, [1, 1 / 7, 1 / 30], true) : null,
+            leadTimeForChanges: classify(metrics.leadTimeForChanges, [24, 24 * 7, 24 * 30]),
+            meanTimeToRecovery: classify(metrics.meanTimeToRecovery, [1, 24, 24 * 7]),
+            changeFailureRate: classify(metrics.changeFailureRate, [5, 10, 15])
+        };
+    }
+
+    /**
+     * Score (0-100) from DORA performance levels, or null without any data
+     */
+    calculateDoraScore(performance) {
+        const points = { elite: 100, high: 75, medium: 50, low: 25 };
+        const levels = Object.values(performance).filter(Boolean);
+        if (levels.length === 0) return null;
+        return Math.round(mean(levels.map(level => points[level])));
+    }
+
+    /**
+     * Record a deployment event (from GitHub or a POSTed webhook).
+     * Successful deployments without a commit list get theirs from GitHub
+     * unless `options.resolveCommits` is false.
+     * @param {Object} event - { repository, environment, sha, ref, status, id, source, url, createdAt, finishedAt, commits }
+     * @returns {Object} The stored deployment
+     */
+    async recordDeployment(event, options = {}) {
+        const repository = typeof event.repository === 'string' ? event.repository.trim() : '';
+        if (!/^[\w.-]+\/[\w.-]+$/.test(repository)) {
+            throw new FleetError("'repository' must be in owner/name form");
+        }
+        const status = DEPLOYMENT_STATUSES[String(event.status || '').toLowerCase()];
+        if (!status) {
+            throw new FleetError(`Unknown deployment status '${event.status}'`);
+        }
+        const createdAt = toTimestamp(event.createdAt || event.deployedAt) || Date.now();
+        const finishedAt = toTimestamp(event.finishedAt) || (status === 'success' || status === 'failure' ? createdAt : null);
+        const commits = (Array.isArray(event.commits) ? event.commits : [])
+            .map(c => ({ sha: c.sha || c.id, committedAt: toTimestamp(c.committedAt || c.timestamp) }))
+            .filter(c => c.sha && c.committedAt);
+        if (Array.isArray(event.commits) && commits.length !== event.commits.length) {
+            throw new FleetError("Each commit needs a 'sha' and a 'timestamp'");
+        }
+
+        const deployment = await deploymentModel.upsertDeployment({
+            repository,
+            environment: event.environment,
+            sha: event.sha,
+            ref: event.ref,
+            status,
+            source: event.source || 'webhook',
+            externalId: event.id || `${repository}@${event.sha || 'unknown'}:${event.environment || 'production'}:${createdAt}`,
+            url: event.url,
+            createdAt,
+            finishedAt
+        });
+
+        if (commits.length) {
+            await deploymentModel.addDeploymentCommits(deployment.id, commits);
+        } else if (status === 'success' && deployment.sha && options.resolveCommits !== false) {
+            try {
+                await this.resolveDeploymentCommits(deployment);
+            } catch (error) {
+                console.warn(`Could not resolve commits for ${repository}@${deployment.sha}:`, error.message);
+            }
+        }
+        return deployment;
+    }
+
+    /**
+     * Store the commits a successful deployment shipped, from GitHub: everything
+     * since the previous successful deployment, or the deployed commit itself
+     * for the first one
+     */
+    async resolveDeploymentCommits(deployment) {
+        if (await deploymentModel.hasDeploymentCommits(deployment.id)) return;
+
+        const previous = await deploymentModel.getPreviousSuccessfulDeployment(deployment.repository, deployment.environment, deployment.createdAt);
+        let commits;
+        if (previous && previous.sha === deployment.sha) {
+            return; // Redeploy of the same commit ships no changes
+        } else if (previous) {
+            const comparison = await this.githubGet(`/repos/${deployment.repository}/compare/${previous.sha}...${deployment.sha}`);
+            commits = comparison.commits;
+        } else {
+            commits = [await this.githubGet(`/repos/${deployment.repository}/commits/${deployment.sha}`)];
+        }
+
+        await deploymentModel.addDeploymentCommits(deployment.id, commits.map(c => ({
+            sha: c.sha,
+            committedAt: Date.parse(c.commit.committer.date)
+        })));
+    }
+
+    /**
+     * Import recent deployments of a repository from GitHub: the Deployments API,
+     * or completed deployment workflow runs (FLEET_DEPLOY_WORKFLOW pattern) for
+     * repositories that deploy from Actions without creating deployments
+     * @returns {Object} { repository, source, imported }
+     */
+    async syncRepositoryDeployments(owner, repo, options = {}) {
+        const repository = `${owner}/${repo}`;
+        const since = Date.now() - (options.days || DEFAULT_WINDOW_DAYS) * DAY_MS;
+        const events = [];
+
+        const deployments = await this.githubGet(`/repos/${repository}/deployments`, { per_page: 100 });
+        for (const deployment of deployments.filter(d => Date.parse(d.created_at) >= since)) {
+            const [latest] = await this.githubGet(`/repos/${repository}/deployments/${deployment.id}/statuses`, { per_page: 1 });
+            if (!latest) continue;
+            events.push({
+                id: deployment.id,
+                source: 'github_deployment',
+                repository,
+                environment: deployment.environment,
+                sha: deployment.sha,
+                ref: deployment.ref,
+                status: latest.state,
+                url: latest.log_url || latest.target_url || null,
+                createdAt: deployment.created_at,
+                finishedAt: ['success', 'failure', 'error', 'inactive'].includes(latest.state) ? latest.created_at : null
+            });
+        }
+
+        if (deployments.length === 0) {
+            const pattern = new RegExp(process.env.FLEET_DEPLOY_WORKFLOW || 'deploy|release|publish', 'i');
+            const { workflow_runs: runs } = await this.githubGet(`/repos/${repository}/actions/runs`, {
+                per_page: 100,
+                status: 'completed',
+                created: `>=${new Date(since).toISOString().slice(0, 10)}`
+            });
+            runs
+                .filter(run => pattern.test(run.name) && run.event !== 'pull_request')
+                .forEach(run => events.push({
+                    id: run.id,
+                    source: 'github_actions',
+                    repository,
+                    sha: run.head_sha,
+                    ref: run.head_branch,
+                    status: run.conclusion,
+                    url: run.html_url,
+                    createdAt: run.run_started_at || run.created_at,
+                    finishedAt: run.updated_at
+                }));
+        }
+
+        // Oldest first, so each deployment's commits are diffed against the one before it
+        events.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+        let imported = 0;
+        for (const event of events) {
+            if (!DEPLOYMENT_STATUSES[event.status]) continue;
+            await this.recordDeployment(event);
+            imported++;
+        }
+
         return {
-            deploymentFrequency: Math.random() * 50 + 10, // Deployments per day
-            leadTimeForChanges: Math.random() * 10 + 1, // Hours
-            meanTimeToRecovery: Math.random() * 8 + 2, // Hours
-            changeFailureRate: Math.random() * 15 + 2, // Percentage
-            velocity: Math.random() * 100 + 50 // Story points per sprint
+            repository,
+            source: deployments.length ? 'github_deployment' : 'github_actions',
+            imported
+        };
+    }
+
+    /**
+     * Compute and store today's DORA metrics (and optionally the previous
+     * `backfillDays` days) for every repository of a fleet configuration
+     * @returns {Array} Stored rows: { repository, date, metrics }
+     */
+    async recordDailyDoraMetrics(fleetConfigId, repositories, options = {}) {
+        const backfillDays = Math.min(Math.max(parseInt(options.backfillDays, 10) || 0, 0), MAX_TREND_DAYS);
+        const now = options.now || Date.now();
+        const stored = [];
+
+        for (let offset = backfillDays; offset >= 0; offset--) {
+            const date = toDateString(now - offset * DAY_MS);
+            const until = Math.min(now, Date.parse(`${date}T00:00:00Z`) + DAY_MS);
+            for (const repo of repositories) {
+                const repository = `${repo.owner}/${repo.name}`;
+                const metrics = await this.calculateDoraMetrics(repo.owner, repo.name, { days: options.days, until });
+                await fleetModel.upsertRepositoryDoraMetrics(fleetConfigId, repository, date, metrics);
+                stored.push({ repository, date, metrics });
+            }
+        }
+        return stored;
+    }
+
+    /**
+     * Store the DORA metrics of an analyzed fleet as today's rows
+     */
+    async persistDoraMetrics(fleetConfigId, fleetData, now = Date.now()) {
+        const date = toDateString(now);
+        for (const repo of fleetData) {
+            await fleetModel.upsertRepositoryDoraMetrics(fleetConfigId, repo.fullName, date, repo.doraMetrics);
+        }
+    }
+
+    /**
+     * Daily DORA trend of a fleet configuration over the last `days` days
+     * @returns {Object} { since, repositories: { [name]: [point] }, fleet: [point] }
+     */
+    async getDoraTrend(fleetConfigId, options = {}) {
+        const days = Math.min(Math.max(parseInt(options.days, 10) || DEFAULT_WINDOW_DAYS, 1), MAX_TREND_DAYS);
+        const since = toDateString((options.now || Date.now()) - (days - 1) * DAY_MS);
+        const rows = await fleetModel.getDoraTrend(fleetConfigId, since, options.repository);
+
+        const repositories = {};
+        const byDate = new Map();
+        rows.forEach(row => {
+            const point = {
+                date: row.metric_date,
+                deploymentFrequency: row.deployment_frequency,
+                leadTimeForChanges: row.lead_time_hours,
+                meanTimeToRecovery: row.mttr_hours,
+                changeFailureRate: row.change_failure_rate,
+                deployments: row.deployment_count,
+                score: row.health_score
+            };
+            (repositories[row.repository] = repositories[row.repository] || []).push(point);
+            if (!byDate.has(row.metric_date)) byDate.set(row.metric_date, []);
+            byDate.get(row.metric_date).push(point);
+        });
+
+        const averageOf = (points, key) => {
+            const values = points.map(p => p[key]).filter(v => v !== null);
+            return values.length ? round(mean(values)) : null;
         };
+        const fleet = [...byDate.entries()].map(([date, points]) => {
+            const deployments = points.reduce((sum, p) => sum + (p.deployments || 0), 0);
+            const failed = points.reduce((sum, p) => sum + ((p.changeFailureRate || 0) / 100) * (p.deployments || 0), 0);
+            return {
+                date,
+                deploymentFrequency: round(points.reduce((sum, p) => sum + (p.deploymentFrequency || 0), 0), 3),
+                leadTimeForChanges: averageOf(points, 'leadTimeForChanges'),
+                meanTimeToRecovery: averageOf(points, 'meanTimeToRecovery'),
+                changeFailureRate: deployments ? round((failed / deployments) * 100, 1) : null,
+                deployments,
+                score: averageOf(points, 'score')
+            };
+        });
+
+        return { days, since, repositories, fleet };
+    }
+
+    /**
+     * GET a GitHub REST API path
+     */
+    async githubGet(path, params = {}) {
+        const headers = { Accept: 'application/vnd.github+json', 'User-Agent': 'Xaytheon-Fleet' };
+        if (process.env.GITHUB_TOKEN) headers.Authorization = `token ${process.env.GITHUB_TOKEN}`;
+        const { data } = await axios.get(`https://api.github.com${path}`, { headers, params, timeout: 15000 });
+        return data;
     }
 
     /**
@@ -105,7 +487,7 @@ class FleetManagerService {
 
         // Velocity comparison
         const sortedByVelocity = [...fleetData].sort((a, b) => 
-            b.doraMetrics.velocity - a.doraMetrics.velocity
+            (b.doraMetrics.velocity || 0) - (a.doraMetrics.velocity || 0)
         );
 
         return {
@@ -130,27 +512,38 @@ class FleetManagerService {
     calculateOrganizationHealthScore(fleetData) {
         if (fleetData.length === 0) return 0;
 
+        // Delivery performance only counts once deployments or incidents were recorded
+        const doraScores = fleetData
+            .map(r => r.doraMetrics && r.doraMetrics.score)
+            .filter(value => value !== null && value !== undefined);
+        const weight = doraScores.length ? 0.2 : 0.25;
+
         let score = 0;
         
-        // Distribution health (25%)
+        // Distribution health (25%, 20% with delivery data)
         const starDistribution = this.calculateDistributionScore(
             fleetData.map(r => r.stars)
         );
-        score += starDistribution * 0.25;
+        score += starDistribution * weight;
 
-        // Activity health (25%)
+        // Activity health
         const commitActivity = this.calculateActivityScore(
             fleetData.map(r => r.totalCommits)
         );
-        score += commitActivity * 0.25;
+        score += commitActivity * weight;
 
-        // Maintenance health (25%)
+        // Maintenance health
         const maintenanceScore = this.calculateMaintenanceScore(fleetData);
-        score += maintenanceScore * 0.25;
+        score += maintenanceScore * weight;
 
-        // Growth health (25%)
+        // Growth health
         const growthScore = this.calculateGrowthScore(fleetData);
-        score += growthScore * 0.25;
+        score += growthScore * weight;
+
+        // Delivery health (DORA)
+        if (doraScores.length) {
+            score += mean(doraScores) * weight;
+        }
 
         return Math.round(score);
     }
@@ -197,6 +590,17 @@ class FleetManagerService {
                 });
             }
 
+            // No delivery data alert
+            if (repo.doraMetrics.sampleSize && repo.doraMetrics.sampleSize.deployments === 0) {
+                alerts.push({
+                    type: 'info',
+                    severity: 'low',
+                    repository: repo.fullName,
+                    message: `No deployments recorded in the last ${repo.doraMetrics.window.days} days`,
+                    recommendation: 'Sync deployments from GitHub or POST them to /api/fleet/deployments'
+                });
+            }
+
             // Poor DORA metrics alert
             if (repo.doraMetrics.changeFailureRate > 15) {
                 alerts.push({
@@ -282,7 +686,7 @@ class FleetManagerService {
             { key: 'contributors', label: 'Contributors', format: 'number' },
             { key: 'totalCommits', label: 'Total Commits', format: 'number' },
             { key: 'openIssues', label: 'Open Issues', format: 'number' },
-            { key: 'velocity', label: 'Velocity (SP/Sprint)', format: 'decimal' }
+            { key: 'velocity', label: 'Changes Shipped / Week', format: 'decimal' }
         ];
 
         const comparisonTable = repoData.map(repo => {
@@ -323,7 +727,7 @@ class FleetManagerService {
                 return repo[key];
             };
             
-            const sorted = [...repoData].sort((a, b) => getValue(b) - getValue(a));
+            const sorted = [...repoData].sort((a, b) => (getValue(b) || 0) - (getValue(a) || 0));
             winners[metric.key] = sorted[0].fullName;
         });
         
@@ -331,4 +735,5 @@ class FleetManagerService {
     }
 }
 
-module.exports = new FleetManagerService();
\ No newline at end of file
+module.exports = new FleetManagerService();
+module.exports.FleetError = FleetError;
\ No newline at end of file
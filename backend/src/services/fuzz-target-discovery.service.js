@@ -0,0 +1,482 @@
+/**
+ * XAYTHEON - Fuzz Target Discovery
+ *
+ * Enumerates the endpoints a fuzzing session covers, from an OpenAPI 3 document
+ * or from the router stack of an Express app, and derives inputs from their
+ * parameter schemas:
+ *   - one valid value per parameter (example, default, enum, format, bounds),
+ *     sent as the endpoint's baseline request
+ *   - invalid values that each break one constraint (type, bounds, length,
+ *     pattern, enum, format, required properties, additionalProperties)
+ *
+ * Express routes carry no schemas. Path parameters come from the route path;
+ * body and query fields are read off the handler source (`const { name } =
+ * req.body`, `req.query.limit`) and typed from their names where obvious.
+ */
+
+const yaml = require('js-yaml');
+const { listRoutes } = require('../utils/express-routes');
+
+const OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'options', 'head', 'trace'];
+const PARAMETER_LOCATIONS = { path: 'path', query: 'query', header: 'headers' }; // cookies are not fuzzed
+const BODYLESS_METHODS = ['GET', 'HEAD', 'OPTIONS', 'DELETE'];
+const MAX_SCHEMA_DEPTH = 6;
+const MAX_GENERATED_LENGTH = 100000;
+const PATTERN_BREAKER = '~!@#'; // matches few real-world patterns and is a valid header value
+
+const FORMAT_EXAMPLES = {
+    email: 'fuzz@example.com',
+    uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+    'date-time': '2024-01-01T00:00:00Z',
+    date: '2024-01-01',
+    time: '12:00:00',
+    uri: 'https://example.com/',
+    url: 'https://example.com/',
+    hostname: 'example.com',
+    ipv4: '192.0.2.1',
+    ipv6: '2001:db8::1',
+    byte: 'ZnV6eg==',
+    password: 'Fuzz-Passw0rd!'
+};
+
+// Field names whose type can be guessed when a route documents none
+const NAME_HINTS = [
+    { pattern: /e-?mail/i, schema: { type: 'string', format: 'email' } },
+    { pattern: /(url|uri|link|website)$/i, schema: { type: 'string', format: 'uri' } },
+    { pattern: /(^id$|Id$|_id$|^(page|limit|offset|count|size|days|port)$)/i, schema: { type: 'string', example: '1' } },
+    { pattern: /^(owner|repo|username|login)$/i, schema: { type: 'string', example: 'octocat' } }
+];
+
+class FuzzTargetError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'FuzzTargetError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Copy of `value` with the node at `path` replaced (or removed when `replacement` is undefined)
+const setPath = (value, path, replacement) => {
+    if (path.length === 0) return replacement;
+    const copy = Array.isArray(value) ? [...value] : { ...value };
+    if (path.length === 1 && replacement === undefined) delete copy[path[0]];
+    else copy[path[0]] = setPath(value[path[0]], path.slice(1), replacement);
+    return copy;
+};
+
+const asText = value => (Array.isArray(value) ? value.join(',') : value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+class FuzzTargetDiscovery {
+    /**
+     * Endpoints of an OpenAPI 3 document
+     * @param {Object|string} document - Parsed document, or its JSON / YAML text
+     * @returns {{ title, servers: string[], endpoints: Array }}
+     */
+    fromOpenApi(document) {
+        let doc = document;
+        if (typeof doc === 'string') {
+            try {
+                doc = yaml.safeLoad(doc);
+            } catch (error) {
+                throw new FuzzTargetError(`OpenAPI document is neither JSON nor YAML: ${error.message}`);
+            }
+        }
+        if (!doc || typeof doc !== 'object') throw new FuzzTargetError('OpenAPI document required');
+        if (doc.swagger) throw new FuzzTargetError('Swagger 2.0 documents are not supported; convert the document to OpenAPI 3');
+        if (!/^3\./.test(String(doc.openapi))) throw new FuzzTargetError('Not an OpenAPI 3 document: `openapi` must be 3.x');
+
+        const resolve = value => this.resolveRefs(doc, value);
+        const endpoints = [];
+        Object.entries(doc.paths || {}).forEach(([path, rawItem]) => {
+            const item = rawItem && rawItem.$ref ? resolve({ $ref: rawItem.$ref }) : rawItem || {};
+            OPERATION_METHODS.filter(method => item[method]).forEach(method => {
+                const operation = item[method];
+                const parameters = new Map();
+                [...(item.parameters || []), ...(operation.parameters || [])].map(resolve).forEach(parameter => {
+                    if (!parameter || !PARAMETER_LOCATIONS[parameter.in]) return;
+                    const content = parameter.content && this.jsonContent(parameter.content);
+                    parameters.set(`${parameter.in}:${parameter.name}`, {
+                        name: parameter.name,
+                        in: PARAMETER_LOCATIONS[parameter.in],
+                        required: parameter.in === 'path' || Boolean(parameter.required),
+                        schema: parameter.schema || (content && content.schema) || {},
+                        example: parameter.example
+                    });
+                });
+
+                const body = operation.requestBody ? resolve(operation.requestBody) : null;
+                const json = body && this.jsonContent(body.content);
+                endpoints.push({
+                    method: method.toUpperCase(),
+                    path,
+                    operationId: operation.operationId || null,
+                    parameters: [...parameters.values()],
+                    requestBody: json ? { required: Boolean(body.required), schema: json.schema || {}, example: json.example } : null,
+                    responses: Object.keys(operation.responses || {}),
+                    source: 'openapi'
+                });
+            });
+        });
+
+        return {
+            title: (doc.info && doc.info.title) || null,
+            servers: (doc.servers || []).map(server => server && server.url).filter(Boolean),
+            endpoints
+        };
+    }
+
+    /**
+     * Endpoints of an Express app; its routers must be mounted after recordMountPaths(app)
+     * @returns {{ title, servers: string[], endpoints: Array, unmounted: string[] }}
+     */
+    fromExpressApp(app) {
+        const { routes, unmounted } = listRoutes(app);
+        const endpoints = routes
+            .filter(route => !['HEAD', 'OPTIONS'].includes(route.method))
+            .map(route => {
+                const source = route.handlers.map(handler => Function.prototype.toString.call(handler)).join('\n');
+                const queryFields = this.readFields(source, 'query');
+                const bodyFields = BODYLESS_METHODS.includes(route.method) ? [] : this.readFields(source, 'body');
+                return {
+                    method: route.method,
+                    path: route.path,
+                    operationId: route.handlers.map(handler => handler.name).filter(Boolean).pop() || null,
+                    parameters: [
+                        ...route.params.map(name => ({ name, in: 'path', required: true, schema: this.schemaForName(name) })),
+                        ...queryFields.map(name => ({ name, in: 'query', required: false, schema: this.schemaForName(name) }))
+                    ],
+                    requestBody: bodyFields.length ? {
+                        required: false,
+                        schema: { type: 'object', properties: Object.fromEntries(bodyFields.map(name => [name, this.schemaForName(name)])) }
+                    } : null,
+                    responses: [],
+                    source: 'express'
+                };
+            });
+        return { title: null, servers: [], endpoints, unmounted };
+    }
+
+    /**
+     * Endpoints whose path matches `include` and not `exclude` (prefixes, `*` globs), limited to `methods`
+     */
+    filterEndpoints(endpoints, { include, exclude, methods } = {}) {
+        const matcher = patterns => {
+            const list = [].concat(patterns || []).filter(Boolean).map(pattern => {
+                if (!pattern.includes('*')) return path => path === pattern || path.startsWith(`${pattern.replace(/\/$/, '')}/`);
+                const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+                return path => regex.test(path);
+            });
+            return list.length ? path => list.some(test => test(path)) : null;
+        };
+        const included = matcher(include);
+        const excluded = matcher(exclude);
+        const allowedMethods = methods ? [].concat(methods).map(method => String(method).toUpperCase()) : null;
+        return endpoints.filter(endpoint =>
+            (!included || included(endpoint.path)) &&
+            !(excluded && excluded(endpoint.path)) &&
+            (!allowedMethods || allowedMethods.includes(endpoint.method)));
+    }
+
+    /**
+     * Baseline request and schema mutations of one endpoint, in FuzzerEngine's shape
+     * @param {Object} endpoint - From fromOpenApi / fromExpressApp
+     * @param {URL} baseUrl - Server URL; its path prefixes the endpoint path
+     * @param {Object} headers - Sent with every request (e.g. Authorization)
+     */
+    buildTarget(endpoint, baseUrl, headers = {}) {
+        const baseline = {
+            method: endpoint.method,
+            url: baseUrl,
+            path: `${baseUrl.pathname.replace(/\/+$/, '')}${endpoint.path}`,
+            pathParams: {},
+            query: {},
+            body: undefined,
+            headers: { ...headers }
+        };
+
+        endpoint.parameters.forEach(parameter => {
+            const value = parameter.example !== undefined ? parameter.example : this.exampleValue(parameter.schema);
+            if (value === undefined) return;
+            if (parameter.in === 'path') baseline.pathParams[parameter.name] = asText(value);
+            else if (parameter.in === 'query') baseline.query[parameter.name] = asText(value);
+            else if (!Object.keys(baseline.headers).some(name => name.toLowerCase() === parameter.name.toLowerCase())) {
+                baseline.headers[parameter.name] = asText(value);
+            }
+        });
+        if (endpoint.requestBody) {
+            const { example, schema } = endpoint.requestBody;
+            baseline.body = example !== undefined ? example : this.exampleValue(schema);
+        }
+
+        const mutations = [];
+        const documented = endpoint.source === 'openapi';
+        const add = (location, parameter, invalid, request) => mutations.push({
+            location,
+            parameter,
+            strategy: 'invalid',
+            category: 'schema',
+            payload: invalid.value === undefined ? '(omitted)' : asText(invalid.value),
+            constraint: invalid.label,
+            documented,
+            request: { ...baseline, ...request }
+        });
+
+        endpoint.parameters.forEach(parameter => {
+            const key = parameter.in === 'path' ? 'pathParams' : parameter.in;
+            this.invalidValues(parameter.schema, undefined, { textual: true }).forEach(invalid => {
+                add(parameter.in, parameter.name, invalid, { [key]: { ...baseline[key], [parameter.name]: asText(invalid.value) } });
+            });
+            if (parameter.required && parameter.in !== 'path') {
+                const rest = { ...baseline[key] };
+                delete rest[parameter.name];
+                add(parameter.in, parameter.name, { label: 'required', value: undefined }, { [key]: rest });
+            }
+        });
+
+        if (endpoint.requestBody && baseline.body !== undefined) {
+            this.bodyInvalidValues(endpoint.requestBody.schema, baseline.body).forEach(({ path, invalid }) => {
+                add('body', path.length ? path.join('.') : '(body)', invalid, { body: setPath(baseline.body, path, invalid.value) });
+            });
+        }
+
+        return { endpoint: `${endpoint.method} ${endpoint.path}`, baseline, mutations };
+    }
+
+    /**
+     * A value the schema accepts, or undefined when none can be derived
+     */
+    exampleValue(schema, depth = 0) {
+        const s = this.normalize(schema);
+        if (s.example !== undefined) return s.example;
+        if (Array.isArray(s.examples) && s.examples.length) return s.examples[0];
+        if (s.default !== undefined) return s.default;
+        if (s.const !== undefined) return s.const;
+        if (Array.isArray(s.enum) && s.enum.length) return s.enum[0];
+
+        switch (s.type) {
+            case 'integer':
+            case 'number':
+                return this.numberWithin(s);
+            case 'boolean':
+                return true;
+            case 'array': {
+                if (depth >= MAX_SCHEMA_DEPTH) return [];
+                const count = Math.max(1, s.minItems || 0);
+                return Array.from({ length: Math.min(count, s.maxItems === undefined ? count : s.maxItems) }, () => this.exampleValue(s.items || {}, depth + 1));
+            }
+            case 'object': {
+                if (depth >= MAX_SCHEMA_DEPTH) return {};
+                const value = {};
+                Object.entries(s.properties || {}).forEach(([name, property]) => {
+                    const normalized = this.normalize(property);
+                    if (normalized.readOnly) return;
+                    const example = this.exampleValue(property, depth + 1);
+                    if (example !== undefined) value[name] = example;
+                });
+                return value;
+            }
+            default:
+                return this.stringWithin(s);
+        }
+    }
+
+    /**
+     * Values that each break one constraint of the schema
+     * @param {Object} schema
+     * @param {*} example - A valid value, used to build object / array variants
+     * @param {Object} options - textual: the value travels as text (path, query, header),
+     *   so type mismatches that text cannot express are skipped
+     * @returns {Array<{ label, value }>}
+     */
+    invalidValues(schema, example, { textual = false } = {}) {
+        const s = this.normalize(schema);
+        const invalid = [];
+        const add = (label, value) => invalid.push({ label, value });
+
+        if (Array.isArray(s.enum) && s.enum.length) {
+            add(`enum: ${s.enum.slice(0, 5).map(asText).join(', ')}`, typeof s.enum[0] === 'number' ? Math.max(...s.enum.filter(n => typeof n === 'number')) + 7 : 'not-in-enum');
+            return invalid;
+        }
+
+        switch (s.type) {
+            case 'integer':
+            case 'number': {
+                add(`type: ${s.type}`, 'not-a-number');
+                if (s.type === 'integer') add('type: integer', 1.5);
+                const { low, high } = this.numberBounds(s);
+                if (low !== undefined) add(`minimum: ${low}`, s.type === 'integer' ? Math.ceil(low) - 1 : low - 0.5);
+                if (high !== undefined) add(`maximum: ${high}`, s.type === 'integer' ? Math.floor(high) + 1 : high + 0.5);
+                break;
+            }
+            case 'boolean':
+                add('type: boolean', 'not-a-boolean');
+                break;
+            case 'array':
+                if (!textual) {
+                    add('type: array', 'not-an-array');
+                    if (s.minItems > 0) add(`minItems: ${s.minItems}`, []);
+                    if (s.maxItems !== undefined) add(`maxItems: ${s.maxItems}`, Array.from({ length: s.maxItems + 1 }, () => (Array.isArray(example) && example.length ? example[0] : this.exampleValue(s.items || {}))));
+                }
+                break;
+            case 'object':
+                if (!textual) {
+                    add('type: object', 'not-an-object');
+                    const value = example && typeof example === 'object' && !Array.isArray(example) ? example : {};
+                    (s.required || []).filter(name => name in value).forEach(name => {
+                        const rest = { ...value };
+                        delete rest[name];
+                        add(`required: ${name}`, rest);
+                    });
+                    if (s.additionalProperties === false) add('additionalProperties: false', { ...value, fuzzUnexpected: 'x' });
+                }
+                break;
+            default:
+                if (!textual) add('type: string', 12345);
+                if (s.minLength > 0) add(`minLength: ${s.minLength}`, 'x'.repeat(s.minLength - 1));
+                if (s.maxLength !== undefined && s.maxLength < MAX_GENERATED_LENGTH) add(`maxLength: ${s.maxLength}`, 'x'.repeat(s.maxLength + 1));
+                if (s.pattern && this.matches(s.pattern, PATTERN_BREAKER)) break;
+                if (s.pattern) add(`pattern: ${s.pattern}`, PATTERN_BREAKER);
+                else if (FORMAT_EXAMPLES[s.format] && !['password', 'byte'].includes(s.format)) add(`format: ${s.format}`, `not-a-${s.format}`);
+        }
+
+        if (!textual && !s.nullable && s.type !== 'null') add('nullable: false', null);
+        return invalid;
+    }
+
+    /**
+     * Invalid values for every node of a JSON body, with the path they replace
+     */
+    bodyInvalidValues(schema, value, path = [], depth = 0) {
+        const s = this.normalize(schema);
+        const own = this.invalidValues(s, value).map(invalid => ({ path, invalid }));
+        if (depth >= MAX_SCHEMA_DEPTH) return own;
+
+        if (s.type === 'object' && value && typeof value === 'object' && !Array.isArray(value)) {
+            return own.concat(...Object.entries(s.properties || {})
+                .filter(([name]) => name in value)
+                .map(([name, property]) => this.bodyInvalidValues(property, value[name], [...path, name], depth + 1)));
+        }
+        if (s.type === 'array' && Array.isArray(value) && value.length) {
+            return own.concat(this.bodyInvalidValues(s.items || {}, value[0], [...path, 0], depth + 1));
+        }
+        return own;
+    }
+
+    /**
+     * Schema with allOf merged, the first oneOf / anyOf branch taken and `type` inferred
+     */
+    normalize(schema = {}) {
+        let s = schema && typeof schema === 'object' ? { ...schema } : {};
+        if (Array.isArray(s.allOf)) {
+            const parts = s.allOf.map(part => this.normalize(part));
+            delete s.allOf;
+            s = parts.reduce((merged, part) => ({
+                ...merged,
+                ...part,
+                properties: { ...merged.properties, ...part.properties },
+                required: [...(merged.required || []), ...(part.required || [])]
+            }), s);
+        }
+        const branches = s.oneOf || s.anyOf;
+        if (Array.isArray(branches) && branches.length) {
+            delete s.oneOf;
+            delete s.anyOf;
+            s = { ...this.normalize(branches.find(branch => branch && branch.type !== 'null') || branches[0]), ...s };
+        }
+        if (Array.isArray(s.type)) {
+            if (s.type.includes('null')) s.nullable = true;
+            s.type = s.type.find(type => type !== 'null');
+        }
+        if (!s.type) {
+            if (s.properties || s.additionalProperties !== undefined) s.type = 'object';
+            else if (s.items) s.type = 'array';
+            else if (Array.isArray(s.enum) && s.enum.length) s.type = typeof s.enum[0] === 'number' ? 'number' : 'string';
+        }
+        return s;
+    }
+
+    numberBounds(s) {
+        // OpenAPI 3.0 marks exclusive bounds with booleans, 3.1 with numbers
+        const step = s.type === 'integer' ? 1 : 0.01;
+        let low = s.minimum;
+        let high = s.maximum;
+        if (typeof s.exclusiveMinimum === 'number') low = s.exclusiveMinimum + step;
+        else if (s.exclusiveMinimum === true && low !== undefined) low += step;
+        if (typeof s.exclusiveMaximum === 'number') high = s.exclusiveMaximum - step;
+        else if (s.exclusiveMaximum === true && high !== undefined) high -= step;
+        return { low, high };
+    }
+
+    numberWithin(s) {
+        const { low, high } = this.numberBounds(s);
+        let value = 1;
+        if (low !== undefined && value < low) value = low;
+        if (high !== undefined && value > high) value = high;
+        if (s.multipleOf) value = Math.ceil(value / s.multipleOf) * s.multipleOf;
+        return s.type === 'integer' ? Math.ceil(value) : value;
+    }
+
+    stringWithin(s) {
+        const candidates = [FORMAT_EXAMPLES[s.format], 'fuzz', 'a', '1', 'A1', 'abc123', 'fuzz@example.com'].filter(Boolean);
+        let value = (s.pattern && candidates.find(candidate => this.matches(s.pattern, candidate))) || candidates[0];
+        if (s.minLength && value.length < s.minLength) value = value.padEnd(s.minLength, 'x');
+        if (s.maxLength !== undefined && value.length > s.maxLength) value = value.slice(0, s.maxLength);
+        return value;
+    }
+
+    matches(pattern, value) {
+        try {
+            return new RegExp(pattern, 'u').test(value);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    schemaForName(name) {
+        const hint = NAME_HINTS.find(entry => entry.pattern.test(name));
+        return hint ? { ...hint.schema } : { type: 'string' };
+    }
+
+    /**
+     * Fields a handler reads from req.body / req.query
+     */
+    readFields(source, key) {
+        const fields = new Set();
+        const destructured = new RegExp(`(?:const|let|var)\\s*\\{([^{}]*)\\}\\s*=\\s*req\\.${key}\\b`, 'g');
+        for (const match of source.matchAll(destructured)) {
+            match[1].split(',').forEach(part => {
+                const name = part.trim().split(/\s*[:=]/)[0];
+                if (/^[A-Za-z_$][\w$]*$/.test(name)) fields.add(name);
+            });
+        }
+        const accessed = new RegExp(`req\\.${key}\\??\\.([A-Za-z_$][\\w$]*)|req\\.${key}\\[['"]([^'"]+)['"]\\]`, 'g');
+        for (const match of source.matchAll(accessed)) fields.add(match[1] || match[2]);
+        return [...fields];
+    }
+
+    jsonContent(content = {}) {
+        const type = Object.keys(content).find(name => /^application\/(.+\+)?json\b/i.test(name));
+        return type ? content[type] || {} : null;
+    }
+
+    /**
+     * `value` with its local $refs inlined; a recursive reference becomes an empty schema
+     */
+    resolveRefs(doc, value, seen = []) {
+        if (Array.isArray(value)) return value.map(item => this.resolveRefs(doc, item, seen));
+        if (!value || typeof value !== 'object') return value;
+        if (typeof value.$ref === 'string') {
+            if (!value.$ref.startsWith('#/')) throw new FuzzTargetError(`Only local $refs are supported: ${value.$ref}`);
+            if (seen.includes(value.$ref)) return {};
+            const target = value.$ref.slice(2).split('/')
+                .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'))
+                .reduce((node, segment) => (node && typeof node === 'object' ? node[segment] : undefined), doc);
+            if (target === undefined) throw new FuzzTargetError(`Unresolved $ref: ${value.$ref}`);
+            return this.resolveRefs(doc, target, [...seen, value.$ref]);
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.resolveRefs(doc, item, seen)]));
+    }
+}
+
+module.exports = new FuzzTargetDiscovery();
+module.exports.FuzzTargetError = FuzzTargetError;
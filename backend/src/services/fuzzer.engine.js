@@ -1,92 +1,626 @@
 /**
  * XAYTHEON - Security Fuzzer Engine
- * 
- * Executes real-time fuzzing tests against API endpoints to identify 
- * input validation vulnerabilities, race conditions, and edge-case leaks.
+ *
+ * Sends mutated HTTP requests to an authorized target and flags the responses
+ * that give an input validation flaw away.
+ *
+ * A session starts from one baseline request ({ query, body, headers }), or
+ * covers every endpoint of an OpenAPI 3 document or Express app
+ * (startDiscoverySession, see fuzz-target-discovery.service). Every path
+ * parameter, query parameter, JSON body leaf and listed header is mutated in
+ * turn with the payloads of each category:
+ *   - replace:  the value becomes the payload
+ *   - append:   the payload is appended to the baseline value
+ *   - operator: NoSQL operators as objects (JSON body) or `name[$op]=` (query)
+ *   - invalid:  (`schema` category) a value breaking one schema constraint
+ *
+ * Response oracles, each compared against the baseline responses:
+ *   - db-error:          SQL / NoSQL driver error text the baseline did not show
+ *   - reflected-payload: an XSS payload echoed back unescaped
+ *   - timing:            a sleep payload delays the response by the requested
+ *                        time, confirmed by a second request
+ *   - server-error:      5xx where the baseline succeeded
+ *   - status-change:     a 401/403 baseline answered 2xx
+ *   - file-disclosure:   /etc/passwd or win.ini content in the body
+ *   - schema-bypass:     invalid input answered 2xx by a documented endpoint
+ *
+ * Only loopback targets, or hosts listed in FUZZ_ALLOWED_TARGETS, are fuzzed.
+ * Requests go out through a worker pool capped by `concurrency` and
+ * `requestsPerSecond`; 429s are retried and redirects are not followed. Sessions and their findings
+ * are persisted and listed by /api/security/history.
  */
 
-const axios = require('axios'); // Assuming axios is available for HTTP requests
+const dns = require('dns').promises;
+const net = require('net');
+const crypto = require('crypto');
+const fuzzSessionModel = require('../models/fuzz-session.model');
+const targetDiscovery = require('./fuzz-target-discovery.service');
+
+const DEFAULTS = { concurrency: 4, requestsPerSecond: 20, maxRequests: 400, timeoutMs: 5000, timingDelayMs: 1500, baselineSamples: 3 };
+const LIMITS = { concurrency: 16, requestsPerSecond: 100, maxRequests: 5000, timeoutMs: 30000, timingDelayMs: 10000, baselineSamples: 10 };
+const LOCATIONS = ['path', 'query', 'body', 'headers'];
+const DISCOVERY_MAX_REQUESTS = 2000;
+const MAX_RETRIES = 3;
+const BODYLESS_METHODS = ['GET', 'HEAD', 'OPTIONS', 'DELETE'];
+const MAX_RESPONSE_BYTES = 512 * 1024;
+const MAX_EVIDENCE_CHARS = 200;
+const SEVERITY_ORDER = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+// Driver error text, by database
+const DB_ERROR_SIGNATURES = [
+    { engine: 'SQLite', pattern: /SQLITE_ERROR|SQLite3?::|sqlite3\.OperationalError|unrecognized token: "|near "[^"]*": syntax error/i },
+    { engine: 'MySQL', pattern: /You have an error in your SQL syntax|ER_PARSE_ERROR|mysql_fetch_|MySqlException|Warning: mysqli?_/i },
+    { engine: 'PostgreSQL', pattern: /syntax error at or near "|unterminated quoted string at or near|PG::SyntaxError|org\.postgresql\.util\.PSQLException/i },
+    { engine: 'SQL Server', pattern: /Unclosed quotation mark after the character string|Microsoft OLE DB Provider for SQL Server|SqlException/i },
+    { engine: 'Oracle', pattern: /\bORA-\d{5}\b/ },
+    { engine: 'MongoDB', pattern: /MongoError|MongoServerError|CastError: Cast to|unknown operator: \$|\$where/ }
+];
+const FILE_SIGNATURES = [/root:[x*]?:0:0:/, /\[(fonts|extensions)\]\s*[\r\n]+[^\r\n]*=/i];
+const STACK_TRACE = /\n\s+at [^\n]+\(?[^\n]+:\d+:\d+\)?/;
+
+class FuzzerError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'FuzzerError';
+        this.statusCode = statusCode;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const median = values => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)] || 0;
+};
 
 class FuzzerEngine {
     constructor() {
+        // `{delay}` is replaced with the timing delay in seconds; those payloads feed the timing oracle
         this.fuzzPayloads = {
-            sql_injection: ["' OR 1=1 --", "'; DROP TABLE users; --", "admin' --"],
-            xss: ["<script>alert('xss')</script>", "<img src=x onerror=alert(1)>", "javascript:alert(1)"],
-            os_command: ["; ls -la", "| cat /etc/passwd", "`whoami`"],
+            sql_injection: ["'", "' OR 1=1 --", "'; DROP TABLE users; --", "admin' --", "' OR SLEEP({delay}) --", "'; SELECT pg_sleep({delay}) --"],
+            xss: ["<script>alert('xss')</script>", "<img src=x onerror=alert(1)>", "\"><svg onload=alert(1)>"],
+            os_command: ["; ls -la", "| cat /etc/passwd", "`whoami`", "; sleep {delay}", "$(sleep {delay})"],
+            path_traversal: ["../../../../../../etc/passwd", "..\\..\\..\\..\\windows\\win.ini"],
             overflow: ["A".repeat(10000), "0".repeat(50000)],
-            nosql: ['{"$gt": ""}', '{"$ne": null}']
+            nosql: [{ $gt: '' }, { $ne: null }]
         };
 
-        this.fuzzHistory = [];
-        this.isFuzzing = false;
+        this.activeSessions = new Set();
     }
 
     /**
-     * Start a fuzzing session against a target endpoint
-     * @param {string} url - Target URL
+     * Run a fuzzing session against a target endpoint and persist it
+     * @param {string} url - Target URL; its query string is part of the baseline
      * @param {string} method - HTTP Method (GET, POST, etc.)
-     * @param {Object} baseParams - Common parameters
+     * @param {Object} baseParams - { query, body, headers } of the baseline request;
+     *   any other object is the JSON body (the query for bodyless methods)
+     * @param {Object} options - concurrency, requestsPerSecond, maxRequests, timeoutMs,
+     *   timingDelayMs, baselineSamples, categories, locations, startedBy
+     * @returns {Object} The finished session with its findings
+     */
+    async startFuzzingSession(url, method = 'POST', baseParams = {}, options = {}) {
+        const baseline = this.buildBaseline(url, method, baseParams);
+        const config = this.resolveConfig(options);
+        return this.runPersistedSession({
+            url: baseline.url,
+            target: `${baseline.url.origin}${baseline.path}`,
+            method: baseline.method,
+            targets: [{ endpoint: `${baseline.method} ${baseline.path}`, baseline, mutations: [] }],
+            config,
+            startedBy: options.startedBy
+        });
+    }
+
+    /**
+     * Run one session over every endpoint of an OpenAPI 3 document or an Express app
+     * @param {Object} discovery - { openapi | app, baseUrl, include, exclude, methods, headers };
+     *   baseUrl defaults to the document's first server
+     * @param {Object} options - As for startFuzzingSession; `schema` adds the invalid inputs
+     *   derived from the parameter schemas to the payload categories
+     * @returns {Object} The finished session; findings name their endpoint
+     */
+    async startDiscoverySession(discovery = {}, options = {}) {
+        let found;
+        try {
+            found = discovery.app ? targetDiscovery.fromExpressApp(discovery.app) : targetDiscovery.fromOpenApi(discovery.openapi);
+        } catch (error) {
+            throw error instanceof FuzzerError ? error : new FuzzerError(error.message, error.statusCode || 400);
+        }
+
+        const server = discovery.baseUrl || found.servers[0];
+        let baseUrl;
+        try {
+            baseUrl = new URL(server);
+        } catch (error) {
+            throw new FuzzerError(server ? `Invalid base URL: ${server}` : 'baseUrl required: the document lists no absolute server URL');
+        }
+        if (!['http:', 'https:'].includes(baseUrl.protocol)) throw new FuzzerError('Only http and https targets can be fuzzed');
+        baseUrl.search = '';
+
+        const endpoints = targetDiscovery.filterEndpoints(found.endpoints, discovery);
+        if (endpoints.length === 0) throw new FuzzerError('No endpoints to fuzz after filtering');
+
+        const config = this.resolveConfig({ maxRequests: DISCOVERY_MAX_REQUESTS, ...options });
+        config.source = discovery.app ? 'express' : 'openapi';
+        return this.runPersistedSession({
+            url: baseUrl,
+            target: `${baseUrl.origin}${baseUrl.pathname.replace(/\/+$/, '')}`,
+            method: '*',
+            targets: endpoints.map(endpoint => targetDiscovery.buildTarget(endpoint, baseUrl, discovery.headers || {})),
+            config,
+            startedBy: options.startedBy
+        });
+    }
+
+    async runPersistedSession({ url, target, method, targets, config, startedBy }) {
+        await this.assertAuthorizedTarget(url);
+        if (this.activeSessions.has(target)) throw new FuzzerError(`A fuzzing session is already running against ${target}`, 409);
+        this.activeSessions.add(target);
+
+        const session = {
+            id: `FUZZ-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+            target,
+            method,
+            config,
+            startedBy: startedBy || null,
+            startedAt: Date.now()
+        };
+        console.log(`🔥 [Fuzzer] Session ${session.id} against ${method} ${target} (${targets.length} endpoint${targets.length === 1 ? '' : 's'})`);
+
+        try {
+            await fuzzSessionModel.insertSession(session);
+            let result;
+            try {
+                result = await this.runSession(targets, config);
+            } catch (error) {
+                result = { status: 'failed', error: error.message, findings: [], stats: null };
+            }
+            await fuzzSessionModel.finishSession(session.id, result);
+            return fuzzSessionModel.getSession(session.id);
+        } finally {
+            this.activeSessions.delete(target);
+        }
+    }
+
+    /**
+     * @param {Array} targets - { endpoint, baseline, mutations }; `mutations` are the
+     *   schema mutations of the endpoint, run when the `schema` category is selected
      */
-    async startFuzzingSession(url, method = 'POST', baseParams = {}) {
-        if (this.isFuzzing) return { status: 'busy' };
-
-        console.log(`🔥 [Fuzzer] Starting aggressive fuzzing on: ${url}`);
-        this.isFuzzing = true;
-        const vulnerabilitiesFound = [];
-
-        for (const [type, payloads] of Object.entries(this.fuzzPayloads)) {
-            for (const payload of payloads) {
-                const results = await this.executeFuzz(url, method, type, payload, baseParams);
-                if (results.isVulnerable) {
-                    vulnerabilitiesFound.push(results.threat);
+    async runSession(targets, config) {
+        const limiter = this.createLimiter(config.requestsPerSecond);
+        const stats = { endpoints: targets.length, planned: 0, requests: 0, errors: 0, throttled: 0, truncated: false, skipped: [] };
+        const send = async (request) => {
+            await limiter();
+            stats.requests++;
+            const response = await this.send(request, config.timeoutMs);
+            stats.throttled += response.retries;
+            if (response.error) stats.errors++;
+            return response;
+        };
+
+        // Baselines: how each endpoint answers untouched input
+        const prepared = [];
+        await this.runPool(targets, config.concurrency, async (target) => {
+            const samples = [];
+            for (let i = 0; i < config.baselineSamples; i++) samples.push(await send(this.toRequest(target.baseline)));
+            const answered = samples.filter(sample => !sample.error);
+            if (answered.length === 0) {
+                stats.skipped.push({ endpoint: target.endpoint, error: samples[0].error });
+                return;
+            }
+            const reference = {
+                status: answered[0].status,
+                medianMs: median(answered.map(sample => sample.timeMs)),
+                maxMs: Math.max(...answered.map(sample => sample.timeMs)),
+                bodies: answered.map(sample => sample.body)
+            };
+            const plan = this.planMutations(target.baseline, config)
+                .concat(config.categories.includes('schema') ? target.mutations.filter(m => config.locations.includes(m.location)) : [])
+                .map(mutation => ({ ...mutation, endpoint: target.endpoint, reference }));
+            prepared.push({ target, reference, plan });
+        });
+        if (prepared.length === 0) {
+            throw new FuzzerError(`Target did not answer the baseline request: ${stats.skipped[0].error}`, 502);
+        }
+        if (targets.length === 1) stats.baseline = { status: prepared[0].reference.status, medianMs: prepared[0].reference.medianMs };
+
+        // Endpoints take turns, so a truncated plan still covers all of them
+        prepared.sort((a, b) => targets.indexOf(a.target) - targets.indexOf(b.target));
+        let plan = [];
+        for (let i = 0; prepared.some(entry => i < entry.plan.length); i++) {
+            prepared.forEach(entry => {
+                if (i < entry.plan.length) plan.push(entry.plan[i]);
+            });
+        }
+        stats.planned = plan.length;
+        if (plan.length > config.maxRequests) {
+            plan = plan.slice(0, config.maxRequests);
+            stats.truncated = true;
+        }
+
+        const findings = new Map();
+        const record = (finding) => {
+            const key = `${finding.endpoint}|${finding.oracle}|${finding.category}|${finding.location}|${finding.parameter}`;
+            const existing = findings.get(key);
+            if (existing) existing.hits++;
+            else findings.set(key, { ...finding, hits: 1 });
+        };
+
+        await this.runPool(plan, config.concurrency, async (mutation) => {
+            const response = await send(this.toRequest(mutation.request));
+            for (const finding of this.evaluate(mutation, response, mutation.reference, config)) {
+                if (finding.oracle === 'timing') {
+                    // Confirm with a second request, so a slow moment of the target is not reported
+                    const again = await send(this.toRequest(mutation.request));
+                    if (!this.isDelayed(again, mutation.reference, config)) continue;
+                    finding.evidence = `${finding.evidence}; confirmed at ${again.timeMs}ms`;
                 }
+                record(finding);
             }
+        });
+
+        const sorted = [...findings.values()].sort((a, b) =>
+            SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+            a.endpoint.localeCompare(b.endpoint) || a.location.localeCompare(b.location) || a.parameter.localeCompare(b.parameter));
+        return { status: 'completed', stats, findings: sorted };
+    }
+
+    /**
+     * Run `task` over `items` with at most `concurrency` in flight
+     */
+    async runPool(items, concurrency, task) {
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length) await task(items[next++]);
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, items.length || 1) }, worker));
+    }
+
+    /**
+     * { method, url, path, pathParams, query, body, headers } of the baseline request;
+     * `path` may hold `{name}` placeholders filled from `pathParams`
+     */
+    buildBaseline(url, method, baseParams) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new FuzzerError(`Invalid target URL: ${url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) throw new FuzzerError('Only http and https targets can be fuzzed');
+
+        const verb = String(method || 'POST').toUpperCase();
+        const params = baseParams && typeof baseParams === 'object' ? baseParams : {};
+        const structured = ['query', 'body', 'headers'].some(key => key in params);
+        const bodyless = BODYLESS_METHODS.includes(verb);
+
+        const query = Object.fromEntries(parsed.searchParams.entries());
+        Object.assign(query, structured ? params.query : bodyless ? params : {});
+        const body = bodyless ? undefined : structured ? params.body : params;
+        parsed.search = '';
+
+        return {
+            method: verb,
+            url: parsed,
+            path: parsed.pathname,
+            pathParams: {},
+            query: Object.fromEntries(Object.entries(query || {}).map(([key, value]) => [key, String(value)])),
+            body: body === undefined || body === null ? undefined : body,
+            headers: { ...((structured && params.headers) || {}) }
+        };
+    }
+
+    resolveConfig(options = {}) {
+        const config = {};
+        Object.keys(DEFAULTS).forEach(key => {
+            const value = options[key] === undefined ? DEFAULTS[key] : Number(options[key]);
+            if (!Number.isFinite(value) || value < (key === 'baselineSamples' ? 1 : 0) || (value === 0 && key !== 'timingDelayMs')) {
+                throw new FuzzerError(`${key} must be a positive number`);
+            }
+            config[key] = Math.min(value, LIMITS[key]);
+        });
+
+        const available = [...Object.keys(this.fuzzPayloads), 'schema'];
+        const categories = options.categories || available;
+        const unknown = [].concat(categories).filter(category => !available.includes(category));
+        if (unknown.length) throw new FuzzerError(`Unknown payload categories: ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+        config.categories = [].concat(categories);
+
+        const locations = options.locations || LOCATIONS;
+        const badLocations = [].concat(locations).filter(location => !LOCATIONS.includes(location));
+        if (badLocations.length) throw new FuzzerError(`Unknown parameter locations: ${badLocations.join(', ')}. Available: ${LOCATIONS.join(', ')}`);
+        config.locations = [].concat(locations);
+        return config;
+    }
+
+    /**
+     * Loopback targets are always allowed; any other host has to be listed in
+     * FUZZ_ALLOWED_TARGETS (comma separated `host` or `host:port`)
+     */
+    async assertAuthorizedTarget(url) {
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        const allowed = (process.env.FUZZ_ALLOWED_TARGETS || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+        if (allowed.includes(host.toLowerCase()) || allowed.includes(url.host.toLowerCase())) return;
+
+        let addresses;
+        try {
+            addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true })).map(entry => entry.address);
+        } catch (error) {
+            throw new FuzzerError(`Cannot resolve target host ${host}`);
+        }
+        const loopback = address => /^127\./.test(address) || address === '::1' || /^::ffff:127\./i.test(address);
+        if (addresses.length === 0 || !addresses.every(loopback)) {
+            throw new FuzzerError(`Fuzzing is limited to local targets; add ${url.host} to FUZZ_ALLOWED_TARGETS to authorize it`, 403);
         }
+    }
+
+    /**
+     * Every (location, parameter, payload, strategy) mutation of the baseline
+     */
+    planMutations(baseline, config) {
+        const mutations = [];
+        const payloads = config.categories.filter(category => this.fuzzPayloads[category]).flatMap(category => this.fuzzPayloads[category].map(payload => ({
+            category,
+            payload: typeof payload === 'string' ? payload.replace(/\{delay\}/g, String(config.timingDelayMs / 1000)) : payload,
+            timing: typeof payload === 'string' && payload.includes('{delay}')
+        })));
+
+        const add = (location, parameter, strategy, item, request) => {
+            mutations.push({ location, parameter, strategy, category: item.category, payload: item.payload, timing: item.timing, request });
+        };
+
+        if (config.locations.includes('path')) {
+            Object.entries(baseline.pathParams || {}).forEach(([name, value]) => {
+                payloads.filter(item => typeof item.payload === 'string').forEach(item => {
+                    add('path', name, 'replace', item, { ...baseline, pathParams: { ...baseline.pathParams, [name]: item.payload } });
+                    if (value) add('path', name, 'append', item, { ...baseline, pathParams: { ...baseline.pathParams, [name]: value + item.payload } });
+                });
+            });
+        }
+
+        if (config.locations.includes('query')) {
+            Object.entries(baseline.query).forEach(([name, value]) => {
+                payloads.forEach(item => {
+                    if (typeof item.payload === 'string') {
+                        add('query', name, 'replace', item, { ...baseline, query: { ...baseline.query, [name]: item.payload } });
+                        if (value) add('query', name, 'append', item, { ...baseline, query: { ...baseline.query, [name]: value + item.payload } });
+                    } else {
+                        const [operator, operand] = Object.entries(item.payload)[0];
+                        const query = { ...baseline.query };
+                        delete query[name];
+                        query[`${name}[${operator}]`] = operand === null ? '' : String(operand);
+                        add('query', name, 'operator', item, { ...baseline, query });
+                    }
+                });
+            });
+        }
+
+        if (config.locations.includes('body') && baseline.body !== undefined) {
+            this.leafPaths(baseline.body).forEach(({ path, value }) => {
+                const name = path.join('.');
+                payloads.forEach(item => {
+                    if (typeof item.payload === 'string') {
+                        add('body', name, 'replace', item, { ...baseline, body: this.setPath(baseline.body, path, item.payload) });
+                        if (typeof value === 'string' && value) {
+                            add('body', name, 'append', item, { ...baseline, body: this.setPath(baseline.body, path, value + item.payload) });
+                        }
+                    } else {
+                        add('body', name, 'operator', item, { ...baseline, body: this.setPath(baseline.body, path, item.payload) });
+                    }
+                });
+            });
+        }
+
+        if (config.locations.includes('headers')) {
+            Object.entries(baseline.headers).forEach(([name, value]) => {
+                payloads
+                    // Header values are Latin-1 without line breaks
+                    .filter(item => typeof item.payload === 'string' && /^[\x20-\x7e]*$/.test(item.payload) && item.payload.length <= 8192)
+                    .forEach(item => {
+                        add('headers', name, 'replace', item, { ...baseline, headers: { ...baseline.headers, [name]: item.payload } });
+                        if (value) add('headers', name, 'append', item, { ...baseline, headers: { ...baseline.headers, [name]: `${value}${item.payload}` } });
+                    });
+            });
+        }
+
+        return mutations;
+    }
 
-        this.isFuzzing = false;
-        return vulnerabilitiesFound;
+    /**
+     * Paths of the scalar values of a JSON value, e.g. [['user', 'name'], ['tags', 0]]
+     */
+    leafPaths(value, path = []) {
+        if (Array.isArray(value)) return value.flatMap((item, index) => this.leafPaths(item, [...path, index]));
+        if (value && typeof value === 'object') {
+            return Object.entries(value).flatMap(([key, item]) => this.leafPaths(item, [...path, key]));
+        }
+        return path.length ? [{ path, value }] : [];
+    }
+
+    setPath(value, path, replacement) {
+        if (path.length === 0) return replacement;
+        const copy = Array.isArray(value) ? [...value] : { ...value };
+        copy[path[0]] = this.setPath(value[path[0]], path.slice(1), replacement);
+        return copy;
+    }
+
+    toRequest(spec) {
+        const url = new URL(spec.url.href);
+        url.pathname = spec.path.replace(/\{([^}]+)\}/g, (placeholder, name) =>
+            (spec.pathParams && name in spec.pathParams ? encodeURIComponent(spec.pathParams[name]) : placeholder));
+        Object.entries(spec.query).forEach(([key, value]) => url.searchParams.append(key, value));
+        const headers = { ...spec.headers };
+        let body;
+        if (spec.body !== undefined && !BODYLESS_METHODS.includes(spec.method)) {
+            body = JSON.stringify(spec.body);
+            if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) headers['Content-Type'] = 'application/json';
+        }
+        return { method: spec.method, url: url.href, headers, body };
     }
 
     /**
-     * Internal: Execute a single fuzzing request
+     * One request; network failures and timeouts come back as `error`. A 429 is
+     * retried after its Retry-After (or a short backoff), up to MAX_RETRIES times.
      */
-    async executeFuzz(url, method, type, payload, baseParams) {
-        // Mocking the request/response logic
-        const startTime = Date.now();
-        console.log(`🔎 [Fuzzer] Testing ${type} with payload: ${payload.substring(0, 20)}...`);
-
-        // Simulate network latency
-        await new Promise(resolve => setTimeout(resolve, 50));
-
-        let isVulnerable = false;
-        let reason = '';
-
-        // Mock detection logic
-        if (type === 'sql_injection' && Math.random() > 0.95) {
-            isVulnerable = true;
-            reason = 'Database error message leaked in response.';
-        } else if (type === 'overflow' && Math.random() > 0.98) {
-            isVulnerable = true;
-            reason = 'Service timed out (Potential DoS).';
-        } else if (type === 'nosql' && Math.random() > 0.97) {
-            isVulnerable = true;
-            reason = 'Bypass detected via NoSQL injection operator.';
-        }
-
-        const threat = isVulnerable ? {
-            type: 'VULNERABILITY',
-            severity: 'CRITICAL',
-            target: url,
-            description: `Potential ${type.toUpperCase()} vulnerability detected via payload: ${payload}. Reason: ${reason}`,
-            remediation: this.getRemediation(type),
-            metadata: {
-                payload,
-                type,
-                responseTime: Date.now() - startTime
+    async send(request, timeoutMs) {
+        let retries = 0;
+        for (;;) {
+            const response = await this.sendOnce(request, timeoutMs);
+            if (response.status !== 429 || retries === MAX_RETRIES) return { ...response, retries };
+            const retryAfter = Number(response.retryAfter);
+            await sleep(Math.min(Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : 200 * 2 ** retries, 5000));
+            retries++;
+        }
+    }
+
+    async sendOnce(request, timeoutMs) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        const started = Date.now();
+        try {
+            const res = await fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                redirect: 'manual',
+                signal: controller.signal
+            });
+            const body = await this.readBody(res);
+            return {
+                status: res.status,
+                contentType: res.headers.get('content-type') || '',
+                retryAfter: res.headers.get('retry-after'),
+                body,
+                timeMs: Date.now() - started
+            };
+        } catch (error) {
+            const timedOut = error.name === 'AbortError';
+            return { error: timedOut ? `timed out after ${timeoutMs}ms` : error.message, timedOut, timeMs: Date.now() - started };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async readBody(res) {
+        if (!res.body) return '';
+        const reader = res.body.getReader();
+        const chunks = [];
+        let size = 0;
+        while (size < MAX_RESPONSE_BYTES) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            size += value.length;
+        }
+        await reader.cancel().catch(() => {});
+        return Buffer.concat(chunks).subarray(0, MAX_RESPONSE_BYTES).toString('utf8');
+    }
+
+    /**
+     * Findings of the response oracles for one mutated request
+     */
+    evaluate(mutation, response, reference, config) {
+        const findings = [];
+        const payloadText = typeof mutation.payload === 'string' ? mutation.payload : JSON.stringify(mutation.payload);
+        const finding = (oracle, severity, description, evidence, category = mutation.category) => findings.push({
+            oracle,
+            category,
+            severity,
+            endpoint: mutation.endpoint,
+            location: mutation.location,
+            parameter: mutation.parameter,
+            strategy: mutation.strategy,
+            payload: payloadText.length > MAX_EVIDENCE_CHARS ? `${payloadText.slice(0, MAX_EVIDENCE_CHARS)}… (${payloadText.length} chars)` : payloadText,
+            statusCode: response.status === undefined ? null : response.status,
+            responseTime: response.timeMs,
+            evidence,
+            description,
+            remediation: this.getRemediation(category)
+        });
+        const where = `${mutation.location} parameter "${mutation.parameter}" of ${mutation.endpoint}`;
+        const what = mutation.category === 'schema' ? `invalid input (${mutation.constraint})` : `${mutation.category.replace('_', ' ')} payload`;
+
+        if (mutation.timing && this.isDelayed(response, reference, config)) {
+            const kind = mutation.category === 'os_command' ? 'command' : 'SQL';
+            finding('timing', 'CRITICAL', `Time-based ${kind} injection: a sleep payload in the ${where} delayed the response.`,
+                `${response.timedOut ? 'timed out' : `${response.timeMs}ms`} vs. ${reference.medianMs}ms baseline`);
+        }
+        if (response.error) return findings;
+
+        const body = response.body || '';
+        for (const signature of DB_ERROR_SIGNATURES) {
+            const match = signature.pattern.exec(body);
+            if (match && !reference.bodies.some(baselineBody => signature.pattern.test(baselineBody))) {
+                finding('db-error', 'HIGH', `${signature.engine} error returned for ${what} in the ${where}.`,
+                    this.excerpt(body, match.index), signature.engine === 'MongoDB' ? 'nosql' : 'sql_injection');
+                break;
+            }
+        }
+
+        for (const signature of FILE_SIGNATURES) {
+            const match = signature.exec(body);
+            if (match && !reference.bodies.some(baselineBody => signature.test(baselineBody))) {
+                finding('file-disclosure', 'CRITICAL', `System file contents returned for ${what} in the ${where}.`,
+                    this.excerpt(body, match.index));
+                break;
             }
-        } : null;
+        }
+
+        if (mutation.category === 'xss' && body.includes(payloadText)) {
+            const html = !response.contentType || /html|xml/i.test(response.contentType);
+            finding('reflected-payload', html ? 'HIGH' : 'LOW',
+                html
+                    ? `The ${where} is reflected unescaped into an HTML response.`
+                    : `The ${where} is reflected unescaped into a ${response.contentType.split(';')[0]} response.`,
+                this.excerpt(body, body.indexOf(payloadText)));
+        }
+
+        if (response.status >= 500 && reference.status < 500) {
+            const trace = STACK_TRACE.exec(body);
+            finding('server-error', trace ? 'HIGH' : 'MEDIUM',
+                `${what[0].toUpperCase()}${what.slice(1)} in the ${where} made the server fail with ${response.status}${trace ? ' and leak a stack trace' : ''}.`,
+                this.excerpt(body, trace ? trace.index : 0));
+        }
+
+        if ([401, 403].includes(reference.status) && response.status >= 200 && response.status < 300 &&
+            ['sql_injection', 'nosql'].includes(mutation.category)) {
+            finding('status-change', 'CRITICAL', `Access check bypassed: the ${where} turned a ${reference.status} into ${response.status}.`,
+                this.excerpt(body, 0));
+        }
 
-        return { isVulnerable, threat };
+        // Only documented schemas say what has to be rejected
+        if (mutation.category === 'schema' && mutation.documented && response.status >= 200 && response.status < 300 &&
+            reference.status >= 200 && reference.status < 300) {
+            finding('schema-bypass', 'LOW', `Invalid input accepted: the ${where} breaks \`${mutation.constraint}\` of its schema and was answered ${response.status}.`,
+                this.excerpt(body, 0));
+        }
+
+        return findings;
+    }
+
+    isDelayed(response, reference, config) {
+        if (config.timingDelayMs <= 0) return false;
+        if (response.timedOut) return config.timeoutMs >= config.timingDelayMs;
+        return response.timeMs >= reference.maxMs + config.timingDelayMs * 0.8;
+    }
+
+    excerpt(body, index) {
+        const start = Math.max(0, index - 40);
+        return body.slice(start, start + MAX_EVIDENCE_CHARS).replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Space request starts at least 1/requestsPerSecond apart
+     */
+    createLimiter(requestsPerSecond) {
+        const interval = 1000 / requestsPerSecond;
+        let nextSlot = 0;
+        return async () => {
+            const now = Date.now();
+            const slot = Math.max(now, nextSlot);
+            nextSlot = slot + interval;
+            if (slot > now) await sleep(slot - now);
+        };
     }
 
     getRemediation(type) {
@@ -94,15 +628,27 @@ class FuzzerEngine {
             sql_injection: "Use parameterized queries or ORM to sanitize database inputs.",
             xss: "Implement Content Security Policy (CSP) and use escape functions for all user output.",
             os_command: "Avoid executing system commands directly. Use library-level abstractions.",
+            path_traversal: "Resolve requested paths against a fixed base directory and reject any that escape it.",
             overflow: "Implement strict input length validation and rate limiting.",
-            nosql: "Sanitize input objects and avoid direct use of query operators from user input."
+            nosql: "Sanitize input objects and avoid direct use of query operators from user input.",
+            schema: "Validate requests against the API schema and reject invalid input with 400."
         };
         return remediations[type] || "General input validation hardening.";
     }
 
-    getHistory() {
-        return this.fuzzHistory;
+    /**
+     * Persisted sessions, newest first
+     */
+    async getHistory(limit = 20) {
+        return fuzzSessionModel.listSessions(limit);
+    }
+
+    async getSession(id) {
+        const session = await fuzzSessionModel.getSession(id);
+        if (!session) throw new FuzzerError(`Fuzzing session ${id} not found`, 404);
+        return session;
     }
 }
 
 module.exports = new FuzzerEngine();
+module.exports.FuzzerError = FuzzerError;
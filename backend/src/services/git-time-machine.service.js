@@ -1,97 +1,318 @@
 /**
  * Git Time Machine Service
- * Processes git history to generate temporal metadata for 4D visualization.
+ * Reads git history from a local clone to generate temporal metadata for 4D visualization.
+ *
+ * History is read by running `git` (execFile, no shell) against the repository
+ * given by `repoPath`, falling back to TIME_TRAVEL_REPO_PATH or the process cwd.
+ * Paths sent by clients are confined to TIME_TRAVEL_REPOS_DIR
+ * (see resolveRequestedRepository).
  */
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const path = require('path');
+const { isInside, realPath, resolveInside } = require('../utils/repo-path');
+
+const execFileAsync = promisify(execFile);
+
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+const MAX_BUFFER = 64 * 1024 * 1024;
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const CHANGE_TYPES = { A: 'add', D: 'delete', M: 'modify', T: 'modify', C: 'add' };
+const TEST_FILE_PATTERN = /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[jt]sx?$/i;
+
+class GitRepositoryError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'GitRepositoryError';
+        this.statusCode = statusCode;
+    }
+}
+
 class GitTimeMachineService {
+    constructor() {
+        this.bugFixPattern = /\b(fix(e[sd])?|bug|issue|resolve[sd]?|patch|hotfix|revert)\b/i;
+        this.timelineCache = new Map(); // `${repo}|${head}|${options}` -> timeline
+    }
+
     /**
-     * Retrieves the commit timeline for the repository.
-     * @param {string} repoPath 
+     * Resolve and validate the repository root.
+     * @param {string} repoPath
      */
-    async getTimeline(repoPath) {
-        // Mock data representing a git log history
-        // In a real implementation, this would run `git log` and parse the output
-        const timeline = [
-            {
-                hash: 'a1b2c3d',
-                message: 'feat: Initial project setup',
-                author: 'Satoshi',
-                date: '2023-01-01T10:00:00Z',
-                changes: [
-                    { file: 'src/app.js', type: 'add' },
-                    { file: 'package.json', type: 'add' }
-                ]
-            },
-            {
-                hash: 'e5f6g7h',
-                message: 'feat: Add authentication module',
-                author: 'Vitalik',
-                date: '2023-01-05T14:30:00Z',
-                changes: [
-                    { file: 'src/auth.service.js', type: 'add' },
-                    { file: 'src/app.js', type: 'modify' }
-                ]
-            },
-            {
-                hash: 'i8j9k0l',
-                message: 'fix: Resolve login race condition',
-                author: 'Linus',
-                date: '2023-01-10T09:15:00Z',
-                changes: [
-                    { file: 'src/auth.service.js', type: 'modify' }
-                ]
-            },
-            {
-                hash: 'm1n2o3p',
-                message: 'feat: Implement dashboard statistics',
-                author: 'Ada',
-                date: '2023-01-15T16:45:00Z',
-                changes: [
-                    { file: 'src/dashboard.js', type: 'add' },
-                    { file: 'src/styles/dash.css', type: 'add' }
-                ]
-            },
-            {
-                hash: 'q4r5s6t',
-                message: 'refactor: Move utils to shared folder',
-                author: 'Grace',
-                date: '2023-01-20T11:20:00Z',
-                changes: [
-                    { file: 'src/utils.js', type: 'delete' },
-                    { file: 'src/shared/utils.js', type: 'add' }
-                ]
-            },
-            {
-                hash: 'u7v8w9x',
-                message: 'fix: Memory leak in graph rendering',
-                author: 'Alan',
-                date: '2023-01-25T13:00:00Z',
-                changes: [
-                    { file: 'src/dashboard.js', type: 'modify' },
-                    { file: 'src/graph.js', type: 'modify' }
-                ]
-            }
+    async resolveRepository(repoPath) {
+        const candidate = path.resolve(repoPath || process.env.TIME_TRAVEL_REPO_PATH || process.cwd());
+        try {
+            const { stdout } = await execFileAsync('git', ['rev-parse', '--show-toplevel'], { cwd: candidate });
+            return stdout.trim();
+        } catch (error) {
+            throw new GitRepositoryError(`Not a git repository: ${candidate}`);
+        }
+    }
+
+    /**
+     * Repository named by a client request. `repoPath` is resolved inside the
+     * directory in `rootVar` (default: the working directory) and the work tree
+     * it belongs to must lie there too; without it the default repository is read.
+     * @param {string} [repoPath]
+     * @param {string} [rootVar] - environment variable naming the allowed root
+     */
+    async resolveRequestedRepository(repoPath, rootVar = 'TIME_TRAVEL_REPOS_DIR') {
+        if (!repoPath) return this.resolveRepository();
+
+        const baseDir = path.resolve(process.env[rootVar] || process.cwd());
+        const scope = process.env[rootVar] ? rootVar : 'the server working directory';
+        const candidate = resolveInside(baseDir, repoPath);
+        if (!candidate) throw new GitRepositoryError(`repoPath must be inside ${scope}`, 403);
+
+        const repo = await this.resolveRepository(candidate);
+        if (!isInside(realPath(baseDir), realPath(repo))) {
+            throw new GitRepositoryError(`repoPath must be a repository inside ${scope}`, 403);
+        }
+        return repo;
+    }
+
+    /**
+     * Commit count for a history query: DEFAULT_LIMIT when unset, at most MAX_LIMIT.
+     */
+    resolveLimit(limit) {
+        return Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    }
+
+    async git(repoPath, args) {
+        try {
+            const { stdout } = await execFileAsync('git', ['-c', 'core.quotePath=false', ...args], {
+                cwd: repoPath,
+                maxBuffer: MAX_BUFFER
+            });
+            return stdout;
+        } catch (error) {
+            throw new GitRepositoryError(`git ${args[0]} failed: ${(error.stderr || error.message).trim()}`, 422);
+        }
+    }
+
+    /**
+     * Guard revisions passed to git so they can never be read as options.
+     */
+    assertRevision(revision) {
+        if (typeof revision !== 'string' || !/^[\w][\w./~^@{}-]*$/.test(revision) || revision.includes('..')) {
+            throw new GitRepositoryError(`Invalid revision: ${revision}`);
+        }
+        return revision;
+    }
+
+    /**
+     * Retrieves the commit timeline for the repository (oldest first).
+     * @param {string} repoPath
+     * @param {Object} options - { limit, since, until, ref, paths }
+     */
+    async getTimeline(repoPath, options = {}) {
+        const repo = await this.resolveRepository(repoPath);
+        const ref = this.assertRevision(options.ref || 'HEAD');
+        const limit = this.resolveLimit(options.limit);
+
+        const head = (await this.git(repo, ['rev-parse', ref])).trim();
+        const cacheKey = `${repo}|${head}|${limit}|${options.since || ''}|${options.until || ''}|${(options.paths || []).join(',')}`;
+        if (this.timelineCache.has(cacheKey)) return this.timelineCache.get(cacheKey);
+
+        const args = [
+            'log',
+            ref,
+            `--max-count=${limit}`,
+            '--no-renames',
+            '--raw',
+            '--numstat',
+            `--format=${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%P${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%ae${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%s`
         ];
+        if (options.since) args.push(`--since=${options.since}`);
+        if (options.until) args.push(`--until=${options.until}`);
+        if (options.paths && options.paths.length) args.push('--', ...options.paths);
+
+        const timeline = this.parseLog(await this.git(repo, args)).reverse();
 
-        return timeline.reverse(); // Serve chronological order if needed, or keeping reverse chrono
+        if (this.timelineCache.size > 20) this.timelineCache.clear();
+        this.timelineCache.set(cacheKey, timeline);
+        return timeline;
     }
 
     /**
-     * Simulates the file tree state at a specific commit hash.
-     * @param {string} commitHash 
+     * Parse `git log --raw --numstat` output produced with the record format above.
      */
-    async getFileTreeAtCommit(commitHash) {
-        // Mock state regeneration
+    parseLog(output) {
+        return output.split(RECORD_SEPARATOR).filter(Boolean).map(record => {
+            const [header, ...lines] = record.split('\n');
+            const [hash, parents, author, email, date, message] = header.split(FIELD_SEPARATOR);
+            const changes = new Map();
+
+            lines.forEach(line => {
+                if (line.startsWith(':')) {
+                    const [meta, file] = line.split('\t');
+                    const status = meta.split(' ').pop().charAt(0);
+                    changes.set(file, { file, type: CHANGE_TYPES[status] || 'modify', additions: 0, deletions: 0 });
+                    return;
+                }
+                const numstat = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+                if (numstat) {
+                    const change = changes.get(numstat[3]) || { file: numstat[3], type: 'modify' };
+                    change.additions = numstat[1] === '-' ? 0 : parseInt(numstat[1], 10);
+                    change.deletions = numstat[2] === '-' ? 0 : parseInt(numstat[2], 10);
+                    change.binary = numstat[1] === '-';
+                    changes.set(numstat[3], change);
+                }
+            });
+
+            const changeList = Array.from(changes.values());
+            return {
+                hash,
+                shortHash: hash.slice(0, 7),
+                parents: parents ? parents.split(' ') : [],
+                author,
+                email,
+                date,
+                message,
+                isMerge: parents.split(' ').length > 1,
+                changes: changeList,
+                stats: {
+                    filesChanged: changeList.length,
+                    additions: changeList.reduce((sum, c) => sum + (c.additions || 0), 0),
+                    deletions: changeList.reduce((sum, c) => sum + (c.deletions || 0), 0)
+                }
+            };
+        });
+    }
+
+    /**
+     * Commit DAG across all refs: nodes with parent/child links plus branch and tag heads.
+     * @param {string} repoPath
+     * @param {Object} options - { limit }
+     */
+    async getCommitGraph(repoPath, options = {}) {
+        const repo = await this.resolveRepository(repoPath);
+        const limit = this.resolveLimit(options.limit);
+
+        const [logOutput, refOutput] = await Promise.all([
+            this.git(repo, ['log', '--all', '--topo-order', `--max-count=${limit}`, `--format=%H${FIELD_SEPARATOR}%P${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%s`]),
+            this.git(repo, ['for-each-ref', `--format=%(objectname)${FIELD_SEPARATOR}%(*objectname)${FIELD_SEPARATOR}%(refname)`, 'refs/heads', 'refs/tags', 'refs/remotes'])
+        ]);
+
+        const nodes = new Map();
+        logOutput.split('\n').filter(Boolean).forEach(line => {
+            const [hash, parents, author, date, message] = line.split(FIELD_SEPARATOR);
+            nodes.set(hash, { hash, parents: parents ? parents.split(' ') : [], children: [], refs: [], author, date, message });
+        });
+
+        const edges = [];
+        nodes.forEach(node => {
+            node.parents.forEach(parent => {
+                edges.push({ from: parent, to: node.hash });
+                if (nodes.has(parent)) nodes.get(parent).children.push(node.hash);
+            });
+        });
+
+        const heads = [];
+        const tags = [];
+        refOutput.split('\n').filter(Boolean).forEach(line => {
+            const [object, peeled, refname] = line.split(FIELD_SEPARATOR);
+            const target = peeled || object; // annotated tags point at the tagged commit
+            const name = refname.replace(/^refs\/(heads|tags|remotes)\//, '');
+            (refname.startsWith('refs/tags/') ? tags : heads).push({ name, commit: target });
+            if (nodes.has(target)) nodes.get(target).refs.push(name);
+        });
+
+        return {
+            nodes: Array.from(nodes.values()),
+            edges,
+            heads,
+            tags,
+            roots: Array.from(nodes.values()).filter(n => n.parents.length === 0).map(n => n.hash)
+        };
+    }
+
+    /**
+     * File tree state at a specific commit.
+     * @param {string} commitHash
+     * @param {string} repoPath
+     */
+    async getFileTreeAtCommit(commitHash, repoPath) {
+        const repo = await this.resolveRepository(repoPath);
+        const commit = this.assertRevision(commitHash);
+        const output = await this.git(repo, ['ls-tree', '-r', '-l', '-z', commit]);
+
+        const files = output.split('\0').filter(Boolean).map(entry => {
+            const [meta, filePath] = entry.split('\t');
+            const [mode, type, object, size] = meta.split(/\s+/);
+            return { path: filePath, size: size === '-' ? 0 : parseInt(size, 10), mode, type, object };
+        }).filter(entry => entry.type === 'blob');
+
         return {
-            commit: commitHash,
-            files: [
-                { path: 'src/app.js', size: 1200 },
-                { path: 'src/auth.service.js', size: 850 },
-                { path: 'src/dashboard.js', size: 2300 },
-                { path: 'src/shared/utils.js', size: 400 }
-            ]
+            commit: (await this.git(repo, ['rev-parse', `${commit}^{commit}`])).trim(),
+            files,
+            fileCount: files.length,
+            totalSize: files.reduce((sum, f) => sum + f.size, 0)
         };
     }
 
+    /**
+     * Per-file churn and authorship aggregated over the timeline.
+     * @param {string} repoPath
+     * @param {Object} options - same as getTimeline
+     */
+    async getFileChurn(repoPath, options = {}) {
+        const timeline = await this.getTimeline(repoPath, options);
+        const files = new Map();
+
+        timeline.forEach(commit => {
+            const isFix = this.isBugFixCommit(commit);
+            commit.changes.forEach(change => {
+                if (!files.has(change.file)) {
+                    files.set(change.file, {
+                        file: change.file,
+                        commits: 0,
+                        additions: 0,
+                        deletions: 0,
+                        fixCommits: 0,
+                        firstCommit: commit.hash,
+                        firstSeen: commit.date,
+                        authors: new Map()
+                    });
+                }
+                const entry = files.get(change.file);
+                const lines = (change.additions || 0) + (change.deletions || 0);
+                entry.commits++;
+                entry.additions += change.additions || 0;
+                entry.deletions += change.deletions || 0;
+                if (isFix) entry.fixCommits++;
+                entry.lastCommit = commit.hash;
+                entry.lastModified = commit.date;
+                entry.deleted = change.type === 'delete';
+
+                const author = entry.authors.get(commit.email) || { name: commit.author, email: commit.email, commits: 0, lines: 0 };
+                author.commits++;
+                author.lines += lines;
+                entry.authors.set(commit.email, author);
+            });
+        });
+
+        return Array.from(files.values()).map(entry => {
+            const totalLines = entry.additions + entry.deletions;
+            const authors = Array.from(entry.authors.values())
+                .map(a => ({ ...a, ownership: totalLines ? Math.round((a.lines / totalLines) * 100) : Math.round((a.commits / entry.commits) * 100) }))
+                .sort((a, b) => b.lines - a.lines || b.commits - a.commits);
+            return {
+                ...entry,
+                churn: totalLines,
+                authors,
+                primaryAuthor: authors[0] ? authors[0].name : null
+            };
+        }).sort((a, b) => b.churn - a.churn);
+    }
+
+    isBugFixCommit(commit) {
+        return this.bugFixPattern.test(commit.message || '');
+    }
+
     /**
      * FORENSIC TIME-TRAVEL: Health Snapshot Aggregation
      * Aggregates weekly "Health Stats" from git history
@@ -99,62 +320,78 @@ class GitTimeMachineService {
      * @param {number} weeksBack - Number of weeks to analyze (default: 26 = 6 months)
      */
     async aggregateHealthSnapshots(repoPath, weeksBack = 26) {
-        const snapshots = [];
         const now = new Date();
+        const timeline = await this.getTimeline(repoPath, { limit: MAX_LIMIT, until: now.toISOString() });
+        const snapshots = [];
 
-        for (let week = 0; week < weeksBack; week++) {
-            const weekDate = new Date(now);
-            weekDate.setDate(weekDate.getDate() - (week * 7));
-
-            // Simulate health metrics for each week
-            const snapshot = await this.calculateWeeklyHealth(repoPath, weekDate, week);
+        let previous = null;
+        for (let week = weeksBack - 1; week >= 0; week--) {
+            const weekDate = new Date(now.getTime() - week * WEEK_MS);
+            const snapshot = await this.calculateWeeklyHealth(repoPath, weekDate, week, timeline, previous);
             snapshots.push(snapshot);
+            previous = snapshot;
         }
 
-        return snapshots.reverse(); // Return chronological order
+        return snapshots; // Chronological order
     }
 
     /**
-     * Calculate health metrics for a specific week
-     * @param {string} repoPath 
-     * @param {Date} weekDate 
-     * @param {number} weekIndex 
+     * Calculate health metrics for the week ending at weekDate
+     * @param {string} repoPath
+     * @param {Date} weekDate
+     * @param {number} weekIndex
+     * @param {Array} timeline - preloaded timeline (read from git when omitted)
+     * @param {Object} previous - previous week's snapshot, carried over for idle weeks
      */
-    async calculateWeeklyHealth(repoPath, weekDate, weekIndex) {
-        // Simulate realistic health degradation/improvement over time
-        const baseComplexity = 45;
-        const baseRisk = 35;
-        const baseBuildSpeed = 120; // seconds
+    async calculateWeeklyHealth(repoPath, weekDate, weekIndex, timeline = null, previous = null) {
+        const end = weekDate.getTime();
+        const start = end - WEEK_MS;
+        const history = timeline || await this.getTimeline(repoPath, { limit: MAX_LIMIT, until: weekDate.toISOString() });
+
+        const upToEnd = history.filter(c => new Date(c.date).getTime() <= end && !c.isMerge);
+        const commits = upToEnd.filter(c => new Date(c.date).getTime() > start);
 
-        // Add realistic variance and trends
-        const trendFactor = Math.sin(weekIndex / 4) * 10; // Cyclical pattern
-        const randomNoise = (Math.random() - 0.5) * 8;
+        const contributors = new Set(commits.map(c => c.email));
+        const churn = commits.reduce((sum, c) => sum + c.stats.additions + c.stats.deletions, 0);
+        const fixes = commits.filter(c => this.isBugFixCommit(c)).length;
+        const cumulativeFixes = upToEnd.filter(c => this.isBugFixCommit(c)).length;
 
-        const complexity = Math.max(10, Math.min(100, baseComplexity + trendFactor + randomNoise));
-        const riskScore = Math.max(0, Math.min(100, baseRisk - trendFactor + randomNoise));
-        const buildSpeed = Math.max(30, baseBuildSpeed + (weekIndex * 2) + randomNoise * 5);
+        const sourceCommits = commits.filter(c => c.changes.some(ch => !TEST_FILE_PATTERN.test(ch.file)));
+        const testedCommits = sourceCommits.filter(c => c.changes.some(ch => TEST_FILE_PATTERN.test(ch.file)));
+
+        let metrics;
+        if (commits.length === 0 && previous) {
+            metrics = { ...previous.metrics, codeChurn: 0 };
+        } else {
+            const avgChurn = commits.length ? churn / commits.length : 0;
+            metrics = {
+                // Average lines touched per commit on a log scale (10 → 21, 100 → 40, 1000 → 60)
+                complexity: Math.min(100, Math.round(20 * Math.log10(1 + avgChurn))),
+                // Share of the week's commits that were bug fixes
+                riskScore: commits.length ? Math.round((fixes / commits.length) * 100) : 0,
+                // Share of source-changing commits that also touched tests
+                testTouchRatio: sourceCommits.length ? Math.round((testedCommits.length / sourceCommits.length) * 100) : 0,
+                codeChurn: churn,
+                // Share of all commits so far that were bug fixes
+                technicalDebt: upToEnd.length ? Math.round((cumulativeFixes / upToEnd.length) * 100) : 0
+            };
+        }
 
-        // Calculate overall health score (0-100, higher is better)
         const healthScore = Math.round(
-            100 - (complexity * 0.3 + riskScore * 0.5 + (buildSpeed / 300) * 20)
+            100 - (metrics.complexity * 0.3 + metrics.riskScore * 0.4 + (100 - metrics.testTouchRatio) * 0.2 + metrics.technicalDebt * 0.1)
         );
 
         return {
             week: weekIndex,
             date: weekDate.toISOString().split('T')[0],
-            timestamp: weekDate.getTime(),
-            metrics: {
-                complexity: Math.round(complexity),
-                riskScore: Math.round(riskScore),
-                buildSpeed: Math.round(buildSpeed),
-                testCoverage: Math.max(60, Math.min(95, 75 + randomNoise)),
-                codeChurn: Math.max(5, Math.min(50, 20 + randomNoise * 2)),
-                technicalDebt: Math.max(10, Math.min(80, 35 + trendFactor))
-            },
+            timestamp: end,
+            metrics,
             healthScore: Math.max(0, Math.min(100, healthScore)),
             status: this.getHealthStatus(healthScore),
-            commitCount: Math.floor(Math.random() * 30) + 10,
-            contributors: Math.floor(Math.random() * 5) + 2
+            commitCount: commits.length,
+            fixCount: fixes,
+            contributors: contributors.size,
+            idle: commits.length === 0
         };
     }
 
@@ -193,23 +430,24 @@ class GitTimeMachineService {
         const totalDiff = after.timestamp - before.timestamp;
         const currentDiff = timestamp - before.timestamp;
         const ratio = totalDiff === 0 ? 0 : currentDiff / totalDiff;
+        const lerp = (a, b) => Math.round(a + (b - a) * ratio);
+
+        const metrics = {};
+        Object.keys(before.metrics).forEach(key => {
+            metrics[key] = lerp(before.metrics[key], after.metrics[key]);
+        });
+        const healthScore = lerp(before.healthScore, after.healthScore);
 
         return {
             date: new Date(timestamp).toISOString().split('T')[0],
             timestamp: timestamp,
-            metrics: {
-                complexity: Math.round(before.metrics.complexity + (after.metrics.complexity - before.metrics.complexity) * ratio),
-                riskScore: Math.round(before.metrics.riskScore + (after.metrics.riskScore - before.metrics.riskScore) * ratio),
-                buildSpeed: Math.round(before.metrics.buildSpeed + (after.metrics.buildSpeed - before.metrics.buildSpeed) * ratio),
-                testCoverage: Math.round(before.metrics.testCoverage + (after.metrics.testCoverage - before.metrics.testCoverage) * ratio),
-                codeChurn: Math.round(before.metrics.codeChurn + (after.metrics.codeChurn - before.metrics.codeChurn) * ratio),
-                technicalDebt: Math.round(before.metrics.technicalDebt + (after.metrics.technicalDebt - before.metrics.technicalDebt) * ratio)
-            },
-            healthScore: Math.round(before.healthScore + (after.healthScore - before.healthScore) * ratio),
-            status: this.getHealthStatus(Math.round(before.healthScore + (after.healthScore - before.healthScore) * ratio))
+            metrics,
+            healthScore,
+            status: this.getHealthStatus(healthScore)
         };
     }
 }
 
 module.exports = new GitTimeMachineService();
-
+module.exports.GitRepositoryError = GitRepositoryError;
+module.exports.MAX_LIMIT = MAX_LIMIT;
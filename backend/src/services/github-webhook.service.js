@@ -0,0 +1,402 @@
+/**
+ * GitHub Webhook Service
+ * Single ingress for GitHub webhook deliveries: verifies X-Hub-Signature-256,
+ * records every delivery, drops repeats of an X-GitHub-Delivery id and fans
+ * the typed event out to registered handlers (build monitor, War Room event
+ * stream, fleet deployments, watchlist notifications; server.js adds the
+ * globe). Stored deliveries can be replayed.
+ */
+
+const crypto = require('crypto');
+const deliveryModel = require('../models/webhook-delivery.model');
+const watchlistModel = require('../models/watchlist.model');
+const notificationModel = require('../models/notification.model');
+const buildMonitor = require('./build-monitor.service');
+const eventStream = require('./event-stream.service');
+const fleetService = require('./fleet-manager.service');
+const { emitToUser } = require('../socket/socket.server');
+
+const SUPPORTED_EVENTS = ['push', 'pull_request', 'workflow_run', 'deployment_status', 'issues'];
+
+// Workflow run conclusions the fleet records as deployments
+const DEPLOYMENT_CONCLUSIONS = ['success', 'failure', 'timed_out', 'startup_failure', 'cancelled'];
+
+// Watchlist notification per event, gated by the user's notification preference
+const WATCHLIST_NOTIFICATIONS = {
+    push: { type: 'push', preference: 'notify_commits' },
+    pull_request: { type: 'pr', preference: 'notify_prs', actions: ['opened', 'reopened', 'closed'] },
+    issues: { type: 'issue', preference: 'notify_issues', actions: ['opened', 'reopened', 'closed'] }
+};
+
+class WebhookError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'WebhookError';
+        this.statusCode = statusCode;
+    }
+}
+
+const firstLine = text => String(text || '').split('\n')[0];
+
+class GitHubWebhookService {
+    constructor() {
+        this.handlers = new Map();
+
+        this.registerHandler('build-monitor', ['workflow_run'], event => this.updateBuild(event));
+        this.registerHandler('event-stream', SUPPORTED_EVENTS, event => {
+            const streamEvent = this.toStreamEvent(event);
+            return streamEvent ? { eventId: eventStream.addEvent(streamEvent).id } : { skipped: true };
+        });
+        this.registerHandler('fleet', ['deployment_status', 'workflow_run'], event => this.recordDeployment(event));
+        this.registerHandler('watchlist', Object.keys(WATCHLIST_NOTIFICATIONS), event => this.notifyWatchers(event));
+    }
+
+    /**
+     * Subscribe to typed events. A handler returns a JSON-serialisable summary
+     * that is stored with the delivery; a thrown error marks the delivery failed.
+     * @param {string} name - Unique handler name, used when replaying
+     * @param {Array} events - GitHub event names (X-GitHub-Event)
+     * @param {Function} handle - async (event) => summary
+     */
+    registerHandler(name, events, handle) {
+        this.handlers.set(name, { events: new Set(events), handle });
+    }
+
+    /**
+     * Constant-time check of an `X-Hub-Signature-256: sha256=<hex>` header
+     */
+    verifySignature(rawBody, signature, secret) {
+        if (!signature || !rawBody) return false;
+        const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+        const a = Buffer.from(signature);
+        const b = Buffer.from(expected);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    /**
+     * Verify and record a delivery
+     * @param {Object} delivery - { id, event, signature, rawBody }
+     * @returns {Object} { delivery, duplicate }
+     */
+    async receive({ id, event, signature, rawBody }) {
+        const secret = process.env.GITHUB_WEBHOOK_SECRET;
+        if (!secret) {
+            throw new WebhookError('GITHUB_WEBHOOK_SECRET is not configured', 503);
+        }
+        if (!id || !event) {
+            throw new WebhookError('X-GitHub-Delivery and X-GitHub-Event headers are required');
+        }
+        if (!this.verifySignature(rawBody, signature, secret)) {
+            throw new WebhookError('Invalid X-Hub-Signature-256', 401);
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            throw new WebhookError('Webhook payload must be JSON');
+        }
+
+        const inserted = await deliveryModel.insertDelivery({
+            id,
+            event,
+            action: payload.action,
+            repository: payload.repository && payload.repository.full_name,
+            hookId: payload.hook_id,
+            payload: rawBody.toString('utf8'),
+            receivedAt: Date.now()
+        });
+
+        const delivery = await deliveryModel.getDelivery(id);
+        // GitHub redelivers with the same id; only a delivery that failed is processed again
+        return { delivery, duplicate: !inserted && delivery.status !== 'failed' };
+    }
+
+    /**
+     * Run the handlers subscribed to a stored delivery's event
+     * @param {string} id - Delivery id
+     * @param {Object} options - { handlers: names to run (default: all subscribed) }
+     * @returns {Object} The updated delivery
+     */
+    async process(id, options = {}) {
+        const delivery = await deliveryModel.getDelivery(id);
+        if (!delivery) throw new WebhookError(`Delivery ${id} not found`, 404);
+
+        const payload = JSON.parse(delivery.payload);
+        const event = {
+            deliveryId: delivery.id,
+            name: delivery.event,
+            action: payload.action || null,
+            repository: delivery.repository,
+            sender: payload.sender ? payload.sender.login : null,
+            payload
+        };
+
+        const selected = [...this.handlers.entries()].filter(([name, handler]) =>
+            handler.events.has(delivery.event) && (!options.handlers || options.handlers.includes(name))
+        );
+
+        // A partial replay keeps the results of handlers it did not rerun
+        const results = options.handlers ? { ...(delivery.results || {}) } : {};
+        for (const [name, handler] of selected) {
+            try {
+                results[name] = { ok: true, result: (await handler.handle(event)) || null };
+            } catch (error) {
+                console.error(`Webhook handler ${name} failed for delivery ${id}:`, error.message);
+                results[name] = { ok: false, error: error.message };
+            }
+        }
+
+        const failed = Object.keys(results).filter(name => !results[name].ok);
+        await deliveryModel.recordAttempt(id, {
+            status: Object.keys(results).length === 0 ? 'ignored' : failed.length ? 'failed' : 'processed',
+            results,
+            error: failed.length ? `Failed handlers: ${failed.join(', ')}` : null,
+            processedAt: Date.now()
+        });
+        return this.getDelivery(id);
+    }
+
+    /**
+     * Process a stored delivery again: the handlers that failed last time, or
+     * every subscribed handler with `all`
+     */
+    async replay(id, options = {}) {
+        const delivery = await deliveryModel.getDelivery(id);
+        if (!delivery) throw new WebhookError(`Delivery ${id} not found`, 404);
+
+        const failed = Object.keys(delivery.results || {}).filter(name => !delivery.results[name].ok);
+        return this.process(id, { handlers: options.all || failed.length === 0 ? null : failed });
+    }
+
+    async listDeliveries(filter) {
+        return deliveryModel.listDeliveries(filter);
+    }
+
+    async getDelivery(id) {
+        const delivery = await deliveryModel.getDelivery(id);
+        if (!delivery) throw new WebhookError(`Delivery ${id} not found`, 404);
+        return { ...delivery, payload: JSON.parse(delivery.payload) };
+    }
+
+    /**
+     * workflow_run → BuildMonitorService
+     */
+    async updateBuild(event) {
+        const run = event.payload.workflow_run;
+        if (!run || !event.repository) return { skipped: true };
+
+        const status = run.conclusion === 'success' ? 'success'
+            : ['failure', 'timed_out', 'startup_failure'].includes(run.conclusion) ? 'failure'
+                : run.status === 'completed' ? run.conclusion : 'in_progress';
+
+        const update = await buildMonitor.handleBuildUpdate(event.repository, {
+            buildId: String(run.id),
+            status,
+            workflow: run.name,
+            branch: run.head_branch,
+            sha: run.head_sha,
+            url: run.html_url
+        });
+        return { buildId: update.buildId, status: update.status };
+    }
+
+    /**
+     * deployment_status, and completed deploy workflow runs (FLEET_DEPLOY_WORKFLOW),
+     * → fleet deployments feeding the DORA metrics
+     */
+    async recordDeployment(event) {
+        const { payload } = event;
+        let deployment;
+
+        if (event.name === 'deployment_status') {
+            const status = payload.deployment_status;
+            deployment = await fleetService.recordDeployment({
+                id: payload.deployment.id,
+                source: 'github_deployment',
+                repository: event.repository,
+                environment: payload.deployment.environment,
+                sha: payload.deployment.sha,
+                ref: payload.deployment.ref,
+                status: status.state,
+                url: status.log_url || status.target_url || null,
+                createdAt: payload.deployment.created_at,
+                finishedAt: ['success', 'failure', 'error', 'inactive'].includes(status.state) ? status.created_at : null
+            });
+        } else {
+            const run = payload.workflow_run;
+            const pattern = new RegExp(process.env.FLEET_DEPLOY_WORKFLOW || 'deploy|release|publish', 'i');
+            if (event.action !== 'completed' || !pattern.test(run.name) || run.event === 'pull_request' ||
+                !DEPLOYMENT_CONCLUSIONS.includes(run.conclusion)) {
+                return { skipped: true };
+            }
+            deployment = await fleetService.recordDeployment({
+                id: run.id,
+                source: 'github_actions',
+                repository: event.repository,
+                sha: run.head_sha,
+                ref: run.head_branch,
+                status: run.conclusion,
+                url: run.html_url,
+                createdAt: run.run_started_at || run.created_at,
+                finishedAt: run.updated_at
+            });
+        }
+
+        return { deploymentId: deployment.id, status: deployment.status };
+    }
+
+    /**
+     * push / pull_request / issues → notifications for users watching the repository
+     */
+    async notifyWatchers(event) {
+        const config = WATCHLIST_NOTIFICATIONS[event.name];
+        if (!event.repository || (config.actions && !config.actions.includes(event.action))) {
+            return { skipped: true };
+        }
+        const message = this.describe(event);
+        if (!message) return { skipped: true };
+
+        const watchers = await watchlistModel.getRepositoryWatchers(event.repository);
+        let notified = 0;
+
+        for (const watcher of watchers) {
+            const preferences = await notificationModel.getPreferences(watcher.user_id);
+            if (!preferences || !preferences[config.preference]) continue;
+
+            await notificationModel.createNotification(watcher.user_id, config.type, message.title, message.message, {
+                watchlist_id: watcher.watchlist_id,
+                repo_full_name: event.repository,
+                url: message.url,
+                deliveryId: event.deliveryId
+            });
+            emitToUser(watcher.user_id, 'notification', {
+                type: config.type,
+                title: message.title,
+                message: message.message,
+                created_at: new Date().toISOString()
+            });
+            notified++;
+        }
+
+        return { watchers: watchers.length, notified };
+    }
+
+    /**
+     * Event → EventStreamService event, or null for actions the War Room ignores
+     */
+    toStreamEvent(event) {
+        const { payload, repository, sender } = event;
+        const base = { repository, actor: sender, metadata: { deliveryId: event.deliveryId, action: event.action } };
+
+        switch (event.name) {
+            case 'push': {
+                if (payload.deleted || !payload.commits || payload.commits.length === 0) return null;
+                const branch = String(payload.ref || '').replace('refs/heads/', '');
+                return {
+                    ...base,
+                    type: 'commit',
+                    title: `${payload.commits.length} commit${payload.commits.length === 1 ? '' : 's'} pushed to ${branch}`,
+                    description: firstLine(payload.head_commit && payload.head_commit.message),
+                    url: payload.compare,
+                    branch,
+                    metadata: { ...base.metadata, before: payload.before, after: payload.after }
+                };
+            }
+            case 'pull_request': {
+                const pr = payload.pull_request;
+                const type = ['opened', 'reopened'].includes(event.action) ? 'pr_opened'
+                    : event.action === 'closed' && pr.merged ? 'pr_merged' : null;
+                return type && { ...base, type, title: `PR #${pr.number}: ${pr.title}`, url: pr.html_url, branch: pr.head && pr.head.ref };
+            }
+            case 'workflow_run': {
+                const run = payload.workflow_run;
+                if (!run.conclusion) return null;
+                return {
+                    ...base,
+                    type: run.conclusion === 'failure' ? 'build_failure' : run.conclusion === 'success' ? 'deployment_success' : 'build_in_progress',
+                    title: `Workflow: ${run.name}`,
+                    description: `${run.display_title} - ${run.conclusion}`,
+                    url: run.html_url,
+                    branch: run.head_branch,
+                    metadata: { ...base.metadata, workflowId: run.id, runNumber: run.run_number, event: run.event, conclusion: run.conclusion }
+                };
+            }
+            case 'deployment_status': {
+                const state = payload.deployment_status.state;
+                const type = state === 'success' ? 'deployment_success' : ['failure', 'error'].includes(state) ? 'deployment_failure' : null;
+                return type && {
+                    ...base,
+                    type,
+                    title: `Deployment ${state}: ${payload.deployment.environment}`,
+                    description: payload.deployment_status.description || '',
+                    environment: payload.deployment.environment,
+                    url: payload.deployment_status.log_url || payload.deployment_status.target_url,
+                    metadata: { ...base.metadata, deploymentId: payload.deployment.id, sha: payload.deployment.sha }
+                };
+            }
+            case 'issues': {
+                if (!['opened', 'reopened'].includes(event.action)) return null;
+                return { ...base, type: 'issue_opened', title: `Issue #${payload.issue.number}: ${payload.issue.title}`, url: payload.issue.html_url };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Notification text for a watchlist event
+     */
+    describe(event) {
+        const { payload, repository, sender } = event;
+        switch (event.name) {
+            case 'push': {
+                if (payload.deleted || !payload.commits || payload.commits.length === 0) return null;
+                const branch = String(payload.ref || '').replace('refs/heads/', '');
+                return {
+                    title: `New Push to ${repository}`,
+                    message: `${sender} pushed ${payload.commits.length} commit${payload.commits.length === 1 ? '' : 's'} to ${branch}`,
+                    url: payload.compare
+                };
+            }
+            case 'pull_request': {
+                const pr = payload.pull_request;
+                const verb = event.action === 'closed' ? (pr.merged ? 'merged' : 'closed') : event.action;
+                return { title: `PR ${verb} on ${repository}`, message: `${sender} ${verb} PR #${pr.number}: "${pr.title}"`, url: pr.html_url };
+            }
+            case 'issues':
+                return {
+                    title: `Issue ${event.action} on ${repository}`,
+                    message: `${sender} ${event.action} issue #${payload.issue.number}: "${payload.issue.title}"`,
+                    url: payload.issue.html_url
+                };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Event → GitHub Events API shape, as the globe's EventAggregator expects
+     */
+    toGitHubEvent(event) {
+        const types = {
+            push: 'PushEvent',
+            pull_request: 'PullRequestEvent',
+            issues: 'IssuesEvent',
+            workflow_run: 'WorkflowRunEvent',
+            deployment_status: 'DeploymentStatusEvent'
+        };
+        return {
+            id: event.deliveryId,
+            type: types[event.name],
+            actor: event.payload.sender ? { login: event.payload.sender.login, avatar_url: event.payload.sender.avatar_url } : null,
+            repo: { name: event.repository },
+            payload: event.payload,
+            created_at: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new GitHubWebhookService();
+module.exports.WebhookError = WebhookError;
+module.exports.SUPPORTED_EVENTS = SUPPORTED_EVENTS;
@@ -1,66 +1,93 @@
 /**
  * Incident Management Service
  * Handles incident pinning, tracking, and resolution
+ *
+ * Incidents are persisted through the incident model and move through a fixed
+ * lifecycle: triggered → acknowledged → mitigated → resolved → postmortem.
+ * Every change is appended to the incident's timeline, and each incident
+ * carries time-to-acknowledge / time-to-resolve SLA clocks derived from its
+ * severity at creation.
  */
 
 const axios = require('axios');
+const Incident = require('../models/incident.model');
+
+const STATES = ['triggered', 'acknowledged', 'mitigated', 'resolved', 'postmortem'];
+const ACTIVE_STATES = ['triggered', 'acknowledged', 'mitigated'];
+
+// Allowed moves; resolved → triggered reopens, mitigated → acknowledged rolls back a mitigation
+const TRANSITIONS = {
+    triggered: ['acknowledged', 'mitigated', 'resolved'],
+    acknowledged: ['mitigated', 'resolved'],
+    mitigated: ['resolved', 'acknowledged'],
+    resolved: ['postmortem', 'triggered'],
+    postmortem: []
+};
+
+// Statuses used before the lifecycle existed
+const LEGACY_STATUSES = { open: 'triggered', in_progress: 'acknowledged', closed: 'resolved' };
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// SLA targets per severity: time to acknowledge, time to resolve
+const SLA_TARGETS = {
+    critical: { ackMs: 5 * MINUTE, resolveMs: 1 * HOUR },
+    high: { ackMs: 15 * MINUTE, resolveMs: 4 * HOUR },
+    medium: { ackMs: 1 * HOUR, resolveMs: 24 * HOUR },
+    low: { ackMs: 4 * HOUR, resolveMs: 72 * HOUR }
+};
+
+class IncidentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'IncidentError';
+        this.statusCode = statusCode;
+    }
+}
 
 class IncidentService {
     constructor() {
-        this.incidents = new Map();
-        this.pinnedIncident = null;
         this.incidentCounter = 1;
+        this.slaTimer = null;
     }
 
     /**
      * Create incident from event
      */
-    createIncident(event, userId) {
-        const incidentId = `INC-${Date.now()}-${this.incidentCounter++}`;
+    async createIncident(event, userId) {
+        const now = Date.now();
+        const incidentId = `INC-${now}-${this.incidentCounter++}`;
+        const severity = this.calculateSeverity(event);
+        const sla = SLA_TARGETS[severity];
 
-        const incident = {
+        await Incident.createIncident({
             id: incidentId,
             eventId: event.id,
             type: event.type,
-            title: event.title,
+            title: event.title || 'Untitled incident',
             description: event.description,
-            severity: this.calculateSeverity(event),
-            status: 'open',
-            createdAt: Date.now(),
-            createdBy: userId,
+            severity,
+            state: 'triggered',
             repository: event.repository,
             environment: event.environment || 'unknown',
             metadata: event.metadata || {},
-
-            // Incident tracking
-            assignedTo: [],
+            createdBy: userId,
             watchers: [userId],
-            timeline: [{
-                timestamp: Date.now(),
-                action: 'created',
-                userId,
-                details: 'Incident created'
-            }],
-
-            // Related data
             relatedPRs: [],
             relatedDevelopers: [],
             affectedServices: [],
-
-            // AI analysis
-            rootCause: null,
-            aiHypothesis: null,
-            suggestedActions: [],
-
-            // Metrics
-            impactScore: 0,
             affectedUsers: event.metadata?.affectedUsers || 0,
-            downtime: 0,
-            mttr: null // Mean Time To Resolve
-        };
+            suggestedActions: [],
+            createdAt: now,
+            updatedAt: now,
+            triggeredAt: now,
+            ackDueAt: now + sla.ackMs,
+            resolveDueAt: now + sla.resolveMs
+        });
 
-        this.incidents.set(incidentId, incident);
-        return incident;
+        await this.record(incidentId, { action: 'created', userId, toState: 'triggered', details: 'Incident created' }, now);
+        return this.getIncident(incidentId);
     }
 
     /**
@@ -86,50 +113,40 @@ class IncidentService {
      * Pin incident to center (War-Room focus)
      */
     async pinIncident(incidentId, userId) {
-        const incident = this.incidents.get(incidentId);
-        if (!incident) {
-            throw new Error('Incident not found');
-        }
+        const incident = await this.requireIncident(incidentId);
 
         // Enrich incident with related data
         await this.enrichIncident(incident);
-
-        this.pinnedIncident = incident;
-
-        // Add to timeline
-        incident.timeline.push({
-            timestamp: Date.now(),
-            action: 'pinned',
-            userId,
-            details: 'Incident pinned to War-Room'
+        await Incident.updateIncident(incidentId, {
+            relatedPRs: incident.relatedPRs,
+            relatedDevelopers: incident.relatedDevelopers,
+            affectedServices: incident.affectedServices
         });
 
-        return incident;
+        await Incident.setPinned(incidentId);
+        await this.record(incidentId, { action: 'pinned', userId, details: 'Incident pinned to War-Room' });
+
+        return this.getIncident(incidentId);
     }
 
     /**
      * Unpin incident
      */
-    unpinIncident(userId) {
-        if (this.pinnedIncident) {
-            this.pinnedIncident.timeline.push({
-                timestamp: Date.now(),
-                action: 'unpinned',
-                userId,
-                details: 'Incident unpinned from War-Room'
-            });
+    async unpinIncident(userId) {
+        const wasPinned = await this.getPinnedIncident();
+        if (wasPinned) {
+            await Incident.setPinned(null);
+            await this.record(wasPinned.id, { action: 'unpinned', userId, details: 'Incident unpinned from War-Room' });
         }
-
-        const wasPinned = this.pinnedIncident;
-        this.pinnedIncident = null;
         return wasPinned;
     }
 
     /**
      * Get pinned incident
      */
-    getPinnedIncident() {
-        return this.pinnedIncident;
+    async getPinnedIncident() {
+        const [pinned] = await Incident.getIncidents({ pinned: true });
+        return pinned ? this.withSla(pinned) : null;
     }
 
     /**
@@ -155,7 +172,7 @@ class IncidentService {
             }
 
             // Identify affected services
-            if (incident.metadata?.service) {
+            if (incident.metadata?.service && !incident.affectedServices.includes(incident.metadata.service)) {
                 incident.affectedServices.push(incident.metadata.service);
             }
 
@@ -204,143 +221,245 @@ class IncidentService {
     }
 
     /**
-     * Update incident status
+     * Move an incident to another lifecycle state.
+     * Leaving `triggered` stops the acknowledge clock; acknowledging an
+     * unassigned incident assigns it to the responder; reopening a resolved
+     * incident restarts both SLA clocks. The write only applies while the
+     * incident is still in the state that was checked, so of two concurrent
+     * transitions one fails with 409.
      */
-    updateStatus(incidentId, status, userId, notes = '') {
-        const incident = this.incidents.get(incidentId);
-        if (!incident) {
-            throw new Error('Incident not found');
+    async transition(incidentId, toState, userId, notes = '') {
+        if (!STATES.includes(toState)) {
+            throw new IncidentError(`Unknown state "${toState}" (expected one of ${STATES.join(', ')})`);
         }
 
-        const previousStatus = incident.status;
-        incident.status = status;
+        const incident = await this.requireIncident(incidentId);
+        const fromState = incident.state;
+        if (!TRANSITIONS[fromState].includes(toState)) {
+            const allowed = TRANSITIONS[fromState];
+            throw new IncidentError(
+                `Cannot move incident from ${fromState} to ${toState}` +
+                (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ` (${fromState} is final)`),
+                409
+            );
+        }
 
-        incident.timeline.push({
-            timestamp: Date.now(),
-            action: 'status_changed',
-            userId,
-            details: `Status changed from ${previousStatus} to ${status}`,
-            notes
-        });
+        const now = Date.now();
+        const changes = { state: toState, updatedAt: now };
+        let action = 'state_changed';
+
+        if (fromState === 'resolved' && toState === 'triggered') {
+            const sla = SLA_TARGETS[incident.severity] || SLA_TARGETS.low;
+            Object.assign(changes, {
+                acknowledgedAt: null,
+                mitigatedAt: null,
+                resolvedAt: null,
+                triggeredAt: now,
+                ackDueAt: now + sla.ackMs,
+                resolveDueAt: now + sla.resolveMs,
+                ackBreachedAt: null,
+                resolveBreachedAt: null
+            });
+            action = 'reopened';
+        } else if (fromState === 'mitigated' && toState === 'acknowledged') {
+            changes.mitigatedAt = null;
+        } else {
+            if (!incident.acknowledgedAt) changes.acknowledgedAt = now;
+            if (toState === 'mitigated') changes.mitigatedAt = now;
+            if (toState === 'resolved') changes.resolvedAt = now;
+            if (toState === 'postmortem') changes.postmortemAt = now;
+        }
 
-        // Calculate MTTR if resolved
-        if (status === 'resolved') {
-            incident.mttr = Date.now() - incident.createdAt;
-            incident.resolvedAt = Date.now();
-            incident.resolvedBy = userId;
+        const updated = await Incident.updateIncident(incidentId, changes, { state: fromState });
+        if (updated === 0) {
+            throw new IncidentError(`Incident ${incidentId} changed state while moving it from ${fromState} to ${toState}; reload and retry`, 409);
+        }
+        await this.record(incidentId, {
+            action,
+            userId,
+            fromState,
+            toState,
+            details: `State changed from ${fromState} to ${toState}${notes ? `: ${notes}` : ''}`
+        }, now);
+
+        if (toState === 'acknowledged' && incident.assignedTo.length === 0 && userId) {
+            await Incident.setAssignees(incidentId, [userId], userId, now);
+            await this.record(incidentId, { action: 'assigned', userId, details: `Assigned to ${userId}`, data: { assignees: [String(userId)] } }, now);
         }
 
-        return incident;
+        return this.getIncident(incidentId);
+    }
+
+    /**
+     * Update incident status (pre-lifecycle API; `open` / `in_progress` map to triggered / acknowledged)
+     */
+    async updateStatus(incidentId, status, userId, notes = '') {
+        return this.transition(incidentId, LEGACY_STATUSES[status] || status, userId, notes);
     }
 
     /**
      * Assign incident to user
      */
-    assignIncident(incidentId, userIds, assignedBy) {
-        const incident = this.incidents.get(incidentId);
-        if (!incident) {
-            throw new Error('Incident not found');
-        }
+    async assignIncident(incidentId, userIds, assignedBy) {
+        await this.requireIncident(incidentId);
 
-        incident.assignedTo = Array.isArray(userIds) ? userIds : [userIds];
+        const assignees = [...new Set((Array.isArray(userIds) ? userIds : [userIds]).filter(Boolean).map(String))];
+        if (assignees.length === 0) {
+            throw new IncidentError('At least one assignee is required');
+        }
 
-        incident.timeline.push({
-            timestamp: Date.now(),
+        const now = Date.now();
+        await Incident.setAssignees(incidentId, assignees, assignedBy, now);
+        await Incident.updateIncident(incidentId, { updatedAt: now });
+        await this.record(incidentId, {
             action: 'assigned',
             userId: assignedBy,
-            details: `Assigned to ${incident.assignedTo.join(', ')}`
-        });
+            details: `Assigned to ${assignees.join(', ')}`,
+            data: { assignees }
+        }, now);
 
-        return incident;
+        return this.getIncident(incidentId);
     }
 
     /**
      * Add comment to incident
      */
-    addComment(incidentId, userId, comment) {
-        const incident = this.incidents.get(incidentId);
-        if (!incident) {
-            throw new Error('Incident not found');
+    async addComment(incidentId, userId, comment) {
+        await this.requireIncident(incidentId);
+        if (!comment || !String(comment).trim()) {
+            throw new IncidentError('Comment text is required');
         }
 
-        incident.timeline.push({
-            timestamp: Date.now(),
-            action: 'comment',
-            userId,
-            details: comment
+        await this.record(incidentId, { action: 'comment', userId, details: String(comment).trim() });
+        return this.getIncident(incidentId);
+    }
+
+    /**
+     * Set AI root cause analysis
+     */
+    async setRootCause(incidentId, rootCause, hypothesis, actions) {
+        await this.requireIncident(incidentId);
+
+        await Incident.updateIncident(incidentId, {
+            rootCause,
+            aiHypothesis: hypothesis,
+            suggestedActions: actions || [],
+            updatedAt: Date.now()
         });
+        await this.record(incidentId, { action: 'ai_analysis', userId: 'ai-bot', details: 'AI root cause analysis completed' });
 
-        return incident;
+        return this.getIncident(incidentId);
     }
 
     /**
-     * Set AI root cause analysis
+     * Record SLA breaches on the timeline of active incidents whose
+     * acknowledge or resolve deadline has passed.
+     * @returns {Promise<Array<{ incident, clock }>>} breaches found by this call
      */
-    setRootCause(incidentId, rootCause, hypothesis, actions) {
-        const incident = this.incidents.get(incidentId);
-        if (!incident) {
-            throw new Error('Incident not found');
+    async checkSlaBreaches(now = Date.now()) {
+        const breaches = [];
+        const incidents = await Incident.getIncidents({ states: ACTIVE_STATES });
+
+        for (const incident of incidents) {
+            const clocks = [];
+            if (!incident.acknowledgedAt && !incident.ackBreachedAt && now > incident.ackDueAt) clocks.push('ack');
+            if (!incident.resolveBreachedAt && now > incident.resolveDueAt) clocks.push('resolve');
+
+            for (const clock of clocks) {
+                const dueAt = clock === 'ack' ? incident.ackDueAt : incident.resolveDueAt;
+                // Skip incidents acknowledged or moved on since they were listed
+                const unchanged = clock === 'ack'
+                    ? { state: incident.state, acknowledgedAt: null, ackBreachedAt: null }
+                    : { state: incident.state, resolveBreachedAt: null };
+                if (await Incident.updateIncident(incident.id, { [`${clock}BreachedAt`]: now }, unchanged) === 0) continue;
+                await this.record(incident.id, {
+                    action: 'sla_breached',
+                    userId: 'system',
+                    details: `${clock === 'ack' ? 'Time-to-acknowledge' : 'Time-to-resolve'} SLA breached (due ${new Date(dueAt).toISOString()})`,
+                    data: { clock, dueAt }
+                }, now);
+                breaches.push({ incident: await this.getIncident(incident.id, now), clock });
+            }
         }
+        return breaches;
+    }
 
-        incident.rootCause = rootCause;
-        incident.aiHypothesis = hypothesis;
-        incident.suggestedActions = actions;
-
-        incident.timeline.push({
-            timestamp: Date.now(),
-            action: 'ai_analysis',
-            userId: 'ai-bot',
-            details: 'AI root cause analysis completed'
-        });
+    /**
+     * Periodically check SLA deadlines, calling `onBreach({ incident, clock })` for each new breach
+     */
+    startSlaMonitor(onBreach, intervalMs = 30000) {
+        if (this.slaTimer) return this.slaTimer;
+
+        this.slaTimer = setInterval(async () => {
+            try {
+                (await this.checkSlaBreaches()).forEach(breach => onBreach(breach));
+            } catch (error) {
+                console.error('Incident SLA check error:', error.message);
+            }
+        }, intervalMs);
+        this.slaTimer.unref();
+        return this.slaTimer;
+    }
 
-        return incident;
+    stopSlaMonitor() {
+        clearInterval(this.slaTimer);
+        this.slaTimer = null;
     }
 
     /**
      * Get all incidents
+     * @param {Object} filter - { state, status, severity, repository }; status `open` means any active state
      */
-    getAllIncidents(filter = {}) {
-        let incidents = Array.from(this.incidents.values());
-
-        if (filter.status) {
-            incidents = incidents.filter(i => i.status === filter.status);
-        }
-
-        if (filter.severity) {
-            incidents = incidents.filter(i => i.severity === filter.severity);
+    async getAllIncidents(filter = {}) {
+        let states;
+        if (filter.state) {
+            states = String(filter.state).split(',');
+        } else if (filter.status === 'open' || filter.status === 'active') {
+            states = ACTIVE_STATES;
+        } else if (filter.status) {
+            states = [LEGACY_STATUSES[filter.status] || filter.status];
         }
 
-        if (filter.repository) {
-            incidents = incidents.filter(i => i.repository === filter.repository);
-        }
+        const incidents = await Incident.getIncidents({
+            states,
+            severity: filter.severity,
+            repository: filter.repository
+        });
+        const now = Date.now();
+        return incidents.map(incident => this.withSla(incident, now));
+    }
 
-        // Sort by created date (newest first)
-        incidents.sort((a, b) => b.createdAt - a.createdAt);
+    /**
+     * Get incident by ID, with its timeline
+     */
+    async getIncident(incidentId, now = Date.now()) {
+        const incident = await Incident.getIncidentById(incidentId);
+        if (!incident) return null;
 
-        return incidents;
+        incident.timeline = await Incident.getEvents(incidentId);
+        return this.withSla(incident, now);
     }
 
     /**
-     * Get incident by ID
+     * Timeline of an incident, oldest first
      */
-    getIncident(incidentId) {
-        return this.incidents.get(incidentId);
+    async getTimeline(incidentId) {
+        await this.requireIncident(incidentId);
+        return Incident.getEvents(incidentId);
     }
 
     /**
      * Get incident statistics
      */
-    getStatistics(timeWindow = 86400000) { // 24 hours
+    async getStatistics(timeWindow = 86400000) { // 24 hours
         const now = Date.now();
-        const recentIncidents = Array.from(this.incidents.values()).filter(i =>
-            now - i.createdAt < timeWindow
-        );
+        const recentIncidents = (await Incident.getIncidents({ since: now - timeWindow }))
+            .map(incident => this.withSla(incident, now));
 
         const stats = {
             total: recentIncidents.length,
-            open: recentIncidents.filter(i => i.status === 'open').length,
-            inProgress: recentIncidents.filter(i => i.status === 'in_progress').length,
-            resolved: recentIncidents.filter(i => i.status === 'resolved').length,
+            active: recentIncidents.filter(i => ACTIVE_STATES.includes(i.state)).length,
+            byState: Object.fromEntries(STATES.map(state => [state, recentIncidents.filter(i => i.state === state).length])),
 
             bySeverity: {
                 critical: recentIncidents.filter(i => i.severity === 'critical').length,
@@ -349,16 +468,22 @@ class IncidentService {
                 low: recentIncidents.filter(i => i.severity === 'low').length
             },
 
+            slaBreaches: {
+                ack: recentIncidents.filter(i => i.sla.ack.breached).length,
+                resolve: recentIncidents.filter(i => i.sla.resolve.breached).length
+            },
+
+            avgTimeToAck: 0,
             avgMTTR: 0,
             totalAffectedUsers: 0
         };
 
-        // Calculate average MTTR
-        const resolvedWithMTTR = recentIncidents.filter(i => i.mttr);
-        if (resolvedWithMTTR.length > 0) {
-            const totalMTTR = resolvedWithMTTR.reduce((sum, i) => sum + i.mttr, 0);
-            stats.avgMTTR = Math.round(totalMTTR / resolvedWithMTTR.length / 1000); // seconds
-        }
+        // Averages in seconds
+        const average = values => values.length
+            ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length / 1000)
+            : 0;
+        stats.avgTimeToAck = average(recentIncidents.filter(i => i.timeToAck !== null).map(i => i.timeToAck));
+        stats.avgMTTR = average(recentIncidents.filter(i => i.mttr !== null).map(i => i.mttr));
 
         // Total affected users
         stats.totalAffectedUsers = recentIncidents.reduce((sum, i) => sum + (i.affectedUsers || 0), 0);
@@ -369,18 +494,61 @@ class IncidentService {
     /**
      * Delete incident
      */
-    deleteIncident(incidentId) {
-        return this.incidents.delete(incidentId);
+    async deleteIncident(incidentId) {
+        return Incident.deleteIncident(incidentId);
     }
 
     /**
      * Clear all incidents
      */
-    clearAll() {
-        this.incidents.clear();
-        this.pinnedIncident = null;
+    async clearAll() {
+        await Incident.deleteAll();
         this.incidentCounter = 1;
     }
+
+    async requireIncident(incidentId) {
+        const incident = await Incident.getIncidentById(incidentId);
+        if (!incident) {
+            throw new IncidentError('Incident not found', 404);
+        }
+        return incident;
+    }
+
+    async record(incidentId, event, timestamp = Date.now()) {
+        await Incident.addEvent(incidentId, { ...event, timestamp });
+    }
+
+    /**
+     * Attach SLA clocks, time-to-ack and MTTR (all in ms) to an incident
+     */
+    withSla(incident, now = Date.now()) {
+        const clock = (dueAt, stoppedAt) => {
+            const end = stoppedAt || now;
+            return {
+                dueAt,
+                targetMs: dueAt - incident.triggeredAt,
+                elapsedMs: end - incident.triggeredAt,
+                remainingMs: stoppedAt ? null : dueAt - now,
+                stopped: Boolean(stoppedAt),
+                breached: end > dueAt
+            };
+        };
+
+        return {
+            ...incident,
+            sla: {
+                ack: clock(incident.ackDueAt, incident.acknowledgedAt),
+                resolve: clock(incident.resolveDueAt, incident.resolvedAt)
+            },
+            timeToAck: incident.acknowledgedAt ? incident.acknowledgedAt - incident.triggeredAt : null,
+            mttr: incident.resolvedAt ? incident.resolvedAt - incident.triggeredAt : null, // Mean Time To Resolve
+            allowedTransitions: TRANSITIONS[incident.state] || []
+        };
+    }
 }
 
 module.exports = new IncidentService();
+module.exports.IncidentError = IncidentError;
+module.exports.STATES = STATES;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.SLA_TARGETS = SLA_TARGETS;
@@ -0,0 +1,345 @@
+/**
+ * LLM Providers
+ * Transport adapters used by LlmService. Every provider takes the same request
+ *   { messages: [{ role: 'system'|'user'|'assistant', content }], model, maxTokens, temperature }
+ * and implements `complete(request)` → { text, model, usage } and
+ * `stream(request)` → async iterable of text deltas.
+ *
+ * Retries, caching and token budgeting live in LlmService; providers only
+ * translate requests and surface failures as LlmError.
+ */
+const axios = require('axios');
+const fs = require('fs');
+
+class LlmError extends Error {
+    constructor(message, statusCode = 502, retryable = false, retryAfterMs = null) {
+        super(message);
+        this.name = 'LlmError';
+        this.statusCode = statusCode;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Rough token estimate (~4 characters per token) used for budgeting when a
+ * provider does not report usage.
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+function toLlmError(error, provider) {
+    if (error instanceof LlmError) return error;
+    const status = error.response && error.response.status;
+    if (!status) {
+        // Connection refused, DNS failure, timeout: worth another attempt.
+        return new LlmError(`${provider} request failed: ${error.message}`, 503, true);
+    }
+    const retryAfter = parseInt(error.response.headers && error.response.headers['retry-after'], 10);
+    const body = error.response.data;
+    const detail = body && typeof body === 'object' && !body.pipe
+        ? (body.error && (body.error.message || body.error)) || JSON.stringify(body)
+        : error.message;
+    return new LlmError(
+        `${provider} responded with ${status}: ${detail}`,
+        status === 429 ? 429 : 502,
+        status === 408 || status === 429 || status >= 500,
+        Number.isNaN(retryAfter) ? null : retryAfter * 1000
+    );
+}
+
+/**
+ * Split a byte stream into lines.
+ */
+async function* readLines(stream) {
+    let buffered = '';
+    for await (const chunk of stream) {
+        buffered += chunk.toString('utf8');
+        let newline;
+        while ((newline = buffered.indexOf('\n')) !== -1) {
+            yield buffered.slice(0, newline).replace(/\r$/, '');
+            buffered = buffered.slice(newline + 1);
+        }
+    }
+    if (buffered) yield buffered;
+}
+
+/**
+ * Payloads of a server-sent events stream (the `data:` lines).
+ */
+async function* readServerSentEvents(stream) {
+    for await (const line of readLines(stream)) {
+        if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+}
+
+class LlmProvider {
+    constructor(options = {}) {
+        this.model = options.model;
+        this.timeoutMs = options.timeoutMs || 60000;
+    }
+
+    async post(url, body, headers = {}, stream = false) {
+        try {
+            const response = await axios.post(url, body, {
+                headers: { 'Content-Type': 'application/json', ...headers },
+                timeout: this.timeoutMs,
+                responseType: stream ? 'stream' : 'json'
+            });
+            return response.data;
+        } catch (error) {
+            throw toLlmError(error, this.name);
+        }
+    }
+}
+
+/**
+ * OpenAI Chat Completions API and compatible servers (vLLM, LM Studio, llama.cpp, the local stub).
+ */
+class OpenAICompatibleProvider extends LlmProvider {
+    constructor(options = {}) {
+        super({ model: 'gpt-4o-mini', ...options });
+        this.name = 'openai';
+        this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.apiKey = options.apiKey;
+    }
+
+    headers() {
+        return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    }
+
+    body(request, stream) {
+        return {
+            model: request.model || this.model,
+            messages: request.messages,
+            max_tokens: request.maxTokens,
+            temperature: request.temperature,
+            stream
+        };
+    }
+
+    async complete(request) {
+        const data = await this.post(`${this.baseUrl}/chat/completions`, this.body(request, false), this.headers());
+        const choice = data.choices && data.choices[0];
+        if (!choice) throw new LlmError('openai response contained no choices');
+        return {
+            text: choice.message.content || '',
+            model: data.model || request.model || this.model,
+            usage: data.usage && {
+                promptTokens: data.usage.prompt_tokens,
+                completionTokens: data.usage.completion_tokens
+            }
+        };
+    }
+
+    async *stream(request) {
+        const stream = await this.post(`${this.baseUrl}/chat/completions`, this.body(request, true), this.headers(), true);
+        for await (const payload of readServerSentEvents(stream)) {
+            if (payload === '[DONE]') return;
+            const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+            if (delta) yield delta;
+        }
+    }
+}
+
+/**
+ * Google Gemini generateContent API.
+ */
+class GeminiProvider extends LlmProvider {
+    constructor(options = {}) {
+        super({ model: 'gemini-1.5-flash', ...options });
+        this.name = 'gemini';
+        this.baseUrl = (options.baseUrl || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/$/, '');
+        this.apiKey = options.apiKey;
+    }
+
+    body(request) {
+        const system = request.messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        return {
+            ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+            contents: request.messages
+                .filter(m => m.role !== 'system')
+                .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+            generationConfig: { maxOutputTokens: request.maxTokens, temperature: request.temperature }
+        };
+    }
+
+    url(request, method) {
+        return `${this.baseUrl}/models/${request.model || this.model}:${method}`;
+    }
+
+    extractText(data) {
+        const parts = data.candidates?.[0]?.content?.parts || [];
+        return parts.map(p => p.text || '').join('');
+    }
+
+    async complete(request) {
+        const data = await this.post(this.url(request, 'generateContent'), this.body(request), { 'x-goog-api-key': this.apiKey });
+        return {
+            text: this.extractText(data),
+            model: request.model || this.model,
+            usage: data.usageMetadata && {
+                promptTokens: data.usageMetadata.promptTokenCount,
+                completionTokens: data.usageMetadata.candidatesTokenCount
+            }
+        };
+    }
+
+    async *stream(request) {
+        const stream = await this.post(`${this.url(request, 'streamGenerateContent')}?alt=sse`, this.body(request), { 'x-goog-api-key': this.apiKey }, true);
+        for await (const payload of readServerSentEvents(stream)) {
+            const delta = this.extractText(JSON.parse(payload));
+            if (delta) yield delta;
+        }
+    }
+}
+
+/**
+ * Ollama-style local endpoint (/api/chat, newline-delimited JSON when streaming).
+ */
+class OllamaProvider extends LlmProvider {
+    constructor(options = {}) {
+        super({ model: 'llama3.1', ...options });
+        this.name = 'ollama';
+        this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/$/, '');
+    }
+
+    body(request, stream) {
+        return {
+            model: request.model || this.model,
+            messages: request.messages,
+            stream,
+            options: { num_predict: request.maxTokens, temperature: request.temperature }
+        };
+    }
+
+    async complete(request) {
+        const data = await this.post(`${this.baseUrl}/api/chat`, this.body(request, false));
+        return {
+            text: (data.message && data.message.content) || '',
+            model: data.model || request.model || this.model,
+            usage: { promptTokens: data.prompt_eval_count, completionTokens: data.eval_count }
+        };
+    }
+
+    async *stream(request) {
+        const stream = await this.post(`${this.baseUrl}/api/chat`, this.body(request, true), {}, true);
+        for await (const line of readLines(stream)) {
+            if (!line.trim()) continue;
+            const data = JSON.parse(line);
+            if (data.error) throw new LlmError(`ollama stream failed: ${data.error}`);
+            if (data.message && data.message.content) yield data.message.content;
+            if (data.done) return;
+        }
+    }
+}
+
+/**
+ * Built-in replies used when no fixtures file is configured. These are the
+ * answers the assistant gave before real providers existed.
+ */
+const DEFAULT_FIXTURES = [
+    {
+        match: /^Summarize the release/i,
+        respond: prompt => {
+            const repo = (prompt.match(/^Repository: (.+)$/m) || [])[1] || 'this project';
+            return `This release of ${repo} focuses on enhancing the core infrastructure and improving user experience across key dashboards. Major highlights include the introduction of the Release Notes Generator and significant improvements to the 3D dependency visualization engine.`;
+        }
+    },
+    {
+        match: /^Summarize this repository/i,
+        respond: () => "XAYTHEON is a high-performance GitHub analytics and collaboration platform. It features real-time shared workspaces, 3D dependency visualizations, and detailed activity heatmaps. The codebase is built with Node.js on the backend and modern vanilla JS/CSS on the frontend, integrating seamlessly with Supabase for authentication."
+    },
+    {
+        match: /run|start/i,
+        respond: () => "Based on the repository structure, you can run the backend using `npm start` in the `/backend` directory and the frontend by serving the root HTML files. Ensure you have Node.js installed and configured the `.env` file."
+    },
+    {
+        match: /structure|folder/i,
+        respond: () => "The project follows a clean MVC structure. `/backend/src` contains the controllers, routes, and services, while the root directory holds the frontend HTML/CSS/JS files."
+    },
+    {
+        match: /[\s\S]*/,
+        respond: () => "That's an interesting question about the repository! I see references to sophisticated analytics and 3D visualizations. Is there a specific part of the code you'd like me to review or explain further?"
+    }
+];
+
+/**
+ * Deterministic offline provider. Replies come from the first fixture whose
+ * `match` (substring, "/regex/flags" string or RegExp) matches the last user
+ * message. Fixtures can be passed in or loaded from a JSON file:
+ *   [{ "match": "deploy", "response": "Run npm run deploy." }]
+ */
+class FixtureProvider extends LlmProvider {
+    constructor(options = {}) {
+        super({ model: 'fixture', ...options });
+        this.name = 'fixture';
+        const custom = options.fixtures || (options.fixturesPath ? JSON.parse(fs.readFileSync(options.fixturesPath, 'utf8')) : []);
+        this.fixtures = [...custom.map(f => this.normalize(f)), ...DEFAULT_FIXTURES];
+    }
+
+    normalize(fixture) {
+        let match = fixture.match;
+        if (typeof match === 'string') {
+            const regex = match.match(/^\/(.*)\/([a-z]*)$/s);
+            match = regex ? new RegExp(regex[1], regex[2]) : { test: text => text.toLowerCase().includes(fixture.match.toLowerCase()) };
+        }
+        const respond = typeof fixture.respond === 'function' ? fixture.respond : () => fixture.response;
+        return { match, respond };
+    }
+
+    reply(request) {
+        const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+        const prompt = lastUser ? lastUser.content : '';
+        const fixture = this.fixtures.find(f => f.match.test(prompt));
+        return fixture.respond(prompt, request);
+    }
+
+    async complete(request) {
+        const text = this.reply(request);
+        return {
+            text,
+            model: this.model,
+            usage: {
+                promptTokens: estimateTokens(request.messages.map(m => m.content).join('\n')),
+                completionTokens: estimateTokens(text)
+            }
+        };
+    }
+
+    async *stream(request) {
+        // Word-sized chunks so streaming consumers see more than one delta.
+        const chunks = this.reply(request).match(/\S+\s*|\s+/g) || [];
+        for (const chunk of chunks) yield chunk;
+    }
+}
+
+const PROVIDERS = {
+    openai: OpenAICompatibleProvider,
+    gemini: GeminiProvider,
+    ollama: OllamaProvider,
+    fixture: FixtureProvider
+};
+
+/**
+ * Instantiate a provider by name.
+ */
+function createProvider(name, options = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new LlmError(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`, 500);
+    }
+    return new Provider(options);
+}
+
+module.exports = {
+    LlmError,
+    LlmProvider,
+    OpenAICompatibleProvider,
+    GeminiProvider,
+    OllamaProvider,
+    FixtureProvider,
+    createProvider,
+    estimateTokens
+};
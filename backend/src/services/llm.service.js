@@ -1,51 +1,279 @@
 /**
  * LLM Service for AI features
+ *
+ * Routes completions through a pluggable provider (see llm-providers.js),
+ * selected with LLM_PROVIDER = openai | gemini | ollama | fixture. Without
+ * configuration it picks Gemini or OpenAI when their API key is set and the
+ * deterministic fixture provider otherwise, so the app works fully offline.
+ *
+ * Cross-cutting concerns handled here for every provider:
+ *   - retries with exponential backoff on 429/5xx/network errors
+ *   - token budgeting: prompts are trimmed to fit LLM_CONTEXT_TOKENS and the
+ *     process stops calling out once LLM_TOKEN_BUDGET tokens are spent
+ *   - response caching keyed by provider, model and the full request
  */
+const crypto = require('crypto');
+const LRU = require('lru-cache');
+const { LlmError, createProvider, estimateTokens } = require('./llm-providers');
+
+const TRUNCATION_MARKER = '\n…[truncated to fit the token budget]';
+
 class LlmService {
     constructor() {
         this.apiKey = process.env.GEMINI_API_KEY;
+        this.configure();
+    }
+
+    /**
+     * (Re)build the provider and limits. Options override the environment.
+     * @param {Object} options - { provider, model, baseUrl, apiKey, fixtures, fixturesPath,
+     *   maxRetries, retryDelayMs, contextTokens, maxOutputTokens, tokenBudget, cacheSize, cacheTtlMs }
+     */
+    configure(options = {}) {
+        const env = process.env;
+        const providerName = options.provider || env.LLM_PROVIDER ||
+            (env.GEMINI_API_KEY ? 'gemini' : env.OPENAI_API_KEY ? 'openai' : 'fixture');
+
+        this.provider = createProvider(providerName, {
+            model: options.model || env.LLM_MODEL || undefined,
+            baseUrl: options.baseUrl || env.LLM_BASE_URL || (providerName === 'ollama' ? env.OLLAMA_HOST : undefined),
+            apiKey: options.apiKey || env.LLM_API_KEY || (providerName === 'gemini' ? env.GEMINI_API_KEY : env.OPENAI_API_KEY),
+            timeoutMs: options.timeoutMs || parseInt(env.LLM_TIMEOUT_MS, 10) || undefined,
+            fixtures: options.fixtures,
+            fixturesPath: options.fixturesPath || env.LLM_FIXTURES_PATH
+        });
+
+        this.maxRetries = options.maxRetries ?? (parseInt(env.LLM_MAX_RETRIES, 10) || 3);
+        this.retryDelayMs = options.retryDelayMs ?? 500;
+        this.contextTokens = options.contextTokens || parseInt(env.LLM_CONTEXT_TOKENS, 10) || 8192;
+        this.maxOutputTokens = options.maxOutputTokens || parseInt(env.LLM_MAX_TOKENS, 10) || 1024;
+        this.tokenBudget = options.tokenBudget ?? (parseInt(env.LLM_TOKEN_BUDGET, 10) || 0); // 0 = unlimited
+
+        this.cache = new LRU({
+            max: options.cacheSize ?? 200,
+            maxAge: options.cacheTtlMs || parseInt(env.LLM_CACHE_TTL_MS, 10) || 1000 * 60 * 60
+        });
+        this.usage = { requests: 0, cacheHits: 0, retries: 0, promptTokens: 0, completionTokens: 0 };
+        return this;
+    }
+
+    /**
+     * Run a completion.
+     * @param {Object} request - { system, prompt, messages, maxTokens, temperature, model, cache }
+     * @returns {Promise<{ text, provider, model, cached, usage }>}
+     */
+    async complete(request) {
+        const normalized = this.prepare(request);
+        const key = this.cacheKey(normalized);
+
+        if (request.cache !== false) {
+            const cached = this.cache.get(key);
+            if (cached) {
+                this.usage.cacheHits++;
+                return { ...cached, cached: true };
+            }
+        }
+
+        this.assertBudget();
+        const result = await this.withRetries(() => this.provider.complete(normalized));
+        const usage = this.recordUsage(normalized, result.text, result.usage);
+
+        const response = { text: result.text, provider: this.provider.name, model: result.model, cached: false, usage };
+        if (request.cache !== false) this.cache.set(key, response);
+        return response;
+    }
+
+    /**
+     * Stream a completion as text deltas. Failures are retried only until the
+     * first delta has been produced; the assembled text is cached afterwards.
+     * @param {Object} request - same as complete()
+     */
+    async *stream(request) {
+        const normalized = this.prepare(request);
+        const key = this.cacheKey(normalized);
+
+        const cached = request.cache !== false && this.cache.get(key);
+        if (cached) {
+            this.usage.cacheHits++;
+            yield cached.text;
+            return;
+        }
+
+        this.assertBudget();
+        let text = '';
+        for (let attempt = 0; ; attempt++) {
+            try {
+                for await (const delta of this.provider.stream(normalized)) {
+                    text += delta;
+                    yield delta;
+                }
+                break;
+            } catch (error) {
+                const llmError = error instanceof LlmError ? error : new LlmError(error.message);
+                if (text || !llmError.retryable || attempt >= this.maxRetries) throw llmError;
+                this.usage.retries++;
+                await this.sleep(this.backoff(attempt, llmError));
+            }
+        }
+
+        const usage = this.recordUsage(normalized, text);
+        if (request.cache !== false) {
+            this.cache.set(key, { text, provider: this.provider.name, model: normalized.model || this.provider.model, usage });
+        }
     }
 
     /**
      * Generates a response based on code context and user query.
      */
     async generateResponse(query, context) {
+        const result = await this.complete(this.buildAssistantRequest(query, context));
+        return result.text;
+    }
+
+    /**
+     * Streaming variant of generateResponse.
+     */
+    streamResponse(query, context) {
+        return this.stream(this.buildAssistantRequest(query, context));
+    }
+
+    buildAssistantRequest(query, context) {
         // System prompt to guide the AI
-        const systemPrompt = `You are the XAYTHEON AI Assistant, a specialist in code review and repository analysis. 
+        const systemPrompt = `You are the XAYTHEON AI Assistant, a specialist in code review and repository analysis.
         Use the following context from the repository to answer the user's query.
         If you don't know the answer, say "I don't have enough information about this repository yet."
-        
+
         CONTEXT:
         ${context}
         `;
 
-        // Mocking the AI response for demonstration to avoid API key dependency during setup
-        return this.getMockResponse(query);
+        return { system: systemPrompt, prompt: query };
     }
 
     async getSummary(context) {
-        return this.getMockSummary();
+        const result = await this.complete({
+            system: 'You write concise, factual summaries of software repositories for developers.',
+            prompt: `Summarize this repository in one paragraph.\n\n${context}`
+        });
+        return result.text;
+    }
+
+    async generateReleaseSummary(repo, data) {
+        const counts = Object.entries(data.categories || {})
+            .filter(([, entries]) => entries.length > 0)
+            .map(([type, entries]) => `${type}: ${entries.length}`)
+            .join(', ');
+        const highlights = Object.values(data.categories || {})
+            .flat()
+            .slice(0, 30)
+            .map(entry => `- ${entry.original || entry.description}`)
+            .join('\n');
+
+        const result = await this.complete({
+            system: 'You write short, user-facing release summaries. Two or three sentences, no lists.',
+            prompt: `Summarize the release below.
+Repository: ${repo}
+Changes by type: ${counts || 'none'}
+Breaking changes: ${(data.breakingChanges || []).length}
+Contributors: ${(data.contributors || []).length}
+
+Commits:
+${highlights}`
+        });
+        return result.text;
+    }
+
+    /**
+     * Normalize a request into provider messages and trim it to the context window.
+     */
+    prepare(request) {
+        const messages = request.messages ? request.messages.map(m => ({ ...m })) : [];
+        if (request.system) messages.unshift({ role: 'system', content: request.system });
+        if (request.prompt) messages.push({ role: 'user', content: request.prompt });
+        if (!messages.some(m => m.role === 'user')) throw new LlmError('An LLM request needs at least one user message', 400);
+
+        const maxTokens = Math.min(request.maxTokens || this.maxOutputTokens, this.contextTokens);
+        return {
+            messages: this.fitToContext(messages, this.contextTokens - maxTokens),
+            model: request.model,
+            maxTokens,
+            temperature: request.temperature ?? 0.2
+        };
+    }
+
+    /**
+     * Drop the oldest conversation turns, then shorten the longest message,
+     * until the prompt fits in `available` tokens. The last user message is kept.
+     */
+    fitToContext(messages, available) {
+        const total = () => messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+        const lastUser = messages.map(m => m.role).lastIndexOf('user');
+
+        while (total() > available) {
+            const oldest = messages.findIndex((m, i) => m.role !== 'system' && i < lastUser);
+            if (oldest === -1) break;
+            messages.splice(oldest, 1);
+        }
+
+        const overflow = total() - available;
+        if (overflow > 0) {
+            const longest = messages.reduce((a, b) => (b.content.length > a.content.length ? b : a));
+            const keepChars = Math.max(0, longest.content.length - overflow * 4 - TRUNCATION_MARKER.length);
+            longest.content = longest.content.slice(0, keepChars) + TRUNCATION_MARKER;
+        }
+        return messages;
+    }
+
+    cacheKey(request) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([this.provider.name, this.provider.model, request]))
+            .digest('hex');
     }
 
-    getMockResponse(query) {
-        const queryLower = query.toLowerCase();
-        if (queryLower.includes('run') || queryLower.includes('start')) {
-            return "Based on the repository structure, you can run the backend using `npm start` in the `/backend` directory and the frontend by serving the root HTML files. Ensure you have Node.js installed and configured the `.env` file.";
+    assertBudget() {
+        const spent = this.usage.promptTokens + this.usage.completionTokens;
+        if (this.tokenBudget > 0 && spent >= this.tokenBudget) {
+            throw new LlmError(`LLM token budget of ${this.tokenBudget} tokens exhausted`, 429);
         }
-        if (queryLower.includes('structure') || queryLower.includes('folder')) {
-            return "The project follows a clean MVC structure. `/backend/src` contains the controllers, routes, and services, while the root directory holds the frontend HTML/CSS/JS files.";
+    }
+
+    recordUsage(request, text, reported = {}) {
+        const usage = {
+            promptTokens: (reported && reported.promptTokens) || estimateTokens(request.messages.map(m => m.content).join('\n')),
+            completionTokens: (reported && reported.completionTokens) || estimateTokens(text)
+        };
+        this.usage.requests++;
+        this.usage.promptTokens += usage.promptTokens;
+        this.usage.completionTokens += usage.completionTokens;
+        return usage;
+    }
+
+    async withRetries(fn) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await fn();
+            } catch (error) {
+                const llmError = error instanceof LlmError ? error : new LlmError(error.message);
+                if (!llmError.retryable || attempt >= this.maxRetries) throw llmError;
+                this.usage.retries++;
+                await this.sleep(this.backoff(attempt, llmError));
+            }
         }
-        return "That's an interesting question about the repository! I see references to sophisticated analytics and 3D visualizations. Is there a specific part of the code you'd like me to review or explain further?";
     }
 
-    getMockSummary() {
-        return "XAYTHEON is a high-performance GitHub analytics and collaboration platform. It features real-time shared workspaces, 3D dependency visualizations, and detailed activity heatmaps. The codebase is built with Node.js on the backend and modern vanilla JS/CSS on the frontend, integrating seamlessly with Supabase for authentication.";
+    backoff(attempt, error) {
+        if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) return error.retryAfterMs;
+        return this.retryDelayMs * 2 ** attempt + Math.floor(Math.random() * this.retryDelayMs);
     }
 
-    async generateReleaseSummary(repo, data) {
-        // In real implementation, this would call actual AI API
-        return `This release of ${repo} focuses on enhancing the core infrastructure and improving user experience across key dashboards. Major highlights include the introduction of the Release Notes Generator and significant improvements to the 3D dependency visualization engine.`;
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    getUsage() {
+        return { provider: this.provider.name, model: this.provider.model, tokenBudget: this.tokenBudget, ...this.usage };
     }
 }
 
 module.exports = new LlmService();
+module.exports.LlmError = LlmError;
@@ -0,0 +1,350 @@
+/**
+ * Lockfile Resolver Service
+ * Reconstructs the installed dependency tree from package-lock.json (v1, v2, v3)
+ * or yarn.lock (classic v1 and Berry).
+ *
+ * The result is a flat list of installed packages, each with the ids of the
+ * packages its dependencies resolve to, plus the root's direct dependencies:
+ *   { format, root, direct: [{ name, range, type, id }], packages: Map<id, pkg> }
+ * where `id` is `name@version` and pkg is { id, name, version, dev, optional, paths, dependencies }.
+ * Dependencies that cannot be resolved are listed in `missing`.
+ */
+
+const semver = require('./semver-range.engine');
+
+const DEP_FIELDS = ['dependencies', 'optionalDependencies', 'peerDependencies'];
+const ROOT_FIELDS = [['dependencies', 'production'], ['devDependencies', 'dev'], ['optionalDependencies', 'optional']];
+
+class LockfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LockfileError';
+        this.statusCode = 400;
+    }
+}
+
+class LockfileResolverService {
+    /**
+     * Resolve whichever lockfile is given.
+     * @param {Object} input - { packageJson?, packageLock? (object or JSON text), yarnLock? (text) }
+     */
+    resolve(input) {
+        if (input.packageLock) return this.resolvePackageLock(input.packageLock, input.packageJson);
+        if (input.yarnLock) return this.resolveYarnLock(input.yarnLock, input.packageJson);
+        throw new LockfileError('Either packageLock or yarnLock is required');
+    }
+
+    // ─── package-lock.json ───────────────────────────────────────────────
+
+    resolvePackageLock(packageLock, packageJson = null) {
+        let lock = packageLock;
+        if (typeof lock === 'string') {
+            try {
+                lock = JSON.parse(lock);
+            } catch (error) {
+                throw new LockfileError(`Invalid package-lock.json: ${error.message}`);
+            }
+        }
+        if (!lock || typeof lock !== 'object') throw new LockfileError('Invalid package-lock.json');
+
+        const entries = lock.packages ? { ...lock.packages } : this.flattenV1(lock);
+        const rootEntry = { ...(entries[''] || {}), ...this.rootFields(packageJson) };
+        if (!entries[''] && !packageJson) {
+            // v1 lockfiles do not record the root's ranges: treat top-level packages nobody requires as direct
+            const required = new Set();
+            Object.entries(entries).forEach(([location, entry]) => {
+                if (location) Object.keys(entry.dependencies || {}).forEach(name => required.add(name));
+            });
+            Object.entries(entries).forEach(([location, entry]) => {
+                const name = this.nameFromLocation(location);
+                if (location === `node_modules/${name}` && !required.has(name)) {
+                    const field = entry.dev ? 'devDependencies' : entry.optional ? 'optionalDependencies' : 'dependencies';
+                    rootEntry[field] = { ...(rootEntry[field] || {}), [name]: entry.version };
+                }
+            });
+        }
+        entries[''] = rootEntry;
+
+        const packages = new Map();
+        const idByLocation = new Map();
+        Object.entries(entries).forEach(([location, entry]) => {
+            if (!location) return;
+            const target = entry.link ? entries[entry.resolved] || {} : entry;
+            const name = target.name || entry.name || this.nameFromLocation(location);
+            const version = target.version;
+            if (!version) return;
+
+            const id = `${name}@${version}`;
+            idByLocation.set(location, id);
+            if (!packages.has(id)) {
+                packages.set(id, { id, name, version, dev: true, optional: true, paths: [], dependencies: [] });
+            }
+            const pkg = packages.get(id);
+            pkg.paths.push(location);
+            pkg.lockDev = (pkg.lockDev ?? true) && Boolean(entry.dev || entry.devOptional);
+        });
+
+        const missing = [];
+        const resolveFrom = (location, name) => {
+            // Node's lookup: nearest node_modules/<name> walking up from the requiring package
+            let base = location;
+            for (;;) {
+                const candidate = `${base ? `${base}/` : ''}node_modules/${name}`;
+                if (idByLocation.has(candidate)) return idByLocation.get(candidate);
+                if (!base) return null;
+                const cut = base.lastIndexOf('/node_modules/');
+                base = cut === -1 ? '' : base.slice(0, cut);
+            }
+        };
+
+        Object.entries(entries).forEach(([location, entry]) => {
+            if (!location) return;
+            const id = idByLocation.get(location);
+            if (!id) return;
+            const from = entry.link ? entry.resolved : location;
+            const source = entry.link ? entries[entry.resolved] || {} : entry;
+            const pkg = packages.get(id);
+
+            DEP_FIELDS.forEach(field => {
+                Object.entries(source[field] || {}).forEach(([name, range]) => {
+                    const target = resolveFrom(from, name);
+                    if (target && !pkg.dependencies.includes(target)) pkg.dependencies.push(target);
+                    else if (!target && field === 'dependencies') missing.push({ from: id, name, range });
+                });
+            });
+        });
+
+        const direct = this.directDependencies(rootEntry, name => resolveFrom('', name), missing);
+        return this.finish('package-lock', lock.lockfileVersion || 1, rootEntry, packageJson, direct, packages, missing);
+    }
+
+    /**
+     * v1 nested `dependencies` → v2-style `packages` keyed by install location
+     */
+    flattenV1(lock) {
+        const entries = {};
+        const walk = (dependencies, prefix) => {
+            Object.entries(dependencies || {}).forEach(([name, entry]) => {
+                const location = `${prefix}node_modules/${name}`;
+                entries[location] = {
+                    version: entry.version,
+                    dev: entry.dev,
+                    optional: entry.optional,
+                    dependencies: entry.requires || {}
+                };
+                walk(entry.dependencies, `${location}/`);
+            });
+        };
+        walk(lock.dependencies, '');
+        return entries;
+    }
+
+    nameFromLocation(location) {
+        const cut = location.lastIndexOf('node_modules/');
+        return cut === -1 ? location.split('/').pop() : location.slice(cut + 'node_modules/'.length);
+    }
+
+    // ─── yarn.lock ───────────────────────────────────────────────────────
+
+    /**
+     * Parse yarn.lock text into { berry, entries: [{ descriptors, version, dependencies }] }.
+     * Handles the classic format (`version "1.2.3"`) and Berry's YAML subset (`version: 1.2.3`).
+     */
+    parseYarnLock(text) {
+        const entries = [];
+        const berry = /^__metadata:/m.test(text);
+        let current = null;
+        let section = null;
+
+        const unquote = value => value.trim().replace(/^"(.*)"$/, '$1');
+        const splitPair = line => {
+            const trimmed = line.trim();
+            const match = trimmed.startsWith('"')
+                ? /^"((?:[^"\\]|\\.)*)":?\s*(.*)$/.exec(trimmed)
+                : /^([^\s:]+):?\s*(.*)$/.exec(trimmed);
+            return match ? [match[1], unquote(match[2])] : [trimmed, ''];
+        };
+
+        String(text).split(/\r?\n/).forEach(line => {
+            if (!line.trim() || line.trimStart().startsWith('#')) return;
+            const indent = line.length - line.trimStart().length;
+
+            if (indent === 0) {
+                section = null;
+                current = null;
+                if (line.startsWith('__metadata')) return;
+                const descriptors = line.replace(/:\s*$/, '').split(/,\s*/).map(unquote);
+                current = { descriptors, version: null, dependencies: {}, optional: new Set() };
+                entries.push(current);
+                return;
+            }
+            if (!current) return;
+
+            if (indent <= 2) {
+                const [key, value] = splitPair(line);
+                section = value === '' && DEP_FIELDS.concat('dependenciesMeta').includes(key) ? key : null;
+                if (key === 'version') current.version = value;
+                return;
+            }
+            if (section && indent === 4) {
+                const [name, value] = splitPair(line);
+                if (section === 'dependenciesMeta') return;
+                if (section === 'optionalDependencies') current.optional.add(name);
+                if (section !== 'peerDependencies') current.dependencies[name] = value;
+            }
+        });
+
+        return { berry, entries: entries.filter(e => e.version) };
+    }
+
+    descriptorKey(descriptor) {
+        const at = descriptor.indexOf('@', 1);
+        if (at === -1) return { name: descriptor, key: `${descriptor}@` };
+        const name = descriptor.slice(0, at);
+        const range = descriptor.slice(at + 1).replace(/^npm:/, '');
+        return { name, key: `${name}@${range}` };
+    }
+
+    resolveYarnLock(text, packageJson = null) {
+        const { berry, entries } = this.parseYarnLock(text);
+        const byDescriptor = new Map();
+        const packages = new Map();
+        let workspaceRoot = null;
+
+        entries.forEach(entry => {
+            const { name } = this.descriptorKey(entry.descriptors[0]);
+            if (entry.descriptors.some(d => /@workspace:\.$/.test(d))) {
+                workspaceRoot = entry;
+                return;
+            }
+            const id = `${name}@${entry.version}`;
+            if (!packages.has(id)) {
+                packages.set(id, { id, name, version: entry.version, dev: true, optional: true, paths: [], dependencies: [] });
+            }
+            entry.id = id;
+            entry.descriptors.forEach(d => byDescriptor.set(this.descriptorKey(d).key, id));
+        });
+
+        const missing = [];
+        const lookup = (name, range) => byDescriptor.get(`${name}@${String(range).replace(/^npm:/, '')}`) || null;
+
+        entries.forEach(entry => {
+            if (!entry.id) return;
+            const pkg = packages.get(entry.id);
+            Object.entries(entry.dependencies).forEach(([name, range]) => {
+                const target = lookup(name, range);
+                if (target && !pkg.dependencies.includes(target)) pkg.dependencies.push(target);
+                else if (!target && !entry.optional.has(name)) missing.push({ from: entry.id, name, range });
+            });
+        });
+
+        let rootEntry = this.rootFields(packageJson);
+        if (!packageJson && workspaceRoot) rootEntry = { dependencies: workspaceRoot.dependencies };
+        if (!packageJson && !workspaceRoot) {
+            // Without package.json, packages nothing else depends on are the direct dependencies
+            const required = new Set([...packages.values()].flatMap(p => p.dependencies));
+            rootEntry = {
+                dependencies: Object.fromEntries(entries
+                    .filter(e => e.id && !required.has(e.id))
+                    .map(e => {
+                        const { name, key } = this.descriptorKey(e.descriptors[0]);
+                        return [name, key.slice(name.length + 1)];
+                    }))
+            };
+        }
+
+        const direct = this.directDependencies(rootEntry, (name, range) => lookup(name, range), missing);
+        return this.finish('yarn.lock', berry ? 'berry' : 1, rootEntry, packageJson, direct, packages, missing);
+    }
+
+    // ─── Shared ──────────────────────────────────────────────────────────
+
+    rootFields(packageJson) {
+        if (!packageJson) return {};
+        const pkg = typeof packageJson === 'string' ? JSON.parse(packageJson) : packageJson;
+        return Object.fromEntries(['name', 'version', ...ROOT_FIELDS.map(([field]) => field)]
+            .filter(field => pkg[field])
+            .map(field => [field, pkg[field]]));
+    }
+
+    directDependencies(rootEntry, resolveDependency, missing) {
+        const direct = [];
+        ROOT_FIELDS.forEach(([field, type]) => {
+            Object.entries(rootEntry[field] || {}).forEach(([name, range]) => {
+                if (direct.some(d => d.name === name)) return;
+                const id = resolveDependency(name, range);
+                if (!id && type !== 'optional') missing.push({ from: null, name, range });
+                direct.push({ name, range, type, id });
+            });
+        });
+        return direct;
+    }
+
+    /**
+     * Mark dev/optional reachability from the root and assemble the result
+     */
+    finish(format, lockfileVersion, rootEntry, packageJson, direct, packages, missing) {
+        const mark = (ids, flag) => {
+            const queue = [...ids];
+            const seen = new Set();
+            while (queue.length) {
+                const id = queue.shift();
+                if (!id || seen.has(id) || !packages.has(id)) continue;
+                seen.add(id);
+                packages.get(id)[flag] = false;
+                queue.push(...packages.get(id).dependencies);
+            }
+        };
+        mark(direct.filter(d => d.type !== 'dev').map(d => d.id), 'dev');
+        mark(direct.filter(d => d.type !== 'optional').map(d => d.id), 'optional');
+
+        packages.forEach(pkg => {
+            // package-lock's own dev flags win when present; unreachable packages keep what the lockfile says
+            if (pkg.lockDev !== undefined) pkg.dev = pkg.dev && pkg.lockDev;
+            delete pkg.lockDev;
+        });
+
+        return {
+            format,
+            lockfileVersion,
+            root: { name: rootEntry.name || packageJson?.name || null, version: rootEntry.version || null },
+            direct,
+            packages,
+            missing
+        };
+    }
+
+    /**
+     * All installed versions of a package in a resolved tree
+     */
+    installedVersions(tree, name) {
+        return [...tree.packages.values()]
+            .filter(pkg => pkg.name === name)
+            .map(pkg => pkg.version)
+            .sort((a, b) => (semver.valid(a) && semver.valid(b) ? semver.compare(a, b) : a.localeCompare(b)));
+    }
+
+    /**
+     * Dependency chains from the root to every installed copy of `name` (shortest first)
+     */
+    pathsTo(tree, name, limit = 5) {
+        const results = [];
+        const queue = tree.direct.filter(d => d.id).map(d => [d.id]);
+        const seen = new Set();
+        while (queue.length && results.length < limit) {
+            const chain = queue.shift();
+            const id = chain[chain.length - 1];
+            if (tree.packages.get(id)?.name === name) {
+                results.push(chain);
+                continue;
+            }
+            if (seen.has(id)) continue;
+            seen.add(id);
+            (tree.packages.get(id)?.dependencies || []).forEach(dep => queue.push([...chain, dep]));
+        }
+        return results;
+    }
+}
+
+module.exports = new LockfileResolverService();
+module.exports.LockfileError = LockfileError;
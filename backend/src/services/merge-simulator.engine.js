@@ -0,0 +1,146 @@
+/**
+ * Merge Simulator Engine
+ * Line-based three-way merge (diff3 style) built on the `diff` package.
+ *
+ * Each side is diffed against the common base into change hunks expressed in
+ * base line coordinates. Hunks from the two sides that overlap or touch are
+ * grouped; a group containing changes from both sides is a textual conflict
+ * unless both sides produced the same text, exactly as `git merge` would report.
+ */
+const Diff = require('diff');
+
+class MergeSimulatorEngine {
+    splitLines(text) {
+        return text === '' ? [] : text.split('\n');
+    }
+
+    /**
+     * Changes turning `base` into `other`, as { start, end, lines } where
+     * base lines [start, end) are replaced by `lines` (0-based, end exclusive).
+     */
+    changeHunks(baseLines, otherLines) {
+        const hunks = [];
+        let index = 0;
+        let current = null;
+
+        Diff.diffArrays(baseLines, otherLines).forEach(part => {
+            if (!part.added && !part.removed) {
+                if (current) hunks.push(current);
+                current = null;
+                index += part.count;
+                return;
+            }
+            if (!current) current = { start: index, end: index, lines: [] };
+            if (part.removed) {
+                index += part.count;
+                current.end = index;
+            } else {
+                current.lines.push(...part.value);
+            }
+        });
+        if (current) hunks.push(current);
+        return hunks;
+    }
+
+    /**
+     * Apply one side's hunks to base lines [start, end).
+     */
+    applyHunks(baseLines, start, end, hunks) {
+        const out = [];
+        let position = start;
+        hunks.forEach(hunk => {
+            out.push(...baseLines.slice(position, hunk.start), ...hunk.lines);
+            position = hunk.end;
+        });
+        out.push(...baseLines.slice(position, end));
+        return out;
+    }
+
+    /**
+     * Three-way merge of two descendants of `base`.
+     * @returns {{ clean: boolean, merged: string, conflicts: Array<{ startLine, endLine, ours, theirs }> }}
+     *   `merged` carries git-style conflict markers; conflict lines are 1-based base lines.
+     */
+    merge(base, ours, theirs) {
+        const baseLines = this.splitLines(base);
+        const tagged = [
+            ...this.changeHunks(baseLines, this.splitLines(ours)).map(h => ({ ...h, side: 'ours' })),
+            ...this.changeHunks(baseLines, this.splitLines(theirs)).map(h => ({ ...h, side: 'theirs' }))
+        ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+        // Group hunks whose base ranges overlap or are adjacent
+        const groups = [];
+        tagged.forEach(hunk => {
+            const last = groups[groups.length - 1];
+            if (last && hunk.start <= last.end) {
+                last.hunks.push(hunk);
+                last.end = Math.max(last.end, hunk.end);
+            } else {
+                groups.push({ start: hunk.start, end: hunk.end, hunks: [hunk] });
+            }
+        });
+
+        const merged = [];
+        const conflicts = [];
+        let position = 0;
+        groups.forEach(group => {
+            merged.push(...baseLines.slice(position, group.start));
+            position = group.end;
+
+            const sideHunks = side => group.hunks.filter(h => h.side === side);
+            const oursRegion = this.applyHunks(baseLines, group.start, group.end, sideHunks('ours'));
+            const theirsRegion = this.applyHunks(baseLines, group.start, group.end, sideHunks('theirs'));
+
+            if (sideHunks('theirs').length === 0) {
+                merged.push(...oursRegion);
+            } else if (sideHunks('ours').length === 0 || oursRegion.join('\n') === theirsRegion.join('\n')) {
+                merged.push(...theirsRegion);
+            } else {
+                conflicts.push({
+                    startLine: group.start + 1,
+                    endLine: Math.max(group.end, group.start + 1),
+                    ours: oursRegion,
+                    theirs: theirsRegion
+                });
+                merged.push('<<<<<<< ours', ...oursRegion, '=======', ...theirsRegion, '>>>>>>> theirs');
+            }
+        });
+        merged.push(...baseLines.slice(position));
+
+        return { clean: conflicts.length === 0, merged: merged.join('\n'), conflicts };
+    }
+
+    /**
+     * Hunk headers of a unified diff (a full patch or GitHub's per-file `patch` field)
+     * as base-side line ranges { start, end } (1-based, inclusive; an insertion
+     * after line n is { start: n, end: n }).
+     */
+    parseHunkRanges(patch) {
+        if (!patch) return [];
+        const text = /^(---|diff )/m.test(patch) ? patch : `--- a\n+++ b\n${patch}`;
+        // parsePatch moves the start of pure insertions (`-n,0`) one line down; undo that
+        return Diff.parsePatch(text).flatMap(file => file.hunks).map(hunk => ({
+            start: hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart,
+            end: hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart + hunk.oldLines - 1,
+            added: hunk.lines.filter(l => l.startsWith('+')).map(l => l.slice(1)),
+            removed: hunk.lines.filter(l => l.startsWith('-')).map(l => l.slice(1))
+        }));
+    }
+
+    /**
+     * Pairs of hunks from two diffs of the same base whose line ranges overlap or touch.
+     */
+    overlappingRanges(rangesA, rangesB) {
+        const overlaps = [];
+        rangesA.forEach(a => {
+            rangesB.forEach(b => {
+                if (a.start <= b.end + 1 && b.start <= a.end + 1) {
+                    overlaps.push({ startLine: Math.min(a.start, b.start), endLine: Math.max(a.end, b.end) });
+                }
+            });
+        });
+        return overlaps;
+    }
+}
+
+module.exports = new MergeSimulatorEngine();
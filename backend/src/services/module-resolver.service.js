@@ -0,0 +1,380 @@
+/**
+ * Module Resolver Service
+ * Resolves import specifiers to files of a repository the way Node and
+ * TypeScript do: relative paths with extension and index lookup, `.js`
+ * specifiers pointing at `.ts` sources, tsconfig/jsconfig `baseUrl` and
+ * `paths` aliases, package.json `imports` (#subpaths), and workspace
+ * packages through their `exports` map or `main`.
+ *
+ * Resolution works on a snapshot (the repository's file list plus the
+ * parsed package.json / tsconfig files), so the same resolver serves a local
+ * checkout and a GitHub tree.
+ */
+
+const path = require('path');
+const { builtinModules } = require('module');
+
+const posix = path.posix;
+const EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.json'];
+const TS_SOURCE_FOR = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+// Conditions accepted in `exports` / `imports` maps; key order in the map decides priority
+const CONDITIONS = new Set(['source', 'types', 'typescript', 'import', 'require', 'module', 'node', 'default']);
+const BUILTINS = new Set(builtinModules);
+const TSCONFIG_NAMES = ['tsconfig.json', 'jsconfig.json'];
+
+class ModuleResolverService {
+
+    /**
+     * files:   repository-relative file paths (posix)
+     * configs: { [path]: raw text } of package.json / tsconfig.json / jsconfig.json files
+     */
+    forRepository(files, configs = {}) {
+        return new RepositoryResolver(files, configs, this);
+    }
+
+    isConfigFile(filePath) {
+        const base = posix.basename(filePath);
+        return (base === 'package.json' || TSCONFIG_NAMES.includes(base)) && !filePath.split('/').includes('node_modules');
+    }
+
+    /**
+     * JSON with comments and trailing commas, as tsconfig.json allows
+     */
+    parseJsonc(text) {
+        let out = '';
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '"') {
+                const start = i++;
+                while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+                out += text.slice(start, ++i);
+            } else if (ch === '/' && text[i + 1] === '/') {
+                while (i < text.length && text[i] !== '\n') i++;
+            } else if (ch === '/' && text[i + 1] === '*') {
+                const end = text.indexOf('*/', i + 2);
+                i = end === -1 ? text.length : end + 2;
+            } else {
+                out += ch;
+                i++;
+            }
+        }
+        return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+    }
+
+    packageName(specifier) {
+        const parts = specifier.split('/');
+        return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    }
+
+    /**
+     * Candidate targets of an `exports` / `imports` map for a subpath, in
+     * priority order (every accepted condition, so a missing build output
+     * falls through to the next one)
+     */
+    mapTargets(map, subpath) {
+        if (map === null || map === undefined) return [];
+        const isSubpathMap = typeof map === 'object' && !Array.isArray(map) &&
+            Object.keys(map).some(key => key.startsWith('.') || key.startsWith('#'));
+        if (!isSubpathMap) {
+            return subpath === '.' ? this.conditionalTargets(map, null) : [];
+        }
+
+        if (Object.prototype.hasOwnProperty.call(map, subpath) && !subpath.includes('*')) {
+            return this.conditionalTargets(map[subpath], null);
+        }
+
+        let best = null;
+        for (const key of Object.keys(map)) {
+            const star = key.indexOf('*');
+            if (star === -1) {
+                // Deprecated folder mappings ("./lib/": "./src/lib/")
+                if (key.endsWith('/') && subpath.startsWith(key) && (!best || key.length > best.prefix.length)) {
+                    best = { key, prefix: key, match: subpath.slice(key.length), folder: true };
+                }
+                continue;
+            }
+            const prefix = key.slice(0, star);
+            const suffix = key.slice(star + 1);
+            if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length - 1 &&
+                (!best || prefix.length > best.prefix.length)) {
+                best = { key, prefix, match: subpath.slice(prefix.length, subpath.length - suffix.length) };
+            }
+        }
+        if (!best) return [];
+        const targets = this.conditionalTargets(map[best.key], best.folder ? null : best.match);
+        return best.folder ? targets.map(target => target + best.match) : targets;
+    }
+
+    conditionalTargets(target, match) {
+        if (typeof target === 'string') {
+            return [match === null ? target : target.replace(/\*/g, match)];
+        }
+        if (Array.isArray(target)) {
+            return target.flatMap(entry => this.conditionalTargets(entry, match));
+        }
+        if (target && typeof target === 'object') {
+            return Object.entries(target)
+                .filter(([condition]) => CONDITIONS.has(condition))
+                .flatMap(([, value]) => this.conditionalTargets(value, match));
+        }
+        return [];
+    }
+}
+
+class RepositoryResolver {
+    constructor(files, configs, service) {
+        this.service = service;
+        this.files = new Set([...files].map(file => file.replace(/\\/g, '/')));
+        this.packages = new Map();
+        this.packageByName = new Map();
+        this.tsconfigs = new Map();
+        this.compilerOptionsCache = new Map();
+
+        Object.entries(configs).forEach(([configPath, text]) => {
+            const normalized = configPath.replace(/\\/g, '/');
+            let json;
+            try {
+                json = typeof text === 'string' ? service.parseJsonc(text) : text;
+            } catch (error) {
+                return;
+            }
+            if (!json || typeof json !== 'object') return;
+
+            const dir = posix.dirname(normalized) === '.' ? '' : posix.dirname(normalized);
+            if (posix.basename(normalized) === 'package.json') {
+                this.packages.set(dir, json);
+                if (typeof json.name === 'string' && !this.packageByName.has(json.name)) {
+                    this.packageByName.set(json.name, dir);
+                }
+            } else {
+                this.tsconfigs.set(normalized, json);
+            }
+        });
+    }
+
+    /**
+     * Resolve `specifier` imported from `fromFile`.
+     * → { type: 'internal' | 'external' | 'builtin', resolved, package }
+     */
+    resolve(fromFile, specifier) {
+        if (typeof specifier !== 'string' || specifier === '') {
+            return { type: 'internal', resolved: null, package: null };
+        }
+
+        const name = this.service.packageName(specifier.replace(/^node:/, ''));
+        if (specifier.startsWith('node:') || (BUILTINS.has(name) && !this.packageByName.has(name))) {
+            return { type: 'builtin', resolved: null, package: name };
+        }
+
+        const fromDir = posix.dirname(fromFile) === '.' ? '' : posix.dirname(fromFile);
+
+        if (specifier.startsWith('.') || specifier.startsWith('/')) {
+            const base = specifier.startsWith('/') ? specifier.slice(1) : posix.join(fromDir, specifier);
+            return { type: 'internal', resolved: this.resolvePath(base), package: null };
+        }
+
+        if (specifier.startsWith('#')) {
+            const resolved = this.resolvePackageImport(fromDir, specifier);
+            if (resolved) return resolved;
+        }
+
+        const aliased = this.resolveTsconfigAlias(fromFile, specifier);
+        if (aliased) return { type: 'internal', resolved: aliased, package: null };
+
+        const packageDir = this.packageByName.get(name);
+        if (packageDir !== undefined) {
+            const subpath = '.' + specifier.slice(name.length);
+            const resolved = this.resolvePackageEntry(packageDir, subpath);
+            if (resolved) return { type: 'internal', resolved, package: name };
+        }
+
+        return { type: 'external', resolved: null, package: name };
+    }
+
+    /**
+     * A path as written in an import → an existing file: the exact file, its
+     * TypeScript source, the path plus an extension, or a directory entry
+     */
+    resolvePath(base) {
+        const target = this.normalize(base);
+        if (target === null) return null;
+        return this.resolveAsFile(target) || this.resolveDirectory(target, true);
+    }
+
+    /**
+     * package.json `main` / `exports` targets: a file, or a directory's index
+     */
+    resolveTarget(base) {
+        const target = this.normalize(base);
+        if (target === null) return null;
+        return this.resolveAsFile(target) || this.resolveDirectory(target, false);
+    }
+
+    normalize(base) {
+        const target = posix.normalize(base).replace(/\/$/, '');
+        if (target === '.') return '';
+        return target.startsWith('..') ? null : target;
+    }
+
+    resolveAsFile(target) {
+        if (target === '') return null;
+        if (this.files.has(target)) return target;
+
+        const ext = posix.extname(target);
+        for (const sourceExt of TS_SOURCE_FOR[ext] || []) {
+            const candidate = target.slice(0, -ext.length) + sourceExt;
+            if (this.files.has(candidate)) return candidate;
+        }
+
+        for (const candidateExt of EXTENSIONS) {
+            if (this.files.has(target + candidateExt)) return target + candidateExt;
+        }
+        return null;
+    }
+
+    resolveDirectory(dir, followPackage) {
+        const pkg = followPackage ? this.packages.get(dir) : null;
+        if (pkg) {
+            // `source` first: in a checkout, `main` often points at build output that is not committed
+            for (const field of ['source', 'main', 'module']) {
+                if (typeof pkg[field] === 'string') {
+                    const resolved = this.resolveTarget(posix.join(dir, pkg[field]));
+                    if (resolved) return resolved;
+                }
+            }
+        }
+
+        const prefix = dir ? `${dir}/` : '';
+        for (const candidateExt of EXTENSIONS) {
+            if (this.files.has(`${prefix}index${candidateExt}`)) return `${prefix}index${candidateExt}`;
+        }
+        return null;
+    }
+
+    /**
+     * `import x from 'pkg/sub'` where pkg is a package of this repository
+     */
+    resolvePackageEntry(packageDir, subpath) {
+        const pkg = this.packages.get(packageDir) || {};
+
+        if (pkg.exports !== undefined) {
+            for (const target of this.service.mapTargets(pkg.exports, subpath)) {
+                if (!target.startsWith('./')) continue;
+                const resolved = this.resolveTarget(posix.join(packageDir, target));
+                if (resolved) return resolved;
+            }
+        }
+
+        if (subpath === '.') return this.resolveDirectory(packageDir, true);
+        return this.resolvePath(posix.join(packageDir, subpath));
+    }
+
+    /**
+     * `#internal/x` through the nearest package.json `imports` field
+     */
+    resolvePackageImport(fromDir, specifier) {
+        let dir = fromDir;
+        while (true) {
+            const pkg = this.packages.get(dir);
+            if (pkg && pkg.imports) {
+                for (const target of this.service.mapTargets(pkg.imports, specifier)) {
+                    if (target.startsWith('./')) {
+                        const resolved = this.resolveTarget(posix.join(dir, target));
+                        if (resolved) return { type: 'internal', resolved, package: null };
+                    } else {
+                        return this.resolve(posix.join(dir, 'package.json'), target);
+                    }
+                }
+                return null;
+            }
+            if (dir === '') return null;
+            dir = posix.dirname(dir) === '.' ? '' : posix.dirname(dir);
+        }
+    }
+
+    resolveTsconfigAlias(fromFile, specifier) {
+        const options = this.compilerOptionsFor(fromFile);
+        if (!options) return null;
+
+        if (options.paths) {
+            let best = null;
+            for (const pattern of Object.keys(options.paths)) {
+                const star = pattern.indexOf('*');
+                if (star === -1) {
+                    if (pattern === specifier) best = { pattern, prefix: pattern, match: null };
+                    continue;
+                }
+                const prefix = pattern.slice(0, star);
+                const suffix = pattern.slice(star + 1);
+                if (specifier.startsWith(prefix) && specifier.endsWith(suffix) &&
+                    specifier.length >= pattern.length - 1 && (!best || prefix.length > best.prefix.length)) {
+                    best = { pattern, prefix, match: specifier.slice(prefix.length, specifier.length - suffix.length) };
+                }
+            }
+            if (best) {
+                for (const target of [].concat(options.paths[best.pattern])) {
+                    const substituted = best.match === null ? target : target.replace('*', best.match);
+                    const resolved = this.resolvePath(posix.join(options.pathsBase, substituted));
+                    if (resolved) return resolved;
+                }
+            }
+        }
+
+        if (options.baseUrlDir !== null) {
+            return this.resolvePath(posix.join(options.baseUrlDir, specifier));
+        }
+        return null;
+    }
+
+    /**
+     * Effective baseUrl / paths of the nearest tsconfig.json (or jsconfig.json)
+     */
+    compilerOptionsFor(fromFile) {
+        let dir = posix.dirname(fromFile) === '.' ? '' : posix.dirname(fromFile);
+        while (true) {
+            for (const name of TSCONFIG_NAMES) {
+                const configPath = dir ? `${dir}/${name}` : name;
+                if (this.tsconfigs.has(configPath)) return this.loadCompilerOptions(configPath, new Set());
+            }
+            if (dir === '') return null;
+            dir = posix.dirname(dir) === '.' ? '' : posix.dirname(dir);
+        }
+    }
+
+    loadCompilerOptions(configPath, visiting) {
+        if (this.compilerOptionsCache.has(configPath)) return this.compilerOptionsCache.get(configPath);
+        if (visiting.has(configPath)) return null;
+        visiting.add(configPath);
+
+        const config = this.tsconfigs.get(configPath) || {};
+        const configDir = posix.dirname(configPath) === '.' ? '' : posix.dirname(configPath);
+        let options = { baseUrlDir: null, paths: null, pathsBase: configDir };
+
+        // Only relative `extends` can be followed inside the repository
+        for (const parent of [].concat(config.extends || [])) {
+            if (typeof parent !== 'string' || !parent.startsWith('.')) continue;
+            let parentPath = posix.normalize(posix.join(configDir, parent));
+            if (!parentPath.endsWith('.json')) parentPath += '.json';
+            const inherited = this.tsconfigs.has(parentPath) ? this.loadCompilerOptions(parentPath, visiting) : null;
+            if (inherited) options = { ...options, ...inherited };
+        }
+
+        const compilerOptions = config.compilerOptions || {};
+        if (typeof compilerOptions.baseUrl === 'string') {
+            options.baseUrlDir = posix.normalize(posix.join(configDir, compilerOptions.baseUrl)).replace(/^\.$/, '');
+            options.pathsBase = options.baseUrlDir;
+        }
+        if (compilerOptions.paths && typeof compilerOptions.paths === 'object') {
+            options.paths = compilerOptions.paths;
+            if (typeof compilerOptions.baseUrl !== 'string' && options.baseUrlDir === null) {
+                options.pathsBase = configDir;
+            }
+        }
+
+        this.compilerOptionsCache.set(configPath, options);
+        return options;
+    }
+}
+
+module.exports = new ModuleResolverService();
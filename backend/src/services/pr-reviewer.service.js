@@ -2,14 +2,31 @@
  * PR Reviewer Service
  * Core logic for automated code analysis
  */
+const axios = require('axios');
 const llmService = require('./llm.service');
+const reviewRulesEngine = require('./review-rules.engine');
+
+class PrReviewError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PrReviewError';
+        this.statusCode = statusCode;
+    }
+}
 
 class PrReviewerService {
 
-    async analyzePR(prDiff, repoName, prNumber) {
-        // 1. Static Analysis (Regex/Rule based)
-        const securityWarnings = this.scanSecurity(prDiff);
-        const codeIssues = this.scanQuality(prDiff);
+    /**
+     * options.files: { [path]: new file content } — lets rules see whole files
+     * options.rules: { [ruleId]: 'off' | 'high' | 'medium' | 'low' }
+     */
+    async analyzePR(prDiff, repoName, prNumber, options = {}) {
+        // 1. Static Analysis (AST rules over the added lines)
+        const review = reviewRulesEngine.review(prDiff, options);
+        const securityWarnings = review.comments
+            .filter(c => c.type === 'security')
+            .map(c => ({ ...c, solution: c.suggestion }));
+        const codeIssues = review.comments.filter(c => c.type !== 'security');
 
         // 2. AI Analysis
         const aiAnalysis = await this.getAiAnalysis(prDiff, repoName);
@@ -17,7 +34,7 @@ class PrReviewerService {
         // 3. Compile Results
         const allIssues = [...codeIssues, ...aiAnalysis.issues];
         const suggestions = aiAnalysis.suggestions;
-        const recommendations = this.generateRecommendations(allIssues);
+        const recommendations = this.generateRecommendations([...allIssues, ...securityWarnings]);
 
         // 4. Calculate Stats
         const confidenceScore = this.calculateConfidence(allIssues, securityWarnings, suggestions);
@@ -29,56 +46,12 @@ class PrReviewerService {
             issues: allIssues,
             securityWarnings,
             suggestions,
-            recommendations
+            recommendations,
+            comments: review.comments,
+            files: review.files
         };
     }
 
-    scanSecurity(diff) {
-        const warnings = [];
-        const patterns = [
-            { regex: /password\s*=\s*['"][^'"]+['"]/i, title: 'Hardcoded Password', desc: 'Avoid hardcoding credentials.', severity: 'high' },
-            { regex: /eval\(/, title: 'Dangerous Eval', desc: 'eval() can execute arbitrary code.', severity: 'high' },
-            { regex: /innerHTML/, title: 'XSS Risk', desc: 'Direct innerHTML assignment.', severity: 'medium' }
-        ];
-
-        patterns.forEach(p => {
-            if (p.regex.test(diff)) {
-                warnings.push({
-                    title: p.title,
-                    description: p.desc,
-                    solution: 'Use environment variables or safer alternatives.',
-                    severity: p.severity
-                });
-            }
-        });
-        return warnings;
-    }
-
-    scanQuality(diff) {
-        const issues = [];
-        if (diff.includes('console.log')) {
-            issues.push({
-                type: 'quality',
-                title: 'Console Log Leftover',
-                description: 'Found console.log statements.',
-                severity: 'low',
-                codeSnippet: 'console.log(...)',
-                suggestion: 'Remove debug logging.'
-            });
-        }
-        if (diff.includes('var ')) {
-            issues.push({
-                type: 'best-practice',
-                title: 'Var Usage',
-                description: 'Usage of "var" keyword detected.',
-                severity: 'low',
-                codeSnippet: 'var x = ...',
-                suggestion: 'Use "const" or "let".'
-            });
-        }
-        return issues;
-    }
-
     async getAiAnalysis(diff, repoName) {
         // Mock AI response for now (or integrate actual LLM)
         // In real impl: await llmService.generateResponse(...)
@@ -94,6 +67,73 @@ class PrReviewerService {
         };
     }
 
+    /**
+     * GitHub review payload: the summary as the review body plus one inline
+     * comment per finding anchored to a diff position. Fixes become
+     * suggestion blocks; multi-line ones are anchored by line range.
+     */
+    buildReview(issues, body) {
+        const comments = issues
+            .filter(issue => issue.path && (issue.position || issue.line))
+            .map(issue => this.toReviewComment(issue));
+
+        return { body, event: 'COMMENT', comments };
+    }
+
+    toReviewComment(issue) {
+        let body = issue.ruleId ? `**${issue.title}** (\`${issue.ruleId}\`)` : `**${issue.title}**`;
+        body += `\n\n${issue.description}`;
+        if (issue.suggestion) body += `\n\n${issue.suggestion}`;
+
+        const fix = issue.fix;
+        if (fix) {
+            body += fix.text === '' ? '\n\n```suggestion\n```' : `\n\n\`\`\`suggestion\n${fix.text}\n\`\`\``;
+            if (fix.startLine !== issue.line || fix.endLine !== issue.line) {
+                const comment = { path: issue.path, body, line: fix.endLine, side: 'RIGHT' };
+                if (fix.startLine !== fix.endLine) {
+                    comment.start_line = fix.startLine;
+                    comment.start_side = 'RIGHT';
+                }
+                return comment;
+            }
+        }
+
+        return issue.position
+            ? { path: issue.path, body, position: issue.position }
+            : { path: issue.path, body, line: issue.line, side: 'RIGHT' };
+    }
+
+    /**
+     * Submit a review on GitHub (POST /repos/{owner}/{repo}/pulls/{number}/reviews)
+     */
+    async postReview(repoName, prNumber, review, commitId) {
+        if (!process.env.GITHUB_TOKEN) {
+            throw new PrReviewError('GITHUB_TOKEN is required to post review comments', 400);
+        }
+        if (!/^[\w.-]+\/[\w.-]+$/.test(repoName)) {
+            throw new PrReviewError('Repository name must be in owner/name form', 400);
+        }
+
+        try {
+            const { data } = await axios.post(
+                `https://api.github.com/repos/${repoName}/pulls/${prNumber}/reviews`,
+                commitId ? { ...review, commit_id: commitId } : review,
+                {
+                    headers: {
+                        Authorization: `token ${process.env.GITHUB_TOKEN}`,
+                        Accept: 'application/vnd.github+json'
+                    },
+                    timeout: 15000
+                }
+            );
+            return { id: data.id, url: data.html_url, state: data.state };
+        } catch (error) {
+            const status = error.response && error.response.status;
+            const detail = (error.response && error.response.data && error.response.data.message) || error.message;
+            throw new PrReviewError(`GitHub rejected the review: ${detail}`, status === 422 ? 422 : 502);
+        }
+    }
+
     generateRecommendations(issues) {
         const recs = [];
         if (issues.some(i => i.severity === 'high')) {
@@ -121,4 +161,5 @@ class PrReviewerService {
     }
 }
 
-module.exports = new PrReviewerService();
\ No newline at end of file
+module.exports = new PrReviewerService();
+module.exports.PrReviewError = PrReviewError;
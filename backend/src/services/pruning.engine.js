@@ -6,25 +6,39 @@ class PruningEngine {
     /**
      * Analyzes buildings and provides pruning recommendations.
      * @param {Array} buildings - List of building objects from BundleAnalyzer.
+     * @param {Array} duplicates - Packages bundled more than once (from BundleAnalyzer).
      */
-    async getPruningSuggestions(buildings) {
+    async getPruningSuggestions(buildings, duplicates = []) {
         const suggestions = [];
+        const packageBytes = name => buildings
+            .filter(b => b.package === name)
+            .reduce((sum, b) => sum + b.stats.bytes, 0);
 
         // 1. Detect Large Singletons (Like Moment.js)
-        const moment = buildings.find(b => b.name.toLowerCase().includes('moment'));
-        if (moment) {
+        if (packageBytes('moment') > 0) {
             suggestions.push({
-                target: moment.name,
+                target: 'moment',
                 type: 'Redundant Library',
                 impact: 'High',
-                description: 'Moment.js is legacy and heavy. Replace with date-fns or Day.js.',
+                description: `Moment.js is legacy and heavy (${this.formatKB(packageBytes('moment'))} here). Replace with date-fns or Day.js.`,
                 action: 'npm uninstall moment && npm install date-fns'
             });
         }
 
-        // 2. Detect Duplicate Libraries (Example: Lodash)
-        const lodash = buildings.filter(b => b.name.toLowerCase().includes('lodash'));
-        if (lodash.length > 0) {
+        // 2. Detect Duplicate Libraries
+        duplicates.forEach(duplicate => {
+            suggestions.push({
+                target: duplicate.package,
+                type: 'Duplicate Package',
+                impact: duplicate.wastedBytes > 50 * 1024 ? 'High' : 'Medium',
+                description: `${duplicate.package} is bundled ${duplicate.instances.length} times` +
+                    `${duplicate.versions.length > 1 ? ` (${duplicate.versions.join(', ')})` : ''}, wasting ${this.formatKB(duplicate.wastedBytes)}.`,
+                action: `npm dedupe, or align the ranges that pull in ${duplicate.package}`
+            });
+        });
+
+        // 3. Full lodash build instead of per-method imports
+        if (buildings.some(b => b.package === 'lodash' && b.name === 'lodash.js')) {
             suggestions.push({
                 target: 'lodash',
                 type: 'Bundle Bloat',
@@ -34,8 +48,8 @@ class PruningEngine {
             });
         }
 
-        // 3. Detect Heavy Assets
-        const heavyImages = buildings.filter(b => b.type === 'image' && parseFloat(b.stats.size) > 500);
+        // 4. Detect Heavy Assets
+        const heavyImages = buildings.filter(b => b.type === 'image' && b.stats.bytes > 500 * 1024);
         heavyImages.forEach(img => {
             suggestions.push({
                 target: img.name,
@@ -46,17 +60,23 @@ class PruningEngine {
             });
         });
 
-        // 4. Polyfill Audit
-        suggestions.push({
-            target: 'core-js',
-            type: 'Polyfill Overlap',
-            impact: 'Low',
-            description: 'Many modern browsers support ES6+. Prune legacy polyfills.',
-            action: 'Update browserslist to exclude IE11'
-        });
+        // 5. Polyfill Audit
+        if (packageBytes('core-js') > 0) {
+            suggestions.push({
+                target: 'core-js',
+                type: 'Polyfill Overlap',
+                impact: 'Low',
+                description: `core-js adds ${this.formatKB(packageBytes('core-js'))}. Many modern browsers support ES6+. Prune legacy polyfills.`,
+                action: 'Update browserslist to exclude IE11'
+            });
+        }
 
         return suggestions;
     }
+
+    formatKB(bytes) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
 }
 
 module.exports = new PruningEngine();
@@ -82,7 +82,9 @@ Please suggest specific refactoring improvements for this code. Focus on:
 3. Improving readability
 4. Following best practices
 
-Provide a detailed refactoring plan.`;
+Provide a detailed refactoring plan. If a single function extraction is the best first step,
+also include a JSON object of the form:
+{"type": "extract_function", "description": "...", "changes": [{"type": "extract", "startLine": 1, "endLine": 2, "newFunctionName": "name"}]}`;
 
         const aiResponse = await this.llmService.generateResponse(
             `Analyze this code and suggest refactoring improvements: ${context}`,
@@ -96,7 +98,10 @@ Provide a detailed refactoring plan.`;
      * Parses AI response into structured refactoring suggestion
      */
     parseAISuggestion(aiResponse) {
-        // Mock parsing - in real implementation, would parse structured AI response
+        const structured = this.extractJsonSuggestion(aiResponse);
+        if (structured) return structured;
+
+        // Free-form answer: fall back to a generic extraction plan
         return {
             type: 'extract_function',
             description: aiResponse.substring(0, 200),
@@ -111,6 +116,52 @@ Provide a detailed refactoring plan.`;
         };
     }
 
+    /**
+     * Finds the first JSON object in the response that describes a refactoring with changes
+     */
+    extractJsonSuggestion(aiResponse) {
+        for (const candidate of this.balancedObjects(aiResponse)) {
+            try {
+                const parsed = JSON.parse(candidate);
+                const validChanges = Array.isArray(parsed.changes) && parsed.changes.every(c =>
+                    Number.isInteger(c.startLine) && Number.isInteger(c.endLine) && c.startLine <= c.endLine
+                );
+                if (parsed.type && validChanges) {
+                    return {
+                        type: parsed.type,
+                        description: String(parsed.description || aiResponse.substring(0, 200)),
+                        changes: parsed.changes
+                    };
+                }
+            } catch (error) {
+                // Not JSON; keep looking
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Yields each top-level {...} span in the text, skipping braces inside strings
+     */
+    *balancedObjects(text) {
+        let depth = 0;
+        let start = -1;
+        let inString = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inString) {
+                if (ch === '\\') i++;
+                else if (ch === '"') inString = false;
+            } else if (ch === '"' && depth > 0) {
+                inString = true;
+            } else if (ch === '{') {
+                if (depth++ === 0) start = i;
+            } else if (ch === '}' && depth > 0) {
+                if (--depth === 0) yield text.slice(start, i + 1);
+            }
+        }
+    }
+
     /**
      * Applies refactoring to code based on suggestion
      */
@@ -1,8 +1,34 @@
 /**
  * Release Notes Generator Service
  * Analyzes commits and generates structured release notes using AI.
+ *
+ * Commits between `base` and `head` are read from a local clone (`repoPath`)
+ * or from the GitHub compare API, parsed as Conventional Commits (scopes, `!`,
+ * `BREAKING CHANGE:` footers, issue references) and rendered as release notes,
+ * a CHANGELOG.md section and Keep-a-Changelog JSON.
  */
+const axios = require('axios');
 const llmService = require('./llm.service');
+const timeMachine = require('./git-time-machine.service');
+
+const GITHUB_API = 'https://api.github.com';
+const MAX_COMMITS = 1000;
+const HEADER_PATTERN = /^(\w+)(?:\(([^)]*)\))?(!)?:\s+(.*)$/;
+const FOOTER_PATTERN = /^(BREAKING[ -]CHANGE|[\w-]+)(?::\s|\s(?=#))(.*)$/;
+const ISSUE_FOOTERS = /^(close[sd]?|fix(e[sd])?|resolve[sd]?|refs?|see|related)$/i;
+const SEMVER_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// Commit types that never reach the user-facing changelog unless they are breaking
+const INTERNAL_TYPES = new Set(['docs', 'chore', 'test', 'build', 'ci', 'style']);
+const SECURITY_PATTERN = /\b(security|vulnerab\w*|CVE-\d{4}-\d+|XSS|CSRF|injection)\b/i;
+
+class ReleaseNotesError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ReleaseNotesError';
+        this.statusCode = statusCode;
+    }
+}
 
 class ReleaseNotesService {
     /**
@@ -10,33 +36,127 @@ class ReleaseNotesService {
      * @param {string} repo - owner/repo
      * @param {string} base - base tag/branch
      * @param {string} head - head tag/branch
+     * @param {Object} options - { repoPath, token }; `repoPath` reads the range from a local clone
      */
-    async generateNotes(repo, base, head) {
-        // 1. Fetch commits (Mocking GitHub API fetch for logic implementation)
-        const commits = this.getMockCommits();
+    async generateNotes(repo, base, head, options = {}) {
+        timeMachine.assertRevision(base);
+        timeMachine.assertRevision(head);
+
+        // 1. Fetch commits in base..head
+        const range = options.repoPath
+            ? await this.getLocalCommits(options.repoPath, base, head)
+            : await this.getGithubCommits(repo, base, head, options);
+        const slug = repo || range.slug;
 
         // 2. Parse Commits
-        const parsedData = this.parseCommits(commits);
+        const parsedData = this.parseCommits(range.commits);
 
-        // 3. AI Summarization
-        const summary = await this.getAiSummary(repo, parsedData);
+        // 3. Versioning
+        const previousVersion = this.parseVersion(base) ? base : range.previousTag || null;
+        const nextVersion = this.nextVersion(previousVersion, parsedData.recommendedBump);
+        const version = this.parseVersion(head) ? head : nextVersion || head;
+        const date = (range.date ? new Date(range.date) : new Date()).toISOString().slice(0, 10);
+        const compareUrl = slug ? `https://github.com/${slug}/compare/${base}...${head}` : null;
 
-        // 4. Generate Markdown
-        const markdown = this.formatMarkdown(repo, parsedData, summary, head);
+        // 4. AI Summarization
+        const summary = await this.getAiSummary(slug || options.repoPath, parsedData);
+
+        // 5. Generate Markdown and Keep-a-Changelog output
+        const markdown = this.formatMarkdown(slug, parsedData, summary, version);
+        const json = this.toKeepAChangelog(parsedData, { version, date, compareUrl, previousVersion });
 
         return {
-            repo,
+            repo: slug,
             range: `${base}...${head}`,
+            version,
+            previousVersion,
+            nextVersion,
+            recommendedBump: parsedData.recommendedBump,
             summary,
             categories: parsedData.categories,
             breakingChanges: parsedData.breakingChanges,
+            scopes: parsedData.scopes,
             contributors: parsedData.contributors,
             markdown,
+            changelog: this.formatChangelog(slug, json),
             html: this.convertToHtml(markdown),
-            json: parsedData
+            json
         };
     }
 
+    /**
+     * Commits reachable from `head` but not `base` in a local clone, oldest first.
+     * The clone must live inside RELEASE_REPOS_DIR (default: the working directory).
+     */
+    async getLocalCommits(repoPath, base, head) {
+        const root = await timeMachine.resolveRequestedRepository(repoPath, 'RELEASE_REPOS_DIR');
+        const output = await timeMachine.git(root, [
+            'log', '--no-merges', '--reverse', `--max-count=${MAX_COMMITS}`,
+            '--format=%H%x1f%an%x1f%ae%x1f%aI%x1f%B%x1e', `${base}..${head}`, '--'
+        ]);
+
+        const commits = output.split('\x1e').map(r => r.trim()).filter(Boolean).map(record => {
+            const [hash, author, email, date, message] = record.split('\x1f');
+            return { hash, author, email, date, message: message.trim() };
+        });
+
+        let previousTag = null;
+        try {
+            previousTag = (await timeMachine.git(root, ['describe', '--tags', '--abbrev=0', base])).trim();
+        } catch (error) {
+            // no tag reachable from base
+        }
+
+        let slug = null;
+        try {
+            const remote = (await timeMachine.git(root, ['remote', 'get-url', 'origin'])).trim();
+            const match = remote.match(/github\.com[:/]([^/]+\/[^/]+?)(\.git)?$/);
+            slug = match ? match[1] : null;
+        } catch (error) {
+            // no origin remote
+        }
+
+        return {
+            commits,
+            previousTag: this.parseVersion(previousTag) ? previousTag : null,
+            slug,
+            date: commits.length ? commits[commits.length - 1].date : null
+        };
+    }
+
+    /**
+     * Commits of `base...head` from the GitHub compare API, oldest first.
+     */
+    async getGithubCommits(repo, base, head, options = {}) {
+        if (!repo || !/^[\w-][\w.-]*\/[\w-][\w.-]*$/.test(repo)) {
+            throw new ReleaseNotesError('Repository must be given as owner/name');
+        }
+
+        const commits = [];
+        try {
+            for (let page = 1; commits.length < MAX_COMMITS; page++) {
+                const { data } = await axios.get(`${GITHUB_API}/repos/${repo}/compare/${base}...${head}`, {
+                    headers: this.githubHeaders(options.token),
+                    params: { per_page: 100, page }
+                });
+                data.commits
+                    .filter(c => !c.parents || c.parents.length < 2)
+                    .forEach(c => commits.push({
+                        hash: c.sha,
+                        author: c.author ? c.author.login : c.commit.author.name,
+                        email: c.commit.author.email,
+                        date: c.commit.author.date,
+                        message: c.commit.message.trim()
+                    }));
+                if (data.commits.length < 100 || page * 100 >= data.total_commits) break;
+            }
+        } catch (error) {
+            throw this.githubError(error, `Could not compare ${base}...${head} in ${repo}`);
+        }
+
+        return { commits, slug: repo, date: commits.length ? commits[commits.length - 1].date : null };
+    }
+
     parseCommits(commits) {
         const categories = {
             feat: [],
@@ -49,56 +169,166 @@ class ReleaseNotesService {
         };
         const breakingChanges = [];
         const contributors = new Set();
+        const scopes = {};
 
         commits.forEach(c => {
-            const message = c.message;
             contributors.add(c.author);
 
-            // Extract PR number if present (e.g., "message (#123)")
-            const prMatch = message.match(/\(#(\d+)\)/);
-            const prNumber = prMatch ? prMatch[1] : null;
-
-            // Conventional Commit Parsing regex: type(scope)!: message
-            const match = message.match(/^(\w+)(?:\(([^)]+)\))?(!)?:\s+(.*)$/);
-
-            if (match) {
-                const [, type, scope, isBreaking, description] = match;
-                const entry = {
-                    hash: c.hash,
-                    author: c.author,
-                    scope: scope || null,
-                    description: description.replace(/\(#\d+\)/, '').trim(),
-                    pr: prNumber,
-                    original: message
-                };
-
-                if (isBreaking || message.includes('BREAKING CHANGE')) {
-                    breakingChanges.push(entry);
-                }
-
-                if (categories[type]) {
-                    categories[type].push(entry);
-                } else {
-                    categories.other.push(entry);
-                }
+            const parsed = this.parseMessage(c.message);
+            const entry = {
+                hash: c.hash,
+                author: c.author,
+                type: parsed.type,
+                scope: parsed.scope,
+                description: parsed.description,
+                pr: parsed.pr,
+                issues: parsed.issues,
+                breaking: parsed.breaking,
+                breakingNote: parsed.breakingNote,
+                original: parsed.header
+            };
+
+            if (entry.breaking) breakingChanges.push(entry);
+
+            if (parsed.type && categories[parsed.type]) {
+                categories[parsed.type].push(entry);
             } else {
-                categories.other.push({
-                    hash: c.hash,
-                    author: c.author,
-                    description: message.replace(/\(#\d+\)/, '').trim(),
-                    pr: prNumber,
-                    original: message
-                });
+                categories.other.push(entry);
+            }
+
+            if (entry.scope) {
+                if (!scopes[entry.scope]) scopes[entry.scope] = [];
+                scopes[entry.scope].push(entry);
             }
         });
 
+        let recommendedBump = commits.length ? 'patch' : null;
+        if (categories.feat.length > 0) recommendedBump = 'minor';
+        if (breakingChanges.length > 0) recommendedBump = 'major';
+
         return {
             categories,
             breakingChanges,
-            contributors: Array.from(contributors)
+            scopes,
+            contributors: Array.from(contributors),
+            recommendedBump
+        };
+    }
+
+    /**
+     * Parse one commit message per the Conventional Commits 1.0 spec.
+     * Non-conventional messages keep `type: null` and their header as description.
+     */
+    parseMessage(message) {
+        const [header, ...bodyLines] = message.split('\n');
+        const match = header.trim().match(HEADER_PATTERN);
+
+        // Footers are the trailing paragraph when it starts with a `Token: value` line
+        const paragraphs = bodyLines.join('\n').trim().split(/\n\s*\n/);
+        const last = paragraphs[paragraphs.length - 1];
+        const footers = [];
+        if (last && FOOTER_PATTERN.test(last.split('\n')[0])) {
+            paragraphs.pop();
+            last.split('\n').forEach(line => {
+                const footer = line.match(FOOTER_PATTERN);
+                if (footer) footers.push({ token: footer[1], value: footer[2].trim() });
+                else footers[footers.length - 1].value += `\n${line.trim()}`;
+            });
+        }
+
+        const breakingFooter = footers.find(f => /^BREAKING[ -]CHANGE$/.test(f.token));
+        const prMatch = header.match(/\(#(\d+)\)\s*$/);
+        const issues = new Set();
+        footers.filter(f => ISSUE_FOOTERS.test(f.token)).forEach(f => {
+            (f.value.match(/#\d+/g) || []).forEach(ref => issues.add(ref.slice(1)));
+        });
+
+        const description = (match ? match[4] : header).replace(/\s*\(#\d+\)\s*$/, '').trim();
+        return {
+            header: header.trim(),
+            type: match ? match[1].toLowerCase() : null,
+            scope: match && match[2] ? match[2].trim() : null,
+            description,
+            body: paragraphs.join('\n\n').trim(),
+            footers,
+            breaking: Boolean((match && match[3]) || breakingFooter),
+            breakingNote: breakingFooter ? breakingFooter.value : null,
+            pr: prMatch ? prMatch[1] : null,
+            issues: Array.from(issues)
         };
     }
 
+    parseVersion(version) {
+        const match = typeof version === 'string' && version.match(SEMVER_PATTERN);
+        return match ? { major: +match[1], minor: +match[2], patch: +match[3] } : null;
+    }
+
+    /**
+     * Next version after `previous` for a bump. Before 1.0.0 breaking changes
+     * bump the minor version, as the semver spec allows for initial development.
+     */
+    nextVersion(previous, bump) {
+        const version = this.parseVersion(previous);
+        if (!version || !bump) return null;
+
+        const prefix = previous.startsWith('v') ? 'v' : '';
+        if (bump === 'major' && version.major > 0) return `${prefix}${version.major + 1}.0.0`;
+        if (bump === 'major' || bump === 'minor') return `${prefix}${version.major}.${version.minor + 1}.0`;
+        return `${prefix}${version.major}.${version.minor}.${version.patch + 1}`;
+    }
+
+    /**
+     * Keep-a-Changelog section for a parsed range.
+     * @returns {{ version, date, compareUrl, previousVersion, bump, breaking, sections }}
+     */
+    toKeepAChangelog(data, { version, date, compareUrl, previousVersion }) {
+        const sections = { Added: [], Changed: [], Deprecated: [], Removed: [], Fixed: [], Security: [] };
+
+        Object.values(data.categories).flat().forEach(entry => {
+            const section = this.changelogSection(entry);
+            if (!section) return;
+            sections[section].push({
+                description: entry.description,
+                scope: entry.scope,
+                hash: entry.hash,
+                pr: entry.pr,
+                issues: entry.issues,
+                breaking: entry.breaking
+            });
+        });
+
+        Object.keys(sections).forEach(name => {
+            if (sections[name].length === 0) delete sections[name];
+            else sections[name].sort((a, b) => (a.scope || '~').localeCompare(b.scope || '~'));
+        });
+
+        return {
+            version: version.replace(/^v(?=\d)/, ''),
+            date,
+            compareUrl,
+            previousVersion,
+            bump: data.recommendedBump,
+            breaking: data.breakingChanges.map(entry => ({
+                scope: entry.scope,
+                description: entry.description,
+                note: entry.breakingNote,
+                hash: entry.hash
+            })),
+            sections
+        };
+    }
+
+    changelogSection(entry) {
+        const text = `${entry.scope || ''} ${entry.description}`;
+        if (INTERNAL_TYPES.has(entry.type) && !entry.breaking) return null;
+        if (entry.type === 'security' || SECURITY_PATTERN.test(text)) return 'Security';
+        if (/^deprecate/i.test(entry.description)) return 'Deprecated';
+        if (/^(remove|drop|delete)s?\b/i.test(entry.description)) return 'Removed';
+        if (entry.type === 'feat') return 'Added';
+        if (entry.type === 'fix') return 'Fixed';
+        return 'Changed';
+    }
+
     async getAiSummary(repo, data) {
         try {
             return await llmService.generateReleaseSummary(repo, data);
@@ -108,6 +338,21 @@ class ReleaseNotesService {
         }
     }
 
+    /**
+     * Links to a commit's PR, closed issues and the commit itself.
+     */
+    formatReferences(repo, item) {
+        const base = repo ? `https://github.com/${repo}` : null;
+        const link = (label, path) => base ? `[${label}](${base}/${path})` : label;
+
+        let refs = item.pr ? ` (${link(`#${item.pr}`, `pull/${item.pr}`)})` : '';
+        refs += ` (${link(item.hash.slice(0, 7), `commit/${item.hash}`)})`;
+        if (item.issues && item.issues.length) {
+            refs += `, closes ${item.issues.map(n => link(`#${n}`, `issues/${n}`)).join(', ')}`;
+        }
+        return refs;
+    }
+
     formatMarkdown(repo, data, summary, version) {
         let md = `# Release Notes - ${repo} (${version})\n\n`;
         md += `## 📝 Summary\n${summary}\n\n`;
@@ -115,7 +360,9 @@ class ReleaseNotesService {
         if (data.breakingChanges.length > 0) {
             md += `## ⚠️ BREAKING CHANGES\n`;
             data.breakingChanges.forEach(bc => {
-                md += `- ${bc.description} (${bc.hash.slice(0, 7)})\n`;
+                const scopePart = bc.scope ? `**${bc.scope}**: ` : '';
+                const notePart = bc.breakingNote ? ` — ${bc.breakingNote.replace(/\n/g, ' ')}` : '';
+                md += `- ${scopePart}${bc.description}${notePart} (${bc.hash.slice(0, 7)})\n`;
             });
             md += `\n`;
         }
@@ -126,17 +373,18 @@ class ReleaseNotesService {
             perf: '⚡ Performance',
             docs: '📚 Documentation',
             refactor: '♻️ Refactoring',
-            chore: '🔧 Maintenance'
+            chore: '🔧 Maintenance',
+            other: '📦 Other Changes'
         };
 
         Object.keys(labels).forEach(type => {
             const items = data.categories[type];
             if (items && items.length > 0) {
                 md += `## ${labels[type]}\n`;
-                items.forEach(item => {
+                // Group by scope: scoped entries alphabetically, unscoped last
+                [...items].sort((a, b) => (a.scope || '~').localeCompare(b.scope || '~')).forEach(item => {
                     const scopePart = item.scope ? `**${item.scope}**: ` : '';
-                    const prPart = item.pr ? ` ([#${item.pr}](https://github.com/${repo}/pull/${item.pr}))` : '';
-                    md += `- ${scopePart}${item.description}${prPart} (@${item.author})\n`;
+                    md += `- ${scopePart}${item.description}${this.formatReferences(repo, item)} (@${item.author})\n`;
                 });
                 md += `\n`;
             }
@@ -150,21 +398,99 @@ class ReleaseNotesService {
         return md;
     }
 
+    /**
+     * CHANGELOG.md section in Keep-a-Changelog format.
+     */
+    formatChangelog(repo, changelog) {
+        const title = changelog.compareUrl ? `[${changelog.version}](${changelog.compareUrl})` : `[${changelog.version}]`;
+        let md = `## ${title} - ${changelog.date}\n`;
+
+        if (changelog.breaking.length > 0) {
+            md += `\n### ⚠ BREAKING CHANGES\n\n`;
+            changelog.breaking.forEach(bc => {
+                const scopePart = bc.scope ? `**${bc.scope}:** ` : '';
+                md += `- ${scopePart}${bc.note ? bc.note.replace(/\n/g, ' ') : bc.description}\n`;
+            });
+        }
+
+        Object.entries(changelog.sections).forEach(([section, entries]) => {
+            md += `\n### ${section}\n\n`;
+            entries.forEach(entry => {
+                const scopePart = entry.scope ? `**${entry.scope}:** ` : '';
+                md += `- ${scopePart}${entry.description}${this.formatReferences(repo, entry)}\n`;
+            });
+        });
+
+        return md;
+    }
+
     convertToHtml(md) {
         // Simple conversion for demo
         return md.replace(/\n/g, '<br>').replace(/#(.*)/g, '<h1>$1</h1>').replace(/##(.*)/g, '<h2>$2</h2>').replace(/- (.*)/g, '<li>$1</li>');
     }
 
-    getMockCommits() {
-        return [
-            { hash: 'a1b2c3d', author: 'SatyamPandey-07', message: 'feat(ui): add new release notes dashboard interface' },
-            { hash: 'e5f6g7h', author: 'Saatvik-GT', message: 'fix(auth): resolve session timeout issue on mobile' },
-            { hash: 'i9j0k1l', author: 'SatyamPandey-07', message: 'feat(core)!: migrate to new database schema' },
-            { hash: 'm2n3o4p', author: 'dev-user', message: 'perf(graph): optimize 3D rendering loop' },
-            { hash: 'q5r6s7t', author: 'SatyamPandey-07', message: 'docs: update contribution guidelines' },
-            { hash: 'u8v9w0x', author: 'Saatvik-GT', message: 'chore: update dependency versions' }
-        ];
+    /**
+     * Create (or update) the GitHub release for a tag.
+     * @param {string} repo - owner/repo
+     * @param {Object} release - { tag, notes, name, target, draft, prerelease, token }
+     * @returns {Promise<{ id, url, created }>}
+     */
+    async publishRelease(repo, { tag, notes, name, target, draft = false, prerelease, token } = {}) {
+        if (!repo || !/^[\w-][\w.-]*\/[\w-][\w.-]*$/.test(repo)) {
+            throw new ReleaseNotesError('Repository must be given as owner/name');
+        }
+        timeMachine.assertRevision(tag);
+        if (!token && !process.env.GITHUB_TOKEN) {
+            throw new ReleaseNotesError('GITHUB_TOKEN is not configured; cannot publish releases', 503);
+        }
+
+        const headers = this.githubHeaders(token);
+        const body = {
+            tag_name: tag,
+            name: name || tag,
+            body: notes || '',
+            draft: Boolean(draft),
+            prerelease: prerelease === undefined ? /-/.test(tag) : Boolean(prerelease)
+        };
+        if (target) body.target_commitish = target;
+
+        try {
+            const { data } = await axios.post(`${GITHUB_API}/repos/${repo}/releases`, body, { headers });
+            return { id: data.id, url: data.html_url, created: true };
+        } catch (error) {
+            const exists = error.response && error.response.status === 422 &&
+                (error.response.data.errors || []).some(e => e.code === 'already_exists');
+            if (!exists) throw this.githubError(error, `Could not publish release ${tag} to ${repo}`);
+        }
+
+        // The tag already has a release: replace its notes
+        try {
+            const { data: existing } = await axios.get(`${GITHUB_API}/repos/${repo}/releases/tags/${tag}`, { headers });
+            const { tag_name, target_commitish, ...changes } = body;
+            const { data } = await axios.patch(`${GITHUB_API}/repos/${repo}/releases/${existing.id}`, changes, { headers });
+            return { id: data.id, url: data.html_url, created: false };
+        } catch (error) {
+            throw this.githubError(error, `Could not update release ${tag} in ${repo}`);
+        }
+    }
+
+    githubHeaders(token) {
+        const headers = {
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': 'Xaytheon-Release-Notes'
+        };
+        const auth = token || process.env.GITHUB_TOKEN;
+        if (auth) headers.Authorization = `token ${auth}`;
+        return headers;
+    }
+
+    githubError(error, message) {
+        if (!error.response) return error;
+        const status = error.response.status;
+        const detail = error.response.data && error.response.data.message;
+        return new ReleaseNotesError(`${message}: ${detail || `HTTP ${status}`}`, status === 404 || status === 422 ? status : 502);
     }
 }
 
 module.exports = new ReleaseNotesService();
+module.exports.ReleaseNotesError = ReleaseNotesError;
@@ -0,0 +1,289 @@
+/**
+ * Repository Index Service
+ * Chunks a repository's files and builds an in-memory BM25 index so the AI
+ * chat can retrieve the passages relevant to a question, with file/line citations.
+ *
+ * Sources:
+ *   { repoPath }  local clone (tracked files via `git ls-files`, or a directory walk)
+ *   { repo }      "owner/name" on GitHub, fetched with ComplexityAnalyzerService's file walkers
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const LRU = require('lru-cache');
+const complexityAnalyzer = require('./complexity-analyzer.service');
+const timeMachine = require('./git-time-machine.service');
+
+const CHUNK_LINES = 40;
+const CHUNK_OVERLAP = 10;
+const MAX_FILES = 2000;
+const MAX_GITHUB_FILES = 300; // each one is a GitHub API request
+const MAX_FILE_BYTES = 200 * 1024;
+const INDEX_TTL = 60 * 60 * 1000; // 1 hour
+const MAX_INDEXES = parseInt(process.env.AI_INDEX_CACHE_SIZE, 10) || 20;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const INDEXABLE_EXTENSIONS = new Set([
+    '.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.py', '.java', '.go', '.rb', '.php', '.c', '.cpp', '.h', '.cs', '.rs',
+    '.md', '.txt', '.json', '.yml', '.yaml', '.html', '.css', '.sql', '.sh'
+]);
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git', 'dist', 'build', 'coverage', 'vendor', '.next', '__pycache__']);
+const SKIPPED_FILES = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$|\.min\.(js|css)$/;
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'are', 'was', 'were', 'this', 'that', 'with', 'from', 'into', 'what', 'which', 'where', 'when',
+    'how', 'why', 'who', 'does', 'did', 'can', 'could', 'should', 'would', 'will', 'there', 'their', 'them', 'then',
+    'than', 'about', 'have', 'has', 'had', 'you', 'your', 'its', 'our', 'not', 'but', 'all', 'any', 'use', 'used',
+    'const', 'let', 'var', 'function', 'return', 'true', 'false', 'null', 'undefined', 'new', 'else', 'require',
+    'module', 'exports', 'async', 'await'
+]);
+
+/**
+ * Split text into lowercase search terms. Identifiers also contribute their
+ * camelCase / snake_case parts, so "getUserById" matches a question about "user".
+ */
+function tokenize(text) {
+    const terms = [];
+    (text.match(/[A-Za-z_$][A-Za-z0-9_$]*/g) || []).forEach(word => {
+        const parts = word
+            .split(/[_$]+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/)
+            .filter(Boolean)
+            .map(part => part.toLowerCase());
+        if (parts.length > 1) terms.push(word.toLowerCase());
+        parts.forEach(part => {
+            if (part.length > 1 && !STOPWORDS.has(part)) terms.push(stem(part));
+        });
+    });
+    return terms;
+}
+
+/**
+ * Minimal suffix stripping so "routes"/"routing"/"routed" share a term.
+ */
+function stem(term) {
+    if (term.length <= 4) return term;
+    return term.replace(/(ing|ed|es|s)$/, '');
+}
+
+class RepoIndexService {
+    constructor() {
+        this.indexes = new LRU({ max: MAX_INDEXES, maxAge: INDEX_TTL }); // source key -> index
+        this.building = new Map(); // source key -> Promise<index>
+    }
+
+    sourceKey(source) {
+        if (source.repo) return `github:${source.repo}`;
+        return `local:${path.resolve(source.repoPath)}`;
+    }
+
+    /**
+     * Return the index for a source, building it when missing, stale or `refresh` is set.
+     * @param {{ repo?: string, repoPath?: string }} source
+     */
+    async getIndex(source, { refresh = false } = {}) {
+        const key = this.sourceKey(source);
+        const existing = this.indexes.get(key);
+        if (existing && !refresh) return existing;
+
+        if (!this.building.has(key)) {
+            const build = this.buildIndex(source)
+                .then(index => {
+                    this.indexes.set(key, index);
+                    return index;
+                })
+                .finally(() => this.building.delete(key));
+            this.building.set(key, build);
+        }
+        return this.building.get(key);
+    }
+
+    async buildIndex(source) {
+        const files = source.repo ? await this.loadGithubFiles(source.repo) : await this.loadLocalFiles(source.repoPath);
+
+        const chunks = [];
+        files.forEach(file => chunks.push(...this.chunkFile(file.path, file.content)));
+
+        const postings = new Map(); // term -> [[chunkIndex, termFrequency]]
+        const lengths = chunks.map((chunk, i) => {
+            const terms = tokenize(chunk.text).concat(tokenize(chunk.file));
+            const counts = new Map();
+            terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+            counts.forEach((tf, term) => {
+                if (!postings.has(term)) postings.set(term, []);
+                postings.get(term).push([i, tf]);
+            });
+            return terms.length;
+        });
+
+        return {
+            key: this.sourceKey(source),
+            source,
+            files: files.length,
+            chunks,
+            postings,
+            lengths,
+            averageLength: lengths.reduce((sum, l) => sum + l, 0) / (lengths.length || 1),
+            linkBase: await this.resolveLinkBase(source),
+            builtAt: Date.now()
+        };
+    }
+
+    /**
+     * Overlapping fixed-size line windows.
+     */
+    chunkFile(file, content) {
+        const lines = content.split('\n');
+        const chunks = [];
+        for (let start = 0; start < lines.length; start += CHUNK_LINES - CHUNK_OVERLAP) {
+            const end = Math.min(lines.length, start + CHUNK_LINES);
+            const text = lines.slice(start, end).join('\n');
+            if (text.trim()) chunks.push({ file, startLine: start + 1, endLine: end, text });
+            if (end === lines.length) break;
+        }
+        return chunks;
+    }
+
+    isIndexable(filePath) {
+        if (SKIPPED_FILES.test(filePath)) return false;
+        if (filePath.split('/').some(segment => SKIPPED_DIRECTORIES.has(segment))) return false;
+        return INDEXABLE_EXTENSIONS.has(path.extname(filePath).toLowerCase()) || /(^|\/)(README|Dockerfile|Makefile)$/i.test(filePath);
+    }
+
+    async loadLocalFiles(repoPath) {
+        const root = path.resolve(repoPath);
+        let paths;
+        try {
+            // Tracked files only, so .gitignore'd output never reaches the index
+            paths = (await timeMachine.git(root, ['ls-files', '-z'])).split('\0').filter(Boolean);
+        } catch (error) {
+            paths = await this.walk(root, '');
+        }
+
+        const files = [];
+        for (const relative of paths.filter(p => this.isIndexable(p)).slice(0, MAX_FILES)) {
+            try {
+                const absolute = path.join(root, relative);
+                const stat = await fs.stat(absolute);
+                if (!stat.isFile() || stat.size > MAX_FILE_BYTES) continue;
+                files.push({ path: relative, content: await fs.readFile(absolute, 'utf8') });
+            } catch (error) {
+                // Deleted since listing or unreadable; skip it
+            }
+        }
+        return files;
+    }
+
+    async walk(root, relative) {
+        const entries = await fs.readdir(path.join(root, relative), { withFileTypes: true });
+        const paths = [];
+        for (const entry of entries) {
+            const child = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.isDirectory() && !SKIPPED_DIRECTORIES.has(entry.name)) paths.push(...await this.walk(root, child));
+            else if (entry.isFile()) paths.push(child);
+        }
+        return paths;
+    }
+
+    async loadGithubFiles(repo) {
+        const [owner, name] = repo.split('/');
+        const tree = await complexityAnalyzer.fetchRepositoryFiles(owner, name);
+
+        const files = [];
+        for (const item of tree.filter(i => this.isIndexable(i.path) && (!i.size || i.size <= MAX_FILE_BYTES)).slice(0, MAX_GITHUB_FILES)) {
+            const content = await complexityAnalyzer.fetchFileContent(owner, name, item.path);
+            if (content === null || content === undefined) continue;
+            // axios parses JSON files; re-serialize so they can be chunked like text
+            files.push({ path: item.path, content: typeof content === 'string' ? content : JSON.stringify(content, null, 2) });
+        }
+        return files;
+    }
+
+    /**
+     * Base URL for line permalinks: the GitHub blob view at the indexed commit.
+     */
+    async resolveLinkBase(source) {
+        if (source.repo) return `https://github.com/${source.repo}/blob/main/`;
+        try {
+            const root = path.resolve(source.repoPath);
+            const remote = (await timeMachine.git(root, ['remote', 'get-url', 'origin'])).trim();
+            const match = remote.match(/github\.com[:/]([^/]+\/[^/]+?)(\.git)?$/);
+            if (!match) return null;
+            const head = (await timeMachine.git(root, ['rev-parse', 'HEAD'])).trim();
+            const prefix = (await timeMachine.git(root, ['rev-parse', '--show-prefix'])).trim();
+            return `https://github.com/${match[1]}/blob/${head}/${prefix}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Top-k chunks for a query by BM25, skipping chunks that overlap a better
+     * hit from the same file.
+     */
+    search(index, query, topK = 5) {
+        const scores = new Map();
+        const total = index.chunks.length;
+
+        new Set(tokenize(query)).forEach(term => {
+            const postings = index.postings.get(term);
+            if (!postings) return;
+            const idf = Math.log(1 + (total - postings.length + 0.5) / (postings.length + 0.5));
+            postings.forEach(([i, tf]) => {
+                const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * index.lengths[i] / index.averageLength));
+                scores.set(i, (scores.get(i) || 0) + idf * norm);
+            });
+        });
+
+        const results = [];
+        const ranked = Array.from(scores.entries()).sort((a, b) => b[1] - a[1]);
+        for (const [i, score] of ranked) {
+            const chunk = index.chunks[i];
+            const overlaps = results.some(r => r.file === chunk.file && r.startLine <= chunk.endLine && chunk.startLine <= r.endLine);
+            if (overlaps) continue;
+            results.push({ ...chunk, score: Math.round(score * 1000) / 1000 });
+            if (results.length >= topK) break;
+        }
+        return results;
+    }
+
+    /**
+     * Retrieve citations for a question and render them as numbered LLM context.
+     * @returns {Promise<{ citations: Array, context: string, index: Object }>}
+     */
+    async retrieve(source, query, { topK = 5 } = {}) {
+        const index = await this.getIndex(source);
+        const hits = this.search(index, query, topK);
+
+        const citations = hits.map((hit, i) => ({
+            id: i + 1,
+            file: hit.file,
+            startLine: hit.startLine,
+            endLine: hit.endLine,
+            score: hit.score,
+            url: index.linkBase ? `${index.linkBase}${encodeURI(hit.file)}#L${hit.startLine}-L${hit.endLine}` : null,
+            preview: (hit.text.split('\n').find(line => /\w{3,}/.test(line)) || '').trim().slice(0, 120)
+        }));
+
+        const context = hits.map((hit, i) =>
+            `[${i + 1}] ${hit.file}:${hit.startLine}-${hit.endLine}\n\`\`\`\n${hit.text}\n\`\`\``
+        ).join('\n\n');
+
+        return { citations, context, index };
+    }
+
+    getStatus(source) {
+        const index = this.indexes.peek(this.sourceKey(source));
+        if (!index) return null;
+        return {
+            source: index.source,
+            files: index.files,
+            chunks: index.chunks.length,
+            terms: index.postings.size,
+            linkBase: index.linkBase,
+            builtAt: new Date(index.builtAt).toISOString()
+        };
+    }
+}
+
+module.exports = new RepoIndexService();
+module.exports.tokenize = tokenize;
@@ -2,9 +2,44 @@
  * XAYTHEON - Governance Report Generator
  * 
  * This service transforms raw compliance audit data into professional formats
- * for executive review and auditor submission.
+ * for executive review and auditor submission: JSON, Markdown, HTML, SARIF 2.1.0
+ * for code-scanning tools, CSV for spreadsheets and a paginated PDF.
  */
 
+const crypto = require('crypto');
+const PdfDocument = require('../utils/pdf-document');
+
+const FORMATS = {
+    json: { extension: 'json', contentType: 'application/json' },
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+    sarif: { extension: 'sarif', contentType: 'application/sarif+json' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+// GitHub code scanning ranks results by this CVSS-like score
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '2.0' };
+const SEVERITY_COLORS = { critical: [220, 38, 38], high: [234, 88, 12], medium: [202, 138, 4], low: [107, 114, 128] };
+const STATUS_COLORS = { compliant: [16, 185, 129], warning: [245, 158, 11], 'non-compliant': [239, 68, 68] };
+const INFORMATION_URI = 'https://github.com/Saatvik-GT/xaytheon';
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Audit fields come from scanned files (paths, matched text), so HTML output escapes all of them
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+class ReportError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ReportError';
+        this.statusCode = statusCode;
+    }
+}
+
 class ReportGeneratorService {
     constructor() {
         this.reportTemplates = {
@@ -17,23 +52,54 @@ class ReportGeneratorService {
     /**
      * Generates a beautifully formatted report based on audit results
      * @param {Object} auditData - Pure data from ComplianceService
-     * @param {string} format - 'json' | 'markdown' | 'html'
-     * @returns {string|Object} Formatted report
+     * @param {string} format - 'json' | 'markdown' | 'html' | 'sarif' | 'csv' | 'pdf'
+     * @param {string} template - 'EXECUTIVE' | 'TECHNICAL' | 'AUDITOR' (CSV and PDF)
+     * @returns {string|Object|Buffer} Formatted report; a Buffer for PDF
      */
     generateReport(auditData, format = 'json', template = 'EXECUTIVE') {
-        console.log(`📊 Generating ${format.toUpperCase()} report for audit: ${auditData.auditId}`);
+        const key = this.resolveFormat(format);
+        const templateKey = this.resolveTemplate(template);
+        console.log(`📊 Generating ${key.toUpperCase()} report for audit: ${auditData.auditId}`);
 
-        switch (format.toLowerCase()) {
+        switch (key) {
             case 'markdown':
-                return this.toMarkdown(auditData, template);
+                return this.toMarkdown(auditData, templateKey);
             case 'html':
-                return this.toHTML(auditData, template);
+                return this.toHTML(auditData, templateKey);
+            case 'sarif':
+                return this.toSarif(auditData);
+            case 'csv':
+                return this.toCSV(auditData, templateKey);
+            case 'pdf':
+                return this.toPDF(auditData, templateKey);
             case 'json':
             default:
                 return this.toJSON(auditData);
         }
     }
 
+    /**
+     * File extension and Content-Type of a format
+     */
+    formatInfo(format) {
+        return FORMATS[this.resolveFormat(format)];
+    }
+
+    resolveFormat(format) {
+        const key = String(format || 'json').toLowerCase();
+        if (key === 'md') return 'markdown';
+        if (!FORMATS[key]) throw new ReportError(`Unknown report format: ${format}. Available: ${Object.keys(FORMATS).join(', ')}`);
+        return key;
+    }
+
+    resolveTemplate(template) {
+        const key = String(template || 'EXECUTIVE').toUpperCase();
+        if (!this.reportTemplates[key]) {
+            throw new ReportError(`Unknown report template: ${template}. Available: ${Object.keys(this.reportTemplates).join(', ')}`);
+        }
+        return key;
+    }
+
     /**
      * Internal: Convert to Markdown
      */
@@ -59,12 +125,12 @@ class ReportGeneratorService {
 
             data.violations.forEach(v => {
                 const sevIcon = v.severity === 'critical' ? '🔴' : v.severity === 'high' ? '🟠' : '🟡';
-                md += `| ${v.framework} | ${sevIcon} ${v.severity} | ${v.control} | \`${v.file}\` | ${v.message} |\n`;
+                md += `| ${v.framework} | ${sevIcon} ${v.severity} | ${v.control} | \`${this.location(v)}\` | ${v.message} |\n`;
             });
 
             md += `\n### Recommended Remediation Actions\n\n`;
             data.violations.forEach((v, i) => {
-                md += `${i + 1}. **${v.file}**: ${v.remediation}\n`;
+                md += `${i + 1}. **${this.location(v)}**: ${v.remediation}\n`;
             });
         } else {
             md += `## No Violations Found\n\nThe repository adheres to all target controls in the selected frameworks.\n`;
@@ -79,18 +145,18 @@ class ReportGeneratorService {
      */
     toHTML(data, template) {
         // Simplified HTML representation
-        const statusClass = data.status;
+        const statusClass = escapeHtml(data.status);
         const scoreColor = data.overallScore > 80 ? '#10b981' : data.overallScore > 50 ? '#f59e0b' : '#ef4444';
 
         return `
             <div class="report-container">
                 <header class="report-header">
-                    <h2>Compliance Report - ${data.repoPath}</h2>
-                    <div class="status-badge ${statusClass}">${data.status.toUpperCase()}</div>
+                    <h2>Compliance Report - ${escapeHtml(data.repoPath)}</h2>
+                    <div class="status-badge ${statusClass}">${escapeHtml(String(data.status).toUpperCase())}</div>
                 </header>
                 <section class="score-section">
                     <div class="score-circle" style="border-color: ${scoreColor}">
-                        <span class="score-value">${data.overallScore}</span>
+                        <span class="score-value">${escapeHtml(data.overallScore)}</span>
                         <span class="score-label">Governance Score</span>
                     </div>
                 </section>
@@ -98,14 +164,14 @@ class ReportGeneratorService {
                     <h3>Identified Vulnerabilities (${data.violations.length})</h3>
                     <ul class="violation-list">
                         ${data.violations.map(v => `
-                            <li class="violation-item severity-${v.severity}">
+                            <li class="violation-item severity-${escapeHtml(v.severity)}">
                                 <div class="violation-meta">
-                                    <span class="framework">${v.framework}</span>
-                                    <span class="control">${v.control}</span>
+                                    <span class="framework">${escapeHtml(v.framework)}</span>
+                                    <span class="control">${escapeHtml(v.control)}</span>
                                 </div>
-                                <p class="violation-msg"><strong>${v.file}</strong>: ${v.message}</p>
+                                <p class="violation-msg"><strong>${escapeHtml(this.location(v))}</strong>: ${escapeHtml(v.message)}</p>
                                 <div class="remediation-box">
-                                    <strong>Remediation:</strong> ${v.remediation}
+                                    <strong>Remediation:</strong> ${escapeHtml(v.remediation)}
                                 </div>
                             </li>
                         `).join('')}
@@ -115,6 +181,316 @@ class ReportGeneratorService {
         `;
     }
 
+    /**
+     * Internal: file:line of a violation
+     */
+    location(violation) {
+        return violation.line ? `${violation.file}:${violation.line}` : violation.file;
+    }
+
+    /**
+     * Internal: SARIF 2.1.0 log with one rule per compliance check
+     */
+    toSarif(data) {
+        const checkIds = [...new Set(data.violations.map(v => v.checkId))].sort();
+        const rules = checkIds.map(checkId => {
+            const sample = data.violations.find(v => v.checkId === checkId);
+            const check = (data.checks || []).find(c => c.checkId === checkId);
+            const controls = ((check && check.controls) || sample.controls || []).map(c => `${c.framework} ${c.control}`);
+            return {
+                id: checkId,
+                name: this.ruleName(checkId),
+                shortDescription: { text: sample.title || checkId },
+                help: { text: sample.remediation || sample.title || checkId },
+                defaultConfiguration: { level: this.sarifLevel(sample.severity) },
+                properties: { tags: ['compliance', ...controls], 'security-severity': SECURITY_SEVERITY[sample.severity] || SECURITY_SEVERITY.low }
+            };
+        });
+
+        const results = data.violations.map(v => ({
+            ruleId: v.checkId,
+            ruleIndex: checkIds.indexOf(v.checkId),
+            level: this.sarifLevel(v.severity),
+            message: { text: v.message },
+            locations: v.file ? [this.sarifLocation(v.file, v.line)] : [],
+            partialFingerprints: { complianceFinding: this.fingerprint(v.checkId, v.file, v.line, v.message) },
+            properties: {
+                severity: v.severity,
+                framework: v.framework,
+                control: v.control,
+                controls: (v.controls || []).map(c => `${c.framework} ${c.control}`),
+                ...(v.evidence && { evidence: v.evidence })
+            }
+        }));
+
+        return this.sarifLog('xaytheon-compliance', rules, results, {
+            automationDetails: { id: `compliance/${data.auditId}` },
+            properties: {
+                repoPath: data.repoPath,
+                overallScore: data.overallScore,
+                targetFrameworks: data.targetFrameworks
+            }
+        });
+    }
+
+    /**
+     * Taint analysis (TaintAnalyzerService.analyzeProject) → SARIF 2.1.0 log; each
+     * result carries the source → sink path as a code flow
+     */
+    taintToSarif(analysis) {
+        const flows = analysis.flows || [];
+        const ruleIds = [...new Set(flows.map(flow => `taint/${flow.sinkType}`))].sort();
+        const rules = ruleIds.map(id => {
+            const sample = flows.find(flow => `taint/${flow.sinkType}` === id);
+            return {
+                id,
+                name: this.ruleName(id),
+                shortDescription: { text: `Untrusted data reaches ${sample.sink}` },
+                fullDescription: { text: sample.exploitScenario },
+                defaultConfiguration: { level: sample.severity >= 7 ? 'error' : 'warning' },
+                properties: { tags: ['security', 'taint'], 'security-severity': Math.min(sample.severity, 10).toFixed(1) }
+            };
+        });
+
+        const results = flows.map(flow => {
+            const id = `taint/${flow.sinkType}`;
+            const sink = flow.sinkLocation;
+            return {
+                ruleId: id,
+                ruleIndex: ruleIds.indexOf(id),
+                level: flow.severity >= 7 ? 'error' : 'warning',
+                message: { text: flow.description },
+                locations: [this.sarifLocation(sink.file, sink.line, sink.column)],
+                relatedLocations: [{
+                    id: 1,
+                    ...this.sarifLocation(flow.sourceLocation.file, flow.sourceLocation.line, flow.sourceLocation.column),
+                    message: { text: `Source: ${flow.source}` }
+                }],
+                codeFlows: [{
+                    threadFlows: [{
+                        locations: (flow.path || []).map(step => ({
+                            location: { ...this.sarifLocation(step.file, step.line, step.column), message: { text: step.label } }
+                        }))
+                    }]
+                }],
+                partialFingerprints: { taintFlow: flow.id },
+                properties: { confidence: flow.confidence, crossFile: flow.crossFile, 'security-severity': String(flow.severity) }
+            };
+        });
+
+        return this.sarifLog('xaytheon-taint', rules, results, {
+            properties: { riskScore: analysis.riskScore, filesAnalyzed: analysis.filesAnalyzed }
+        });
+    }
+
+    /**
+     * SARIF 2.1.0 envelope shared by the audit, taint and architecture reports
+     */
+    sarifLog(toolName, rules, results, run = {}) {
+        return {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: { driver: { name: toolName, informationUri: INFORMATION_URI, rules } },
+                ...run,
+                results
+            }]
+        };
+    }
+
+    sarifLevel(severity) {
+        return SARIF_LEVELS[severity] || 'warning';
+    }
+
+    /**
+     * SARIF columns are 1-based; analyzers report 0-based columns
+     */
+    sarifLocation(file, line, column) {
+        const region = line ? { startLine: line, ...(Number.isInteger(column) && { startColumn: column + 1 }) } : undefined;
+        return {
+            physicalLocation: {
+                artifactLocation: { uri: String(file).replace(/\\/g, '/'), uriBaseId: '%SRCROOT%' },
+                ...(region && { region })
+            }
+        };
+    }
+
+    ruleName(id) {
+        return id.replace(/^\w+\//, '').replace(/(^|-)(\w)/g, (m, dash, ch) => ch.toUpperCase());
+    }
+
+    fingerprint(...parts) {
+        return crypto.createHash('sha256').update(parts.map(part => String(part)).join('|')).digest('hex').slice(0, 32);
+    }
+
+    /**
+     * Internal: CSV (RFC 4180). EXECUTIVE lists one row per check, the other templates
+     * one row per finding.
+     */
+    toCSV(data, template = 'EXECUTIVE') {
+        let rows;
+        if (template === 'EXECUTIVE') {
+            rows = [['Check', 'Title', 'Status', 'Findings', 'Controls']];
+            (data.checks || []).forEach(check => {
+                rows.push([check.checkId, check.title, check.status, check.findings, check.controls.map(c => `${c.framework} ${c.control}`).join('; ')]);
+            });
+        } else {
+            rows = [['Severity', 'Check', 'Title', 'Framework', 'Control', 'Controls', 'File', 'Line', 'Message', 'Evidence', 'Remediation']];
+            data.violations.forEach(v => {
+                rows.push([
+                    v.severity,
+                    v.checkId,
+                    v.title,
+                    v.framework,
+                    v.control,
+                    (v.controls || []).map(c => `${c.framework} ${c.control}`).join('; '),
+                    v.file,
+                    v.line,
+                    v.message,
+                    v.evidence,
+                    v.remediation
+                ]);
+            });
+        }
+        return rows.map(row => row.map(cell => this.csvCell(cell)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote when needed; cells a spreadsheet would run as a formula get a leading quote
+     */
+    csvCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Internal: paginated PDF. EXECUTIVE summarizes failed controls and remediation
+     * priorities; TECHNICAL adds every finding and check; AUDITOR adds the checks
+     * behind each control.
+     */
+    toPDF(data, template = 'EXECUTIVE') {
+        const templateName = template.charAt(0) + template.slice(1).toLowerCase();
+        const pdf = new PdfDocument({
+            title: `Compliance Report - ${data.repoPath}`,
+            subject: `${templateName} report for audit ${data.auditId}`,
+            author: 'Xaytheon Governance Engine',
+            creationDate: data.timestamp,
+            footer: (page, pages) => `${data.auditId}  |  ${templateName} report  |  Page ${page} of ${pages}`
+        });
+
+        pdf.text('Governance & Compliance Report', { size: 20, font: 'bold', spacing: 2 });
+        pdf.text(String(data.repoPath), { size: 12, rgb: [75, 85, 99], spacing: 12 });
+
+        const boxHeight = 54;
+        pdf.ensureSpace(boxHeight + 10);
+        const boxTop = pdf.y;
+        const statusColor = STATUS_COLORS[data.status] || STATUS_COLORS.warning;
+        pdf.rect(pdf.margin, boxTop - boxHeight, 120, boxHeight, statusColor);
+        pdf.drawText(`${data.overallScore}/100`, pdf.margin + 14, boxTop - 30, { size: 22, font: 'bold', rgb: [255, 255, 255] });
+        pdf.drawText(String(data.status).toUpperCase(), pdf.margin + 14, boxTop - 46, { size: 9, font: 'bold', rgb: [255, 255, 255] });
+        [
+            `Audit ID: ${data.auditId}`,
+            `Date: ${new Date(data.timestamp).toISOString().replace('T', ' ').slice(0, 19)} UTC`,
+            `Frameworks: ${data.targetFrameworks.join(', ')}`,
+            `Checks: ${data.statistics.passedChecks} passed, ${data.statistics.failedChecks} failed of ${data.statistics.totalChecks}`
+        ].forEach((line, index) => pdf.drawText(line, pdf.margin + 136, boxTop - 12 - index * 13, { size: 9.5 }));
+        pdf.y = boxTop - boxHeight - 10;
+
+        const bySeverity = SEVERITY_ORDER.map(severity => {
+            const findings = data.violations.filter(v => v.severity === severity);
+            const row = [severity.toUpperCase(), String(findings.length), String(new Set(findings.map(v => v.checkId)).size)];
+            row.rgb = SEVERITY_COLORS[severity];
+            return row;
+        });
+        pdf.heading('Findings by Severity');
+        pdf.table([{ header: 'Severity', width: 0.4 }, { header: 'Findings', width: 0.3 }, { header: 'Checks', width: 0.3 }], bySeverity);
+
+        const failed = (data.checks || []).filter(check => check.status === 'failed');
+        const rank = check => {
+            const worst = Math.min(...data.violations.filter(v => v.checkId === check.checkId).map(v => SEVERITY_ORDER.indexOf(v.severity)));
+            return Number.isFinite(worst) ? worst : SEVERITY_ORDER.length;
+        };
+        const priorities = [...failed].sort((a, b) => rank(a) - rank(b) || b.findings - a.findings || a.checkId.localeCompare(b.checkId));
+
+        const failedControls = new Map();
+        failed.forEach(check => check.controls.forEach(c => {
+            const key = `${c.framework} ${c.control}`;
+            if (!failedControls.has(key)) failedControls.set(key, []);
+            failedControls.get(key).push(check.title);
+        }));
+        pdf.heading('Failed Controls');
+        if (failedControls.size === 0) {
+            pdf.text('Every control evidenced by the automated checks passed.');
+        } else {
+            pdf.table(
+                [{ header: 'Control', width: 0.25 }, { header: 'Failed checks', width: 0.75 }],
+                [...failedControls.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([control, titles]) => [control, titles.join('; ')])
+            );
+        }
+
+        pdf.heading('Remediation Priorities');
+        if (priorities.length === 0) pdf.text('No remediation is required.');
+        priorities.forEach((check, index) => {
+            const sample = data.violations.find(v => v.checkId === check.checkId);
+            const severity = sample ? sample.severity : 'low';
+            pdf.text(`${index + 1}. ${check.title}`, { font: 'bold', spacing: 0 });
+            pdf.text(`${severity.toUpperCase()}  |  ${check.findings} finding${check.findings === 1 ? '' : 's'}  |  ${check.controls.map(c => `${c.framework} ${c.control}`).join(', ')}`,
+                { size: 8.5, rgb: SEVERITY_COLORS[severity], indent: 14, spacing: 0 });
+            if (sample && sample.remediation) pdf.text(sample.remediation, { size: 9, indent: 14, spacing: 6 });
+        });
+
+        if (template !== 'EXECUTIVE') {
+            pdf.addPage();
+            pdf.heading(`Findings (${data.violations.length})`);
+            if (data.violations.length === 0) pdf.text('No findings.');
+            else {
+                pdf.table(
+                    [{ header: 'Severity', width: 0.11 }, { header: 'Check', width: 0.2 }, { header: 'Location', width: 0.24 }, { header: 'Finding', width: 0.45 }],
+                    data.violations.map(v => {
+                        const detail = [v.message, v.evidence && `Evidence: ${v.evidence}`, v.omitted && `+${v.omitted} more in this file`].filter(Boolean).join('\n');
+                        const row = [v.severity.toUpperCase(), v.checkId, this.location(v) || '', detail];
+                        row.rgb = SEVERITY_COLORS[v.severity];
+                        return row;
+                    })
+                );
+            }
+
+            pdf.heading('Checks');
+            pdf.table(
+                [{ header: 'Check', width: 0.3 }, { header: 'Status', width: 0.12 }, { header: 'Findings', width: 0.12 }, { header: 'Controls', width: 0.46 }],
+                (data.checks || []).map(check => {
+                    const row = [check.checkId, check.status, String(check.findings), check.controls.map(c => `${c.framework} ${c.control}`).join(', ')];
+                    row.rgb = check.status === 'failed' ? SEVERITY_COLORS.critical : STATUS_COLORS.compliant;
+                    return row;
+                })
+            );
+        }
+
+        if (template === 'AUDITOR') {
+            const controls = new Map();
+            (data.checks || []).forEach(check => check.controls.forEach(c => {
+                const key = `${c.framework} ${c.control}`;
+                if (!controls.has(key)) controls.set(key, []);
+                controls.get(key).push(check);
+            }));
+            pdf.heading('Control Evidence');
+            pdf.table(
+                [{ header: 'Control', width: 0.22 }, { header: 'Result', width: 0.12 }, { header: 'Automated checks', width: 0.66 }],
+                [...controls.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([control, checks]) => {
+                    const failing = checks.some(check => check.status === 'failed');
+                    const row = [control, failing ? 'failed' : 'passed', checks.map(check => `${check.checkId} (${check.status})`).join(', ')];
+                    row.rgb = failing ? SEVERITY_COLORS.critical : STATUS_COLORS.compliant;
+                    return row;
+                })
+            );
+            pdf.text('Controls without automated checks are assessed through manual attestations.', { size: 8.5, rgb: [107, 114, 128] });
+        }
+
+        return pdf.toBuffer();
+    }
+
     /**
      * Internal: JSON enrichment
      */
@@ -130,3 +506,4 @@ class ReportGeneratorService {
 }
 
 module.exports = new ReportGeneratorService();
+module.exports.ReportError = ReportError;
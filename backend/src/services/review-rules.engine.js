@@ -0,0 +1,381 @@
+/**
+ * Review Rules Engine
+ * Runs ESLint-style rule modules over the lines a pull request adds.
+ *
+ * A rule module exports `meta` (id, type, severity, title, suggestion,
+ * fixable) and `create(context)`, which returns a @babel/traverse visitor
+ * (`Node(node, path)` / `'Node:exit'`). Rules call `context.report({ node,
+ * message, fix })`; a report is kept only when the node starts on an added
+ * line, and becomes a comment anchored to the file, new-side line and GitHub
+ * diff position. `fix(fixer)` returns an edit that is rendered as the fixed
+ * text of the lines it touches.
+ *
+ * Each file is parsed whole when its new content is supplied, otherwise every
+ * hunk's new side is parsed on its own (re-balanced when the hunk starts or
+ * ends inside a block), so rules still see the surrounding statements.
+ */
+
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const fs = require('fs');
+const path = require('path');
+const diffParser = require('./unified-diff.parser');
+const builtInRules = require('./review-rules');
+
+const SEVERITIES = ['high', 'medium', 'low'];
+const SCRIPT_EXTENSIONS = /\.(js|jsx|mjs|cjs|ts|tsx|mts|cts)$/i;
+const CLOSERS = { '}': '{', ')': '(', ']': '[' };
+const OPENERS = { '{': '}', '(': ')', '[': ']' };
+// Wrappers tried for the innermost unmatched `{` of a hunk: a block, an object literal, a class body
+const BRACE_CONTEXTS = ['{', '_={', 'class _{'];
+
+class ReviewRuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReviewRuleError';
+        this.statusCode = 400;
+    }
+}
+
+class ReviewRulesEngine {
+    constructor() {
+        this.rules = new Map();
+        builtInRules.forEach(rule => this.registerRule(rule));
+        if (process.env.PR_REVIEW_RULES_DIR) {
+            this.loadRules(process.env.PR_REVIEW_RULES_DIR);
+        }
+    }
+
+    /**
+     * Add (or replace) a rule module
+     */
+    registerRule(rule) {
+        const meta = rule && rule.meta;
+        if (!meta || typeof meta.id !== 'string' || !meta.id || typeof rule.create !== 'function') {
+            throw new ReviewRuleError('A review rule must export meta.id and create(context)');
+        }
+        if (meta.severity && !SEVERITIES.includes(meta.severity)) {
+            throw new ReviewRuleError(`Rule ${meta.id} has unknown severity "${meta.severity}"`);
+        }
+        this.rules.set(meta.id, rule);
+        return this;
+    }
+
+    /**
+     * Register every .js rule module in a directory
+     */
+    loadRules(dir) {
+        const absolute = path.resolve(dir);
+        fs.readdirSync(absolute)
+            .filter(name => name.endsWith('.js'))
+            .sort()
+            .forEach(name => this.registerRule(require(path.join(absolute, name))));
+        return this;
+    }
+
+    getRules() {
+        return [...this.rules.values()].map(rule => ({
+            id: rule.meta.id,
+            type: rule.meta.type || 'quality',
+            severity: rule.meta.severity || 'low',
+            title: rule.meta.title || rule.meta.id,
+            suggestion: rule.meta.suggestion || null,
+            fixable: Boolean(rule.meta.fixable)
+        }));
+    }
+
+    /**
+     * Review a unified diff.
+     * options.files: { [path]: new file content } for whole-file parsing
+     * options.rules: { [ruleId]: 'off' | 'high' | 'medium' | 'low' }
+     */
+    review(diffText, options = {}) {
+        const activeRules = this.resolveRules(options.rules);
+        const sources = options.files || {};
+        const comments = [];
+        const files = [];
+
+        for (const file of diffParser.parse(diffText)) {
+            const summary = {
+                path: file.path,
+                status: file.status,
+                additions: file.additions,
+                deletions: file.deletions,
+                analyzed: false,
+                parseMode: null,
+                unparsedHunks: 0,
+                skipped: null
+            };
+            files.push(summary);
+
+            if (file.binary || file.status === 'deleted') {
+                summary.skipped = file.binary ? 'binary' : 'deleted';
+                continue;
+            }
+            if (!SCRIPT_EXTENSIONS.test(file.path || '')) {
+                summary.skipped = 'unsupported';
+                continue;
+            }
+            if (file.additions === 0) {
+                summary.skipped = 'no-additions';
+                continue;
+            }
+
+            const rightSide = diffParser.rightSide(file);
+            const segments = [];
+            if (typeof sources[file.path] === 'string') {
+                const ast = this.parse(sources[file.path], file.path, 1);
+                if (ast) segments.push({ ast, code: sources[file.path], startLine: 1 });
+            }
+            if (segments.length > 0) {
+                summary.parseMode = 'file';
+            } else {
+                summary.parseMode = 'hunk';
+                file.hunks.forEach(hunk => {
+                    if (!hunk.lines.some(line => line.type === 'add')) return;
+                    const segment = this.parseHunk(hunk, file.path);
+                    if (segment) segments.push(segment);
+                    else summary.unparsedHunks++;
+                });
+            }
+
+            summary.analyzed = segments.length > 0;
+            const seen = new Set();
+            segments.forEach(segment => {
+                this.runRules(activeRules, segment, file.path).forEach(report => {
+                    const comment = this.toComment(report, segment, file.path, rightSide);
+                    if (!comment) return;
+                    const key = `${comment.ruleId}:${comment.line}:${comment.column}`;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        comments.push(comment);
+                    }
+                });
+            });
+        }
+
+        comments.sort((a, b) =>
+            SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+            a.path.localeCompare(b.path) || a.line - b.line);
+
+        return { comments, files };
+    }
+
+    resolveRules(overrides = {}) {
+        if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            throw new ReviewRuleError('rules must be an object of ruleId → severity or "off"');
+        }
+        for (const [id, setting] of Object.entries(overrides)) {
+            if (!this.rules.has(id)) throw new ReviewRuleError(`Unknown review rule "${id}"`);
+            if (setting !== 'off' && !SEVERITIES.includes(setting)) {
+                throw new ReviewRuleError(`Rule ${id} must be "off" or one of ${SEVERITIES.join(', ')}`);
+            }
+        }
+
+        return [...this.rules.values()]
+            .filter(rule => overrides[rule.meta.id] !== 'off')
+            .map(rule => ({ rule, severity: overrides[rule.meta.id] || rule.meta.severity || 'low' }));
+    }
+
+    parse(code, filePath, startLine) {
+        const plugins = ['decorators-legacy'];
+        if (/\.(ts|mts|cts)$/i.test(filePath)) plugins.push('typescript');
+        else if (/\.tsx$/i.test(filePath)) plugins.push('typescript', 'jsx');
+        else plugins.push('jsx');
+
+        try {
+            return parser.parse(code, {
+                sourceType: 'unambiguous',
+                startLine,
+                plugins,
+                errorRecovery: true,
+                allowReturnOutsideFunction: true,
+                allowAwaitOutsideFunction: true,
+                allowImportExportEverywhere: true,
+                allowSuperOutsideMethod: true,
+                allowUndeclaredExports: true
+            });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Parse the new side of a hunk. A hunk usually starts or ends inside a
+     * function, so unmatched brackets are closed with a synthetic first line
+     * (numbered one above the hunk) and a synthetic last line.
+     */
+    parseHunk(hunk, filePath) {
+        const code = hunk.lines.filter(line => line.type !== 'del').map(line => line.content).join('\n');
+        const ast = this.parse(code, filePath, hunk.newStart);
+        if (ast) return { ast, code, startLine: hunk.newStart };
+
+        const { missingOpeners, unclosed } = this.unbalancedBrackets(code);
+        const suffix = unclosed.map(open => OPENERS[open]).reverse().join('');
+        const openers = missingOpeners.slice().reverse();
+        const innermostBrace = openers.lastIndexOf('{');
+
+        for (const braceContext of BRACE_CONTEXTS) {
+            if (braceContext !== '{' && innermostBrace === -1) break;
+            const prefix = openers.map((open, i) => (i === innermostBrace ? braceContext : open)).join('');
+            const wrapped = `${prefix}\n${code}\n${suffix}`;
+            const balanced = this.parse(wrapped, filePath, hunk.newStart - 1);
+            if (balanced) return { ast: balanced, code: wrapped, startLine: hunk.newStart - 1 };
+        }
+        return null;
+    }
+
+    /**
+     * Brackets closed before being opened, and brackets left open, skipping
+     * strings and comments (regex literals are rare enough to ignore)
+     */
+    unbalancedBrackets(code) {
+        const stack = [];
+        const missingOpeners = [];
+        let i = 0;
+
+        while (i < code.length) {
+            const ch = code[i];
+            const next = code[i + 1];
+            if (ch === '/' && next === '/') {
+                i = code.indexOf('\n', i);
+                if (i === -1) break;
+            } else if (ch === '/' && next === '*') {
+                i = code.indexOf('*/', i + 2);
+                if (i === -1) break;
+                i += 2;
+                continue;
+            } else if (ch === '"' || ch === '\'' || ch === '`') {
+                i++;
+                while (i < code.length && code[i] !== ch && !(ch !== '`' && code[i] === '\n')) {
+                    if (code[i] === '\\') i++;
+                    i++;
+                }
+            } else if (OPENERS[ch]) {
+                stack.push(ch);
+            } else if (CLOSERS[ch]) {
+                if (stack.length > 0) stack.pop();
+                else missingOpeners.push(CLOSERS[ch]);
+            }
+            i++;
+        }
+
+        return { missingOpeners, unclosed: stack };
+    }
+
+    runRules(activeRules, segment, filePath) {
+        const reports = [];
+        const listeners = {};
+
+        activeRules.forEach(({ rule, severity }) => {
+            const context = {
+                id: rule.meta.id,
+                severity,
+                filename: filePath,
+                sourceCode: {
+                    text: segment.code,
+                    getText: node => (node ? segment.code.slice(node.start, node.end) : segment.code)
+                },
+                report: descriptor => reports.push({ ...descriptor, rule, severity })
+            };
+
+            const visitor = rule.create(context) || {};
+            Object.entries(visitor).forEach(([key, handler]) => {
+                const [type, phase = 'enter'] = key.split(':');
+                listeners[type] = listeners[type] || { enter: [], exit: [] };
+                listeners[type][phase].push(handler);
+            });
+        });
+
+        const visitor = {};
+        Object.entries(listeners).forEach(([type, phases]) => {
+            visitor[type] = {
+                enter: nodePath => phases.enter.forEach(handler => handler(nodePath.node, nodePath)),
+                exit: nodePath => phases.exit.forEach(handler => handler(nodePath.node, nodePath))
+            };
+        });
+
+        traverse(segment.ast, visitor);
+        return reports;
+    }
+
+    toComment(report, segment, filePath, rightSide) {
+        const { rule, severity } = report;
+        const loc = report.loc || (report.node && report.node.loc);
+        if (!loc) return null;
+
+        const line = loc.start.line;
+        const anchor = rightSide.get(line);
+        if (!anchor || anchor.type !== 'add') return null;
+
+        return {
+            ruleId: rule.meta.id,
+            type: rule.meta.type || 'quality',
+            severity,
+            title: rule.meta.title || rule.meta.id,
+            description: report.message,
+            suggestion: report.suggestion || rule.meta.suggestion || '',
+            codeSnippet: anchor.content.trim(),
+            path: filePath,
+            line,
+            column: loc.start.column + 1,
+            side: 'RIGHT',
+            position: anchor.position,
+            fix: this.renderFix(report, segment, rightSide, anchor.hunk)
+        };
+    }
+
+    /**
+     * Apply a fix to the lines it touches. Returns null unless those lines
+     * are all on the new side of the same hunk (GitHub suggestions replace
+     * whole lines of the diff).
+     */
+    renderFix(report, segment, rightSide, hunkIndex) {
+        if (typeof report.fix !== 'function') return null;
+
+        const edit = report.fix(this.fixer());
+        if (!edit || !Array.isArray(edit.range)) return null;
+
+        const code = segment.code;
+        const [from, to] = edit.range;
+        const regionStart = code.lastIndexOf('\n', from - 1) + 1;
+        const lineEnd = code.indexOf('\n', to);
+        const regionEnd = lineEnd === -1 ? code.length : lineEnd;
+
+        const startLine = segment.startLine + this.countLines(code, 0, regionStart);
+        const endLine = startLine + this.countLines(code, regionStart, regionEnd);
+        for (let n = startLine; n <= endLine; n++) {
+            const side = rightSide.get(n);
+            if (!side || side.hunk !== hunkIndex) return null;
+        }
+
+        const fixed = code.slice(regionStart, from) + edit.text + code.slice(to, regionEnd);
+        return {
+            startLine,
+            endLine,
+            text: fixed.trim() === '' ? '' : fixed
+        };
+    }
+
+    countLines(code, from, to) {
+        let count = 0;
+        for (let i = from; i < to; i++) {
+            if (code[i] === '\n') count++;
+        }
+        return count;
+    }
+
+    fixer() {
+        return {
+            replaceText: (node, text) => ({ range: [node.start, node.end], text }),
+            replaceTextRange: (range, text) => ({ range, text }),
+            remove: node => ({ range: [node.start, node.end], text: '' }),
+            removeRange: range => ({ range, text: '' }),
+            insertTextBefore: (node, text) => ({ range: [node.start, node.start], text }),
+            insertTextAfter: (node, text) => ({ range: [node.end, node.end], text })
+        };
+    }
+}
+
+module.exports = new ReviewRulesEngine();
+module.exports.ReviewRuleError = ReviewRuleError;
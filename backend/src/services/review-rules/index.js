@@ -0,0 +1,13 @@
+/**
+ * Built-in PR review rules, in the order their findings are listed
+ */
+module.exports = [
+    require('./no-eval'),
+    require('./no-hardcoded-secrets'),
+    require('./no-sql-concatenation'),
+    require('./no-unsafe-html'),
+    require('./no-empty-catch'),
+    require('./no-debugger'),
+    require('./no-console'),
+    require('./no-var')
+];
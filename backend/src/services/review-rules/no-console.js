@@ -0,0 +1,30 @@
+/**
+ * no-console — debug logging left behind in committed code
+ */
+module.exports = {
+    meta: {
+        id: 'no-console',
+        type: 'quality',
+        severity: 'low',
+        title: 'Console Log Leftover',
+        suggestion: 'Remove debug logging or route it through the application logger.',
+        fixable: true
+    },
+    create(context) {
+        return {
+            CallExpression(node, path) {
+                const callee = node.callee;
+                if (callee.type !== 'MemberExpression' || callee.object.type !== 'Identifier' || callee.object.name !== 'console') return;
+                if (path.scope.hasBinding('console')) return;
+
+                const method = callee.property.name || callee.property.value;
+                const statement = path.parentPath.isExpressionStatement() ? path.parent : null;
+                context.report({
+                    node,
+                    message: `Unexpected console.${method}() call.`,
+                    fix: statement ? fixer => fixer.remove(statement) : null
+                });
+            }
+        };
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * no-debugger — `debugger` statements pause every user with devtools open
+ */
+module.exports = {
+    meta: {
+        id: 'no-debugger',
+        type: 'quality',
+        severity: 'medium',
+        title: 'Debugger Statement',
+        suggestion: 'Remove the debugger statement.',
+        fixable: true
+    },
+    create(context) {
+        return {
+            DebuggerStatement(node) {
+                context.report({
+                    node,
+                    message: 'Unexpected debugger statement.',
+                    fix: fixer => fixer.remove(node)
+                });
+            }
+        };
+    }
+};
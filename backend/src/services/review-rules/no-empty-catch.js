@@ -0,0 +1,22 @@
+/**
+ * no-empty-catch — errors swallowed without handling or a comment
+ */
+module.exports = {
+    meta: {
+        id: 'no-empty-catch',
+        type: 'best-practice',
+        severity: 'medium',
+        title: 'Swallowed Error',
+        suggestion: 'Handle or log the error, or leave a comment explaining why it is ignored.',
+        fixable: false
+    },
+    create(context) {
+        return {
+            CatchClause(node) {
+                const body = node.body;
+                if (body.body.length > 0 || (body.innerComments && body.innerComments.length > 0)) return;
+                context.report({ node, message: 'Empty catch block swallows the error.' });
+            }
+        };
+    }
+};
@@ -0,0 +1,49 @@
+/**
+ * no-eval — strings evaluated as code (eval, Function, string timers)
+ */
+const TIMERS = new Set(['setTimeout', 'setInterval', 'setImmediate']);
+const GLOBALS = new Set(['window', 'global', 'globalThis', 'self']);
+
+function calleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'MemberExpression' && !callee.computed &&
+        callee.object.type === 'Identifier' && GLOBALS.has(callee.object.name)) {
+        return callee.property.name;
+    }
+    return null;
+}
+
+function isStringLike(node) {
+    return node && (node.type === 'StringLiteral' || node.type === 'TemplateLiteral' ||
+        (node.type === 'BinaryExpression' && node.operator === '+' && (isStringLike(node.left) || isStringLike(node.right))));
+}
+
+module.exports = {
+    meta: {
+        id: 'no-eval',
+        type: 'security',
+        severity: 'high',
+        title: 'Dangerous Eval',
+        suggestion: 'Parse data with JSON.parse and pass functions instead of code strings.',
+        fixable: false
+    },
+    create(context) {
+        const check = (node, path) => {
+            const name = calleeName(node.callee);
+            if (!name || path.scope.hasBinding(name)) return;
+
+            if (name === 'eval') {
+                context.report({ node, message: 'eval() can execute arbitrary code.' });
+            } else if (name === 'Function') {
+                context.report({ node, message: 'The Function constructor evaluates its arguments as code.' });
+            } else if (TIMERS.has(name) && isStringLike(node.arguments[0])) {
+                context.report({ node, message: `${name}() with a string argument evaluates it as code.` });
+            }
+        };
+
+        return {
+            CallExpression: check,
+            NewExpression: check
+        };
+    }
+};
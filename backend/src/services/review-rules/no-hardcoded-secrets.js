@@ -0,0 +1,59 @@
+/**
+ * no-hardcoded-secrets — credentials assigned from string literals
+ */
+const SECRET_NAME = /(password|passwd|pwd|secret|api_?key|access_?key|auth_?token|access_?token|private_?key|client_?secret|credentials?)$/i;
+const PLACEHOLDER = /^(|x+|\*+|changeme|password|your[_-].*|<.*>|\$\{.*\})$/i;
+
+function keyName(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'StringLiteral') return node.value;
+    if (node.type === 'MemberExpression' && !node.computed) return node.property.name;
+    return null;
+}
+
+function envName(name) {
+    return name
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/[^A-Za-z0-9]+/g, '_')
+        .toUpperCase();
+}
+
+module.exports = {
+    meta: {
+        id: 'no-hardcoded-secrets',
+        type: 'security',
+        severity: 'high',
+        title: 'Hardcoded Credential',
+        suggestion: 'Load credentials from environment variables or a secrets manager.',
+        fixable: true
+    },
+    create(context) {
+        const check = (keyNode, valueNode) => {
+            const name = keyName(keyNode);
+            if (!name || !SECRET_NAME.test(name)) return;
+            if (!valueNode || valueNode.type !== 'StringLiteral' || valueNode.value.length < 4 || PLACEHOLDER.test(valueNode.value)) return;
+
+            context.report({
+                node: valueNode,
+                message: `"${name}" is assigned a hardcoded credential.`,
+                fix: fixer => fixer.replaceText(valueNode, `process.env.${envName(name)}`)
+            });
+        };
+
+        return {
+            VariableDeclarator(node) {
+                check(node.id, node.init);
+            },
+            AssignmentExpression(node) {
+                if (node.operator === '=') check(node.left, node.right);
+            },
+            ObjectProperty(node) {
+                if (!node.computed) check(node.key, node.value);
+            },
+            ClassProperty(node) {
+                if (!node.computed) check(node.key, node.value);
+            }
+        };
+    }
+};
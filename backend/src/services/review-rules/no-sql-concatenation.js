@@ -0,0 +1,41 @@
+/**
+ * no-sql-concatenation — SQL statements built from interpolated values
+ */
+const QUERY_METHODS = new Set(['query', 'run', 'all', 'get', 'each', 'exec', 'execute', 'prepare', 'raw']);
+const SQL = /^\s*(select|insert|update|delete|replace|with|create|drop|alter)\b/i;
+
+function buildsSql(node) {
+    if (node.type === 'TemplateLiteral') {
+        return node.expressions.length > 0 && SQL.test(node.quasis[0].value.cooked || '');
+    }
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+        let left = node;
+        while (left.type === 'BinaryExpression' && left.operator === '+') left = left.left;
+        const dynamic = node.right.type !== 'StringLiteral' || node.left.type !== 'StringLiteral';
+        return dynamic && left.type === 'StringLiteral' && SQL.test(left.value);
+    }
+    return false;
+}
+
+module.exports = {
+    meta: {
+        id: 'no-sql-concatenation',
+        type: 'security',
+        severity: 'high',
+        title: 'SQL Injection Risk',
+        suggestion: 'Use placeholders (`?` / `$1`) and pass values as query parameters.',
+        fixable: false
+    },
+    create(context) {
+        return {
+            CallExpression(node) {
+                const callee = node.callee;
+                if (callee.type !== 'MemberExpression' || callee.computed || !QUERY_METHODS.has(callee.property.name)) return;
+                const statement = node.arguments[0];
+                if (statement && buildsSql(statement)) {
+                    context.report({ node: statement, message: `SQL passed to ${callee.property.name}() is built from interpolated values.` });
+                }
+            }
+        };
+    }
+};
@@ -0,0 +1,48 @@
+/**
+ * no-unsafe-html — dynamic markup written through HTML sinks (XSS)
+ */
+const HTML_PROPERTIES = new Set(['innerHTML', 'outerHTML']);
+
+function isStatic(node) {
+    return node.type === 'StringLiteral' || (node.type === 'TemplateLiteral' && node.expressions.length === 0);
+}
+
+function propertyName(member) {
+    if (member.type !== 'MemberExpression') return null;
+    if (!member.computed) return member.property.name;
+    return member.property.type === 'StringLiteral' ? member.property.value : null;
+}
+
+module.exports = {
+    meta: {
+        id: 'no-unsafe-html',
+        type: 'security',
+        severity: 'medium',
+        title: 'XSS Risk',
+        suggestion: 'Use textContent, or sanitize the markup (e.g. DOMPurify.sanitize) before inserting it.',
+        fixable: false
+    },
+    create(context) {
+        return {
+            AssignmentExpression(node) {
+                const property = propertyName(node.left);
+                if (!HTML_PROPERTIES.has(property) || isStatic(node.right)) return;
+                context.report({ node, message: `Dynamic value assigned to ${property}.` });
+            },
+            CallExpression(node) {
+                const method = propertyName(node.callee);
+                if (method === 'insertAdjacentHTML' && node.arguments[1] && !isStatic(node.arguments[1])) {
+                    context.report({ node, message: 'Dynamic markup passed to insertAdjacentHTML().' });
+                } else if ((method === 'write' || method === 'writeln') && node.callee.object.name === 'document' &&
+                    node.arguments.some(arg => !isStatic(arg))) {
+                    context.report({ node, message: `Dynamic markup passed to document.${method}().` });
+                }
+            },
+            JSXAttribute(node) {
+                if (node.name.name === 'dangerouslySetInnerHTML') {
+                    context.report({ node, message: 'dangerouslySetInnerHTML bypasses React escaping.' });
+                }
+            }
+        };
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * no-var — function-scoped `var` declarations
+ */
+module.exports = {
+    meta: {
+        id: 'no-var',
+        type: 'best-practice',
+        severity: 'low',
+        title: 'Var Usage',
+        suggestion: 'Use "const" or "let".',
+        fixable: true
+    },
+    create(context) {
+        return {
+            VariableDeclaration(node) {
+                if (node.kind !== 'var') return;
+                context.report({
+                    node,
+                    message: 'Unexpected var, use let or const instead.',
+                    fix: fixer => fixer.replaceTextRange([node.start, node.start + 3], 'let')
+                });
+            }
+        };
+    }
+};
@@ -1,64 +1,334 @@
 /**
  * Risk Detector Service
  * Analyzes Pull Requests for potential merge conflicts and calculates risk scores.
+ *
+ * Open PRs come from GitHub, or from local branches when a `repoPath` is given.
+ * Every pair of PRs touching the same file is merged against their real merge
+ * base with MergeSimulatorEngine, separating true textual conflicts from
+ * same-file changes that merge cleanly.
  */
+const axios = require('axios');
+const mergeSimulator = require('./merge-simulator.engine');
+const timeMachine = require('./git-time-machine.service');
+
+const MAX_MERGE_BYTES = 1024 * 1024;
+const DECISION_POINTS = /\b(if|for|while|case|catch)\b|&&|\|\||\?\?/g;
+
+/**
+ * Open pull requests of a GitHub repository.
+ */
+class GithubPullRequestSource {
+    constructor(repo, options = {}) {
+        this.repo = repo;
+        this.baseUrl = `https://api.github.com/repos/${repo}`;
+        this.maxPrs = options.maxPrs || 30;
+        this.headers = {
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': 'Xaytheon-Risk-Detector'
+        };
+        const token = options.token || process.env.GITHUB_TOKEN;
+        if (token) this.headers.Authorization = `token ${token}`;
+        this.mergeBases = new Map();
+    }
+
+    async listChanges() {
+        const { data: pulls } = await axios.get(`${this.baseUrl}/pulls`, {
+            headers: this.headers,
+            params: { state: 'open', per_page: Math.min(this.maxPrs, 100) }
+        });
+
+        const prs = [];
+        for (const pull of pulls.slice(0, this.maxPrs)) {
+            const files = [];
+            for (let page = 1; page <= 3; page++) {
+                const { data } = await axios.get(`${this.baseUrl}/pulls/${pull.number}/files`, {
+                    headers: this.headers,
+                    params: { per_page: 100, page }
+                });
+                files.push(...data);
+                if (data.length < 100) break;
+            }
+
+            prs.push({
+                id: pull.number,
+                title: pull.title,
+                author: pull.user && pull.user.login,
+                head: pull.head.sha,
+                base: pull.base.ref,
+                files: files.map(f => ({
+                    file: f.filename,
+                    status: f.status === 'removed' ? 'deleted' : f.status,
+                    additions: f.additions,
+                    deletions: f.deletions,
+                    patch: f.patch || ''
+                }))
+            });
+        }
+        return prs;
+    }
+
+    async mergeBase(a, b) {
+        const key = `${a.head}...${b.head}`;
+        if (!this.mergeBases.has(key)) {
+            const { data } = await axios.get(`${this.baseUrl}/compare/${a.head}...${b.head}`, { headers: this.headers });
+            this.mergeBases.set(key, data.merge_base_commit.sha);
+        }
+        return this.mergeBases.get(key);
+    }
+
+    async readFile(ref, filePath) {
+        try {
+            const { data } = await axios.get(`${this.baseUrl}/contents/${filePath.split('/').map(encodeURIComponent).join('/')}`, {
+                headers: { ...this.headers, Accept: 'application/vnd.github.v3.raw' },
+                params: { ref },
+                responseType: 'text',
+                transformResponse: [body => body]
+            });
+            return data;
+        } catch (error) {
+            if (error.response && error.response.status === 404) return null;
+            throw error;
+        }
+    }
+}
+
+// `"a/tab\there"` -> `a/tab<TAB>here`: git C-quotes paths holding control
+// characters, quotes or backslashes (octal escapes are UTF-8 bytes)
+const C_ESCAPES = { a: '\x07', b: '\b', t: '\t', n: '\n', v: '\v', f: '\f', r: '\r' };
+function unquoteGitPath(quoted) {
+    return quoted.slice(1, -1).replace(/\\([0-7]{3}(?:\\[0-7]{3})*|.)/g, (match, escape) => (/^[0-7]{3}/.test(escape)
+        ? Buffer.from(escape.split('\\').map(octal => parseInt(octal, 8))).toString('utf8')
+        : C_ESCAPES[escape] || escape));
+}
+
+/**
+ * Local branches that have not been merged into the base branch.
+ * `repoPath` must be a repository inside RISK_REPOS_DIR (default: the working directory).
+ */
+class LocalBranchSource {
+    constructor(repoPath, options = {}) {
+        this.repoPath = repoPath;
+        this.base = options.base;
+        this.branches = options.branches;
+    }
+
+    async git(args) {
+        if (!this.root) this.root = await timeMachine.resolveRequestedRepository(this.repoPath, 'RISK_REPOS_DIR');
+        return timeMachine.git(this.root, args);
+    }
+
+    async resolveBase() {
+        for (const candidate of this.base ? [this.base] : ['main', 'master']) {
+            try {
+                await this.git(['rev-parse', '--verify', '--quiet', `${timeMachine.assertRevision(candidate)}^{commit}`]);
+                return candidate;
+            } catch (error) {
+                // try the next candidate
+            }
+        }
+        return (await this.git(['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+    }
+
+    async listChanges() {
+        this.base = await this.resolveBase();
+        const branches = this.branches && this.branches.length
+            ? this.branches.map(b => timeMachine.assertRevision(b))
+            : (await this.git(['for-each-ref', '--format=%(refname:short)', 'refs/heads'])).split('\n').filter(b => b && b !== this.base);
+
+        const prs = [];
+        for (const branch of branches) {
+            const ahead = parseInt((await this.git(['rev-list', '--count', `${this.base}..${branch}`])).trim(), 10);
+            if (!ahead) continue;
+
+            const mergeBase = (await this.git(['merge-base', this.base, branch])).trim();
+            const [head, author, title] = (await this.git(['log', '-1', '--format=%H%x1f%an%x1f%s', branch])).trim().split('\x1f');
+            const patch = await this.git(['diff', '--no-renames', '--no-color', '-U0', mergeBase, head]);
+
+            prs.push({
+                id: branch,
+                title,
+                author,
+                head,
+                base: this.base,
+                files: this.splitFilePatches(patch)
+            });
+        }
+        return prs;
+    }
+
+    /**
+     * One entry per file of a `git diff` (renames disabled, so both header paths
+     * are equal and the file name is the first half of the header, quoted or not).
+     */
+    splitFilePatches(patch) {
+        return patch.split(/^(?=diff --git )/m).filter(section => section.startsWith('diff --git ')).map(section => {
+            const header = section.slice('diff --git '.length, section.indexOf('\n'));
+            const first = header.slice(0, (header.length - 1) / 2);
+            const file = (first.startsWith('"') ? unquoteGitPath(first) : first).slice(2);
+            const hunks = mergeSimulator.parseHunkRanges(section);
+            return {
+                file,
+                status: /^deleted file mode/m.test(section) ? 'deleted' : /^new file mode/m.test(section) ? 'added' : 'modified',
+                additions: hunks.reduce((n, h) => n + h.added.length, 0),
+                deletions: hunks.reduce((n, h) => n + h.removed.length, 0),
+                patch: section
+            };
+        });
+    }
+
+    async mergeBase(a, b) {
+        return (await this.git(['merge-base', a.head, b.head])).trim();
+    }
+
+    async readFile(ref, filePath) {
+        try {
+            return await this.git(['show', `${ref}:${filePath}`]);
+        } catch (error) {
+            return null; // file does not exist at that ref
+        }
+    }
+}
 
 class RiskDetectorService {
     /**
      * Analyzes multiple PRs for a repository to find potential conflicts.
-     * @param {string} repo 
+     * @param {string} repo - owner/name on GitHub
+     * @param {Object} options - { repoPath, base, branches, maxPrs, token }; `repoPath` switches to local branches
      */
-    async analyzeConflicts(repo) {
-        // Mocking PR data for demonstration
-        const prs = [
-            { id: 101, title: 'Refactor Auth Middleware', author: 'alice', files: ['backend/src/middleware/auth.js', 'backend/src/app.js'], linesChanged: 450, complexityDelta: 5 },
-            { id: 102, title: 'Add Socket service', author: 'bob', files: ['backend/src/app.js', 'backend/src/services/socket.js'], linesChanged: 120, complexityDelta: 2 },
-            { id: 103, title: 'Fix Heatmap CSS', author: 'charlie', files: ['heatmap.css'], linesChanged: 30, complexityDelta: 0 },
-            { id: 104, title: 'Update Dashboard UI', author: 'dave', files: ['index.html', 'style.css'], linesChanged: 800, complexityDelta: 1 }
-        ];
+    async analyzeConflicts(repo, options = {}) {
+        const source = options.repoPath
+            ? new LocalBranchSource(options.repoPath, options)
+            : new GithubPullRequestSource(repo, options);
+
+        const prs = (await source.listChanges()).map(pr => this.summarizeChanges(pr));
 
         const conflicts = [];
-        const fileMap = {};
+        const matrix = prs.map(() => prs.map(() => ({ status: 'none', sharedFiles: 0, conflictingFiles: 0 })));
 
-        // Build file mapping to detect overlaps
-        prs.forEach(pr => {
-            pr.files.forEach(file => {
-                if (!fileMap[file]) fileMap[file] = [];
-                fileMap[file].push(pr.id);
-            });
-        });
+        for (let i = 0; i < prs.length; i++) {
+            for (let j = i + 1; j < prs.length; j++) {
+                const a = prs[i];
+                const b = prs[j];
+                const shared = a.files.filter(f => b.fileMap.has(f.file));
+                if (shared.length === 0) continue;
 
-        // Identify PRs with overlapping files
-        Object.entries(fileMap).forEach(([file, prIds]) => {
-            if (prIds.length > 1) {
-                conflicts.push({
-                    file,
-                    prIds,
-                    severity: prIds.length > 2 ? 'High' : 'Medium'
-                });
+                const mergeBase = await source.mergeBase(a, b);
+                for (const fileA of shared) {
+                    const fileB = b.fileMap.get(fileA.file);
+                    const result = await this.simulateFileMerge(source, mergeBase, a, b, fileA.file);
+                    const overlappingHunks = mergeSimulator.overlappingRanges(fileA.hunks, fileB.hunks);
+
+                    conflicts.push({
+                        file: fileA.file,
+                        prIds: [a.id, b.id],
+                        type: result.conflict ? 'conflict' : 'safe',
+                        reason: result.reason,
+                        severity: !result.conflict ? 'Low' : result.regions.length > 2 ? 'High' : 'Medium',
+                        regions: result.regions,
+                        overlappingHunks
+                    });
+                }
+
+                const pairConflicts = conflicts.filter(c => c.prIds[0] === a.id && c.prIds[1] === b.id && c.type === 'conflict').length;
+                const cell = {
+                    status: pairConflicts > 0 ? 'conflict' : 'safe',
+                    sharedFiles: shared.length,
+                    conflictingFiles: pairConflicts
+                };
+                matrix[i][j] = cell;
+                matrix[j][i] = cell;
             }
-        });
+        }
 
         // Calculate Risk Scores
-        const analyzedPrs = prs.map(pr => {
-            const riskScore = this.calculateRiskScore(pr);
-            return { ...pr, riskScore };
+        const analyzedPrs = prs.map((pr, i) => {
+            const conflictCount = matrix[i].reduce((sum, cell) => sum + cell.conflictingFiles, 0);
+            const { fileMap, ...rest } = pr;
+            return {
+                ...rest,
+                files: pr.files.map(f => f.file),
+                conflictCount,
+                riskScore: this.calculateRiskScore({ ...pr, conflictCount })
+            };
         });
 
+        const trueConflicts = conflicts.filter(c => c.type === 'conflict');
         return {
-            repo,
+            repo: repo || options.repoPath,
             conflicts,
+            matrix: { prIds: prs.map(pr => pr.id), cells: matrix },
             analyzedPrs,
             stats: {
                 totalActivePrs: prs.length,
                 highRiskPrs: analyzedPrs.filter(p => p.riskScore > 70).length,
-                potentialConflicts: conflicts.length
+                potentialConflicts: trueConflicts.length,
+                sameFileSafe: conflicts.length - trueConflicts.length,
+                conflictingPairs: new Set(trueConflicts.map(c => c.prIds.join('|'))).size
             }
         };
     }
 
     /**
-     * Calculates a Risk Score (0-100) based on code churn and complexity.
+     * Per-file hunks, churn and complexity delta of a PR's diff.
+     */
+    summarizeChanges(pr) {
+        let complexityDelta = 0;
+        const files = pr.files.map(f => {
+            const hunks = mergeSimulator.parseHunkRanges(f.patch);
+            hunks.forEach(h => {
+                complexityDelta += h.added.reduce((n, line) => n + (line.match(DECISION_POINTS) || []).length, 0);
+                complexityDelta -= h.removed.reduce((n, line) => n + (line.match(DECISION_POINTS) || []).length, 0);
+            });
+            return { file: f.file, status: f.status, additions: f.additions, deletions: f.deletions, hunks };
+        });
+
+        return {
+            id: pr.id,
+            title: pr.title,
+            author: pr.author,
+            head: pr.head,
+            base: pr.base,
+            files,
+            fileMap: new Map(files.map(f => [f.file, f])),
+            linesChanged: files.reduce((sum, f) => sum + f.additions + f.deletions, 0),
+            complexityDelta
+        };
+    }
+
+    /**
+     * Three-way merge of one file as changed by two PRs.
+     * @returns {{ conflict: boolean, reason: string, regions: Array }}
+     */
+    async simulateFileMerge(source, mergeBase, a, b, file) {
+        const [base, ours, theirs] = await Promise.all([
+            source.readFile(mergeBase, file),
+            source.readFile(a.head, file),
+            source.readFile(b.head, file)
+        ]);
+
+        if (ours === theirs) {
+            return { conflict: false, reason: 'Both PRs leave the file identical', regions: [] };
+        }
+        if (ours === null || theirs === null) {
+            const deletedBy = ours === null ? a.id : b.id;
+            return { conflict: true, reason: `Deleted by ${deletedBy} but modified by the other PR`, regions: [] };
+        }
+        if ([base, ours, theirs].some(text => text && (text.includes('\0') || text.length > MAX_MERGE_BYTES))) {
+            return { conflict: true, reason: 'Binary or oversized file changed differently on both sides', regions: [] };
+        }
+
+        const result = mergeSimulator.merge(base || '', ours, theirs);
+        return {
+            conflict: !result.clean,
+            reason: result.clean
+                ? 'Changes touch different lines and merge cleanly'
+                : `${result.conflicts.length} conflicting region(s)`,
+            regions: result.conflicts.map(c => ({ startLine: c.startLine, endLine: c.endLine, ours: c.ours, theirs: c.theirs }))
+        };
+    }
+
+    /**
+     * Calculates a Risk Score (0-100) based on code churn, complexity and merge conflicts.
      */
     calculateRiskScore(pr) {
         let score = 0;
@@ -77,8 +347,12 @@ class RiskDetectorService {
         if (pr.files.length > 5) score += 20;
         else score += 10;
 
+        // Files that will not merge cleanly with another open PR
+        if (pr.conflictCount > 0) score += 20;
+
         return Math.min(score, 100);
     }
 }
 
 module.exports = new RiskDetectorService();
+module.exports.LocalBranchSource = LocalBranchSource;
@@ -52,28 +52,55 @@ class SecurityAnalyzerService {
 
     /**
      * Trigger an automated security fuzzing scan based on analysis context
+     * @param {string} targetUrl
+     * @param {Object} request - { method, query, body, headers } of the baseline request
+     * @param {Object} options - FuzzerEngine session options
+     * @returns {Object} { session, threats } - the persisted session and its findings as threats
      */
-    async triggerAutomatedScan(targetUrl) {
+    async triggerAutomatedScan(targetUrl, request = {}, options = {}) {
         if (this.activeSimulations.has(targetUrl)) return { status: 'already_running' };
 
         this.activeSimulations.add(targetUrl);
         console.log(`🚀 [Security AI] Analysis suggests high risk. Triggering fuzzer on: ${targetUrl}`);
 
         try {
-            const results = await fuzzerEngine.startFuzzingSession(targetUrl);
+            const { method = 'POST', ...baseParams } = request;
+            const session = await fuzzerEngine.startFuzzingSession(targetUrl, method, baseParams, options);
 
-            const discoveredThreats = results.map(r => {
-                const threat = new Threat(r);
-                this.threatLogs.push(threat);
-                return threat;
-            });
-
-            return discoveredThreats;
+            const threats = this.recordFuzzFindings(session);
+            return { session, threats };
         } finally {
             this.activeSimulations.delete(targetUrl);
         }
     }
 
+    /**
+     * Log the findings of a fuzzing session as threats
+     */
+    recordFuzzFindings(session) {
+        return session.findings.map(finding => {
+            const threat = new Threat({
+                type: 'VULNERABILITY',
+                severity: finding.severity,
+                source: 'FUZZER',
+                target: session.method === '*' ? `${finding.endpoint} on ${session.target}` : `${session.method} ${session.target}`,
+                description: finding.description,
+                remediation: finding.remediation,
+                metadata: {
+                    sessionId: session.id,
+                    oracle: finding.oracle,
+                    category: finding.category,
+                    location: finding.location,
+                    parameter: finding.parameter,
+                    payload: finding.payload,
+                    evidence: finding.evidence
+                }
+            });
+            this.threatLogs.push(threat);
+            return threat;
+        });
+    }
+
     /**
      * Retrieve all historical threats
      */
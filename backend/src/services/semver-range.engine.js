@@ -0,0 +1,312 @@
+/**
+ * Semver Range Engine
+ * npm-compatible version parsing, range desugaring, matching and intersection.
+ *
+ * Ranges are desugared the way node-semver does it: `||` separates comparator
+ * sets, hyphen ranges, X-ranges (`1.x`, `*`), tilde and caret ranges become
+ * plain `>=`/`<`/`<=`/`>`/`=` comparators, with exclusive upper bounds written
+ * as `-0` prereleases so that no prerelease of the next release slips in.
+ * A prerelease version only satisfies a set that mentions a prerelease of the
+ * same major.minor.patch, unless `includePrerelease` is set.
+ */
+
+const VERSION = /^\s*[v=]?\s*(\d+)\.(\d+)\.(\d+)(?:-?([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?\s*$/;
+const PARTIAL = /^[v=]?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-?([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-.]+)?$/;
+const COMPARATOR = /^(<=|>=|<|>|=|\^|~>?|)(.*)$/;
+
+const isWildcard = part => part === undefined || part === 'x' || part === 'X' || part === '*';
+
+class SemverRangeEngine {
+    /**
+     * Parse a full version ("1.2.3-beta.1+build"), or null.
+     */
+    parse(version) {
+        if (version && typeof version === 'object' && 'major' in version) return version;
+        const match = VERSION.exec(String(version ?? ''));
+        if (!match) return null;
+        return {
+            major: Number(match[1]),
+            minor: Number(match[2]),
+            patch: Number(match[3]),
+            prerelease: match[4] ? match[4].split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id)) : [],
+            build: match[5] ? match[5].split('.') : [],
+            raw: `${match[1]}.${match[2]}.${match[3]}${match[4] ? `-${match[4]}` : ''}`
+        };
+    }
+
+    valid(version) {
+        const parsed = this.parse(version);
+        return parsed ? parsed.raw : null;
+    }
+
+    /**
+     * Semver precedence: -1, 0 or 1. Build metadata is ignored.
+     */
+    compare(a, b) {
+        const va = this.parse(a);
+        const vb = this.parse(b);
+        if (!va || !vb) throw new TypeError(`Invalid version: ${va ? b : a}`);
+
+        for (const key of ['major', 'minor', 'patch']) {
+            if (va[key] !== vb[key]) return va[key] < vb[key] ? -1 : 1;
+        }
+        if (!va.prerelease.length || !vb.prerelease.length) {
+            return va.prerelease.length === vb.prerelease.length ? 0 : va.prerelease.length ? -1 : 1;
+        }
+        for (let i = 0; i < Math.max(va.prerelease.length, vb.prerelease.length); i++) {
+            const x = va.prerelease[i];
+            const y = vb.prerelease[i];
+            if (x === undefined) return -1;
+            if (y === undefined) return 1;
+            if (x === y) continue;
+            if (typeof x !== typeof y) return typeof x === 'number' ? -1 : 1;
+            return x < y ? -1 : 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Desugar a range into comparator sets: [[{ operator, version }]] (OR of ANDs).
+     * An empty set matches any release. Returns null for specs that are not semver
+     * ranges (dist-tags, git/file/url specs, workspace: protocols).
+     */
+    parseRange(range) {
+        if (range && range.sets) return range;
+        let text = String(range ?? '').trim();
+        if (text.startsWith('npm:')) text = text.slice(text.lastIndexOf('@') > 4 ? text.lastIndexOf('@') + 1 : 4); // npm:alias@range
+
+        const sets = [];
+        for (const part of text.split('||')) {
+            const set = this.parseComparatorSet(part.trim());
+            if (!set) return null;
+            sets.push(set);
+        }
+        return { raw: text, sets };
+    }
+
+    parseComparatorSet(text) {
+        const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(text);
+        if (hyphen) {
+            const from = this.parsePartial(hyphen[1]);
+            const to = this.parsePartial(hyphen[2]);
+            if (!from || !to) return null;
+            return [...this.lowerBound(from, '>='), ...this.upperBound(to, '<=')];
+        }
+
+        // "> 1.2" / "^ 1.2" → ">1.2" / "^1.2"
+        const tokens = text.replace(/(<=|>=|<|>|=|\^|~>?)\s+/g, '$1').split(/\s+/).filter(Boolean);
+        const set = [];
+        for (const token of tokens) {
+            const [, operator, rest] = COMPARATOR.exec(token);
+            const partial = this.parsePartial(rest);
+            if (!partial) return null;
+            set.push(...this.desugar(operator, partial));
+        }
+        return set;
+    }
+
+    /**
+     * "1", "1.2", "1.x", "1.2.3-beta" → { major, minor, patch, prerelease } with null for wildcards
+     */
+    parsePartial(text) {
+        if (text === '' || text === undefined) return { major: null, minor: null, patch: null, prerelease: '' };
+        const match = PARTIAL.exec(text);
+        if (!match) return null;
+
+        const [major, minor, patch] = [match[1], match[2], match[3]].map(p => (isWildcard(p) ? null : Number(p)));
+        if (major === null) return { major: null, minor: null, patch: null, prerelease: '' };
+        if (minor === null) return { major, minor: null, patch: null, prerelease: '' };
+        return { major, minor, patch, prerelease: patch === null ? '' : match[4] || '' };
+    }
+
+    version(major, minor, patch, prerelease = '') {
+        return this.parse(`${major}.${minor}.${patch}${prerelease ? `-${prerelease}` : ''}`);
+    }
+
+    comparator(operator, major, minor, patch, prerelease) {
+        return { operator, version: this.version(major, minor, patch, prerelease) };
+    }
+
+    lowerBound(p, operator) {
+        if (p.major === null) return [];
+        return [this.comparator(operator, p.major, p.minor ?? 0, p.patch ?? 0, p.prerelease)];
+    }
+
+    upperBound(p, operator) {
+        if (p.major === null) return [];
+        if (p.minor === null) return [this.comparator('<', p.major + 1, 0, 0, '0')];
+        if (p.patch === null) return [this.comparator('<', p.major, p.minor + 1, 0, '0')];
+        return [this.comparator(operator, p.major, p.minor, p.patch, p.prerelease)];
+    }
+
+    desugar(operator, p) {
+        const { major, minor, patch, prerelease } = p;
+
+        if (operator === '^') {
+            if (major === null) return [];
+            const lower = this.lowerBound(p, '>=');
+            if (major > 0 || minor === null) return [...lower, this.comparator('<', major + 1, 0, 0, '0')];
+            if (minor > 0 || patch === null) return [...lower, this.comparator('<', 0, minor + 1, 0, '0')];
+            return [...lower, this.comparator('<', 0, 0, patch + 1, '0')];
+        }
+
+        if (operator === '~' || operator === '~>') {
+            if (major === null) return [];
+            const upper = minor === null
+                ? this.comparator('<', major + 1, 0, 0, '0')
+                : this.comparator('<', major, minor + 1, 0, '0');
+            return [...this.lowerBound(p, '>='), upper];
+        }
+
+        if (operator === '' || operator === '=') {
+            if (patch !== null) return [this.comparator('=', major, minor, patch, prerelease)];
+            return [...this.lowerBound(p, '>='), ...this.upperBound(p, '<')];
+        }
+
+        if (major === null) {
+            // ">*" and "<*" match nothing, ">=*" and "<=*" anything
+            return operator === '>' || operator === '<' ? [this.comparator('<', 0, 0, 0, '0')] : [];
+        }
+        if (patch !== null) return [this.comparator(operator, major, minor, patch, prerelease)];
+
+        // Partial versions with primitive operators
+        if (operator === '>') {
+            return minor === null
+                ? [this.comparator('>=', major + 1, 0, 0)]
+                : [this.comparator('>=', major, minor + 1, 0)];
+        }
+        if (operator === '>=') return this.lowerBound(p, '>=');
+        if (operator === '<') return [this.comparator('<', major, minor ?? 0, 0, '0')];
+        return this.upperBound(p, '<'); // <=
+    }
+
+    testComparator(comparator, version) {
+        const cmp = this.compare(version, comparator.version);
+        switch (comparator.operator) {
+            case '<': return cmp < 0;
+            case '<=': return cmp <= 0;
+            case '>': return cmp > 0;
+            case '>=': return cmp >= 0;
+            default: return cmp === 0;
+        }
+    }
+
+    testSet(set, version, options = {}) {
+        if (!set.every(comparator => this.testComparator(comparator, version))) return false;
+        if (!version.prerelease.length || options.includePrerelease) return true;
+
+        // Prereleases only match when the set opts into that exact major.minor.patch
+        return set.some(({ version: v }) => v.prerelease.length > 0 &&
+            v.major === version.major && v.minor === version.minor && v.patch === version.patch);
+    }
+
+    /**
+     * Whether `version` satisfies `range`. Non-semver versions or ranges never match.
+     */
+    satisfies(version, range, options = {}) {
+        const parsed = this.parse(version);
+        const parsedRange = this.parseRange(range);
+        if (!parsed || !parsedRange) return false;
+        return parsedRange.sets.some(set => this.testSet(set, parsed, options));
+    }
+
+    maxSatisfying(versions, range, options = {}) {
+        return versions
+            .filter(v => this.satisfies(v, range, options))
+            .sort((a, b) => this.compare(b, a))[0] || null;
+    }
+
+    /**
+     * Whether some version satisfies both ranges. Returns null when either range is not semver.
+     */
+    intersects(rangeA, rangeB, options = {}) {
+        const a = this.parseRange(rangeA);
+        const b = this.parseRange(rangeB);
+        if (!a || !b) return null;
+        return a.sets.some(setA => b.sets.some(setB => this.setsIntersect(setA, setB, options)));
+    }
+
+    /**
+     * Two comparator sets intersect when the tightest bounds of their union
+     * leave room for a version that both sets accept (prerelease rule included).
+     */
+    setsIntersect(setA, setB, options = {}) {
+        const combined = [...setA, ...setB];
+        let lower = null;
+        let upper = null;
+
+        for (const { operator, version } of combined) {
+            if (operator === '>' || operator === '>=' || operator === '=') {
+                const inclusive = operator !== '>';
+                const cmp = lower ? this.compare(version, lower.version) : 1;
+                if (cmp > 0 || (cmp === 0 && !inclusive)) lower = { version, inclusive };
+            }
+            if (operator === '<' || operator === '<=' || operator === '=') {
+                const inclusive = operator !== '<';
+                const cmp = upper ? this.compare(version, upper.version) : -1;
+                if (cmp < 0 || (cmp === 0 && !inclusive)) upper = { version, inclusive };
+            }
+        }
+
+        if (lower && upper) {
+            const cmp = this.compare(lower.version, upper.version);
+            if (cmp > 0 || (cmp === 0 && !(lower.inclusive && upper.inclusive))) return false;
+        }
+
+        // Bounds overlap; confirm with a concrete version accepted by both sets
+        const candidates = [];
+        if (!lower) candidates.push(this.version(0, 0, 0));
+        else {
+            const { major, minor, patch, prerelease } = lower.version;
+            if (lower.inclusive) candidates.push(lower.version);
+            if (prerelease.length) {
+                candidates.push(this.version(major, minor, patch, `${prerelease.join('.')}.0`));
+                candidates.push(this.version(major, minor, patch));
+            }
+            candidates.push(this.version(major, minor, patch + 1));
+            candidates.push(this.version(major, minor + 1, 0));
+            candidates.push(this.version(major + 1, 0, 0));
+        }
+        if (upper && upper.inclusive) candidates.push(upper.version);
+
+        return candidates.some(version => this.testSet(setA, version, options) && this.testSet(setB, version, options));
+    }
+
+    /**
+     * Lowest version that can satisfy the range, or null.
+     */
+    minVersion(range) {
+        const parsed = this.parseRange(range);
+        if (!parsed) return null;
+
+        const minima = parsed.sets.map(set => {
+            let min = this.version(0, 0, 0);
+            for (const { operator, version } of set) {
+                if (operator === '>') {
+                    const next = version.prerelease.length
+                        ? this.version(version.major, version.minor, version.patch, `${version.prerelease.join('.')}.0`)
+                        : this.version(version.major, version.minor, version.patch + 1);
+                    if (this.compare(next, min) > 0) min = next;
+                } else if ((operator === '>=' || operator === '=') && this.compare(version, min) > 0) {
+                    min = version;
+                }
+            }
+            return this.testSet(set, min, { includePrerelease: true }) ? min : null;
+        }).filter(Boolean);
+
+        return minima.sort((a, b) => this.compare(a, b))[0]?.raw || null;
+    }
+
+    /**
+     * Canonical string form of a range (">=1.2.0 <2.0.0-0||…"), or null
+     */
+    validRange(range) {
+        const parsed = this.parseRange(range);
+        if (!parsed) return null;
+        return parsed.sets
+            .map(set => (set.length ? set.map(c => `${c.operator === '=' ? '' : c.operator}${c.version.raw}`).join(' ') : '*'))
+            .join('||');
+    }
+}
+
+module.exports = new SemverRangeEngine();
@@ -1,57 +1,175 @@
 /**
  * XAYTHEON — Taint Analyzer Service
- * Simulates static/dynamic data flow analysis (taint tracking) 
- * to detect how untrusted sources reach sensitive sinks.
+ * AST-based source → sink dataflow analysis (taint tracking) used to detect
+ * how untrusted input reaches sensitive sinks, across functions and modules.
+ *
+ * The engine parses every file with @babel/parser, indexes scope bindings with
+ * @babel/traverse and then abstractly evaluates each function. A tainted value
+ * carries one or more traces: the origin (a catalog source or a function
+ * parameter) plus every propagation step it went through. Functions are
+ * summarised lazily (which parameters reach the return value or a sink), so a
+ * call into a helper — in the same file or another one pulled in through
+ * `require`/`import` — replays the helper's flow at the call site.
  */
 
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const path = require('path');
+
+const MAX_TRACES_PER_VALUE = 8;
+const MAX_STEPS_PER_TRACE = 30;
+
+const SINK_META = {
+    rce: { severity: 10, legacyType: 'CODE_INJECTION', scenario: 'Attacker-controlled input is evaluated as JavaScript, allowing arbitrary code execution.' },
+    cmdInjection: { severity: 10, legacyType: 'COMMAND_INJECTION', scenario: 'Attacker-controlled input is passed to a shell command, allowing arbitrary OS command execution.' },
+    sqli: { severity: 9, legacyType: 'SQL_INJECTION', scenario: 'Attacker-controlled input is concatenated into a SQL statement, allowing data exfiltration or tampering.' },
+    pathTraversal: { severity: 7, legacyType: 'PATH_TRAVERSAL', scenario: 'Attacker-controlled input selects a filesystem path, allowing files outside the intended directory to be read or written.' },
+    ssrf: { severity: 7, legacyType: 'SSRF', scenario: 'Attacker-controlled input selects the URL of a server-side request, allowing access to internal services.' },
+    xss: { severity: 6, legacyType: 'XSS', scenario: 'Attacker-controlled input is rendered as HTML, allowing script injection in the victim\'s browser.' }
+};
+
+/**
+ * Default catalogs. `match` is compared against the qualified name of an
+ * expression, where a root bound to `require('x')` / `import ... from 'x'`
+ * is replaced by the module name (e.g. `cp.exec` → `child_process.exec`).
+ */
+const DEFAULT_CATALOG = {
+    sources: [
+        { match: /^(req|request)\.(body|query|params|headers|cookies|files?)$/, label: 'Express request input' },
+        { match: /^(ctx\.request|ctx)\.(body|query|params|headers)$/, label: 'Koa request input' },
+        { match: /^process\.argv$/, label: 'Command-line arguments' },
+        { match: /^(window\.|document\.)?location\.(search|hash|href)$/, label: 'Browser URL' },
+        { match: /^document\.cookie$/, label: 'Browser cookie' },
+        { match: /^(event|e|evt|msg|message)\.data$/, label: 'postMessage / socket payload' }
+    ],
+    sanitizers: [
+        { match: /^(parseInt|parseFloat|Number|Boolean|Math\.\w+)$/, clears: ['*'] },
+        { match: /^(validator\.)?(escape|escapeHtml|sanitizeString|sanitizeHtml)$/, clears: ['xss', 'sqli'] },
+        { match: /^(DOMPurify|dompurify)\.sanitize$/, clears: ['xss'] },
+        { match: /^(encodeURIComponent|encodeURI)$/, clears: ['xss', 'cmdInjection'] },
+        { match: /^(mysql|sqlstring|SqlString|pg-format|connection|db)\.(escape|format|escapeId)$/, clears: ['sqli'] },
+        { match: /^(shell-quote\.quote|shellescape|shellEscape)$/, clears: ['cmdInjection'] },
+        { match: /^path\.basename$/, clears: ['pathTraversal'] },
+        { match: /^validator\.(isInt|isNumeric|isUUID|isEmail|isURL|isAlphanumeric|toInt)$/, clears: ['*'] }
+    ],
+    sinks: [
+        { type: 'rce', match: /^(eval|setTimeout|setInterval)$/, args: [0], label: 'eval()' },
+        { type: 'rce', match: /^(Function|vm\.runInNewContext|vm\.runInThisContext|vm\.runInContext|vm\.compileFunction)$/, args: [0], label: 'dynamic code evaluation' },
+        { type: 'cmdInjection', match: /^child_process\.(exec|execSync|spawn|spawnSync|execFile|execFileSync|fork)$/, args: [0, 1], label: 'child_process' },
+        { type: 'sqli', match: /(^|\.)(db|database|conn|connection|pool|client|sqlite|sql|knex|sequelize)\.(run|all|get|each|exec|prepare|query|raw)$/i, args: [0], label: 'SQL statement' },
+        { type: 'pathTraversal', match: /^(fs|fs\/promises|fs-extra)\.(promises\.)?(readFile|readFileSync|writeFile|writeFileSync|appendFile|appendFileSync|createReadStream|createWriteStream|unlink|unlinkSync|rm|rmSync|readdir|readdirSync|open|openSync)$/, args: [0], label: 'filesystem access' },
+        { type: 'pathTraversal', match: /^(res|response)\.(sendFile|download)$/, args: [0], label: 'file download' },
+        { type: 'ssrf', match: /^(axios(\.(get|post|put|delete|patch|head|request))?|fetch|got|node-fetch|request|needle|superagent\.(get|post)|https?\.(get|request))$/, args: [0], label: 'outbound HTTP request' },
+        { type: 'xss', match: /^document\.(write|writeln)$/, args: [0], label: 'document.write()' },
+        { type: 'xss', match: /\.insertAdjacentHTML$/, args: [1], label: 'insertAdjacentHTML()' },
+        { type: 'xss', match: /^(res|response)\.(send|write|end)$/, args: [0], label: 'HTTP response body' },
+        { type: 'xss', property: /^(innerHTML|outerHTML)$/, label: 'innerHTML assignment' }
+    ]
+};
+
+const PARSER_OPTIONS = {
+    sourceType: 'unambiguous',
+    plugins: [
+        'jsx',
+        'typescript',
+        'decorators-legacy',
+        'classProperties',
+        'dynamicImport',
+        'optionalChaining',
+        'nullishCoalescingOperator'
+    ],
+    errorRecovery: true
+};
+
+const RESOLVE_EXTENSIONS = ['', '.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs', '/index.js', '/index.ts'];
+
 class TaintAnalyzerService {
     constructor() {
         this.scans = [];
+        this.catalog = DEFAULT_CATALOG;
     }
 
     /**
-     * Run a simulated Taint Scan on a "codebase"
+     * Replace or extend the source/sanitizer/sink catalogs.
+     * Entries with string `match` values are compared literally.
      */
-    runTaintScan(files) {
-        const findings = [];
+    configure(catalog = {}, { replace = false } = {}) {
+        this.catalog = this.mergeCatalog(catalog, replace);
+        return this.catalog;
+    }
 
-        files.forEach(file => {
-            const lines = file.content.split('\n');
-            const sources = []; // untrusted inputs
+    mergeCatalog(catalog = {}, replace = false) {
+        const base = replace ? { sources: [], sanitizers: [], sinks: [] } : this.catalog;
+        const normalize = entries => (entries || []).map(entry => ({
+            ...entry,
+            match: typeof entry.match === 'string' ? new RegExp(`^${escapeRegExp(entry.match)}$`) : entry.match,
+            property: typeof entry.property === 'string' ? new RegExp(`^${escapeRegExp(entry.property)}$`) : entry.property
+        }));
 
-            lines.forEach((line, i) => {
-                // Mock source detection
-                if (line.includes('req.body') || line.includes('req.query')) {
-                    sources.push({ variable: this.extractVar(line), line: i + 1 });
-                }
+        // A sanitizer without `clears` clears nothing; a single sink type may be given as a string
+        const sanitizers = normalize(catalog.sanitizers).map(entry => ({ ...entry, clears: [].concat(entry.clears || []) }));
 
-                // Mock Sink detection (Injection Points)
-                sources.forEach(source => {
-                    if (line.includes(source.variable)) {
-                        if (line.includes('eval(') || line.includes('query(') || line.includes('innerHTML')) {
-                            findings.push({
-                                file: file.name,
-                                type: line.includes('eval') ? 'CODE_INJECTION' : line.includes('query') ? 'SQL_INJECTION' : 'XSS',
-                                sourceLine: source.line,
-                                sinkLine: i + 1,
-                                variable: source.variable,
-                                severity: 'CRITICAL',
-                                description: `Untrusted data from '${source.variable}' reached a sensitive sink without sanitization.`
-                            });
-                        }
-                    }
-                });
-            });
+        return {
+            sources: [...base.sources, ...normalize(catalog.sources)],
+            sanitizers: [...base.sanitizers, ...sanitizers],
+            sinks: [...base.sinks, ...normalize(catalog.sinks)]
+        };
+    }
+
+    /**
+     * Analyze a set of files ({ path|name, content }) for tainted flows.
+     * Used by /api/security-fuzzer/taint/analyze.
+     */
+    async analyzeProject(files, options = {}) {
+        const catalog = options.catalog ? this.mergeCatalog(options.catalog, options.replaceCatalog) : this.catalog;
+        const run = new TaintRun(files || [], catalog);
+        const flows = run.execute();
+
+        const bySinkType = {};
+        flows.forEach(flow => {
+            bySinkType[flow.sinkType] = (bySinkType[flow.sinkType] || 0) + 1;
         });
 
+        return {
+            flows,
+            totalFlows: flows.length,
+            crossFileFlows: flows.filter(f => f.crossFile).length,
+            bySinkType,
+            riskScore: this.calculateRiskScore(flows),
+            filesAnalyzed: run.modules.size,
+            parseErrors: run.parseErrors
+        };
+    }
+
+    /**
+     * Run a Taint Scan on a "codebase" and keep it in the scan history.
+     * Findings keep the legacy flat shape consumed by /api/security/scan.
+     */
+    runTaintScan(files) {
+        const run = new TaintRun(files || [], this.catalog);
+        const findings = run.execute().map(flow => ({
+            id: flow.id,
+            file: flow.filePath,
+            // Custom sink types: `nosqlInjection` -> `NOSQL_INJECTION`
+            type: (SINK_META[flow.sinkType] || { legacyType: flow.sinkType.replace(/([a-z\d])([A-Z])/g, '$1_$2').toUpperCase() }).legacyType,
+            sinkType: flow.sinkType,
+            sourceLine: flow.sourceLocation.line,
+            sinkLine: flow.sinkLocation.line,
+            variable: flow.source,
+            severity: flow.severity >= 9 ? 'CRITICAL' : flow.severity >= 7 ? 'HIGH' : 'MEDIUM',
+            snippet: flow.snippet,
+            path: flow.path,
+            description: flow.description
+        }));
+
         const scanId = `SCAN_${Date.now()}`;
         this.scans.push({ id: scanId, findings, status: 'COMPLETE', timestamp: Date.now() });
         return { scanId, findings };
     }
 
-    extractVar(line) {
-        const match = line.match(/(const|let|var)\s+(\w+)\s*=/);
-        return match ? match[2] : 'unknown';
+    calculateRiskScore(flows) {
+        const weighted = flows.reduce((sum, flow) => sum + flow.severity * (flow.confidence / 100), 0);
+        return Math.min(100, Math.round(weighted * 4));
     }
 
     getHistory() {
@@ -59,4 +177,913 @@ class TaintAnalyzerService {
     }
 }
 
+/**
+ * A single analysis over one set of files. Holds the parsed modules, the
+ * taint environment (keyed by Babel binding, so shadowing is respected) and
+ * the memoised function summaries.
+ */
+class TaintRun {
+    constructor(files, catalog) {
+        this.catalog = catalog;
+        this.modules = new Map();
+        this.parseErrors = [];
+        this.env = new Map();
+        this.summaries = new Map();
+        this.findings = new Map();
+
+        files.forEach(file => this.addModule(file));
+    }
+
+    execute() {
+        for (const mod of this.modules.values()) {
+            this.ensureModule(mod);
+        }
+        // Functions never reached through a call are still analyzed as roots so
+        // that e.g. route handlers report their own source → sink flows.
+        for (const mod of this.modules.values()) {
+            mod.functions.forEach(fn => this.summarize(fn, mod));
+        }
+
+        return [...this.findings.values()].sort((a, b) =>
+            b.severity - a.severity || a.filePath.localeCompare(b.filePath) || a.sinkLocation.line - b.sinkLocation.line
+        );
+    }
+
+    // ─── Module indexing ────────────────────────────────────────────────────
+
+    addModule(file) {
+        const filePath = normalizePath(file.path || file.name || `file_${this.modules.size}.js`);
+        const content = String(file.content || '');
+
+        let ast;
+        try {
+            ast = parser.parse(content, PARSER_OPTIONS);
+        } catch (error) {
+            this.parseErrors.push({ file: filePath, message: error.message });
+            return;
+        }
+
+        const mod = {
+            path: filePath,
+            lines: content.split('\n'),
+            ast,
+            bindings: new Map(),
+            functions: [],
+            enclosingClass: new Map(),
+            exports: new Map(),
+            reExports: [],
+            analyzed: false
+        };
+
+        traverse(ast, {
+            Identifier(p) {
+                const binding = p.scope.getBinding(p.node.name);
+                if (binding) mod.bindings.set(p.node, binding);
+            },
+            Function(p) {
+                mod.functions.push(p.node);
+                // Arrow functions inherit `this` from the enclosing method.
+                const classPath = p.findParent(parent => parent.isClassBody() || (parent.isFunction() && !parent.isArrowFunctionExpression()));
+                if (classPath && classPath.isClassBody()) mod.enclosingClass.set(p.node, classPath.node);
+                else if (classPath && p.isArrowFunctionExpression() && mod.enclosingClass.has(classPath.node)) {
+                    mod.enclosingClass.set(p.node, mod.enclosingClass.get(classPath.node));
+                }
+            }
+        });
+
+        this.collectExports(mod);
+        this.modules.set(filePath, mod);
+    }
+
+    collectExports(mod) {
+        mod.ast.program.body.forEach(stmt => {
+            if (stmt.type === 'ExportNamedDeclaration') {
+                const decl = stmt.declaration;
+                if (decl && (decl.type === 'FunctionDeclaration' || decl.type === 'ClassDeclaration') && decl.id) {
+                    mod.exports.set(decl.id.name, decl);
+                } else if (decl && decl.type === 'VariableDeclaration') {
+                    decl.declarations.forEach(d => {
+                        if (d.id.type === 'Identifier') mod.exports.set(d.id.name, d.init);
+                    });
+                }
+                stmt.specifiers.forEach(spec => {
+                    const exported = spec.exported.name || spec.exported.value;
+                    if (stmt.source) mod.reExports.push({ name: exported, from: stmt.source.value, imported: spec.local ? spec.local.name : 'default' });
+                    else mod.exports.set(exported, spec.local);
+                });
+            } else if (stmt.type === 'ExportAllDeclaration') {
+                mod.reExports.push({ name: '*', from: stmt.source.value });
+            } else if (stmt.type === 'ExportDefaultDeclaration') {
+                mod.exports.set('default', stmt.declaration);
+            } else if (stmt.type === 'ExpressionStatement' && stmt.expression.type === 'AssignmentExpression') {
+                const { left, right } = stmt.expression;
+                const target = memberName(left);
+                if (target === 'module.exports') {
+                    mod.exports.set('default', right);
+                    if (right.type === 'ObjectExpression') {
+                        right.properties.forEach(prop => {
+                            const key = propertyKey(prop);
+                            if (key) mod.exports.set(key, prop.type === 'ObjectMethod' ? prop : prop.value);
+                        });
+                    }
+                } else if (target && /^(module\.)?exports\.[\w$]+$/.test(target)) {
+                    mod.exports.set(target.split('.').pop(), right);
+                }
+            }
+        });
+    }
+
+    resolveModule(fromPath, specifier) {
+        if (typeof specifier !== 'string' || !specifier.startsWith('.')) return null;
+        const base = path.posix.join(path.posix.dirname(fromPath), specifier);
+        for (const ext of RESOLVE_EXTENSIONS) {
+            const candidate = this.modules.get(normalizePath(base + ext));
+            if (candidate) return candidate;
+        }
+        return null;
+    }
+
+    ensureModule(mod) {
+        if (mod.analyzed) return;
+        mod.analyzed = true;
+        const ctx = this.createContext(mod, null);
+        mod.ast.program.body.forEach(stmt => this.evalStatement(stmt, ctx));
+    }
+
+    createContext(mod, fn) {
+        return { mod, fn, returns: [], paramSinks: [] };
+    }
+
+    // ─── Function summaries ─────────────────────────────────────────────────
+
+    summarize(fn, mod) {
+        if (this.summaries.has(fn)) return this.summaries.get(fn);
+
+        // Placeholder guards against recursion (direct or mutual).
+        const summary = { returns: [], paramSinks: [], name: functionName(fn) };
+        this.summaries.set(fn, summary);
+        this.ensureModule(mod);
+
+        const ctx = this.createContext(mod, fn);
+        fn.params.forEach((param, index) => {
+            const trace = {
+                origin: { param: index },
+                steps: [],
+                sanitized: [],
+                confidence: 100
+            };
+            this.bindPattern(param.type === 'TSParameterProperty' ? param.parameter : param, [trace], ctx, null);
+        });
+
+        if (fn.body.type === 'BlockStatement') {
+            fn.body.body.forEach(stmt => this.evalStatement(stmt, ctx));
+        } else {
+            ctx.returns.push(...this.evalExpr(fn.body, ctx));
+        }
+
+        summary.returns = capTraces(ctx.returns);
+        summary.paramSinks = ctx.paramSinks;
+        return summary;
+    }
+
+    /**
+     * Resolve a callee expression to { fn, mod } when it is a user function
+     * defined in one of the analyzed modules.
+     */
+    resolveCallee(node, ctx, depth = 0) {
+        if (!node || depth > 6) return null;
+        const { mod } = ctx;
+
+        if (isFunctionNode(node)) return { fn: node, mod };
+
+        if (node.type === 'Identifier') {
+            const binding = mod.bindings.get(node);
+            if (!binding) return null;
+            const declNode = binding.path.node;
+
+            if (declNode.type === 'FunctionDeclaration') return { fn: declNode, mod };
+            if (declNode.type === 'ImportDefaultSpecifier' || declNode.type === 'ImportSpecifier') {
+                const target = this.resolveModule(mod.path, binding.path.parent.source.value);
+                const imported = declNode.type === 'ImportDefaultSpecifier' ? 'default' : (declNode.imported.name || declNode.imported.value);
+                return target ? this.resolveExport(target, imported, depth + 1) : null;
+            }
+            if (declNode.type === 'VariableDeclarator') {
+                const requireSource = requireSpecifier(declNode.init);
+                if (requireSource) {
+                    const target = this.resolveModule(mod.path, requireSource);
+                    if (!target) return null;
+                    if (declNode.id.type === 'Identifier') return this.resolveExport(target, 'default', depth + 1);
+                    const key = patternKeyFor(declNode.id, node.name);
+                    return key ? this.resolveExport(target, key, depth + 1) : null;
+                }
+                if (declNode.id.type === 'Identifier') return this.resolveCallee(declNode.init, ctx, depth + 1);
+            }
+            return null;
+        }
+
+        if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+            const prop = memberProperty(node);
+            if (!prop) return null;
+
+            if (node.object.type === 'ThisExpression' && ctx.fn) {
+                const classNode = ctx.mod.enclosingClass.get(ctx.fn);
+                const method = classNode && findClassMethod(classNode, prop);
+                return method ? { fn: method, mod } : null;
+            }
+
+            const target = this.moduleFor(node.object, ctx);
+            if (target) return this.resolveExport(target, prop, depth + 1);
+
+            const objectValue = this.resolveValue(node.object, mod);
+            if (objectValue && objectValue.type === 'ObjectExpression') {
+                const member = objectValue.properties.find(p => propertyKey(p) === prop);
+                if (member) return this.resolveCallee(member.type === 'ObjectMethod' ? member : member.value, ctx, depth + 1);
+            }
+            if (objectValue && objectValue.type === 'NewExpression') {
+                const classNode = this.resolveClass(objectValue.callee, mod);
+                const method = classNode && findClassMethod(classNode.body, prop);
+                if (method) return { fn: method, mod };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Module bound to an expression: `require('./x')`, a variable initialised
+     * with it, or a namespace/default import.
+     */
+    moduleFor(node, ctx) {
+        const direct = requireSpecifier(node);
+        if (direct) return this.resolveModule(ctx.mod.path, direct);
+        if (node.type !== 'Identifier') return null;
+
+        const binding = ctx.mod.bindings.get(node);
+        if (!binding) return null;
+        const declNode = binding.path.node;
+        if (declNode.type === 'ImportNamespaceSpecifier' || declNode.type === 'ImportDefaultSpecifier') {
+            return this.resolveModule(ctx.mod.path, binding.path.parent.source.value);
+        }
+        if (declNode.type === 'VariableDeclarator' && declNode.id.type === 'Identifier') {
+            const spec = requireSpecifier(declNode.init);
+            return spec ? this.resolveModule(ctx.mod.path, spec) : null;
+        }
+        return null;
+    }
+
+    resolveExport(target, name, depth) {
+        if (depth > 6) return null;
+        let value = target.exports.get(name);
+
+        if (!value) {
+            const defaultValue = target.exports.get('default');
+            // `module.exports = new Service()` exposes the class methods.
+            if (defaultValue && defaultValue.type === 'NewExpression') {
+                const classNode = this.resolveClass(defaultValue.callee, target);
+                const method = classNode && findClassMethod(classNode.body, name);
+                if (method) return { fn: method, mod: target };
+            }
+            if (defaultValue && defaultValue.type === 'Identifier') {
+                const resolved = this.resolveValue(defaultValue, target);
+                if (resolved && resolved.type === 'ObjectExpression') {
+                    const member = resolved.properties.find(p => propertyKey(p) === name);
+                    if (member) value = member.type === 'ObjectMethod' ? member : member.value;
+                }
+            }
+            for (const re of target.reExports) {
+                if (value) break;
+                if (re.name !== name && re.name !== '*') continue;
+                const next = this.resolveModule(target.path, re.from);
+                if (next) {
+                    const found = this.resolveExport(next, re.name === '*' ? name : re.imported, depth + 1);
+                    if (found) return found;
+                }
+            }
+        }
+
+        if (!value) return null;
+        return this.resolveCallee(value, this.createContext(target, null), depth + 1);
+    }
+
+    resolveValue(node, mod) {
+        if (node.type !== 'Identifier') return node;
+        const binding = mod.bindings.get(node);
+        if (!binding || binding.path.node.type !== 'VariableDeclarator') return null;
+        return binding.path.node.init;
+    }
+
+    resolveClass(node, mod) {
+        if (node.type === 'ClassExpression') return node;
+        if (node.type !== 'Identifier') return null;
+        const binding = mod.bindings.get(node);
+        if (!binding) return null;
+        const declNode = binding.path.node;
+        if (declNode.type === 'ClassDeclaration') return declNode;
+        if (declNode.type === 'VariableDeclarator' && declNode.init && declNode.init.type === 'ClassExpression') return declNode.init;
+        return null;
+    }
+
+    // ─── Statements ─────────────────────────────────────────────────────────
+
+    evalStatement(stmt, ctx) {
+        if (!stmt) return;
+
+        switch (stmt.type) {
+            case 'VariableDeclaration':
+                stmt.declarations.forEach(decl => {
+                    if (!decl.init) return;
+                    const taint = this.evalExpr(decl.init, ctx);
+                    this.bindPattern(decl.id, taint, ctx, qualifiedName(decl.init, ctx));
+                });
+                break;
+            case 'ExpressionStatement':
+                this.evalExpr(stmt.expression, ctx);
+                break;
+            case 'ReturnStatement':
+                if (stmt.argument) ctx.returns.push(...this.evalExpr(stmt.argument, ctx));
+                break;
+            case 'ThrowStatement':
+                this.evalExpr(stmt.argument, ctx);
+                break;
+            case 'BlockStatement':
+            case 'StaticBlock':
+                stmt.body.forEach(s => this.evalStatement(s, ctx));
+                break;
+            case 'IfStatement':
+                this.evalExpr(stmt.test, ctx);
+                this.evalStatement(stmt.consequent, ctx);
+                this.evalStatement(stmt.alternate, ctx);
+                break;
+            case 'ForStatement':
+                if (stmt.init) stmt.init.type === 'VariableDeclaration' ? this.evalStatement(stmt.init, ctx) : this.evalExpr(stmt.init, ctx);
+                this.evalExpr(stmt.test, ctx);
+                this.evalStatement(stmt.body, ctx);
+                this.evalExpr(stmt.update, ctx);
+                break;
+            case 'ForInStatement':
+            case 'ForOfStatement': {
+                const taint = this.evalExpr(stmt.right, ctx);
+                const target = stmt.left.type === 'VariableDeclaration' ? stmt.left.declarations[0].id : stmt.left;
+                this.bindPattern(target, taint, ctx, null);
+                this.evalStatement(stmt.body, ctx);
+                break;
+            }
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                this.evalExpr(stmt.test, ctx);
+                this.evalStatement(stmt.body, ctx);
+                break;
+            case 'TryStatement':
+                this.evalStatement(stmt.block, ctx);
+                if (stmt.handler) this.evalStatement(stmt.handler.body, ctx);
+                this.evalStatement(stmt.finalizer, ctx);
+                break;
+            case 'SwitchStatement':
+                this.evalExpr(stmt.discriminant, ctx);
+                stmt.cases.forEach(c => c.consequent.forEach(s => this.evalStatement(s, ctx)));
+                break;
+            case 'LabeledStatement':
+                this.evalStatement(stmt.body, ctx);
+                break;
+            case 'ExportNamedDeclaration':
+            case 'ExportDefaultDeclaration':
+                if (stmt.declaration) {
+                    stmt.declaration.type.endsWith('Declaration')
+                        ? this.evalStatement(stmt.declaration, ctx)
+                        : this.evalExpr(stmt.declaration, ctx);
+                }
+                break;
+            case 'ClassDeclaration':
+                this.evalClassBody(stmt, ctx);
+                break;
+            default:
+                // FunctionDeclaration bodies are summarised lazily; imports,
+                // type declarations and empty statements carry no taint.
+                break;
+        }
+    }
+
+    evalClassBody(classNode, ctx) {
+        classNode.body.body.forEach(member => {
+            if ((member.type === 'ClassProperty' || member.type === 'ClassPrivateProperty') && member.value) {
+                this.evalExpr(member.value, ctx);
+            }
+        });
+    }
+
+    /**
+     * Bind the taint of a value to a (possibly destructuring) pattern.
+     * `qname` is the qualified name of the value, so that
+     * `const { body: { cmd } } = req` still recognises `req.body` as a source.
+     */
+    bindPattern(pattern, taint, ctx, qname) {
+        if (!pattern) return;
+
+        switch (pattern.type) {
+            case 'Identifier':
+                this.assign(pattern, taint, ctx);
+                break;
+            case 'ObjectPattern':
+                pattern.properties.forEach(prop => {
+                    if (prop.type === 'RestElement') {
+                        this.bindPattern(prop.argument, taint, ctx, null);
+                        return;
+                    }
+                    const key = propertyKey(prop);
+                    const childName = qname && key ? `${qname}.${key}` : null;
+                    let childTaint = taint;
+                    const source = childName && this.matchSource(childName);
+                    if (source) childTaint = [...taint, this.sourceTrace(source, childName, prop, ctx)];
+                    const label = key ? `destructured '${key}'` : 'destructured';
+                    this.bindPattern(prop.value, this.step(childTaint, label, prop, ctx), ctx, childName);
+                });
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach(el => this.bindPattern(el, this.step(taint, 'destructured element', el || pattern, ctx), ctx, null));
+                break;
+            case 'AssignmentPattern': {
+                const fallback = this.evalExpr(pattern.right, ctx);
+                this.bindPattern(pattern.left, mergeTraces(taint, fallback), ctx, qname);
+                break;
+            }
+            case 'RestElement':
+                this.bindPattern(pattern.argument, taint, ctx, null);
+                break;
+            case 'MemberExpression':
+                this.assignMember(pattern, taint, ctx);
+                break;
+            default:
+                break;
+        }
+    }
+
+    assign(identifier, taint, ctx) {
+        const key = this.envKey(identifier, ctx);
+        const kind = key.kind === 'param' ? 'parameter' : 'assigned to';
+        const labelled = taint.length ? this.step(taint, `${kind} '${identifier.name}'`, identifier, ctx) : taint;
+        this.env.set(key, capTraces(labelled));
+    }
+
+    assignMember(member, taint, ctx) {
+        const prop = memberProperty(member);
+        const sink = prop && this.catalog.sinks.find(s => s.property && s.property.test(prop));
+        if (sink) this.checkSink(taint, sink, member, ctx);
+
+        // Weak update: a tainted property taints the whole object.
+        const root = rootIdentifier(member);
+        if (root && taint.length) {
+            const key = this.envKey(root, ctx);
+            const existing = this.env.get(key) || [];
+            const stepped = this.step(taint, `stored in '${expressionText(member, ctx)}'`, member, ctx);
+            this.env.set(key, capTraces(mergeTraces(existing, stepped)));
+        }
+    }
+
+    envKey(identifier, ctx) {
+        return ctx.mod.bindings.get(identifier) || `${ctx.mod.path}::${identifier.name}`;
+    }
+
+    // ─── Expressions ────────────────────────────────────────────────────────
+
+    evalExpr(node, ctx) {
+        if (!node) return [];
+
+        switch (node.type) {
+            case 'Identifier':
+                return this.env.get(this.envKey(node, ctx)) || [];
+
+            case 'MemberExpression':
+            case 'OptionalMemberExpression': {
+                const qname = qualifiedName(node, ctx);
+                const source = qname && this.matchSource(qname);
+                if (source) return [this.sourceTrace(source, qname, node, ctx)];
+                if (node.computed) this.evalExpr(node.property, ctx);
+                return this.evalExpr(node.object, ctx);
+            }
+
+            case 'TemplateLiteral':
+                return this.step(mergeTraces(...node.expressions.map(e => this.evalExpr(e, ctx))), 'interpolated into template literal', node, ctx);
+
+            case 'TaggedTemplateExpression':
+                return this.evalCall(node, node.tag, node.quasi.expressions, ctx);
+
+            case 'BinaryExpression': {
+                const left = this.evalExpr(node.left, ctx);
+                const right = this.evalExpr(node.right, ctx);
+                if (['+'].includes(node.operator)) return this.step(mergeTraces(left, right), 'concatenated', node, ctx);
+                return [];
+            }
+
+            case 'LogicalExpression':
+                return mergeTraces(this.evalExpr(node.left, ctx), this.evalExpr(node.right, ctx));
+
+            case 'ConditionalExpression':
+                this.evalExpr(node.test, ctx);
+                return mergeTraces(this.evalExpr(node.consequent, ctx), this.evalExpr(node.alternate, ctx));
+
+            case 'AssignmentExpression': {
+                const right = this.evalExpr(node.right, ctx);
+                const value = node.operator === '=' ? right : mergeTraces(this.evalExpr(node.left, ctx), right);
+                this.bindPattern(node.left, value, ctx, qualifiedName(node.right, ctx));
+                return value;
+            }
+
+            case 'SequenceExpression':
+                return node.expressions.reduce((_, e) => this.evalExpr(e, ctx), []);
+
+            case 'CallExpression':
+            case 'OptionalCallExpression':
+            case 'NewExpression':
+                return this.evalCall(node, node.callee, node.arguments, ctx);
+
+            case 'ObjectExpression':
+                return mergeTraces(...node.properties.map(prop => {
+                    if (prop.type === 'SpreadElement') return this.evalExpr(prop.argument, ctx);
+                    if (prop.type === 'ObjectMethod') return [];
+                    if (prop.computed) this.evalExpr(prop.key, ctx);
+                    return this.evalExpr(prop.value, ctx);
+                }));
+
+            case 'ArrayExpression':
+                return mergeTraces(...node.elements.map(el => this.evalExpr(el, ctx)));
+
+            case 'SpreadElement':
+            case 'AwaitExpression':
+            case 'YieldExpression':
+            case 'ParenthesizedExpression':
+            case 'TSAsExpression':
+            case 'TSSatisfiesExpression':
+            case 'TSNonNullExpression':
+            case 'TSTypeAssertion':
+            case 'TypeCastExpression':
+                return this.evalExpr(node.argument || node.expression, ctx);
+
+            case 'UnaryExpression':
+                this.evalExpr(node.argument, ctx);
+                return [];
+
+            case 'UpdateExpression':
+                return [];
+
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                // Summarise now so closures observe the current environment.
+                this.summarize(node, ctx.mod);
+                return [];
+
+            case 'ClassExpression':
+                this.evalClassBody(node, ctx);
+                return [];
+
+            case 'JSXElement':
+            case 'JSXFragment':
+                return this.evalJsx(node, ctx);
+
+            default:
+                return [];
+        }
+    }
+
+    evalJsx(node, ctx) {
+        (node.openingElement ? node.openingElement.attributes : []).forEach(attr => {
+            if (attr.type !== 'JSXAttribute' || !attr.value) return;
+            const name = attr.name && attr.name.name;
+            const taint = attr.value.type === 'JSXExpressionContainer' ? this.evalExpr(attr.value.expression, ctx) : [];
+            if (name === 'dangerouslySetInnerHTML') {
+                const sink = { type: 'xss', label: 'dangerouslySetInnerHTML' };
+                this.checkSink(taint, sink, attr, ctx);
+            }
+        });
+        node.children.forEach(child => {
+            if (child.type === 'JSXExpressionContainer') this.evalExpr(child.expression, ctx);
+            else if (child.type === 'JSXElement' || child.type === 'JSXFragment') this.evalJsx(child, ctx);
+        });
+        return [];
+    }
+
+    evalCall(node, callee, args, ctx) {
+        const argTaints = args.map(arg => this.evalExpr(arg, ctx));
+        const qname = qualifiedName(callee, ctx);
+        const calleeTaint = (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression')
+            ? this.evalExpr(callee.object, ctx)
+            : [];
+
+        if (qname) {
+            const sanitizer = this.catalog.sanitizers.find(s => s.match && s.match.test(qname));
+            if (sanitizer) {
+                const input = mergeTraces(calleeTaint, ...argTaints);
+                if (sanitizer.clears.includes('*')) return [];
+                return this.step(input, `sanitized by ${qname}()`, node, ctx).map(trace => ({
+                    ...trace,
+                    sanitized: [...new Set([...trace.sanitized, ...sanitizer.clears])]
+                }));
+            }
+
+            this.catalog.sinks
+                .filter(s => s.match && s.match.test(qname))
+                .forEach(sink => {
+                    (sink.args || [0]).forEach(index => {
+                        if (argTaints[index]) this.checkSink(argTaints[index], { ...sink, label: `${qname}()` }, node, ctx);
+                    });
+                });
+        }
+
+        const resolved = this.resolveCallee(callee, ctx);
+        if (resolved) return this.applySummary(resolved, argTaints, node, ctx);
+
+        // Unknown callee: assume the result is derived from receiver and args
+        // (e.g. `input.trim()`, `JSON.parse(input)`, `String(input)`).
+        const passthrough = mergeTraces(calleeTaint, ...argTaints);
+        return passthrough.map(trace => ({ ...trace, confidence: Math.max(40, trace.confidence - 5) }));
+    }
+
+    applySummary({ fn, mod }, argTaints, callNode, ctx) {
+        const summary = this.summarize(fn, mod);
+        const name = summary.name;
+        const crossFile = mod !== ctx.mod;
+        const calleeLabel = crossFile ? `${name}() in ${mod.path}` : `${name}()`;
+
+        summary.paramSinks.forEach(ps => {
+            const incoming = argTaints[ps.param] || [];
+            if (!incoming.length) return;
+            const passed = this.step(incoming, `passed as argument ${ps.param + 1} to ${calleeLabel}`, callNode, ctx);
+            passed.forEach(trace => {
+                const combined = {
+                    ...trace,
+                    steps: [...trace.steps, ...ps.steps].slice(-MAX_STEPS_PER_TRACE),
+                    sanitized: [...new Set([...trace.sanitized, ...ps.sanitized])],
+                    confidence: Math.min(trace.confidence, ps.confidence),
+                    crossFile: trace.crossFile || crossFile || ps.crossFile
+                };
+                this.reportSink(combined, ps.sink, ps.sinkLocation, ctx);
+            });
+        });
+
+        const result = [];
+        summary.returns.forEach(ret => {
+            if (ret.origin.param === undefined) {
+                result.push({
+                    ...ret,
+                    steps: [...ret.steps, this.makeStep(`returned from ${calleeLabel}`, callNode, ctx)],
+                    crossFile: ret.crossFile || crossFile
+                });
+                return;
+            }
+            const incoming = argTaints[ret.origin.param] || [];
+            this.step(incoming, `passed as argument ${ret.origin.param + 1} to ${calleeLabel}`, callNode, ctx).forEach(trace => {
+                result.push({
+                    ...trace,
+                    steps: [...trace.steps, ...ret.steps, this.makeStep(`returned from ${calleeLabel}`, callNode, ctx)].slice(-MAX_STEPS_PER_TRACE),
+                    sanitized: [...new Set([...trace.sanitized, ...ret.sanitized])],
+                    confidence: Math.min(trace.confidence, ret.confidence),
+                    crossFile: trace.crossFile || crossFile || ret.crossFile
+                });
+            });
+        });
+        return capTraces(result);
+    }
+
+    // ─── Sources & sinks ────────────────────────────────────────────────────
+
+    matchSource(qname) {
+        return this.catalog.sources.find(s => s.match && s.match.test(qname)) || null;
+    }
+
+    sourceTrace(source, qname, node, ctx) {
+        const location = this.location(node, ctx);
+        return {
+            origin: { source: qname, label: source.label, location },
+            steps: [{ ...location, label: `source: ${qname} (${source.label})` }],
+            sanitized: [],
+            confidence: 95,
+            crossFile: false
+        };
+    }
+
+    checkSink(taint, sink, node, ctx) {
+        const sinkLocation = this.location(node, ctx);
+        this.step(taint, `reaches sink ${sink.label}`, node, ctx)
+            .forEach(trace => this.reportSink(trace, sink, sinkLocation, ctx));
+    }
+
+    /**
+     * Source-origin traces become findings; parameter-origin traces become
+     * part of the enclosing function summary and are re-checked at callers.
+     */
+    reportSink(trace, sink, sinkLocation, ctx) {
+        if (trace.sanitized.includes(sink.type)) return;
+
+        if (trace.origin.param !== undefined) {
+            if (ctx.fn) {
+                ctx.paramSinks.push({
+                    param: trace.origin.param,
+                    sink,
+                    sinkLocation,
+                    steps: trace.steps,
+                    sanitized: trace.sanitized,
+                    confidence: trace.confidence,
+                    crossFile: trace.crossFile
+                });
+            }
+            return;
+        }
+
+        const { origin } = trace;
+        const id = `${origin.location.file}:${origin.location.line}:${origin.location.column}->${sinkLocation.file}:${sinkLocation.line}:${sinkLocation.column}:${sink.type}`;
+        if (this.findings.has(id)) return;
+
+        const meta = SINK_META[sink.type] || { severity: 5, scenario: 'Untrusted data reaches a sensitive operation.' };
+        const sinkModule = this.modules.get(sinkLocation.file);
+        this.findings.set(id, {
+            id: `TAINT_${hashId(id)}`,
+            filePath: sinkLocation.file,
+            sinkType: sink.type,
+            severity: meta.severity,
+            confidence: trace.confidence,
+            source: origin.source,
+            sourceLabel: origin.label,
+            sink: sink.label,
+            sourceLocation: origin.location,
+            sinkLocation,
+            path: trace.steps,
+            crossFile: Boolean(trace.crossFile) || origin.location.file !== sinkLocation.file,
+            snippet: sinkModule ? (sinkModule.lines[sinkLocation.line - 1] || '').trim() : '',
+            exploitScenario: meta.scenario,
+            description: `Untrusted data from '${origin.source}' (${origin.location.file}:${origin.location.line}) reaches ${sink.label} at ${sinkLocation.file}:${sinkLocation.line} without sanitization.`
+        });
+    }
+
+    // ─── Trace helpers ──────────────────────────────────────────────────────
+
+    location(node, ctx) {
+        const loc = node && node.loc ? node.loc.start : { line: 0, column: 0 };
+        return { file: ctx.mod.path, line: loc.line, column: loc.column };
+    }
+
+    makeStep(label, node, ctx) {
+        return { ...this.location(node, ctx), label };
+    }
+
+    step(taint, label, node, ctx) {
+        if (!taint.length) return taint;
+        const step = this.makeStep(label, node, ctx);
+        return taint.map(trace => ({
+            ...trace,
+            steps: [...trace.steps, step].slice(-MAX_STEPS_PER_TRACE)
+        }));
+    }
+}
+
+// ─── AST helpers ────────────────────────────────────────────────────────────
+
+function isFunctionNode(node) {
+    return ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'].includes(node.type);
+}
+
+function functionName(fn) {
+    if (fn.id && fn.id.name) return fn.id.name;
+    if (fn.key) return fn.key.name || fn.key.value || 'anonymous';
+    return 'anonymous';
+}
+
+function propertyKey(prop) {
+    if (!prop || !prop.key) return null;
+    if (prop.computed && prop.key.type !== 'StringLiteral') return null;
+    return prop.key.name || prop.key.value || null;
+}
+
+function memberProperty(member) {
+    if (member.computed) return member.property.type === 'StringLiteral' ? member.property.value : null;
+    return member.property.name || null;
+}
+
+function memberName(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'ThisExpression') return 'this';
+    if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+        const object = memberName(node.object);
+        const prop = memberProperty(node);
+        return object && prop ? `${object}.${prop}` : null;
+    }
+    return null;
+}
+
+function rootIdentifier(node) {
+    while (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') node = node.object;
+    return node.type === 'Identifier' ? node : null;
+}
+
+function requireSpecifier(node) {
+    if (!node) return null;
+    if (node.type === 'AwaitExpression') return requireSpecifier(node.argument);
+    if (node.type === 'CallExpression' && node.arguments[0] && node.arguments[0].type === 'StringLiteral') {
+        if ((node.callee.type === 'Identifier' && node.callee.name === 'require') || node.callee.type === 'Import') {
+            return node.arguments[0].value;
+        }
+    }
+    return null;
+}
+
+function patternKeyFor(pattern, localName) {
+    if (pattern.type !== 'ObjectPattern') return null;
+    const prop = pattern.properties.find(p => p.type === 'ObjectProperty' && p.value.type === 'Identifier' && p.value.name === localName);
+    return prop ? propertyKey(prop) : null;
+}
+
+function findClassMethod(classBody, name) {
+    const body = classBody.body || [];
+    return body.find(m => (m.type === 'ClassMethod' || m.type === 'ClassPrivateMethod') && propertyKey(m) === name)
+        || (body.find(m => m.type === 'ClassProperty' && propertyKey(m) === name && m.value && isFunctionNode(m.value)) || {}).value
+        || null;
+}
+
+/**
+ * Qualified name of an expression with module aliases expanded, e.g.
+ * `cp.exec` → `child_process.exec`, `require('fs').readFileSync` → `fs.readFileSync`.
+ */
+function qualifiedName(node, ctx) {
+    if (!node) return null;
+
+    if (node.type === 'Identifier') {
+        const binding = ctx.mod.bindings.get(node);
+        const decl = binding && binding.path.node;
+        if (decl && (decl.type === 'ImportSpecifier' || decl.type === 'ImportDefaultSpecifier' || decl.type === 'ImportNamespaceSpecifier')) {
+            const moduleName = stripNodePrefix(binding.path.parent.source.value);
+            if (moduleName.startsWith('.')) return node.name;
+            if (decl.type === 'ImportSpecifier') return `${moduleName}.${decl.imported.name || decl.imported.value}`;
+            return moduleName;
+        }
+        if (decl && decl.type === 'VariableDeclarator') {
+            const spec = requireSpecifier(decl.init);
+            // Project-local modules keep their local name (`db.run`), packages
+            // are expanded to the package name (`child_process.exec`).
+            if (spec && !spec.startsWith('.')) {
+                const moduleName = stripNodePrefix(spec);
+                const key = patternKeyFor(decl.id, node.name);
+                return key ? `${moduleName}.${key}` : moduleName;
+            }
+        }
+        return node.name;
+    }
+
+    const spec = requireSpecifier(node);
+    if (spec) return stripNodePrefix(spec);
+
+    if (node.type === 'ThisExpression') return 'this';
+
+    if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+        const object = qualifiedName(node.object, ctx);
+        const prop = memberProperty(node);
+        return object && prop ? `${object}.${prop}` : null;
+    }
+
+    return null;
+}
+
+function expressionText(node, ctx) {
+    return qualifiedName(node, ctx) || node.type;
+}
+
+function stripNodePrefix(spec) {
+    return spec.startsWith('node:') ? spec.slice(5) : spec;
+}
+
+function mergeTraces(...lists) {
+    const merged = [];
+    lists.forEach(list => (list || []).forEach(trace => merged.push(trace)));
+    return capTraces(merged);
+}
+
+function capTraces(traces) {
+    const seen = new Set();
+    const unique = [];
+    for (const trace of traces) {
+        const origin = trace.origin.param !== undefined
+            ? `p${trace.origin.param}`
+            : `${trace.origin.location.file}:${trace.origin.location.line}:${trace.origin.location.column}`;
+        const key = `${origin}|${trace.sanitized.join(',')}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        unique.push(trace);
+        if (unique.length >= MAX_TRACES_PER_VALUE) break;
+    }
+    return unique;
+}
+
+function normalizePath(filePath) {
+    return path.posix.normalize(String(filePath).replace(/\\/g, '/')).replace(/^(\.\/|\/)+/, '');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function hashId(value) {
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) {
+        hash = (hash * 31 + value.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36).toUpperCase();
+}
+
 module.exports = new TaintAnalyzerService();
@@ -1,27 +1,176 @@
 /**
  * AI Test Generation Service
  * Extracts logical boundaries and generates edge-case test suites.
+ * Branch points are read from the file's AST; whether each was taken comes from the
+ * coverage report ingested for the repository (see CoverageMapperService).
  */
+const fs = require('fs');
+const path = require('path');
+const traverse = require('@babel/traverse').default;
+const astFingerprint = require('./ast-fingerprint.service');
+const archDependencyParser = require('./arch-dependency-parser.service');
+const coverageReport = require('./coverage-report.service');
+const mapper = require('./coverage-mapper.service');
+const coverageModel = require('../models/coverage-report.model');
+
+// Reports kept per repository; older ones are deleted on ingest
+const KEEP_REPORTS = 10;
+const MAX_FILE_BYTES = 512 * 1024;
+const SOURCE_FILE_PATTERN = /\.(c|m)?[jt]sx?$/;
+const MAX_CONDITION_LENGTH = 200;
+
+class TestLabError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TestLabError';
+        this.statusCode = statusCode;
+    }
+}
+
 class TestGenService {
+    /**
+     * Parse and store a coverage report for a repository.
+     * @param {string} repo - owner/name
+     * @param {string|Object} report - lcov, Cobertura XML or istanbul JSON
+     * @param {Object} options - { format, branch, commitId }
+     * @returns {Object} stored report summary
+     */
+    async ingestCoverage(repo, report, { format = null, branch = null, commitId = null } = {}) {
+        this.assertRepository(repo);
+        if (!report) throw new TestLabError('report is required');
+
+        const parsed = coverageReport.parse(report, format);
+        if (Object.keys(parsed.files).length === 0) throw new TestLabError('The coverage report does not cover any file');
+
+        const stored = await coverageModel.insertReport({
+            repository: repo,
+            branch,
+            commitId,
+            format: parsed.format,
+            totals: parsed.totals,
+            files: parsed.files
+        });
+        await coverageModel.pruneReports(repo, KEEP_REPORTS);
+        return stored;
+    }
+
+    async listCoverage(repo, limit = 20) {
+        this.assertRepository(repo);
+        return coverageModel.listReports(repo, limit);
+    }
+
+    /**
+     * Branches of one file in the repository checkout with their coverage.
+     * Coverage comes from `reportId`, otherwise the latest ingested report, otherwise
+     * a report found in the checkout (coverage/lcov.info etc.).
+     * @returns {Object} { repository, filePath, report, coverage, branches, uncovered }
+     */
+    async analyzeFile(repo, filePath, { reportId = null, rootDir = null } = {}) {
+        this.assertRepository(repo);
+        const root = rootDir ? path.resolve(rootDir) : this.resolveCheckout(repo);
+        const relative = this.resolveFilePath(filePath);
+        const source = await this.readSource(root, relative, repo);
+        const { report, coverage } = await this.loadCoverage(repo, root, relative, reportId);
+        const branches = await this.analyzeBranches(relative, { source, coverage });
+
+        return {
+            repository: repo,
+            filePath: relative,
+            report,
+            coverage: coverage
+                ? { path: coverage.path, lines: coverage.lines, functions: coverage.functions, branches: coverage.branches }
+                : null,
+            branches,
+            uncovered: branches.filter(branch => branch.status === 'untested' || branch.status === 'partial')
+        };
+    }
+
     /**
      * Analyzes a file for logical branches and returns boundary analysis.
-     * @param {string} filePath 
+     * @param {string} filePath
+     * @param {Object} options - { source, coverage: FileCoverage of the file or null }
      */
-    async analyzeBranches(filePath) {
-        // Mock AST analysis
-        const branches = this.getMockBranches(filePath);
+    async analyzeBranches(filePath, { source, coverage = null }) {
+        const { ast, error } = astFingerprint.parseCode(source, filePath);
+        if (!ast) throw new TestLabError(`Could not parse ${filePath}: ${error}`, 422);
 
-        return branches.map(branch => {
+        return mapper.mapBranchCoverage(this.extractBranches(ast, source), coverage).map(branch => {
             const boundaries = this.calculateBoundaries(branch.condition);
             return {
                 ...branch,
                 boundaries,
-                suggestedValues: boundaries.map(b => b.value),
-                status: Math.random() > 0.4 ? 'tested' : 'untested'
+                suggestedValues: boundaries.map(b => b.value)
             };
         });
     }
 
+    /**
+     * Branch points in source order, shaped like istanbul's branchMap:
+     * if / cond-expr (true and false arms), binary-expr (one arm per operand of a
+     * && / || / ?? chain), switch (one arm per case) and default-arg.
+     */
+    extractBranches(ast, source) {
+        const points = [];
+        const text = node => source.slice(node.start, node.end).replace(/\s+/g, ' ').trim();
+        const condition = node => {
+            const value = text(node);
+            return value.length > MAX_CONDITION_LENGTH ? `${value.slice(0, MAX_CONDITION_LENGTH - 1)}…` : value;
+        };
+        const add = (type, nodePath, test, arms) => {
+            const { node } = nodePath;
+            const functionPath = nodePath.getFunctionParent();
+            points.push({
+                start: node.start,
+                end: node.end,
+                branch: {
+                    id: `${type}:${node.loc.start.line}:${node.loc.start.column}`,
+                    type,
+                    condition: condition(test),
+                    line: node.loc.start.line,
+                    column: node.loc.start.column,
+                    endLine: node.loc.end.line,
+                    function: functionPath ? astFingerprint.functionName(functionPath) : '(top level)',
+                    arms: arms.map(arm => ({
+                        label: arm.label,
+                        line: arm.node ? arm.node.loc.start.line : null
+                    }))
+                }
+            });
+        };
+        const leaves = node => (node.type === 'LogicalExpression' ? [...leaves(node.left), ...leaves(node.right)] : [node]);
+
+        traverse(ast, {
+            IfStatement(nodePath) {
+                const { test, consequent, alternate } = nodePath.node;
+                add('if', nodePath, test, [{ label: 'true', node: consequent }, { label: 'false', node: alternate }]);
+            },
+            ConditionalExpression(nodePath) {
+                const { test, consequent, alternate } = nodePath.node;
+                add('cond-expr', nodePath, test, [{ label: 'true', node: consequent }, { label: 'false', node: alternate }]);
+            },
+            LogicalExpression(nodePath) {
+                // Nested operands belong to the outermost expression of the chain
+                if (nodePath.parent.type === 'LogicalExpression') return;
+                add('binary-expr', nodePath, nodePath.node, leaves(nodePath.node).map(leaf => ({ label: condition(leaf), node: leaf })));
+            },
+            SwitchStatement(nodePath) {
+                const { discriminant, cases } = nodePath.node;
+                add('switch', nodePath, discriminant, cases.map(switchCase => ({
+                    label: switchCase.test ? `case ${condition(switchCase.test)}` : 'default',
+                    node: switchCase
+                })));
+            },
+            AssignmentPattern(nodePath) {
+                const { right } = nodePath.node;
+                add('default-arg', nodePath, nodePath.node, [{ label: `default ${condition(right)}`, node: right }]);
+            }
+        });
+
+        return points
+            .sort((a, b) => a.start - b.start || b.end - a.end)
+            .map(point => point.branch);
+    }
+
     calculateBoundaries(condition) {
         // Simplified boundary detection (e.g., "age > 18")
         const match = condition.match(/([a-zA-Z]+)\s*([><=]+)\s*(\d+)/);
@@ -38,29 +187,91 @@ class TestGenService {
     }
 
     /**
-     * Generates a test suite based on identified boundaries.
+     * Generates a test suite for the branches coverage says are not (fully) exercised.
      */
     async generateTestSuite(filePath, branches) {
         // In a real app, this would call LLM to generate Jes/Vitest code
-        const untested = branches.filter(b => b.status === 'untested');
-
-        return untested.map(branch => ({
-            id: `test_${Math.random().toString(36).substr(2, 9)}`,
-            target: branch.condition,
-            code: `it('should handle boundary ${branch.condition}', () => {\n  const result = runLogic(${branch.suggestedValues[0]});\n  expect(result).toBeDefined();\n});`,
-            type: 'Edge Case'
-        }));
+        const untested = branches.filter(b => b.status === 'untested' || b.status === 'partial');
+
+        return untested.map(branch => {
+            const arms = branch.uncoveredArms && branch.uncoveredArms.length
+                ? branch.uncoveredArms.join(', ')
+                : 'every outcome';
+            return {
+                id: `test_${branch.id}`,
+                target: branch.condition,
+                arms: branch.uncoveredArms || [],
+                code: `// ${filePath}:${branch.line} in ${branch.function}, not yet taken: ${arms}\nit('should handle boundary ${branch.condition.replace(/'/g, "\\'")}', () => {\n  const result = runLogic(${branch.suggestedValues[0]});\n  expect(result).toBeDefined();\n});`,
+                type: 'Edge Case'
+            };
+        });
+    }
+
+    async loadCoverage(repo, root, filePath, reportId) {
+        let report = null;
+        if (reportId) {
+            report = await coverageModel.getReport(reportId);
+            if (!report || report.repository !== repo) {
+                throw new TestLabError(`Coverage report ${reportId} not found for ${repo}`, 404);
+            }
+        } else {
+            report = await coverageModel.getLatestReport(repo);
+        }
+        if (report) return { report, coverage: await coverageModel.getFileCoverage(report.id, filePath) };
+
+        const found = coverageReport.findReport(root);
+        if (!found) return { report: null, coverage: null };
+
+        const parsed = coverageReport.forRepository(coverageReport.parse(found.text), [filePath], root);
+        const coverage = parsed.files[filePath];
+        return {
+            report: { id: null, repository: repo, format: parsed.format, source: found.path, totals: parsed.totals },
+            coverage: coverage ? { path: filePath, ...coverage } : null
+        };
     }
 
-    getMockBranches(filePath) {
-        return [
-            { id: 1, condition: 'age >= 21', line: 45, function: 'verifyAge' },
-            { id: 2, condition: 'price < 0', line: 112, function: 'calculateTotal' },
-            { id: 3, condition: 'user === null', line: 204, function: 'processProfile' },
-            { id: 4, condition: 'attempts > 3', line: 88, function: 'checkSecurity' },
-            { id: 5, condition: 'data.length === 0', line: 156, function: 'renderList' }
-        ];
+    assertRepository(repo) {
+        if (!/^[\w.-]+\/[\w.-]+$/.test(String(repo || ''))) throw new TestLabError('repo must be owner/name');
+    }
+
+    resolveCheckout(repo) {
+        const [owner, name] = repo.split('/');
+        const baseDir = process.env.CQAS_REPOS_DIR || process.env.ARCH_DRIFT_REPOS_DIR;
+        const checkout = archDependencyParser.findLocalCheckout(owner, name, baseDir);
+        if (!checkout) {
+            throw new TestLabError(
+                baseDir ? `No checkout of ${repo} under ${baseDir}` : 'Test Lab needs a local checkout: set CQAS_REPOS_DIR',
+                404
+            );
+        }
+        return checkout;
+    }
+
+    /**
+     * Repository-relative posix path; anything leaving the checkout is refused
+     */
+    resolveFilePath(filePath) {
+        const normalized = path.posix.normalize(String(filePath || '').trim().replace(/\\/g, '/')).replace(/^(\.\/)+/, '');
+        if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../') || path.posix.isAbsolute(normalized)) {
+            throw new TestLabError('filePath must be a path inside the repository');
+        }
+        if (!SOURCE_FILE_PATTERN.test(normalized)) throw new TestLabError('Test Lab analyzes JavaScript and TypeScript files');
+        return normalized;
+    }
+
+    async readSource(root, filePath, repo) {
+        const absolute = path.join(root, filePath);
+        let stat;
+        try {
+            stat = await fs.promises.stat(absolute);
+        } catch (error) {
+            throw new TestLabError(`${filePath} not found in ${repo}`, 404);
+        }
+        if (!stat.isFile()) throw new TestLabError(`${filePath} is not a file`);
+        if (stat.size > MAX_FILE_BYTES) throw new TestLabError(`${filePath} is larger than ${MAX_FILE_BYTES / 1024} KB`, 413);
+        return fs.promises.readFile(absolute, 'utf8');
     }
 }
 
 module.exports = new TestGenService();
+module.exports.TestLabError = TestLabError;
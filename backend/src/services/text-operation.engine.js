@@ -0,0 +1,262 @@
+/**
+ * Text Operation Engine
+ * Operational-transform primitives for plain-text documents.
+ *
+ * An operation is a list of components walked over the whole document:
+ *   - positive integer  → retain n characters
+ *   - string            → insert the string
+ *   - negative integer  → delete n characters
+ * The JSON form is that same array, e.g. [5, "abc", -2, 10].
+ */
+
+class TextOperation {
+    constructor() {
+        this.ops = [];
+        this.baseLength = 0;   // length of the document the operation applies to
+        this.targetLength = 0; // length of the document after applying it
+    }
+
+    static isRetain(op) {
+        return typeof op === 'number' && op > 0;
+    }
+
+    static isInsert(op) {
+        return typeof op === 'string';
+    }
+
+    static isDelete(op) {
+        return typeof op === 'number' && op < 0;
+    }
+
+    retain(n) {
+        if (!Number.isInteger(n) || n < 0) throw new Error('retain expects a non-negative integer');
+        if (n === 0) return this;
+        this.baseLength += n;
+        this.targetLength += n;
+        const last = this.ops.length - 1;
+        if (TextOperation.isRetain(this.ops[last])) this.ops[last] += n;
+        else this.ops.push(n);
+        return this;
+    }
+
+    insert(str) {
+        if (typeof str !== 'string') throw new Error('insert expects a string');
+        if (str === '') return this;
+        this.targetLength += str.length;
+        const ops = this.ops;
+        const last = ops.length - 1;
+        if (TextOperation.isInsert(ops[last])) {
+            ops[last] += str;
+        } else if (TextOperation.isDelete(ops[last])) {
+            // Keep inserts before deletes so equal operations share one canonical form.
+            if (TextOperation.isInsert(ops[last - 1])) ops[last - 1] += str;
+            else {
+                ops[last + 1] = ops[last];
+                ops[last] = str;
+            }
+        } else {
+            ops.push(str);
+        }
+        return this;
+    }
+
+    delete(n) {
+        if (typeof n === 'string') n = n.length;
+        if (!Number.isInteger(n)) throw new Error('delete expects an integer');
+        if (n === 0) return this;
+        if (n > 0) n = -n;
+        this.baseLength -= n;
+        const last = this.ops.length - 1;
+        if (TextOperation.isDelete(this.ops[last])) this.ops[last] += n;
+        else this.ops.push(n);
+        return this;
+    }
+
+    isNoop() {
+        return this.ops.length === 0 || (this.ops.length === 1 && TextOperation.isRetain(this.ops[0]));
+    }
+
+    /**
+     * Apply the operation to a string.
+     */
+    apply(str) {
+        if (str.length !== this.baseLength) {
+            throw new Error(`Operation base length (${this.baseLength}) does not match document length (${str.length})`);
+        }
+
+        const parts = [];
+        let index = 0;
+        this.ops.forEach(op => {
+            if (TextOperation.isRetain(op)) {
+                parts.push(str.slice(index, index + op));
+                index += op;
+            } else if (TextOperation.isInsert(op)) {
+                parts.push(op);
+            } else {
+                index -= op;
+            }
+        });
+        return parts.join('');
+    }
+
+    /**
+     * Combine this operation with one that directly follows it into a single
+     * operation with the same effect: apply(apply(s, a), b) === apply(s, a.compose(b)).
+     */
+    compose(other) {
+        if (this.targetLength !== other.baseLength) {
+            throw new Error('Cannot compose: first operation target length must equal second base length');
+        }
+
+        const result = new TextOperation();
+        const ops1 = this.ops.slice();
+        const ops2 = other.ops.slice();
+        let i1 = 0;
+        let i2 = 0;
+        let op1 = ops1[i1++];
+        let op2 = ops2[i2++];
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (TextOperation.isDelete(op1)) {
+                result.delete(op1);
+                op1 = ops1[i1++];
+                continue;
+            }
+            if (TextOperation.isInsert(op2)) {
+                result.insert(op2);
+                op2 = ops2[i2++];
+                continue;
+            }
+            if (op1 === undefined || op2 === undefined) {
+                throw new Error('Cannot compose: operations have mismatched lengths');
+            }
+
+            if (TextOperation.isRetain(op1) && TextOperation.isRetain(op2)) {
+                const n = Math.min(op1, op2);
+                result.retain(n);
+                [op1, op2] = advance(op1, op2, n, () => ops1[i1++], () => ops2[i2++]);
+            } else if (TextOperation.isInsert(op1) && TextOperation.isDelete(op2)) {
+                const n = Math.min(op1.length, -op2);
+                [op1, op2] = advance(op1, op2, n, () => ops1[i1++], () => ops2[i2++]);
+            } else if (TextOperation.isInsert(op1) && TextOperation.isRetain(op2)) {
+                const n = Math.min(op1.length, op2);
+                result.insert(op1.slice(0, n));
+                [op1, op2] = advance(op1, op2, n, () => ops1[i1++], () => ops2[i2++]);
+            } else if (TextOperation.isRetain(op1) && TextOperation.isDelete(op2)) {
+                const n = Math.min(op1, -op2);
+                result.delete(n);
+                [op1, op2] = advance(op1, op2, n, () => ops1[i1++], () => ops2[i2++]);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Transform two concurrent operations a and b (same base document) into
+     * [a', b'] such that apply(apply(s, a), b') === apply(apply(s, b), a').
+     * When both insert at the same position, a's insert is placed first.
+     */
+    static transform(a, b) {
+        if (a.baseLength !== b.baseLength) {
+            throw new Error('Cannot transform: operations must share the same base length');
+        }
+
+        const aPrime = new TextOperation();
+        const bPrime = new TextOperation();
+        const ops1 = a.ops.slice();
+        const ops2 = b.ops.slice();
+        let i1 = 0;
+        let i2 = 0;
+        let op1 = ops1[i1++];
+        let op2 = ops2[i2++];
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (TextOperation.isInsert(op1)) {
+                aPrime.insert(op1);
+                bPrime.retain(op1.length);
+                op1 = ops1[i1++];
+                continue;
+            }
+            if (TextOperation.isInsert(op2)) {
+                aPrime.retain(op2.length);
+                bPrime.insert(op2);
+                op2 = ops2[i2++];
+                continue;
+            }
+            if (op1 === undefined || op2 === undefined) {
+                throw new Error('Cannot transform: operations have mismatched lengths');
+            }
+
+            let n;
+            if (TextOperation.isRetain(op1) && TextOperation.isRetain(op2)) {
+                n = Math.min(op1, op2);
+                aPrime.retain(n);
+                bPrime.retain(n);
+            } else if (TextOperation.isDelete(op1) && TextOperation.isDelete(op2)) {
+                // Both deleted the same text: nothing left to do for either side.
+                n = Math.min(-op1, -op2);
+            } else if (TextOperation.isDelete(op1) && TextOperation.isRetain(op2)) {
+                n = Math.min(-op1, op2);
+                aPrime.delete(n);
+            } else {
+                n = Math.min(op1, -op2);
+                bPrime.delete(n);
+            }
+            [op1, op2] = advance(op1, op2, n, () => ops1[i1++], () => ops2[i2++]);
+        }
+
+        return [aPrime, bPrime];
+    }
+
+    /**
+     * Build the minimal single-region replace operation turning oldText into newText.
+     */
+    static fromDiff(oldText, newText) {
+        let prefix = 0;
+        const maxPrefix = Math.min(oldText.length, newText.length);
+        while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+
+        let suffix = 0;
+        const maxSuffix = maxPrefix - prefix;
+        while (suffix < maxSuffix && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) suffix++;
+
+        return new TextOperation()
+            .retain(prefix)
+            .delete(oldText.length - prefix - suffix)
+            .insert(newText.slice(prefix, newText.length - suffix))
+            .retain(suffix);
+    }
+
+    static fromJSON(ops) {
+        if (!Array.isArray(ops)) throw new Error('Operation must be an array of components');
+        const operation = new TextOperation();
+        ops.forEach(op => {
+            if (TextOperation.isRetain(op)) operation.retain(op);
+            else if (TextOperation.isInsert(op)) operation.insert(op);
+            else if (TextOperation.isDelete(op)) operation.delete(op);
+            else throw new Error(`Invalid operation component: ${JSON.stringify(op)}`);
+        });
+        return operation;
+    }
+
+    toJSON() {
+        return this.ops;
+    }
+}
+
+/**
+ * Consume n units from the current components of both operations and return
+ * the (possibly partially consumed) next components.
+ */
+function advance(op1, op2, n, next1, next2) {
+    return [consume(op1, n, next1), consume(op2, n, next2)];
+}
+
+function consume(op, n, next) {
+    if (TextOperation.isInsert(op)) return op.length === n ? next() : op.slice(n);
+    if (TextOperation.isRetain(op)) return op === n ? next() : op - n;
+    return -op === n ? next() : op + n;
+}
+
+module.exports = TextOperation;
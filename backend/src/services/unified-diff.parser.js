@@ -0,0 +1,189 @@
+/**
+ * Unified Diff Parser
+ * Splits `git diff` / GitHub `.diff` output into files and hunks. Every line
+ * keeps its old/new line numbers and its GitHub review-comment `position`
+ * (lines below the first @@ header of the file, later @@ headers included).
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+class UnifiedDiffParser {
+
+    /**
+     * Parse a unified diff into
+     * [{ oldPath, newPath, path, status, binary, additions, deletions, hunks }]
+     */
+    parse(diffText) {
+        const files = [];
+        const lines = String(diffText || '').replace(/\r\n?/g, '\n').split('\n');
+        let file = null;
+        let hunk = null;
+        let position = 0;
+        let oldRemaining = 0;
+        let newRemaining = 0;
+
+        const startFile = () => {
+            file = {
+                oldPath: null,
+                newPath: null,
+                path: null,
+                status: 'modified',
+                binary: false,
+                additions: 0,
+                deletions: 0,
+                hunks: []
+            };
+            files.push(file);
+            hunk = null;
+            position = 0;
+        };
+
+        for (const raw of lines) {
+            const inHunk = hunk && (oldRemaining > 0 || newRemaining > 0);
+
+            if (inHunk) {
+                const marker = raw[0];
+                // Editors and mail clients drop the single space of empty context lines
+                const type = marker === '+' ? 'add' : marker === '-' ? 'del' : (marker === ' ' || raw === '') ? 'context' : null;
+                if (type) {
+                    const line = { type, content: raw.slice(1), oldLine: null, newLine: null, position: ++position };
+                    if (type !== 'add') line.oldLine = hunk.oldStart + hunk.oldLines - oldRemaining--;
+                    if (type !== 'del') line.newLine = hunk.newStart + hunk.newLines - newRemaining--;
+                    if (type === 'add') file.additions++;
+                    if (type === 'del') file.deletions++;
+                    hunk.lines.push(line);
+                    continue;
+                }
+            }
+
+            if (raw.startsWith('\\')) {
+                // "\ No newline at end of file" still occupies a position
+                if (hunk) {
+                    position++;
+                    const last = hunk.lines[hunk.lines.length - 1];
+                    if (last) last.noNewline = true;
+                }
+                continue;
+            }
+
+            if (raw.startsWith('diff --git ')) {
+                startFile();
+                const paths = this.splitGitHeader(raw.slice('diff --git '.length));
+                file.oldPath = paths.oldPath;
+                file.newPath = paths.newPath;
+                continue;
+            }
+
+            const header = raw.match(HUNK_HEADER);
+            if (header) {
+                if (!file) startFile();
+                if (file.hunks.length > 0) position++;
+                hunk = {
+                    header: raw,
+                    section: header[5] || '',
+                    oldStart: Number(header[1]),
+                    oldLines: header[2] === undefined ? 1 : Number(header[2]),
+                    newStart: Number(header[3]),
+                    newLines: header[4] === undefined ? 1 : Number(header[4]),
+                    position,
+                    lines: []
+                };
+                oldRemaining = hunk.oldLines;
+                newRemaining = hunk.newLines;
+                file.hunks.push(hunk);
+                continue;
+            }
+
+            if (raw.startsWith('--- ')) {
+                // Plain `diff -u` output has no `diff --git` line between files
+                if (!file || file.hunks.length > 0) startFile();
+                file.oldPath = this.stripPrefix(raw.slice(4), 'a/');
+                continue;
+            }
+
+            if (raw.startsWith('+++ ')) {
+                if (!file) startFile();
+                file.newPath = this.stripPrefix(raw.slice(4), 'b/');
+                continue;
+            }
+
+            if (!file) continue;
+
+            if (raw.startsWith('new file mode')) {
+                file.status = 'added';
+            } else if (raw.startsWith('deleted file mode')) {
+                file.status = 'deleted';
+            } else if (raw.startsWith('rename from ')) {
+                file.status = 'renamed';
+                file.oldPath = raw.slice('rename from '.length);
+            } else if (raw.startsWith('rename to ')) {
+                file.status = 'renamed';
+                file.newPath = raw.slice('rename to '.length);
+            } else if (raw.startsWith('Binary files ') || raw === 'GIT binary patch') {
+                file.binary = true;
+            }
+        }
+
+        return files.map(f => this.finishFile(f));
+    }
+
+    finishFile(file) {
+        if (file.oldPath === '/dev/null') {
+            file.oldPath = null;
+            file.status = 'added';
+        }
+        if (file.newPath === '/dev/null') {
+            file.newPath = null;
+            file.status = 'deleted';
+        }
+        if (file.status === 'modified' && file.oldPath && file.newPath && file.oldPath !== file.newPath) {
+            file.status = 'renamed';
+        }
+        file.path = file.newPath || file.oldPath;
+        return file;
+    }
+
+    /**
+     * `a/src/x.js b/src/x.js` → both paths. Unquoted paths may contain
+     * spaces, so prefer the split where both halves name the same file.
+     */
+    splitGitHeader(rest) {
+        const quoted = rest.match(/^"((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)"$/);
+        if (quoted) {
+            return { oldPath: this.stripPrefix(quoted[1], 'a/'), newPath: this.stripPrefix(quoted[2], 'b/') };
+        }
+
+        const half = (rest.length - 1) / 2;
+        if (Number.isInteger(half) && rest[half] === ' ' && rest.slice(2, half) === rest.slice(half + 3)) {
+            return { oldPath: rest.slice(2, half), newPath: rest.slice(half + 3) };
+        }
+
+        const split = rest.indexOf(' b/');
+        if (split === -1) return { oldPath: null, newPath: null };
+        return { oldPath: this.stripPrefix(rest.slice(0, split), 'a/'), newPath: rest.slice(split + 3) };
+    }
+
+    stripPrefix(pathText, prefix) {
+        let value = pathText.replace(/\t.*$/, '').trim();
+        if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
+        if (value === '/dev/null') return value;
+        return value.startsWith(prefix) ? value.slice(prefix.length) : value;
+    }
+
+    /**
+     * newLine → { position, type, hunk } for every line on the new side
+     */
+    rightSide(file) {
+        const map = new Map();
+        file.hunks.forEach((hunk, index) => {
+            hunk.lines.forEach(line => {
+                if (line.newLine !== null) {
+                    map.set(line.newLine, { position: line.position, type: line.type, hunk: index, content: line.content });
+                }
+            });
+        });
+        return map;
+    }
+}
+
+module.exports = new UnifiedDiffParser();
@@ -68,6 +68,8 @@ const ARCHITECTURE_PATTERNS = {
   },
 };
 
+const UNLAYERED = new Set(["unknown", "test"]);
+
 class ViolationDetectorService {
   constructor() {
     this.violationCache = new Map();
@@ -84,32 +86,7 @@ class ViolationDetectorService {
     try {
       // Parse repository dependencies
       const depData = await archDependencyParser.parseRepository(owner, repo);
-
-      // Get architecture rules
-      const architecture = ARCHITECTURE_PATTERNS[architecturePattern];
-      if (!architecture) {
-        throw new Error(`Unknown architecture pattern: ${architecturePattern}`);
-      }
-
-      // Detect violations
-      const violations = this.analyzeViolations(depData.graph, architecture);
-
-      // Generate heatmap data
-      const heatmap = this.generateHeatmapData(violations, depData.layers);
-
-      // Calculate violation metrics
-      const metrics = this.calculateViolationMetrics(violations, depData.graph);
-
-      const result = {
-        repository: `${owner}/${repo}`,
-        architecture: architecture.name,
-        timestamp: new Date().toISOString(),
-        violations,
-        heatmap,
-        metrics,
-        layers: depData.layers,
-        graph: depData.graph,
-      };
+      const result = this.analyzeRepository(depData, architecturePattern);
 
       this.setCache(cacheKey, result);
       return result;
@@ -119,6 +96,45 @@ class ViolationDetectorService {
     }
   }
 
+  /**
+   * Detect violations in a local checkout
+   */
+  async detectViolationsInDirectory(rootDir, architecturePattern = "layered") {
+    const depData = await archDependencyParser.parseLocalRepository(rootDir);
+    return this.analyzeRepository(depData, architecturePattern);
+  }
+
+  /**
+   * Violations, heatmap and metrics of a parsed repository
+   */
+  analyzeRepository(depData, architecturePattern = "layered") {
+    // Get architecture rules
+    const architecture = ARCHITECTURE_PATTERNS[architecturePattern];
+    if (!architecture) {
+      throw new Error(`Unknown architecture pattern: ${architecturePattern}`);
+    }
+
+    // Detect violations
+    const violations = this.analyzeViolations(depData.graph, architecture);
+
+    // Generate heatmap data
+    const heatmap = this.generateHeatmapData(violations, depData.layers);
+
+    // Calculate violation metrics
+    const metrics = this.calculateViolationMetrics(violations, depData.graph);
+
+    return {
+      repository: depData.repository,
+      architecture: architecture.name,
+      timestamp: new Date().toISOString(),
+      violations,
+      heatmap,
+      metrics,
+      layers: depData.layers,
+      graph: depData.graph,
+    };
+  }
+
   /**
    * Analyze graph for violations
    */
@@ -126,6 +142,11 @@ class ViolationDetectorService {
     const violations = [];
 
     graph.edges.forEach((edge) => {
+      // Tests and unclassified files (scripts, entry points) are outside the layer rules
+      if (UNLAYERED.has(edge.sourceLayer) || UNLAYERED.has(edge.targetLayer)) {
+        return;
+      }
+
       // Check if connection is allowed
       const isAllowed = this.isConnectionAllowed(
         edge.sourceLayer,
@@ -232,8 +253,8 @@ class ViolationDetectorService {
    * Check if connection is allowed
    */
   isConnectionAllowed(fromLayer, toLayer, architecture) {
-    // Utils layer is always accessible
-    if (toLayer === "utils" || toLayer === "config") {
+    // Utils layer is always accessible, and so is the own layer
+    if (toLayer === "utils" || toLayer === "config" || fromLayer === toLayer) {
       return true;
     }
 
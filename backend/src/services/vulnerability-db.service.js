@@ -0,0 +1,572 @@
+/**
+ * Vulnerability Database Service
+ * Offline mirror of OSV.dev and GitHub Security Advisory data.
+ *
+ * Dumps — OSV JSON files, OSV `all.zip` archives, directories of either (such as
+ * a checkout of github/advisory-database) or GitHub REST advisory exports — are
+ * normalized to the OSV schema and stored in SQLite keyed by ecosystem and
+ * package. Re-importing only replaces advisories whose `modified` timestamp is
+ * newer, so applying a fresher dump refreshes the mirror incrementally.
+ * Installed versions are matched against the OSV range events, without network access.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const Vulnerability = require('../models/vulnerability.model');
+const semver = require('./semver-range.engine');
+
+const BATCH_SIZE = 500;
+
+// GitHub REST ecosystem names → OSV ecosystem names
+const GHSA_ECOSYSTEMS = {
+    npm: 'npm',
+    pip: 'PyPI',
+    maven: 'Maven',
+    rubygems: 'RubyGems',
+    go: 'Go',
+    nuget: 'NuGet',
+    composer: 'Packagist',
+    rust: 'crates.io',
+    erlang: 'Hex',
+    pub: 'Pub',
+    swift: 'SwiftURL',
+    actions: 'GitHub Actions'
+};
+
+const SEVERITY_ORDER = ['LOW', 'MODERATE', 'HIGH', 'CRITICAL'];
+
+// CVSS v3.x base metric weights
+const CVSS_V3 = {
+    AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+    AC: { L: 0.77, H: 0.44 },
+    PR: { N: [0.85, 0.85], L: [0.62, 0.68], H: [0.27, 0.5] }, // [scope unchanged, scope changed]
+    UI: { N: 0.85, R: 0.62 },
+    CIA: { H: 0.56, L: 0.22, N: 0 }
+};
+
+class VulnerabilityDbError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'VulnerabilityDbError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * CVSS v3.0/v3.1 base score of a vector string, or null when it is not a v3 vector.
+ */
+function cvssV3BaseScore(vector) {
+    if (!/^CVSS:3\.[01]\//.test(vector || '')) return null;
+    const metrics = Object.fromEntries(vector.split('/').slice(1).map(part => part.split(':')));
+    const changed = metrics.S === 'C';
+
+    const pr = CVSS_V3.PR[metrics.PR];
+    const values = [CVSS_V3.AV[metrics.AV], CVSS_V3.AC[metrics.AC], pr, CVSS_V3.UI[metrics.UI],
+        CVSS_V3.CIA[metrics.C], CVSS_V3.CIA[metrics.I], CVSS_V3.CIA[metrics.A]];
+    if (values.some(v => v === undefined) || !['U', 'C'].includes(metrics.S)) return null;
+
+    const iss = 1 - (1 - CVSS_V3.CIA[metrics.C]) * (1 - CVSS_V3.CIA[metrics.I]) * (1 - CVSS_V3.CIA[metrics.A]);
+    const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+    const exploitability = 8.22 * CVSS_V3.AV[metrics.AV] * CVSS_V3.AC[metrics.AC] * pr[changed ? 1 : 0] * CVSS_V3.UI[metrics.UI];
+    if (impact <= 0) return 0;
+
+    // CVSS v3.1 "Roundup": smallest one-decimal number >= input, robust to float error
+    const roundUp = value => {
+        const scaled = Math.round(value * 100000);
+        return scaled % 10000 === 0 ? scaled / 100000 : (Math.floor(scaled / 10000) + 1) / 10;
+    };
+    return roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+}
+
+/**
+ * Entries of a zip archive (stored or deflated, ZIP64 aware), read lazily.
+ * @returns {Array<{ name: string, read: () => Buffer }>}
+ */
+function readZipEntries(buffer) {
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new VulnerabilityDbError('Not a zip archive');
+
+    let count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    if ((count === 0xffff || offset === 0xffffffff) && eocd >= 20 && buffer.readUInt32LE(eocd - 20) === 0x07064b50) {
+        const zip64 = Number(buffer.readBigUInt64LE(eocd - 20 + 8));
+        count = Number(buffer.readBigUInt64LE(zip64 + 32));
+        offset = Number(buffer.readBigUInt64LE(zip64 + 48));
+    }
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new VulnerabilityDbError('Corrupt zip central directory');
+        const method = buffer.readUInt16LE(offset + 10);
+        let compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        let localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        // ZIP64 extended information: 64-bit values for the fields saturated above
+        const extra = buffer.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+        for (let p = 0; p + 4 <= extra.length; p += 4 + extra.readUInt16LE(p + 2)) {
+            if (extra.readUInt16LE(p) !== 0x0001) continue;
+            let field = p + 4;
+            if (buffer.readUInt32LE(offset + 24) === 0xffffffff) field += 8; // uncompressed size
+            if (compressedSize === 0xffffffff) {
+                compressedSize = Number(extra.readBigUInt64LE(field));
+                field += 8;
+            }
+            if (localOffset === 0xffffffff) localOffset = Number(extra.readBigUInt64LE(field));
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        entries.push({
+            name,
+            read: () => {
+                const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+                if (method === 0) return raw;
+                if (method === 8) return zlib.inflateRawSync(raw);
+                throw new VulnerabilityDbError(`Unsupported zip compression method ${method} for ${name}`);
+            }
+        });
+    }
+    return entries;
+}
+
+class VulnerabilityDbService {
+    /**
+     * Import a dump into the local database.
+     * @param {string|Object|Array} source - path to a .json/.zip file or directory, or parsed advisories
+     * @param {Object} options - { force: re-import a dump already imported, name: label for in-memory sources }
+     * @returns {Promise<{ source, digest, added, updated, unchanged, skipped, alreadyImported }>}
+     */
+    async importDump(source, options = {}) {
+        if (typeof source !== 'string') {
+            const documents = Array.isArray(source) ? source : [source];
+            const digest = crypto.createHash('sha256').update(JSON.stringify(documents)).digest('hex');
+            return this.importDocuments(options.name || 'upload', digest, documents, options);
+        }
+
+        let stat;
+        try {
+            stat = fs.statSync(source);
+        } catch (error) {
+            throw new VulnerabilityDbError(`Dump not found: ${source}`, 404);
+        }
+
+        if (stat.isDirectory()) {
+            const files = this.listDumpFiles(source);
+            // Directories are fingerprinted by file names, sizes and mtimes rather than re-hashing every file
+            const digest = crypto.createHash('sha256');
+            files.forEach(file => {
+                const fileStat = fs.statSync(file);
+                digest.update(`${path.relative(source, file)}\0${fileStat.size}\0${fileStat.mtimeMs}\n`);
+            });
+            return this.importDocuments(source, digest.digest('hex'), this.readDumpFiles(files), options);
+        }
+
+        const buffer = fs.readFileSync(source);
+        const digest = crypto.createHash('sha256').update(buffer).digest('hex');
+        return this.importDocuments(source, digest, this.readDump(source, buffer), options);
+    }
+
+    /**
+     * Store normalized advisories in batches, skipping those that are not newer than the stored copy.
+     */
+    async importDocuments(source, digest, documents, options = {}) {
+        const result = { source, digest, added: 0, updated: 0, unchanged: 0, skipped: 0, alreadyImported: false };
+        if (!options.force && await Vulnerability.findImport(digest)) {
+            return { ...result, alreadyImported: true };
+        }
+
+        let batch = [];
+        const flush = async () => {
+            const advisories = batch;
+            batch = [];
+            await Vulnerability.transaction(async () => {
+                for (const advisory of advisories) {
+                    const stored = await Vulnerability.getModified(advisory.id);
+                    if (stored && !options.force && Date.parse(stored) >= Date.parse(advisory.modified)) {
+                        result.unchanged++;
+                        continue;
+                    }
+                    await Vulnerability.saveAdvisory(advisory);
+                    result[stored ? 'updated' : 'added']++;
+                }
+            });
+        };
+
+        for (const document of documents) {
+            const advisory = this.normalize(document);
+            if (!advisory) {
+                result.skipped++;
+                continue;
+            }
+            batch.push(advisory);
+            if (batch.length >= BATCH_SIZE) await flush();
+        }
+        if (batch.length) await flush();
+
+        await Vulnerability.recordImport(result);
+        return result;
+    }
+
+    listDumpFiles(dir) {
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .flatMap(entry => {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) return entry.name.startsWith('.') ? [] : this.listDumpFiles(fullPath);
+                return /\.(json|zip)$/i.test(entry.name) ? [fullPath] : [];
+            });
+    }
+
+    *readDumpFiles(files) {
+        for (const file of files) {
+            yield* this.readDump(file, fs.readFileSync(file));
+        }
+    }
+
+    /**
+     * Advisory documents of one dump file: a zip of OSV JSON files, a JSON array or a single advisory.
+     */
+    *readDump(file, buffer) {
+        if (/\.zip$/i.test(file)) {
+            for (const entry of readZipEntries(buffer)) {
+                if (entry.name.endsWith('.json')) yield* this.parseJson(`${file}:${entry.name}`, entry.read());
+            }
+            return;
+        }
+        yield* this.parseJson(file, buffer);
+    }
+
+    *parseJson(name, buffer) {
+        let data;
+        try {
+            data = JSON.parse(buffer.toString('utf8'));
+        } catch (error) {
+            throw new VulnerabilityDbError(`Invalid JSON in ${name}: ${error.message}`);
+        }
+        if (Array.isArray(data)) yield* data;
+        else if (Array.isArray(data.vulns)) yield* data.vulns; // OSV API responses
+        else yield data;
+    }
+
+    /**
+     * Normalize an OSV record or a GitHub REST advisory to the stored shape, or null if it is neither.
+     */
+    normalize(doc) {
+        if (!doc || typeof doc !== 'object') return null;
+        if (doc.ghsa_id) return this.normalizeGhsa(doc);
+        if (!doc.id || !doc.modified) return null;
+
+        const vector = (doc.severity || []).find(s => /^CVSS_V3/.test(s.type))?.score || null;
+        const cvssScore = cvssV3BaseScore(vector) ?? this.numeric(doc.database_specific?.cvss_score);
+
+        return {
+            id: doc.id,
+            source: doc.id.startsWith('GHSA-') ? 'ghsa' : 'osv',
+            summary: doc.summary || (doc.details || '').split('\n')[0] || null,
+            details: doc.details || null,
+            severity: this.normalizeSeverity(doc.database_specific?.severity) || this.severityFromScore(cvssScore),
+            cvssScore,
+            cvssVector: vector,
+            aliases: doc.aliases || [],
+            references: doc.references || [],
+            published: doc.published || null,
+            modified: doc.modified,
+            withdrawn: doc.withdrawn || null,
+            affected: (doc.affected || [])
+                .filter(a => a.package && a.package.ecosystem && a.package.name)
+                .map(a => ({
+                    ecosystem: a.package.ecosystem,
+                    package: this.packageKey(a.package.ecosystem, a.package.name),
+                    ranges: (a.ranges || []).filter(r => r.type !== 'GIT').map(r => ({ type: r.type, events: r.events || [] })),
+                    versions: a.versions || []
+                }))
+        };
+    }
+
+    normalizeGhsa(doc) {
+        const vector = doc.cvss?.vector_string || doc.cvss_severities?.cvss_v3?.vector_string || null;
+        const cvssScore = this.numeric(doc.cvss?.score) || cvssV3BaseScore(vector);
+
+        return {
+            id: doc.ghsa_id,
+            source: 'ghsa',
+            summary: doc.summary || null,
+            details: doc.description || null,
+            severity: this.normalizeSeverity(doc.severity) || this.severityFromScore(cvssScore),
+            cvssScore,
+            cvssVector: vector,
+            aliases: [...new Set([doc.cve_id, ...(doc.identifiers || []).map(i => i.value)])]
+                .filter(alias => alias && alias !== doc.ghsa_id),
+            references: (doc.references || []).map(ref => (typeof ref === 'string' ? { type: 'WEB', url: ref } : ref)),
+            published: doc.published_at || null,
+            modified: doc.updated_at || doc.published_at,
+            withdrawn: doc.withdrawn_at || null,
+            affected: (doc.vulnerabilities || [])
+                .filter(v => v.package && v.package.name)
+                .map(v => {
+                    const ecosystem = GHSA_ECOSYSTEMS[v.package.ecosystem] || v.package.ecosystem;
+                    return {
+                        ecosystem,
+                        package: this.packageKey(ecosystem, v.package.name),
+                        ...this.parseGhsaRange(v.vulnerable_version_range, v.first_patched_version)
+                    };
+                })
+        };
+    }
+
+    /**
+     * GitHub's `vulnerable_version_range` (">= 1.0.0, < 1.2.3", "<= 2.0", "= 1.0.1") as OSV events.
+     * A `> x` lower bound is treated as `>= x`, slightly over-reporting x itself.
+     */
+    parseGhsaRange(range, firstPatched) {
+        const events = [];
+        const versions = [];
+        (range || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const match = part.match(/^(>=|<=|>|<|=)?\s*(\S+)$/);
+            if (!match) return;
+            const [, op = '=', version] = match;
+            if (op === '>=' || op === '>') events.push({ introduced: version });
+            else if (op === '<') events.push({ fixed: version });
+            else if (op === '<=') events.push({ last_affected: version });
+            else versions.push(version);
+        });
+
+        const patched = typeof firstPatched === 'string' ? firstPatched : firstPatched?.identifier;
+        if (patched && !events.some(e => e.fixed)) events.push({ fixed: patched });
+        if (events.length && !events.some(e => e.introduced)) events.unshift({ introduced: '0' });
+
+        return { ranges: events.length ? [{ type: 'ECOSYSTEM', events }] : [], versions };
+    }
+
+    normalizeSeverity(severity) {
+        if (!severity) return null;
+        const value = String(severity).toUpperCase();
+        if (value === 'MEDIUM') return 'MODERATE';
+        return SEVERITY_ORDER.includes(value) ? value : null;
+    }
+
+    severityFromScore(score) {
+        if (score === null || score === undefined) return null;
+        if (score >= 9) return 'CRITICAL';
+        if (score >= 7) return 'HIGH';
+        if (score >= 4) return 'MODERATE';
+        return 'LOW';
+    }
+
+    numeric(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) && number > 0 ? number : null;
+    }
+
+    /**
+     * Package names as stored: PyPI names are normalized per PEP 503, others are kept verbatim.
+     */
+    packageKey(ecosystem, name) {
+        return ecosystem === 'PyPI' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name;
+    }
+
+    /**
+     * Compare two versions: semver precedence when both parse as semver,
+     * otherwise segment-wise (numeric where both segments are numbers).
+     */
+    compareVersions(a, b) {
+        if (semver.valid(a) && semver.valid(b)) return semver.compare(a, b);
+
+        const x = String(a).split(/[.\-+_]/);
+        const y = String(b).split(/[.\-+_]/);
+        for (let i = 0; i < Math.max(x.length, y.length); i++) {
+            if (x[i] === undefined) return -1;
+            if (y[i] === undefined) return 1;
+            const nx = /^\d+$/.test(x[i]);
+            const ny = /^\d+$/.test(y[i]);
+            if (nx && ny) {
+                if (Number(x[i]) !== Number(y[i])) return Number(x[i]) < Number(y[i]) ? -1 : 1;
+            } else if (nx !== ny) {
+                return nx ? -1 : 1;
+            } else if (x[i] !== y[i]) {
+                return x[i] < y[i] ? -1 : 1;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Whether `version` falls in an affected entry, evaluating OSV range events in version order.
+     */
+    isAffected(affected, version) {
+        if (affected.versions.includes(version)) return true;
+
+        return affected.ranges.some(range => {
+            const events = range.events
+                .map(event => {
+                    const [kind, value] = Object.entries(event)[0] || [];
+                    return { kind, value };
+                })
+                .filter(e => ['introduced', 'fixed', 'last_affected'].includes(e.kind))
+                .sort((x, y) => (x.value === '0' ? -1 : y.value === '0' ? 1 : this.compareVersions(x.value, y.value)));
+
+            let vulnerable = false;
+            for (const event of events) {
+                if (event.kind === 'introduced' && (event.value === '0' || this.compareVersions(version, event.value) >= 0)) {
+                    vulnerable = true;
+                } else if (event.kind === 'fixed' && this.compareVersions(version, event.value) >= 0) {
+                    vulnerable = false;
+                } else if (event.kind === 'last_affected' && this.compareVersions(version, event.value) > 0) {
+                    vulnerable = false;
+                }
+            }
+            return vulnerable;
+        });
+    }
+
+    /**
+     * Fixed versions above `version` in the ranges of an affected entry
+     */
+    fixedVersions(affected, version) {
+        return [...new Set(affected.ranges
+            .flatMap(range => range.events.filter(e => e.fixed).map(e => e.fixed))
+            .filter(fixed => this.compareVersions(fixed, version) > 0))]
+            .sort((a, b) => this.compareVersions(a, b));
+    }
+
+    /**
+     * Advisories affecting one installed package version.
+     */
+    async findVulnerabilities(ecosystem, name, version, candidates = null) {
+        const advisories = candidates || await Vulnerability.findByPackage(ecosystem, this.packageKey(ecosystem, name));
+        return advisories
+            .filter(advisory => advisory.affected.some(affected => this.isAffected(affected, version)))
+            .map(advisory => ({
+                ...advisory,
+                fixedIn: advisory.affected.flatMap(affected => this.fixedVersions(affected, version))
+            }));
+    }
+
+    /**
+     * Advisory by id or alias (e.g. CVE-2021-23337)
+     */
+    async getAdvisory(id) {
+        return Vulnerability.getAdvisory(id);
+    }
+
+    /**
+     * Installed packages of an npm lockfile (v1 nested `dependencies`, or v2/v3 `packages`).
+     * @returns {Array<{ name, version, path, dev }>}
+     */
+    listLockPackages(lock) {
+        if (lock.packages) {
+            return Object.entries(lock.packages)
+                .filter(([key, entry]) => key && entry.version && !entry.link)
+                .map(([key, entry]) => ({
+                    name: entry.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length),
+                    version: entry.version,
+                    path: key,
+                    dev: Boolean(entry.dev)
+                }));
+        }
+
+        const packages = [];
+        const walk = (dependencies, prefix) => {
+            Object.entries(dependencies || {}).forEach(([name, entry]) => {
+                const location = `${prefix}node_modules/${name}`;
+                if (entry.version) packages.push({ name, version: entry.version, path: location, dev: Boolean(entry.dev) });
+                walk(entry.dependencies, `${location}/`);
+            });
+        };
+        walk(lock.dependencies, '');
+        return packages;
+    }
+
+    /**
+     * Match every package installed by a package-lock.json against the local database.
+     * @param {Object|string} packageLock - parsed or raw package-lock.json
+     * @param {Object} options - { includeDev (default true) }
+     */
+    async scanLockfile(packageLock, options = {}) {
+        let lock = packageLock;
+        if (typeof lock === 'string') {
+            try {
+                lock = JSON.parse(lock);
+            } catch (error) {
+                throw new VulnerabilityDbError(`Invalid package-lock.json: ${error.message}`);
+            }
+        }
+        if (!lock || typeof lock !== 'object' || (!lock.packages && !lock.dependencies)) {
+            throw new VulnerabilityDbError('package-lock.json has neither "packages" nor "dependencies"');
+        }
+
+        const installed = this.listLockPackages(lock).filter(p => options.includeDev !== false || !p.dev);
+
+        // One entry per name@version, listing every install location
+        const unique = new Map();
+        installed.forEach(p => {
+            const key = `${p.name}@${p.version}`;
+            if (!unique.has(key)) unique.set(key, { name: p.name, version: p.version, dev: p.dev, paths: [] });
+            const entry = unique.get(key);
+            entry.paths.push(p.path);
+            entry.dev = entry.dev && p.dev;
+        });
+
+        const candidatesByName = new Map();
+        const findings = [];
+        for (const pkg of unique.values()) {
+            if (!candidatesByName.has(pkg.name)) {
+                candidatesByName.set(pkg.name, await Vulnerability.findByPackage('npm', pkg.name));
+            }
+            const advisories = await this.findVulnerabilities('npm', pkg.name, pkg.version, candidatesByName.get(pkg.name));
+            if (advisories.length === 0) continue;
+
+            findings.push({
+                ...pkg,
+                advisories: advisories.map(a => ({
+                    id: a.id,
+                    aliases: a.aliases,
+                    summary: a.summary,
+                    severity: a.severity,
+                    cvssScore: a.cvssScore,
+                    fixedIn: a.fixedIn,
+                    url: (a.references.find(r => r.type === 'ADVISORY') || a.references[0] || {}).url || null
+                })).sort((x, y) => SEVERITY_ORDER.indexOf(y.severity) - SEVERITY_ORDER.indexOf(x.severity))
+            });
+        }
+
+        const bySeverity = Object.fromEntries(SEVERITY_ORDER.map(s => [s.toLowerCase(), 0]));
+        findings.forEach(f => f.advisories.forEach(a => {
+            if (a.severity) bySeverity[a.severity.toLowerCase()]++;
+        }));
+
+        const stats = await Vulnerability.getStats();
+        return {
+            lockfileVersion: lock.lockfileVersion || 1,
+            packagesScanned: unique.size,
+            vulnerablePackages: findings.length,
+            summary: bySeverity,
+            findings: findings.sort((a, b) => a.name.localeCompare(b.name) || this.compareVersions(a.version, b.version)),
+            database: { advisories: stats.advisories, lastModified: stats.lastModified }
+        };
+    }
+
+    /**
+     * Advisory counts, ecosystems and recent imports
+     */
+    async getStatus() {
+        return Vulnerability.getStats();
+    }
+}
+
+module.exports = new VulnerabilityDbService();
+module.exports.VulnerabilityDbError = VulnerabilityDbError;
+module.exports.cvssV3BaseScore = cvssV3BaseScore;
+module.exports.readZipEntries = readZipEntries;
@@ -1,87 +1,522 @@
 /**
  * YAML Generator Service
  * Converts structured workflow steps into valid GitHub Actions YAML syntax.
+ *
+ * Builder data (camelCase keys such as `runsOn`, or the workflow's own keys)
+ * is normalized into a workflow document, validated against the Actions
+ * workflow schema and written by a structured emitter that quotes ambiguous
+ * scalars and uses block scalars for multi-line scripts. `parseWorkflowYaml`
+ * reverses the process for existing `.github/workflows/*.yml` files.
  */
+const yaml = require('js-yaml');
+
+// Builder (camelCase) names for workflow keys, per nesting level
+const KEY_ALIASES = {
+    workflow: { runName: 'run-name' },
+    job: { runsOn: 'runs-on', timeoutMinutes: 'timeout-minutes', continueOnError: 'continue-on-error' },
+    step: { workingDirectory: 'working-directory', timeoutMinutes: 'timeout-minutes', continueOnError: 'continue-on-error' },
+    strategy: { failFast: 'fail-fast', maxParallel: 'max-parallel' }
+};
+
+// Allowed keys, in the order they are emitted
+const WORKFLOW_KEYS = ['name', 'run-name', 'on', 'permissions', 'env', 'defaults', 'concurrency', 'jobs'];
+const JOB_KEYS = [
+    'name', 'runs-on', 'needs', 'if', 'permissions', 'environment', 'concurrency', 'timeout-minutes',
+    'continue-on-error', 'strategy', 'container', 'services', 'outputs', 'env', 'defaults', 'steps',
+    'uses', 'with', 'secrets'
+];
+const STEP_KEYS = ['id', 'name', 'if', 'uses', 'with', 'run', 'shell', 'working-directory', 'env', 'continue-on-error', 'timeout-minutes'];
+const STRATEGY_KEYS = ['matrix', 'fail-fast', 'max-parallel'];
+const DISPATCH_INPUT_KEYS = ['description', 'required', 'default', 'type', 'options'];
+const DISPATCH_INPUT_TYPES = ['string', 'boolean', 'choice', 'number', 'environment'];
+const PERMISSION_LEVELS = ['read', 'write', 'none'];
+
+const EVENTS = new Set([
+    'branch_protection_rule', 'check_run', 'check_suite', 'create', 'delete', 'deployment', 'deployment_status',
+    'discussion', 'discussion_comment', 'fork', 'gollum', 'issue_comment', 'issues', 'label', 'merge_group',
+    'milestone', 'page_build', 'project', 'project_card', 'project_column', 'public', 'pull_request',
+    'pull_request_review', 'pull_request_review_comment', 'pull_request_target', 'push', 'registry_package',
+    'release', 'repository_dispatch', 'schedule', 'status', 'watch', 'workflow_call', 'workflow_dispatch', 'workflow_run'
+]);
+
+const HOSTED_RUNNER = /^(ubuntu-(latest|\d{2}\.04(-arm)?|slim)|windows-(latest|\d{4}(-arm)?|11-arm)|macos-(latest|\d{2}(-intel|-large|-xlarge)?))$/;
+const EXPRESSION = /^\s*\$\{\{[\s\S]*\}\}\s*$/;
+const JOB_ID = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const PLAIN_KEY = /^[A-Za-z0-9_][\w.-]*$/;
+
+class WorkflowYamlError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'WorkflowYamlError';
+        this.statusCode = statusCode;
+    }
+}
+
+const isMap = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function renameKeys(object, aliases) {
+    if (!isMap(object)) return object;
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [aliases[key] || key, value]));
+}
+
+function orderKeys(object, order) {
+    const keys = Object.keys(object);
+    const known = order.filter(key => keys.includes(key));
+    return Object.fromEntries([...known, ...keys.filter(key => !order.includes(key))].map(key => [key, object[key]]));
+}
 
 class YamlGeneratorService {
     /**
      * Converts a workflow object into a YAML string.
-     * @param {Object} workflowData 
+     * @param {Object} workflowData
      * @returns {string}
      */
     generateWorkflowYaml(workflowData) {
-        const { name, on, jobs } = workflowData;
-        let yaml = `name: ${name || 'CI Workflow'}\n\n`;
-
-        // Handle 'on' triggers
-        yaml += `on:\n`;
-        if (typeof on === 'string') {
-            yaml += `  ${on}:\n`;
-        } else if (Array.isArray(on)) {
-            on.forEach(trigger => {
-                yaml += `  ${trigger}:\n`;
-            });
-        } else if (typeof on === 'object') {
-            Object.entries(on).forEach(([event, config]) => {
-                yaml += `  ${event}:\n`;
-                if (config.branches) {
-                    yaml += `    branches: [ ${config.branches.join(', ')} ]\n`;
+        return this.emit(this.toWorkflowDocument(workflowData));
+    }
+
+    /**
+     * Normalize builder data into a workflow document with the Actions key names and order.
+     */
+    toWorkflowDocument(workflowData) {
+        const workflow = renameKeys(workflowData, KEY_ALIASES.workflow);
+        const doc = orderKeys({ ...workflow, name: workflow.name || 'CI Workflow', on: this.normalizeTriggers(workflow.on) }, WORKFLOW_KEYS);
+
+        if (isMap(workflow.jobs)) {
+            doc.jobs = Object.fromEntries(Object.entries(workflow.jobs).map(([jobId, jobConfig]) => {
+                const job = renameKeys(jobConfig, KEY_ALIASES.job);
+                if (!isMap(job)) return [jobId, job];
+                if (!job.uses && !job['runs-on']) job['runs-on'] = 'ubuntu-latest';
+                if (isMap(job.strategy)) job.strategy = orderKeys(renameKeys(job.strategy, KEY_ALIASES.strategy), STRATEGY_KEYS);
+                if (Array.isArray(job.steps)) {
+                    job.steps = job.steps.map(step => {
+                        if (!isMap(step)) return step;
+                        // Builder steps carry a `type` and nulls for the unused uses/run side
+                        const { type, ...rest } = renameKeys(step, KEY_ALIASES.step);
+                        const clean = Object.fromEntries(Object.entries(rest).filter(([, value]) => value !== null && value !== undefined));
+                        return orderKeys(clean, STEP_KEYS);
+                    });
+                }
+                return [jobId, orderKeys(job, JOB_KEYS)];
+            }));
+        }
+        return doc;
+    }
+
+    /**
+     * `on` as an event map: "push" and ["push", "pull_request"] become { push: null, ... }
+     * and a bare cron string for `schedule` becomes [{ cron }].
+     */
+    normalizeTriggers(on) {
+        if (typeof on === 'string') return { [on]: on === 'schedule' ? [{ cron: '0 0 * * *' }] : null };
+        if (Array.isArray(on)) return Object.fromEntries(on.map(event => [event, event === 'schedule' ? [{ cron: '0 0 * * *' }] : null]));
+        if (!isMap(on)) return on;
+
+        return Object.fromEntries(Object.entries(on).map(([event, config]) => {
+            if (event === 'schedule' && typeof config === 'string') return [event, [{ cron: config }]];
+            if (event === 'schedule' && Array.isArray(config)) {
+                return [event, config.map(entry => (typeof entry === 'string' ? { cron: entry } : entry))];
+            }
+            return [event, config === undefined ? null : config];
+        }));
+    }
+
+    /**
+     * Parse workflow YAML back into builder data (camelCase keys, `type` on steps).
+     * @param {string} text
+     */
+    parseWorkflowYaml(text) {
+        let doc;
+        try {
+            doc = yaml.safeLoad(text);
+        } catch (error) {
+            const line = error.mark ? ` (line ${error.mark.line + 1}, column ${error.mark.column + 1})` : '';
+            throw new WorkflowYamlError(`Invalid YAML${line}: ${error.reason || error.message}`);
+        }
+        if (!isMap(doc)) throw new WorkflowYamlError('A workflow file must be a YAML mapping');
+
+        const invert = aliases => Object.fromEntries(Object.entries(aliases).map(([camel, key]) => [key, camel]));
+        const workflow = renameKeys(doc, invert(KEY_ALIASES.workflow));
+
+        if (isMap(doc.jobs)) {
+            workflow.jobs = Object.fromEntries(Object.entries(doc.jobs).map(([jobId, jobConfig]) => {
+                const job = renameKeys(jobConfig, invert(KEY_ALIASES.job));
+                if (isMap(job) && isMap(job.strategy)) job.strategy = renameKeys(job.strategy, invert(KEY_ALIASES.strategy));
+                if (isMap(job) && Array.isArray(job.steps)) {
+                    job.steps = job.steps.map(step => {
+                        const parsed = renameKeys(step, invert(KEY_ALIASES.step));
+                        return isMap(parsed) ? { ...parsed, type: parsed.uses ? 'uses' : 'run' } : parsed;
+                    });
                 }
+                return [jobId, job];
+            }));
+        }
+        return workflow;
+    }
+
+    /* -------------------- Emitter -------------------- */
+
+    /**
+     * Serialize a document as block-style YAML.
+     */
+    emit(doc) {
+        return `${this.emitMapping(doc, 0).join('\n')}\n`;
+    }
+
+    emitMapping(map, indent) {
+        const pad = ' '.repeat(indent);
+        const lines = [];
+        Object.entries(map).forEach(([key, value], i) => {
+            if (value === undefined) return;
+            // Blank line between top-level sections, as in hand-written workflows
+            if (indent === 0 && i > 0 && (isMap(value) || Array.isArray(value))) lines.push('');
+            lines.push(...this.emitEntry(`${pad}${this.formatKey(key)}:`, value, indent));
+        });
+        return lines;
+    }
+
+    emitSequence(items, indent) {
+        const pad = ' '.repeat(indent);
+        const lines = [];
+        items.forEach(item => {
+            if (isMap(item) && Object.keys(item).length > 0) {
+                const [first, ...rest] = this.emitMapping(item, indent + 2);
+                lines.push(`${pad}- ${first.slice(indent + 2)}`, ...rest);
+            } else {
+                lines.push(...this.emitEntry(`${pad}-`, item, indent));
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * One `key:` or `-` entry followed by its value, inline or as a nested block.
+     */
+    emitEntry(prefix, value, indent) {
+        if (value === null) return [prefix];
+        if (Array.isArray(value)) {
+            if (value.length === 0) return [`${prefix} []`];
+            const flow = this.formatFlowSequence(value);
+            if (flow && prefix.length + flow.length <= 80) return [`${prefix} ${flow}`];
+            return [prefix, ...this.emitSequence(value, indent + 2)];
+        }
+        if (isMap(value)) {
+            if (Object.keys(value).length === 0) return [`${prefix} {}`];
+            return [prefix, ...this.emitMapping(value, indent + 2)];
+        }
+        // Literal blocks cannot start with an indented line without an indentation indicator
+        if (typeof value === 'string' && value.includes('\n') && !/[\x00-\x08\x0b-\x1f\x7f]/.test(value) && !/^\n*[ \t]/.test(value)) {
+            return [`${prefix} ${this.blockHeader(value)}`, ...this.blockLines(value, indent + 2)];
+        }
+        return [`${prefix} ${this.formatScalar(value)}`];
+    }
+
+    /**
+     * Literal block scalar header whose chomping indicator keeps the exact trailing newlines.
+     */
+    blockHeader(text) {
+        const trailing = text.match(/\n*$/)[0].length;
+        return trailing === 0 ? '|-' : trailing === 1 ? '|' : '|+';
+    }
+
+    blockLines(text, indent) {
+        const pad = ' '.repeat(indent);
+        const body = text.replace(/\n$/, '');
+        return body.split('\n').map(line => (line ? `${pad}${line}` : ''));
+    }
+
+    /**
+     * `[a, b]` for short lists of scalars; null when the list needs block style.
+     */
+    formatFlowSequence(items) {
+        if (!items.every(item => item === null || ['string', 'number', 'boolean'].includes(typeof item))) return null;
+        if (items.some(item => typeof item === 'string' && item.includes('\n'))) return null;
+        return `[${items.map(item => this.formatScalar(item, true)).join(', ')}]`;
+    }
+
+    formatKey(key) {
+        return PLAIN_KEY.test(key) ? key : this.quote(String(key));
+    }
+
+    formatScalar(value, inFlow = false) {
+        if (value === null || value === undefined) return 'null';
+        if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+        const text = String(value);
+        return this.needsQuotes(text, inFlow) ? this.quote(text) : text;
+    }
+
+    /**
+     * Whether a string would be misread (as another type, a comment, a mapping...) if left plain.
+     */
+    needsQuotes(text, inFlow) {
+        return text === ''
+            || /^\s|\s$/.test(text)
+            || /^[,[\]{}#&*!|>'"%@`]/.test(text)
+            || /^[-?:](\s|$)/.test(text)
+            || /:(\s|$)|\s#/.test(text)
+            || /^(true|false|yes|no|on|off|y|n|null|~)$/i.test(text)
+            || /^[-+]?(\d[\d_]*(\.[\d_]*)?|\.\d+)([eE][-+]?\d+)?$/.test(text)
+            || /^(0x[0-9a-f]+|0o[0-7]+|0b[01_]+|[-+]?\.(inf|nan))$/i.test(text)
+            // YAML 1.1 timestamps and sexagesimal numbers (`12:30` is 750)
+            || /^\d{4}-\d\d?-\d\d?([Tt ]|$)/.test(text)
+            || /^[-+]?\d[\d_]*(:[0-5]?\d)+(\.\d*)?$/.test(text)
+            || /[\x00-\x08\x0a-\x1f\x7f]/.test(text)
+            || (inFlow && /[,[\]{}]/.test(text));
+    }
+
+    quote(text) {
+        if (/[\x00-\x08\x0a-\x1f\x7f]/.test(text)) return JSON.stringify(text);
+        return `'${text.replace(/'/g, "''")}'`;
+    }
+
+    /* -------------------- Validation -------------------- */
+
+    /**
+     * Validate workflow data against the Actions workflow schema.
+     * @param {Object} workflowData - builder data or a parsed workflow
+     * @returns {Object} { isValid: boolean, error: string, errors: Array<{ path, message }>, warnings: Array<{ path, message }> }
+     */
+    validateWorkflow(workflowData) {
+        const doc = this.toWorkflowDocument(workflowData);
+        const errors = [];
+        const warnings = [];
+        const error = (path, message) => errors.push({ path, message });
+
+        this.checkKeys(doc, WORKFLOW_KEYS, '', error);
+        if (!doc.on) error('on', 'At least one trigger is required');
+        else this.validateTriggers(doc.on, error);
+
+        if (doc.permissions !== undefined) this.validatePermissions(doc.permissions, 'permissions', error);
+        if (doc.env !== undefined) this.validateEnv(doc.env, 'env', error);
+
+        if (!isMap(doc.jobs) || Object.keys(doc.jobs).length === 0) {
+            error('jobs', 'At least one job is required');
+        } else {
+            Object.entries(doc.jobs).forEach(([jobId, job]) => this.validateJob(jobId, job, doc.jobs, error));
+            this.findDependencyCycles(doc.jobs).forEach(cycle => {
+                error(`jobs.${cycle[0]}.needs`, `Job dependency cycle: ${cycle.join(' → ')}`);
             });
+            this.checkDeployWithoutBuild(doc.jobs, warnings);
         }
 
-        yaml += `\njobs:\n`;
+        return {
+            isValid: errors.length === 0,
+            error: errors.length ? errors.map(e => `${e.path}: ${e.message}`).join('\n') : null,
+            errors,
+            warnings
+        };
+    }
+
+    checkKeys(object, allowed, path, error) {
+        Object.keys(object).forEach(key => {
+            if (!allowed.includes(key)) error(path ? `${path}.${key}` : key, `Unknown key "${key}"`);
+        });
+    }
 
-        // Handle Jobs
-        Object.entries(jobs).forEach(([jobId, jobConfig]) => {
-            yaml += `  ${jobId}:\n`;
-            yaml += `    runs-on: ${jobConfig.runsOn || 'ubuntu-latest'}\n`;
-            yaml += `    steps:\n`;
+    validateTriggers(on, error) {
+        if (!isMap(on)) return error('on', 'Triggers must be an event name, a list of events or a mapping');
 
-            jobConfig.steps.forEach(step => {
-                if (step.uses) {
-                    yaml += `      - name: ${step.name}\n`;
-                    yaml += `        uses: ${step.uses}\n`;
-                    if (step.with) {
-                        yaml += `        with:\n`;
-                        Object.entries(step.with).forEach(([key, value]) => {
-                            yaml += `          ${key}: ${value}\n`;
-                        });
+        Object.entries(on).forEach(([event, config]) => {
+            const path = `on.${event}`;
+            if (!EVENTS.has(event)) return error(path, `Unknown event "${event}"`);
+
+            if (event === 'schedule') {
+                if (!Array.isArray(config) || config.length === 0) return error(path, 'schedule must be a list of { cron } entries');
+                config.forEach((entry, i) => {
+                    if (!isMap(entry) || typeof entry.cron !== 'string' || entry.cron.trim().split(/\s+/).length !== 5) {
+                        error(`${path}[${i}].cron`, 'cron must have five fields (minute hour day month weekday)');
                     }
-                } else if (step.run) {
-                    yaml += `      - name: ${step.name}\n`;
-                    yaml += `        run: ${step.run}\n`;
-                }
+                });
+                return;
+            }
+            if (config !== null && !isMap(config)) return error(path, 'Event configuration must be a mapping');
+
+            if (event === 'workflow_dispatch' && config && config.inputs !== undefined) {
+                if (!isMap(config.inputs)) return error(`${path}.inputs`, 'inputs must be a mapping');
+                Object.entries(config.inputs).forEach(([name, input]) => {
+                    const inputPath = `${path}.inputs.${name}`;
+                    if (!isMap(input)) return error(inputPath, 'Input must be a mapping');
+                    this.checkKeys(input, DISPATCH_INPUT_KEYS, inputPath, error);
+                    if (input.type !== undefined && !DISPATCH_INPUT_TYPES.includes(input.type)) {
+                        error(`${inputPath}.type`, `type must be one of ${DISPATCH_INPUT_TYPES.join(', ')}`);
+                    }
+                    if (input.type === 'choice' && (!Array.isArray(input.options) || input.options.length === 0)) {
+                        error(`${inputPath}.options`, 'choice inputs need a non-empty options list');
+                    }
+                    if (input.type === 'choice' && input.default !== undefined && Array.isArray(input.options) && !input.options.includes(input.default)) {
+                        error(`${inputPath}.default`, 'default must be one of the options');
+                    }
+                });
+            }
+        });
+    }
+
+    validatePermissions(permissions, path, error) {
+        if (typeof permissions === 'string') {
+            if (!['read-all', 'write-all'].includes(permissions)) error(path, 'permissions must be read-all, write-all or a mapping');
+        } else if (isMap(permissions)) {
+            Object.entries(permissions).forEach(([scope, level]) => {
+                if (!PERMISSION_LEVELS.includes(level)) error(`${path}.${scope}`, `Permission level must be one of ${PERMISSION_LEVELS.join(', ')}`);
             });
+        } else {
+            error(path, 'permissions must be read-all, write-all or a mapping');
+        }
+    }
+
+    validateEnv(env, path, error) {
+        if (typeof env === 'string' && EXPRESSION.test(env)) return;
+        if (!isMap(env)) return error(path, 'env must be a mapping');
+        Object.entries(env).forEach(([name, value]) => {
+            if (isMap(value) || Array.isArray(value)) error(`${path}.${name}`, 'Environment values must be scalars');
         });
+    }
+
+    validateJob(jobId, job, jobs, error) {
+        const path = `jobs.${jobId}`;
+        if (!JOB_ID.test(jobId)) error(path, 'Job ids must start with a letter or "_" and contain only letters, digits, "-" and "_"');
+        if (!isMap(job)) return error(path, 'Job must be a mapping');
+        this.checkKeys(job, JOB_KEYS, path, error);
+
+        if (job.uses) {
+            // Reusable workflow call
+            if (job.steps) error(`${path}.steps`, 'Jobs that call a reusable workflow cannot define steps');
+        } else {
+            this.validateRunsOn(job['runs-on'], `${path}.runs-on`, error);
+            if (!Array.isArray(job.steps) || job.steps.length === 0) {
+                error(`${path}.steps`, 'Job must have at least one step');
+            } else {
+                const stepIds = new Set();
+                job.steps.forEach((step, i) => this.validateStep(step, `${path}.steps[${i}]`, stepIds, error));
+            }
+        }
 
-        return yaml;
+        if (job.needs !== undefined) {
+            const needs = typeof job.needs === 'string' ? [job.needs] : job.needs;
+            if (!Array.isArray(needs) || needs.some(n => typeof n !== 'string')) {
+                error(`${path}.needs`, 'needs must be a job id or a list of job ids');
+            } else {
+                needs.filter(n => !Object.prototype.hasOwnProperty.call(jobs, n)).forEach(n => {
+                    error(`${path}.needs`, `Unknown job "${n}"`);
+                });
+            }
+        }
+
+        if (job.if !== undefined && !['string', 'boolean'].includes(typeof job.if)) error(`${path}.if`, 'if must be an expression');
+        if (job['timeout-minutes'] !== undefined && !(job['timeout-minutes'] > 0) && !EXPRESSION.test(job['timeout-minutes'])) {
+            error(`${path}.timeout-minutes`, 'timeout-minutes must be a positive number');
+        }
+        if (job.permissions !== undefined) this.validatePermissions(job.permissions, `${path}.permissions`, error);
+        if (job.env !== undefined) this.validateEnv(job.env, `${path}.env`, error);
+        if (job.strategy !== undefined) this.validateStrategy(job.strategy, `${path}.strategy`, error);
     }
 
     /**
-     * Basic validation for workflow logic.
-     * @param {Object} jobs 
-     * @returns {Object} { isValid: boolean, error: string }
+     * GitHub-hosted labels, `self-hosted` label sets, `{ group, labels }` or an expression.
      */
-    validateWorkflow(jobs) {
-        const jobEntries = Object.values(jobs);
+    validateRunsOn(runsOn, path, error) {
+        if (runsOn === undefined) return error(path, 'runs-on is required');
+        if (typeof runsOn === 'string') {
+            if (EXPRESSION.test(runsOn) || HOSTED_RUNNER.test(runsOn) || runsOn === 'self-hosted') return;
+            return error(path, `"${runsOn}" is not a GitHub-hosted runner label; list self-hosted runners as [self-hosted, <label>...]`);
+        }
+        if (Array.isArray(runsOn)) {
+            if (runsOn.length === 0 || runsOn.some(label => typeof label !== 'string')) return error(path, 'runs-on labels must be strings');
+            if (runsOn.includes('self-hosted') || runsOn.every(label => HOSTED_RUNNER.test(label) || EXPRESSION.test(label))) return;
+            return error(path, 'Custom runner labels require "self-hosted" in the label list');
+        }
+        if (isMap(runsOn)) {
+            this.checkKeys(runsOn, ['group', 'labels'], path, error);
+            if (!runsOn.group && !runsOn.labels) error(path, 'runs-on needs a group or labels');
+            return;
+        }
+        error(path, 'runs-on must be a label, a list of labels or { group, labels }');
+    }
 
-        // Check for common dependencies
-        let hasBuild = false;
-        let hasDeploy = false;
+    validateStep(step, path, stepIds, error) {
+        if (!isMap(step)) return error(path, 'Step must be a mapping');
+        this.checkKeys(step, STEP_KEYS, path, error);
 
-        jobEntries.forEach(job => {
-            const stepNames = job.steps.map(s => s.name.toLowerCase());
-            if (stepNames.some(n => n.includes('build'))) hasBuild = true;
-            if (stepNames.some(n => n.includes('deploy'))) hasDeploy = true;
-        });
+        if (step.uses && step.run) error(path, 'A step cannot have both uses and run');
+        else if (!step.uses && !step.run) error(path, 'A step needs either uses or run');
 
-        if (hasDeploy && !hasBuild) {
-            return { isValid: false, error: "Validation Warning: You are deploying without a build step. Ensure your project doesn't require compilation." };
+        if (step.uses && typeof step.uses === 'string' && !/^(docker:\/\/.+|\.{1,2}\/.*|[\w.-]+\/[\w./-]+@[\w.\/-]+)$/.test(step.uses)) {
+            error(`${path}.uses`, 'uses must be owner/repo@ref, a ./local path or docker://image');
         }
+        if (step.with !== undefined) {
+            if (!step.uses) error(`${path}.with`, 'with is only valid on steps that use an action');
+            else if (!isMap(step.with)) error(`${path}.with`, 'with must be a mapping');
+        }
+        if (step.run !== undefined && typeof step.run !== 'string') error(`${path}.run`, 'run must be a string');
+        if (step.env !== undefined) this.validateEnv(step.env, `${path}.env`, error);
+        if (step.id !== undefined) {
+            if (stepIds.has(step.id)) error(`${path}.id`, `Duplicate step id "${step.id}"`);
+            stepIds.add(step.id);
+        }
+    }
+
+    validateStrategy(strategy, path, error) {
+        if (!isMap(strategy)) return error(path, 'strategy must be a mapping');
+        this.checkKeys(strategy, STRATEGY_KEYS, path, error);
 
-        return { isValid: true };
+        const { matrix } = strategy;
+        if (matrix === undefined || (typeof matrix === 'string' && EXPRESSION.test(matrix))) return;
+        if (!isMap(matrix)) return error(`${path}.matrix`, 'matrix must be a mapping');
+
+        Object.entries(matrix).forEach(([dimension, values]) => {
+            const dimensionPath = `${path}.matrix.${dimension}`;
+            if (dimension === 'include' || dimension === 'exclude') {
+                if (!Array.isArray(values) || values.some(v => !isMap(v))) error(dimensionPath, `${dimension} must be a list of mappings`);
+            } else if (!Array.isArray(values) && !(typeof values === 'string' && EXPRESSION.test(values))) {
+                error(dimensionPath, 'Matrix dimensions must be lists');
+            } else if (Array.isArray(values) && values.length === 0) {
+                error(dimensionPath, 'Matrix dimensions cannot be empty');
+            }
+        });
+    }
+
+    /**
+     * Cycles in the `needs` graph, each as a list of job ids ending where it started.
+     */
+    findDependencyCycles(jobs) {
+        const state = new Map(); // jobId -> 'visiting' | 'done'
+        const stack = [];
+        const cycles = [];
+        const needsOf = jobId => {
+            const needs = isMap(jobs[jobId]) ? jobs[jobId].needs : null;
+            return (typeof needs === 'string' ? [needs] : Array.isArray(needs) ? needs : [])
+                .filter(n => Object.prototype.hasOwnProperty.call(jobs, n));
+        };
+
+        const visit = jobId => {
+            state.set(jobId, 'visiting');
+            stack.push(jobId);
+            needsOf(jobId).forEach(dependency => {
+                if (state.get(dependency) === 'visiting') {
+                    cycles.push([...stack.slice(stack.indexOf(dependency)), dependency]);
+                } else if (!state.has(dependency)) {
+                    visit(dependency);
+                }
+            });
+            stack.pop();
+            state.set(jobId, 'done');
+        };
+
+        Object.keys(jobs).forEach(jobId => {
+            if (!state.has(jobId)) visit(jobId);
+        });
+        return cycles;
+    }
+
+    checkDeployWithoutBuild(jobs, warnings) {
+        const stepNames = Object.values(jobs)
+            .filter(job => isMap(job) && Array.isArray(job.steps))
+            .flatMap(job => job.steps.map(s => (isMap(s) && s.name ? String(s.name) : '').toLowerCase()));
+
+        if (stepNames.some(n => n.includes('deploy')) && !stepNames.some(n => n.includes('build'))) {
+            warnings.push({ path: 'jobs', message: "You are deploying without a build step. Ensure your project doesn't require compilation." });
+        }
     }
 }
 
 module.exports = new YamlGeneratorService();
+module.exports.WorkflowYamlError = WorkflowYamlError;
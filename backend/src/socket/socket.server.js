@@ -3,6 +3,8 @@ const jwt = require("jsonwebtoken");
 const { startRealTimeSimulation } = require("../services/analytics.socket.service");
 const WarRoomSocket = require("./war-room.socket");
 const globeController = require("../controllers/globe.controller");
+const collabService = require("../services/collab.service");
+const incidentService = require("../services/incident.service");
 
 let io;
 const userSockets = new Map(); // userId -> Set of socket IDs
@@ -35,8 +37,24 @@ function initializeSocket(server) {
         }
     });
 
+    // Drop a socket from a collaboration room; the user only counts as gone
+    // once none of their other connections (tabs) are still in it
+    const leaveCollab = (socket, roomId) => {
+        socket.leave(`collab:${roomId}`);
+        socket.collabRooms.delete(roomId);
+        collabService.leaveRoom(roomId, socket.id);
+        if (collabService.isViewing(roomId, socket.userId)) return;
+
+        if (watchlistRooms.has(roomId)) {
+            watchlistRooms.get(roomId).delete(socket.userId);
+            if (watchlistRooms.get(roomId).size === 0) watchlistRooms.delete(roomId);
+        }
+        io.to(`collab:${roomId}`).emit("user_left_collab", { userId: socket.userId });
+    };
+
     io.on("connection", (socket) => {
         console.log(`✅ User ${socket.userId} connected: ${socket.id}`);
+        socket.collabRooms = new Set();
 
         // Track user socket
         if (!userSockets.has(socket.userId)) {
@@ -45,9 +63,14 @@ function initializeSocket(server) {
         userSockets.get(socket.userId).add(socket.id);
 
         // Join collaboration room
-        socket.on("join_collab", ({ roomId, userMetadata }) => {
+        // `clientId` is stable across reconnects; `revision` is the last document
+        // revision the client saw (omitted on first join → full snapshot).
+        socket.on("join_collab", ({ roomId, userMetadata, clientId, revision }) => {
             socket.join(`collab:${roomId}`);
             socket.userMetadata = userMetadata || { name: `User ${socket.userId.slice(-4)}` };
+            socket.collabClientId = clientId || socket.id;
+            collabService.joinRoom(roomId, socket.id, socket.userId, socket.userMetadata);
+            socket.collabRooms.add(roomId);
 
             if (!watchlistRooms.has(roomId)) {
                 watchlistRooms.set(roomId, new Set());
@@ -64,6 +87,45 @@ function initializeSocket(server) {
                 metadata: { name: `User ${id.slice(-4)}` }
             }));
             socket.emit("presence_update", { roomId, viewers });
+            socket.emit("collab_sync", collabService.getResyncState(roomId, socket.collabClientId, revision));
+        });
+
+        // Document sync: operation submitted against the client's last known revision
+        socket.on("collab_operation", ({ roomId, seq, revision, operation }) => {
+            try {
+                const result = collabService.applyOperation(roomId, {
+                    clientId: socket.collabClientId || socket.id,
+                    userId: socket.userId,
+                    seq,
+                    revision,
+                    operation
+                });
+
+                socket.emit("collab_ack", { roomId, seq, revision: result.revision });
+                if (!result.duplicate) {
+                    socket.to(`collab:${roomId}`).emit("collab_operation", {
+                        roomId,
+                        operation: result.operation,
+                        revision: result.revision,
+                        clientId: socket.collabClientId,
+                        userId: socket.userId
+                    });
+                }
+            } catch (error) {
+                socket.emit("collab_error", { roomId, seq, message: error.message });
+                if (error.statusCode !== 404 && error.statusCode !== 403) {
+                    socket.emit("collab_sync", collabService.getResyncState(roomId, socket.collabClientId, null));
+                }
+            }
+        });
+
+        // Document sync: explicit catch-up request (e.g. after a missed broadcast)
+        socket.on("collab_resync", ({ roomId, revision }) => {
+            try {
+                socket.emit("collab_sync", collabService.getResyncState(roomId, socket.collabClientId, revision));
+            } catch (error) {
+                socket.emit("collab_error", { roomId, message: error.message });
+            }
         });
 
         // Live Cursor Tracking
@@ -87,11 +149,7 @@ function initializeSocket(server) {
 
         // Leave collaboration
         socket.on("leave_collab", (roomId) => {
-            socket.leave(`collab:${roomId}`);
-            if (watchlistRooms.has(roomId)) {
-                watchlistRooms.get(roomId).delete(socket.userId);
-            }
-            socket.to(`collab:${roomId}`).emit("user_left_collab", { userId: socket.userId });
+            leaveCollab(socket, roomId);
         });
 
         // WAR ROOM: Join incident war room
@@ -295,12 +353,7 @@ function initializeSocket(server) {
                 }
             }
 
-            watchlistRooms.forEach((viewers, roomId) => {
-                if (viewers.has(socket.userId)) {
-                    viewers.delete(socket.userId);
-                    io.to(`collab:${roomId}`).emit("user_left_collab", { userId: socket.userId });
-                }
-            });
+            socket.collabRooms.forEach(roomId => leaveCollab(socket, roomId));
         });
     });
 
@@ -311,6 +364,19 @@ function initializeSocket(server) {
     // Individual socket events (notification_ack, digest_flush) are handled per-socket above.
 
     startRealTimeSimulation(io);
+
+    // GLOBE: geospatial stream, fed by GitHub webhook deliveries
+    globeController.initializeServices(io);
+
+    // WAR ROOM: SLA breaches are pushed to everyone in the incident's room
+    incidentService.startSlaMonitor(({ incident, clock }) => {
+        io.to(`war_room:${incident.id}`).emit("incident_sla_breached", {
+            incidentId: incident.id,
+            clock,
+            incident,
+            timestamp: Date.now()
+        });
+    });
     return io;
 }
 
@@ -6,6 +6,7 @@
 const eventStreamService = require('../services/event-stream.service');
 const incidentService = require('../services/incident.service');
 const aiRootCauseService = require('../services/ai-root-cause.service');
+const { verifySocketAccessToken } = require('../middleware/auth.middleware');
 
 class WarRoomSocket {
     constructor(io) {
@@ -18,9 +19,13 @@ class WarRoomSocket {
     }
 
     /**
-     * Setup WebSocket handlers
+     * Setup WebSocket handlers. Connections need an access token; every
+     * incident action is attributed to the authenticated user (socket.userId),
+     * never to a user id sent by the client.
      */
     setupHandlers() {
+        this.warRoomNamespace.use(verifySocketAccessToken);
+
         this.warRoomNamespace.on('connection', (socket) => {
             console.log(`War-Room user connected: ${socket.id}`);
             
@@ -28,12 +33,15 @@ class WarRoomSocket {
             socket.on('register', (userData) => {
                 this.connectedUsers.set(socket.id, {
                     ...userData,
+                    userId: socket.userId,
                     socketId: socket.id,
                     connectedAt: Date.now()
                 });
                 
                 // Send current state
-                this.sendInitialState(socket);
+                this.sendInitialState(socket).catch(error => {
+                    socket.emit('error', { message: error.message });
+                });
                 
                 // Broadcast user joined
                 this.broadcastUserList();
@@ -51,21 +59,20 @@ class WarRoomSocket {
             });
 
             socket.on('event:acknowledge', (data) => {
-                const { eventId, userId } = data;
-                eventStreamService.acknowledgeEvent(eventId, userId);
-                this.warRoomNamespace.to('event-stream').emit('event:acknowledged', { eventId, userId });
+                const { eventId } = data;
+                eventStreamService.acknowledgeEvent(eventId, socket.userId);
+                this.warRoomNamespace.to('event-stream').emit('event:acknowledged', { eventId, userId: socket.userId });
             });
 
             // Incident management handlers
             socket.on('incident:create', async (data) => {
                 try {
-                    const { event, userId } = data;
-                    const incident = incidentService.createIncident(event, userId);
+                    const created = await incidentService.createIncident(data.event, socket.userId);
                     
                     // Perform AI analysis
-                    const analysis = await aiRootCauseService.analyzeIncident(incident);
-                    incidentService.setRootCause(
-                        incident.id,
+                    const analysis = await aiRootCauseService.analyzeIncident(created);
+                    const incident = await incidentService.setRootCause(
+                        created.id,
                         analysis.rootCause,
                         analysis.hypothesis,
                         analysis.suggestedActions
@@ -79,8 +86,7 @@ class WarRoomSocket {
 
             socket.on('incident:pin', async (data) => {
                 try {
-                    const { incidentId, userId } = data;
-                    const incident = await incidentService.pinIncident(incidentId, userId);
+                    const incident = await incidentService.pinIncident(data.incidentId, socket.userId);
                     
                     // Get AI analysis
                     const analysis = await aiRootCauseService.analyzeIncident(incident);
@@ -91,40 +97,39 @@ class WarRoomSocket {
                 }
             });
 
-            socket.on('incident:unpin', (data) => {
+            socket.on('incident:unpin', async (data) => {
                 try {
-                    const { userId } = data;
-                    const unpinned = incidentService.unpinIncident(userId);
+                    const unpinned = await incidentService.unpinIncident(socket.userId);
                     this.warRoomNamespace.emit('incident:unpinned', { incident: unpinned });
                 } catch (error) {
                     socket.emit('error', { message: error.message });
                 }
             });
 
-            socket.on('incident:status', (data) => {
+            socket.on('incident:status', async (data) => {
                 try {
-                    const { incidentId, status, userId, notes } = data;
-                    const incident = incidentService.updateStatus(incidentId, status, userId, notes);
+                    const { incidentId, status, notes } = data;
+                    const incident = await incidentService.updateStatus(incidentId, status, socket.userId, notes);
                     this.warRoomNamespace.emit('incident:updated', { incident });
                 } catch (error) {
                     socket.emit('error', { message: error.message });
                 }
             });
 
-            socket.on('incident:assign', (data) => {
+            socket.on('incident:assign', async (data) => {
                 try {
-                    const { incidentId, userIds, assignedBy } = data;
-                    const incident = incidentService.assignIncident(incidentId, userIds, assignedBy);
+                    const { incidentId, userIds } = data;
+                    const incident = await incidentService.assignIncident(incidentId, userIds, socket.userId);
                     this.warRoomNamespace.emit('incident:updated', { incident });
                 } catch (error) {
                     socket.emit('error', { message: error.message });
                 }
             });
 
-            socket.on('incident:comment', (data) => {
+            socket.on('incident:comment', async (data) => {
                 try {
-                    const { incidentId, userId, comment } = data;
-                    const incident = incidentService.addComment(incidentId, userId, comment);
+                    const { incidentId, comment } = data;
+                    const incident = await incidentService.addComment(incidentId, socket.userId, comment);
                     this.warRoomNamespace.emit('incident:updated', { incident });
                 } catch (error) {
                     socket.emit('error', { message: error.message });
@@ -134,7 +139,7 @@ class WarRoomSocket {
             socket.on('incident:analyze', async (data) => {
                 try {
                     const { incidentId } = data;
-                    const incident = incidentService.getIncident(incidentId);
+                    const incident = await incidentService.getIncident(incidentId);
                     if (!incident) {
                         throw new Error('Incident not found');
                     }
@@ -153,33 +158,37 @@ class WarRoomSocket {
             });
 
             // Statistics handlers
-            socket.on('stats:request', () => {
-                const stats = {
-                    events: eventStreamService.getStatistics(),
-                    incidents: incidentService.getStatistics()
-                };
-                socket.emit('stats:update', stats);
+            socket.on('stats:request', async () => {
+                try {
+                    const stats = {
+                        events: eventStreamService.getStatistics(),
+                        incidents: await incidentService.getStatistics()
+                    };
+                    socket.emit('stats:update', stats);
+                } catch (error) {
+                    socket.emit('error', { message: error.message });
+                }
             });
 
             // Collaboration handlers
             socket.on('cursor:move', (data) => {
                 socket.broadcast.emit('cursor:moved', {
-                    userId: this.connectedUsers.get(socket.id)?.userId,
-                    ...data
+                    ...data,
+                    userId: socket.userId
                 });
             });
 
             socket.on('typing:start', (data) => {
                 socket.broadcast.emit('user:typing', {
-                    userId: this.connectedUsers.get(socket.id)?.userId,
-                    ...data
+                    ...data,
+                    userId: socket.userId
                 });
             });
 
             socket.on('typing:stop', (data) => {
                 socket.broadcast.emit('user:stopped-typing', {
-                    userId: this.connectedUsers.get(socket.id)?.userId,
-                    ...data
+                    ...data,
+                    userId: socket.userId
                 });
             });
 
@@ -205,25 +214,25 @@ class WarRoomSocket {
     /**
      * Send initial state to newly connected user
      */
-    sendInitialState(socket) {
+    async sendInitialState(socket) {
         // Send recent events
         const events = eventStreamService.getEvents(50);
         socket.emit('events:initial', events);
 
         // Send pinned incident
-        const pinnedIncident = incidentService.getPinnedIncident();
+        const pinnedIncident = await incidentService.getPinnedIncident();
         if (pinnedIncident) {
             socket.emit('incident:pinned', { incident: pinnedIncident });
         }
 
         // Send all open incidents
-        const openIncidents = incidentService.getAllIncidents({ status: 'open' });
+        const openIncidents = await incidentService.getAllIncidents({ status: 'open' });
         socket.emit('incidents:all', openIncidents);
 
         // Send statistics
         const stats = {
             events: eventStreamService.getStatistics(),
-            incidents: incidentService.getStatistics()
+            incidents: await incidentService.getStatistics()
         };
         socket.emit('stats:update', stats);
     }
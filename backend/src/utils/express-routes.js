@@ -0,0 +1,74 @@
+// Route table of an Express app, for tools that need every mounted endpoint
+//
+// Express 5 compiles mount paths into matcher closures and keeps no copy of
+// them, so the app has to record its mounts (recordMountPaths) before routers
+// are mounted for listRoutes to know where they live.
+
+const mountPaths = new WeakMap();
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+// Remember the path every middleware / router is mounted on by app.use()
+function recordMountPaths(app) {
+  const use = app.use;
+  app.use = function (path, ...handlers) {
+    if (typeof path === 'string') {
+      handlers.flat(Infinity).forEach(handler => {
+        if (typeof handler === 'function' && !mountPaths.has(handler)) mountPaths.set(handler, path);
+      });
+    }
+    return use.call(this, path, ...handlers);
+  };
+  return app;
+}
+
+function joinPaths(prefix, path) {
+  const joined = `${prefix.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+  return joined.length > 1 ? joined.replace(/\/+$/, '') : '/';
+}
+
+// `/items/:id` -> `/items/{id}`, `/files/*path` -> `/files/{path}`
+function toTemplate(path) {
+  return path.replace(/[:*]([A-Za-z_$][\w$]*)/g, '{$1}');
+}
+
+/**
+ * Every route of an app, in registration order
+ * @returns {{ routes: Array<{ method, path, expressPath, params, handlers }>, unmounted: string[] }}
+ *   `handlers` are the route's own functions; `unmounted` names routers whose
+ *   mount path was not recorded
+ */
+function listRoutes(app) {
+  const router = app.router || app._router;
+  const routes = [];
+  const unmounted = [];
+
+  const walk = (stack, prefix) => {
+    stack.forEach(layer => {
+      if (layer.route) {
+        const expressPath = joinPaths(prefix, layer.route.path);
+        const methods = layer.route.methods._all ? HTTP_METHODS : Object.keys(layer.route.methods).filter(m => layer.route.methods[m]);
+        methods.forEach(method => routes.push({
+          method: method.toUpperCase(),
+          path: toTemplate(expressPath),
+          expressPath,
+          params: [...expressPath.matchAll(/[:*]([A-Za-z_$][\w$]*)/g)].map(match => match[1]),
+          handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+        }));
+      } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+        const mountPath = layer.slash ? '' : mountPaths.get(layer.handle);
+        if (mountPath === undefined) unmounted.push(layer.name);
+        else walk(layer.handle.stack, joinPaths(prefix, mountPath));
+      }
+    });
+  };
+
+  if (router) walk(router.stack, '');
+  return { routes, unmounted };
+}
+
+module.exports = {
+  recordMountPaths,
+  listRoutes,
+  toTemplate
+};
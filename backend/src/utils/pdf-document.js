@@ -0,0 +1,281 @@
+// Minimal PDF 1.4 writer: A4 pages of wrapped text, tables and filled boxes in
+// the standard Helvetica fonts, so reports render server-side without a browser.
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Advance widths (1/1000 em) of ASCII 32..126, from the Helvetica AFM metrics
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+const FONT_NAMES = { regular: 'F1', bold: 'F2' };
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86,
+  '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c,
+  'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+  '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f,
+};
+const REPLACEMENTS = { '→': '->', '←': '<-', '✓': 'v', '✗': 'x', '≤': '<=', '≥': '>=' };
+
+/**
+ * Text → WinAnsi byte string; tabs become spaces, other characters without a
+ * WinAnsi code become "?" (emoji and CJK need an embedded font)
+ */
+function toWinAnsi(text) {
+  let out = '';
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    if (ch === '\t') out += '    ';
+    else if (REPLACEMENTS[ch]) out += REPLACEMENTS[ch];
+    else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) out += ch;
+    else if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+    else if (code >= 0xfe00 && code <= 0xfe0f) continue; // emoji variation selectors
+    else if (code >= 32) out += '?';
+  }
+  return out;
+}
+
+const escapeString = (text) => text.replace(/[\\()]/g, (ch) => `\\${ch}`);
+
+const num = (value) => String(Math.round(value * 100) / 100);
+
+const color = (rgb) => rgb.map((channel) => num(channel / 255)).join(' ');
+
+class PdfDocument {
+  /**
+   * @param {Object} options - { title, author, subject, creationDate, margin, footer }
+   *   footer(pageNumber, pageCount) returns the text drawn at the bottom of each page
+   */
+  constructor(options = {}) {
+    this.info = {
+      Title: options.title || 'Report',
+      Author: options.author || null,
+      Subject: options.subject || null,
+      Producer: 'Xaytheon',
+    };
+    this.creationDate = options.creationDate ? new Date(options.creationDate) : new Date();
+    this.margin = options.margin || 50;
+    this.footer = options.footer || ((page, pages) => `Page ${page} of ${pages}`);
+    this.pages = [];
+    this.addPage();
+  }
+
+  get contentWidth() {
+    return PAGE_WIDTH - 2 * this.margin;
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    this.y = PAGE_HEIGHT - this.margin;
+    return this;
+  }
+
+  /**
+   * Start a new page unless `height` points still fit above the footer
+   */
+  ensureSpace(height) {
+    if (this.y - height < this.margin + 20) this.addPage();
+    return this;
+  }
+
+  measure(text, size = 10, font = 'regular') {
+    const widths = WIDTHS[font];
+    let units = 0;
+    for (const ch of toWinAnsi(text)) {
+      const code = ch.charCodeAt(0);
+      units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return (units * size) / 1000;
+  }
+
+  /**
+   * Split text into lines of at most `width` points, breaking long words
+   */
+  wrap(text, width, size = 10, font = 'regular') {
+    const lines = [];
+    String(text === null || text === undefined ? '' : text).split(/\r?\n/).forEach((paragraph) => {
+      let line = '';
+      paragraph.split(/ +/).forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.measure(candidate, size, font) <= width) {
+          line = candidate;
+          return;
+        }
+        if (line) lines.push(line);
+        line = word;
+        while (this.measure(line, size, font) > width && line.length > 1) {
+          let cut = line.length - 1;
+          while (cut > 1 && this.measure(line.slice(0, cut), size, font) > width) cut--;
+          lines.push(line.slice(0, cut));
+          line = line.slice(cut);
+        }
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  drawText(text, x, y, { size = 10, font = 'regular', rgb = [17, 24, 39] } = {}) {
+    this.page.push(`BT /${FONT_NAMES[font]} ${num(size)} Tf ${color(rgb)} rg ${num(x)} ${num(y)} Td (${escapeString(toWinAnsi(text))}) Tj ET`);
+    return this;
+  }
+
+  rect(x, y, width, height, rgb) {
+    this.page.push(`${color(rgb)} rg ${num(x)} ${num(y)} ${num(width)} ${num(height)} re f`);
+    return this;
+  }
+
+  /**
+   * Wrapped paragraph at the cursor, continued on the next page when needed
+   * @param {Object} options - { size, font, rgb, indent, spacing (points after) }
+   */
+  text(text, options = {}) {
+    const { size = 10, font = 'regular', indent = 0, spacing = 4 } = options;
+    const leading = size * 1.35;
+    this.wrap(text, this.contentWidth - indent, size, font).forEach((line) => {
+      this.ensureSpace(leading);
+      this.y -= leading;
+      this.drawText(line, this.margin + indent, this.y + size * 0.25, options);
+    });
+    this.y -= spacing;
+    return this;
+  }
+
+  heading(text, size = 14) {
+    this.ensureSpace(size * 3);
+    this.y -= size * 0.6;
+    return this.text(text, { size, font: 'bold', spacing: 6 });
+  }
+
+  moveDown(points = 10) {
+    this.y -= points;
+    return this;
+  }
+
+  /**
+   * Table with wrapped cells; the header row is repeated on every page
+   * @param {Array} columns - [{ header, width (fraction of the content width) }]
+   * @param {Array} rows - arrays of cell text; a row may carry `rgb` for its first cell
+   */
+  table(columns, rows, { size = 8.5, padding = 3 } = {}) {
+    const widths = columns.map((column) => column.width * this.contentWidth);
+    const leading = size * 1.3;
+
+    const drawRow = (cells, { header = false, rgb = null, shade = false } = {}) => {
+      const font = header ? 'bold' : 'regular';
+      const wrapped = cells.map((cell, index) => this.wrap(cell, widths[index] - 2 * padding, size, font));
+      const height = Math.max(...wrapped.map((lines) => lines.length)) * leading + 2 * padding;
+      if (!header && this.y - height < this.margin + 20) {
+        this.addPage();
+        drawRow(columns.map((column) => column.header), { header: true });
+      }
+
+      if (header) this.rect(this.margin, this.y - height, this.contentWidth, height, [229, 231, 235]);
+      else if (shade) this.rect(this.margin, this.y - height, this.contentWidth, height, [249, 250, 251]);
+
+      let x = this.margin;
+      wrapped.forEach((lines, index) => {
+        lines.forEach((line, lineIndex) => {
+          this.drawText(line, x + padding, this.y - padding - (lineIndex + 1) * leading + size * 0.3, {
+            size,
+            font,
+            rgb: index === 0 && rgb ? rgb : undefined,
+          });
+        });
+        x += widths[index];
+      });
+      this.y -= height;
+    };
+
+    this.ensureSpace(leading * 3 + 4 * padding);
+    drawRow(columns.map((column) => column.header), { header: true });
+    rows.forEach((row, index) => drawRow(row, { rgb: row.rgb, shade: index % 2 === 1 }));
+    this.y -= 8;
+    return this;
+  }
+
+  /**
+   * Serialize: catalog, page tree, the two fonts, then a page and a
+   * Flate-compressed content stream per page, the info dictionary and the xref
+   */
+  toBuffer() {
+    const pageCount = this.pages.length;
+    const objects = [];
+    const fontIds = { regular: 3, bold: 4 };
+    const firstPageId = 5;
+    const pageIds = this.pages.map((page, index) => firstPageId + index * 2);
+    const infoId = firstPageId + pageCount * 2;
+
+    objects[1] = Buffer.from('<< /Type /Catalog /Pages 2 0 R >>', 'latin1');
+    objects[2] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageCount} >>`, 'latin1');
+    objects[fontIds.regular] = Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>', 'latin1');
+    objects[fontIds.bold] = Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>', 'latin1');
+
+    this.pages.forEach((page, index) => {
+      const footer = toWinAnsi(this.footer(index + 1, pageCount));
+      const footerWidth = this.measure(footer, 8);
+      const operators = [
+        ...page,
+        `BT /F1 8 Tf 0.42 0.45 0.5 rg ${num(PAGE_WIDTH - this.margin - footerWidth)} ${num(this.margin / 2)} Td (${escapeString(footer)}) Tj ET`,
+      ];
+      const stream = zlib.deflateSync(Buffer.from(operators.join('\n'), 'latin1'));
+      const pageId = pageIds[index];
+
+      objects[pageId] = Buffer.from(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(PAGE_WIDTH)} ${num(PAGE_HEIGHT)}] ` +
+          `/Resources << /Font << /F1 ${fontIds.regular} 0 R /F2 ${fontIds.bold} 0 R >> >> /Contents ${pageId + 1} 0 R >>`,
+        'latin1'
+      );
+      objects[pageId + 1] = Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream', 'latin1'),
+      ]);
+    });
+
+    const date = this.creationDate.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const info = Object.entries(this.info)
+      .filter(([, value]) => value)
+      .map(([key, value]) => `/${key} (${escapeString(toWinAnsi(value))})`);
+    objects[infoId] = Buffer.from(`<< ${info.join(' ')} /CreationDate (D:${date}Z) >>`, 'latin1');
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), objects[id], Buffer.from('\nendobj\n', 'latin1')]);
+      offsets[id] = offset;
+      offset += chunk.length;
+      chunks.push(chunk);
+    }
+
+    const xref = [`xref\n0 ${objects.length}\n`, '0000000000 65535 f \n'];
+    for (let id = 1; id < objects.length; id++) xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`);
+    chunks.push(Buffer.from(xref.join(''), 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = PdfDocument;
@@ -0,0 +1,39 @@
+// Confinement of client-supplied repository paths to a configured directory
+//
+// Endpoints that take a `repoPath` resolve it inside an operator-chosen root
+// (e.g. TIME_TRAVEL_REPOS_DIR) so requests cannot point git at arbitrary
+// directories on the server.
+
+const fs = require('fs');
+const path = require('path');
+
+function isInside(baseDir, candidate) {
+  return candidate === baseDir || candidate.startsWith(`${baseDir}${path.sep}`);
+}
+
+// Real path of a directory, or the resolved path when it does not exist
+function realPath(dir) {
+  try {
+    return fs.realpathSync(dir);
+  } catch (error) {
+    return path.resolve(dir);
+  }
+}
+
+/**
+ * Resolve `repoPath` relative to `baseDir`
+ * @returns {string|null} the absolute path, or null when it escapes `baseDir`
+ *   (directly, through `..` or through a symlink)
+ */
+function resolveInside(baseDir, repoPath) {
+  const base = path.resolve(baseDir);
+  const candidate = path.resolve(base, String(repoPath));
+  if (!isInside(base, candidate)) return null;
+  return isInside(realPath(base), realPath(candidate)) ? candidate : null;
+}
+
+module.exports = {
+  isInside,
+  realPath,
+  resolveInside
+};
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archDependencyParser = require('../src/services/arch-dependency-parser.service');
+const violationDetector = require('../src/services/violation-detector.service');
+
+const files = {
+    'package.json': JSON.stringify({ name: 'shop', workspaces: ['packages/*'], imports: { '#config': './src/config/index.ts' } }),
+    'tsconfig.json': `{
+        // comments and trailing commas are allowed here
+        "compilerOptions": { "baseUrl": ".", "paths": { "@models/*": ["src/models/*"], }, },
+    }`,
+    'src/views/cart.tsx': `import { CartController } from '../controllers/cart.controller.js';
+import { Cart } from '@models/cart';
+export default function CartView() { return null; }`,
+    'src/controllers/cart.controller.ts': `import * as services from '../services';
+import config from '#config';
+import { format } from '@shop/utils/format';
+export class CartController {
+  async load() { return import('./lazy'); }
+}`,
+    'src/controllers/lazy.ts': 'export const lazy = true;',
+    'src/services/index.ts': "export * from './cart.service';\nexport { default as pricing } from './pricing.service';",
+    'src/services/cart.service.ts': "import type { Cart } from '../models/cart';\nconst fs = require('node:fs');\nconst _ = require('lodash');",
+    'src/services/pricing.service.ts': 'export default 1;',
+    'src/models/cart.ts': 'export interface Cart { id: string }',
+    'src/config/index.ts': 'export default {};',
+    'packages/utils/package.json': JSON.stringify({ name: '@shop/utils', exports: { './*': { types: './dist/*.d.ts', source: './src/*.ts' } } }),
+    'packages/utils/src/format.ts': 'export const format = (v: number) => v.toFixed(2);',
+    'node_modules/lodash/index.js': 'module.exports = {};'
+};
+
+let root;
+
+beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'arch-graph-'));
+    Object.entries(files).forEach(([file, content]) => {
+        fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+    });
+});
+
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe('ArchDependencyParserService', () => {
+    test('resolves relative, aliased, workspace and dynamic imports to files', async () => {
+        const result = await archDependencyParser.parseLocalRepository(root);
+        const edges = result.graph.edges.map(e => `${e.source} -> ${e.target} (${e.kind})`);
+
+        expect(edges.sort()).toEqual([
+            'src/controllers/cart.controller.ts -> packages/utils/src/format.ts (static)',
+            'src/controllers/cart.controller.ts -> src/config/index.ts (static)',
+            'src/controllers/cart.controller.ts -> src/controllers/lazy.ts (dynamic)',
+            'src/controllers/cart.controller.ts -> src/services/index.ts (static)',
+            'src/services/cart.service.ts -> src/models/cart.ts (static)',
+            'src/services/index.ts -> src/services/cart.service.ts (re-export)',
+            'src/services/index.ts -> src/services/pricing.service.ts (re-export)',
+            'src/views/cart.tsx -> src/controllers/cart.controller.ts (static)',
+            'src/views/cart.tsx -> src/models/cart.ts (static)'
+        ]);
+
+        const service = result.files.find(f => f.path === 'src/services/cart.service.ts');
+        expect(service.imports.map(i => [i.path, i.type, i.package])).toEqual([
+            ['../models/cart', 'internal', null],
+            ['node:fs', 'builtin', 'fs'],
+            ['lodash', 'external', 'lodash']
+        ]);
+        expect(service.imports[0].typeOnly).toBe(true);
+        expect(result.files.some(f => f.path.startsWith('node_modules/'))).toBe(false);
+        expect(result.statistics).toMatchObject({ unresolvedImports: 0, externalPackages: 1 });
+    });
+
+    test('feeds file-level edges into layer violation detection', async () => {
+        const result = await violationDetector.detectViolationsInDirectory(root, 'layered');
+
+        expect(result.violations.map(v => [v.source, v.target, v.severity, v.type])).toEqual([
+            ['src/views/cart.tsx', 'src/models/cart.ts', 'critical', 'skip-layer'],
+            ['src/views/cart.tsx', undefined, 'high', 'drift-bypass']
+        ]);
+        expect(result.heatmap.beams[0]).toMatchObject({ sourceFile: 'src/views/cart.tsx', targetFile: 'src/models/cart.ts', sourceLayer: 'view', targetLayer: 'model' });
+        expect(result.metrics.totalEdges).toBe(9);
+    });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const architectureValidator = require('../src/services/architecture-validator.service');
+const architectureRules = require('../src/services/architecture-rules.service');
+
+const files = {
+    '.xaytheon/architecture.yml': `
+name: Shop
+layers:
+  views: src/views
+  controllers: src/controllers
+  services: src/services
+  packages: packages/*
+allow:
+  views: [controllers, packages]
+  controllers: [services, packages]
+forbid:
+  - from: services
+    to: [controllers, views]
+    severity: critical
+    message: Services must not know about HTTP
+cycles: { scope: files, severity: high }
+fan_out:
+  - layer: controllers
+    max: 2
+modules:
+  - match: packages/*
+    public: ["index.{js,ts}"]
+fail_on: critical
+`,
+    'src/views/cart.js': "import { cart } from '../controllers/cart';\nimport { helper } from '../services/helper';",
+    'src/controllers/cart.js': "import a from '../services/a';\nimport b from '../services/b';\nimport { format } from '../../packages/money/src/format';",
+    'src/services/a.js': "import b from './b';\nimport { cart } from '../controllers/cart';",
+    'src/services/b.js': "import a from './a';",
+    'src/services/helper.js': 'export const helper = 1;',
+    'packages/money/index.js': "export * from './src/format';",
+    'packages/money/src/format.js': 'export const format = (v) => v;'
+};
+
+let root;
+
+beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'arch-rules-'));
+    Object.entries(files).forEach(([file, content]) => {
+        fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+    });
+});
+
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe('Architecture rules DSL', () => {
+    test('evaluates layer edges, cycles, fan-out and module public APIs', async () => {
+        const report = await architectureValidator.validateLocalRepository(root);
+
+        expect(report.violations.map(v => [v.ruleId, v.severity, v.source, v.target])).toEqual([
+            ['arch/forbidden', 'critical', 'src/services/a.js', 'src/controllers/cart.js'],
+            ['arch/cycle', 'high', 'src/controllers/cart.js', 'src/services/a.js'],
+            ['arch/not-allowed', 'high', 'src/views/cart.js', 'src/services/helper.js'],
+            ['arch/fan-out', 'medium', 'src/controllers/cart.js', null],
+            ['arch/public-api', 'medium', 'src/controllers/cart.js', 'packages/money/src/format.js']
+        ]);
+        expect(report.violations.find(v => v.ruleId === 'arch/cycle').cycle)
+            .toEqual(['src/controllers/cart.js', 'src/services/a.js', 'src/controllers/cart.js']);
+        expect(report.gate).toEqual({ failOn: 'critical', failed: true });
+
+        const sarif = architectureRules.toSarif(report);
+        expect(sarif.runs[0].tool.driver.rules.map(r => r.id)).toEqual([
+            'arch/cycle', 'arch/fan-out', 'arch/forbidden', 'arch/not-allowed', 'arch/public-api'
+        ]);
+        expect(sarif.runs[0].results[0]).toMatchObject({
+            ruleId: 'arch/forbidden',
+            level: 'error',
+            locations: [{ physicalLocation: { artifactLocation: { uri: 'src/services/a.js', uriBaseId: '%SRCROOT%' }, region: { startLine: 2 } } }]
+        });
+        expect(sarif.runs[0].tool.driver).toMatchObject({ name: 'xaytheon-architecture', informationUri: 'https://github.com/Saatvik-GT/xaytheon' });
+    });
+
+    test('reports every problem in an invalid rules file', () => {
+        expect(() => architectureValidator.validateRuleSet({ graph: { nodes: [], edges: [] } }, architectureValidator.loadDefinition(`
+layers:
+  api: src/api
+allow:
+  api: [db]
+fan_in:
+  - layer: api
+fail_on: urgent
+`))).toThrow(expect.objectContaining({
+            statusCode: 400,
+            problems: [
+                'allow.api refers to unknown layer "db"',
+                'fan_in[0] needs a non-negative integer "max"',
+                'fail_on severity must be one of critical, high, medium, low'
+            ]
+        }));
+    });
+});
@@ -0,0 +1,152 @@
+const bundleStats = require('../src/services/bundle-stats.service');
+const bundleAnalyzer = require('../src/services/bundle-analyzer.service');
+
+const webpackStats = {
+    version: '5.90.0',
+    chunks: [
+        { id: 179, names: ['main'], files: ['main.3f2a1b4c.js', 'main.3f2a1b4c.js.map'], entry: true, initial: true },
+        { id: 42, names: ['dashboard'], files: ['42.js'], entry: false, initial: false }
+    ],
+    modules: [
+        {
+            name: './src/index.js + 2 modules',
+            size: 3000,
+            chunks: [179],
+            modules: [
+                { name: './src/index.js', size: 1000, reasons: [{ type: 'entry', moduleName: null }] },
+                { name: './src/utils/format.js', size: 2000, source: 'export const format = v => String(v);\n'.repeat(40), reasons: [{ moduleName: './src/index.js' }] }
+            ]
+        },
+        { name: './node_modules/lodash/lodash.js', size: 540000, chunks: [179], reasons: [{ moduleName: './src/index.js + 2 modules' }] },
+        { name: './node_modules/chart/node_modules/lodash/lodash.js', size: 530000, chunks: [42], reasons: [{ moduleName: './src/dashboard.js' }] },
+        { name: './node_modules/css-loader/dist/cjs.js!./src/styles/app.css', size: 800, chunks: [179] },
+        { name: './src/dashboard.js', size: 4000, chunks: [42], reasons: [{ moduleName: './src/index.js' }] },
+        { name: 'webpack/runtime/load script', size: 1200, moduleType: 'runtime', chunks: [179] },
+        { name: 'external "react"', size: 42, chunks: [179] }
+    ]
+};
+
+const visualizerData = {
+    version: 2,
+    tree: { name: 'root', children: [] },
+    nodeParts: {
+        'p-1': { renderedLength: 1200, gzipLength: 500, brotliLength: 420, metaUid: 'm-1' },
+        'p-2': { renderedLength: 800, gzipLength: 300, brotliLength: 260, metaUid: 'm-2' },
+        'p-3': { renderedLength: 300, gzipLength: 150, brotliLength: 120, metaUid: 'm-2' }
+    },
+    nodeMetas: {
+        'm-1': { id: '/home/dev/app/src/main.ts', moduleParts: { 'assets/index-B3x9kQ2a.js': 'p-1' }, imported: [{ uid: 'm-2' }], importedBy: [], isEntry: true },
+        'm-2': { id: '/home/dev/app/node_modules/.pnpm/dayjs@1.11.10/node_modules/dayjs/dayjs.min.js', moduleParts: { 'assets/index-B3x9kQ2a.js': 'p-2', 'assets/admin-9kx2Lq01.js': 'p-3' }, imported: [], importedBy: [{ uid: 'm-1' }] },
+        'm-3': { id: 'react', moduleParts: {}, imported: [], importedBy: [], isExternal: true }
+    },
+    env: { rollup: '4.9.0' },
+    options: { gzip: true, brotli: true, sourcemap: false }
+};
+
+const esbuildMeta = {
+    inputs: {
+        'src/app.ts': { bytes: 900, imports: [{ path: 'src/api/client.ts', kind: 'import-statement' }, { path: 'react', kind: 'import-statement', external: true }] },
+        'src/api/client.ts': { bytes: 700, imports: [] },
+        'src/unused.ts': { bytes: 400, imports: [] }
+    },
+    outputs: {
+        'dist/app.js': { bytes: 1500, entryPoint: 'src/app.ts', inputs: { 'src/app.ts': { bytesInOutput: 850 }, 'src/api/client.ts': { bytesInOutput: 600 }, 'src/unused.ts': { bytesInOutput: 0 } } },
+        'dist/app.js.map': { bytes: 3000, inputs: {} }
+    }
+};
+
+describe('BundleStatsService', () => {
+    test('imports webpack stats with chunk membership, measured compression and duplicates', () => {
+        const graph = bundleStats.parse(webpackStats, {
+            packageLock: {
+                lockfileVersion: 3,
+                packages: {
+                    '': { name: 'web' },
+                    'node_modules/lodash': { version: '4.17.21' },
+                    'node_modules/chart': { version: '2.0.0' },
+                    'node_modules/chart/node_modules/lodash': { version: '3.10.1' }
+                }
+            }
+        });
+
+        expect(graph.modules.map(m => m.id).sort()).toEqual([
+            'node_modules/chart/node_modules/lodash/lodash.js',
+            'node_modules/lodash/lodash.js',
+            'src/dashboard.js',
+            'src/index.js',
+            'src/styles/app.css',
+            'src/utils/format.js'
+        ]);
+        const index = graph.modules.find(m => m.id === 'src/index.js');
+        expect(index).toMatchObject({ entry: true, chunks: ['main'], imports: ['src/utils/format.js', 'node_modules/lodash/lodash.js', 'src/dashboard.js'] });
+        expect(graph.modules.find(m => m.id === 'src/utils/format.js').gzip).toBeLessThan(200);
+        expect(graph.chunks.map(c => [c.name, c.files, c.modules])).toEqual([['main', ['main.3f2a1b4c.js'], 4], ['dashboard', ['42.js'], 2]]);
+        expect(graph.duplicates).toEqual([{
+            package: 'lodash',
+            versions: ['4.17.21', '3.10.1'],
+            instances: [
+                { path: 'node_modules/lodash', version: '4.17.21', size: 540000, modules: 1 },
+                { path: 'node_modules/chart/node_modules/lodash', version: '3.10.1', size: 530000, modules: 1 }
+            ],
+            wastedBytes: 530000
+        }]);
+    });
+
+    test('imports rollup-plugin-visualizer data and esbuild metafiles', () => {
+        const vite = bundleStats.parse(visualizerData);
+        expect(vite.modules.map(m => [m.id, m.size, m.gzip, m.brotli, m.version])).toEqual([
+            ['src/main.ts', 1200, 500, 420, null],
+            ['node_modules/.pnpm/dayjs@1.11.10/node_modules/dayjs/dayjs.min.js', 1100, 450, 380, '1.11.10']
+        ]);
+        expect(vite.modules[1]).toMatchObject({ package: 'dayjs', importedBy: ['src/main.ts'], chunks: ['assets/index-B3x9kQ2a.js', 'assets/admin-9kx2Lq01.js'] });
+        expect(vite.totals).toMatchObject({ modules: 2, chunks: 2, size: 2300, gzip: 950, brotli: 800 });
+
+        const esbuild = bundleStats.parse(esbuildMeta);
+        expect(esbuild.tool).toBe('esbuild');
+        expect(esbuild.modules.map(m => [m.id, m.size, m.entry])).toEqual([['src/app.ts', 850, true], ['src/api/client.ts', 600, false]]);
+        expect(esbuild.modules[0].imports).toEqual(['src/api/client.ts']);
+        expect(esbuild.chunks).toEqual([expect.objectContaining({ name: 'dist/app.js', size: 1450, gzip: null })]);
+
+        expect(() => bundleStats.parse({ hello: 'world' })).toThrow('Unrecognized stats format');
+    });
+});
+
+describe('BundleAnalyzerService', () => {
+    test('lays modules out as a non-overlapping treemap grouped by directory', async () => {
+        const city = await bundleAnalyzer.generateCityLayout(webpackStats);
+
+        expect(city.buildings).toHaveLength(6);
+        expect(city.districts.map(d => d.path)).toEqual(expect.arrayContaining(['node_modules', 'src']));
+        const overlaps = (a, b) =>
+            Math.abs(a.x - b.x) * 2 < a.width + b.width && Math.abs(a.z - b.z) * 2 < a.depth + b.depth;
+        city.buildings.forEach((a, i) => city.buildings.slice(i + 1).forEach(b => expect(overlaps(a, b)).toBe(false)));
+        city.buildings.forEach(b => {
+            expect(Math.abs(b.x) + b.width / 2).toBeLessThanOrEqual(city.citySize / 2);
+            expect(Math.abs(b.z) + b.depth / 2).toBeLessThanOrEqual(city.citySize / 2);
+        });
+
+        const lodash = city.buildings.find(b => b.id === 'node_modules/lodash/lodash.js');
+        const format = city.buildings.find(b => b.id === 'src/utils/format.js');
+        expect(lodash.width * lodash.depth).toBeGreaterThan(format.width * format.depth * 50);
+        expect(lodash.duplicate).toBe(true);
+        expect(city.summary).toMatchObject({ tool: 'webpack', totalFiles: 6, duplicatePackages: 1, bloatFactor: '49%' });
+    });
+
+    test('diffs two builds', async () => {
+        const head = JSON.parse(JSON.stringify(webpackStats));
+        head.modules = head.modules.filter(m => !m.name.includes('chart/node_modules/lodash'));
+        head.modules.find(m => m.name === './src/dashboard.js').size = 6500;
+        head.modules.push({ name: './src/charts/line.js', size: 1500, chunks: [42] });
+
+        const diff = await bundleAnalyzer.diffBuilds(webpackStats, head);
+        expect(diff.modules.map(m => [m.id, m.status, m.delta])).toEqual([
+            ['node_modules/chart/node_modules/lodash/lodash.js', 'removed', -530000],
+            ['src/dashboard.js', 'grown', 2500],
+            ['src/charts/line.js', 'added', 1500]
+        ]);
+        expect(diff.summary).toMatchObject({ sizeDelta: -526000, added: 1, removed: 1, grown: 1, unchanged: 4 });
+        expect(diff.duplicates.resolved.map(d => d.package)).toEqual(['lodash']);
+        expect(diff.buildings.find(b => b.id === 'src/charts/line.js').diff).toMatchObject({ status: 'added', label: '+1.46 KB' });
+        expect(diff.chunks.find(c => c.name === 'dashboard').delta).toBe(-526000);
+    });
+});
@@ -0,0 +1,104 @@
+const collabService = require('../src/services/collab.service');
+const TextOperation = require('../src/services/text-operation.engine');
+
+describe('CollaborationService document sync', () => {
+    let roomId;
+
+    beforeEach(() => {
+        roomId = `room-${Math.random().toString(36).slice(2)}`;
+        collabService.joinRoom(roomId, 'socket-1', 'u1', { name: 'User 1' });
+    });
+
+    test('transforms concurrent edits made against the same revision', () => {
+        collabService.applyOperation(roomId, { userId: 'u1', clientId: 'a', seq: 1, revision: 0, operation: ['hello world'] });
+
+        // Both clients saw revision 1 and edit concurrently.
+        const first = collabService.applyOperation(roomId, { userId: 'u1', clientId: 'a', seq: 2, revision: 1, operation: [5, ' big', 6] });
+        const second = collabService.applyOperation(roomId, { userId: 'u1', clientId: 'b', seq: 1, revision: 1, operation: [6, -5, 'there'] });
+
+        expect(first.revision).toBe(2);
+        expect(second.revision).toBe(3);
+        expect(second.operation).toEqual([10, 'there', -5]);
+        expect(collabService.getSnapshot(roomId)).toMatchObject({ content: 'hello big there', revision: 3 });
+    });
+
+    test('acknowledges a resent operation without applying it twice', () => {
+        collabService.applyOperation(roomId, { userId: 'u1', clientId: 'a', seq: 1, revision: 0, operation: ['abc'] });
+        const resent = collabService.applyOperation(roomId, { userId: 'u1', clientId: 'a', seq: 1, revision: 0, operation: ['abc'] });
+
+        expect(resent).toEqual({ operation: null, revision: 1, duplicate: true });
+        expect(collabService.getSnapshot(roomId).content).toBe('abc');
+    });
+
+    test('returns missed operations on resync and rejects revisions from the future', () => {
+        collabService.applyOperation(roomId, { userId: 'u1', clientId: 'a', seq: 1, revision: 0, operation: ['x'] });
+        collabService.applyOperation(roomId, { userId: 'u1', clientId: 'b', seq: 1, revision: 1, operation: [1, 'y'] });
+
+        const state = collabService.getResyncState(roomId, 'a', 1);
+        expect(state.type).toBe('operations');
+        expect(state.lastSeq).toBe(1);
+        expect(state.operations).toEqual([expect.objectContaining({ revision: 2, clientId: 'b', operation: [1, 'y'] })]);
+
+        expect(() => collabService.applyOperation(roomId, { userId: 'u1', clientId: 'a', seq: 2, revision: 7, operation: [2, 'z'] }))
+            .toThrow(/Invalid revision/);
+        expect(collabService.getResyncState(roomId, 'c').type).toBe('snapshot');
+    });
+
+    test('rejects operations that do not fit their revision with 409', () => {
+        collabService.applyOperation(roomId, { userId: 'u1', clientId: 'a', seq: 1, revision: 0, operation: ['abc'] });
+
+        // Claims revision 0 (empty document) but retains two characters
+        expect(() => collabService.applyOperation(roomId, { userId: 'u1', clientId: 'b', seq: 1, revision: 0, operation: [2, 'x'] }))
+            .toThrow(expect.objectContaining({ name: 'CollaborationError', statusCode: 409 }));
+        expect(collabService.getSnapshot(roomId)).toMatchObject({ content: 'abc', revision: 1 });
+    });
+
+    test('reads never create rooms and only members may edit', () => {
+        expect(() => collabService.getSnapshot('no-such-room')).toThrow(expect.objectContaining({ statusCode: 404 }));
+        expect(() => collabService.getResyncState('no-such-room', 'a')).toThrow(expect.objectContaining({ statusCode: 404 }));
+        expect(() => collabService.applyOperation('no-such-room', { userId: 'u1', clientId: 'a', revision: 0, operation: ['x'] }))
+            .toThrow(expect.objectContaining({ statusCode: 404 }));
+        expect(collabService.rooms.has('no-such-room')).toBe(false);
+
+        expect(() => collabService.applyOperation(roomId, { userId: 'mallory', clientId: 'm', revision: 0, operation: ['x'] }))
+            .toThrow(expect.objectContaining({ statusCode: 403 }));
+        expect(() => collabService.applyOperation(roomId, { clientId: 'm', revision: 0, operation: ['x'] }))
+            .toThrow(expect.objectContaining({ statusCode: 403 }));
+        expect(collabService.getSnapshot(roomId).revision).toBe(0);
+    });
+
+    test('keeps the document after the last viewer leaves until the room idles out', () => {
+        // Two tabs of the same user: closing one keeps the user in the room
+        collabService.joinRoom(roomId, 'socket-2', 'u1', { name: 'User 1' });
+        collabService.applyOperation(roomId, { userId: 'u1', clientId: 'a', seq: 1, revision: 0, operation: ['draft'] });
+        collabService.leaveRoom(roomId, 'socket-1');
+        expect(collabService.isViewing(roomId, 'u1')).toBe(true);
+        expect(collabService.getPresence(roomId).map(v => v.id)).toEqual(['socket-2']);
+
+        // The sole editor drops and reconnects: the draft is still there
+        collabService.leaveRoom(roomId, 'socket-2');
+        expect(collabService.isViewing(roomId, 'u1')).toBe(false);
+        collabService.joinRoom(roomId, 'socket-3', 'u1', { name: 'User 1' });
+        expect(collabService.getResyncState(roomId, 'a', 0)).toMatchObject({ type: 'operations', revision: 1, lastSeq: 1 });
+        expect(collabService.getSnapshot(roomId).content).toBe('draft');
+
+        collabService.leaveRoom(roomId, 'socket-3');
+        const { idleSince } = collabService.rooms.get(roomId);
+        collabService.evictIdleRooms(idleSince + 60 * 1000);
+        expect(collabService.getSnapshot(roomId).content).toBe('draft');
+
+        collabService.evictIdleRooms(idleSince + 24 * 60 * 60 * 1000);
+        expect(collabService.rooms.has(roomId)).toBe(false);
+        expect(() => collabService.getOperationsSince(roomId, 0)).toThrow(expect.objectContaining({ statusCode: 404 }));
+    });
+
+    test('TextOperation transform converges for overlapping deletes and inserts', () => {
+        const doc = 'collaborative editing';
+        const a = TextOperation.fromDiff(doc, 'collaborative text editing');
+        const b = TextOperation.fromDiff(doc, 'collab editing');
+        const [aPrime, bPrime] = TextOperation.transform(a, b);
+
+        expect(bPrime.apply(a.apply(doc))).toBe(aPrime.apply(b.apply(doc)));
+        expect(a.compose(bPrime).apply(doc)).toBe(bPrime.apply(a.apply(doc)));
+    });
+});
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../src/config/db');
+const compliance = require('../src/services/compliance.service');
+const frameworkPacks = require('../src/services/compliance-frameworks.service');
+
+let root;
+
+beforeAll(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'frameworks-'));
+    fs.mkdirSync(path.join(root, 'nginx'));
+    fs.writeFileSync(path.join(root, 'nginx/site.conf'), 'server {\n    listen 443 ssl;\n    ssl_protocols TLSv1.1 TLSv1.2;\n}\n');
+    fs.writeFileSync(path.join(root, 'index.js'), "module.exports = 'ok';\n");
+    process.env.AUDIT_REPOS_DIR = root;
+    await db.ready;
+});
+
+afterAll(done => {
+    delete process.env.AUDIT_REPOS_DIR;
+    fs.rmSync(root, { recursive: true, force: true });
+    db.close(done);
+});
+
+describe('Compliance framework packs', () => {
+    test('loads the built-in packs and evidences mapped controls with the checks of their counterparts', () => {
+        expect(frameworkPacks.listFrameworks().map(f => f.id)).toEqual(['GDPR', 'HIPAA', 'ISO27001', 'PCI-DSS', 'SOC2']);
+
+        expect(frameworkPacks.mappedControls('SOC2', 'CC6.7')).toEqual(expect.arrayContaining([
+            { framework: 'HIPAA', control: '164.312(e)(1)' },
+            { framework: 'PCI-DSS', control: '4.2.1' }
+        ]));
+        expect(frameworkPacks.controlsForCheck('tls-weak-cipher', ['HIPAA', 'ISO27001'])).toEqual([
+            { framework: 'HIPAA', control: '164.312(e)(1)' },
+            { framework: 'ISO27001', control: 'A.10.1.1' }
+        ]);
+
+        expect(() => frameworkPacks.registerFramework({ id: 'BROKEN', controls: [{ id: '1', mapsTo: ['SOC2'] }] }))
+            .toThrow(/FRAMEWORK:CONTROL/);
+        expect(frameworkPacks.has('BROKEN')).toBe(false);
+    });
+
+    test('reports control coverage from audits and attestations with evidence', async () => {
+        const audit = await compliance.performAudit('.', ['SOC2', 'HIPAA']);
+        expect(audit.violations[0]).toMatchObject({ checkId: 'tls-weak-protocol', framework: 'SOC2', control: 'CC6.7' });
+        expect(audit.violations[0].controls).toContainEqual({ framework: 'HIPAA', control: '164.312(e)(1)' });
+
+        await expect(compliance.attestControl({ framework: 'SOC2', controlId: 'CC7.1', statement: 'Alerts page on-call' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+
+        const runbook = Buffer.from('# Monitoring runbook\n');
+        const attestation = await compliance.attestControl({
+            framework: 'SOC2',
+            controlId: 'CC7.1',
+            statement: 'Alerts on configuration changes page the on-call engineer',
+            evidence: [{ filename: '../../runbook.md', data: `data:text/markdown;base64,${runbook.toString('base64')}` }]
+        }, 7);
+        expect(attestation).toMatchObject({ attestedBy: 7, evidence: [{ filename: 'runbook.md', contentType: 'text/markdown', size: runbook.length }] });
+
+        const coverage = await compliance.getFrameworkCoverage({ auditId: audit.auditId });
+        const status = (framework, control) => coverage[framework].controls.find(c => c.id === control).status;
+        expect(status('SOC2', 'CC6.7')).toBe('failed');
+        expect(status('HIPAA', '164.312(e)(1)')).toBe('failed');
+        // Passing checks do not replace the evidence a control asks for
+        expect(status('SOC2', 'CC6.1')).toBe('needs-evidence');
+        expect(status('HIPAA', '164.312(a)(1)')).toBe('satisfied');
+        expect(status('SOC2', 'CC7.1')).toBe('satisfied');
+        expect(status('PCI-DSS', '10.4.1')).toBe('satisfied');
+        expect(coverage['PCI-DSS'].controls.find(c => c.id === '10.4.1').attestations[0].attestedVia)
+            .toEqual({ framework: 'SOC2', control: 'CC7.1' });
+        // No audit targeted PCI DSS, so its checks did not run
+        expect(status('PCI-DSS', '3.5.1')).toBe('not-assessed');
+        expect(coverage.SOC2.audit.auditId).toBe(audit.auditId);
+        expect(coverage['PCI-DSS'].audit).toBeNull();
+
+        const file = await compliance.getEvidence(attestation.id, attestation.evidence[0].id);
+        expect(file.content.equals(runbook)).toBe(true);
+
+        await compliance.revokeAttestation(attestation.id, 1);
+        const after = await compliance.getFrameworkCoverage({ auditId: audit.auditId });
+        expect(after.SOC2.controls.find(c => c.id === 'CC7.1').status).toBe('needs-evidence');
+        await expect(compliance.revokeAttestation(attestation.id, 1)).rejects.toMatchObject({ statusCode: 409 });
+    });
+});
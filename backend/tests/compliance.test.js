@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../src/config/db');
+const compliance = require('../src/services/compliance.service');
+
+// Secrets and personal data are assembled at runtime so this file does not trip the scanners itself
+const awsKey = ['AKIA', 'Z7QWERTYUIOP2345'].join('');
+const githubToken = ['ghp', '_', 'a1B2c3D4'.repeat(4), 'e5F6'].join('');
+const card = ['4539', '1488', '0343', '6467'].join(' ');
+const email = ['jane.doe', 'gmail.com'].join('@');
+
+const files = {
+    'src/config.js': [
+        `const aws = { accessKeyId: '${awsKey}' };`,
+        `const github = '${githubToken}';`,
+        "const agent = new https.Agent({ rejectUnauthorized: false });",
+        "const legacy = new https.Agent({ rejectUnauthorized: false }); // compliance-ignore",
+        "module.exports = { aws, github, agent, legacy };"
+    ].join('\n'),
+    'fixtures/customers.json': JSON.stringify([{ email, card, support: 'help@example.com' }], null, 2),
+    'k8s/ingress.yaml': [
+        'apiVersion: apps/v1',
+        'kind: Deployment',
+        'metadata:',
+        '  name: shop',
+        '---',
+        'apiVersion: networking.k8s.io/v1',
+        'kind: Ingress',
+        'metadata:',
+        '  name: shop',
+        '  annotations:',
+        '    nginx.ingress.kubernetes.io/ssl-redirect: "false"',
+        'spec:',
+        '  rules:',
+        '    - host: shop.example.com'
+    ].join('\n'),
+    'nginx/site.conf': [
+        'server {',
+        '    listen 80;',
+        '    server_name shop.example.com;',
+        '    location / { proxy_pass http://app:3000; }',
+        '}',
+        'server {',
+        '    listen 80;',
+        '    return 301 https://$host$request_uri;',
+        '}',
+        'server {',
+        '    listen 443 ssl;',
+        '    ssl_protocols TLSv1 TLSv1.2 TLSv1.3;',
+        '}'
+    ].join('\n'),
+    Dockerfile: 'FROM node:20\nADD http://downloads.example.com/tool.tgz /opt/\nRUN npm ci\n',
+    '.github/CODEOWNERS': '/docs/\n*.js @acme/backend\n',
+    '.github/settings.yml': [
+        'repository:',
+        '  default_branch: main',
+        'branches:',
+        '  - name: main',
+        '    protection:',
+        '      required_pull_request_reviews:',
+        '        required_approving_review_count: 0',
+        '      required_status_checks: null',
+        '      enforce_admins: true',
+        '      allow_force_pushes: true'
+    ].join('\n')
+};
+
+let root;
+
+beforeAll(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    Object.entries(files).forEach(([file, content]) => {
+        fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+    });
+    process.env.AUDIT_REPOS_DIR = root;
+    await db.ready;
+});
+
+afterAll(done => {
+    delete process.env.AUDIT_REPOS_DIR;
+    fs.rmSync(root, { recursive: true, force: true });
+    db.close(done);
+});
+
+describe('Compliance audit scanners', () => {
+    test('reports each finding with its check, controls, file and line, the same on every run', async () => {
+        const report = await compliance.performAudit('.', ['SOC2', 'GDPR']);
+        const found = report.violations.map(v => `${v.checkId} ${v.file}:${v.line}`);
+
+        expect(found).toEqual(expect.arrayContaining([
+            'secret-aws-key src/config.js:1',
+            'secret-github-token src/config.js:2',
+            'tls-verification-disabled src/config.js:3',
+            'pii-card-number fixtures/customers.json:4',
+            'pii-email fixtures/customers.json:3',
+            'tls-ingress-missing k8s/ingress.yaml:7',
+            'tls-redirect-disabled k8s/ingress.yaml:11',
+            'tls-plain-http-listener nginx/site.conf:1',
+            'tls-weak-protocol nginx/site.conf:12',
+            'tls-plain-http-download Dockerfile:2',
+            'codeowners-unowned .github/CODEOWNERS:1',
+            'codeowners-unowned .github/CODEOWNERS:null',
+            'branch-protection-reviews .github/settings.yml:6',
+            'branch-protection-status-checks .github/settings.yml:8',
+            'branch-protection-force-push .github/settings.yml:10'
+        ]));
+        // The redirecting server, the ignored line, example.com addresses and enforce_admins pass
+        expect(found).toHaveLength(15);
+
+        const awsFinding = report.violations.find(v => v.checkId === 'secret-aws-key');
+        expect(awsFinding).toMatchObject({ severity: 'critical', framework: 'SOC2', control: 'CC6.1' });
+        expect(awsFinding.evidence).not.toContain(awsKey);
+        expect(report.violations.find(v => v.checkId === 'pii-email').evidence).toBe('j***@gmail.com');
+
+        const again = await compliance.performAudit('.', ['SOC2', 'GDPR']);
+        expect(again.violations).toEqual(report.violations);
+        expect(again.overallScore).toBe(report.overallScore);
+        expect(report.statistics.failedChecks).toBe(report.checks.filter(c => c.status === 'failed').length);
+    });
+
+    test('keeps findings of the audited frameworks and refuses paths outside AUDIT_REPOS_DIR', async () => {
+        const gdpr = await compliance.performAudit('.', ['GDPR']);
+
+        expect(gdpr.violations.every(v => v.framework === 'GDPR')).toBe(true);
+        expect(gdpr.violations.find(v => v.checkId === 'pii-card-number')).toMatchObject({ control: 'Art. 32' });
+        expect(gdpr.violations.some(v => v.checkId.startsWith('codeowners'))).toBe(false);
+
+        await expect(compliance.performAudit('..', ['SOC2'])).rejects.toMatchObject({ statusCode: 403 });
+        await expect(compliance.performAudit('.', ['FEDRAMP'])).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
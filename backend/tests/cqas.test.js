@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../src/config/db');
+const codeAnalyzer = require('../src/services/code-analyzer.service');
+const coverageReport = require('../src/services/coverage-report.service');
+
+const cartSource = `
+/**
+ * Total of a cart in cents
+ */
+function total(items) {
+    let sum = 0;
+    for (const item of items) {
+        if (item.quantity > 0 && !item.removed) sum += item.price * item.quantity;
+    }
+    return sum;
+}
+
+function discount(sum, code) {
+    return code === 'HALF' ? sum / 2 : sum;
+}
+
+module.exports = { total, discount };
+`;
+
+// Same structure as the loop in total(), under other names
+const clone = name => `
+exports.${name} = function (rows) {
+    let acc = 0;
+    for (const row of rows) {
+        if (row.count > 0 && !row.deleted) acc += row.amount * row.count;
+    }
+    for (const row of rows) {
+        if (row.count > 0 && !row.deleted) acc -= row.fee * row.count;
+    }
+    return acc;
+};
+`;
+
+const lcov = `TN:
+SF:${'/ci/work/shop/src/cart.js'}
+FN:5,total
+FN:13,discount
+FNDA:4,total
+FNDA:0,discount
+DA:6,4
+DA:7,4
+DA:8,9
+DA:10,4
+DA:14,0
+BRDA:8,0,0,6
+BRDA:8,0,1,3
+BRDA:14,1,0,-
+BRDA:14,1,1,-
+end_of_record
+`;
+
+const packageJson = { name: 'shop', dependencies: { express: '^4.18.0', lodash: '^4.17.0' }, devDependencies: { jest: '^29.0.0' } };
+const packageLock = {
+    lockfileVersion: 3,
+    packages: {
+        '': packageJson,
+        'node_modules/express': { version: '4.18.2' },
+        'node_modules/lodash': { version: '4.17.21' },
+        'node_modules/jest': { version: '29.7.0', dev: true }
+    }
+};
+const latestVersions = { express: '5.1.0', lodash: '4.17.21', jest: '29.7.0' };
+
+let root;
+const write = (file, content) => {
+    fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+};
+
+beforeAll(async () => {
+    process.env.CQAS_OFFLINE = 'true';
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'cqas-'));
+    write('src/cart.js', cartSource);
+    write('tests/cart.test.js', clone('ignoredBecauseTest'));
+    write('coverage/lcov.info', lcov);
+    write('package.json', JSON.stringify(packageJson));
+    write('package-lock.json', JSON.stringify(packageLock));
+    await db.ready;
+});
+
+afterAll(done => {
+    delete process.env.CQAS_OFFLINE;
+    fs.rmSync(root, { recursive: true, force: true });
+    db.close(done);
+});
+
+describe('Code Quality Aggregate Score', () => {
+    test('parses lcov and istanbul reports into the same counters', () => {
+        const fromLcov = coverageReport.forRepository(coverageReport.parse(lcov), ['src/cart.js'], '/elsewhere');
+        expect(fromLcov.files['src/cart.js']).toMatchObject({
+            lines: { found: 5, hit: 4 },
+            functions: { found: 2, hit: 1 },
+            branches: { found: 4, hit: 2 }
+        });
+        expect(fromLcov.totals.lines.pct).toBe(80);
+
+        const fromIstanbul = coverageReport.parse(JSON.stringify({
+            '/ci/work/shop/src/cart.js': {
+                path: '/ci/work/shop/src/cart.js',
+                statementMap: { 0: { start: { line: 6 } }, 1: { start: { line: 7 } }, 2: { start: { line: 7 } } },
+                s: { 0: 1, 1: 0, 2: 3 },
+                fnMap: { 0: { name: 'total', decl: { start: { line: 5 } } } },
+                f: { 0: 1 },
+                branchMap: { 0: { type: 'cond-expr', loc: { start: { line: 14 } } } },
+                b: { 0: [2, 0] }
+            }
+        }));
+        expect(fromIstanbul.format).toBe('istanbul');
+        expect(fromIstanbul.totals).toMatchObject({
+            lines: { found: 2, hit: 2, pct: 100 },
+            functions: { found: 1, hit: 1 },
+            branches: { found: 2, hit: 1, pct: 50 }
+        });
+        expect(() => coverageReport.parse('not a report')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('scores a checkout and records regressions per branch and commit', async () => {
+        const first = await codeAnalyzer.computeAndRecord('acme/shop', 'main', 'c1', { rootDir: root, latestVersions });
+
+        expect(first.skipped).toEqual([]);
+        expect(first.delta).toBeNull();
+        expect(first.dimensions.coverage.breakdown).toMatchObject({ report: 'coverage/lcov.info', lines: 80, branches: 50, filesCovered: 1 });
+        expect(first.dimensions.coverage.score).toBe(71);
+        expect(first.dimensions.documentation.breakdown).toMatchObject({
+            documented: 1,
+            documentable: 2,
+            undocumented: [{ file: 'src/cart.js', name: 'discount', line: 13 }]
+        });
+        expect(first.dimensions.duplication.breakdown.exactDuplicates).toBe(0);
+        expect(first.dimensions.freshness.breakdown).toMatchObject({
+            packages: 3, current: 2, major: 1, lockfiles: 1,
+            mostOutdated: [{ name: 'express', installed: '4.18.2', latest: '5.1.0', behind: 'major' }]
+        });
+        expect(first.dimensions.freshness.score).toBe(80);
+
+        // The next commit copies a function twice and loses its coverage report
+        write('src/ledger.js', clone('balance'));
+        write('src/refunds.js', clone('refunded'));
+        fs.rmSync(path.join(root, 'coverage'), { recursive: true });
+
+        const gate = await codeAnalyzer.evaluateCIGate('acme/shop', 'main', 'c2', { minScore: 50, maxRegressionDelta: 1 }, { latestVersions, rootDir: root });
+        expect(gate.skipped).toEqual(['coverage']);
+        expect(gate.previousCommitId).toBe('c1');
+        expect(gate.dimensionDeltas.duplication).toBeLessThan(0);
+        expect(gate.dimensions.duplication.breakdown.topClones[0]).toMatchObject({
+            similarity: 100,
+            first: { file: 'src/ledger.js', name: 'balance' },
+            second: { file: 'src/refunds.js', name: 'refunded' }
+        });
+        expect(gate.passed).toBe(false);
+        expect(gate.failReasons[0]).toMatch(/^Score regressed by [\d.]+ points since c1/);
+
+        // A feature branch without history is compared against its base branch
+        const feature = await codeAnalyzer.computeAndRecord('acme/shop', 'feature/refunds', 'c3', { rootDir: root, latestVersions, baseBranch: 'main' });
+        expect(feature.previousCommitId).toBe('c2');
+
+        const history = await codeAnalyzer.getCQASHistory('acme/shop', 'main');
+        expect(history.map(s => s.commitId)).toEqual(['c1', 'c2']);
+        expect(history[1].dimensions).not.toHaveProperty('coverage');
+
+        const analysis = await codeAnalyzer.analyzeRepository('acme/shop', { rootDir: root, branch: 'main' });
+        expect(analysis.files.map(f => f.path)).toEqual(['src/ledger.js', 'src/refunds.js', 'src/cart.js']);
+        expect(analysis.files[0]).toMatchObject({ cyclomaticComplexity: 7, codeSmells: [{ type: 'Duplicate Code' }] });
+        expect(analysis.trends.map(t => t.commitId)).toEqual(['c1', 'c2']);
+    });
+});
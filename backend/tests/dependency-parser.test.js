@@ -0,0 +1,121 @@
+const semver = require('../src/services/semver-range.engine');
+const lockfileResolver = require('../src/services/lockfile-resolver.service');
+const dependencyParser = require('../src/services/dependency-parser.service');
+
+const packageLock = {
+    name: 'api',
+    version: '1.0.0',
+    lockfileVersion: 3,
+    packages: {
+        '': { name: 'api', version: '1.0.0', dependencies: { express: '^4.18.0' }, devDependencies: { jest: '^29.0.0' } },
+        'node_modules/express': { version: '4.18.2', dependencies: { qs: '6.11.0', debug: '2.6.9' } },
+        'node_modules/qs': { version: '6.11.0' },
+        'node_modules/debug': { version: '2.6.9', dependencies: { ms: '2.0.0' } },
+        'node_modules/ms': { version: '2.1.3', dev: true },
+        'node_modules/debug/node_modules/ms': { version: '2.0.0' },
+        'node_modules/jest': { version: '29.7.0', dev: true, dependencies: { ms: '^2.1.0' } }
+    }
+};
+
+const classicYarnLock = `# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+# yarn lockfile v1
+
+
+"@scope/util@^1.0.0":
+  version "1.2.0"
+  dependencies:
+    ms "^2.1.1"
+
+ms@^2.1.1, ms@^2.1.3:
+  version "2.1.3"
+  resolved "https://registry.yarnpkg.com/ms/-/ms-2.1.3.tgz"
+`;
+
+const berryYarnLock = `__metadata:
+  version: 6
+  cacheKey: 8
+
+"@scope/util@npm:^1.0.0":
+  version: 1.2.0
+  resolution: "@scope/util@npm:1.2.0"
+  dependencies:
+    ms: ^2.1.1
+  languageName: node
+  linkType: hard
+
+"ms@npm:^2.1.1":
+  version: 2.1.3
+  resolution: "ms@npm:2.1.3"
+  languageName: node
+  linkType: hard
+
+"web@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "web@workspace:."
+  dependencies:
+    "@scope/util": ^1.0.0
+  languageName: unknown
+  linkType: soft
+`;
+
+describe('SemverRangeEngine', () => {
+    test('matches compound, hyphen, X and caret ranges like npm', () => {
+        expect(semver.satisfies('1.9.0', '>=1.2 <2')).toBe(true);
+        expect(semver.satisfies('2.0.0', '>=1.2 <2')).toBe(false);
+        expect(semver.satisfies('2.4.0', '1.x || 2.x')).toBe(true);
+        expect(semver.satisfies('2.3.4', '1.2 - 2.3.4')).toBe(true);
+        expect(semver.satisfies('0.3.0', '^0.2.3')).toBe(false);
+        expect(semver.satisfies('0.0.4', '^0.0.3')).toBe(false);
+        expect(semver.satisfies('1.2.3-beta.3', '^1.2.3-beta.2')).toBe(true);
+        expect(semver.satisfies('1.2.4-beta.1', '^1.2.3-beta.2')).toBe(false);
+        expect(semver.validRange('~1.2 || 1.2.3 - 2')).toBe('>=1.2.0 <1.3.0-0||>=1.2.3 <3.0.0-0');
+    });
+
+    test('intersects ranges', () => {
+        expect(dependencyParser.doRangesOverlap('^1.2.0', '~1.3.5')).toBe(true);
+        expect(dependencyParser.doRangesOverlap('>=1.2 <2', '^2.0.0')).toBe(false);
+        expect(dependencyParser.doRangesOverlap('^0.2.0', '^0.3.0')).toBe(false);
+        expect(dependencyParser.doRangesOverlap('1.x || 3.x', '>=2.5.0')).toBe(true);
+        expect(dependencyParser.doRangesOverlap('latest', '^1.0.0')).toBe(true);
+    });
+});
+
+describe('LockfileResolverService', () => {
+    test('resolves nested installs from package-lock v3', () => {
+        const tree = lockfileResolver.resolve({ packageLock });
+        expect(tree.direct.map(d => `${d.type}:${d.id}`)).toEqual(['production:express@4.18.2', 'dev:jest@29.7.0']);
+        expect(tree.packages.get('debug@2.6.9').dependencies).toEqual(['ms@2.0.0']);
+        expect(tree.packages.get('jest@29.7.0').dependencies).toEqual(['ms@2.1.3']);
+        expect(tree.packages.get('ms@2.0.0').dev).toBe(false);
+        expect(tree.packages.get('ms@2.1.3').dev).toBe(true);
+        expect(lockfileResolver.installedVersions(tree, 'ms')).toEqual(['2.0.0', '2.1.3']);
+    });
+
+    test('resolves classic and Berry yarn.lock files', () => {
+        const classic = lockfileResolver.resolve({ yarnLock: classicYarnLock, packageJson: { dependencies: { '@scope/util': '^1.0.0' } } });
+        const berry = lockfileResolver.resolve({ yarnLock: berryYarnLock });
+
+        [classic, berry].forEach(tree => {
+            expect(tree.direct.map(d => d.id)).toEqual(['@scope/util@1.2.0']);
+            expect(tree.packages.get('@scope/util@1.2.0').dependencies).toEqual(['ms@2.1.3']);
+            expect(tree.missing).toEqual([]);
+        });
+        expect(berry.root.name).toBeNull();
+    });
+
+    test('compares repos by installed versions when lockfiles are given', () => {
+        const matches = dependencyParser.findSharedLibraryMatches('ms', [
+            { repoName: 'api', dependencies: { express: '^4.18.0' }, packageLock },
+            { repoName: 'web', yarnLock: berryYarnLock },
+            { repoName: 'cli', dependencies: { ms: '^3.0.0' } },
+            { repoName: 'worker', dependencies: { ms: '~2.1.0' } }
+        ]);
+
+        expect(matches.map(m => [m.repoA, m.repoB, m.sharedVulnerabilityRisk])).toEqual([
+            ['api', 'web', 'CONFIRMED'],
+            ['api', 'worker', 'POSSIBLE'],
+            ['web', 'worker', 'POSSIBLE']
+        ]);
+        expect(matches[0].sharedVersions).toEqual(['2.1.3']);
+    });
+});
@@ -0,0 +1,83 @@
+const db = require('../src/config/db');
+const fleetService = require('../src/services/fleet-manager.service');
+const fleetModel = require('../src/models/fleet.model');
+const incidentModel = require('../src/models/incident.model');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const now = Date.parse('2026-03-31T12:00:00Z');
+const at = days => new Date(now - days * DAY).toISOString();
+const commit = (sha, deployedDaysAgo, hoursBefore) => ({ sha, timestamp: now - deployedDaysAgo * DAY - hoursBefore * HOUR });
+
+describe('Fleet DORA metrics', () => {
+    let configId;
+
+    beforeAll(async () => {
+        await db.ready;
+        configId = await fleetModel.createFleetConfig(1, 'platform', 'DORA fixtures', [{ owner: 'acme', name: 'api' }]);
+
+        const events = [
+            { id: 'd1', status: 'success', sha: 'a1', createdAt: at(10), commits: [commit('c1', 10, 2), commit('c2', 10, 4)] },
+            { id: 'd2', status: 'error', sha: 'a2', createdAt: at(8), commits: [commit('c3', 8, 6)] },
+            { id: 'd3', status: 'success', sha: 'a3', createdAt: at(7), commits: [commit('c3', 7, 10)] },
+            { id: 'd4', status: 'pending', sha: 'a4', createdAt: at(3) },
+            { id: 'd4', status: 'success', sha: 'a4', createdAt: at(3), commits: [commit('c4', 3, 1)] },
+            { id: 's1', status: 'success', sha: 'a4', environment: 'staging', createdAt: at(4), commits: [commit('c4', 4, 1)] },
+            { id: 'old', status: 'failure', sha: 'a0', createdAt: at(40) }
+        ];
+        for (const event of events) {
+            await fleetService.recordDeployment({ repository: 'acme/api', environment: 'production', ...event }, { resolveCommits: false });
+        }
+
+        await incidentModel.createIncident({
+            id: 'inc-1',
+            title: 'API 500s after deploy',
+            severity: 'high',
+            state: 'resolved',
+            repository: 'acme/api',
+            createdAt: now - 3 * DAY + HOUR,
+            updatedAt: now - 3 * DAY + 4 * HOUR,
+            triggeredAt: now - 3 * DAY + HOUR,
+            resolvedAt: now - 3 * DAY + 4 * HOUR
+        });
+    });
+    afterAll(done => { db.close(done); });
+
+    test('computes the four keys from recorded production deployments and incidents', async () => {
+        const metrics = await fleetService.calculateDoraMetrics('acme', 'api', { until: now });
+
+        expect(metrics).toMatchObject({
+            deploymentFrequency: 0.1,
+            leadTimeForChanges: 3,
+            changeFailureRate: 50,
+            meanTimeToRecovery: 3,
+            velocity: 0.9,
+            sampleSize: { deployments: 4, failedDeployments: 2, commits: 4, incidents: 1 },
+            performance: { deploymentFrequency: 'medium', leadTimeForChanges: 'elite', changeFailureRate: 'low', meanTimeToRecovery: 'high' },
+            score: 63
+        });
+
+        const empty = await fleetService.calculateDoraMetrics('acme', 'web', { until: now });
+        expect(empty).toMatchObject({ leadTimeForChanges: null, changeFailureRate: null, meanTimeToRecovery: null, score: null });
+    });
+
+    test('persists one row per repository per day and serves the trend', async () => {
+        await fleetService.recordDailyDoraMetrics(configId, [{ owner: 'acme', name: 'api' }], { now, backfillDays: 4 });
+        await fleetService.recordDailyDoraMetrics(configId, [{ owner: 'acme', name: 'api' }], { now });
+
+        const trend = await fleetService.getDoraTrend(configId, { now, days: 7 });
+        const points = trend.repositories['acme/api'];
+        expect(points.map(p => p.date)).toEqual(['2026-03-27', '2026-03-28', '2026-03-29', '2026-03-30', '2026-03-31']);
+        expect(points[0]).toMatchObject({ deployments: 3, changeFailureRate: 33.3, meanTimeToRecovery: 24 });
+        expect(points[4]).toMatchObject({ deployments: 4, changeFailureRate: 50, meanTimeToRecovery: 3, score: 63 });
+        expect(trend.fleet[4]).toMatchObject({ date: '2026-03-31', deployments: 4, deploymentFrequency: 0.1 });
+        expect(await fleetModel.getFleetAnalytics(configId)).toEqual([]);
+    });
+
+    test('rejects malformed deployment events', async () => {
+        await expect(fleetService.recordDeployment({ repository: 'acme', status: 'success' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(fleetService.recordDeployment({ repository: 'acme/api', status: 'shipped' }))
+            .rejects.toThrow("Unknown deployment status 'shipped'");
+    });
+});
@@ -0,0 +1,147 @@
+const express = require('express');
+const db = require('../src/config/db');
+const securityRoutes = require('../src/routes/security.routes');
+const { recordMountPaths } = require('../src/utils/express-routes');
+const discovery = require('../src/services/fuzz-target-discovery.service');
+const fuzzer = require('../src/services/fuzzer.engine');
+
+const openapi = (server) => `
+openapi: 3.0.3
+info: { title: Shop, version: "1" }
+servers: [{ url: "${server}" }]
+paths:
+  /items:
+    get:
+      operationId: listItems
+      parameters:
+        - $ref: "#/components/parameters/Limit"
+        - { name: q, in: query, schema: { type: string } }
+      responses: { "200": { description: ok }, "400": { description: invalid } }
+  /items/{id}:
+    parameters: [{ name: id, in: path, required: true, schema: { type: integer, minimum: 1 } }]
+    get:
+      responses: { "200": { description: ok } }
+  /users:
+    post:
+      requestBody:
+        required: true
+        content: { application/json: { schema: { $ref: "#/components/schemas/User" } } }
+      responses: { "201": { description: created }, "400": { description: invalid } }
+components:
+  parameters:
+    Limit: { name: limit, in: query, schema: { type: integer, minimum: 1, maximum: 50 } }
+  schemas:
+    User:
+      type: object
+      required: [email]
+      additionalProperties: false
+      properties:
+        email: { type: string, format: email }
+        age: { type: integer, minimum: 0 }
+        tags: { type: array, maxItems: 3, items: { type: string } }
+`;
+
+// The documented API: /items trusts its input, /users validates it
+const shop = express.Router();
+shop.get('/items', (req, res) => {
+    res.type('html').send(`<ul data-limit="${Number(req.query.limit)}">Results for ${req.query.q}</ul>`);
+});
+shop.get('/items/:id', (req, res) => {
+    res.json({ id: BigInt(req.params.id).toString() });
+});
+shop.post('/users', (req, res) => {
+    const { email, age, tags, ...rest } = req.body || {};
+    const valid = typeof email === 'string' && /^[\w.+-]+@[\w-]+(\.[\w-]+)+$/.test(email) && Object.keys(rest).length === 0 &&
+        (age === undefined || (Number.isInteger(age) && age >= 0)) &&
+        (tags === undefined || (Array.isArray(tags) && tags.length <= 3 && tags.every(tag => typeof tag === 'string')));
+    if (!valid) return res.status(400).json({ error: 'invalid user' });
+    res.status(201).json({ email });
+});
+const target = express();
+target.use(express.json());
+target.use('/v1', shop);
+
+let server;
+let base;
+
+beforeAll(async () => {
+    await db.ready;
+    server = target.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(done => {
+    server.close();
+    db.close(done);
+});
+
+describe('Fuzz target discovery', () => {
+    test('reads endpoints from OpenAPI 3 and derives valid and invalid inputs from their schemas', () => {
+        const found = discovery.fromOpenApi(openapi('http://127.0.0.1:1/v1'));
+        expect(found.endpoints.map(e => `${e.method} ${e.path}`)).toEqual(['GET /items', 'GET /items/{id}', 'POST /users']);
+
+        const users = discovery.buildTarget(found.endpoints[2], new URL(found.servers[0]));
+        expect(users.baseline).toMatchObject({ method: 'POST', path: '/v1/users', body: { email: 'fuzz@example.com', age: 1, tags: ['fuzz'] } });
+        const labels = users.mutations.map(m => `${m.parameter} ${m.constraint}`);
+        expect(labels).toEqual(expect.arrayContaining([
+            '(body) required: email',
+            '(body) additionalProperties: false',
+            'email format: email',
+            'age minimum: 0',
+            'age type: integer',
+            'tags maxItems: 3'
+        ]));
+
+        const item = discovery.buildTarget(found.endpoints[1], new URL(found.servers[0]));
+        expect(item.baseline.pathParams).toEqual({ id: '1' });
+        expect(item.mutations.map(m => m.payload)).toEqual(['not-a-number', '1.5', '0']);
+
+        expect(() => discovery.fromOpenApi({ swagger: '2.0', paths: {} })).toThrow(/Swagger 2.0/);
+    });
+
+    test('introspects the routes of an Express app', () => {
+        const api = recordMountPaths(express());
+        api.use(express.json());
+        api.use('/api/security', securityRoutes);
+        api.use('/v1', shop);
+
+        const { endpoints, unmounted } = discovery.fromExpressApp(api);
+        expect(unmounted).toEqual([]);
+        const session = endpoints.find(e => e.method === 'GET' && e.path === '/api/security/fuzz/{sessionId}');
+        expect(session.parameters).toEqual([{ name: 'sessionId', in: 'path', required: true, schema: { type: 'string', example: '1' } }]);
+        const scan = endpoints.find(e => e.method === 'POST' && e.path === '/api/security/scan');
+        expect(Object.keys(scan.requestBody.schema.properties)).toEqual(['files']);
+
+        // Fields come from the handler source: destructuring and property reads
+        const users = endpoints.find(e => e.path === '/v1/users');
+        expect(users.requestBody.schema.properties).toEqual({ email: { type: 'string', format: 'email' }, age: { type: 'string' }, tags: { type: 'string' } });
+        expect(endpoints.find(e => e.path === '/v1/items').parameters.map(p => `${p.in}:${p.name}`)).toEqual(['query:limit', 'query:q']);
+
+        const kept = discovery.filterEndpoints(endpoints, { include: '/api/security', exclude: ['/api/security/fuzz'], methods: ['post'] });
+        expect(kept.map(e => e.path)).toEqual(['/api/security/scan', '/api/security/apply-patch']);
+    });
+
+    test('fuzzes every documented endpoint in one session', async () => {
+        const session = await fuzzer.startDiscoverySession({ openapi: openapi(`${base}/v1`) }, {
+            categories: ['schema', 'xss'],
+            requestsPerSecond: 100,
+            baselineSamples: 1
+        });
+
+        expect(session).toMatchObject({ status: 'completed', target: `${base}/v1`, method: '*' });
+        expect(session.stats).toMatchObject({ endpoints: 3, skipped: [], truncated: false });
+
+        const found = session.findings.map(f => `${f.endpoint} ${f.oracle} ${f.location}:${f.parameter}`);
+        expect(found).toEqual(expect.arrayContaining([
+            'GET /items reflected-payload query:q',
+            'GET /items schema-bypass query:limit',
+            'GET /items/{id} server-error path:id'
+        ]));
+        // /users rejects every invalid body with 400
+        expect(found.filter(f => f.startsWith('POST /users'))).toEqual([]);
+
+        const history = await fuzzer.getSession(session.id);
+        expect(history.findings.find(f => f.oracle === 'schema-bypass').endpoint).toBe('GET /items');
+    });
+});
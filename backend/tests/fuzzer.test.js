@@ -0,0 +1,97 @@
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const db = require('../src/config/db');
+const fuzzer = require('../src/services/fuzzer.engine');
+
+// A deliberately vulnerable app for the fuzzer to find its flaws
+const store = new sqlite3.Database(':memory:');
+const app = express();
+app.use(express.json());
+
+app.post('/items', (req, res) => {
+    store.all(`SELECT * FROM items WHERE name = '${req.body.name}'`, (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ items: rows });
+    });
+});
+
+app.get('/search', (req, res) => {
+    const sleep = /sleep\s+([\d.]+)/.exec(String(req.query.host));
+    setTimeout(() => res.type('html').send(`<p>Results for ${req.query.q}</p>`), sleep ? Number(sleep[1]) * 1000 : 0);
+});
+
+app.get('/safe', (req, res) => {
+    res.json({ q: String(req.query.q).slice(0, 20) });
+});
+
+let server;
+let base;
+const options = { concurrency: 2, requestsPerSecond: 100, baselineSamples: 2, timingDelayMs: 400 };
+
+beforeAll(async () => {
+    await db.ready;
+    await new Promise(resolve => store.run('CREATE TABLE items (name TEXT)', resolve));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(done => {
+    server.close();
+    store.close();
+    db.close(done);
+});
+
+describe('FuzzerEngine', () => {
+    test('finds SQL injection from database errors and persists the session', async () => {
+        const session = await fuzzer.startFuzzingSession(`${base}/items`, 'POST', { name: 'widget' }, {
+            ...options,
+            categories: ['sql_injection']
+        });
+
+        expect(session).toMatchObject({ status: 'completed', target: `${base}/items`, method: 'POST' });
+        expect(session.stats).toMatchObject({ requests: 2 + session.stats.planned, truncated: false, baseline: { status: 200 } });
+        expect(session.findings).toContainEqual(expect.objectContaining({
+            oracle: 'db-error',
+            category: 'sql_injection',
+            severity: 'HIGH',
+            location: 'body',
+            parameter: 'name',
+            statusCode: 500
+        }));
+        expect(session.findings.find(f => f.oracle === 'db-error').evidence).toMatch(/SQLITE_ERROR/);
+        expect(session.findings.find(f => f.oracle === 'server-error').hits).toBeGreaterThan(1);
+
+        const history = await fuzzer.getHistory();
+        expect(history[0]).toMatchObject({ id: session.id, findingCount: session.findings.length });
+        expect(history[0].findings).toBeUndefined();
+    });
+
+    test('flags reflected payloads and confirmed sleep delays per query parameter', async () => {
+        const session = await fuzzer.startFuzzingSession(`${base}/search?q=shoes&host=localhost`, 'GET', {}, {
+            ...options,
+            categories: ['xss', 'os_command']
+        });
+
+        const found = session.findings.map(f => `${f.oracle}:${f.category}:${f.parameter}`);
+        expect(found).toContain('reflected-payload:xss:q');
+        expect(found).toContain('timing:os_command:host');
+        expect(found).not.toContain('timing:os_command:q');
+        expect(session.findings.find(f => f.oracle === 'reflected-payload').severity).toBe('HIGH');
+        expect(session.findings.find(f => f.oracle === 'timing').evidence).toMatch(/confirmed/);
+    });
+
+    test('reports nothing for a safe endpoint and refuses non-local targets', async () => {
+        const session = await fuzzer.startFuzzingSession(`${base}/safe`, 'GET', { q: 'shoes' }, {
+            ...options,
+            categories: ['xss', 'sql_injection'],
+            maxRequests: 5
+        });
+        expect(session.findings).toEqual([]);
+        expect(session.stats).toMatchObject({ requests: 7, truncated: true });
+
+        await expect(fuzzer.startFuzzingSession('http://93.184.216.34/login', 'POST', { user: 'a' }))
+            .rejects.toMatchObject({ statusCode: 403 });
+        await expect(fuzzer.startFuzzingSession('file:///etc/passwd')).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const timeMachine = require('../src/services/git-time-machine.service');
+const blameAnalyzer = require('../src/services/blame-analyzer.service');
+
+const { MAX_LIMIT } = timeMachine;
+
+let root;
+let repo;
+
+const people = {
+    alice: ['Alice', 'alice@example.com'],
+    bob: ['Bob', 'bob@example.com'],
+    carol: ['Carol', 'carol@example.com']
+};
+
+const git = (args, env = {}) => execFileSync('git', args, { cwd: repo, env: { ...process.env, ...env } }).toString().trim();
+
+function commit(person, date, message, files, removed = []) {
+    Object.entries(files).forEach(([file, content]) => {
+        fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+        fs.writeFileSync(path.join(repo, file), content);
+    });
+    removed.forEach(file => git(['rm', '-q', file]));
+    git(['add', '-A']);
+    const [name, email] = people[person];
+    git(['commit', '-q', '-m', message], {
+        GIT_AUTHOR_NAME: name, GIT_AUTHOR_EMAIL: email, GIT_AUTHOR_DATE: date,
+        GIT_COMMITTER_NAME: name, GIT_COMMITTER_EMAIL: email, GIT_COMMITTER_DATE: date
+    });
+    return git(['rev-parse', 'HEAD']);
+}
+
+const cart = (line3) => ['function total(items, discount) {', '    let total = 0;', line3, '    return total;', '}', ''].join('\n');
+
+const hashes = {};
+
+beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'time-travel-'));
+    repo = path.join(root, 'shop');
+    fs.mkdirSync(repo);
+    git(['init', '-q']);
+    hashes.initial = commit('alice', '2026-01-01T10:00:00Z', 'feat: cart totals', {
+        'src/cart.js': cart('    items.forEach(item => { total += item.price; });'),
+        'logo.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01, 0x02])
+    });
+    hashes.discount = commit('bob', '2026-01-05T10:00:00Z', 'feat: apply discounts', {
+        'src/cart.js': cart('    items.forEach(item => { total += item.price - discount; total -= discount; });'),
+        'docs/read me.md': '# Cart\n'
+    });
+    hashes.fix = commit('carol', '2026-01-10T10:00:00Z', 'fix: subtract the discount once', {
+        'src/cart.js': cart('    items.forEach(item => { total += item.price - discount; });')
+    }, ['logo.png']);
+    process.env.TIME_TRAVEL_REPOS_DIR = root;
+});
+
+afterAll(() => {
+    delete process.env.TIME_TRAVEL_REPOS_DIR;
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('GitTimeMachineService', () => {
+    test('parses the log into an oldest-first timeline with per-file changes', async () => {
+        const timeline = await timeMachine.getTimeline(repo);
+
+        expect(timeline.map(c => c.hash)).toEqual([hashes.initial, hashes.discount, hashes.fix]);
+        expect(timeline[0]).toMatchObject({ author: 'Alice', email: 'alice@example.com', parents: [], isMerge: false });
+        expect(timeline[0].changes).toEqual(expect.arrayContaining([
+            { file: 'src/cart.js', type: 'add', additions: 5, deletions: 0, binary: false },
+            { file: 'logo.png', type: 'add', additions: 0, deletions: 0, binary: true }
+        ]));
+        expect(timeline[1].changes.map(c => c.file)).toEqual(expect.arrayContaining(['docs/read me.md']));
+        expect(timeline[2]).toMatchObject({ message: 'fix: subtract the discount once', parents: [hashes.discount] });
+        expect(timeline[2].changes).toEqual(expect.arrayContaining([
+            expect.objectContaining({ file: 'src/cart.js', type: 'modify', additions: 1, deletions: 1 }),
+            expect.objectContaining({ file: 'logo.png', type: 'delete' })
+        ]));
+        expect(timeline[2].stats).toEqual({ filesChanged: 2, additions: 1, deletions: 1 });
+
+        expect(await timeMachine.getTimeline(repo, { limit: 1 })).toHaveLength(1);
+        expect(timeMachine.resolveLimit('1000000')).toBe(MAX_LIMIT);
+        expect(timeMachine.resolveLimit('nope')).toBe(500);
+    });
+
+    test('aggregates churn, fix commits and ownership per file', async () => {
+        const churn = await timeMachine.getFileChurn(repo);
+        const file = churn.find(entry => entry.file === 'src/cart.js');
+
+        expect(churn[0].file).toBe('src/cart.js');
+        expect(file).toMatchObject({
+            commits: 3,
+            additions: 7,
+            deletions: 2,
+            churn: 9,
+            fixCommits: 1,
+            firstCommit: hashes.initial,
+            lastCommit: hashes.fix,
+            deleted: false,
+            primaryAuthor: 'Alice'
+        });
+        expect(file.authors.map(a => [a.name, a.lines, a.ownership])).toEqual([['Alice', 5, 56], ['Bob', 2, 22], ['Carol', 2, 22]]);
+        expect(churn.find(entry => entry.file === 'logo.png')).toMatchObject({ commits: 2, deleted: true });
+    });
+
+    test('traces a fix back to the commit that last touched the lines it changed', async () => {
+        const trace = await blameAnalyzer.traceRegressionOrigin(hashes.fix, repo);
+
+        expect(trace).toMatchObject({ fixCommit: hashes.fix, suspectCommit: hashes.discount, confidence: '100%' });
+        expect(trace.candidates[0]).toMatchObject({ author: 'Bob', files: ['src/cart.js'], lines: 1 });
+        expect(trace.reason).toMatch(/5 days prior/);
+
+        const rootCommit = await blameAnalyzer.traceRegressionOrigin(hashes.initial, repo);
+        expect(rootCommit.suspectCommit).toBeNull();
+        await expect(blameAnalyzer.traceRegressionOrigin('--output=/tmp/x', repo)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('only reads requested repositories inside TIME_TRAVEL_REPOS_DIR', async () => {
+        expect(await timeMachine.resolveRequestedRepository('shop')).toBe(fs.realpathSync(repo));
+        expect(await timeMachine.resolveRequestedRepository('shop/src')).toBe(fs.realpathSync(repo));
+
+        await expect(timeMachine.resolveRequestedRepository('../')).rejects.toMatchObject({ statusCode: 403 });
+        await expect(timeMachine.resolveRequestedRepository(process.cwd())).rejects.toMatchObject({ statusCode: 403 });
+
+        // A directory inside the root whose work tree starts above it
+        process.env.TIME_TRAVEL_REPOS_DIR = path.join(repo, 'src');
+        try {
+            await expect(timeMachine.resolveRequestedRepository('.')).rejects.toMatchObject({ statusCode: 403 });
+        } finally {
+            process.env.TIME_TRAVEL_REPOS_DIR = root;
+        }
+    });
+});
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const db = require('../src/config/db');
+const webhookService = require('../src/services/github-webhook.service');
+const watchlistModel = require('../src/models/watchlist.model');
+const notificationModel = require('../src/models/notification.model');
+const deploymentModel = require('../src/models/deployment.model');
+
+const SECRET = 'webhook-test-secret';
+
+const sign = body => `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+
+const deliver = (id, event, payload, signature) => {
+    const rawBody = Buffer.from(JSON.stringify(payload));
+    return webhookService.receive({ id, event, rawBody, signature: signature || sign(rawBody) });
+};
+
+const deploymentStatus = state => ({
+    action: 'created',
+    repository: { full_name: 'acme/api' },
+    sender: { login: 'deploy-bot' },
+    deployment: { id: 501, environment: 'production', sha: 'f00d', ref: 'main', created_at: '2026-04-01T10:00:00Z' },
+    deployment_status: { state, created_at: '2026-04-01T10:05:00Z', log_url: 'https://ci.example/501' }
+});
+
+describe('GitHub webhook ingress', () => {
+    let previousSecret;
+
+    beforeAll(async () => {
+        previousSecret = process.env.GITHUB_WEBHOOK_SECRET;
+        process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+        await db.ready;
+
+        await new Promise((resolve, reject) => db.run(
+            "INSERT INTO users (id, email, password) VALUES (7, 'watcher@example.com', 'x'), (8, 'quiet@example.com', 'x')",
+            err => (err ? reject(err) : resolve())
+        ));
+        for (const userId of [7, 8]) {
+            const watchlistId = await watchlistModel.createWatchlist(userId, 'Watched', '');
+            await watchlistModel.addRepository(watchlistId, 'acme/api', {}, userId);
+        }
+        await notificationModel.upsertPreferences(7, { notify_prs: 1 });
+    });
+    afterAll(done => {
+        process.env.GITHUB_WEBHOOK_SECRET = previousSecret;
+        db.close(done);
+    });
+
+    test('rejects bad signatures and drops repeated delivery ids', async () => {
+        const payload = deploymentStatus('failure');
+
+        await expect(deliver('bad-sig', 'deployment_status', payload, sign('{}')))
+            .rejects.toMatchObject({ statusCode: 401 });
+        expect(await webhookService.listDeliveries()).toEqual([]);
+
+        const first = await deliver('dep-1', 'deployment_status', payload);
+        expect(first.duplicate).toBe(false);
+
+        const processed = await webhookService.replay('dep-1');
+        expect(processed.status).toBe('processed');
+        expect(Object.keys(processed.results).sort()).toEqual(['event-stream', 'fleet']);
+
+        const again = await deliver('dep-1', 'deployment_status', payload);
+        expect(again).toMatchObject({ duplicate: true, delivery: { status: 'processed', attempts: 1 } });
+
+        const [deployment] = await deploymentModel.getDeployments({ repository: 'acme/api', since: 0 });
+        expect(deployment).toMatchObject({ source: 'github_deployment', externalId: '501', status: 'failure', environment: 'production' });
+    });
+
+    test('notifies watchers who opted in to the event type', async () => {
+        await deliver('pr-1', 'pull_request', {
+            action: 'closed',
+            repository: { full_name: 'acme/api' },
+            sender: { login: 'alice' },
+            pull_request: { number: 42, title: 'Cache tokens', merged: true, html_url: 'https://github.com/acme/api/pull/42', head: { ref: 'cache' } }
+        });
+        const delivery = await webhookService.replay('pr-1');
+
+        expect(delivery.results.watchlist).toEqual({ ok: true, result: { watchers: 2, notified: 1 } });
+        expect(delivery.results['event-stream'].result.eventId).toBeDefined();
+
+        const [notification] = await notificationModel.getUserNotifications(7);
+        expect(notification).toMatchObject({ type: 'pr', title: 'PR merged on acme/api', repo_full_name: 'acme/api' });
+        expect(await notificationModel.getUserNotifications(8)).toEqual([]);
+    });
+
+    test('replays only the handlers that failed', async () => {
+        let calls = 0;
+        webhookService.registerHandler('flaky', ['issues'], async () => {
+            calls++;
+            if (calls === 1) throw new Error('downstream unavailable');
+            return { calls };
+        });
+
+        await deliver('issue-1', 'issues', {
+            action: 'opened',
+            repository: { full_name: 'acme/api' },
+            sender: { login: 'carol' },
+            issue: { number: 7, title: 'Login loop', html_url: 'https://github.com/acme/api/issues/7' }
+        });
+        const failed = await webhookService.replay('issue-1');
+        expect(failed).toMatchObject({ status: 'failed', error: 'Failed handlers: flaky', results: { flaky: { ok: false } } });
+
+        // A redelivery from GitHub of a failed delivery is processed again
+        expect((await deliver('issue-1', 'issues', failed.payload)).duplicate).toBe(false);
+
+        const eventId = failed.results['event-stream'].result.eventId;
+        const replayed = await webhookService.replay('issue-1');
+        expect(replayed).toMatchObject({ status: 'processed', attempts: 2, results: { flaky: { ok: true, result: { calls: 2 } } } });
+        expect(replayed.results['event-stream'].result.eventId).toBe(eventId);
+    });
+});
@@ -0,0 +1,106 @@
+const jwt = require('jsonwebtoken');
+const { EventEmitter } = require('events');
+const db = require('../src/config/db');
+const incidentService = require('../src/services/incident.service');
+const WarRoomSocket = require('../src/socket/war-room.socket');
+
+const event = {
+    id: 'evt-1',
+    type: 'deployment_failure',
+    environment: 'production',
+    title: 'Checkout deploy failed'
+};
+
+describe('IncidentService lifecycle', () => {
+    beforeAll(() => db.ready);
+    afterEach(() => incidentService.clearAll());
+    afterAll(done => { db.close(done); });
+
+    test('persists incidents through the lifecycle with a timeline', async () => {
+        const created = await incidentService.createIncident(event, 'alice');
+        expect(created).toMatchObject({ state: 'triggered', severity: 'critical', allowedTransitions: ['acknowledged', 'mitigated', 'resolved'] });
+        expect(created.sla.ack.targetMs).toBe(5 * 60 * 1000);
+
+        const acked = await incidentService.transition(created.id, 'acknowledged', 'bob');
+        expect(acked.assignedTo).toEqual(['bob']);
+        expect(acked.sla.ack.stopped).toBe(true);
+
+        await incidentService.transition(created.id, 'mitigated', 'bob', 'rolled back');
+        await incidentService.transition(created.id, 'resolved', 'bob');
+        const closed = await incidentService.transition(created.id, 'postmortem', 'alice');
+
+        expect(closed.mttr).not.toBeNull();
+        expect((await incidentService.getTimeline(created.id)).map(e => e.action))
+            .toEqual(['created', 'state_changed', 'assigned', 'state_changed', 'state_changed', 'state_changed']);
+        expect((await incidentService.getStatistics()).byState.postmortem).toBe(1);
+    });
+
+    test('rejects invalid transitions and records SLA breaches once', async () => {
+        const { id } = await incidentService.createIncident(event, 'alice');
+
+        await expect(incidentService.transition(id, 'postmortem', 'bob')).rejects.toMatchObject({ statusCode: 409 });
+        await expect(incidentService.transition(id, 'closed', 'bob')).rejects.toMatchObject({ statusCode: 400 });
+        await expect(incidentService.transition('INC-missing', 'acknowledged', 'bob')).rejects.toMatchObject({ statusCode: 404 });
+
+        const later = Date.now() + 10 * 60 * 1000;
+        const breaches = await incidentService.checkSlaBreaches(later);
+        expect(breaches.map(b => b.clock)).toEqual(['ack']);
+        expect(breaches[0].incident.sla.ack.breached).toBe(true);
+        expect(await incidentService.checkSlaBreaches(later)).toEqual([]);
+    });
+
+    test('refuses a transition checked against a state that changed before the write', async () => {
+        const { id } = await incidentService.createIncident(event, 'alice');
+
+        // A second responder read the incident while it was still triggered
+        const stale = await incidentService.requireIncident(id);
+        await incidentService.transition(id, 'acknowledged', 'bob');
+        jest.spyOn(incidentService, 'requireIncident').mockResolvedValueOnce(stale);
+
+        await expect(incidentService.transition(id, 'resolved', 'carol')).rejects.toMatchObject({ name: 'IncidentError', statusCode: 409 });
+        expect((await incidentService.getIncident(id)).state).toBe('acknowledged');
+        expect((await incidentService.getTimeline(id)).filter(e => e.action === 'state_changed')).toHaveLength(1);
+    });
+
+    test('war-room socket acts as the user of the handshake token, not the one in the payload', async () => {
+        process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+        const userId = await new Promise((resolve, reject) => db.run("INSERT INTO users (email) VALUES ('lead@example.com')", function (err) {
+            if (err) reject(err);
+            else resolve(this.lastID);
+        }));
+
+        // Minimal stand-in for the /war-room namespace
+        const namespace = Object.assign(new EventEmitter(), { middleware: [] });
+        namespace.use = fn => namespace.middleware.push(fn);
+        namespace.to = () => namespace;
+        jest.useFakeTimers();
+        const warRoom = new WarRoomSocket({ of: () => namespace });
+        jest.useRealTimers();
+
+        const handshake = async (token) => {
+            const socket = Object.assign(new EventEmitter(), { id: `sock-${token}`, handshake: { auth: { token } }, broadcast: namespace, join() {} });
+            const error = await new Promise(resolve => namespace.middleware[0](socket, resolve));
+            return { socket, error };
+        };
+
+        expect((await handshake(undefined)).error.message).toBe('Access token required');
+        expect((await handshake(jwt.sign({ id: userId, type: 'refresh' }, process.env.JWT_SECRET))).error.message).toBe('Invalid token type');
+
+        const { socket, error } = await handshake(jwt.sign({ id: userId, type: 'access' }, process.env.JWT_SECRET));
+        expect(error).toBeUndefined();
+        expect(socket.userId).toBe(userId);
+        namespace.emit('connection', socket);
+
+        const { id } = await incidentService.createIncident(event, 'alice');
+        const updated = new Promise((resolve, reject) => {
+            namespace.once('incident:updated', resolve);
+            socket.once('error', ({ message }) => reject(new Error(message)));
+        });
+        socket.emit('incident:status', { incidentId: id, status: 'acknowledged', userId: 'mallory' });
+        const { incident } = await updated;
+
+        expect(incident.assignedTo).toEqual([String(userId)]);
+        expect((await incidentService.getTimeline(id)).map(entry => entry.userId)).not.toContain('mallory');
+        warRoom.destroy();
+    });
+});
@@ -0,0 +1,93 @@
+const llmService = require('../src/services/llm.service');
+const releaseNotesService = require('../src/services/release-notes.service');
+const refactorService = require('../src/services/refactor.service');
+const { createStubServer } = require('../scripts/llm-stub-server');
+
+const fixtures = [
+    { match: 'deploy', response: 'Run npm run deploy from the backend folder.' },
+    {
+        match: '/refactoring improvements/i',
+        response: 'Split the handler.\n{"type": "extract_function", "description": "Extract validation", "changes": [{"type": "extract", "startLine": 3, "endLine": 5, "newFunctionName": "validateInput"}]}'
+    }
+];
+
+describe('LlmService providers', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        server = createStubServer({ fixtures, failFirst: 2 });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        llmService.configure({ provider: 'fixture' });
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('fixture provider answers deterministically and caches responses', async () => {
+        llmService.configure({ provider: 'fixture', fixtures });
+
+        const first = await llmService.complete({ prompt: 'How do I deploy?' });
+        const second = await llmService.complete({ prompt: 'How do I deploy?' });
+
+        expect(first).toMatchObject({ text: 'Run npm run deploy from the backend folder.', provider: 'fixture', cached: false });
+        expect(second.cached).toBe(true);
+        expect(llmService.getUsage()).toMatchObject({ requests: 1, cacheHits: 1 });
+        expect(await llmService.generateResponse('How do I run this?', 'README')).toMatch(/npm start/);
+    });
+
+    test('OpenAI-compatible provider retries transient failures from the stub server', async () => {
+        llmService.configure({ provider: 'openai', baseUrl: `${baseUrl}/v1`, retryDelayMs: 1 });
+
+        const result = await llmService.complete({ prompt: 'deploy steps?', cache: false });
+
+        expect(result.text).toBe('Run npm run deploy from the backend folder.');
+        expect(llmService.getUsage().retries).toBe(2);
+        expect(result.usage.promptTokens).toBeGreaterThan(0);
+    });
+
+    test('streams deltas over SSE and NDJSON', async () => {
+        for (const [provider, url] of [['openai', `${baseUrl}/v1`], ['ollama', baseUrl]]) {
+            llmService.configure({ provider, baseUrl: url, retryDelayMs: 1 });
+            const deltas = [];
+            for await (const delta of llmService.streamResponse('how to deploy', 'README')) deltas.push(delta);
+
+            expect(deltas.length).toBeGreaterThan(1);
+            expect(deltas.join('')).toBe('Run npm run deploy from the backend folder.');
+        }
+    });
+
+    test('trims prompts to the context window and enforces the token budget', async () => {
+        llmService.configure({ provider: 'fixture', contextTokens: 300, maxOutputTokens: 100, tokenBudget: 250 });
+
+        const prepared = llmService.prepare({ system: 'x'.repeat(4000), prompt: 'deploy?' });
+        const promptTokens = prepared.messages.reduce((sum, m) => sum + Math.ceil(m.content.length / 4), 0);
+        expect(promptTokens).toBeLessThanOrEqual(200);
+        expect(prepared.messages[0].content).toMatch(/truncated to fit the token budget/);
+
+        await llmService.complete({ system: 'x'.repeat(4000), prompt: 'first question', cache: false });
+        await expect(llmService.complete({ prompt: 'second question' })).rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    test('release notes and refactor suggestions work offline', async () => {
+        llmService.configure({ provider: 'fixture', fixtures });
+
+        const summary = await releaseNotesService.getAiSummary('acme/widgets', releaseNotesService.parseCommits([
+            { hash: 'a1', author: 'dev', message: 'feat: add export' }
+        ]));
+        expect(summary).toMatch(/^This release of acme\/widgets/);
+
+        const suggestion = await refactorService.generateAISuggestion('src/app.js', 'const a = 1;', {
+            cyclomaticComplexity: 12,
+            codeSmells: [{ type: 'long-function' }],
+            lines: 40
+        }, null);
+        expect(suggestion).toEqual({
+            type: 'extract_function',
+            description: 'Extract validation',
+            changes: [{ type: 'extract', startLine: 3, endLine: 5, newFunctionName: 'validateInput' }]
+        });
+    });
+});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const mergeSimulator = require('../src/services/merge-simulator.engine');
+const riskDetector = require('../src/services/risk-detector.service');
+const riskController = require('../src/controllers/risk.controller');
+
+const { LocalBranchSource } = riskDetector;
+
+const lines = (...items) => items.join('\n');
+
+describe('MergeSimulatorEngine', () => {
+    const base = lines('one', 'two', 'three', 'four', 'five', 'six');
+
+    test('merges changes to different lines and reports conflicting regions like git', () => {
+        const clean = mergeSimulator.merge(base, lines('ONE', 'two', 'three', 'four', 'five', 'six'), lines('one', 'two', 'three', 'four', 'five', 'SIX'));
+        expect(clean).toEqual({ clean: true, merged: lines('ONE', 'two', 'three', 'four', 'five', 'SIX'), conflicts: [] });
+
+        // The same change on both sides is not a conflict
+        const same = lines('one', 'two', '3', 'four', 'five', 'six');
+        expect(mergeSimulator.merge(base, same, same)).toMatchObject({ clean: true, merged: same });
+
+        const conflict = mergeSimulator.merge(base, lines('one', 'two', 'ours', 'four', 'five', 'six'), lines('one', 'two', 'theirs', 'four', 'five', 'six', 'seven'));
+        expect(conflict.clean).toBe(false);
+        expect(conflict.conflicts).toEqual([{ startLine: 3, endLine: 3, ours: ['ours'], theirs: ['theirs'] }]);
+        expect(conflict.merged).toBe(lines('one', 'two', '<<<<<<< ours', 'ours', '=======', 'theirs', '>>>>>>> theirs', 'four', 'five', 'six', 'seven'));
+
+        // Adjacent edits touch, so they are grouped into one region as git does
+        const adjacent = mergeSimulator.merge(base, lines('one', 'TWO', 'three', 'four', 'five', 'six'), lines('one', 'two', 'THREE', 'four', 'five', 'six'));
+        expect(adjacent.conflicts).toEqual([{ startLine: 2, endLine: 3, ours: ['TWO', 'three'], theirs: ['two', 'THREE'] }]);
+
+        expect(mergeSimulator.merge('', 'a', 'b').conflicts).toEqual([{ startLine: 1, endLine: 1, ours: ['a'], theirs: ['b'] }]);
+    });
+
+    test('parses hunk headers into base line ranges and pairs overlapping ones', () => {
+        const patch = [
+            '@@ -3 +3 @@ function total() {',
+            '-    let total = 0;',
+            '+    let total = 1;',
+            '@@ -10,0 +11,2 @@',
+            '+if (a && b) {',
+            '+}',
+            '@@ -20,3 +22 @@',
+            '-x',
+            '-y',
+            '-z',
+            '+xyz'
+        ].join('\n');
+        const ranges = mergeSimulator.parseHunkRanges(patch);
+        expect(ranges).toEqual([
+            { start: 3, end: 3, added: ['    let total = 1;'], removed: ['    let total = 0;'] },
+            { start: 10, end: 10, added: ['if (a && b) {', '}'], removed: [] },
+            { start: 20, end: 22, added: ['xyz'], removed: ['x', 'y', 'z'] }
+        ]);
+        expect(mergeSimulator.parseHunkRanges('')).toEqual([]);
+
+        expect(mergeSimulator.overlappingRanges(ranges, [{ start: 4, end: 5 }, { start: 12, end: 19 }, { start: 22, end: 30 }])).toEqual([
+            { startLine: 3, endLine: 5 },
+            { startLine: 12, endLine: 22 },
+            { startLine: 20, endLine: 30 }
+        ]);
+        expect(mergeSimulator.overlappingRanges(ranges, [{ start: 5, end: 8 }])).toEqual([]);
+    });
+});
+
+describe('LocalBranchSource', () => {
+    let root;
+    let repo;
+
+    const git = (...args) => execFileSync('git', args, {
+        cwd: repo,
+        env: { ...process.env, GIT_AUTHOR_NAME: 'Dev', GIT_AUTHOR_EMAIL: 'dev@example.com', GIT_COMMITTER_NAME: 'Dev', GIT_COMMITTER_EMAIL: 'dev@example.com' }
+    }).toString();
+    const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+        fs.writeFileSync(path.join(repo, file), content);
+    };
+    const commitAll = message => {
+        git('add', '-A');
+        git('commit', '-q', '-m', message);
+    };
+
+    beforeAll(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-'));
+        repo = path.join(root, 'shop');
+        fs.mkdirSync(repo);
+        git('init', '-q', '-b', 'main');
+        write('docs/user guide.md', lines('# Guide', 'intro', 'usage', 'faq', ''));
+        write('src/cart.js', lines('let total = 0;', 'module.exports = total;', ''));
+        commitAll('initial');
+
+        git('checkout', '-q', '-b', 'feature/intro');
+        write('docs/user guide.md', lines('# Guide', 'a better intro', 'usage', 'faq', ''));
+        write('src/cart.js', lines('let total = 1;', 'module.exports = total;', ''));
+        write('notes\ttab.txt', 'tab\n');
+        commitAll('feat: intro');
+
+        git('checkout', '-q', 'main');
+        git('checkout', '-q', '-b', 'feature/faq');
+        write('docs/user guide.md', lines('# Guide', 'intro', 'usage', 'questions', ''));
+        write('src/cart.js', lines('let total = 2;', 'module.exports = total;', ''));
+        commitAll('feat: faq');
+        git('checkout', '-q', 'main');
+
+        process.env.RISK_REPOS_DIR = root;
+    });
+
+    afterAll(() => {
+        delete process.env.RISK_REPOS_DIR;
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('splits a git diff per file, including paths with spaces and quoted paths', () => {
+        const source = new LocalBranchSource('shop');
+        const patch = git('-c', 'core.quotePath=false', 'diff', '--no-renames', '--no-color', '-U0', 'main', 'feature/intro');
+        const files = source.splitFilePatches(patch);
+
+        expect(files.map(f => [f.file, f.status, f.additions, f.deletions])).toEqual([
+            ['docs/user guide.md', 'modified', 1, 1],
+            ['notes\ttab.txt', 'added', 1, 0],
+            ['src/cart.js', 'modified', 1, 1]
+        ]);
+        expect(files[0].patch).toMatch(/^diff --git a\/docs\/user guide\.md b\/docs\/user guide\.md\n/);
+    });
+
+    test('simulates merges between local branches', async () => {
+        const result = await riskDetector.analyzeConflicts(undefined, { repoPath: 'shop' });
+
+        expect(result.matrix.prIds).toEqual(['feature/faq', 'feature/intro']);
+        const byFile = Object.fromEntries(result.conflicts.map(c => [c.file, c]));
+        expect(byFile['docs/user guide.md']).toMatchObject({ type: 'safe', severity: 'Low', overlappingHunks: [] });
+        expect(byFile['src/cart.js']).toMatchObject({
+            type: 'conflict',
+            regions: [{ startLine: 1, endLine: 1, ours: ['let total = 2;'], theirs: ['let total = 1;'] }]
+        });
+        expect(result.stats).toMatchObject({ totalActivePrs: 2, potentialConflicts: 1, sameFileSafe: 1, conflictingPairs: 1 });
+    });
+
+    test('refuses repositories outside RISK_REPOS_DIR', async () => {
+        await expect(riskDetector.analyzeConflicts(undefined, { repoPath: '..' })).rejects.toMatchObject({ statusCode: 403 });
+        await expect(riskDetector.analyzeConflicts(undefined, { repoPath: process.cwd() })).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('rejects GitHub repositories that are not owner/name', async () => {
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        await riskController.getAnalysis({ query: { repo: '../../user/repos?x=1' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({ message: 'Repo must be owner/name' });
+    });
+});
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const Migrator = require('../src/config/migrator');
+
+const silent = { log: () => {} };
+const tables = db => new Promise((resolve, reject) => {
+    db.all("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name", (err, rows) => (
+        err ? reject(err) : resolve(rows.map(r => r.name))
+    ));
+});
+
+describe('Migrator', () => {
+    let db;
+    beforeEach(() => { db = new sqlite3.Database(':memory:'); });
+    afterEach(done => { db.close(done); });
+
+    test('applies, dry-runs and reverts the bundled migrations', async () => {
+        const migrator = new Migrator(db, { logger: silent });
+
+        expect(await migrator.up({ dryRun: true })).toHaveLength(migrator.load().length);
+        expect(await tables(db)).toEqual(['schema_migrations']);
+
+        await migrator.up();
+        expect(await tables(db)).toEqual(expect.arrayContaining([
+            'users', 'watchlists', 'analytics_snapshots', 'achievements', 'push_subscriptions', 'fleet_configs'
+        ]));
+        expect((await migrator.status()).every(row => row.state === 'applied')).toBe(true);
+        expect(await migrator.up()).toEqual([]);
+
+        await migrator.down({ to: '003' });
+        const remaining = await tables(db);
+        expect(remaining).toContain('watchlists');
+        expect(remaining).not.toContain('fleet_configs');
+        const pending = (await migrator.status()).filter(row => row.state === 'pending').map(row => row.version);
+        expect(pending).toEqual(migrator.load().map(m => m.version).filter(v => Number(v) > 3));
+    });
+
+    test('refuses to run when an applied migration was edited', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+        const file = path.join(dir, '001_create_items.sql');
+        fs.writeFileSync(file, '-- migrate:up\nCREATE TABLE items (id INTEGER);\n-- migrate:down\nDROP TABLE items;\n');
+
+        try {
+            const migrator = new Migrator(db, { directory: dir, logger: silent });
+            await migrator.up();
+
+            fs.appendFileSync(file, '-- edited\n');
+            expect((await migrator.status())[0].state).toBe('changed');
+            await expect(migrator.up()).rejects.toThrow(/001_create_items \(checksum mismatch\)/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
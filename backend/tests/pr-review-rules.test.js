@@ -0,0 +1,102 @@
+const diffParser = require('../src/services/unified-diff.parser');
+const reviewRules = require('../src/services/review-rules.engine');
+const prReviewer = require('../src/services/pr-reviewer.service');
+
+const diff = `diff --git a/src/api.js b/src/api.js
+index 1111111..2222222 100644
+--- a/src/api.js
++++ b/src/api.js
+@@ -10,7 +10,9 @@ async function load(req, db) {
+     const id = req.params.id;
+-    console.log('old debug');
+-    var rows = db.all('SELECT * FROM users WHERE id = ?', [id]);
++    const rows = await db.all(\`SELECT * FROM users WHERE id = \${id}\`);
++    console.log('rows', rows);
++    var total = rows.length;
+     try {
+         render(rows);
+-    } catch (e) { log(e); }
++    } catch (e) {}
+ }
+@@ -40,3 +42,4 @@ module.exports = {
+     load,
++    password: 'hunter22',
+ };
+diff --git a/docs/notes.md b/docs/notes.md
+new file mode 100644
+--- /dev/null
++++ b/docs/notes.md
+@@ -0,0 +1 @@
++Call console.log(eval(x)) to debug
+`;
+
+describe('UnifiedDiffParser', () => {
+    test('numbers both sides and GitHub positions across hunks', () => {
+        const [api, notes] = diffParser.parse(diff);
+
+        expect(api).toMatchObject({ path: 'src/api.js', status: 'modified', additions: 5, deletions: 3 });
+        expect(api.hunks.map(h => [h.oldStart, h.newStart, h.section])).toEqual([[10, 10, 'async function load(req, db) {'], [40, 42, 'module.exports = {']]);
+        const added = api.hunks.flatMap(h => h.lines).filter(l => l.type === 'add');
+        expect(added.map(l => [l.newLine, l.position])).toEqual([[11, 4], [12, 5], [13, 6], [16, 10], [43, 14]]);
+        expect(api.hunks[0].lines[1]).toMatchObject({ type: 'del', oldLine: 11, newLine: null, position: 2 });
+
+        expect(notes).toMatchObject({ path: 'docs/notes.md', oldPath: null, status: 'added', additions: 1 });
+    });
+});
+
+describe('ReviewRulesEngine', () => {
+    test('reports only added lines, anchored to diff positions with fixes', () => {
+        const { comments, files } = reviewRules.review(diff);
+
+        expect(comments.map(c => [c.ruleId, c.line, c.position, c.severity])).toEqual([
+            ['no-sql-concatenation', 11, 4, 'high'],
+            ['no-hardcoded-secrets', 43, 14, 'high'],
+            ['no-empty-catch', 16, 10, 'medium'],
+            ['no-console', 12, 5, 'low'],
+            ['no-var', 13, 6, 'low']
+        ]);
+        expect(comments.find(c => c.ruleId === 'no-var').fix).toEqual({ startLine: 13, endLine: 13, text: '    let total = rows.length;' });
+        expect(comments.find(c => c.ruleId === 'no-console').fix.text).toBe('');
+        expect(comments.find(c => c.ruleId === 'no-hardcoded-secrets').fix.text).toBe('    password: process.env.PASSWORD,');
+        expect(files.map(f => [f.path, f.parseMode, f.skipped])).toEqual([['src/api.js', 'hunk', null], ['docs/notes.md', null, 'unsupported']]);
+    });
+
+    test('honours rule overrides, custom rules and whole-file sources', () => {
+        reviewRules.registerRule({
+            meta: { id: 'no-alert', type: 'quality', severity: 'low', title: 'Alert Call' },
+            create: context => ({
+                CallExpression(node) {
+                    if (node.callee.name === 'alert') context.report({ node, message: 'Unexpected alert().' });
+                }
+            })
+        });
+
+        const patch = `--- a/web/app.js
++++ b/web/app.js
+@@ -2,2 +2,3 @@
+ function show(msg) {
++    alert(msg);
+ }
+`;
+        const source = 'const el = document.body;\nfunction show(msg) {\n    alert(msg);\n}\n';
+        const { comments, files } = reviewRules.review(patch, { files: { 'web/app.js': source }, rules: { 'no-alert': 'high', 'no-console': 'off' } });
+        expect(files[0].parseMode).toBe('file');
+        expect(comments).toEqual([expect.objectContaining({ ruleId: 'no-alert', severity: 'high', line: 3, position: 2, codeSnippet: 'alert(msg);' })]);
+
+        expect(() => reviewRules.review(patch, { rules: { 'no-such-rule': 'off' } })).toThrow('Unknown review rule');
+    });
+});
+
+describe('PrReviewerService', () => {
+    test('builds an inline GitHub review from the analysis', async () => {
+        const analysis = await prReviewer.analyzePR(diff, 'acme/api', 7);
+        expect(analysis.securityWarnings.map(w => w.ruleId)).toEqual(['no-sql-concatenation', 'no-hardcoded-secrets']);
+        expect(analysis.totalIssues).toBe(3);
+
+        const review = prReviewer.buildReview([...analysis.issues, ...analysis.securityWarnings], 'summary');
+        expect(review).toMatchObject({ body: 'summary', event: 'COMMENT' });
+        expect(review.comments).toHaveLength(5);
+        expect(review.comments.find(c => c.position === 6).body).toContain('```suggestion\n    let total = rows.length;\n```');
+        expect(review.comments.every(c => c.path === 'src/api.js')).toBe(true);
+    });
+});
@@ -0,0 +1,47 @@
+const os = require('os');
+const releaseNotesService = require('../src/services/release-notes.service');
+
+describe('ReleaseNotesService conventional commit parsing', () => {
+    test('detects breaking changes from `!` and BREAKING CHANGE footers', () => {
+        const data = releaseNotesService.parseCommits([
+            { hash: 'a1', author: 'ann', message: 'feat(ui): add dashboard (#12)' },
+            { hash: 'b2', author: 'bob', message: 'fix(auth): resolve timeout\n\nCloses #4, refs #5' },
+            { hash: 'c3', author: 'ann', message: 'refactor(core): drop legacy adapter\n\nBREAKING CHANGE: the adapter is gone' }
+        ]);
+
+        expect(data.recommendedBump).toBe('major');
+        expect(data.categories.feat[0]).toMatchObject({ scope: 'ui', description: 'add dashboard', pr: '12' });
+        expect(data.categories.fix[0].issues).toEqual(['4', '5']);
+        expect(data.breakingChanges).toEqual([expect.objectContaining({ hash: 'c3', breakingNote: 'the adapter is gone' })]);
+        expect(Object.keys(data.scopes)).toEqual(['ui', 'auth', 'core']);
+    });
+
+    test('computes the next version and Keep-a-Changelog sections', () => {
+        const data = releaseNotesService.parseCommits([
+            { hash: 'a1', author: 'ann', message: 'feat: add export' },
+            { hash: 'b2', author: 'bob', message: 'docs: update guide' }
+        ]);
+        const changelog = releaseNotesService.toKeepAChangelog(data, {
+            version: releaseNotesService.nextVersion('v1.4.2', data.recommendedBump),
+            date: '2026-01-01'
+        });
+
+        expect(changelog).toMatchObject({ version: '1.5.0', bump: 'minor' });
+        expect(Object.keys(changelog.sections)).toEqual(['Added']);
+        expect(releaseNotesService.nextVersion('0.3.1', 'major')).toBe('0.4.0');
+    });
+});
+
+describe('ReleaseNotesService local clones', () => {
+    test('only reads local clones inside RELEASE_REPOS_DIR', async () => {
+        process.env.RELEASE_REPOS_DIR = os.tmpdir();
+        try {
+            await expect(releaseNotesService.generateNotes(undefined, 'v1.0.0', 'HEAD', { repoPath: '/' }))
+                .rejects.toMatchObject({ statusCode: 403 });
+            await expect(releaseNotesService.generateNotes(undefined, 'v1.0.0', 'HEAD', { repoPath: '../etc' }))
+                .rejects.toMatchObject({ statusCode: 403 });
+        } finally {
+            delete process.env.RELEASE_REPOS_DIR;
+        }
+    });
+});
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../src/config/db');
+const repoIndex = require('../src/services/repo-index.service');
+const aiController = require('../src/controllers/ai.controller');
+
+describe('RepoIndexService retrieval', () => {
+    let repoPath;
+
+    beforeAll(async () => {
+        await db.ready;
+        repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-index-'));
+        fs.mkdirSync(path.join(repoPath, 'src'));
+        fs.mkdirSync(path.join(repoPath, 'node_modules'));
+        fs.writeFileSync(path.join(repoPath, 'src/payment.js'), [
+            '// filler',
+            ...Array.from({ length: 50 }, (_, i) => `const line${i} = ${i};`),
+            'function refundPayment(orderId) {',
+            '    return stripeClient.refunds.create({ charge: orderId });',
+            '}'
+        ].join('\n'));
+        fs.writeFileSync(path.join(repoPath, 'src/users.js'), 'function getUserById(id) {\n    return db.get(id);\n}\n');
+        fs.writeFileSync(path.join(repoPath, 'node_modules/refund.js'), 'refund refund refund payment');
+    });
+
+    afterAll(done => {
+        fs.rmSync(repoPath, { recursive: true, force: true });
+        db.close(done);
+    });
+
+    test('retrieves the chunk that answers the question with line citations', async () => {
+        const { citations, context } = await repoIndex.retrieve({ repoPath }, 'How are payments refunded?', { topK: 2 });
+
+        expect(citations[0]).toMatchObject({ id: 1, file: 'src/payment.js', startLine: 31, endLine: 54 });
+        expect(citations.every(c => !c.file.startsWith('node_modules'))).toBe(true);
+        expect(context).toContain('[1] src/payment.js:31-54');
+        expect(repoIndex.getStatus({ repoPath })).toMatchObject({ files: 2 });
+    });
+
+    test('matches identifier parts of camelCase names', async () => {
+        const { citations } = await repoIndex.retrieve({ repoPath }, 'where do we look up a user by id', { topK: 1 });
+        expect(citations[0].file).toBe('src/users.js');
+    });
+
+    test('keeps a bounded number of indexes and only indexes GitHub repos for signed-in users', async () => {
+        expect(repoIndex.indexes.max).toBe(20);
+
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        const getIndex = jest.spyOn(repoIndex, 'getIndex');
+        try {
+            await aiController.buildIndex({ body: { repo: 'someone/huge-repo' } }, res);
+            await aiController.chat({ body: { query: 'hi', repo: 'someone/huge-repo' } }, res);
+
+            expect(res.status.mock.calls).toEqual([[401], [401]]);
+            expect(getIndex).not.toHaveBeenCalled();
+        } finally {
+            getIndex.mockRestore();
+        }
+    });
+});
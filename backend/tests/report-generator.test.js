@@ -0,0 +1,129 @@
+const zlib = require('zlib');
+const reportGenerator = require('../src/services/report-generator.service');
+const taintAnalyzer = require('../src/services/taint-analyzer.service');
+
+const finding = (overrides) => ({
+    checkId: 'secret-aws-key',
+    title: 'AWS access key',
+    severity: 'critical',
+    framework: 'SOC2',
+    control: 'CC6.1',
+    controls: [{ framework: 'SOC2', control: 'CC6.1' }, { framework: 'GDPR', control: 'Art. 32' }],
+    file: 'src/config.js',
+    line: 1,
+    message: 'AWS access key ID committed to the repository',
+    evidence: 'AKIA************',
+    remediation: 'Rotate the key.',
+    ...overrides
+});
+
+const audit = {
+    auditId: 'AUD-1-1',
+    timestamp: '2026-01-02T03:04:05.000Z',
+    repoPath: 'shop',
+    targetFrameworks: ['SOC2', 'GDPR'],
+    overallScore: 62,
+    status: 'warning',
+    statistics: { totalChecks: 2, passedChecks: 1, failedChecks: 1, filesScanned: 3 },
+    checks: [
+        { checkId: 'secret-aws-key', title: 'AWS access key', controls: finding().controls, status: 'failed', findings: 60 },
+        { checkId: 'pii-email', title: 'Email address in repository', controls: [{ framework: 'GDPR', control: 'Art. 25' }], status: 'passed', findings: 0 }
+    ],
+    violations: [
+        finding({ message: '=HYPERLINK("http://evil"), "quoted"' }),
+        ...Array.from({ length: 59 }, (_, i) => finding({ file: `src/keys/${i}.js`, line: i + 2 }))
+    ]
+};
+
+// Text of every page, from the Tj operators of the inflated content streams
+const pdfPages = (buffer) => {
+    const raw = buffer.toString('latin1');
+    const pages = [];
+    const streams = />>\nstream\n/g;
+    let match;
+    while ((match = streams.exec(raw))) {
+        const length = Number(raw.slice(0, match.index).match(/\/Length (\d+)[^\n]*$/)[1]);
+        const start = match.index + match[0].length;
+        const content = zlib.inflateSync(buffer.subarray(start, start + length)).toString('latin1');
+        pages.push([...content.matchAll(/\((.*)\) Tj/g)].map(m => m[1]).join('\n'));
+    }
+    return pages;
+};
+
+describe('Report exports', () => {
+    test('writes SARIF for audits and taint flows, and spreadsheet-safe CSV', async () => {
+        const sarif = reportGenerator.generateReport(audit, 'sarif');
+        const run = sarif.runs[0];
+        expect(sarif.version).toBe('2.1.0');
+        expect(run.tool.driver.rules).toEqual([expect.objectContaining({
+            id: 'secret-aws-key',
+            properties: { tags: ['compliance', 'SOC2 CC6.1', 'GDPR Art. 32'], 'security-severity': '9.5' }
+        })]);
+        expect(run.results[1]).toMatchObject({
+            ruleId: 'secret-aws-key',
+            level: 'error',
+            locations: [{ physicalLocation: { artifactLocation: { uri: 'src/keys/0.js' }, region: { startLine: 2 } } }]
+        });
+        expect(new Set(run.results.map(r => r.partialFingerprints.complianceFinding)).size).toBe(60);
+
+        const analysis = await taintAnalyzer.analyzeProject([{
+            path: 'routes/run.js',
+            content: "app.get('/run', (req, res) => {\n    const code = req.query.code;\n    eval(code);\n});\n"
+        }]);
+        const taint = reportGenerator.taintToSarif(analysis).runs[0];
+        expect(taint.results[0]).toMatchObject({
+            ruleId: 'taint/rce',
+            level: 'error',
+            locations: [{ physicalLocation: { artifactLocation: { uri: 'routes/run.js' }, region: { startLine: 3, startColumn: 5 } } }]
+        });
+        expect(taint.results[0].codeFlows[0].threadFlows[0].locations.length).toBeGreaterThan(1);
+
+        const technical = reportGenerator.generateReport(audit, 'csv', 'technical').split('\r\n');
+        expect(technical[0]).toBe('Severity,Check,Title,Framework,Control,Controls,File,Line,Message,Evidence,Remediation');
+        expect(technical[1]).toContain(`,"'=HYPERLINK(""http://evil""), ""quoted""",`);
+        expect(technical).toHaveLength(62);
+        expect(reportGenerator.generateReport(audit, 'csv').split('\r\n')[2]).toBe('pii-email,Email address in repository,passed,0,GDPR Art. 25');
+
+        expect(() => reportGenerator.generateReport(audit, 'docx')).toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(() => reportGenerator.generateReport(audit, 'pdf', 'BOARD')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('renders a paginated PDF whose content follows the template', () => {
+        const executive = reportGenerator.generateReport(audit, 'pdf', 'EXECUTIVE');
+        const technical = reportGenerator.generateReport(audit, 'pdf', 'TECHNICAL');
+
+        const text = executive.toString('latin1');
+        expect(text.startsWith('%PDF-1.4')).toBe(true);
+        const xref = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+        expect(text.slice(xref, xref + 4)).toBe('xref');
+        [...text.slice(xref).matchAll(/(\d{10}) 00000 n /g)].forEach((entry, index) => {
+            expect(text.startsWith(`${index + 1} 0 obj`, Number(entry[1]))).toBe(true);
+        });
+
+        const executivePages = pdfPages(executive);
+        expect(executivePages).toHaveLength(1);
+        expect(executivePages[0]).toContain('62/100');
+        expect(executivePages[0]).toContain('Remediation Priorities');
+        expect(executivePages[0]).not.toContain('src/keys/0.js:2');
+
+        const technicalPages = pdfPages(technical);
+        expect(technicalPages.length).toBeGreaterThan(2);
+        expect(technicalPages[technicalPages.length - 1]).toContain(`Page ${technicalPages.length} of ${technicalPages.length}`);
+        expect(technicalPages.join('\n')).toContain('src/keys/58.js:60');
+        // The findings table repeats its header on every page it spans
+        expect(technicalPages.filter(page => page.includes('Location')).length).toBeGreaterThan(1);
+    });
+
+    test('escapes scanned paths and text in the HTML report', () => {
+        const html = reportGenerator.generateReport({
+            ...audit,
+            repoPath: '<img src=x onerror=alert(1)>',
+            violations: [finding({ file: 'views/"><script>alert(1)</script>.ejs', message: "token '<b>' found", remediation: 'Use <code>&amp;</code>' })]
+        }, 'html');
+
+        expect(html).not.toMatch(/<(script|img|b)\b/);
+        expect(html).toContain('Compliance Report - &lt;img src=x onerror=alert(1)&gt;');
+        expect(html).toContain('<strong>views/&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;.ejs:1</strong>: token &#39;&lt;b&gt;&#39; found');
+        expect(html).toContain('Use &lt;code&gt;&amp;amp;&lt;/code&gt;');
+    });
+});
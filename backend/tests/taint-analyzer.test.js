@@ -0,0 +1,120 @@
+const taintAnalyzer = require('../src/services/taint-analyzer.service');
+
+const defaultCatalog = taintAnalyzer.catalog;
+
+describe('TaintAnalyzerService', () => {
+    afterEach(() => {
+        taintAnalyzer.configure(defaultCatalog, { replace: true });
+    });
+
+    test('follows destructuring and template literals into child_process across modules', async () => {
+        const files = [
+            {
+                path: 'routes/run.js',
+                content: `
+const { runCommand } = require('../lib/shell');
+router.post('/run', (req, res) => {
+    const { body: { cmd } } = req;
+    runCommand(\`ls \${cmd}\`);
+});`
+            },
+            {
+                path: 'lib/shell.js',
+                content: `
+const cp = require('child_process');
+function runCommand(command) { cp.exec(command); }
+module.exports = { runCommand };`
+            }
+        ];
+
+        const result = await taintAnalyzer.analyzeProject(files);
+
+        expect(result.totalFlows).toBe(1);
+        const [flow] = result.flows;
+        expect(flow.sinkType).toBe('cmdInjection');
+        expect(flow.crossFile).toBe(true);
+        expect(flow.sourceLocation).toMatchObject({ file: 'routes/run.js', line: 4 });
+        expect(flow.sinkLocation).toMatchObject({ file: 'lib/shell.js', line: 3 });
+        expect(flow.path.map(step => step.label)).toEqual(expect.arrayContaining([
+            'interpolated into template literal',
+            "parameter 'command'"
+        ]));
+    });
+
+    test('respects sanitizers for the sink type they clear', async () => {
+        const files = [{
+            path: 'db.js',
+            content: `
+const db = require('./config/db');
+app.get('/user', (req, res) => {
+    db.get('SELECT * FROM users WHERE id = ' + parseInt(req.query.id));
+    document.body.innerHTML = encodeURIComponent(req.query.name);
+    db.run("DELETE FROM users WHERE name = '" + encodeURIComponent(req.query.name) + "'");
+});`
+        }];
+
+        const result = await taintAnalyzer.analyzeProject(files);
+
+        expect(result.flows.map(f => f.sinkType)).toEqual(['sqli']);
+        expect(result.flows[0].sinkLocation.line).toBe(6);
+    });
+
+    test('resolves service singletons exported with module.exports = new Class()', async () => {
+        const files = [
+            {
+                path: 'controller.js',
+                content: `
+import repo from './repo';
+export async function search(req, res) {
+    res.json(await repo.find(req.params.term));
+}`
+            },
+            {
+                path: 'repo.js',
+                content: `
+class Repo {
+    find(term) { return this.query(term); }
+    query(value) { return this.db.all(\`SELECT * FROM t WHERE name = '\${value}'\`); }
+}
+module.exports = new Repo();`
+            }
+        ];
+
+        const result = await taintAnalyzer.analyzeProject(files);
+
+        expect(result.flows).toHaveLength(1);
+        expect(result.flows[0]).toMatchObject({ sinkType: 'sqli', source: 'req.params', filePath: 'repo.js' });
+    });
+
+    test('accepts custom catalog entries and keeps the legacy scan shape', () => {
+        taintAnalyzer.configure({
+            sources: [{ match: 'socket.payload', label: 'Socket payload' }],
+            sinks: [{ type: 'rce', match: 'sandbox.run', args: [0], label: 'sandbox.run()' }]
+        });
+
+        const { findings } = taintAnalyzer.runTaintScan([{
+            name: 'worker.js',
+            content: 'const code = socket.payload.script;\nsandbox.run(code);'
+        }]);
+
+        expect(findings).toHaveLength(1);
+        expect(findings[0]).toMatchObject({ file: 'worker.js', type: 'CODE_INJECTION', sourceLine: 1, sinkLine: 2, severity: 'CRITICAL' });
+    });
+
+    test('tolerates custom sanitizers without clears and custom sink types', async () => {
+        const files = [{
+            name: 'store.js',
+            content: 'const query = trim(req.body.filter);\nmongo.find(query);'
+        }];
+        const catalog = {
+            sanitizers: [{ match: 'trim' }],
+            sinks: [{ type: 'nosqlInjection', match: 'mongo.find', args: [0], label: 'mongo.find()' }]
+        };
+
+        const result = await taintAnalyzer.analyzeProject(files, { catalog });
+        expect(result.flows).toEqual([expect.objectContaining({ sinkType: 'nosqlInjection', severity: 5 })]);
+
+        taintAnalyzer.configure(catalog);
+        expect(taintAnalyzer.runTaintScan(files).findings[0]).toMatchObject({ type: 'NOSQL_INJECTION', sinkType: 'nosqlInjection' });
+    });
+});
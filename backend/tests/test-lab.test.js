@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../src/config/db');
+const testGen = require('../src/services/test-gen.service');
+const coverageReport = require('../src/services/coverage-report.service');
+
+const source = `function discount(sum, code) {
+    if (code === 'HALF' && sum > 0) return sum / 2;
+    return code ? sum : 0;
+}
+
+module.exports = { discount };
+`;
+
+const istanbul = {
+    '/ci/work/shop/src/discount.js': {
+        path: '/ci/work/shop/src/discount.js',
+        statementMap: { 0: { start: { line: 2 } }, 1: { start: { line: 2 } }, 2: { start: { line: 3 } } },
+        s: { 0: 8, 1: 3, 2: 5 },
+        fnMap: { 0: { name: 'discount', decl: { start: { line: 1 } } } },
+        f: { 0: 8 },
+        branchMap: {
+            0: { type: 'if', loc: { start: { line: 2, column: 4 } } },
+            1: { type: 'binary-expr', loc: { start: { line: 2, column: 8 } } },
+            2: { type: 'cond-expr', loc: { start: { line: 3, column: 11 } } }
+        },
+        b: { 0: [3, 5], 1: [8, 3], 2: [5, 0] }
+    }
+};
+
+const cobertura = `<?xml version="1.0" ?>
+<coverage lines-valid="2" lines-covered="2" branches-valid="6" branches-covered="5">
+  <sources><source>/ci/work/shop</source></sources>
+  <packages><package name="src"><classes>
+    <class name="discount.js" filename="src/discount.js">
+      <methods>
+        <method name="discount" signature="()V"><lines><line number="1" hits="8"/></lines></method>
+      </methods>
+      <lines>
+        <line number="2" hits="8" branch="true" condition-coverage="100% (4/4)"/>
+        <line number="3" hits="5" branch="true" condition-coverage="50% (1/2)"/>
+      </lines>
+    </class>
+  </classes></package></packages>
+</coverage>`;
+
+let root;
+
+beforeAll(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'test-lab-'));
+    fs.mkdirSync(path.join(root, 'src'));
+    fs.writeFileSync(path.join(root, 'src/discount.js'), source);
+    await db.ready;
+});
+
+afterAll(done => {
+    fs.rmSync(root, { recursive: true, force: true });
+    db.close(done);
+});
+
+describe('Test Lab branch coverage', () => {
+    test('parses Cobertura XML relative to its source directory', () => {
+        const report = coverageReport.parse(cobertura);
+
+        expect(report.format).toBe('cobertura');
+        expect(report.files['/ci/work/shop/src/discount.js']).toMatchObject({
+            lines: { found: 2, hit: 2 },
+            functions: { found: 1, hit: 1 },
+            branches: { found: 6, hit: 5 },
+            lineHits: { 2: 8, 3: 5 }
+        });
+    });
+
+    test('maps ingested coverage onto the AST branches of a checkout file', async () => {
+        const stored = await testGen.ingestCoverage('acme/shop', JSON.stringify(istanbul), { commitId: 'c1' });
+        expect(stored).toMatchObject({ format: 'istanbul', files: 1, totals: { branches: { found: 6, hit: 5 } } });
+
+        const analysis = await testGen.analyzeFile('acme/shop', './src/discount.js', { rootDir: root });
+        expect(analysis.report.id).toBe(stored.id);
+        expect(analysis.branches.map(b => [b.type, b.condition, b.status])).toEqual([
+            ['if', "code === 'HALF' && sum > 0", 'tested'],
+            ['binary-expr', "code === 'HALF' && sum > 0", 'tested'],
+            ['cond-expr', 'code', 'partial']
+        ]);
+        expect(analysis.uncovered).toEqual([
+            expect.objectContaining({ line: 3, function: 'discount', uncoveredArms: ['false'], mappedBy: 'location' })
+        ]);
+
+        // Cobertura knows a line's branch counts, not which outcome was missed
+        await testGen.ingestCoverage('acme/shop', cobertura);
+        const fromCobertura = await testGen.analyzeFile('acme/shop', 'src/discount.js', { rootDir: root });
+        expect(fromCobertura.branches.map(b => b.status)).toEqual(['tested', 'tested', 'partial']);
+        expect(fromCobertura.uncovered[0]).toMatchObject({ mappedBy: 'line', uncoveredArms: [] });
+
+        const tests = await testGen.generateTestSuite('src/discount.js', analysis.branches);
+        expect(tests).toHaveLength(1);
+        expect(tests[0].arms).toEqual(['false']);
+
+        await expect(testGen.analyzeFile('acme/shop', '../secrets.js', { rootDir: root })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(testGen.analyzeFile('acme/other', 'src/discount.js', { rootDir: root, reportId: stored.id }))
+            .rejects.toMatchObject({ statusCode: 404 });
+    });
+});
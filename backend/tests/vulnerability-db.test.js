@@ -0,0 +1,129 @@
+const db = require('../src/config/db');
+const vulnerabilityDb = require('../src/services/vulnerability-db.service');
+const cveScorer = require('../src/services/cve-scorer.service');
+
+const { cvssV3BaseScore } = vulnerabilityDb;
+
+const lodashAdvisory = {
+    schema_version: '1.4.0',
+    id: 'GHSA-35jh-r3h4-6jhm',
+    modified: '2024-01-10T00:00:00Z',
+    published: '2021-05-06T16:05:51Z',
+    aliases: ['CVE-2021-23337'],
+    summary: 'Command Injection in lodash',
+    severity: [{ type: 'CVSS_V3', score: 'CVSS:3.1/AV:N/AC:L/PR:H/UI:N/S:U/C:H/I:H/A:H' }],
+    affected: [{
+        package: { ecosystem: 'npm', name: 'lodash' },
+        ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.21' }] }]
+    }],
+    references: [{ type: 'ADVISORY', url: 'https://nvd.nist.gov/vuln/detail/CVE-2021-23337' }],
+    database_specific: { severity: 'HIGH' }
+};
+
+const minimistGhsa = {
+    ghsa_id: 'GHSA-xvch-5gv4-984h',
+    cve_id: 'CVE-2021-44906',
+    summary: 'Prototype Pollution in minimist',
+    severity: 'critical',
+    published_at: '2022-03-18T00:01:09Z',
+    updated_at: '2024-02-01T00:00:00Z',
+    references: ['https://github.com/advisories/GHSA-xvch-5gv4-984h'],
+    vulnerabilities: [
+        { package: { ecosystem: 'npm', name: 'minimist' }, vulnerable_version_range: '< 0.2.4', first_patched_version: '0.2.4' },
+        { package: { ecosystem: 'npm', name: 'minimist' }, vulnerable_version_range: '>= 1.0.0, < 1.2.6', first_patched_version: '1.2.6' }
+    ],
+    cvss: { vector_string: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H', score: 9.8 }
+};
+
+describe('Vulnerability database', () => {
+    beforeAll(async () => {
+        await db.ready;
+        await vulnerabilityDb.importDump([lodashAdvisory, minimistGhsa], { name: 'fixtures' });
+    });
+    afterAll(done => { db.close(done); });
+
+    test('computes CVSS v3 base scores', () => {
+        expect(cvssV3BaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H')).toBe(9.8);
+        expect(cvssV3BaseScore('CVSS:3.1/AV:N/AC:L/PR:H/UI:N/S:U/C:H/I:H/A:H')).toBe(7.2);
+        expect(cvssV3BaseScore('CVSS:3.0/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N')).toBe(6.1);
+    });
+
+    test('scans v1 and v2 lockfiles against OSV and GHSA advisories', async () => {
+        const v2 = await vulnerabilityDb.scanLockfile({
+            lockfileVersion: 3,
+            packages: {
+                '': { name: 'app' },
+                'node_modules/lodash': { version: '4.17.20' },
+                'node_modules/minimist': { version: '1.2.6' },
+                'node_modules/mkdirp/node_modules/minimist': { version: '1.2.5', dev: true }
+            }
+        });
+        expect(v2.findings.map(f => `${f.name}@${f.version}`)).toEqual(['lodash@4.17.20', 'minimist@1.2.5']);
+        expect(v2.findings[1]).toMatchObject({ dev: true, paths: ['node_modules/mkdirp/node_modules/minimist'] });
+        expect(v2.findings[1].advisories[0]).toMatchObject({ id: 'GHSA-xvch-5gv4-984h', severity: 'CRITICAL', fixedIn: ['1.2.6'] });
+
+        const v1 = await vulnerabilityDb.scanLockfile({
+            lockfileVersion: 1,
+            dependencies: { lodash: { version: '4.17.21' }, minimist: { version: '0.0.8' } }
+        }, { includeDev: false });
+        expect(v1.findings.map(f => f.name)).toEqual(['minimist']);
+        expect(v1.summary.critical).toBe(1);
+    });
+
+    test('refreshes incrementally from a newer dump', async () => {
+        const again = await vulnerabilityDb.importDump([lodashAdvisory, minimistGhsa], { name: 'fixtures' });
+        expect(again.alreadyImported).toBe(true);
+
+        const withdrawn = { ...lodashAdvisory, modified: '2024-06-01T00:00:00Z', withdrawn: '2024-06-01T00:00:00Z' };
+        const refreshed = await vulnerabilityDb.importDump([withdrawn, minimistGhsa], { name: 'newer' });
+        expect(refreshed).toMatchObject({ added: 0, updated: 1, unchanged: 1 });
+        expect(await vulnerabilityDb.findVulnerabilities('npm', 'lodash', '4.17.20')).toEqual([]);
+    });
+
+    test('queues concurrent imports and keeps other writes out of their transactions', async () => {
+        const advisory = (n) => ({
+            ...lodashAdvisory,
+            id: `GHSA-test-000${n}`,
+            aliases: [],
+            affected: [{ package: { ecosystem: 'npm', name: `pkg-${n}` }, ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }] }] }]
+        });
+        const [first, second] = await Promise.all([
+            vulnerabilityDb.importDump([advisory(1), advisory(2)], { name: 'first' }),
+            vulnerabilityDb.importDump([advisory(3)], { name: 'second' })
+        ]);
+        expect(first).toMatchObject({ added: 2 });
+        expect(second).toMatchObject({ added: 1 });
+        expect(await vulnerabilityDb.findVulnerabilities('npm', 'pkg-3', '1.0.0')).toHaveLength(1);
+
+        // A write issued while a transaction is open survives its rollback
+        const run = (sql) => new Promise((resolve, reject) => db.run(sql, err => (err ? reject(err) : resolve())));
+        await run('CREATE TABLE tx_probe (value TEXT)');
+        const aborted = db.transaction(async () => {
+            await run("INSERT INTO tx_probe VALUES ('inside')");
+            await new Promise(resolve => setTimeout(resolve, 20));
+            throw new Error('abort');
+        });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await run("INSERT INTO tx_probe VALUES ('outside')");
+        await expect(aborted).rejects.toThrow('abort');
+
+        const rows = await new Promise((resolve, reject) => db.all('SELECT value FROM tx_probe', (err, result) => (err ? reject(err) : resolve(result))));
+        expect(rows).toEqual([{ value: 'outside' }]);
+    });
+
+    test('scores CVEs from the local mirror without network access', async () => {
+        process.env.VULN_DB_OFFLINE = 'true';
+        try {
+            const byAlias = await cveScorer.fetchCVEData('CVE-2021-44906');
+            expect(byAlias).toMatchObject({ id: 'GHSA-xvch-5gv4-984h', cvssScore: 9.8, source: 'local' });
+
+            const byPackage = await cveScorer.calculateImpactScore({ package: 'minimist', version: '1.2.5' }, [], {});
+            expect(byPackage.cve).toBe('GHSA-xvch-5gv4-984h');
+            expect(byPackage.breakdown.base).toBe(9.8);
+
+            expect((await cveScorer.fetchCVEData('CVE-0000-0000')).source).toBe('default');
+        } finally {
+            delete process.env.VULN_DB_OFFLINE;
+        }
+    });
+});
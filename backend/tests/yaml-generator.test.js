@@ -0,0 +1,52 @@
+const yaml = require('js-yaml');
+const yamlService = require('../src/services/yaml-generator.service');
+
+describe('YamlGeneratorService', () => {
+    const workflowData = {
+        name: 'CI: main',
+        on: { push: { branches: ['main'] }, workflow_dispatch: { inputs: { target: { type: 'choice', options: ['dev', 'prod'] } } } },
+        env: { FLAG: 'true', VERSION: '1.10', RELEASED: '2001-01-01', STAMP: '2001-12-14 21:59:43.10 -5', AT: '12:30', RATIO: '1:2', MASK: '0b101' },
+        jobs: {
+            build: {
+                runsOn: 'ubuntu-latest',
+                strategy: { matrix: { node: [18, 20] }, failFast: false },
+                steps: [
+                    { name: 'Checkout', uses: 'actions/checkout@v4', run: null, type: 'uses' },
+                    { name: 'Build: all', run: 'npm ci\nnpm run build # prod\n', type: 'run' }
+                ]
+            },
+            deploy: { runsOn: 'ubuntu-latest', needs: 'build', if: "github.ref == 'refs/heads/main'", steps: [{ run: './deploy.sh' }] }
+        }
+    };
+
+    test('emits YAML that parses back to the same workflow', () => {
+        const text = yamlService.generateWorkflowYaml(workflowData);
+
+        expect(text).toContain("name: 'CI: main'");
+        expect(text).toContain("        run: |\n          npm ci\n          npm run build # prod\n");
+        expect(yaml.safeLoad(text)).toEqual(yamlService.toWorkflowDocument(workflowData));
+        expect(yaml.safeLoad(text).env).toEqual(workflowData.env);
+        expect(text).toContain("AT: '12:30'");
+
+        const parsed = yamlService.parseWorkflowYaml(text);
+        expect(parsed.jobs.build).toMatchObject({ runsOn: 'ubuntu-latest', strategy: { failFast: false } });
+        expect(parsed.jobs.build.steps[1]).toMatchObject({ name: 'Build: all', type: 'run' });
+        expect(yamlService.generateWorkflowYaml(parsed)).toBe(text);
+    });
+
+    test('reports schema errors, invalid runners and dependency cycles', () => {
+        expect(yamlService.validateWorkflow(workflowData)).toMatchObject({ isValid: true, errors: [] });
+
+        const { isValid, errors } = yamlService.validateWorkflow({
+            on: 'push',
+            jobs: {
+                a: { runsOn: 'ubuntu', needs: 'b', steps: [{ run: 'make', bogus: true }] },
+                b: { needs: ['a'], steps: [{ uses: 'actions/checkout@v4' }] }
+            }
+        });
+
+        expect(isValid).toBe(false);
+        expect(errors.map(e => e.path)).toEqual(['jobs.a.runs-on', 'jobs.a.steps[0].bogus', 'jobs.a.needs']);
+        expect(errors[2].message).toBe('Job dependency cycle: a → b → a');
+    });
+});
@@ -22,6 +22,7 @@ const elements = {
 };
 
     let workflowSteps = [];
+    let importedWorkflow = null; // workflow loaded from a .yml file; its other jobs and settings are kept
     let editingStepId = null;
     let draggedStepId = null;
     let previousFocusedElement = null;
@@ -40,6 +41,29 @@ const elements = {
         };
     }
 
+    /**
+     * Builder state as the workflow data accepted by /api/workflow/generate.
+     * The canvas edits the first job; everything else comes from an imported file.
+     */
+    function buildWorkflowData() {
+        const base = importedWorkflow || { jobs: { build: { runsOn: 'ubuntu-latest' } } };
+        const [jobId] = Object.keys(base.jobs);
+        const fileName = elements.workflowName.value.trim().replace(/\.ya?ml$/i, '');
+
+        return {
+            ...base,
+            name: base.name || fileName || 'CI Workflow',
+            on: base.on || elements.triggerSelect.value,
+            jobs: {
+                ...base.jobs,
+                [jobId]: {
+                    ...base.jobs[jobId],
+                    steps: workflowSteps.map(({ id, ...step }) => step)
+                }
+            }
+        };
+    }
+
     /* -------------------- Library Drag -------------------- */
 
     function initializeDraggableSteps() {
@@ -216,39 +240,80 @@ const elements = {
 
     /* -------------------- YAML Preview -------------------- */
 
-    function updatePreviewAndValidation() {
-        // Update UI validation state + export button
-        const { valid, errors } = validateCurrentWorkflow(workflowSteps, {
-            name: elements.workflowName.value.trim(),
-            trigger: elements.triggerSelect.value,
-        });
+    async function updatePreviewAndValidation() {
+        let result;
+        try {
+            const response = await fetch('/api/workflow/generate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ workflowData: buildWorkflowData() })
+            });
+            result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Generation failed');
+        } catch (err) {
+            elements.yamlPreview.textContent = `# Error generating preview!\n# ${err.message}`;
+            elements.exportBtn.disabled = true;
+            elements.copyBtn.disabled = true;
+            return;
+        }
 
+        // Update UI validation state + export button
+        const valid = result.isValid && workflowSteps.length > 0;
         elements.exportBtn.disabled = !valid;
+        elements.copyBtn.disabled = false;
 
         if (valid) {
             elements.validationPill.className = 'pill status-pill valid';
-            elements.validationPill.textContent = 'Valid';
+            elements.validationPill.textContent = result.warnings.length ? `Valid (${result.warnings.length} warning)` : 'Valid';
+            elements.validationPill.title = result.warnings.map(w => w.message).join('\n');
         } else {
             elements.validationPill.className = 'pill status-pill invalid';
-            elements.validationPill.textContent = `Invalid (${errors?.length || '?'})`;
+            elements.validationPill.textContent = `Invalid (${result.errors.length || 1})`;
+            elements.validationPill.title = result.errors.map(e => `${e.path}: ${e.message}`).join('\n') || 'Add at least one step';
         }
 
         // Update preview
-        try {
-            const yaml = getWorkflowYaml(workflowSteps, {
-                name: elements.workflowName.value.trim(),
-                trigger: elements.triggerSelect.value,
-            });
-            elements.yamlPreview.textContent = yaml;
-        } catch (err) {
-            elements.yamlPreview.textContent = `# Error generating preview!\n# ${err.message}`;
-        }
+        elements.yamlPreview.textContent = result.yaml;
 
         if (typeof triggerUIUpdate === 'function') {
             triggerUIUpdate();
         }
     }
 
+    /* -------------------- Import -------------------- */
+
+    async function importWorkflowFile(file) {
+        const response = await fetch('/api/workflow/parse', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ yaml: await file.text() })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            alert(result.message || 'Could not read this workflow file.');
+            return;
+        }
+
+        const { workflowData } = result;
+        const jobs = workflowData.jobs && typeof workflowData.jobs === 'object' ? workflowData.jobs : {};
+        const [jobId] = Object.keys(jobs);
+        if (!jobId) {
+            alert('This workflow has no jobs to edit.');
+            return;
+        }
+
+        importedWorkflow = { ...workflowData, jobs };
+        workflowSteps = (jobs[jobId].steps || []).map(step => ({ id: generateStepId(), ...step }));
+        elements.workflowName.value = file.name;
+
+        const events = typeof workflowData.on === 'string' ? [workflowData.on] : Object.keys(workflowData.on || {});
+        const option = Array.from(elements.triggerSelect.options).find(o => events.includes(o.value));
+        if (option) elements.triggerSelect.value = option.value;
+
+        renderSteps();
+        updatePreviewAndValidation();
+    }
+
     /* -------------------- Actions -------------------- */
 
     function initEventListeners() {
@@ -302,13 +367,22 @@ const elements = {
         });
         // Trigger preview updates
         elements.workflowName.addEventListener('input', updatePreviewAndValidation);
-        elements.triggerSelect.addEventListener('change', updatePreviewAndValidation);
+        elements.triggerSelect.addEventListener('change', () => {
+            // Choosing a trigger replaces the imported file's triggers
+            if (importedWorkflow) delete importedWorkflow.on;
+            updatePreviewAndValidation();
+        });
+        // Import an existing .github/workflows file
+        const importInput = document.getElementById('import-yaml-input');
+        document.getElementById('import-yaml-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const [file] = importInput.files;
+            if (file) importWorkflowFile(file).catch(err => alert(`Import failed: ${err.message}`));
+            importInput.value = '';
+        });
         // Export (already has validation guard in HTML + disabled state)
         elements.exportBtn.addEventListener('click', () => {
-            const yaml = getWorkflowYaml(workflowSteps, {
-                name: elements.workflowName.value.trim() || 'workflow',
-                trigger: elements.triggerSelect.value,
-            });
+            const yaml = elements.yamlPreview.textContent;
 
             const filename = (elements.workflowName.value.trim() || 'workflow')
                 .replace(/\.ya?ml$/i, '') + '.yml';
@@ -7,6 +7,7 @@ class BundleCity {
     constructor() {
         this.container = document.getElementById('city-viewport');
         this.buildings = [];
+        this.districts = [];
         this.scene = null;
         this.camera = null;
         this.renderer = null;
@@ -26,6 +27,8 @@ class BundleCity {
 
         window.addEventListener('resize', () => this.onWindowResize());
         this.container.addEventListener('click', (e) => this.onMouseClick(e));
+        document.getElementById('stats-file').addEventListener('change', () => this.loadBuildFiles());
+        document.getElementById('baseline-file').addEventListener('change', () => this.loadBuildFiles());
 
         await this.loadCityData();
     }
@@ -80,14 +83,99 @@ class BundleCity {
             const result = await response.json();
 
             if (result.success) {
-                this.renderBuildings(result.data.layout.buildings);
-                this.updateUI(result.data.layout.summary, result.data.suggestions);
+                this.showCity(result.data);
+            } else {
+                document.getElementById('ai-suggestions').innerHTML =
+                    `<p class="suggestion-desc">${escapeHtml(result.message)}</p>`;
             }
         } catch (error) {
             console.error('Failed to load bundle city:', error);
         }
     }
 
+    /**
+     * Builds the city from the selected stats file, or compares it with the
+     * baseline file when one is selected too
+     */
+    async loadBuildFiles() {
+        const statsFile = document.getElementById('stats-file').files[0];
+        const baselineFile = document.getElementById('baseline-file').files[0];
+        const status = document.getElementById('build-status');
+        if (!statsFile) return;
+
+        status.classList.remove('error');
+        status.textContent = baselineFile ? 'Comparing builds...' : 'Analyzing build...';
+        try {
+            const stats = await statsFile.text();
+            const request = baselineFile
+                ? { url: '/api/bundle/diff', body: { base: await baselineFile.text(), head: stats } }
+                : { url: '/api/bundle/city', body: { stats } };
+
+            const response = await fetch(request.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request.body)
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.message);
+
+            if (baselineFile) this.showDiff(result.data);
+            else this.showCity(result.data);
+            status.textContent = `${statsFile.name} (${result.data.summary.tool})`;
+        } catch (error) {
+            status.classList.add('error');
+            status.textContent = error.message;
+        }
+    }
+
+    showCity(data) {
+        this.clearCity();
+        this.setLegend(false);
+        this.renderDistricts(data.layout.districts);
+        this.renderBuildings(data.layout.buildings);
+        this.updateUI(data.layout.summary, data.suggestions);
+    }
+
+    showDiff(diff) {
+        this.clearCity();
+        this.setLegend(true);
+        this.renderDistricts(diff.districts);
+        this.renderBuildings(diff.buildings);
+        this.updateDiffUI(diff);
+    }
+
+    setLegend(diffMode) {
+        document.getElementById('diff-legend').hidden = !diffMode;
+        document.getElementById('type-legend').hidden = diffMode;
+    }
+
+    clearCity() {
+        this.deselectBuilding();
+        [...this.buildings, ...this.districts].forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.buildings = [];
+        this.districts = [];
+    }
+
+    renderDistricts(districts) {
+        districts.forEach(district => {
+            const geometry = new THREE.BoxGeometry(district.width, 0.2, district.depth);
+            const material = new THREE.MeshPhongMaterial({
+                color: district.level % 2 ? 0x1e1e2e : 0x151520,
+                transparent: true,
+                opacity: 0.9
+            });
+            const plate = new THREE.Mesh(geometry, material);
+            plate.position.set(district.x, district.level * 0.2 - 0.1, district.z);
+            plate.userData = district;
+            this.scene.add(plate);
+            this.districts.push(plate);
+        });
+    }
+
     renderBuildings(buildingData) {
         buildingData.forEach((data, index) => {
             const geometry = new THREE.BoxGeometry(data.width, data.height, data.depth);
@@ -103,7 +191,7 @@ class BundleCity {
             });
 
             const building = new THREE.Mesh(geometry, material);
-            building.position.set(data.x, 0, data.z);
+            building.position.set(data.x, 0.1, data.z);
             building.userData = data;
 
             // Animation entry
@@ -114,14 +202,15 @@ class BundleCity {
             gsap.to(building.scale, {
                 y: 1,
                 duration: 1.5,
-                delay: index * 0.05,
+                delay: Math.min(index, 40) * 0.05,
                 ease: "elastic.out(1, 0.5)"
             });
         });
     }
 
     updateUI(summary, suggestions) {
-        document.getElementById('total-size').textContent = summary.totalSize;
+        document.getElementById('total-size').textContent =
+            summary.totalGzip ? `${summary.totalSize} (${summary.totalGzip} gz)` : summary.totalSize;
         document.getElementById('total-buildings').textContent = summary.totalFiles;
         document.getElementById('bloat-factor').textContent = summary.bloatFactor;
 
@@ -129,17 +218,47 @@ class BundleCity {
         suggestionsList.innerHTML = suggestions.map(s => `
             <div class="suggestion-item ${s.impact.toLowerCase()}">
                 <div class="suggestion-header">
-                    <span>${s.target}</span>
+                    <span>${escapeHtml(s.target)}</span>
                     <span class="impact-badge">${s.impact} Impact</span>
                 </div>
-                <div class="suggestion-desc">${s.description}</div>
-                <button class="btn btn-primary btn-sm" onclick="demolishBuilding('${s.target}')">
+                <div class="suggestion-desc">${escapeHtml(s.description)}</div>
+                <button class="btn btn-primary btn-sm" onclick="demolishBuilding('${escapeHtml(s.target)}')">
                     <i class="ri-hammer-line"></i> Run Action
                 </button>
             </div>
         `).join('');
     }
 
+    updateDiffUI(diff) {
+        const { summary } = diff;
+        const sign = bytes => `${bytes >= 0 ? '+' : '-'}${formatBytes(Math.abs(bytes))}`;
+        document.getElementById('total-size').textContent = sign(summary.sizeDelta);
+        document.getElementById('total-buildings').textContent = `+${summary.added} / -${summary.removed}`;
+        document.getElementById('bloat-factor').textContent =
+            `${diff.duplicates.introduced.length} new / ${diff.duplicates.resolved.length} fixed`;
+
+        const changes = diff.modules.slice(0, 20).map(m => `
+            <div class="suggestion-item ${m.delta > 0 ? 'critical' : ''}">
+                <div class="suggestion-header">
+                    <span>${escapeHtml(m.id.split('/').pop())}</span>
+                    <span class="impact-badge">${m.status} ${sign(m.delta)}</span>
+                </div>
+                <div class="suggestion-desc">${escapeHtml(m.id)}</div>
+            </div>
+        `);
+        const duplicates = diff.duplicates.introduced.map(d => `
+            <div class="suggestion-item high">
+                <div class="suggestion-header">
+                    <span>${escapeHtml(d.package)}</span>
+                    <span class="impact-badge">New duplicate</span>
+                </div>
+                <div class="suggestion-desc">Bundled ${d.instances.length} times, wasting ${formatBytes(d.wastedBytes)}</div>
+            </div>
+        `);
+        document.getElementById('ai-suggestions').innerHTML =
+            [...duplicates, ...changes].join('') || '<p class="suggestion-desc">No module changed size.</p>';
+    }
+
     onMouseClick(event) {
         this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
@@ -165,9 +284,13 @@ class BundleCity {
         const data = building.userData;
         const info = document.getElementById('selection-info');
         info.innerHTML = `
-            <h4>${data.name}</h4>
-            <div>Size: ${data.stats.size}</div>
-            <div>Deps: ${data.stats.deps}</div>
+            <h4>${escapeHtml(data.name)}</h4>
+            <div>${escapeHtml(data.path)}</div>
+            ${data.package ? `<div>Package: ${escapeHtml(data.package)}${data.version ? `@${escapeHtml(data.version)}` : ''}${data.duplicate ? ' (duplicated)' : ''}</div>` : ''}
+            <div>Size: ${data.stats.size}${data.stats.gzip ? ` · ${data.stats.gzip} gz` : ''}${data.stats.brotli ? ` · ${data.stats.brotli} br` : ''}</div>
+            ${data.diff ? `<div>Change: ${data.diff.status} (${data.diff.label})</div>` : ''}
+            <div>Chunks: ${escapeHtml(data.chunks.join(', '))}</div>
+            <div>Deps: ${data.stats.deps} · Imported by: ${data.stats.importedBy}</div>
             <div>Rent: <span style="color:#10b981">${data.stats.rent}</span></div>
             <button class="btn btn-danger btn-sm" style="margin-top:10px" onclick="openDemolitionModal()">
                 <i class="ri-delete-bin-line"></i> Demolish
@@ -201,6 +324,17 @@ class BundleCity {
     }
 }
 
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(2))} ${units[i]}`;
+}
+
 // Global functions for UI interaction
 let cityApp;
 document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,359 @@
+/**
+ * Collab OT Client
+ * Browser side of the collaboration document sync. Mirrors the server's
+ * TextOperation (backend/src/services/text-operation.engine.js) and keeps one
+ * operation in flight at a time, buffering further local edits until the
+ * server acknowledges it.
+ */
+class TextOperation {
+    constructor() {
+        this.ops = [];
+        this.baseLength = 0;
+        this.targetLength = 0;
+    }
+
+    static isRetain(op) { return typeof op === 'number' && op > 0; }
+    static isInsert(op) { return typeof op === 'string'; }
+    static isDelete(op) { return typeof op === 'number' && op < 0; }
+
+    retain(n) {
+        if (n <= 0) return this;
+        this.baseLength += n;
+        this.targetLength += n;
+        const last = this.ops.length - 1;
+        if (TextOperation.isRetain(this.ops[last])) this.ops[last] += n;
+        else this.ops.push(n);
+        return this;
+    }
+
+    insert(str) {
+        if (!str) return this;
+        this.targetLength += str.length;
+        const ops = this.ops;
+        const last = ops.length - 1;
+        if (TextOperation.isInsert(ops[last])) {
+            ops[last] += str;
+        } else if (TextOperation.isDelete(ops[last])) {
+            if (TextOperation.isInsert(ops[last - 1])) ops[last - 1] += str;
+            else {
+                ops[last + 1] = ops[last];
+                ops[last] = str;
+            }
+        } else {
+            ops.push(str);
+        }
+        return this;
+    }
+
+    delete(n) {
+        if (n === 0) return this;
+        if (n > 0) n = -n;
+        this.baseLength -= n;
+        const last = this.ops.length - 1;
+        if (TextOperation.isDelete(this.ops[last])) this.ops[last] += n;
+        else this.ops.push(n);
+        return this;
+    }
+
+    isNoop() {
+        return this.ops.length === 0 || (this.ops.length === 1 && TextOperation.isRetain(this.ops[0]));
+    }
+
+    apply(str) {
+        if (str.length !== this.baseLength) throw new Error('Operation does not match document length');
+        const parts = [];
+        let index = 0;
+        this.ops.forEach(op => {
+            if (TextOperation.isRetain(op)) {
+                parts.push(str.slice(index, index + op));
+                index += op;
+            } else if (TextOperation.isInsert(op)) {
+                parts.push(op);
+            } else {
+                index -= op;
+            }
+        });
+        return parts.join('');
+    }
+
+    compose(other) {
+        const result = new TextOperation();
+        const ops1 = this.ops.slice();
+        const ops2 = other.ops.slice();
+        let i1 = 0, i2 = 0;
+        let op1 = ops1[i1++], op2 = ops2[i2++];
+        const next1 = () => ops1[i1++];
+        const next2 = () => ops2[i2++];
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (TextOperation.isDelete(op1)) { result.delete(op1); op1 = next1(); continue; }
+            if (TextOperation.isInsert(op2)) { result.insert(op2); op2 = next2(); continue; }
+            if (op1 === undefined || op2 === undefined) throw new Error('Cannot compose operations');
+
+            let n;
+            if (TextOperation.isRetain(op1) && TextOperation.isRetain(op2)) {
+                n = Math.min(op1, op2);
+                result.retain(n);
+            } else if (TextOperation.isInsert(op1) && TextOperation.isDelete(op2)) {
+                n = Math.min(op1.length, -op2);
+            } else if (TextOperation.isInsert(op1)) {
+                n = Math.min(op1.length, op2);
+                result.insert(op1.slice(0, n));
+            } else {
+                n = Math.min(op1, -op2);
+                result.delete(n);
+            }
+            op1 = consume(op1, n, next1);
+            op2 = consume(op2, n, next2);
+        }
+        return result;
+    }
+
+    static transform(a, b) {
+        const aPrime = new TextOperation();
+        const bPrime = new TextOperation();
+        const ops1 = a.ops.slice();
+        const ops2 = b.ops.slice();
+        let i1 = 0, i2 = 0;
+        let op1 = ops1[i1++], op2 = ops2[i2++];
+        const next1 = () => ops1[i1++];
+        const next2 = () => ops2[i2++];
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (TextOperation.isInsert(op1)) { aPrime.insert(op1); bPrime.retain(op1.length); op1 = next1(); continue; }
+            if (TextOperation.isInsert(op2)) { aPrime.retain(op2.length); bPrime.insert(op2); op2 = next2(); continue; }
+            if (op1 === undefined || op2 === undefined) throw new Error('Cannot transform operations');
+
+            let n;
+            if (TextOperation.isRetain(op1) && TextOperation.isRetain(op2)) {
+                n = Math.min(op1, op2);
+                aPrime.retain(n);
+                bPrime.retain(n);
+            } else if (TextOperation.isDelete(op1) && TextOperation.isDelete(op2)) {
+                n = Math.min(-op1, -op2);
+            } else if (TextOperation.isDelete(op1)) {
+                n = Math.min(-op1, op2);
+                aPrime.delete(n);
+            } else {
+                n = Math.min(op1, -op2);
+                bPrime.delete(n);
+            }
+            op1 = consume(op1, n, next1);
+            op2 = consume(op2, n, next2);
+        }
+        return [aPrime, bPrime];
+    }
+
+    static fromDiff(oldText, newText) {
+        let prefix = 0;
+        const maxPrefix = Math.min(oldText.length, newText.length);
+        while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < maxPrefix - prefix && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) suffix++;
+
+        return new TextOperation()
+            .retain(prefix)
+            .delete(oldText.length - prefix - suffix)
+            .insert(newText.slice(prefix, newText.length - suffix))
+            .retain(suffix);
+    }
+
+    static fromJSON(ops) {
+        const operation = new TextOperation();
+        ops.forEach(op => {
+            if (TextOperation.isRetain(op)) operation.retain(op);
+            else if (TextOperation.isInsert(op)) operation.insert(op);
+            else operation.delete(op);
+        });
+        return operation;
+    }
+
+    toJSON() {
+        return this.ops;
+    }
+
+    /**
+     * Where a caret at `index` ends up after this operation.
+     */
+    transformIndex(index) {
+        let newIndex = index;
+        let position = 0;
+        for (const op of this.ops) {
+            if (position > index) break;
+            if (TextOperation.isRetain(op)) {
+                position += op;
+            } else if (TextOperation.isInsert(op)) {
+                newIndex += op.length;
+            } else {
+                newIndex -= Math.min(index - position, -op);
+                position -= op;
+            }
+        }
+        return newIndex;
+    }
+}
+
+function consume(op, n, next) {
+    if (TextOperation.isInsert(op)) return op.length === n ? next() : op.slice(n);
+    if (TextOperation.isRetain(op)) return op === n ? next() : op - n;
+    return -op === n ? next() : op + n;
+}
+
+/**
+ * Keeps a textarea in sync with a collaboration room over socket.io.
+ */
+class CollabDocumentClient {
+    constructor(socket, roomId, textarea) {
+        this.socket = socket;
+        this.roomId = roomId;
+        this.textarea = textarea;
+        this.clientId = this.getClientId();
+        this.revision = null;      // last server revision known to this client
+        this.serverText = '';      // document at `revision`
+        this.outstanding = null;   // { operation, seq } awaiting ack
+        this.resyncing = false;
+        this.buffer = null;        // local edits made while waiting
+        this.seq = 0;
+        this.lastValue = textarea.value;
+
+        this.textarea.addEventListener('input', () => this.onLocalInput());
+        this.socket.on('collab_sync', payload => payload.roomId === this.roomId && this.onSync(payload));
+        this.socket.on('collab_ack', payload => payload.roomId === this.roomId && this.onAck(payload));
+        this.socket.on('collab_operation', payload => payload.roomId === this.roomId && this.onRemoteOperation(payload));
+        this.socket.on('collab_error', payload => payload.roomId === this.roomId && console.warn('Collab sync error:', payload.message));
+    }
+
+    getClientId() {
+        const key = 'xaytheon-collab-client-id';
+        let id = sessionStorage.getItem(key);
+        if (!id) {
+            id = `c_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+            sessionStorage.setItem(key, id);
+        }
+        return id;
+    }
+
+    /**
+     * Payload for join_collab; includes the revision so a reconnect only
+     * receives the operations it missed.
+     */
+    joinPayload(userMetadata) {
+        return { roomId: this.roomId, userMetadata, clientId: this.clientId, revision: this.revision };
+    }
+
+    onLocalInput() {
+        const value = this.textarea.value;
+        const operation = TextOperation.fromDiff(this.lastValue, value);
+        this.lastValue = value;
+        if (operation.isNoop() || this.revision === null) return;
+
+        if (!this.outstanding) this.send(operation);
+        else this.buffer = this.buffer ? this.buffer.compose(operation) : operation;
+    }
+
+    send(operation) {
+        this.outstanding = { operation, seq: ++this.seq };
+        this.socket.emit('collab_operation', {
+            roomId: this.roomId,
+            seq: this.outstanding.seq,
+            revision: this.revision,
+            operation: operation.toJSON()
+        });
+    }
+
+    onAck({ seq, revision }) {
+        if (!this.outstanding || this.outstanding.seq !== seq) return;
+        this.serverText = this.outstanding.operation.apply(this.serverText);
+        this.revision = revision;
+        this.outstanding = null;
+        if (this.buffer) {
+            const buffered = this.buffer;
+            this.buffer = null;
+            this.send(buffered);
+        }
+    }
+
+    onRemoteOperation({ operation, revision, clientId, seq }) {
+        if (this.revision === null || revision <= this.revision) return;
+        if (revision !== this.revision + 1) {
+            // Missed at least one operation: catch up before applying anything.
+            this.requestResync();
+            return;
+        }
+        if (clientId === this.clientId && this.outstanding && seq === this.outstanding.seq) {
+            this.onAck({ seq, revision });
+            return;
+        }
+
+        let remote = TextOperation.fromJSON(operation);
+        this.serverText = remote.apply(this.serverText);
+        this.revision = revision;
+
+        if (this.outstanding) {
+            [this.outstanding.operation, remote] = TextOperation.transform(this.outstanding.operation, remote);
+        }
+        if (this.buffer) {
+            [this.buffer, remote] = TextOperation.transform(this.buffer, remote);
+        }
+        this.applyToTextarea(remote);
+    }
+
+    requestResync() {
+        if (this.resyncing) return;
+        this.resyncing = true;
+        this.socket.emit('collab_resync', { roomId: this.roomId, revision: this.revision });
+    }
+
+    onSync(payload) {
+        this.resyncing = false;
+        // A reloaded page keeps its clientId, so continue after the last applied seq.
+        this.seq = Math.max(this.seq, payload.lastSeq);
+
+        if (payload.type === 'operations' && this.revision !== null) {
+            payload.operations.forEach(op => this.onRemoteOperation(op));
+            // The in-flight edit never reached the server: send it again.
+            if (this.outstanding && this.outstanding.seq > payload.lastSeq) {
+                const { operation, seq } = this.outstanding;
+                this.socket.emit('collab_operation', { roomId: this.roomId, seq, revision: this.revision, operation: operation.toJSON() });
+            }
+            return;
+        }
+
+        // Snapshot: rebase whatever was not yet confirmed onto the server text.
+        let base = this.serverText;
+        let pending = null;
+        if (this.outstanding) {
+            if (this.outstanding.seq <= payload.lastSeq) base = this.outstanding.operation.apply(base);
+            else pending = this.outstanding.operation;
+        }
+        if (this.buffer) pending = pending ? pending.compose(this.buffer) : this.buffer;
+
+        this.outstanding = null;
+        this.buffer = null;
+        this.revision = payload.revision;
+        this.serverText = payload.content;
+
+        if (pending) {
+            let remote = TextOperation.fromDiff(base, payload.content);
+            if (pending) [pending, remote] = TextOperation.transform(pending, remote);
+            this.applyToTextarea(remote);
+            if (pending && !pending.isNoop()) this.send(pending);
+        } else {
+            this.textarea.value = payload.content;
+            this.lastValue = payload.content;
+        }
+    }
+
+    applyToTextarea(operation) {
+        const { selectionStart, selectionEnd } = this.textarea;
+        const value = operation.apply(this.lastValue);
+        this.textarea.value = value;
+        this.lastValue = value;
+        if (document.activeElement === this.textarea) {
+            this.textarea.setSelectionRange(operation.transformIndex(selectionStart), operation.transformIndex(selectionEnd));
+        }
+    }
+}
+
+window.TextOperation = TextOperation;
+window.CollabDocumentClient = CollabDocumentClient;
@@ -19,6 +19,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     const token = localStorage.getItem('sb-access-token') || 'demo-token';
     const socket = io('http://localhost:5000', { auth: { token } });
 
+    // Shared notes: edits are synced as operations (see collab-ot.js)
+    const sharedInput = document.createElement('textarea');
+    sharedInput.className = 'shared-editor';
+    sharedInput.placeholder = 'Collaborative Notes...';
+    document.getElementById('shared-list').appendChild(sharedInput);
+    const documentClient = new CollabDocumentClient(socket, roomId, sharedInput);
+
     // Initialize Cursor Tracker
     const cursorManager = new CollabCursors('shared-workspace-area');
     // For this demo, let's use the workspace card as the area
@@ -29,14 +36,16 @@ document.addEventListener('DOMContentLoaded', async () => {
         statusEl.innerHTML = '🟢 Live';
         statusEl.style.color = '#10b981';
 
-        // Join room with user metadata
-        socket.emit('join_collab', {
-            roomId: roomId,
-            userMetadata: {
-                name: `User ${socket.id.substring(0, 4)}`,
-                avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=${socket.id}`
-            }
-        });
+        // Join room with user metadata (and our last revision when reconnecting)
+        socket.emit('join_collab', documentClient.joinPayload({
+            name: `User ${socket.id.substring(0, 4)}`,
+            avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=${socket.id}`
+        }));
+    });
+
+    socket.on('disconnect', () => {
+        statusEl.innerHTML = '🟠 Reconnecting...';
+        statusEl.style.color = '#f59e0b';
     });
 
     socket.on('presence_update', ({ viewers }) => {
@@ -65,17 +74,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         cursorManager.updateCursor(userId, x, y, metadata);
     });
 
-    // --- Typing Indicators & Content Sync ---
-    const sharedInput = document.createElement('textarea');
-    sharedInput.className = 'shared-editor';
-    sharedInput.placeholder = 'Collaborative Notes...';
-    document.getElementById('shared-list').appendChild(sharedInput);
-
+    // --- Typing Indicators ---
     let typingTimeout;
-    sharedInput.addEventListener('input', (e) => {
-        // Optimistic Sync
-        socket.emit('edit_content', { roomId, change: e.target.value });
-
+    sharedInput.addEventListener('input', () => {
         // Typing indicator
         clearTimeout(typingTimeout);
         socket.emit('typing_status', { roomId, isTyping: true });
@@ -85,12 +86,6 @@ document.addEventListener('DOMContentLoaded', async () => {
         }, 1000);
     });
 
-    socket.on('content_synced', ({ change, userId }) => {
-        if (userId !== socket.id) {
-            sharedInput.value = change;
-        }
-    });
-
     const typingArea = document.createElement('div');
     typingArea.id = 'typing-indicator-area';
     typingArea.className = 'typing-indicator';
@@ -48,9 +48,9 @@ document.addEventListener('DOMContentLoaded', () => {
     /**
      * Fetch available compliance frameworks from backend
      */
-    async function fetchFrameworks() {
+    async function fetchFrameworks(auditId = null) {
         try {
-            const res = await fetch('/api/audit/frameworks');
+            const res = await fetch(`/api/audit/frameworks${auditId ? `?auditId=${encodeURIComponent(auditId)}` : ''}`);
             const data = await res.json();
 
             if (data.success) {
@@ -67,7 +67,9 @@ document.addEventListener('DOMContentLoaded', () => {
         frameworkList.innerHTML = Object.entries(frameworks).map(([key, f]) => `
             <div class="framework-item">
                 <span class="name">${f.name}</span>
-                <span class="count">${f.controls.length} Controls</span>
+                <span class="count" title="${f.coverage ? `${f.coverage.failed} failed, ${f.coverage.needsEvidence} need evidence` : ''}">${f.audit
+                    ? `${f.coverage.satisfied}/${f.controls.length} Controls Met`
+                    : `${f.controls.length} Controls`}</span>
             </div>
         `).join('');
     }
@@ -100,7 +102,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 currentAuditReport = data.data;
                 displayResults(currentAuditReport);
                 updateChart(currentAuditReport);
+                fetchFrameworks(currentAuditReport.auditId);
                 showNotification('Global audit completed successfully.', 'success');
+            } else {
+                showNotification(data.message || 'Audit execution failed.', 'error');
             }
         } catch (err) {
             showNotification('Audit execution failed. Check console.', 'error');
@@ -134,7 +139,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     <span class="framework">${v.framework}</span>
                     <span class="control">${v.control}</span>
                 </div>
-                <p class="violation-msg"><strong>${v.file}</strong>: ${v.message}</p>
+                <p class="violation-msg"><strong>${v.file}${v.line ? `:${v.line}` : ''}</strong>: ${v.message}${v.evidence ? ` <code>${v.evidence}</code>` : ''}</p>
                 <div class="remediation-box">
                     <strong>Action Required:</strong> ${v.remediation}
                 </div>
@@ -207,7 +212,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function updateChart(report) {
         const counts = { critical: 0, high: 0, medium: 0, passed: report.statistics.passedChecks };
-        report.violations.forEach(v => counts[v.severity]++);
+        // Low findings share the medium slice of the chart
+        report.violations.forEach(v => counts[v.severity === 'low' ? 'medium' : v.severity]++);
 
         violationChart.data.datasets[0].data = [
             counts.passed,
@@ -232,9 +238,11 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // Exports
-    document.getElementById('download-md-btn').addEventListener('click', () => {
+    document.getElementById('download-report-btn').addEventListener('click', () => {
         if (!currentAuditReport) return;
-        window.open(`/api/audit/report/${currentAuditReport.auditId}/download`, '_blank');
+        const format = document.getElementById('report-format').value;
+        const template = document.getElementById('report-template').value;
+        window.open(`/api/audit/report/${currentAuditReport.auditId}/download?format=${format}&template=${template}`, '_blank');
     });
 
     function showNotification(msg, type) {
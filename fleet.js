@@ -307,7 +307,7 @@ class FleetDashboard {
                 <td>${repo.contributors}</td>
                 <td>${repo.totalCommits.toLocaleString()}</td>
                 <td>${repo.openIssues}</td>
-                <td>${repo.doraMetrics.velocity.toFixed(1)}</td>
+                <td>${repo.doraMetrics.velocity === null ? '—' : repo.doraMetrics.velocity.toFixed(1)}</td>
                 <td><span class="health-status ${healthStatus.class}">${healthStatus.text}</span></td>
             `;
             this.comparisonBody.appendChild(row);
@@ -20,7 +20,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     async function fetchCQAS(weights = null) {
         try {
-            const body = { repo: getRepo(), branch: getBranch(), commitId: 'HEAD' };
+            const body = { repo: getRepo(), branch: getBranch() };
             if (weights) body.weights = weights;
 
             const res = await fetch('/api/analyzer/cqas', {
@@ -36,6 +36,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 renderDimensionCards(cqasData.dimensions, cqasData.weights);
                 renderWeightEditor(cqasData.weights);
                 setStatus(`✅ CQAS computed — Grade ${cqasData.grade}`, 'ok');
+            } else {
+                setStatus(`⚠️ ${json.message}`, 'warn');
             }
         } catch {
             setStatus('⚠️ API offline — showing mock scorecard.', 'warn');
@@ -65,7 +67,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const res = await fetch('/api/analyzer/cqas/ci-gate', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ repo: getRepo(), branch: getBranch(), commitId: 'HEAD', minScore, maxRegressionDelta: maxDelta })
+                body: JSON.stringify({ repo: getRepo(), branch: getBranch(), minScore, maxRegressionDelta: maxDelta })
             });
             const json = await res.json();
             renderCIGateResult(json.data || json);
@@ -102,14 +104,9 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!canvas) return;
         if (radarChart) radarChart.destroy();
 
-        const labels = ['Complexity', 'Vulnerability', 'Taint Safety', 'Deduplication', 'Architecture'];
-        const data = [
-            dimensions.complexity?.score || 0,
-            dimensions.vulnerability?.score || 0,
-            dimensions.taint?.score || 0,
-            dimensions.duplication?.score || 0,
-            dimensions.architecture?.score || 0
-        ];
+        const names = { complexity: 'Complexity', coverage: 'Test Coverage', duplication: 'Deduplication', documentation: 'Documentation', freshness: 'Dependency Freshness' };
+        const labels = Object.keys(names).map(key => names[key]);
+        const data = Object.keys(names).map(key => dimensions[key]?.score || 0);
 
         radarChart = new Chart(canvas.getContext('2d'), {
             type: 'radar',
@@ -144,7 +141,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const el = document.getElementById('dimension-cards');
         if (!el) return;
 
-        const icons = { complexity: '🧩', vulnerability: '🔐', taint: '🧫', duplication: '📋', architecture: '🏗️' };
+        const icons = { complexity: '🧩', coverage: '🧪', duplication: '📋', documentation: '📝', freshness: '📦' };
         const dimKeys = Object.keys(dimensions);
 
         el.innerHTML = dimKeys.map(key => {
@@ -246,7 +243,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function renderMockCQAS() {
         renderScoreHeader({ cqasScore: 73, grade: 'B', label: 'GOOD', delta: 2 });
-        renderRadarChart({ complexity: { score: 78 }, vulnerability: { score: 68 }, taint: { score: 65 }, duplication: { score: 82 }, architecture: { score: 77 } });
+        renderRadarChart({ complexity: { score: 78 }, coverage: { score: 68 }, duplication: { score: 82 }, documentation: { score: 65 }, freshness: { score: 77 } });
     }
 
     function renderMockTrend() {
@@ -269,7 +266,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (recomputeBtn) {
         recomputeBtn.addEventListener('click', async () => {
             const w = {};
-            const keys = ['complexity', 'vulnerability', 'taint', 'duplication', 'architecture'];
+            const keys = ['complexity', 'coverage', 'duplication', 'documentation', 'freshness'];
             keys.forEach(k => {
                 const el = document.getElementById(`w-${k}`);
                 if (el) w[k] = parseInt(el.value) / 100;
@@ -62,17 +62,16 @@ document.addEventListener('DOMContentLoaded', () => {
             analyzeBtn.innerHTML = '<i class="ri-loader-4-line ri-spin"></i> Visualizing...';
             analyzeBtn.disabled = true;
 
-            const response = await fetch(`/api/dependency/graph?repo=${repo}`);
-            if (!response.ok) throw new Error('Failed to fetch graph data');
-
-            const data = await response.json();
+            const response = await fetch(`/api/dependency/graph?repo=${encodeURIComponent(repo)}`);
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(data.message || 'Failed to generate dependency graph for this repository.');
 
             Graph.graphData(data);
 
             // Apply some bloom effect if wanted, but keep it simple for now as per requirements
         } catch (error) {
             console.error(error);
-            alert('Failed to generate dependency graph for this repository.');
+            alert(error.message);
         } finally {
             analyzeBtn.innerText = 'Visualize';
             analyzeBtn.disabled = false;
@@ -84,7 +83,8 @@ document.addEventListener('DOMContentLoaded', () => {
         nodeVersionEl.textContent = node.version || 'Latest';
         nodeTypeEl.textContent = node.type === 'root' ? 'Application Root' :
             node.type === 'dependency' ? 'Production Dependency' :
-                'Development Dependency';
+                node.type === 'transitive' ? `Transitive${node.dev ? ' (dev only)' : ''}` :
+                    'Development Dependency';
 
         nodeInfoCard.classList.remove('hidden');
     }
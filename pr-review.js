@@ -117,6 +117,8 @@ class PRReviewAssistant {
     }
 
     displayResults(reviewData) {
+        this.lastAnalysis = reviewData;
+
         // Update summary stats
         this.confidenceScore.textContent = `${reviewData.confidenceScore}%`;
         this.confidenceScore.style.color = this.getConfidenceColor(reviewData.confidenceScore);
@@ -161,6 +163,7 @@ class PRReviewAssistant {
                 <div class="issue-header">
                     <span class="issue-type">${this.getIssueIcon(issue.type)}</span>
                     <span class="issue-title">${issue.title}</span>
+                    ${this.formatLocation(issue)}
                     <span class="issue-severity">${issue.severity.toUpperCase()}</span>
                 </div>
                 <div class="issue-content">
@@ -194,6 +197,7 @@ class PRReviewAssistant {
                 <div class="warning-header">
                     <span class="warning-icon">🔒</span>
                     <span class="warning-title">${warning.title}</span>
+                    ${this.formatLocation(warning)}
                 </div>
                 <div class="warning-content">
                     <p>${warning.description}</p>
@@ -299,9 +303,13 @@ class PRReviewAssistant {
     }
 
     getCurrentIssues() {
-        // In a real scenario, this would come from the actual analysis data
-        // For now, return a simplified representation
-        return [];
+        if (!this.lastAnalysis) return [];
+        return [...this.lastAnalysis.issues, ...this.lastAnalysis.securityWarnings];
+    }
+
+    formatLocation(issue) {
+        if (!issue.path) return '';
+        return `<span class="issue-location">${issue.path}:${issue.line}</span>`;
     }
 
     copyComment() {
@@ -353,6 +361,7 @@ class PRReviewAssistant {
         this.reviewTemplateSelect.value = 'comprehensive';
         this.confidenceThresholdSelect.value = 'medium';
         
+        this.lastAnalysis = null;
         this.resultsSection.classList.add('hidden');
         this.analyzeBtn.disabled = true;
         this.copyCommentBtn.disabled = true;
@@ -15,6 +15,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Output Areas
     const previewArea = document.getElementById('preview-area');
     const markdownArea = document.getElementById('markdown-area');
+    const changelogArea = document.getElementById('changelog-area');
     const jsonArea = document.getElementById('json-area');
     const emptyState = document.querySelector('.empty-state');
 
@@ -90,7 +91,10 @@ document.addEventListener('DOMContentLoaded', () => {
         // Render Markdown
         markdownArea.value = notes.markdown;
 
-        // Render JSON
+        // Render CHANGELOG.md section
+        changelogArea.textContent = notes.changelog;
+
+        // Render Keep-a-Changelog JSON
         jsonArea.textContent = JSON.stringify(notes.json, null, 2);
     }
 
@@ -100,6 +104,7 @@ document.addEventListener('DOMContentLoaded', () => {
         let contentToCopy = '';
 
         if (activeTab === 'markdown') contentToCopy = markdownArea.value;
+        else if (activeTab === 'changelog') contentToCopy = changelogArea.textContent;
         else if (activeTab === 'json') contentToCopy = jsonArea.textContent;
         else contentToCopy = previewArea.innerText;
 
@@ -115,18 +120,27 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!currentNotes) return;
 
         const editedMarkdown = markdownArea.value;
-        const headTag = headInput.value.trim();
+        const headRef = headInput.value.trim();
+        // A branch head is released under the recommended next version, tagged at that branch
+        const headIsVersion = /^v?\d+\.\d+\.\d+/.test(headRef);
+        const auth = window.XAYTHEON_AUTH;
+
+        if (!auth || !auth.isAuthenticated()) {
+            alert('Please sign in to publish releases.');
+            return;
+        }
 
         publishBtn.innerHTML = '<i class="ri-loader-line ri-spin"></i> Publishing...';
         publishBtn.disabled = true;
 
         try {
-            const response = await fetch('/api/release/publish', {
+            const response = await auth.authenticatedFetch('/api/release/publish', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     repo: currentNotes.repo,
-                    tag: headTag,
+                    tag: headIsVersion ? headRef : currentNotes.version,
+                    target: headIsVersion ? undefined : headRef,
                     notes: editedMarkdown
                 })
             });
@@ -135,6 +149,8 @@ document.addEventListener('DOMContentLoaded', () => {
             if (data.success) {
                 alert('Release Notes published successfully!');
                 window.open(data.releaseUrl, '_blank');
+            } else {
+                alert(data.error || data.message || 'Failed to publish to GitHub.');
             }
         } catch (error) {
             alert('Failed to publish to GitHub.');
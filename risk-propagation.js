@@ -134,8 +134,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 <span class="repo">${m.repoA}</span>
                 <span class="connector">↔</span>
                 <span class="repo">${m.repoB}</span>
-                <span class="ranges">${m.rangeA} / ${m.rangeB}</span>
-                <span class="risk confirmed">SHARED RISK CONFIRMED</span>
+                <span class="ranges">${m.sharedVersions && m.sharedVersions.length
+                    ? `installed ${m.sharedVersions.join(', ')}`
+                    : `${m.rangeA || (m.installedA || []).join(', ')} / ${m.rangeB || (m.installedB || []).join(', ')}`}</span>
+                ${m.sharedVulnerabilityRisk === 'CONFIRMED'
+                    ? '<span class="risk confirmed">SHARED RISK CONFIRMED</span>'
+                    : '<span class="risk possible">SHARED RISK POSSIBLE</span>'}
             </div>
         `).join('');
     }
@@ -12,9 +12,17 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const prTableBody = document.getElementById('pr-table-body');
     const conflictMap = document.getElementById('conflict-map');
+    const conflictMatrix = document.getElementById('conflict-matrix');
 
     analyzeBtn.addEventListener('click', handleAnalyze);
 
+    // PR titles, authors, file paths and branch names all come from the
+    // repository and may contain markup
+    function escapeHtml(value) {
+        const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+        return String(value).replace(/[&<>"']/g, m => map[m]);
+    }
+
     // Initial load
     handleAnalyze();
 
@@ -25,7 +33,7 @@ document.addEventListener('DOMContentLoaded', () => {
         analyzeBtn.disabled = true;
 
         try {
-            const res = await fetch(`/api/risk/analyze?repo=${repo}`);
+            const res = await fetch(`/api/risk/analyze?repo=${encodeURIComponent(repo)}`);
             const data = await res.json();
 
             renderDashboard(data);
@@ -52,12 +60,12 @@ document.addEventListener('DOMContentLoaded', () => {
             const riskLabel = pr.riskScore > 70 ? 'Critical' : pr.riskScore > 30 ? 'Moderate' : 'Safe';
 
             tr.innerHTML = `
-                <td>#${pr.id}</td>
-                <td><strong>${pr.title}</strong></td>
-                <td>@${pr.author}</td>
-                <td>${pr.files.map(f => `<span class="file-badge">${f.split('/').pop()}</span>`).join('')}</td>
+                <td>#${escapeHtml(pr.id)}</td>
+                <td><strong>${escapeHtml(pr.title)}</strong></td>
+                <td>@${escapeHtml(pr.author)}</td>
+                <td>${pr.files.map(f => `<span class="file-badge">${escapeHtml(f.split('/').pop())}</span>`).join('')}</td>
                 <td>
-                    <div class="risk-pill ${riskClass}">${pr.riskScore}%</div>
+                    <div class="risk-pill ${riskClass}">${escapeHtml(pr.riskScore)}%</div>
                 </td>
                 <td>${riskLabel}</td>
             `;
@@ -66,6 +74,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Render Conflict Map (Visual)
         renderMap(data.conflicts);
+        renderMatrix(data.matrix);
     }
 
     function renderMap(conflicts) {
@@ -77,17 +86,47 @@ document.addEventListener('DOMContentLoaded', () => {
         conflictMap.innerHTML = '<div class="conflict-cluster"></div>';
         const cluster = conflictMap.querySelector('.conflict-cluster');
 
-        conflicts.forEach(conflict => {
+        // True textual conflicts first, then same-file changes that merge cleanly
+        const ordered = [...conflicts].sort((a, b) => (a.type === 'conflict' ? 0 : 1) - (b.type === 'conflict' ? 0 : 1));
+        ordered.forEach(conflict => {
+            const isConflict = conflict.type === 'conflict';
+            const lines = (conflict.regions || []).map(r => `L${r.startLine}${r.endLine > r.startLine ? `-${r.endLine}` : ''}`).join(', ');
             const node = document.createElement('div');
-            node.className = 'conflict-node active';
+            node.className = `conflict-node ${isConflict ? 'active' : 'safe'}`;
+            node.title = conflict.reason || '';
             node.innerHTML = `
-                <div class="file-label">${conflict.file}</div>
+                <div class="file-label">${escapeHtml(conflict.file)}</div>
                 <div class="conflict-details">
-                    <p>Conflict between:</p>
-                    <strong>PR #${conflict.prIds.join(' & #')}</strong>
+                    <p>${isConflict ? 'Conflict between:' : 'Merges cleanly:'}</p>
+                    <strong>PR #${conflict.prIds.map(escapeHtml).join(' &amp; #')}</strong>
+                    ${lines ? `<p class="conflict-lines">${lines}</p>` : ''}
                 </div>
             `;
             cluster.appendChild(node);
         });
     }
+
+    function renderMatrix(matrix) {
+        if (!matrix || matrix.prIds.length < 2) {
+            conflictMatrix.innerHTML = '';
+            return;
+        }
+
+        const header = matrix.prIds.map(id => `<th>#${escapeHtml(id)}</th>`).join('');
+        const rows = matrix.cells.map((row, i) => {
+            const cells = row.map((cell, j) => {
+                if (i === j) return '<td class="matrix-self"></td>';
+                const label = cell.status === 'conflict'
+                    ? `${cell.conflictingFiles}/${cell.sharedFiles}`
+                    : cell.status === 'safe' ? '✓' : '';
+                const title = cell.status === 'none'
+                    ? 'No shared files'
+                    : `${cell.sharedFiles} shared file(s), ${cell.conflictingFiles} conflicting`;
+                return `<td class="matrix-${cell.status}" title="${title}">${label}</td>`;
+            }).join('');
+            return `<tr><th>#${escapeHtml(matrix.prIds[i])}</th>${cells}</tr>`;
+        }).join('');
+
+        conflictMatrix.innerHTML = `<table class="conflict-matrix"><thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+    }
 });
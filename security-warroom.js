@@ -119,16 +119,22 @@ document.addEventListener('DOMContentLoaded', () => {
             }
 
             try {
+                const token = localStorage.getItem('authToken');
                 const res = await fetch('/api/security/fuzz', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${token}`
+                    },
                     body: JSON.stringify({ targetUrl: url })
                 });
                 const data = await res.json();
 
                 if (data.success) {
-                    alert(`Simulated exploit finished. ${data.vulnerabilities?.length || 0} vulnerabilities found.`);
+                    alert(`Fuzzing session ${data.session.id} finished: ${data.session.stats?.requests || 0} requests, ${data.vulnerabilities?.length || 0} vulnerabilities found.`);
                     await fetchHistory();
+                } else {
+                    alert(`Fuzzing failed: ${data.message}`);
                 }
             } finally {
                 runFuzzBtn.disabled = false;
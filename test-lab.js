@@ -3,6 +3,14 @@
  * Handles logic tree rendering and AI interaction.
  */
 
+// Node colour per coverage status
+const STATUS_COLORS = {
+    tested: 0x10b981,
+    partial: 0xf59e0b,
+    untested: 0xef4444,
+    unknown: 0x64748b
+};
+
 class TestLab {
     constructor() {
         this.container = document.getElementById('logic-tree-viewport');
@@ -53,12 +61,15 @@ class TestLab {
         this.scene.add(point);
     }
 
-    async analyze(filePath) {
+    async analyze(repo, filePath) {
         try {
-            const res = await fetch(`/api/test-lab/analyze?filePath=${filePath}`);
+            const query = new URLSearchParams({ repo, filePath });
+            const res = await fetch(`/api/test-lab/analyze?${query}`);
             const result = await res.json();
             if (result.success) {
                 this.renderTree(result.data.logicTree);
+            } else {
+                alert(result.message || 'Analysis failed');
             }
         } catch (e) {
             console.error(e);
@@ -82,7 +93,7 @@ class TestLab {
         // Branch Nodes
         treeData.nodes.forEach((node) => {
             const geo = new THREE.SphereGeometry(3, 32, 32);
-            const color = node.status === 'tested' ? 0x10b981 : 0xef4444;
+            const color = STATUS_COLORS[node.status] || STATUS_COLORS.untested;
             const mat = new THREE.MeshPhongMaterial({
                 color: color,
                 emissive: color,
@@ -137,7 +148,11 @@ class TestLab {
         // Update UI
         const data = node.userData;
         document.getElementById('branch-card').classList.remove('hidden');
-        document.getElementById('branch-condition').innerText = data.metadata.condition;
+        const branch = data.metadata;
+        document.getElementById('branch-condition').innerText = `${branch.type} (${branch.condition})`;
+        document.getElementById('branch-arms').innerText = branch.uncoveredArms.length
+            ? `Line ${branch.line}, ${branch.function}: not taken ${branch.uncoveredArms.join(', ')}`
+            : `Line ${branch.line}, ${branch.function}`;
 
         const badge = document.getElementById('coverage-status');
         badge.innerText = data.status.toUpperCase();
@@ -186,8 +201,9 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 async function analyzeCode() {
+    const repo = document.getElementById('repo-input').value;
     const filePath = document.getElementById('file-input').value;
-    await lab.analyze(filePath);
+    await lab.analyze(repo, filePath);
 }
 
 async function generateTest() {
@@ -203,9 +219,11 @@ async function generateTest() {
     });
 
     const result = await res.json();
-    if (result.success) {
+    if (result.success && result.data.length) {
         document.getElementById('test-results').classList.remove('hidden');
         document.getElementById('generated-code').innerText = result.data[0].code;
+    } else if (result.success) {
+        alert('Coverage shows every outcome of this branch is already tested.');
     }
 }
 
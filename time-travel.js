@@ -2,6 +2,12 @@
  * Time Travel Debugger - 4D Visualization
  */
 
+// Optional `?repo=/path/to/clone` on the page selects which local repository the backend reads.
+function repoQuery() {
+    const repo = new URLSearchParams(window.location.search).get('repo');
+    return repo ? `?repoPath=${encodeURIComponent(repo)}` : '';
+}
+
 class TimeTravelDebugger {
     constructor() {
         this.container = document.getElementById('archaeology-viewport');
@@ -64,7 +70,7 @@ class TimeTravelDebugger {
 
     async loadTimeline() {
         try {
-            const res = await fetch('/api/time-travel/timeline');
+            const res = await fetch(`/api/time-travel/timeline${repoQuery()}`);
             const data = await res.json();
             if (data.success) {
                 this.timeline = data.data;
@@ -78,7 +84,7 @@ class TimeTravelDebugger {
 
     async loadHotspots() {
         try {
-            const res = await fetch('/api/time-travel/blame-analysis');
+            const res = await fetch(`/api/time-travel/blame-analysis${repoQuery()}`);
             const data = await res.json();
             if (data.success) {
                 this.renderHotspots(data.data.hotspots);
@@ -226,7 +232,7 @@ async function findBugGenesis() {
 
     alert(`Analyzing regressions for commit ${hash}...`);
     try {
-        const res = await fetch(`/api/time-travel/trace/${hash}`);
+        const res = await fetch(`/api/time-travel/trace/${hash}${repoQuery()}`);
         const data = await res.json();
         if (data.success) {
             alert(`🚨 Potential Regression Found!\n\nConfidence: ${data.data.confidence}\nSuspect Commit: ${data.data.suspectCommit}\nReason: ${data.data.reason}`);
@@ -2,8 +2,21 @@
  * XAYTHEON - Integrated Collaborative Incident War Room
  * 
  * Merged 3D Multiplayer Coordination with Real-time DevOps Dashboard.
+ * The pinned (or newest active) incident drives the lifecycle controls,
+ * SLA timers and timeline, all backed by /api/war-room/incidents.
  */
 
+const INCIDENTS_API = '/api/war-room/incidents';
+
+// Button labels for lifecycle transitions, keyed by target state
+const TRANSITION_LABELS = {
+    triggered: 'Reopen',
+    acknowledged: 'Acknowledge',
+    mitigated: 'Mitigated',
+    resolved: 'Resolve',
+    postmortem: 'Postmortem'
+};
+
 class IncidentWarRoom {
     constructor() {
         this.canvas = document.getElementById('war-room-canvas');
@@ -15,6 +28,8 @@ class IncidentWarRoom {
 
         // Incident State
         this.incidentId = 'INCIDENT-2026-001';
+        this.incident = null;
+        this.slaTicker = null;
         this.userId = null;
 
         // Collaborative state
@@ -60,6 +75,7 @@ class IncidentWarRoom {
         this.setupEventListeners();
         this.animate();
 
+        await this.loadIncident();
         await this.connectWebSocket();
     }
 
@@ -192,6 +208,125 @@ class IncidentWarRoom {
         this.socket.on('war_room_pin_created', p => this.renderPin(p));
         this.socket.on('war_room_status_broadcast', m => this.addMsg(m));
         this.socket.on('incident_update', ev => this.addEvent(ev));
+        this.socket.on('incident_state_changed', d => {
+            if (d.incident.id === this.incidentId) this.renderIncident(d.incident);
+        });
+        this.socket.on('incident_sla_breached', d => {
+            if (d.incident.id !== this.incidentId) return;
+            this.renderIncident(d.incident);
+            const clock = d.clock === 'ack' ? 'Time-to-acknowledge' : 'Time-to-resolve';
+            this.addMsg({ status: 'critical', userId: 'SYSTEM', message: `${clock} SLA breached`, timestamp: d.timestamp });
+        });
+    }
+
+    async loadIncident() {
+        try {
+            let data = await (await fetch(`${INCIDENTS_API}/pinned`)).json();
+            let incident = data.incident;
+            if (!incident) {
+                data = await (await fetch(`${INCIDENTS_API}?status=open`)).json();
+                incident = data.incidents && data.incidents[0];
+            }
+            if (!incident) return;
+
+            this.incidentId = incident.id;
+            data = await (await fetch(`${INCIDENTS_API}/${encodeURIComponent(incident.id)}`)).json();
+            if (data.success) this.renderIncident(data.incident);
+        } catch (err) {
+            console.warn('Could not load incidents:', err);
+        }
+    }
+
+    renderIncident(incident) {
+        this.incident = incident;
+        document.getElementById('incident-id').textContent = incident.id;
+        const status = document.getElementById('incident-status');
+        status.textContent = incident.state.toUpperCase();
+        status.dataset.state = incident.state;
+
+        const actions = document.getElementById('incident-actions');
+        actions.innerHTML = '';
+        incident.allowedTransitions.forEach(state => {
+            const btn = document.createElement('button');
+            btn.className = `lifecycle-btn ${state}`;
+            btn.textContent = TRANSITION_LABELS[state] || state;
+            btn.addEventListener('click', () => this.transitionIncident(state));
+            actions.appendChild(btn);
+        });
+
+        if (incident.timeline) this.renderTimeline(incident.timeline);
+        this.updateSlaTimers();
+        if (!this.slaTicker) this.slaTicker = setInterval(() => this.updateSlaTimers(), 1000);
+    }
+
+    async transitionIncident(state) {
+        const auth = window.XAYTHEON_AUTH;
+        if (!auth || !auth.isAuthenticated()) {
+            alert('Please sign in to update incidents.');
+            return;
+        }
+
+        const notes = ['mitigated', 'resolved', 'triggered'].includes(state)
+            ? (prompt(`Notes for "${TRANSITION_LABELS[state]}" (optional):`) || '')
+            : '';
+
+        try {
+            const response = await auth.authenticatedFetch(`${INCIDENTS_API}/${encodeURIComponent(this.incidentId)}/transition`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ state, notes })
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error);
+            this.renderIncident(data.incident);
+        } catch (err) {
+            alert(`Could not update incident: ${err.message || err.code}`);
+        }
+    }
+
+    updateSlaTimers() {
+        if (!this.incident || !this.incident.sla) return;
+        const now = Date.now();
+        [['ack', 'sla-ack', 'ACK'], ['resolve', 'sla-resolve', 'RESOLVE']].forEach(([key, elId, label]) => {
+            const clock = this.incident.sla[key];
+            const el = document.getElementById(elId);
+            if (clock.stopped) {
+                el.textContent = `${label} ${this.formatDuration(clock.elapsedMs)}`;
+                el.className = `sla-timer ${clock.breached ? 'breached' : 'met'}`;
+            } else {
+                const remaining = clock.dueAt - now;
+                el.textContent = `${label} ${remaining < 0 ? '-' : ''}${this.formatDuration(Math.abs(remaining))}`;
+                el.className = `sla-timer ${remaining < 0 ? 'breached' : 'running'}`;
+            }
+        });
+    }
+
+    formatDuration(ms) {
+        const total = Math.floor(ms / 1000);
+        const h = Math.floor(total / 3600);
+        const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+        const sec = String(total % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${m}:${sec}` : `${m}:${sec}`;
+    }
+
+    renderTimeline(timeline) {
+        const list = document.getElementById('incident-timeline');
+        list.innerHTML = '';
+        if (timeline.length === 0) {
+            list.innerHTML = '<p class="empty-state">No timeline events</p>';
+            return;
+        }
+        timeline.slice().reverse().forEach(entry => {
+            const el = document.createElement('div');
+            el.className = `timeline-entry ${entry.action}`;
+            const time = document.createElement('span');
+            time.className = 'timestamp';
+            time.textContent = new Date(entry.timestamp).toLocaleTimeString();
+            const details = document.createElement('span');
+            details.textContent = ` ${entry.userId ? `[${entry.userId}] ` : ''}${entry.details || entry.action}`;
+            el.append(time, details);
+            list.appendChild(el);
+        });
     }
 
     handleRaycasting(e) {